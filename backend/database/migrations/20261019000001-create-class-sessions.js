@@ -0,0 +1,130 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000001-create-class-sessions.js
+ * Descrição: Migration para criação da tabela class_sessions (aulas realizadas de cada horário da grade)
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'class_sessions',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+          comment: 'Identificador único da aula',
+        },
+        class_schedule_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'class_schedules',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+          comment: 'Horário da grade ao qual a aula pertence',
+        },
+        class_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'classes',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Turma da aula (desnormalizado do horário)',
+        },
+        discipline_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'disciplines',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+          comment: 'Disciplina da aula (desnormalizado do horário)',
+        },
+        teacher_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: {
+            model: 'teachers',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Professor que realizou a chamada',
+        },
+        session_date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false,
+          comment: 'Data em que a aula ocorreu',
+        },
+        hours: {
+          type: Sequelize.DECIMAL(4, 2),
+          allowNull: false,
+          comment: 'Carga horária da aula em horas (calculada a partir do horário)',
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+          comment: 'Observações sobre a aula (conteúdo ministrado, ocorrências)',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+          comment: 'Data e hora de criação do registro',
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+          comment: 'Data e hora da última atualização',
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          defaultValue: null,
+          comment: 'Data e hora da exclusão lógica (soft delete)',
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Tabela de aulas realizadas - cada ocorrência de um horário da grade',
+      }
+    );
+
+    // Índice por turma + disciplina (listagem de aulas e cálculo de frequência)
+    await queryInterface.addIndex('class_sessions', ['class_id', 'discipline_id'], {
+      name: 'idx_class_sessions_class_discipline',
+      using: 'BTREE',
+    });
+
+    // Índice por horário + data (unicidade garantida no service)
+    // NOTA: MySQL não suporta índices parciais (WHERE clause), então não usamos unique aqui.
+    await queryInterface.addIndex('class_sessions', ['class_schedule_id', 'session_date'], {
+      name: 'idx_class_sessions_schedule_date',
+      using: 'BTREE',
+    });
+
+    // Índice por professor
+    await queryInterface.addIndex('class_sessions', ['teacher_id'], {
+      name: 'idx_class_sessions_teacher_id',
+      using: 'BTREE',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('class_sessions');
+  },
+};
@@ -0,0 +1,92 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000002-create-attendances.js
+ * Descrição: Migration para criação da tabela attendances (registro de presença por aula)
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'attendances',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+          comment: 'Identificador único do registro de presença',
+        },
+        class_session_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          references: {
+            model: 'class_sessions',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Aula à qual o registro pertence',
+        },
+        student_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          references: {
+            model: 'students',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Aluno',
+        },
+        status: {
+          type: Sequelize.ENUM('present', 'absent', 'justified'),
+          allowNull: false,
+          defaultValue: 'present',
+          comment: 'Situação do aluno na aula: presente, falta ou falta justificada',
+        },
+        notes: {
+          type: Sequelize.STRING(255),
+          allowNull: true,
+          comment: 'Observação (ex: motivo da justificativa)',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+          comment: 'Data e hora de criação do registro',
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+          comment: 'Data e hora da última atualização',
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Tabela de presenças - um registro por aluno em cada aula',
+      }
+    );
+
+    // Um único registro por aluno em cada aula (sem soft delete, o índice pode ser único)
+    await queryInterface.addIndex('attendances', ['class_session_id', 'student_id'], {
+      name: 'idx_attendances_session_student',
+      unique: true,
+      using: 'BTREE',
+    });
+
+    // Índice por aluno (cálculo de frequência)
+    await queryInterface.addIndex('attendances', ['student_id'], {
+      name: 'idx_attendances_student_id',
+      using: 'BTREE',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('attendances');
+  },
+};
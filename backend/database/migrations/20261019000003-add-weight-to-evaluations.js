@@ -0,0 +1,34 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000003-add-weight-to-evaluations.js
+ * Descrição: Adiciona peso e indicador de prova final às avaliações
+ * Feature: feat-114 - Fórmulas de cálculo da média
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('evaluations', 'weight', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Peso da avaliação na média ponderada',
+      after: 'type',
+    });
+
+    await queryInterface.addColumn('evaluations', 'is_final_exam', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Indica se é a prova final (usada pela fórmula final_replaces_lowest)',
+      after: 'weight',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('evaluations', 'is_final_exam');
+    await queryInterface.removeColumn('evaluations', 'weight');
+  },
+};
@@ -0,0 +1,57 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000004-add-grading-formula-to-courses.js
+ * Descrição: Adiciona a fórmula de cálculo da média ao curso e às disciplinas do curso
+ * Feature: feat-114 - Fórmulas de cálculo da média
+ * Criado em: 2026-10-19
+ *
+ * A fórmula de course_disciplines é opcional e, quando preenchida,
+ * sobrescreve a fórmula do curso para aquela disciplina.
+ */
+
+'use strict';
+
+const FORMULAS = ['arithmetic', 'weighted', 'best_of', 'final_replaces_lowest'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('courses', 'grading_formula', {
+      type: Sequelize.ENUM(...FORMULAS),
+      allowNull: false,
+      defaultValue: 'arithmetic',
+      comment: 'Fórmula de cálculo da média final das disciplinas do curso',
+      after: 'course_type',
+    });
+
+    await queryInterface.addColumn('courses', 'grading_best_of', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Quantidade de notas consideradas na fórmula best_of',
+      after: 'grading_formula',
+    });
+
+    await queryInterface.addColumn('course_disciplines', 'grading_formula', {
+      type: Sequelize.ENUM(...FORMULAS),
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Fórmula específica da disciplina no curso (null = usa a do curso)',
+      after: 'semester',
+    });
+
+    await queryInterface.addColumn('course_disciplines', 'grading_best_of', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Quantidade de notas consideradas na fórmula best_of da disciplina',
+      after: 'grading_formula',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('course_disciplines', 'grading_best_of');
+    await queryInterface.removeColumn('course_disciplines', 'grading_formula');
+    await queryInterface.removeColumn('courses', 'grading_best_of');
+    await queryInterface.removeColumn('courses', 'grading_formula');
+  },
+};
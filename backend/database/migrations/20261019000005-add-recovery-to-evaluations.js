@@ -0,0 +1,34 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000005-add-recovery-to-evaluations.js
+ * Descrição: Adiciona indicador de avaliação de recuperação e a regra de recuperação do curso
+ * Feature: feat-115 - Recuperação
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('evaluations', 'is_recovery', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Indica se é a avaliação de recuperação (apenas alunos em recuperação recebem nota)',
+      after: 'is_final_exam',
+    });
+
+    await queryInterface.addColumn('courses', 'recovery_rule', {
+      type: Sequelize.ENUM('replace', 'average', 'highest'),
+      allowNull: false,
+      defaultValue: 'average',
+      comment: 'Como a nota da recuperação se combina com a média do período',
+      after: 'grading_best_of',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('courses', 'recovery_rule');
+    await queryInterface.removeColumn('evaluations', 'is_recovery');
+  },
+};
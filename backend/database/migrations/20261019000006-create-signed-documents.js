@@ -0,0 +1,191 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000006-create-signed-documents.js
+ * Descrição: Migration para criação da tabela signed_documents (registro único de documentos
+ *            assinados eletronicamente) com carga inicial a partir das solicitações já assinadas
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'signed_documents',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+          comment: 'Identificador único do documento assinado',
+        },
+        document_kind: {
+          type: Sequelize.STRING(50),
+          allowNull: false,
+          comment:
+            'Tipo do documento (atestado_matricula, historico_escolar, declaracao_frequencia, certificado_conclusao, contrato)',
+        },
+        title: {
+          type: Sequelize.STRING(200),
+          allowNull: false,
+          comment: 'Título do documento exibido na verificação pública',
+        },
+        student_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: {
+            model: 'students',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Aluno titular do documento',
+        },
+        user_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Usuário titular do documento (contratos de alunos e professores)',
+        },
+        request_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'requests',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Solicitação que originou o documento',
+        },
+        contract_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'contracts',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Contrato aceito que originou o documento',
+        },
+        file_path: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+          comment: 'Caminho relativo do PDF assinado',
+        },
+        signature_hash: {
+          type: Sequelize.STRING(16),
+          allowNull: false,
+          unique: true,
+          comment: 'Hash de assinatura eletrônica (16 chars hex) para validação pública',
+        },
+        issued_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          comment: 'Data e hora de emissão do documento',
+        },
+        revoked: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+          comment: 'Indica se o documento foi revogado e não deve mais ser aceito',
+        },
+        revoked_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          comment: 'Data e hora da revogação',
+        },
+        revoked_by: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Administrador que revogou o documento',
+        },
+        revocation_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+          comment: 'Motivo da revogação (exibido na verificação pública)',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+          comment: 'Data e hora de criação do registro',
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+          comment: 'Data e hora da última atualização',
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Registro de documentos em PDF assinados eletronicamente (verificação pública)',
+      }
+    );
+
+    await queryInterface.addIndex('signed_documents', ['document_kind'], {
+      name: 'idx_signed_documents_kind',
+      using: 'BTREE',
+    });
+
+    await queryInterface.addIndex('signed_documents', ['student_id'], {
+      name: 'idx_signed_documents_student_id',
+      using: 'BTREE',
+    });
+
+    await queryInterface.addIndex('signed_documents', ['request_id'], {
+      name: 'idx_signed_documents_request_id',
+      using: 'BTREE',
+    });
+
+    await queryInterface.addIndex('signed_documents', ['contract_id'], {
+      name: 'idx_signed_documents_contract_id',
+      using: 'BTREE',
+    });
+
+    // Carga inicial: documentos já emitidos a partir de solicitações aprovadas
+    await queryInterface.sequelize.query(`
+      INSERT INTO signed_documents
+        (document_kind, title, student_id, request_id, file_path, signature_hash, issued_at,
+         revoked, created_at, updated_at)
+      SELECT
+        CASE rt.name
+          WHEN 'Histórico Escolar' THEN 'historico_escolar'
+          WHEN 'Declaração de Frequência' THEN 'declaracao_frequencia'
+          WHEN 'Certificado de Conclusão' THEN 'certificado_conclusao'
+          ELSE 'atestado_matricula'
+        END,
+        rt.name,
+        r.student_id,
+        r.id,
+        r.pdf_path,
+        r.signature_hash,
+        COALESCE(r.reviewed_at, r.updated_at),
+        false,
+        NOW(),
+        NOW()
+      FROM requests r
+      INNER JOIN request_types rt ON rt.id = r.request_type_id
+      WHERE r.signature_hash IS NOT NULL
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('signed_documents');
+  },
+};
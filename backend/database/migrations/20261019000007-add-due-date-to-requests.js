@@ -0,0 +1,49 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000007-add-due-date-to-requests.js
+ * Descrição: Adiciona a data limite de resposta (SLA) às solicitações
+ * Feature: feat-119 - Prazos (SLA) das solicitações
+ * Criado em: 2026-10-19
+ *
+ * A data limite é calculada em dias úteis a partir da criação da solicitação,
+ * usando o prazo do tipo (request_types.response_deadline_days) e o calendário
+ * de feriados. Solicitações existentes recebem a data limite retroativamente.
+ */
+
+'use strict';
+
+const { addBusinessDays, toDateOnly } = require('../../src/utils/businessDays');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('requests', 'due_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      comment: 'Data limite de resposta, calculada em dias úteis a partir da criação',
+      after: 'status',
+    });
+
+    await queryInterface.addIndex('requests', ['status', 'due_date'], {
+      name: 'idx_requests_status_due_date',
+    });
+
+    const [rows] = await queryInterface.sequelize.query(
+      `SELECT r.id, r.created_at, rt.response_deadline_days
+       FROM requests r
+       INNER JOIN request_types rt ON rt.id = r.request_type_id`
+    );
+
+    for (const row of rows) {
+      await queryInterface.bulkUpdate(
+        'requests',
+        { due_date: toDateOnly(addBusinessDays(row.created_at, row.response_deadline_days)) },
+        { id: row.id }
+      );
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('requests', 'idx_requests_status_due_date');
+    await queryInterface.removeColumn('requests', 'due_date');
+  },
+};
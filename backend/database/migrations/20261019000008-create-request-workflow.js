@@ -0,0 +1,239 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000008-create-request-workflow.js
+ * Descrição: Fluxo de atendimento das solicitações (novos status, comentários, anexos e histórico)
+ * Feature: feat-120 - Fluxo de atendimento das solicitações
+ * Criado em: 2026-10-19
+ *
+ * - requests.status ganha os estados in_analysis (em análise) e awaiting_student
+ *   (aguardando o aluno)
+ * - request_comments: conversa entre secretaria e aluno em cada solicitação
+ * - request_attachments: arquivos enviados por qualquer um dos lados
+ * - request_status_history: histórico de mudanças de status (linha do tempo).
+ *   Solicitações existentes recebem o histórico de criação e de revisão.
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('requests', 'status', {
+      type: Sequelize.ENUM('pending', 'in_analysis', 'awaiting_student', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment:
+        'Status da solicitação: pending (pendente), in_analysis (em análise), awaiting_student (aguardando aluno), approved (aprovada), rejected (rejeitada)',
+    });
+
+    await queryInterface.createTable(
+      'request_comments',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        request_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'requests', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Solicitação à qual o comentário pertence',
+        },
+        user_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+          comment: 'Autor do comentário (admin ou aluno)',
+        },
+        message: {
+          type: Sequelize.TEXT,
+          allowNull: false,
+          comment: 'Texto do comentário',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Conversa entre secretaria e aluno em cada solicitação',
+      }
+    );
+
+    await queryInterface.addIndex('request_comments', ['request_id'], {
+      name: 'idx_request_comments_request_id',
+    });
+
+    await queryInterface.createTable(
+      'request_attachments',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        request_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'requests', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Solicitação à qual o anexo pertence',
+        },
+        comment_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'request_comments', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Comentário enviado junto com o anexo (opcional)',
+        },
+        user_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+          comment: 'Usuário que enviou o anexo (admin ou aluno)',
+        },
+        file_name: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+          comment: 'Nome original do arquivo',
+        },
+        file_path: {
+          type: Sequelize.STRING(500),
+          allowNull: false,
+          comment: 'Caminho relativo do arquivo no servidor',
+        },
+        mime_type: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        file_size: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          comment: 'Tamanho do arquivo em bytes',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Arquivos anexados às solicitações pela secretaria ou pelo aluno',
+      }
+    );
+
+    await queryInterface.addIndex('request_attachments', ['request_id'], {
+      name: 'idx_request_attachments_request_id',
+    });
+
+    await queryInterface.createTable(
+      'request_status_history',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        request_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'requests', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        from_status: {
+          type: Sequelize.STRING(20),
+          allowNull: true,
+          comment: 'Status anterior (nulo na criação da solicitação)',
+        },
+        to_status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          comment: 'Novo status',
+        },
+        changed_by: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Usuário que realizou a mudança (nulo quando automática)',
+        },
+        note: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+          comment: 'Observação registrada junto com a mudança',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Histórico de mudanças de status das solicitações',
+      }
+    );
+
+    await queryInterface.addIndex('request_status_history', ['request_id', 'created_at'], {
+      name: 'idx_request_status_history_request',
+    });
+
+    // Histórico retroativo: criação de todas as solicitações e revisão das já concluídas
+    await queryInterface.sequelize.query(
+      `INSERT INTO request_status_history (request_id, from_status, to_status, changed_by, note, created_at)
+       SELECT id, NULL, 'pending', NULL, NULL, created_at FROM requests`
+    );
+    await queryInterface.sequelize.query(
+      `INSERT INTO request_status_history (request_id, from_status, to_status, changed_by, note, created_at)
+       SELECT id, 'pending', status, reviewed_by, observations, COALESCE(reviewed_at, updated_at)
+       FROM requests
+       WHERE status IN ('approved', 'rejected')`
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('request_status_history');
+    await queryInterface.dropTable('request_attachments');
+    await queryInterface.dropTable('request_comments');
+
+    await queryInterface.sequelize.query(
+      `UPDATE requests SET status = 'pending' WHERE status IN ('in_analysis', 'awaiting_student')`
+    );
+    await queryInterface.changeColumn('requests', 'status', {
+      type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment:
+        'Status da solicitação: pending (pendente), approved (aprovada), rejected (rejeitada)',
+    });
+  },
+};
@@ -0,0 +1,82 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000009-add-config-to-request-types.js
+ * Descrição: Configuração dos tipos de solicitação (ordem, perfis, anexos obrigatórios e gerador)
+ * Feature: feat-121 - Gestão dos tipos de solicitação
+ * Criado em: 2026-10-19
+ *
+ * - display_order: ordem de exibição definida pela secretaria
+ * - allowed_roles: perfis que podem abrir a solicitação (nulo = aluno e admin)
+ * - required_attachments: anexos que o aluno precisa enviar antes da aprovação
+ * - document_generator: gerador de documento executado na aprovação
+ *
+ * Os tipos existentes recebem a ordem atual (alfabética) e o gerador que antes era
+ * associado pelo nome do tipo.
+ */
+
+'use strict';
+
+/**
+ * Geradores associados pelo nome do tipo antes desta migration
+ */
+const GENERATORS_BY_TYPE_NAME = {
+  'Matrícula - Pedido de Atestado': 'atestado_matricula',
+  'Histórico Escolar': 'historico_escolar',
+  'Declaração de Frequência': 'declaracao_frequencia',
+  'Certificado de Conclusão': 'certificado_conclusao',
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('request_types', 'display_order', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Ordem de exibição do tipo de solicitação',
+      after: 'is_active',
+    });
+
+    await queryInterface.addColumn('request_types', 'allowed_roles', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Perfis que podem abrir a solicitação (ex: ["student", "admin"]); nulo = todos',
+      after: 'display_order',
+    });
+
+    await queryInterface.addColumn('request_types', 'required_attachments', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Anexos obrigatórios enviados pelo aluno (lista de descrições)',
+      after: 'allowed_roles',
+    });
+
+    await queryInterface.addColumn('request_types', 'document_generator', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Gerador de documento executado na aprovação (ex: historico_escolar)',
+      after: 'required_attachments',
+    });
+
+    const [types] = await queryInterface.sequelize.query(
+      'SELECT id, name FROM request_types ORDER BY name ASC'
+    );
+
+    for (const [index, type] of types.entries()) {
+      await queryInterface.bulkUpdate(
+        'request_types',
+        {
+          display_order: index + 1,
+          document_generator: GENERATORS_BY_TYPE_NAME[type.name] || null,
+        },
+        { id: type.id }
+      );
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('request_types', 'document_generator');
+    await queryInterface.removeColumn('request_types', 'required_attachments');
+    await queryInterface.removeColumn('request_types', 'allowed_roles');
+    await queryInterface.removeColumn('request_types', 'display_order');
+  },
+};
@@ -0,0 +1,96 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000010-add-versioning-to-contract-templates.js
+ * Descrição: Versionamento dos templates de contrato
+ * Feature: feat-122 - Gestão e versionamento dos templates de contrato
+ * Criado em: 2026-10-19
+ *
+ * Cada linha de contract_templates passa a ser uma versão:
+ * - version: número sequencial da versão
+ * - previous_version_id: versão da qual o rascunho foi copiado
+ * - published_at: data de publicação (nulo = rascunho editável; publicada = imutável)
+ * - created_by: administrador que criou a versão
+ * - change_notes: resumo das alterações
+ *
+ * Os templates existentes são considerados publicados (podem ter contratos aceitos)
+ * e numerados na ordem de criação.
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('contract_templates', 'version', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Número sequencial da versão do template',
+      after: 'name',
+    });
+
+    await queryInterface.addColumn('contract_templates', 'previous_version_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'contract_templates',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Versão da qual esta foi derivada',
+      after: 'version',
+    });
+
+    await queryInterface.addColumn('contract_templates', 'published_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Data de publicação (nulo = rascunho). Versões publicadas não podem ser alteradas',
+      after: 'is_active',
+    });
+
+    await queryInterface.addColumn('contract_templates', 'created_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Administrador que criou a versão',
+      after: 'published_at',
+    });
+
+    await queryInterface.addColumn('contract_templates', 'change_notes', {
+      type: Sequelize.STRING(500),
+      allowNull: true,
+      comment: 'Resumo das alterações desta versão',
+      after: 'created_by',
+    });
+
+    await queryInterface.addIndex('contract_templates', ['version'], {
+      name: 'idx_contract_templates_version',
+    });
+
+    const [templates] = await queryInterface.sequelize.query(
+      'SELECT id, created_at FROM contract_templates ORDER BY created_at ASC, id ASC'
+    );
+
+    for (const [index, template] of templates.entries()) {
+      await queryInterface.bulkUpdate(
+        'contract_templates',
+        { version: index + 1, published_at: template.created_at },
+        { id: template.id }
+      );
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('contract_templates', 'idx_contract_templates_version');
+    await queryInterface.removeColumn('contract_templates', 'change_notes');
+    await queryInterface.removeColumn('contract_templates', 'created_by');
+    await queryInterface.removeColumn('contract_templates', 'published_at');
+    await queryInterface.removeColumn('contract_templates', 'previous_version_id');
+    await queryInterface.removeColumn('contract_templates', 'version');
+  },
+};
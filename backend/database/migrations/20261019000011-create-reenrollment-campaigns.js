@@ -0,0 +1,199 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000011-create-reenrollment-campaigns.js
+ * Descrição: Campanhas de rematrícula em lote e acompanhamento por matrícula
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ *
+ * - reenrollment_campaigns: campanha da secretaria para um período letivo (ano/semestre),
+ *   com curso e semestre do aluno opcionais como público-alvo e prazo de aceite
+ * - reenrollment_campaign_enrollments: situação de cada matrícula na campanha
+ *   (aguardando aceite, aceita, ignorada por pendência ou sem resposta no prazo)
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'reenrollment_campaigns',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        name: {
+          type: Sequelize.STRING(150),
+          allowNull: false,
+          comment: 'Nome da campanha (ex: Rematrícula 2027/1)',
+        },
+        year: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          comment: 'Ano do período letivo da rematrícula',
+        },
+        semester: {
+          type: Sequelize.TINYINT,
+          allowNull: false,
+          comment: 'Semestre do período letivo da rematrícula (1 ou 2)',
+        },
+        course_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'courses', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+          comment: 'Curso alvo (nulo = todos os cursos)',
+        },
+        target_semester: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          comment: 'Semestre atual das matrículas alvo (nulo = todos os semestres)',
+        },
+        deadline: {
+          type: Sequelize.DATEONLY,
+          allowNull: false,
+          comment: 'Último dia para o aluno aceitar a rematrícula',
+        },
+        status: {
+          type: Sequelize.ENUM('draft', 'open', 'closed'),
+          allowNull: false,
+          defaultValue: 'draft',
+          comment: 'draft (rascunho), open (em andamento), closed (encerrada)',
+        },
+        created_by: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Administrador que criou a campanha',
+        },
+        launched_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          comment: 'Quando as matrículas foram colocadas em rematrícula',
+        },
+        closed_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          comment: 'Quando a campanha foi encerrada',
+        },
+        last_reminder_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          comment: 'Último envio de lembretes aos alunos',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Campanhas de rematrícula em lote',
+      }
+    );
+
+    await queryInterface.addIndex('reenrollment_campaigns', ['status'], {
+      name: 'idx_reenrollment_campaigns_status',
+    });
+
+    await queryInterface.createTable(
+      'reenrollment_campaign_enrollments',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        campaign_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          references: { model: 'reenrollment_campaigns', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Campanha',
+        },
+        enrollment_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'enrollments', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Matrícula avaliada na campanha',
+        },
+        status: {
+          type: Sequelize.ENUM('pending', 'accepted', 'skipped', 'follow_up'),
+          allowNull: false,
+          defaultValue: 'pending',
+          comment:
+            'pending (aguardando aceite), accepted (aceita), skipped (ignorada por pendência), follow_up (sem resposta no prazo)',
+        },
+        skip_reasons: {
+          type: Sequelize.JSON,
+          allowNull: true,
+          comment: 'Pendências que impediram a rematrícula (disciplinas reprovadas, documentos)',
+        },
+        accepted_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          comment: 'Data do aceite da rematrícula pelo aluno',
+        },
+        reminders_sent: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+          comment: 'Quantidade de lembretes enviados ao aluno',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Situação de cada matrícula nas campanhas de rematrícula',
+      }
+    );
+
+    await queryInterface.addIndex(
+      'reenrollment_campaign_enrollments',
+      ['campaign_id', 'enrollment_id'],
+      {
+        name: 'idx_reenrollment_campaign_enrollments_unique',
+        unique: true,
+      }
+    );
+
+    await queryInterface.addIndex(
+      'reenrollment_campaign_enrollments',
+      ['enrollment_id', 'status'],
+      {
+        name: 'idx_reenrollment_campaign_enrollments_enrollment_status',
+      }
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('reenrollment_campaign_enrollments');
+    await queryInterface.dropTable('reenrollment_campaigns');
+  },
+};
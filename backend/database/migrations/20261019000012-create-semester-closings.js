@@ -0,0 +1,97 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000012-create-semester-closings.js
+ * Descrição: Fechamento de semestre (progressão automática das matrículas)
+ * Feature: feat-126 - Progressão semestral automática das matrículas
+ * Criado em: 2026-10-19
+ *
+ * - semester_closings: cada fechamento executado, com o período letivo, o curso (opcional),
+ *   o resumo e o relatório do que mudou em cada matrícula
+ * - enrollments.semester_progressed_at: quando o semestre da matrícula foi avançado por um
+ *   fechamento (evita que o aceite da rematrícula avance o mesmo semestre outra vez)
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'semester_closings',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        year: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          comment: 'Ano do período letivo fechado',
+        },
+        semester: {
+          type: Sequelize.TINYINT,
+          allowNull: false,
+          comment: 'Semestre do período letivo fechado (1 ou 2)',
+        },
+        course_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'courses', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+          comment: 'Curso fechado (nulo = todos os cursos)',
+        },
+        executed_by: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Administrador que executou o fechamento',
+        },
+        summary: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          comment: 'Quantidade de matrículas por resultado',
+        },
+        report: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          comment: 'Situação de cada matrícula antes e depois do fechamento',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Fechamentos de semestre executados pela secretaria',
+      }
+    );
+
+    await queryInterface.addIndex('semester_closings', ['year', 'semester'], {
+      name: 'idx_semester_closings_period',
+    });
+
+    await queryInterface.addColumn('enrollments', 'semester_progressed_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Último avanço de semestre feito por um fechamento de semestre',
+      after: 'current_semester',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('enrollments', 'semester_progressed_at');
+    await queryInterface.dropTable('semester_closings');
+  },
+};
@@ -0,0 +1,123 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000013-create-class-transfers.js
+ * Descrição: Histórico de transferências de alunos entre turmas
+ * Feature: feat-127 - Transferência de turma com histórico
+ * Criado em: 2026-10-19
+ *
+ * Cada registro guarda a turma de origem e de destino, a solicitação que originou a
+ * transferência (quando houver) e o que foi feito com cada nota do aluno (grade_report).
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'class_transfers',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        student_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          references: { model: 'students', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Aluno transferido',
+        },
+        from_class_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'classes', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Turma de origem',
+        },
+        to_class_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'classes', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Turma de destino',
+        },
+        request_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'requests', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Solicitação de transferência de turma aprovada (nulo = transferência direta)',
+        },
+        grade_mode: {
+          type: Sequelize.ENUM('map', 'keep'),
+          allowNull: false,
+          defaultValue: 'map',
+          comment: 'map = notas movidas para avaliações equivalentes; keep = mantidas na origem',
+        },
+        grades_moved: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        grades_kept: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        grade_report: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          comment: 'Destino de cada nota do aluno (avaliação de origem e de destino)',
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+          comment: 'Motivo da transferência',
+        },
+        transferred_by: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Administrador que executou a transferência',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Histórico de transferências de alunos entre turmas do mesmo curso',
+      }
+    );
+
+    await queryInterface.addIndex('class_transfers', ['student_id'], {
+      name: 'idx_class_transfers_student',
+    });
+    await queryInterface.addIndex('class_transfers', ['from_class_id'], {
+      name: 'idx_class_transfers_from_class',
+    });
+    await queryInterface.addIndex('class_transfers', ['to_class_id'], {
+      name: 'idx_class_transfers_to_class',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('class_transfers');
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000014-add-lock-and-cancellation-to-enrollments.js
+ * Descrição: Trancamento e cancelamento de matrícula
+ * Feature: feat-128 - Ciclo de cancelamento e trancamento da matrícula
+ * Criado em: 2026-10-19
+ *
+ * - Novo status 'locked' (matrícula trancada)
+ * - Datas de início e de retorno previsto do trancamento e o motivo
+ * - Data e motivo do cancelamento
+ * - Data da última reativação de uma matrícula trancada
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE enrollments
+      MODIFY COLUMN status ENUM('pending', 'active', 'cancelled', 'reenrollment', 'canceled', 'completed', 'contract', 'locked')
+      NOT NULL DEFAULT 'pending'
+    `);
+
+    await queryInterface.addColumn('enrollments', 'lock_start_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      comment: 'Início do trancamento',
+    });
+    await queryInterface.addColumn('enrollments', 'lock_expected_return_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      comment: 'Retorno previsto do trancamento',
+    });
+    await queryInterface.addColumn('enrollments', 'lock_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Motivo do trancamento',
+    });
+    await queryInterface.addColumn('enrollments', 'cancelled_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Data do cancelamento',
+    });
+    await queryInterface.addColumn('enrollments', 'cancellation_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Motivo do cancelamento',
+    });
+    await queryInterface.addColumn('enrollments', 'reactivated_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Última reativação de matrícula trancada',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('enrollments', 'reactivated_at');
+    await queryInterface.removeColumn('enrollments', 'cancellation_reason');
+    await queryInterface.removeColumn('enrollments', 'cancelled_at');
+    await queryInterface.removeColumn('enrollments', 'lock_reason');
+    await queryInterface.removeColumn('enrollments', 'lock_expected_return_date');
+    await queryInterface.removeColumn('enrollments', 'lock_start_date');
+
+    await queryInterface.sequelize.query(`
+      UPDATE enrollments SET status = 'active' WHERE status = 'locked'
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TABLE enrollments
+      MODIFY COLUMN status ENUM('pending', 'active', 'cancelled', 'reenrollment', 'canceled', 'completed', 'contract')
+      NOT NULL DEFAULT 'pending'
+    `);
+  },
+};
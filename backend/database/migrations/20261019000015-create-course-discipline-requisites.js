@@ -0,0 +1,86 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000015-create-course-discipline-requisites.js
+ * Descrição: Pré-requisitos e co-requisitos entre disciplinas da grade de um curso
+ * Feature: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Criado em: 2026-10-19
+ *
+ * Cada registro indica que, no curso, a disciplina (discipline_id) exige outra disciplina
+ * (required_discipline_id) como pré-requisito ou co-requisito.
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'course_discipline_requisites',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        course_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'courses', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Curso cuja grade define o requisito',
+        },
+        discipline_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'disciplines', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Disciplina que possui o requisito',
+        },
+        required_discipline_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'disciplines', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Disciplina exigida',
+        },
+        type: {
+          type: Sequelize.ENUM('prerequisite', 'corequisite'),
+          allowNull: false,
+          defaultValue: 'prerequisite',
+          comment: 'prerequisite = aprovação antes; corequisite = cursada junto ou antes',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Pré-requisitos e co-requisitos entre disciplinas da grade de um curso',
+      }
+    );
+
+    await queryInterface.addIndex(
+      'course_discipline_requisites',
+      ['course_id', 'discipline_id', 'required_discipline_id'],
+      { unique: true, name: 'uq_course_discipline_requisites' }
+    );
+    await queryInterface.addIndex('course_discipline_requisites', ['required_discipline_id'], {
+      name: 'idx_course_discipline_requisites_required',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('course_discipline_requisites');
+  },
+};
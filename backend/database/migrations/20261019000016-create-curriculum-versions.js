@@ -0,0 +1,231 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000016-create-curriculum-versions.js
+ * Descrição: Matrizes curriculares (versões da grade) por curso
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ *
+ * - curriculum_versions: versão publicada da grade do curso, com data de vigência
+ * - curriculum_version_disciplines: disciplinas e semestres da versão (cópia de course_disciplines
+ *   no momento da publicação)
+ * - curriculum_migrations: histórico de migração de matrículas entre matrizes
+ * - enrollments.curriculum_version_id: matriz vigente quando o aluno ingressou
+ *
+ * Cada curso com disciplinas recebe uma "Matriz inicial" com a grade atual, vigente desde a
+ * matrícula mais antiga do curso, e as matrículas existentes são vinculadas a ela.
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'curriculum_versions',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        course_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'courses', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+          comment: 'Nome da matriz (ex: Matriz 2026)',
+        },
+        effective_from: {
+          type: Sequelize.DATEONLY,
+          allowNull: false,
+          comment: 'Início da vigência: matrículas a partir desta data entram nesta matriz',
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        created_by: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Administrador que publicou a matriz',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Matrizes curriculares (versões publicadas da grade do curso)',
+      }
+    );
+
+    await queryInterface.addIndex('curriculum_versions', ['course_id', 'effective_from'], {
+      unique: true,
+      name: 'uq_curriculum_versions_course_effective',
+    });
+
+    await queryInterface.createTable(
+      'curriculum_version_disciplines',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        curriculum_version_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          references: { model: 'curriculum_versions', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        discipline_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'disciplines', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        semester: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          comment: 'Semestre do curso em que a disciplina é oferecida nesta matriz',
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Disciplinas de cada matriz curricular',
+      }
+    );
+
+    await queryInterface.addIndex(
+      'curriculum_version_disciplines',
+      ['curriculum_version_id', 'discipline_id', 'semester'],
+      { unique: true, name: 'uq_curriculum_version_disciplines' }
+    );
+
+    await queryInterface.addColumn('enrollments', 'curriculum_version_id', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+      references: { model: 'curriculum_versions', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Matriz curricular do aluno (vigente no ingresso ou definida por migração)',
+    });
+
+    await queryInterface.createTable(
+      'curriculum_migrations',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        enrollment_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'enrollments', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        from_version_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'curriculum_versions', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        to_version_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'curriculum_versions', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        mapping_report: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          comment: 'Situação de cada disciplina concluída na matriz de origem',
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        migrated_by: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Histórico de migração de matrículas entre matrizes curriculares',
+      }
+    );
+
+    await queryInterface.addIndex('curriculum_migrations', ['enrollment_id'], {
+      name: 'idx_curriculum_migrations_enrollment',
+    });
+
+    // Matriz inicial de cada curso com a grade atual
+    await queryInterface.sequelize.query(`
+      INSERT INTO curriculum_versions (course_id, name, effective_from, notes, created_at, updated_at)
+      SELECT c.id, 'Matriz inicial',
+        COALESCE((SELECT MIN(e.enrollment_date) FROM enrollments e WHERE e.course_id = c.id), CURDATE()),
+        'Criada automaticamente a partir da grade do curso',
+        NOW(), NOW()
+      FROM courses c
+      WHERE EXISTS (SELECT 1 FROM course_disciplines cd WHERE cd.course_id = c.id)
+    `);
+    await queryInterface.sequelize.query(`
+      INSERT INTO curriculum_version_disciplines (curriculum_version_id, discipline_id, semester)
+      SELECT cv.id, cd.discipline_id, cd.semester
+      FROM curriculum_versions cv
+      INNER JOIN course_disciplines cd ON cd.course_id = cv.course_id
+    `);
+    await queryInterface.sequelize.query(`
+      UPDATE enrollments e
+      INNER JOIN curriculum_versions cv ON cv.course_id = e.course_id
+      SET e.curriculum_version_id = cv.id
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('curriculum_migrations');
+    await queryInterface.removeColumn('enrollments', 'curriculum_version_id');
+    await queryInterface.dropTable('curriculum_version_disciplines');
+    await queryInterface.dropTable('curriculum_versions');
+  },
+};
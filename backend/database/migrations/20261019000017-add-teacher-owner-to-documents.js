@@ -0,0 +1,58 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000017-add-teacher-owner-to-documents.js
+ * Descrição: Documentos enviados por professores
+ * Feature: feat-132 - Documentos de professores no fluxo de revisão
+ * Criado em: 2026-10-19
+ *
+ * - documents.teacher_id: professor dono do documento (FK teachers)
+ * - documents.student_id passa a aceitar NULL: o dono é o aluno OU o professor
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('documents', 'student_id', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('documents', 'teacher_id', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+      after: 'student_id',
+      comment: 'Professor que enviou o documento (NULL quando o dono é um aluno)',
+    });
+
+    await queryInterface.addConstraint('documents', {
+      fields: ['teacher_id'],
+      type: 'foreign key',
+      name: 'fk_documents_teacher_id',
+      references: {
+        table: 'teachers',
+        field: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT',
+    });
+
+    await queryInterface.addIndex('documents', ['teacher_id', 'document_type_id'], {
+      name: 'idx_documents_teacher_doctype',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Documentos de professores não têm dono sem a coluna teacher_id
+    await queryInterface.sequelize.query('DELETE FROM documents WHERE student_id IS NULL');
+
+    await queryInterface.removeConstraint('documents', 'fk_documents_teacher_id');
+    await queryInterface.removeIndex('documents', 'idx_documents_teacher_doctype');
+    await queryInterface.removeColumn('documents', 'teacher_id');
+
+    await queryInterface.changeColumn('documents', 'student_id', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: false,
+    });
+  },
+};
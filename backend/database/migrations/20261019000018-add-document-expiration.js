@@ -0,0 +1,73 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000018-add-document-expiration.js
+ * Descrição: Validade dos documentos e reenvio periódico
+ * Feature: feat-133 - Validade de documentos e reenvio periódico
+ * Criado em: 2026-10-19
+ *
+ * - document_types.validity_months: validade do documento aprovado (NULL = não expira)
+ * - documents.expires_at: último dia de validade, calculado na aprovação
+ * - documents.expiration_notice / expiration_notified_at: último aviso enviado pelo job de
+ *   vencimento (a vencer ou vencido), para não repetir o mesmo aviso todos os dias
+ *
+ * O "Comprovante de Residência" do seeder passa a valer 3 meses (conforme a descrição do tipo)
+ * e os documentos já aprovados com validade recebem expires_at a partir da data de revisão.
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('document_types', 'validity_months', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: true,
+      after: 'is_required',
+      comment: 'Validade do documento aprovado em meses (NULL = não expira)',
+    });
+
+    await queryInterface.addColumn('documents', 'expires_at', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      after: 'observations',
+      comment: 'Último dia de validade do documento aprovado (NULL = não expira)',
+    });
+
+    await queryInterface.addColumn('documents', 'expiration_notice', {
+      type: Sequelize.ENUM('expiring_soon', 'expired'),
+      allowNull: true,
+      after: 'expires_at',
+      comment: 'Último aviso de vencimento enviado ao dono do documento',
+    });
+
+    await queryInterface.addColumn('documents', 'expiration_notified_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'expiration_notice',
+    });
+
+    await queryInterface.addIndex('documents', ['status', 'expires_at'], {
+      name: 'idx_documents_status_expires',
+    });
+
+    await queryInterface.sequelize.query(`
+      UPDATE document_types
+      SET validity_months = 3
+      WHERE name = 'Comprovante de Residência' AND validity_months IS NULL
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE documents d
+      INNER JOIN document_types dt ON dt.id = d.document_type_id
+      SET d.expires_at = DATE_ADD(DATE(COALESCE(d.reviewed_at, d.updated_at)), INTERVAL dt.validity_months MONTH)
+      WHERE d.status = 'approved' AND dt.validity_months IS NOT NULL
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('documents', 'idx_documents_status_expires');
+    await queryInterface.removeColumn('documents', 'expiration_notified_at');
+    await queryInterface.removeColumn('documents', 'expiration_notice');
+    await queryInterface.removeColumn('documents', 'expires_at');
+    await queryInterface.removeColumn('document_types', 'validity_months');
+  },
+};
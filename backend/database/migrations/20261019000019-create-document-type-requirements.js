@@ -0,0 +1,82 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000019-create-document-type-requirements.js
+ * Descrição: Documentos obrigatórios por curso e por tipo de curso
+ * Feature: feat-134 - Documentos obrigatórios por curso
+ * Criado em: 2026-10-19
+ *
+ * Cada registro torna um tipo de documento obrigatório para os alunos de um curso (course_id)
+ * ou de todos os cursos de um tipo (course_type, ex: "Técnicos"). As regras somam-se aos
+ * tipos com is_required = true, que continuam valendo para todos os alunos.
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'document_type_requirements',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        document_type_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'document_types', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Tipo de documento exigido',
+        },
+        course_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'courses', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Curso que exige o documento (NULL quando a regra é por tipo de curso)',
+        },
+        course_type: {
+          type: Sequelize.STRING(50),
+          allowNull: true,
+          comment: 'Tipo de curso que exige o documento (NULL quando a regra é por curso)',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Documentos obrigatórios por curso ou por tipo de curso',
+      }
+    );
+
+    await queryInterface.addIndex('document_type_requirements', ['course_id', 'document_type_id'], {
+      unique: true,
+      name: 'uq_document_type_requirements_course',
+    });
+    await queryInterface.addIndex(
+      'document_type_requirements',
+      ['course_type', 'document_type_id'],
+      {
+        unique: true,
+        name: 'uq_document_type_requirements_course_type',
+      }
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('document_type_requirements');
+  },
+};
@@ -0,0 +1,126 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000020-create-email-outbox.js
+ * Descrição: Fila de saída (outbox) e histórico de entrega dos emails
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Cada email é gravado já renderizado (assunto, HTML e texto) e enviado depois pelo job
+ * email-outbox. Falhas de envio são repetidas com espera crescente até max_attempts; a tabela
+ * também é o histórico de entrega consultado pelos administradores.
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'email_outbox',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        user_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+          comment: 'Usuário destinatário (NULL quando o email não pertence a um usuário)',
+        },
+        to_email: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+        },
+        template: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+          comment: 'Template usado (src/templates/emails)',
+        },
+        subject: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+        },
+        html_body: {
+          type: Sequelize.TEXT('medium'),
+          allowNull: true,
+          comment: 'NULL após o envio de templates com dados sensíveis (senha provisória)',
+        },
+        text_body: {
+          type: Sequelize.TEXT('medium'),
+          allowNull: true,
+        },
+        status: {
+          type: Sequelize.ENUM('pending', 'sending', 'sent', 'failed'),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        attempts: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        max_attempts: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          defaultValue: 5,
+        },
+        next_attempt_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+          comment: 'Próxima tentativa de envio (NULL após envio ou falha definitiva)',
+        },
+        last_error: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        message_id: {
+          type: Sequelize.STRING(255),
+          allowNull: true,
+          comment: 'Message-ID retornado pelo transporte',
+        },
+        sent_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Fila de saída e histórico de entrega dos emails',
+      }
+    );
+
+    await queryInterface.addIndex('email_outbox', ['status', 'next_attempt_at'], {
+      name: 'idx_email_outbox_status_next_attempt',
+    });
+
+    await queryInterface.addIndex('email_outbox', ['user_id', 'created_at'], {
+      name: 'idx_email_outbox_user_created',
+    });
+
+    await queryInterface.addIndex('email_outbox', ['to_email'], {
+      name: 'idx_email_outbox_to_email',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('email_outbox');
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * Arquivo: backend/database/migrations/20261019000021-create-notification-preferences.js
+ * Descrição: Preferências de notificação por email dos usuários
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ *
+ * Cada linha guarda a escolha de um usuário para um evento (NOTIFICATION_EVENTS). Sem linha,
+ * a notificação do evento é enviada: só quem desativa um aviso passa a ter registro.
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      'notification_preferences',
+      {
+        id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+        },
+        user_id: {
+          type: Sequelize.INTEGER.UNSIGNED,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id',
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        event: {
+          type: Sequelize.STRING(60),
+          allowNull: false,
+          comment: 'Evento notificado (ex: grade.published)',
+        },
+        email_enabled: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+          comment: 'FALSE quando o usuário desativou o email do evento',
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'),
+        },
+      },
+      {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci',
+        comment: 'Preferências de notificação por email dos usuários',
+      }
+    );
+
+    await queryInterface.addIndex('notification_preferences', ['user_id', 'event'], {
+      unique: true,
+      name: 'uq_notification_preferences_user_event',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('notification_preferences');
+  },
+};
@@ -3,6 +3,7 @@
  * Descrição: Seeder para criar tipos de documentos padrão para alunos e professores
  * Feature: feat-016 - Criar seeders de dados iniciais
  * Criado em: 2025-10-27
+ * Modificado: feat-133 - Validade de documentos (validity_months)
  */
 
 'use strict';
@@ -15,6 +16,7 @@ module.exports = {
      *
      * user_type: 'student' | 'teacher' | 'both'
      * is_required: true | false
+     * validity_months: meses de validade após a aprovação (omitido = não expira)
      */
 
     // Verificar se já existem tipos de documentos
@@ -52,6 +54,7 @@ module.exports = {
         description: 'Comprovante de residência atualizado (máximo 3 meses)',
         user_type: 'student',
         is_required: true,
+        validity_months: 3,
         created_at: new Date(),
         updated_at: new Date(),
         deleted_at: null,
@@ -135,6 +138,7 @@ module.exports = {
         description: 'Comprovante de residência atualizado (máximo 3 meses)',
         user_type: 'teacher',
         is_required: true,
+        validity_months: 3,
         created_at: new Date(),
         updated_at: new Date(),
         deleted_at: null,
@@ -2,11 +2,22 @@
  * Arquivo: backend/database/seeders/20251027211442-request-types.js
  * Descrição: Seeder para criar tipos de solicitações padrão que alunos podem fazer
  * Feature: feat-016 - Criar seeders de dados iniciais
+ * Modificado: feat-121 - Ordem de exibição e gerador de documento de cada tipo
  * Criado em: 2025-10-27
  */
 
 'use strict';
 
+/**
+ * Gerador de documento executado na aprovação de cada tipo (ver documentGenerator.service.js)
+ */
+const DOCUMENT_GENERATORS = {
+  'Matrícula - Pedido de Atestado': 'atestado_matricula',
+  'Histórico Escolar': 'historico_escolar',
+  'Declaração de Frequência': 'declaracao_frequencia',
+  'Certificado de Conclusão': 'certificado_conclusao',
+};
+
 /** @type {import('sequelize-cli').Migration} */
 module.exports = {
   async up(queryInterface, Sequelize) {
@@ -136,7 +147,15 @@ module.exports = {
       },
     ];
 
-    await queryInterface.bulkInsert('request_types', requestTypes, {});
+    await queryInterface.bulkInsert(
+      'request_types',
+      requestTypes.map((type, index) => ({
+        ...type,
+        display_order: index + 1,
+        document_generator: DOCUMENT_GENERATORS[type.name] || null,
+      })),
+      {}
+    );
 
     console.log(`✅ ${requestTypes.length} tipos de solicitações criados com sucesso!`);
     console.log('   Tipos disponíveis:');
@@ -4,6 +4,8 @@
  * Feature: feat-050 - Criar template HTML de contrato IFT
  * Criado em: 2025-11-01
  * Atualizado em: 2025-12-16
+ * Modificado: feat-122 - Template criado como versão 1 publicada
+ * Modificado: feat-123 - Responsável legal (menores) e disciplinas do semestre
  */
 
 'use strict';
@@ -186,6 +188,12 @@ module.exports = {
         <span class="field-label">ENDEREÇO COMPLETO:</span>
         <span class="field-value">{{studentAddress}}</span>
     </div>
+    {{#if isMinor}}
+    <div class="field-group">
+        <span class="field-label">RESPONSÁVEL LEGAL:</span>
+        <span class="field-value">{{default guardianName "não informado"}}</span>
+    </div>
+    {{/if}}
 
     <div class="section-title">DADOS DA MATRÍCULA</div>
     <div class="field-group">
@@ -200,6 +208,12 @@ module.exports = {
         <span class="field-label">SEMESTRE:</span>
         <span class="field-value">{{currentSemester}}</span>
     </div>
+    {{#if disciplines}}
+    <div class="field-group">
+        <span class="field-label">DISCIPLINAS DO SEMESTRE:</span>
+        <span class="field-value">{{#each disciplines}}{{name}} ({{workloadHours}}h){{#unless @last}}; {{/unless}}{{/each}}</span>
+    </div>
+    {{/if}}
 
     <div class="section-title">DADOS DA CONTRATADA</div>
     <div class="clause">
@@ -311,8 +325,10 @@ module.exports = {
       [
         {
           name: 'Contrato de Prestação de Serviços IFT',
+          version: 1,
           content: contractHTML,
           is_active: true,
+          published_at: new Date(),
           created_at: new Date(),
           updated_at: new Date(),
         },
@@ -333,6 +349,8 @@ module.exports = {
     console.log('   - {{courseName}}: Nome do curso');
     console.log('   - {{currentSemester}}: Semestre atual');
     console.log('   - {{contractDate}}: Data do contrato');
+    console.log('   - {{#if isMinor}}...{{/if}}: Dados do responsável legal (menores)');
+    console.log('   - {{#each disciplines}}...{{/each}}: Disciplinas do semestre');
   },
 
   async down(queryInterface, Sequelize) {
@@ -0,0 +1,161 @@
+/**
+ * Arquivo: backend/src/config/academicPeriods.js
+ * Descrição: Calendário dos períodos letivos (semestres) da instituição
+ * Feature: feat-124 - Renovação semestral automática dos contratos de professores
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Definir a data de início de cada semestre letivo
+ * - Identificar o período letivo (ano/semestre) de uma data
+ * - Permitir ajustar o calendário via variáveis de ambiente
+ *
+ * Variáveis de ambiente:
+ * - ACADEMIC_PERIOD_STARTS: início do 1º e do 2º semestre de todo ano (MM-DD,MM-DD).
+ *   Padrão: 02-01,08-01
+ * - ACADEMIC_PERIODS: datas de início específicas de um período (YYYY/S=YYYY-MM-DD),
+ *   separadas por vírgula. Têm prioridade sobre ACADEMIC_PERIOD_STARTS
+ *
+ * Cada período termina na véspera do início do período seguinte.
+ *
+ * @example
+ * ACADEMIC_PERIOD_STARTS=02-01,08-01
+ * ACADEMIC_PERIODS=2027/1=2027-02-08,2027/2=2027-08-02
+ */
+
+const { format, addDays, parseISO } = require('date-fns');
+
+/**
+ * Início padrão de cada semestre (MM-DD), na ordem 1º e 2º semestre
+ */
+const DEFAULT_PERIOD_STARTS = ['02-01', '08-01'];
+
+/**
+ * Lê o início dos semestres configurado em ACADEMIC_PERIOD_STARTS
+ *
+ * Se a variável não tiver exatamente duas datas válidas, o padrão é usado.
+ *
+ * @returns {string[]} Início do 1º e do 2º semestre (MM-DD)
+ */
+function getConfiguredStarts() {
+  const starts = (process.env.ACADEMIC_PERIOD_STARTS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => /^\d{2}-\d{2}$/.test(entry));
+
+  return starts.length === 2 && starts[0] < starts[1] ? starts : DEFAULT_PERIOD_STARTS;
+}
+
+/**
+ * Lê as datas de início específicas configuradas em ACADEMIC_PERIODS
+ *
+ * Entradas em formato inválido são ignoradas.
+ *
+ * @returns {Map<string, string>} Mapa "YYYY/S" → data de início (YYYY-MM-DD)
+ */
+function getConfiguredPeriods() {
+  const periods = new Map();
+
+  (process.env.ACADEMIC_PERIODS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .forEach((entry) => {
+      const match = entry.match(/^(\d{4})\/([12])=(\d{4}-\d{2}-\d{2})$/);
+      if (match) {
+        periods.set(`${match[1]}/${match[2]}`, match[3]);
+      }
+    });
+
+  return periods;
+}
+
+/**
+ * Retorna a data de início de um período letivo
+ *
+ * @param {number} year - Ano
+ * @param {number} semester - Semestre (1 ou 2)
+ * @returns {string} Data de início (YYYY-MM-DD)
+ *
+ * @example
+ * getPeriodStart(2027, 2) // '2027-08-01'
+ */
+function getPeriodStart(year, semester) {
+  const configured = getConfiguredPeriods().get(`${year}/${semester}`);
+  if (configured) {
+    return configured;
+  }
+
+  return `${year}-${getConfiguredStarts()[semester - 1]}`;
+}
+
+/**
+ * Retorna o período seguinte a um período letivo
+ *
+ * @param {number} year - Ano
+ * @param {number} semester - Semestre (1 ou 2)
+ * @returns {{year: number, semester: number}} Próximo período
+ */
+function getNextPeriod(year, semester) {
+  return semester === 1 ? { year, semester: 2 } : { year: year + 1, semester: 1 };
+}
+
+/**
+ * Identifica o período letivo em que uma data está
+ *
+ * @param {Date} [date=new Date()] - Data de referência
+ * @returns {Object} Período letivo
+ * @returns {number} .year - Ano do período
+ * @returns {number} .semester - Semestre do período (1 ou 2)
+ * @returns {string} .startDate - Data de início (YYYY-MM-DD)
+ * @returns {string} .endDate - Data de término (YYYY-MM-DD), véspera do próximo período
+ * @returns {string} .label - Rótulo do período (ex: "2027/1")
+ *
+ * @example
+ * getPeriodForDate(new Date(2027, 2, 15))
+ * // { year: 2027, semester: 1, startDate: '2027-02-01', endDate: '2027-07-31', label: '2027/1' }
+ */
+function getPeriodForDate(date = new Date()) {
+  const day = format(date, 'yyyy-MM-dd');
+  const year = date.getFullYear();
+
+  // Do período mais recente para o mais antigo: o primeiro já iniciado é o vigente
+  const candidates = [
+    { year: year + 1, semester: 1 },
+    { year, semester: 2 },
+    { year, semester: 1 },
+    { year: year - 1, semester: 2 },
+  ];
+  const current =
+    candidates.find((period) => getPeriodStart(period.year, period.semester) <= day) ||
+    candidates[candidates.length - 1];
+
+  const next = getNextPeriod(current.year, current.semester);
+  const endDate = format(
+    addDays(parseISO(getPeriodStart(next.year, next.semester)), -1),
+    'yyyy-MM-dd'
+  );
+
+  return {
+    year: current.year,
+    semester: current.semester,
+    startDate: getPeriodStart(current.year, current.semester),
+    endDate,
+    label: `${current.year}/${current.semester}`,
+  };
+}
+
+/**
+ * Retorna o período letivo vigente
+ *
+ * @returns {Object} Período letivo (ver getPeriodForDate)
+ */
+function getCurrentPeriod() {
+  return getPeriodForDate(new Date());
+}
+
+module.exports = {
+  DEFAULT_PERIOD_STARTS,
+  getPeriodStart,
+  getNextPeriod,
+  getPeriodForDate,
+  getCurrentPeriod,
+};
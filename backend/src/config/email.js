@@ -2,24 +2,51 @@
  * Arquivo: backend/src/config/email.js
  * Descrição: Configuração do Nodemailer para envio de emails via SMTP
  * Feature: feat-058 - Configurar Nodemailer com SMTP
+ * Modificado: feat-135 - Fila de emails com reenvio e histórico de entrega
  * Criado em: 2025-11-03
  *
  * Responsabilidades:
  * - Configurar transporter do Nodemailer com credenciais SMTP
+ * - Gravar os emails em disco (.eml) em vez de enviá-los, quando EMAIL_TRANSPORT=disk
+ *   (desenvolvimento e testes, sem servidor SMTP)
  * - Validar variáveis de ambiente obrigatórias
  * - Exportar transporter e método de teste de conexão
  * - Fornecer configuração centralizada para EmailService
  */
 
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
 
+/**
+ * Modo de envio: 'smtp' (padrão) ou 'disk'
+ */
+const TRANSPORT_MODE = process.env.EMAIL_TRANSPORT === 'disk' ? 'disk' : 'smtp';
+
+/**
+ * Diretório dos emails gravados no modo 'disk'
+ */
+const DISK_PATH = path.resolve(
+  process.env.EMAIL_DISK_PATH || path.join(__dirname, '../../uploads/emails')
+);
+
+/**
+ * Remetente usado no modo 'disk' quando SMTP_FROM não está configurado
+ */
+const DISK_DEFAULT_FROM = 'Secretaria Online <noreply@localhost>';
+
 /**
  * Valida se todas as variáveis de ambiente necessárias estão configuradas
  *
  * @throws {Error} Se alguma variável obrigatória estiver ausente
  */
 function validateEmailConfig() {
+  if (TRANSPORT_MODE === 'disk') {
+    logger.info(`[EMAIL_CONFIG] Modo disco: emails serão gravados em ${DISK_PATH}`);
+    return;
+  }
+
   const requiredVars = ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASS', 'SMTP_FROM'];
   const missingVars = requiredVars.filter(varName => !process.env[varName]);
 
@@ -32,6 +59,46 @@ function validateEmailConfig() {
   logger.info('[EMAIL_CONFIG] Configuração de email validada com sucesso');
 }
 
+/**
+ * Transporte do Nodemailer que grava cada mensagem em um arquivo .eml
+ *
+ * Substitui o servidor SMTP em desenvolvimento e testes: a mensagem é montada
+ * exatamente como seria enviada e pode ser aberta em qualquer cliente de email.
+ *
+ * @param {string} directory - Diretório de destino dos arquivos
+ * @returns {Object} Transporte customizado aceito por nodemailer.createTransport
+ */
+function createDiskTransport(directory) {
+  return {
+    name: 'disk',
+    version: '1.0.0',
+    send(mail, callback) {
+      const messageId = mail.message.messageId();
+
+      mail.message.build((error, message) => {
+        if (error) {
+          return callback(error);
+        }
+
+        const fileName = `${Date.now()}-${messageId.replace(/[^\w.-]/g, '')}.eml`;
+        const filePath = path.join(directory, fileName);
+
+        fs.promises
+          .mkdir(directory, { recursive: true })
+          .then(() => fs.promises.writeFile(filePath, message))
+          .then(() =>
+            callback(null, {
+              envelope: mail.message.getEnvelope(),
+              messageId,
+              path: filePath,
+            })
+          )
+          .catch(callback);
+      });
+    },
+  };
+}
+
 /**
  * Cria e configura o transporter do Nodemailer
  *
@@ -46,6 +113,10 @@ function createTransporter() {
   try {
     validateEmailConfig();
 
+    if (TRANSPORT_MODE === 'disk') {
+      return nodemailer.createTransport(createDiskTransport(DISK_PATH));
+    }
+
     const config = {
       host: process.env.SMTP_HOST,
       port: parseInt(process.env.SMTP_PORT, 10),
@@ -101,6 +172,13 @@ const transporter = createTransporter();
  */
 async function testConnection() {
   try {
+    if (TRANSPORT_MODE === 'disk') {
+      await fs.promises.mkdir(DISK_PATH, { recursive: true });
+      await fs.promises.access(DISK_PATH, fs.constants.W_OK);
+      logger.info(`[EMAIL_CONFIG] Diretório de emails disponível: ${DISK_PATH}`);
+      return true;
+    }
+
     await transporter.verify();
     logger.info('[EMAIL_CONFIG] Conexão com servidor SMTP verificada com sucesso');
     return true;
@@ -119,6 +197,9 @@ async function testConnection() {
  * @returns {string} Email do remetente (formato: "Nome <email@dominio.com>")
  */
 function getDefaultFrom() {
+  if (TRANSPORT_MODE === 'disk') {
+    return process.env.SMTP_FROM || DISK_DEFAULT_FROM;
+  }
   return process.env.SMTP_FROM;
 }
 
@@ -128,7 +209,12 @@ function getDefaultFrom() {
  * @returns {Object} Objeto com informações da configuração
  */
 function getConfig() {
+  if (TRANSPORT_MODE === 'disk') {
+    return { transport: TRANSPORT_MODE, path: DISK_PATH, from: getDefaultFrom() };
+  }
+
   return {
+    transport: TRANSPORT_MODE,
     host: process.env.SMTP_HOST,
     port: parseInt(process.env.SMTP_PORT, 10),
     secure: process.env.SMTP_SECURE === 'true',
@@ -0,0 +1,146 @@
+/**
+ * Arquivo: backend/src/config/holidays.js
+ * Descrição: Calendário de feriados usado no cálculo de prazos em dias úteis
+ * Feature: feat-119 - Prazos (SLA) das solicitações
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Fornecer os feriados nacionais fixos e móveis (baseados na Páscoa)
+ * - Permitir feriados adicionais (municipais, recessos) via variável de ambiente HOLIDAYS
+ *
+ * Formato de HOLIDAYS (separado por vírgula):
+ * - MM-DD      → feriado recorrente todos os anos (ex: 01-25)
+ * - YYYY-MM-DD → feriado em uma data específica (ex: 2026-12-24)
+ *
+ * @example
+ * HOLIDAYS=01-25,07-09,2026-12-24
+ */
+
+const { format, addDays } = require('date-fns');
+
+/**
+ * Feriados nacionais de data fixa (MM-DD)
+ */
+const NATIONAL_FIXED_HOLIDAYS = [
+  '01-01', // Confraternização Universal
+  '04-21', // Tiradentes
+  '05-01', // Dia do Trabalho
+  '09-07', // Independência do Brasil
+  '10-12', // Nossa Senhora Aparecida
+  '11-02', // Finados
+  '11-15', // Proclamação da República
+  '11-20', // Dia Nacional de Zumbi e da Consciência Negra
+  '12-25', // Natal
+];
+
+/**
+ * Deslocamento (em dias) dos feriados móveis em relação ao domingo de Páscoa
+ */
+const EASTER_OFFSETS = [
+  -48, // Segunda-feira de Carnaval
+  -47, // Terça-feira de Carnaval
+  -2, // Sexta-feira Santa
+  60, // Corpus Christi
+];
+
+/**
+ * Cache dos feriados já calculados por ano
+ * @type {Map<number, Set<string>>}
+ */
+const cache = new Map();
+
+/**
+ * Calcula o domingo de Páscoa de um ano (algoritmo de Meeus/Jones/Butcher)
+ *
+ * @param {number} year - Ano
+ * @returns {Date} Domingo de Páscoa (horário local, 00:00)
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Lê os feriados adicionais configurados em HOLIDAYS
+ *
+ * Entradas em formato inválido são ignoradas.
+ *
+ * @returns {string[]} Entradas no formato MM-DD ou YYYY-MM-DD
+ */
+function getConfiguredHolidays() {
+  return (process.env.HOLIDAYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => /^(\d{4}-)?\d{2}-\d{2}$/.test(entry));
+}
+
+/**
+ * Retorna os feriados de um ano no formato YYYY-MM-DD
+ *
+ * @param {number} year - Ano
+ * @returns {Set<string>} Datas dos feriados
+ *
+ * @example
+ * getHolidays(2026).has('2026-04-03') // true (Sexta-feira Santa)
+ */
+function getHolidays(year) {
+  if (cache.has(year)) {
+    return cache.get(year);
+  }
+
+  const holidays = new Set(NATIONAL_FIXED_HOLIDAYS.map((monthDay) => `${year}-${monthDay}`));
+
+  const easter = getEasterSunday(year);
+  EASTER_OFFSETS.forEach((offset) => {
+    holidays.add(format(addDays(easter, offset), 'yyyy-MM-dd'));
+  });
+
+  getConfiguredHolidays().forEach((entry) => {
+    if (entry.length === 5) {
+      holidays.add(`${year}-${entry}`);
+    } else if (entry.startsWith(`${year}-`)) {
+      holidays.add(entry);
+    }
+  });
+
+  cache.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Verifica se uma data é feriado
+ *
+ * @param {Date} date - Data a verificar
+ * @returns {boolean} true se a data for feriado
+ */
+function isHoliday(date) {
+  return getHolidays(date.getFullYear()).has(format(date, 'yyyy-MM-dd'));
+}
+
+/**
+ * Limpa o cache de feriados (útil após alterar HOLIDAYS em tempo de execução)
+ */
+function clearCache() {
+  cache.clear();
+}
+
+module.exports = {
+  NATIONAL_FIXED_HOLIDAYS,
+  getEasterSunday,
+  getHolidays,
+  isHoliday,
+  clearCache,
+};
@@ -0,0 +1,305 @@
+/**
+ * Arquivo: backend/src/controllers/attendance.controller.js
+ * Descrição: Controlador para controle de frequência (aulas e chamadas)
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ */
+
+const attendanceService = require('../services/attendance.service');
+const { ClassSchedule, ClassSession, User } = require('../models');
+const logger = require('../utils/logger');
+
+const ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+};
+
+class AttendanceController {
+  constructor() {
+    // Fazer bind dos métodos para manter o contexto 'this'
+    this.createSession = this.createSession.bind(this);
+    this.listSessions = this.listSessions.bind(this);
+    this.getSession = this.getSession.bind(this);
+    this.recordAttendances = this.recordAttendances.bind(this);
+    this.deleteSession = this.deleteSession.bind(this);
+    this.getClassFrequency = this.getClassFrequency.bind(this);
+    this.getMyFrequency = this.getMyFrequency.bind(this);
+    this.getStudentFrequency = this.getStudentFrequency.bind(this);
+  }
+
+  /**
+   * Retorna o teacher_id do usuário autenticado (null se não for professor)
+   */
+  async _getTeacherId(req) {
+    if (req.user.role !== 'teacher') return null;
+    const user = await User.findByPk(req.user.id, { attributes: ['teacher_id'] });
+    return user ? user.teacher_id : null;
+  }
+
+  /**
+   * Admin tem acesso irrestrito; professor apenas às disciplinas que leciona na turma
+   */
+  async _canManage(req, classId, disciplineId) {
+    if (req.user.role === 'admin') return true;
+    const teacherId = await this._getTeacherId(req);
+    return attendanceService.isTeacherOfDiscipline(teacherId, classId, disciplineId);
+  }
+
+  _forbidden(res) {
+    return res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Você não leciona esta disciplina nesta turma' },
+    });
+  }
+
+  _handleError(error, res, next) {
+    if (ERROR_CODES[error.statusCode]) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: ERROR_CODES[error.statusCode], message: error.message },
+      });
+    }
+    return next(error);
+  }
+
+  /**
+   * POST /api/v1/classes/:classId/sessions
+   */
+  async createSession(req, res, next) {
+    try {
+      const classId = parseInt(req.params.classId, 10);
+      const { class_schedule_id, session_date, notes } = req.body;
+
+      if (!class_schedule_id || !session_date) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Os campos class_schedule_id e session_date são obrigatórios',
+          },
+        });
+      }
+
+      const schedule = await ClassSchedule.findByPk(class_schedule_id);
+      if (!schedule || schedule.class_id !== classId) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Horário não encontrado nesta turma' },
+        });
+      }
+
+      if (!(await this._canManage(req, classId, schedule.discipline_id))) {
+        return this._forbidden(res);
+      }
+
+      const session = await attendanceService.createSession({
+        class_schedule_id: schedule.id,
+        session_date,
+        notes,
+        teacher_id: await this._getTeacherId(req),
+      });
+
+      logger.info('[AttendanceController.createSession] Aula registrada', {
+        sessionId: session.id,
+        userId: req.user.id,
+      });
+
+      res.status(201).json({ success: true, data: session });
+    } catch (error) {
+      this._handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/classes/:classId/sessions?discipline_id=
+   */
+  async listSessions(req, res, next) {
+    try {
+      const classId = parseInt(req.params.classId, 10);
+      const disciplineId = req.query.discipline_id ? parseInt(req.query.discipline_id, 10) : null;
+
+      if (req.user.role === 'teacher') {
+        if (!disciplineId) {
+          return res.status(400).json({
+            success: false,
+            error: { code: 'VALIDATION_ERROR', message: 'O parâmetro discipline_id é obrigatório' },
+          });
+        }
+        if (!(await this._canManage(req, classId, disciplineId))) {
+          return this._forbidden(res);
+        }
+      }
+
+      const sessions = await attendanceService.listSessions(classId, disciplineId);
+      res.status(200).json({ success: true, data: sessions });
+    } catch (error) {
+      this._handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/class-sessions/:id
+   */
+  async getSession(req, res, next) {
+    try {
+      const session = await attendanceService.getSessionRoll(parseInt(req.params.id, 10));
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Aula não encontrada' },
+        });
+      }
+
+      if (!(await this._canManage(req, session.class_id, session.discipline_id))) {
+        return this._forbidden(res);
+      }
+
+      res.status(200).json({ success: true, data: session });
+    } catch (error) {
+      this._handleError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/v1/class-sessions/:id/attendances
+   * Body: { attendances: [{ student_id, status, notes }] }
+   */
+  async recordAttendances(req, res, next) {
+    try {
+      const sessionId = parseInt(req.params.id, 10);
+      const { attendances } = req.body;
+
+      if (!Array.isArray(attendances) || attendances.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'O campo attendances deve ser uma lista não vazia',
+          },
+        });
+      }
+
+      const session = await ClassSession.findByPk(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Aula não encontrada' },
+        });
+      }
+
+      if (!(await this._canManage(req, session.class_id, session.discipline_id))) {
+        return this._forbidden(res);
+      }
+
+      const roll = await attendanceService.recordAttendances(sessionId, attendances);
+
+      logger.info('[AttendanceController.recordAttendances] Chamada registrada', {
+        sessionId,
+        total: attendances.length,
+        userId: req.user.id,
+      });
+
+      res.status(200).json({ success: true, data: roll });
+    } catch (error) {
+      this._handleError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/class-sessions/:id
+   */
+  async deleteSession(req, res, next) {
+    try {
+      const sessionId = parseInt(req.params.id, 10);
+      const session = await ClassSession.findByPk(sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Aula não encontrada' },
+        });
+      }
+
+      if (!(await this._canManage(req, session.class_id, session.discipline_id))) {
+        return this._forbidden(res);
+      }
+
+      await attendanceService.deleteSession(sessionId);
+      res.status(200).json({ success: true, message: 'Aula removida com sucesso' });
+    } catch (error) {
+      this._handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/classes/:classId/frequency?discipline_id=
+   */
+  async getClassFrequency(req, res, next) {
+    try {
+      const classId = parseInt(req.params.classId, 10);
+      const disciplineId = parseInt(req.query.discipline_id, 10);
+
+      if (!disciplineId) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'VALIDATION_ERROR', message: 'O parâmetro discipline_id é obrigatório' },
+        });
+      }
+
+      if (!(await this._canManage(req, classId, disciplineId))) {
+        return this._forbidden(res);
+      }
+
+      const frequency = await attendanceService.getClassFrequency(classId, disciplineId);
+      res.status(200).json({ success: true, data: frequency });
+    } catch (error) {
+      this._handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/attendance/my-frequency?class_id=
+   */
+  async getMyFrequency(req, res, next) {
+    try {
+      const user = await User.findByPk(req.user.id, { attributes: ['id', 'student_id'] });
+
+      if (!user || !user.student_id) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'STUDENT_NOT_FOUND',
+            message: 'Registro de aluno não encontrado para este usuário',
+          },
+        });
+      }
+
+      const frequency = await attendanceService.getStudentFrequency(user.student_id, {
+        class_id: req.query.class_id ? parseInt(req.query.class_id, 10) : undefined,
+      });
+      res.status(200).json({ success: true, data: frequency });
+    } catch (error) {
+      this._handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/students/:studentId/frequency?class_id=
+   */
+  async getStudentFrequency(req, res, next) {
+    try {
+      const frequency = await attendanceService.getStudentFrequency(
+        parseInt(req.params.studentId, 10),
+        { class_id: req.query.class_id ? parseInt(req.query.class_id, 10) : undefined }
+      );
+      res.status(200).json({ success: true, data: frequency });
+    } catch (error) {
+      this._handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new AttendanceController();
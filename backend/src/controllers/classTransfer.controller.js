@@ -0,0 +1,78 @@
+/**
+ * Arquivo: backend/src/controllers/classTransfer.controller.js
+ * Descrição: Controlador da transferência de turma (admin)
+ * Feature: feat-127 - Transferência de turma com histórico
+ * Criado em: 2026-10-19
+ *
+ * A aprovação de uma solicitação "Transferência de Turma" (PUT /requests/:id/approve)
+ * também executa a transferência, registrando a solicitação no histórico.
+ */
+
+const ClassTransferService = require('../services/classTransfer.service');
+
+class ClassTransferController {
+  /**
+   * GET /api/v1/class-transfers
+   * Lista o histórico de transferências
+   *
+   * Query: student_id, class_id (turma de origem ou de destino)
+   */
+  async list(req, res, next) {
+    try {
+      const transfers = await ClassTransferService.list(req.query);
+      return res.json({ success: true, data: transfers });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/class-transfers/:id
+   * Detalhe da transferência com o destino de cada nota
+   */
+  async getById(req, res, next) {
+    try {
+      const transfer = await ClassTransferService.getById(parseInt(req.params.id, 10));
+      return res.json({ success: true, data: transfer });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/class-transfers/preview
+   * Pré-visualiza a transferência sem alterar nada
+   *
+   * Body: { student_id, from_class_id, to_class_id, grade_mode }
+   */
+  async preview(req, res, next) {
+    try {
+      const preview = await ClassTransferService.preview(req.body);
+      return res.json({ success: true, data: preview });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/class-transfers
+   * Transfere o aluno para outra turma do mesmo curso
+   *
+   * Body: { student_id, from_class_id, to_class_id, grade_mode, reason }
+   * (from_class_id é opcional quando o aluno está em uma única turma do curso)
+   */
+  async transfer(req, res, next) {
+    try {
+      const transfer = await ClassTransferService.transfer(req.body, req.user.id);
+      return res.status(201).json({
+        success: true,
+        message: `Aluno transferido: ${transfer.grades_moved} nota(s) movida(s), ${transfer.grades_kept} mantida(s) na turma de origem`,
+        data: transfer,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new ClassTransferController();
@@ -0,0 +1,141 @@
+/**
+ * Arquivo: backend/src/controllers/contractTemplate.controller.js
+ * Descrição: Controlador da gestão e versionamento dos templates de contrato (admin)
+ * Feature: feat-122 - Gestão e versionamento dos templates de contrato
+ * Modificado: feat-123 - Catálogo inclui os recursos da linguagem dos templates
+ * Criado em: 2026-10-19
+ */
+
+const ContractTemplateService = require('../services/contractTemplate.service');
+
+class ContractTemplateController {
+  /**
+   * GET /api/v1/contract-templates
+   * Lista o histórico de versões (mais recente primeiro)
+   */
+  async list(req, res, next) {
+    try {
+      const templates = await ContractTemplateService.list();
+      return res.json({ success: true, data: templates });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/contract-templates/placeholders
+   * Catálogo de placeholders e recursos da linguagem aceitos nos templates
+   */
+  async listPlaceholders(req, res, next) {
+    try {
+      return res.json({ success: true, data: ContractTemplateService.listPlaceholders() });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/contract-templates/preview
+   * Pré-visualiza um conteúdo em edição com dados de exemplo. Body: { content }
+   */
+  async previewContent(req, res, next) {
+    try {
+      const preview = ContractTemplateService.previewContent(req.body.content);
+      return res.json({ success: true, data: preview });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/contract-templates/:id
+   * Detalhes de uma versão, com o conteúdo
+   */
+  async getById(req, res, next) {
+    try {
+      const template = await ContractTemplateService.getById(parseInt(req.params.id, 10));
+      return res.json({ success: true, data: template });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/contract-templates/:id/preview
+   * Pré-visualiza uma versão com dados de exemplo
+   */
+  async preview(req, res, next) {
+    try {
+      const preview = await ContractTemplateService.preview(parseInt(req.params.id, 10));
+      return res.json({ success: true, data: preview });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/contract-templates
+   * Cria um rascunho. Body: { name, content, change_notes, based_on_id }
+   */
+  async create(req, res, next) {
+    try {
+      const template = await ContractTemplateService.create(req.body, req.user.id);
+      return res.status(201).json({
+        success: true,
+        message: 'Rascunho de template criado com sucesso',
+        data: template,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * PUT /api/v1/contract-templates/:id
+   * Edita um rascunho. Body: { name, content, change_notes }
+   */
+  async update(req, res, next) {
+    try {
+      const template = await ContractTemplateService.update(parseInt(req.params.id, 10), req.body);
+      return res.json({
+        success: true,
+        message: 'Rascunho de template atualizado com sucesso',
+        data: template,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/contract-templates/:id/activate
+   * Publica (se rascunho) e ativa a versão para os novos contratos
+   */
+  async activate(req, res, next) {
+    try {
+      const template = await ContractTemplateService.activate(parseInt(req.params.id, 10));
+      return res.json({
+        success: true,
+        message: `Versão ${template.version} ativada para os novos contratos`,
+        data: template,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/contract-templates/:id
+   * Exclui um rascunho
+   */
+  async delete(req, res, next) {
+    try {
+      await ContractTemplateService.remove(parseInt(req.params.id, 10));
+      return res.json({ success: true, message: 'Rascunho de template excluído com sucesso' });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new ContractTemplateController();
@@ -75,14 +75,37 @@ class CourseController {
   async addDisciplineToCourse(req, res, next) {
     try {
       const { id } = req.params;
-      const { disciplineId, semester } = req.body;
-      const association = await CourseService.addDisciplineToCourse(id, disciplineId, semester);
+      const { disciplineId, semester, grading_formula, grading_best_of } = req.body;
+      const association = await CourseService.addDisciplineToCourse(id, disciplineId, semester, {
+        grading_formula,
+        grading_best_of,
+      });
       res.status(201).json({ success: true, data: association });
     } catch (error) {
       next(error);
     }
   }
 
+  async updateCourseDiscipline(req, res, next) {
+    try {
+      const { id, disciplineId } = req.params;
+      const { grading_formula, grading_best_of } = req.body;
+      const association = await CourseService.updateCourseDiscipline(id, disciplineId, {
+        grading_formula,
+        grading_best_of,
+      });
+      if (!association) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Associação não encontrada' },
+        });
+      }
+      res.status(200).json({ success: true, data: association });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async removeDisciplineFromCourse(req, res, next) {
     try {
       const { id, disciplineId } = req.params;
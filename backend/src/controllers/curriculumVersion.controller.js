@@ -0,0 +1,130 @@
+/**
+ * Arquivo: backend/src/controllers/curriculumVersion.controller.js
+ * Descrição: Controlador das matrizes curriculares e da migração de matrículas entre matrizes
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ */
+
+const CurriculumVersionService = require('../services/curriculumVersion.service');
+
+class CurriculumVersionController {
+  /**
+   * GET /api/v1/courses/:courseId/curriculum-versions
+   * Lista as matrizes curriculares do curso
+   */
+  async listByCourse(req, res, next) {
+    try {
+      const versions = await CurriculumVersionService.listByCourse(
+        parseInt(req.params.courseId, 10)
+      );
+      return res.json({ success: true, data: versions });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/courses/:courseId/curriculum-versions
+   * Publica a grade atual do curso como nova matriz
+   *
+   * Body: { name, effective_from, notes }
+   */
+  async publish(req, res, next) {
+    try {
+      const version = await CurriculumVersionService.publish(
+        parseInt(req.params.courseId, 10),
+        req.body,
+        req.user.id
+      );
+      return res.status(201).json({
+        success: true,
+        data: version,
+        message: 'Matriz curricular publicada com sucesso',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/curriculum-versions/:id
+   * Detalhe da matriz com as disciplinas por semestre
+   */
+  async getById(req, res, next) {
+    try {
+      const version = await CurriculumVersionService.getById(parseInt(req.params.id, 10));
+      return res.json({ success: true, data: version });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/curriculum-versions/:id
+   * Exclui uma matriz sem matrículas vinculadas
+   */
+  async remove(req, res, next) {
+    try {
+      await CurriculumVersionService.remove(parseInt(req.params.id, 10));
+      return res.json({ success: true, message: 'Matriz curricular excluída com sucesso' });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/enrollments/:id/curriculum-migrations
+   * Histórico de migrações de matriz da matrícula
+   */
+  async listMigrations(req, res, next) {
+    try {
+      const migrations = await CurriculumVersionService.listMigrations(parseInt(req.params.id, 10));
+      return res.json({ success: true, data: migrations });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/enrollments/:id/curriculum-migration/preview
+   * Pré-visualiza a migração: situação de cada disciplina concluída e pendências na nova matriz
+   *
+   * Body: { to_version_id, mappings: [{ from_discipline_id, to_discipline_id }] }
+   */
+  async previewMigration(req, res, next) {
+    try {
+      const plan = await CurriculumVersionService.previewMigration(
+        parseInt(req.params.id, 10),
+        req.body
+      );
+      return res.json({ success: true, data: plan });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/enrollments/:id/curriculum-migration
+   * Migra a matrícula para outra matriz do curso
+   *
+   * Body: { to_version_id, mappings, reason }
+   */
+  async migrate(req, res, next) {
+    try {
+      const migration = await CurriculumVersionService.migrateEnrollment(
+        parseInt(req.params.id, 10),
+        req.body,
+        req.user.id
+      );
+      return res.status(201).json({
+        success: true,
+        data: migration,
+        message: 'Matrícula migrada para a nova matriz curricular',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new CurriculumVersionController();
@@ -0,0 +1,38 @@
+/**
+ * Arquivo: backend/src/controllers/degreeAudit.controller.js
+ * Descrição: Controlador da integralização curricular do aluno
+ * Feature: feat-131 - Integralização curricular do aluno
+ * Criado em: 2026-10-19
+ */
+
+const { AppError } = require('../middlewares/error.middleware');
+const DegreeAuditService = require('../services/degreeAudit.service');
+
+class DegreeAuditController {
+  /**
+   * GET /api/v1/students/:studentId/degree-audit?course_id=
+   * Disciplinas concluídas, em andamento e pendentes do aluno e a carga horária restante
+   * (admin ou o próprio aluno; sem course_id, usa a matrícula mais recente)
+   */
+  async getStudentAudit(req, res, next) {
+    try {
+      const studentId = parseInt(req.params.studentId, 10);
+      const courseId = req.query.course_id ? parseInt(req.query.course_id, 10) : null;
+
+      if (req.user.role === 'student' && req.user.student_id !== studentId) {
+        throw new AppError(
+          'Você não tem permissão para consultar a integralização deste aluno',
+          403,
+          'FORBIDDEN'
+        );
+      }
+
+      const audit = await DegreeAuditService.getStudentAudit(studentId, courseId);
+      return res.json({ success: true, data: audit });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new DegreeAuditController();
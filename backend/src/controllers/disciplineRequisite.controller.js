@@ -0,0 +1,94 @@
+/**
+ * Arquivo: backend/src/controllers/disciplineRequisite.controller.js
+ * Descrição: Controlador dos pré-requisitos e co-requisitos entre disciplinas
+ * Feature: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Criado em: 2026-10-19
+ */
+
+const { AppError } = require('../middlewares/error.middleware');
+const DisciplineRequisiteService = require('../services/disciplineRequisite.service');
+
+class DisciplineRequisiteController {
+  /**
+   * GET /api/v1/courses/:courseId/requisites
+   * Lista os requisitos da grade do curso
+   */
+  async listByCourse(req, res, next) {
+    try {
+      const requisites = await DisciplineRequisiteService.listByCourse(
+        parseInt(req.params.courseId, 10)
+      );
+      return res.json({ success: true, data: requisites });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/courses/:courseId/requisites
+   * Cadastra um requisito entre duas disciplinas da grade
+   *
+   * Body: { discipline_id, required_discipline_id, type: 'prerequisite' | 'corequisite' }
+   */
+  async create(req, res, next) {
+    try {
+      const requisite = await DisciplineRequisiteService.create(
+        parseInt(req.params.courseId, 10),
+        req.body
+      );
+      return res.status(201).json({
+        success: true,
+        data: requisite,
+        message: 'Requisito cadastrado com sucesso',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/courses/:courseId/requisites/:id
+   * Remove um requisito da grade
+   */
+  async remove(req, res, next) {
+    try {
+      await DisciplineRequisiteService.remove(
+        parseInt(req.params.courseId, 10),
+        parseInt(req.params.id, 10)
+      );
+      return res.json({ success: true, message: 'Requisito removido com sucesso' });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/students/:studentId/requisites?course_id=
+   * Situação do aluno em relação aos requisitos da grade do curso
+   * (admin ou o próprio aluno)
+   */
+  async getStudentReport(req, res, next) {
+    try {
+      const studentId = parseInt(req.params.studentId, 10);
+      const courseId = parseInt(req.query.course_id, 10);
+
+      if (req.user.role === 'student' && req.user.student_id !== studentId) {
+        throw new AppError(
+          'Você não tem permissão para consultar os requisitos deste aluno',
+          403,
+          'FORBIDDEN'
+        );
+      }
+      if (!courseId) {
+        throw new AppError('O parâmetro course_id é obrigatório', 400, 'VALIDATION_ERROR');
+      }
+
+      const report = await DisciplineRequisiteService.getStudentReport(studentId, courseId);
+      return res.json({ success: true, data: report });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new DisciplineRequisiteController();
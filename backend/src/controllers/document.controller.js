@@ -3,6 +3,8 @@
  * Descrição: Controller para endpoints de documentos
  * Feature: feat-043 - Criar DocumentController e rotas
  * Criado em: 2025-10-30
+ * Modificado: feat-132 - Documentos de professores no fluxo de revisão
+ * Modificado: feat-134 - Documentos obrigatórios por curso
  *
  * Responsabilidades:
  * - Manipular requisições HTTP de documentos
@@ -15,6 +17,24 @@ const logger = require('../utils/logger');
 const DocumentService = require('../services/document.service');
 const { AppError } = require('../middlewares/error.middleware');
 
+/**
+ * Tipos de dono aceitos nos filtros (owner_type)
+ */
+const VALID_OWNER_TYPES = ['student', 'teacher'];
+
+/**
+ * Dono dos documentos do usuário autenticado (aluno ou professor vinculado à conta)
+ *
+ * @param {Object} user - req.user
+ * @returns {{ ownerType: 'student'|'teacher', ownerId: number }|null} null para contas sem
+ *   aluno ou professor vinculado
+ */
+function getDocumentOwner(user) {
+  if (user.student_id) return { ownerType: 'student', ownerId: user.student_id };
+  if (user.teacher_id) return { ownerType: 'teacher', ownerId: user.teacher_id };
+  return null;
+}
+
 /**
  * DocumentController
  * Controller que encapsula handlers para endpoints de documento
@@ -89,13 +109,14 @@ class DocumentController {
         });
       }
 
-      // Validar que usuário é estudante e tem student_id
-      if (!req.user.student_id) {
+      // Validar que usuário é estudante ou professor (student_id/teacher_id)
+      const owner = getDocumentOwner(req.user);
+      if (!owner) {
         return res.status(403).json({
           success: false,
           error: {
             code: 'FORBIDDEN',
-            message: 'Apenas estudantes podem enviar documentos',
+            message: 'Apenas alunos e professores podem enviar documentos',
           },
         });
       }
@@ -107,7 +128,8 @@ class DocumentController {
 
       // Chamar serviço para fazer upload
       const document = await DocumentService.upload({
-        studentId: req.user.student_id,
+        studentId: owner.ownerType === 'student' ? owner.ownerId : undefined,
+        teacherId: owner.ownerType === 'teacher' ? owner.ownerId : undefined,
         documentTypeId: parseInt(document_type_id),
         filePath: relativePath,
         fileName: req.file.filename,
@@ -118,7 +140,8 @@ class DocumentController {
       logger.info('[DocumentController] Upload realizado com sucesso', {
         documentId: document.id,
         userId: req.user.id,
-        studentId: req.user.student_id,
+        ownerType: owner.ownerType,
+        ownerId: owner.ownerId,
       });
 
       res.status(201).json({
@@ -140,7 +163,8 @@ class DocumentController {
    *
    * Query params:
    * - status (optional): pending, approved, rejected
-   * - userId (optional): Filtrar por ID do usuário
+   * - studentId / teacherId (optional): Filtrar pelo dono do documento
+   * - ownerType (optional): student ou teacher (documentos de alunos ou de professores)
    * - page (optional): Página (padrão: 1)
    * - limit (optional): Itens por página (padrão: 20)
    * - orderBy (optional): Campo para ordenar (padrão: created_at)
@@ -174,6 +198,8 @@ class DocumentController {
       const {
         status,
         studentId,
+        teacherId,
+        ownerType,
         matricula,
         page = 1,
         limit = 20,
@@ -193,6 +219,16 @@ class DocumentController {
         });
       }
 
+      if (ownerType && !VALID_OWNER_TYPES.includes(ownerType)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `ownerType deve ser um dos: ${VALID_OWNER_TYPES.join(', ')}`,
+          },
+        });
+      }
+
       const validOrders = ['ASC', 'DESC'];
       if (order && !validOrders.includes(order.toUpperCase())) {
         return res.status(400).json({
@@ -208,6 +244,8 @@ class DocumentController {
       const result = await DocumentService.list({
         status,
         studentId: studentId ? parseInt(studentId) : undefined,
+        teacherId: teacherId ? parseInt(teacherId) : undefined,
+        ownerType: ownerType || undefined,
         matricula: matricula ? parseInt(matricula) : undefined,
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 20,
@@ -506,7 +544,9 @@ class DocumentController {
    * - ID válido na URL
    *
    * @param {Object} req - Request do Express
-   * @param {Object} req.params.id - ID do usuário
+   * @param {Object} req.params.id - ID do estudante (ou do professor, com owner_type=teacher)
+   * @param {string} req.query.owner_type - student (padrão) ou teacher
+   * @param {string} [req.query.course_id] - Curso do aluno (inclui os documentos exigidos pelo curso)
    * @param {Object} res - Response do Express
    * @param {Function} next - Próximo middleware/handler
    *
@@ -514,7 +554,7 @@ class DocumentController {
    *
    * @example
    * // Request
-   * GET /api/v1/documents/5/validate
+   * GET /api/v1/documents/5/validate?owner_type=teacher
    * Authorization: Bearer <token>
    *
    * // Response (200 OK)
@@ -543,9 +583,21 @@ class DocumentController {
         });
       }
 
-      const validation = await DocumentService.validateRequiredDocuments(
-        parseInt(id)
-      );
+      const ownerType = req.query.owner_type || 'student';
+      if (!VALID_OWNER_TYPES.includes(ownerType)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `owner_type deve ser um dos: ${VALID_OWNER_TYPES.join(', ')}`,
+          },
+        });
+      }
+
+      const courseId = parseInt(req.query.course_id, 10) || null;
+      const validation = await DocumentService.validateRequiredDocuments(parseInt(id), ownerType, {
+        courseId,
+      });
 
       res.json({
         success: true,
@@ -715,6 +767,79 @@ class DocumentController {
     }
   }
 
+  /**
+   * GET /api/v1/documents/teacher/:teacherId
+   * Listar documentos de um professor específico
+   *
+   * Requisitos:
+   * - Usuário autenticado
+   * - Permissão: próprio professor ou admin
+   *
+   * Query params:
+   * - page (optional): Página (padrão: 1)
+   * - limit (optional): Itens por página (padrão: 20)
+   *
+   * @param {Object} req - Request do Express
+   * @param {number} req.params.teacherId - ID do professor cujos documentos serão listados
+   * @param {Object} res - Response do Express
+   * @param {Function} next - Próximo middleware/handler
+   *
+   * @returns {void} Resposta JSON com lista de documentos do professor
+   */
+  async getTeacherDocuments(req, res, next) {
+    try {
+      const { teacherId } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      // Validar ID do professor
+      if (isNaN(teacherId) || parseInt(teacherId) <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'ID do professor deve ser um número inteiro positivo',
+          },
+        });
+      }
+
+      const teacherIdInt = parseInt(teacherId);
+
+      // Validar permissão: apenas admin ou o próprio professor pode ver os documentos
+      if (req.user.role !== 'admin' && req.user.teacher_id !== teacherIdInt) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Você não tem permissão para visualizar os documentos deste professor',
+          },
+        });
+      }
+
+      // Validar paginação
+      const pageInt = Math.max(1, parseInt(page) || 1);
+      const limitInt = Math.max(1, Math.min(100, parseInt(limit) || 20)); // Limitar a 100 itens por página
+
+      const result = await DocumentService.getDocumentsByOwner('teacher', teacherIdInt, {
+        page: pageInt,
+        limit: limitInt,
+      });
+
+      logger.info('[DocumentController] Documentos do professor listados', {
+        teacherId: teacherIdInt,
+        requestedBy: req.user.id,
+        role: req.user.role,
+        total: result.total,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * GET /api/v1/documents/my-documents
    * Listar documentos do usuário autenticado (próprios documentos)
@@ -773,13 +898,14 @@ class DocumentController {
     try {
       const { page = 1, limit = 20 } = req.query;
 
-      // Validar que usuário é estudante e tem student_id
-      if (!req.user.student_id) {
+      // Validar que usuário é estudante ou professor (student_id/teacher_id)
+      const owner = getDocumentOwner(req.user);
+      if (!owner) {
         return res.status(403).json({
           success: false,
           error: {
             code: 'FORBIDDEN',
-            message: 'Apenas estudantes podem visualizar documentos',
+            message: 'Apenas alunos e professores podem visualizar documentos',
           },
         });
       }
@@ -789,14 +915,15 @@ class DocumentController {
       const limitInt = Math.max(1, Math.min(100, parseInt(limit) || 20)); // Limitar a 100 itens por página
 
       // Chamar serviço para listar próprios documentos
-      const result = await DocumentService.getDocumentsByStudent(req.user.student_id, {
+      const result = await DocumentService.getDocumentsByOwner(owner.ownerType, owner.ownerId, {
         page: pageInt,
         limit: limitInt,
       });
 
-      logger.info('[DocumentController] Documentos do estudante autenticado listados', {
+      logger.info('[DocumentController] Documentos do usuário autenticado listados', {
         userId: req.user.id,
-        studentId: req.user.student_id,
+        ownerType: owner.ownerType,
+        ownerId: owner.ownerId,
         role: req.user.role,
         total: result.total,
       });
@@ -855,14 +982,12 @@ class DocumentController {
       }
 
       // Chamar serviço para fazer download com validação de permissão
-      // Para estudantes, passa student_id; para admin, passa null
-      const studentId = req.user.student_id || null;
-      const file = await DocumentService.download(parseInt(id), studentId, req.user.role);
+      // (dono do documento pelo student_id/teacher_id do usuário, ou admin)
+      const file = await DocumentService.download(parseInt(id), req.user);
 
       logger.info('[DocumentController] Visualização de documento realizada', {
         documentId: id,
         viewedBy: req.user.id,
-        studentId: studentId,
         fileName: file.fileName,
       });
 
@@ -936,14 +1061,12 @@ class DocumentController {
       }
 
       // Chamar serviço para fazer download com validação de permissão
-      // Para estudantes, passa student_id; para admin, passa null
-      const studentId = req.user.student_id || null;
-      const file = await DocumentService.download(parseInt(id), studentId, req.user.role);
+      // (dono do documento pelo student_id/teacher_id do usuário, ou admin)
+      const file = await DocumentService.download(parseInt(id), req.user);
 
       logger.info('[DocumentController] Download de documento realizado', {
         documentId: id,
         downloadedBy: req.user.id,
-        studentId: studentId,
         fileName: file.fileName,
       });
 
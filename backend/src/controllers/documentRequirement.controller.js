@@ -0,0 +1,115 @@
+/**
+ * Arquivo: backend/src/controllers/documentRequirement.controller.js
+ * Descrição: Controlador dos documentos obrigatórios por curso e por tipo de curso
+ * Feature: feat-134 - Documentos obrigatórios por curso
+ * Criado em: 2026-10-19
+ */
+
+const DocumentRequirementService = require('../services/documentRequirement.service');
+
+class DocumentRequirementController {
+  /**
+   * GET /api/v1/courses/:courseId/document-requirements
+   * Documentos obrigatórios dos alunos do curso, com a origem de cada um
+   */
+  async listByCourse(req, res, next) {
+    try {
+      const result = await DocumentRequirementService.listByCourse(
+        parseInt(req.params.courseId, 10)
+      );
+      return res.json({ success: true, data: result });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/courses/:courseId/document-requirements
+   * Torna um tipo de documento obrigatório para o curso
+   *
+   * Body: { document_type_id }
+   */
+  async createForCourse(req, res, next) {
+    try {
+      const requirement = await DocumentRequirementService.create({
+        document_type_id: req.body.document_type_id,
+        course_id: parseInt(req.params.courseId, 10),
+      });
+      return res.status(201).json({
+        success: true,
+        data: requirement,
+        message: 'Documento obrigatório cadastrado para o curso',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/courses/:courseId/document-requirements/:id
+   * Remove uma regra do curso
+   */
+  async removeFromCourse(req, res, next) {
+    try {
+      await DocumentRequirementService.remove(
+        parseInt(req.params.id, 10),
+        parseInt(req.params.courseId, 10)
+      );
+      return res.json({ success: true, message: 'Documento obrigatório removido do curso' });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/document-requirements?course_type=
+   * Regras por tipo de curso
+   */
+  async listByCourseType(req, res, next) {
+    try {
+      const requirements = await DocumentRequirementService.listByCourseType(
+        req.query.course_type || null
+      );
+      return res.json({ success: true, data: requirements });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/document-requirements
+   * Torna um tipo de documento obrigatório para todos os cursos de um tipo
+   *
+   * Body: { document_type_id, course_type }
+   */
+  async createForCourseType(req, res, next) {
+    try {
+      const requirement = await DocumentRequirementService.create({
+        document_type_id: req.body.document_type_id,
+        course_type: req.body.course_type,
+      });
+      return res.status(201).json({
+        success: true,
+        data: requirement,
+        message: 'Documento obrigatório cadastrado para o tipo de curso',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/document-requirements/:id
+   * Remove uma regra (de curso ou de tipo de curso)
+   */
+  async remove(req, res, next) {
+    try {
+      await DocumentRequirementService.remove(parseInt(req.params.id, 10));
+      return res.json({ success: true, message: 'Documento obrigatório removido' });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new DocumentRequirementController();
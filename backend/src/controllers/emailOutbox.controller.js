@@ -0,0 +1,87 @@
+/**
+ * Arquivo: backend/src/controllers/emailOutbox.controller.js
+ * Descrição: Controlador do histórico de entrega dos emails
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ */
+
+const EmailOutboxService = require('../services/emailOutbox.service');
+const { AppError } = require('../middlewares/error.middleware');
+const { EMAIL_OUTBOX_STATUS } = require('../utils/constants');
+
+/**
+ * Lê os filtros do histórico da query string
+ *
+ * @param {Object} query - req.query
+ * @returns {Object} Filtros para EmailOutboxService.list
+ * @throws {AppError} 400 se o status for inválido
+ */
+function parseFilters(query) {
+  const { status, template, email, page = 1, limit = 20 } = query;
+  const statuses = Object.values(EMAIL_OUTBOX_STATUS);
+
+  if (status && !statuses.includes(status)) {
+    throw new AppError(`status deve ser um dos: ${statuses.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  return {
+    status,
+    template,
+    email: email ? String(email).trim() : undefined,
+    page: parseInt(page, 10) || 1,
+    limit: Math.min(parseInt(limit, 10) || 20, 100),
+  };
+}
+
+class EmailOutboxController {
+  /**
+   * GET /api/v1/emails?status=&template=&email=&user_id=&page=&limit=
+   * Histórico de entrega de todos os emails
+   */
+  async list(req, res, next) {
+    try {
+      const filters = parseFilters(req.query);
+      const userId = req.query.user_id ? parseInt(req.query.user_id, 10) : undefined;
+
+      const result = await EmailOutboxService.list({ ...filters, userId });
+      return res.json({ success: true, data: result });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/users/:userId/emails?status=&template=&page=&limit=
+   * Histórico de entrega dos emails de um usuário
+   */
+  async listByUser(req, res, next) {
+    try {
+      const result = await EmailOutboxService.listByUser(
+        parseInt(req.params.userId, 10),
+        parseFilters(req.query)
+      );
+      return res.json({ success: true, data: result });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/emails/:id/retry
+   * Reenfileira um email com as tentativas esgotadas
+   */
+  async retry(req, res, next) {
+    try {
+      const email = await EmailOutboxService.retry(parseInt(req.params.id, 10));
+      return res.json({
+        success: true,
+        data: email,
+        message: 'Email reenfileirado para envio',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new EmailOutboxController();
@@ -2,6 +2,9 @@
  * Arquivo: backend/src/controllers/enrollment.controller.js
  * Descrição: Controlador para o CRUD de matrículas de alunos em cursos
  * Feature: feat-039 - Criar EnrollmentController e rotas
+ * Modificado: feat-128 - Trancamento, cancelamento com motivo e reativação da matrícula
+ * Modificado: feat-129 - Pré-requisitos exigidos no avanço manual de semestre
+ * Modificado: feat-134 - Documentos obrigatórios por curso
  * Criado em: 2025-10-30
  *
  * RESPONSABILIDADES:
@@ -17,6 +20,9 @@
  * - GET    /students/:studentId/enrollments  - Listar matrículas de um aluno (feat-040)
  * - GET    /enrollments/:id                  - Buscar matrícula por ID
  * - PUT    /enrollments/:id/status           - Alterar status (admin only)
+ * - POST   /enrollments/:id/lock             - Trancar matrícula (admin only, feat-128)
+ * - POST   /enrollments/:id/cancel           - Cancelar matrícula com motivo (admin only, feat-128)
+ * - POST   /enrollments/:id/reactivate       - Reativar matrícula trancada (admin only, feat-128)
  * - DELETE /enrollments/:id                  - Deletar matrícula (soft delete)
  */
 
@@ -286,7 +292,8 @@ class EnrollmentController {
    *
    * RESTRIÇÕES:
    * - Apenas admins podem alterar status
-   * - Transição: pending → active (com validação de documentos)
+   * - Transição: pending → active (com validação dos documentos obrigatórios do curso;
+   *   skip_document_validation: true ativa sem exigir os documentos)
    * - Transição: active/pending → cancelled
    *
    * FLUXO:
@@ -332,13 +339,16 @@ class EnrollmentController {
 
       const { id } = req.params;
       const { status } = req.body;
+      const skipDocumentValidation = req.body.skip_document_validation === true;
 
       logger.info(
         `[EnrollmentController] Atualizando status da matrícula - ID: ${id}, Novo Status: ${status}`
       );
 
       // 2. Chamar service
-      const enrollment = await EnrollmentService.updateStatus(id, status);
+      const enrollment = await EnrollmentService.updateStatus(id, status, {
+        skipDocumentValidation,
+      });
 
       logger.info(
         `[EnrollmentController] Status atualizado com sucesso - ID: ${id}, Novo Status: ${status}`
@@ -364,6 +374,7 @@ class EnrollmentController {
    * FLUXO:
    * 1. Valida entrada
    * 2. Chama EnrollmentService.updateCurrentSemester(id, currentSemester)
+   *    (avançar sem os pré-requisitos exige skip_requisite_validation: true)
    * 3. Retorna matrícula atualizada
    *
    * @param {import('express').Request} req - Requisição HTTP
@@ -404,13 +415,16 @@ class EnrollmentController {
 
       const { id } = req.params;
       const { currentSemester } = req.body;
+      const skipRequisiteValidation = req.body.skip_requisite_validation === true;
 
       logger.info(
         `[EnrollmentController] Atualizando semestre da matrícula - ID: ${id}, Novo Semestre: ${currentSemester}`
       );
 
       // 2. Chamar service
-      const enrollment = await EnrollmentService.updateCurrentSemester(id, currentSemester);
+      const enrollment = await EnrollmentService.updateCurrentSemester(id, currentSemester, {
+        skipRequisiteValidation,
+      });
 
       logger.info(
         `[EnrollmentController] Semestre atualizado com sucesso - ID: ${id}, Novo Semestre: ${currentSemester}`
@@ -430,6 +444,118 @@ class EnrollmentController {
     }
   }
 
+  /**
+   * Tranca uma matrícula (POST /enrollments/:id/lock)
+   *
+   * Remove o aluno das turmas do curso no ano letivo vigente; o lançamento de notas
+   * fica bloqueado até a reativação.
+   *
+   * @param {import('express').Request} req - Requisição HTTP
+   * @param {import('express').Response} res - Resposta HTTP
+   * @param {import('express').NextFunction} next - Próximo middleware
+   *
+   * @example
+   * POST /api/enrollments/1/lock
+   * {
+   *   "start_date": "2026-08-01",
+   *   "expected_return_date": "2027-02-01",
+   *   "reason": "Intercâmbio"
+   * }
+   */
+  async lock(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { start_date, expected_return_date, reason } = req.body;
+
+      logger.info(
+        `[EnrollmentController] Trancando matrícula - ID: ${id}, Retorno previsto: ${expected_return_date}`
+      );
+
+      const enrollment = await EnrollmentService.lock(id, {
+        start_date,
+        expected_return_date,
+        reason,
+      });
+
+      return res.json({
+        success: true,
+        message: 'Matrícula trancada com sucesso',
+        data: enrollment,
+      });
+    } catch (error) {
+      logger.error(`[EnrollmentController] Erro ao trancar matrícula: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Cancela uma matrícula registrando o motivo (POST /enrollments/:id/cancel)
+   *
+   * @param {import('express').Request} req - Requisição HTTP
+   * @param {import('express').Response} res - Resposta HTTP
+   * @param {import('express').NextFunction} next - Próximo middleware
+   *
+   * @example
+   * POST /api/enrollments/1/cancel
+   * {
+   *   "reason": "Desistência do curso"
+   * }
+   */
+  async cancel(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      logger.info(`[EnrollmentController] Cancelando matrícula - ID: ${id}`);
+
+      const enrollment = await EnrollmentService.cancel(id, { reason: req.body.reason });
+
+      return res.json({
+        success: true,
+        message: 'Matrícula cancelada com sucesso',
+        data: enrollment,
+      });
+    } catch (error) {
+      logger.error(`[EnrollmentController] Erro ao cancelar matrícula: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Reativa uma matrícula trancada (POST /enrollments/:id/reactivate)
+   *
+   * Sem current_semester o aluno retorna ao semestre em que trancou.
+   *
+   * @param {import('express').Request} req - Requisição HTTP
+   * @param {import('express').Response} res - Resposta HTTP
+   * @param {import('express').NextFunction} next - Próximo middleware
+   *
+   * @example
+   * POST /api/enrollments/1/reactivate
+   * {
+   *   "current_semester": 3
+   * }
+   */
+  async reactivate(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      logger.info(`[EnrollmentController] Reativando matrícula - ID: ${id}`);
+
+      const enrollment = await EnrollmentService.reactivate(id, {
+        current_semester: req.body.current_semester,
+      });
+
+      return res.json({
+        success: true,
+        message: `Matrícula reativada no ${enrollment.current_semester}º semestre`,
+        data: enrollment,
+      });
+    } catch (error) {
+      logger.error(`[EnrollmentController] Erro ao reativar matrícula: ${error.message}`);
+      next(error);
+    }
+  }
+
   /**
    * Busca a matrícula pendente do aluno autenticado (GET /enrollments/my-pending)
    *
@@ -8,6 +8,8 @@
  * - Lançar notas individuais (POST /grades)
  * - Atualizar notas existentes (PUT /grades/:id)
  * - Listar notas de uma avaliação (GET /evaluations/:id/grades)
+ * - Consultar média final e situação por disciplina (GET /grades/.../results)
+ * - Consultar alunos em recuperação por disciplina (GET /grades/.../recovery)
  * - Validar permissões (apenas professor que leciona a disciplina)
  * - Tratamento robusto de erros
  */
@@ -29,6 +31,49 @@ class GradeController {
     this.batchCreate = this.batchCreate.bind(this);
     this.getMyGrades = this.getMyGrades.bind(this);
     this.getGradesByStudent = this.getGradesByStudent.bind(this);
+    this.getMyResults = this.getMyResults.bind(this);
+    this.getStudentResults = this.getStudentResults.bind(this);
+    this.getClassResults = this.getClassResults.bind(this);
+    this.getClassRecovery = this.getClassRecovery.bind(this);
+  }
+
+  /**
+   * Verifica se o usuário pode consultar os resultados de uma turma/disciplina
+   *
+   * Admin sempre pode; professor apenas se leciona a disciplina na turma.
+   *
+   * @param {object} user - Usuário autenticado (req.user)
+   * @param {number} classId - ID da turma
+   * @param {number} disciplineId - ID da disciplina
+   * @returns {Promise<string|null>} Mensagem de erro (403) ou null se permitido
+   *
+   * @private
+   */
+  async _getClassDisciplineAccessError(user, classId, disciplineId) {
+    if (user.role === 'admin') return null;
+
+    if (user.role !== 'teacher') {
+      return 'Apenas professores e administradores podem visualizar resultados da turma';
+    }
+
+    const teacher = await User.findByPk(user.id, {
+      attributes: ['teacher_id'],
+    });
+
+    const classTeacher =
+      teacher && teacher.teacher_id
+        ? await ClassTeacher.findOne({
+            where: {
+              class_id: classId,
+              teacher_id: teacher.teacher_id,
+              discipline_id: disciplineId,
+            },
+          })
+        : null;
+
+    return classTeacher
+      ? null
+      : 'Você não tem permissão para visualizar resultados desta disciplina';
   }
 
   /**
@@ -887,6 +932,195 @@ class GradeController {
       next(error);
     }
   }
+
+  /**
+   * Obtém a média final e a situação do aluno autenticado em cada disciplina
+   *
+   * GET /api/grades/my-results
+   *
+   * Query params (opcionais):
+   * - ?class_id=2 - Restringe a uma turma
+   */
+  async getMyResults(req, res, next) {
+    try {
+      const { id: userId, role } = req.user;
+
+      if (role !== 'student') {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Apenas alunos podem acessar seus próprios resultados',
+          },
+        });
+      }
+
+      const user = await User.findByPk(userId, {
+        attributes: ['id', 'student_id'],
+      });
+
+      if (!user || !user.student_id) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'STUDENT_NOT_FOUND',
+            message: 'Registro de aluno não encontrado para este usuário',
+          },
+        });
+      }
+
+      const filters = {};
+      const classId = parseInt(req.query.class_id, 10);
+      if (!isNaN(classId) && classId > 0) filters.class_id = classId;
+
+      const results = await GradeService.getStudentResults(user.student_id, filters);
+
+      res.status(200).json({
+        success: true,
+        data: results,
+        count: results.length,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtém a média final e a situação de um aluno em cada disciplina (Admin Only)
+   *
+   * GET /api/grades/student/:studentId/results
+   */
+  async getStudentResults(req, res, next) {
+    try {
+      const { id: userId, role } = req.user;
+      const studentId = parseInt(req.params.studentId, 10);
+
+      if (role !== 'admin') {
+        logger.warn('[GradeController.getStudentResults] Acesso negado', { userId, role });
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Apenas administradores podem acessar resultados de outros alunos',
+          },
+        });
+      }
+
+      if (isNaN(studentId) || studentId < 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_REQUEST',
+            message: 'ID do estudante inválido',
+          },
+        });
+      }
+
+      const filters = {};
+      const classId = parseInt(req.query.class_id, 10);
+      if (!isNaN(classId) && classId > 0) filters.class_id = classId;
+
+      const results = await GradeService.getStudentResults(studentId, filters);
+
+      res.status(200).json({
+        success: true,
+        data: results,
+        count: results.length,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtém a média final e a situação de todos os alunos de uma turma em uma disciplina
+   *
+   * GET /api/grades/class/:classId/discipline/:disciplineId/results
+   *
+   * Permissões: admin ou professor que leciona a disciplina na turma
+   */
+  async getClassResults(req, res, next) {
+    try {
+      const classId = parseInt(req.params.classId, 10);
+      const disciplineId = parseInt(req.params.disciplineId, 10);
+
+      if (isNaN(classId) || classId < 1 || isNaN(disciplineId) || disciplineId < 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_REQUEST',
+            message: 'ID da turma e ID da disciplina são obrigatórios',
+          },
+        });
+      }
+
+      const accessError = await this._getClassDisciplineAccessError(
+        req.user,
+        classId,
+        disciplineId
+      );
+      if (accessError) {
+        return res.status(403).json({
+          success: false,
+          error: { code: 'FORBIDDEN', message: accessError },
+        });
+      }
+
+      const results = await GradeService.getClassDisciplineResults(classId, disciplineId);
+
+      res.status(200).json({
+        success: true,
+        data: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lista os alunos em recuperação de uma turma em uma disciplina
+   *
+   * GET /api/grades/class/:classId/discipline/:disciplineId/recovery
+   *
+   * Permissões: admin ou professor que leciona a disciplina na turma
+   */
+  async getClassRecovery(req, res, next) {
+    try {
+      const classId = parseInt(req.params.classId, 10);
+      const disciplineId = parseInt(req.params.disciplineId, 10);
+
+      if (isNaN(classId) || classId < 1 || isNaN(disciplineId) || disciplineId < 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_REQUEST',
+            message: 'ID da turma e ID da disciplina são obrigatórios',
+          },
+        });
+      }
+
+      const accessError = await this._getClassDisciplineAccessError(
+        req.user,
+        classId,
+        disciplineId
+      );
+      if (accessError) {
+        return res.status(403).json({
+          success: false,
+          error: { code: 'FORBIDDEN', message: accessError },
+        });
+      }
+
+      const recovery = await GradeService.getClassRecovery(classId, disciplineId);
+
+      res.status(200).json({
+        success: true,
+        data: recovery,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new GradeController();
@@ -0,0 +1,45 @@
+/**
+ * Arquivo: backend/src/controllers/notification.controller.js
+ * Descrição: Controlador das preferências de notificação do usuário logado
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ */
+
+const NotificationService = require('../services/notification.service');
+
+class NotificationController {
+  /**
+   * GET /api/v1/notifications/preferences
+   * Eventos notificados ao perfil do usuário e se o email de cada um está ativo
+   */
+  async getPreferences(req, res, next) {
+    try {
+      const preferences = await NotificationService.getPreferences(req.user.id);
+      return res.json({ success: true, data: preferences });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * PUT /api/v1/notifications/preferences
+   * Body: { preferences: [{ event: 'grade.published', email_enabled: false }] }
+   */
+  async updatePreferences(req, res, next) {
+    try {
+      const preferences = await NotificationService.updatePreferences(
+        req.user.id,
+        req.body.preferences
+      );
+      return res.json({
+        success: true,
+        data: preferences,
+        message: 'Preferências de notificação atualizadas',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new NotificationController();
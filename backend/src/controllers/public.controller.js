@@ -1,24 +1,154 @@
 /**
  * Arquivo: backend/src/controllers/public.controller.js
  * Descrição: Controller para endpoints públicos (sem autenticação)
- *            incluindo a verificação de autenticidade de atestados de matrícula.
+ *            incluindo a verificação de autenticidade de qualquer documento assinado
+ *            (registro de documentos assinados), de atestados de matrícula e de históricos escolares.
  * Feature: Atestado de Matrícula com Assinatura Eletrônica
+ * Modificado: feat-116 - Histórico Escolar com Assinatura Eletrônica
+ * Modificado: feat-118 - Verificação pública de documentos assinados
+ * Modificado: feat-121 - Histórico identificado pelo gerador configurado no tipo de solicitação
  * Criado em: 2026-02-24
  */
 
+const { Op } = require('sequelize');
 const { Request, RequestType, Student, Enrollment, Course } = require('../models');
+const HistoricoEscolarService = require('../services/historicoEscolar.service');
+const SignedDocumentService = require('../services/signedDocument.service');
+
+const HASH_PATTERN = /^[0-9a-f]{16}$/i;
+
+/**
+ * Resposta de documento revogado (hash autêntico, mas o documento não é mais válido)
+ *
+ * @param {object} res - Objeto de resposta do Express
+ * @param {object} document - Documento revogado (SignedDocument)
+ * @returns {object}
+ */
+function sendRevoked(res, document) {
+  console.log(
+    `[PublicController] Verificação - Hash: ${document.signature_hash} - Documento revogado`
+  );
+
+  return res.json({
+    success: true,
+    valid: false,
+    revoked: true,
+    message:
+      'Documento revogado. Este documento foi emitido por este sistema, mas não é mais válido.',
+    data: {
+      documentKind: document.document_kind,
+      documentType: document.title,
+      issuedAt: document.issued_at,
+      revokedAt: document.revoked_at,
+      revocationReason: document.revocation_reason,
+      signatureHash: document.signature_hash,
+    },
+  });
+}
 
 /**
  * PublicController
  *
  * Responsabilidades:
+ * - Fornecer endpoint público para verificar qualquer documento assinado pelo hash
  * - Fornecer endpoint público para verificar autenticidade de atestados
+ * - Fornecer endpoint público para verificar autenticidade de históricos escolares
  * - Retornar dados do atestado sem expor informações sensíveis
  * - Acessível sem autenticação (JWT não exigido)
  */
 class PublicController {
+  /**
+   * Verifica a autenticidade de qualquer documento assinado pelo hash
+   * (atestados, históricos, declarações, certificados e contratos aceitos).
+   *
+   * @route  GET /api/v1/public/verify/:hash
+   * @access Público (sem autenticação)
+   *
+   * @param {object} req - Objeto de requisição do Express
+   * @param {object} res - Objeto de resposta do Express
+   * @returns {Promise<object>} Dados do documento, aviso de revogação ou mensagem de erro
+   *
+   * @example
+   * // Resposta válida:
+   * {
+   *   "success": true,
+   *   "valid": true,
+   *   "revoked": false,
+   *   "data": {
+   *     "documentKind": "contrato",
+   *     "documentType": "Contrato de Matrícula",
+   *     "ownerName": "João Silva",
+   *     "issuedAt": "2026-10-19T10:00:00.000Z",
+   *     "signatureHash": "a1b2c3d4e5f67890"
+   *   }
+   * }
+   */
+  async verifyDocument(req, res) {
+    try {
+      const { hash } = req.params;
+
+      if (!hash || !HASH_PATTERN.test(hash)) {
+        return res.status(400).json({
+          success: false,
+          valid: false,
+          error: {
+            code: 'INVALID_HASH',
+            message: 'Hash de assinatura inválido. O hash deve ter 16 caracteres hexadecimais.',
+          },
+        });
+      }
+
+      const document = await SignedDocumentService.findByHash(hash.toLowerCase());
+
+      if (!document) {
+        return res.status(200).json({
+          success: true,
+          valid: false,
+          revoked: false,
+          message:
+            'Documento não encontrado. O código informado não corresponde a nenhum documento emitido por este sistema.',
+        });
+      }
+
+      if (document.revoked) {
+        return sendRevoked(res, document);
+      }
+
+      console.log(`[PublicController] Verificação de documento - Hash: ${hash} - Válido: true`);
+
+      return res.json({
+        success: true,
+        valid: true,
+        revoked: false,
+        message: 'Documento válido. Este documento foi emitido e é autêntico.',
+        data: {
+          documentKind: document.document_kind,
+          documentType: document.title,
+          ownerName: SignedDocumentService.getOwnerName(document),
+          studentMatricula: document.student ? document.student.matricula : null,
+          issuedAt: document.issued_at,
+          signatureHash: document.signature_hash,
+        },
+      });
+    } catch (error) {
+      console.error('[PublicController] Erro ao verificar documento:', error);
+
+      return res.status(500).json({
+        success: false,
+        valid: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Erro ao verificar o documento. Tente novamente.',
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        },
+      });
+    }
+  }
+
   /**
    * Verifica a autenticidade de um atestado de matrícula pelo hash.
+   * Também valida os demais documentos gerados ao aprovar solicitações
+   * (declaração de frequência, certificado de conclusão), exceto o histórico escolar.
    *
    * Retorna dados básicos do atestado se o hash for válido, ou
    * informa que o documento não foi encontrado.
@@ -36,6 +166,7 @@ class PublicController {
    *   "success": true,
    *   "valid": true,
    *   "data": {
+   *     "documentType": "Matrícula - Pedido de Atestado",
    *     "studentName": "João Silva",
    *     "courseName": "Administração",
    *     "issuedAt": "2026-02-24T10:00:00.000Z",
@@ -48,7 +179,7 @@ class PublicController {
       const { hash } = req.params;
 
       // Validar formato do hash (16 chars hexadecimais)
-      if (!hash || !/^[0-9a-f]{16}$/i.test(hash)) {
+      if (!hash || !HASH_PATTERN.test(hash)) {
         return res.status(400).json({
           success: false,
           valid: false,
@@ -70,6 +201,13 @@ class PublicController {
           {
             association: 'requestType',
             attributes: ['id', 'name'],
+            // O hash do histórico escolar é verificado em /verify-historico
+            where: {
+              [Op.or]: [
+                { document_generator: null },
+                { document_generator: { [Op.ne]: HistoricoEscolarService.DOCUMENT_KIND } },
+              ],
+            },
           },
           {
             association: 'student',
@@ -86,6 +224,11 @@ class PublicController {
         });
       }
 
+      const revoked = await SignedDocumentService.findRevoked(request.signature_hash);
+      if (revoked) {
+        return sendRevoked(res, revoked);
+      }
+
       // Buscar dados da matrícula para retornar o curso
       const enrollment = await Enrollment.findOne({
         where: {
@@ -110,8 +253,9 @@ class PublicController {
       return res.json({
         success: true,
         valid: true,
-        message: 'Documento válido. Este atestado foi emitido e é autêntico.',
+        message: 'Documento válido. Este documento foi emitido e é autêntico.',
         data: {
+          documentType: request.requestType ? request.requestType.name : null,
           studentName: request.student ? request.student.nome : 'Não informado',
           studentMatricula: request.student ? request.student.matricula : null,
           courseName,
@@ -134,6 +278,112 @@ class PublicController {
       });
     }
   }
+
+  /**
+   * Verifica a autenticidade de um histórico escolar pelo hash.
+   *
+   * @route  GET /api/v1/public/verify-historico/:hash
+   * @access Público (sem autenticação)
+   *
+   * @param {object} req - Objeto de requisição do Express
+   * @param {object} res - Objeto de resposta do Express
+   * @returns {Promise<object>} Dados do histórico ou mensagem de erro
+   */
+  async verifyHistorico(req, res) {
+    try {
+      const { hash } = req.params;
+
+      // Validar formato do hash (16 chars hexadecimais)
+      if (!hash || !HASH_PATTERN.test(hash)) {
+        return res.status(400).json({
+          success: false,
+          valid: false,
+          error: {
+            code: 'INVALID_HASH',
+            message: 'Hash de assinatura inválido. O hash deve ter 16 caracteres hexadecimais.',
+          },
+        });
+      }
+
+      const request = await Request.findOne({
+        where: {
+          signature_hash: hash,
+          status: 'approved',
+          deleted_at: null,
+        },
+        include: [
+          {
+            association: 'requestType',
+            attributes: ['id', 'name'],
+            where: { document_generator: HistoricoEscolarService.DOCUMENT_KIND },
+          },
+          {
+            association: 'student',
+            attributes: ['id', 'nome', 'matricula'],
+          },
+        ],
+      });
+
+      if (!request) {
+        return res.status(200).json({
+          success: true,
+          valid: false,
+          message:
+            'Documento não encontrado. O código informado não corresponde a nenhum histórico escolar válido emitido por este sistema.',
+        });
+      }
+
+      const revoked = await SignedDocumentService.findRevoked(request.signature_hash);
+      if (revoked) {
+        return sendRevoked(res, revoked);
+      }
+
+      const enrollment = await Enrollment.findOne({
+        where: {
+          student_id: request.student_id,
+          deleted_at: null,
+        },
+        include: [
+          {
+            association: 'course',
+            attributes: ['id', 'name'],
+          },
+        ],
+        order: [['created_at', 'DESC']],
+      });
+
+      const courseName =
+        enrollment && enrollment.course ? enrollment.course.name : 'Informação não disponível';
+
+      console.log(`[PublicController] Verificação de histórico - Hash: ${hash} - Válido: true`);
+
+      return res.json({
+        success: true,
+        valid: true,
+        message: 'Documento válido. Este histórico escolar foi emitido e é autêntico.',
+        data: {
+          studentName: request.student ? request.student.nome : 'Não informado',
+          studentMatricula: request.student ? request.student.matricula : null,
+          courseName,
+          issuedAt: request.reviewed_at,
+          signatureHash: request.signature_hash,
+          requestId: request.id,
+        },
+      });
+    } catch (error) {
+      console.error('[PublicController] Erro ao verificar histórico:', error);
+
+      return res.status(500).json({
+        success: false,
+        valid: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Erro ao verificar o documento. Tente novamente.',
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        },
+      });
+    }
+  }
 }
 
 module.exports = new PublicController();
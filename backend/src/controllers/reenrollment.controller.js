@@ -2,6 +2,7 @@
  * Arquivo: backend/src/controllers/reenrollment.controller.js
  * Descrição: Controlador para aceite de rematrícula de estudantes
  * Feature: feat-reenrollment-etapa-4 - ReenrollmentController e Rotas
+ * Modificado: feat-122 - Aceite vinculado à versão do template exibida no preview
  * Criado em: 2025-12-15
  *
  * RESPONSABILIDADES:
@@ -26,6 +27,10 @@ class ReenrollmentController {
   
   /**
    * Processa o aceite de rematrícula de um estudante
+   *
+   * Body (opcional): { template_id } - versão do template exibida no preview
+   * (409 CONTRACT_TEMPLATE_CHANGED se a versão vigente mudou)
+   *
    * @param {import('express').Request} req - A requisição.
    * @param {import('express').Response} res - A resposta.
    * @param {import('express').NextFunction} next - O próximo middleware.
@@ -37,7 +42,13 @@ class ReenrollmentController {
 
       logger.info(`[ReenrollmentController] Recebida requisição de aceite - Enrollment ID: ${enrollmentId}, User ID: ${userId}`);
 
-      const result = await ReenrollmentService.acceptReenrollment(parseInt(enrollmentId, 10), userId);
+      const templateId = req.body?.template_id ? parseInt(req.body.template_id, 10) : null;
+
+      const result = await ReenrollmentService.acceptReenrollment(
+        parseInt(enrollmentId, 10),
+        userId,
+        templateId
+      );
 
       res.status(200).json({
         success: true,
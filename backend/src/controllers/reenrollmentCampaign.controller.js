@@ -0,0 +1,144 @@
+/**
+ * Arquivo: backend/src/controllers/reenrollmentCampaign.controller.js
+ * Descrição: Controlador das campanhas de rematrícula em lote (admin)
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ *
+ * O aceite individual do aluno continua em POST /reenrollments/accept/:enrollmentId
+ * (reenrollment.controller.js).
+ */
+
+const ReenrollmentCampaignService = require('../services/reenrollmentCampaign.service');
+
+class ReenrollmentCampaignController {
+  /**
+   * GET /api/v1/reenrollment-campaigns
+   * Lista as campanhas com o andamento dos aceites
+   */
+  async list(req, res, next) {
+    try {
+      const campaigns = await ReenrollmentCampaignService.list();
+      return res.json({ success: true, data: campaigns });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/reenrollment-campaigns/:id
+   * Painel da campanha: andamento e situação de cada matrícula
+   */
+  async getById(req, res, next) {
+    try {
+      const campaign = await ReenrollmentCampaignService.getDetail(parseInt(req.params.id, 10));
+      return res.json({ success: true, data: campaign });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/reenrollment-campaigns
+   * Cria uma campanha em rascunho
+   *
+   * Body: { name, year, semester, course_id, target_semester, deadline }
+   */
+  async create(req, res, next) {
+    try {
+      const campaign = await ReenrollmentCampaignService.create(req.body, req.user.id);
+      return res.status(201).json({
+        success: true,
+        message: 'Campanha de rematrícula criada com sucesso',
+        data: campaign,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * PUT /api/v1/reenrollment-campaigns/:id
+   * Atualiza a campanha (em andamento, apenas nome e prazo)
+   */
+  async update(req, res, next) {
+    try {
+      const campaign = await ReenrollmentCampaignService.update(
+        parseInt(req.params.id, 10),
+        req.body
+      );
+      return res.json({
+        success: true,
+        message: 'Campanha de rematrícula atualizada com sucesso',
+        data: campaign,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/reenrollment-campaigns/:id
+   * Exclui uma campanha em rascunho
+   */
+  async delete(req, res, next) {
+    try {
+      await ReenrollmentCampaignService.remove(parseInt(req.params.id, 10));
+      return res.json({ success: true, message: 'Campanha de rematrícula excluída com sucesso' });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/reenrollment-campaigns/:id/launch
+   * Coloca em rematrícula as matrículas elegíveis do público da campanha
+   */
+  async launch(req, res, next) {
+    try {
+      const campaign = await ReenrollmentCampaignService.launch(parseInt(req.params.id, 10));
+      return res.json({
+        success: true,
+        message: `Campanha iniciada: ${campaign.progress.pending} matrícula(s) em rematrícula, ${campaign.progress.skipped} ignorada(s) por pendência`,
+        data: campaign,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/reenrollment-campaigns/:id/remind
+   * Envia lembrete aos alunos que ainda não aceitaram
+   */
+  async remind(req, res, next) {
+    try {
+      const summary = await ReenrollmentCampaignService.sendReminders(parseInt(req.params.id, 10));
+      return res.json({
+        success: true,
+        message: `${summary.sent} lembrete(s) enviado(s)`,
+        data: summary,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/reenrollment-campaigns/:id/close
+   * Encerra a campanha e marca para acompanhamento quem não respondeu
+   */
+  async close(req, res, next) {
+    try {
+      const campaign = await ReenrollmentCampaignService.close(parseInt(req.params.id, 10));
+      return res.json({
+        success: true,
+        message: `Campanha encerrada: ${campaign.progress.followUp} aluno(s) para acompanhamento`,
+        data: campaign,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new ReenrollmentCampaignController();
@@ -3,12 +3,42 @@
  * Descrição: Controller para gerenciar solicitações de alunos
  * Feature: feat-056 - Criar RequestController e rotas
  * Modificado: feat-057 - Adicionar filtros e paginação para solicitações
+ * Modificado: feat-119 - Prazos (SLA): filtro/ordenação por data limite e contagem de atrasos
+ * Modificado: feat-120 - Status em análise e aguardando aluno
+ * Modificado: feat-121 - Configuração por tipo (perfis, anexos obrigatórios e gerador de documento)
+ * Modificado: feat-127 - Aprovação da "Transferência de Turma" executa a transferência
+ * Modificado: feat-128 - Aprovação de cancelamento e trancamento altera a matrícula
+ * Modificado: feat-136 - Notificação do aluno na aprovação e na rejeição
  * Criado em: 2025-11-03
  * Atualizado em: 2025-11-03
  */
 
-const { Request, RequestType, User, Student, Enrollment, Course, Class, ClassStudent, ClassSchedule } = require('../models');
-const AtestadoMatriculaService = require('../services/atestadoMatricula.service');
+const { sequelize, Request, RequestType, User, Student, Enrollment, Course } = require('../models');
+const DocumentGeneratorService = require('../services/documentGenerator.service');
+const RequestTypeService = require('../services/requestType.service');
+const ClassTransferService = require('../services/classTransfer.service');
+const EnrollmentService = require('../services/enrollment.service');
+const NotificationService = require('../services/notification.service');
+const { AppError } = require('../middlewares/error.middleware');
+const {
+  REQUEST_STATUS,
+  CLASS_TRANSFER_REQUEST_TYPE_NAME,
+  ENROLLMENT_REQUEST_TYPE_NAMES,
+  ENROLLMENT_STATUS,
+  NOTIFICATION_EVENTS,
+} = require('../utils/constants');
+
+/**
+ * Status de matrícula alcançados pelas solicitações de trancamento e de cancelamento
+ */
+const LOCK_REQUEST_ENROLLMENT_STATUSES = [ENROLLMENT_STATUS.ACTIVE, ENROLLMENT_STATUS.REENROLLMENT];
+const CANCELLATION_REQUEST_ENROLLMENT_STATUSES = [
+  ENROLLMENT_STATUS.PENDING,
+  ENROLLMENT_STATUS.ACTIVE,
+  ENROLLMENT_STATUS.REENROLLMENT,
+  ENROLLMENT_STATUS.LOCKED,
+  'contract',
+];
 
 /**
  * Controller de Solicitações
@@ -28,6 +58,11 @@ const AtestadoMatriculaService = require('../services/atestadoMatricula.service'
  * // Admin aprova solicitação
  * PUT /api/requests/5/approve
  * Body: { observations: "Aprovado conforme documentação" }
+ *
+ * @example
+ * // Admin aprova transferência de turma (o aluno é transferido na aprovação)
+ * PUT /api/requests/7/approve
+ * Body: { target_class_id: 12, source_class_id: 9, grade_mode: "map" }
  */
 class RequestController {
   /**
@@ -74,6 +109,26 @@ class RequestController {
         });
       }
 
+      if (!requestType.isActive()) {
+        return res.status(422).json({
+          success: false,
+          error: {
+            code: 'REQUEST_TYPE_INACTIVE',
+            message: 'Este tipo de solicitação não está disponível',
+          },
+        });
+      }
+
+      if (!requestType.canBeOpenedBy(user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Seu perfil não pode abrir este tipo de solicitação',
+          },
+        });
+      }
+
       // Determinar o student_id baseado no role do usuário
       let finalStudentId;
 
@@ -200,8 +255,11 @@ class RequestController {
    * - Suporta paginação e filtros
    *
    * Query params:
-   * - status: pending|approved|rejected
+   * - status: pending|in_analysis|awaiting_student|approved|rejected
    * - student_id: ID do aluno (apenas para admins)
+   * - sla: overdue|at_risk - apenas pendentes atrasadas ou em risco de atraso
+   * - sortBy: createdAt|dueDate (padrão: createdAt)
+   * - sortOrder: ASC|DESC (padrão: DESC para createdAt, ASC para dueDate)
    * - page: Número da página (padrão: 1)
    * - limit: Itens por página (padrão: 20, máx: 100)
    *
@@ -212,7 +270,7 @@ class RequestController {
   async list(req, res) {
     try {
       const { user } = req;
-      const { status, student_id, page, limit } = req.query;
+      const { status, student_id, sla, sortBy, sortOrder, page, limit } = req.query;
 
       let whereConditions = {
         deleted_at: null
@@ -260,18 +318,82 @@ class RequestController {
 
       // Filtro por status se fornecido
       if (status) {
-        if (!['pending', 'approved', 'rejected'].includes(status)) {
+        const validStatuses = Object.values(REQUEST_STATUS);
+        if (!validStatuses.includes(status)) {
           return res.status(400).json({
             success: false,
             error: {
               code: 'VALIDATION_ERROR',
-              message: 'Status inválido. Use: pending, approved ou rejected'
+              message: `Status inválido. Use: ${validStatuses.join(', ')}`
             }
           });
         }
         whereConditions.status = status;
       }
 
+      // Filtro pela situação do prazo (SLA)
+      if (sla) {
+        if (!['overdue', 'at_risk'].includes(sla)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'VALIDATION_ERROR',
+              message: 'Situação de prazo inválida. Use: overdue ou at_risk',
+            },
+          });
+        }
+        if (status && !Request.SLA_STATUSES.includes(status)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'VALIDATION_ERROR',
+              message: 'O filtro de prazo se aplica apenas a solicitações pendentes ou em análise',
+            },
+          });
+        }
+        whereConditions = { ...whereConditions, ...Request.slaWhere(sla) };
+        if (status) {
+          whereConditions.status = status;
+        }
+      }
+
+      // Ordenação (por data de criação ou por data limite)
+      const sortColumn = { createdAt: 'created_at', dueDate: 'due_date' }[sortBy || 'createdAt'];
+      if (!sortColumn) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Ordenação inválida. Use: createdAt ou dueDate',
+          },
+        });
+      }
+
+      const direction = sortOrder
+        ? String(sortOrder).toUpperCase()
+        : sortColumn === 'due_date'
+          ? 'ASC'
+          : 'DESC';
+      if (!['ASC', 'DESC'].includes(direction)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Direção de ordenação inválida. Use: ASC ou DESC',
+          },
+        });
+      }
+
+      // Solicitações sem data limite ficam sempre no fim ao ordenar por prazo
+      const order =
+        sortColumn === 'due_date'
+          ? [
+              [Request.sequelize.literal('`Request`.`due_date` IS NULL'), 'ASC'],
+              ['due_date', direction],
+              ['created_at', 'ASC'],
+            ]
+          : [['created_at', direction]];
+
       // Configurar paginação
       const pageNumber = parseInt(page) || 1;
       let limitNumber = parseInt(limit) || 20;
@@ -307,7 +429,7 @@ class RequestController {
       // Buscar solicitações com paginação
       const { count, rows: requests } = await Request.scope('withRelations').findAndCountAll({
         where: whereConditions,
-        order: [['created_at', 'DESC']],
+        order,
         limit: limitNumber,
         offset: offset
       });
@@ -415,6 +537,12 @@ class RequestController {
    *
    * Apenas administradores podem aprovar solicitações.
    *
+   * Solicitações "Transferência de Turma" exigem target_class_id (turma de destino);
+   * source_class_id (turma de origem) e grade_mode (map|keep) são opcionais. Trancamentos
+   * exigem expected_return_date. A alteração pedida (transferência, trancamento ou
+   * cancelamento) e a aprovação são gravadas na mesma transação; o documento e as
+   * notificações do aluno só são gerados depois da confirmação.
+   *
    * @param {object} req - Objeto de requisição do Express
    * @param {object} res - Objeto de resposta do Express
    * @returns {Promise<object>} Solicitação aprovada
@@ -423,7 +551,15 @@ class RequestController {
   async approve(req, res) {
     try {
       const { id } = req.params;
-      const { observations } = req.body;
+      const {
+        observations,
+        target_class_id,
+        source_class_id,
+        grade_mode,
+        enrollment_id,
+        lock_start_date,
+        expected_return_date,
+      } = req.body;
       const { user } = req;
 
       // Buscar solicitação com o tipo de requisição
@@ -435,8 +571,8 @@ class RequestController {
         include: [
           {
             association: 'requestType',
-            attributes: ['id', 'name']
-          }
+            attributes: ['id', 'name', 'required_attachments', 'document_generator'],
+          },
         ]
       });
 
@@ -451,7 +587,7 @@ class RequestController {
       }
 
       // Verificar se já foi processada
-      if (request.status !== 'pending') {
+      if (!request.isOpen()) {
         return res.status(400).json({
           success: false,
           error: {
@@ -461,8 +597,107 @@ class RequestController {
         });
       }
 
-      // Aprovar usando método do model
-      await request.approve(user.id, observations);
+      // Verificar se o aluno enviou os anexos obrigatórios do tipo
+      const requiredAttachments = request.requestType
+        ? request.requestType.getRequiredAttachments()
+        : [];
+      if (requiredAttachments.length > 0) {
+        const sentAttachments = await request.countStudentAttachments();
+        if (sentAttachments < requiredAttachments.length) {
+          return res.status(422).json({
+            success: false,
+            error: {
+              code: 'MISSING_REQUIRED_ATTACHMENTS',
+              message: `O aluno ainda não enviou os anexos obrigatórios: ${requiredAttachments.join(', ')}`,
+            },
+          });
+        }
+      }
+
+      // Transferência de turma: exige a turma de destino
+      const requestTypeName = request.requestType ? request.requestType.name : null;
+      const isClassTransfer = requestTypeName === CLASS_TRANSFER_REQUEST_TYPE_NAME;
+      if (isClassTransfer && !target_class_id) {
+        return res.status(422).json({
+          success: false,
+          error: {
+            code: 'CLASS_TRANSFER_TARGET_REQUIRED',
+            message: 'Informe a turma de destino para aprovar a transferência',
+          },
+        });
+      }
+
+      // Trancamento: exige o retorno previsto e uma matrícula que possa ser trancada
+      let lockEnrollment = null;
+      if (requestTypeName === ENROLLMENT_REQUEST_TYPE_NAMES.LOCK) {
+        if (!expected_return_date) {
+          return res.status(422).json({
+            success: false,
+            error: {
+              code: 'LOCK_RETURN_DATE_REQUIRED',
+              message: 'Informe a data prevista de retorno para aprovar o trancamento',
+            },
+          });
+        }
+
+        lockEnrollment = await EnrollmentService.findForRequest(
+          request.student_id,
+          enrollment_id,
+          LOCK_REQUEST_ENROLLMENT_STATUSES
+        );
+      }
+
+      // Cancelamento: exige uma matrícula que possa ser cancelada
+      let cancellationEnrollment = null;
+      if (requestTypeName === ENROLLMENT_REQUEST_TYPE_NAMES.CANCELLATION) {
+        cancellationEnrollment = await EnrollmentService.findForRequest(
+          request.student_id,
+          enrollment_id,
+          CANCELLATION_REQUEST_ENROLLMENT_STATUSES
+        );
+      }
+
+      // A alteração pedida (transferência de turma, trancamento ou cancelamento da
+      // matrícula) e a aprovação são gravadas na mesma transação: se uma falhar (ex:
+      // validação da transferência), nada muda e a solicitação continua aberta
+      await sequelize.transaction(async (transaction) => {
+        if (isClassTransfer) {
+          await ClassTransferService.transfer(
+            {
+              student_id: request.student_id,
+              from_class_id: source_class_id,
+              to_class_id: target_class_id,
+              grade_mode,
+              reason: request.description,
+            },
+            user.id,
+            { requestId: request.id, transaction }
+          );
+        }
+
+        if (lockEnrollment) {
+          await EnrollmentService.lock(
+            lockEnrollment.id,
+            {
+              start_date: lock_start_date,
+              expected_return_date,
+              reason: observations || request.description,
+            },
+            { transaction }
+          );
+        }
+
+        if (cancellationEnrollment) {
+          await EnrollmentService.cancel(
+            cancellationEnrollment.id,
+            { reason: observations || request.description },
+            { transaction }
+          );
+        }
+
+        // Aprovar usando método do model
+        await request.approve(user.id, observations, { transaction });
+      });
 
       // Se for renovação de matrícula, atualizar o status do enrollment
       if (request.requestType && request.requestType.name === 'Matrícula - Renovação') {
@@ -484,14 +719,18 @@ class RequestController {
         }
       }
 
-      // Se for pedido de atestado de matrícula, gerar PDF automaticamente
-      const typeName = request.requestType ? request.requestType.name : null;
-      console.log(`[RequestController] Tipo da solicitação aprovada: "${typeName}" (ID: ${id})`);
+      // Se o tipo possuir gerador de documento configurado (atestado, histórico,
+      // declaração, certificado), gerar o PDF assinado automaticamente
+      const generatorKey = request.requestType ? request.requestType.document_generator : null;
+      console.log(`[RequestController] Gerador da solicitação aprovada: "${generatorKey}" (ID: ${id})`);
 
-      if (typeName === 'Matrícula - Pedido de Atestado') {
-        await handleAtestadoGeneration(request);
+      if (DocumentGeneratorService.hasGenerator(generatorKey)) {
+        await DocumentGeneratorService.generateForRequest(request, generatorKey);
       }
 
+      // Avisar o aluno (com o link do documento gerado, se houver)
+      NotificationService.publish(NOTIFICATION_EVENTS.REQUEST_APPROVED, { requestId: request.id });
+
       // Recarregar com relações
       const updatedRequest = await Request.scope('withRelations').findByPk(request.id);
 
@@ -505,6 +744,14 @@ class RequestController {
     } catch (error) {
       console.error('[RequestController] Erro ao aprovar solicitação:', error);
 
+      // Ex.: turma de destino de outro curso na transferência de turma
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: { code: error.code, message: error.message },
+        });
+      }
+
       return res.status(500).json({
         success: false,
         error: {
@@ -551,7 +798,7 @@ class RequestController {
       }
 
       // Verificar se já foi processada
-      if (request.status !== 'pending') {
+      if (!request.isOpen()) {
         return res.status(400).json({
           success: false,
           error: {
@@ -564,6 +811,9 @@ class RequestController {
       // Rejeitar usando método do model
       await request.reject(user.id, observations);
 
+      // Avisar o aluno (com o motivo)
+      NotificationService.publish(NOTIFICATION_EVENTS.REQUEST_REJECTED, { requestId: request.id });
+
       // Recarregar com relações
       const updatedRequest = await Request.scope('withRelations').findByPk(request.id);
 
@@ -591,7 +841,8 @@ class RequestController {
   /**
    * Obter estatísticas de solicitações
    *
-   * Retorna contagem total e por status de todas as solicitações.
+   * Retorna contagem total e por status de todas as solicitações, além das
+   * pendentes atrasadas (overdue) e em risco de atraso (at_risk).
    * Apenas administradores podem acessar.
    *
    * @param {object} req - Objeto de requisição do Express
@@ -606,8 +857,12 @@ class RequestController {
    *   "data": {
    *     "total": 45,
    *     "pending": 12,
+   *     "in_analysis": 4,
+   *     "awaiting_student": 2,
    *     "approved": 28,
-   *     "rejected": 5
+   *     "rejected": 5,
+   *     "overdue": 3,
+   *     "at_risk": 2
    *   }
    * }
    */
@@ -626,6 +881,20 @@ class RequestController {
         }
       });
 
+      const inAnalysis = await Request.count({
+        where: {
+          status: 'in_analysis',
+          deleted_at: null,
+        },
+      });
+
+      const awaitingStudent = await Request.count({
+        where: {
+          status: 'awaiting_student',
+          deleted_at: null,
+        },
+      });
+
       const approved = await Request.count({
         where: {
           status: 'approved',
@@ -640,6 +909,21 @@ class RequestController {
         }
       });
 
+      // Contar pendentes atrasadas e em risco de atraso
+      const overdue = await Request.count({
+        where: {
+          ...Request.slaWhere('overdue'),
+          deleted_at: null,
+        },
+      });
+
+      const atRisk = await Request.count({
+        where: {
+          ...Request.slaWhere('at_risk'),
+          deleted_at: null,
+        },
+      });
+
       console.log(`[RequestController] Estatísticas obtidas por usuário ${req.user.id}`);
 
       return res.json({
@@ -647,8 +931,12 @@ class RequestController {
         data: {
           total,
           pending,
+          in_analysis: inAnalysis,
+          awaiting_student: awaitingStudent,
           approved,
-          rejected
+          rejected,
+          overdue,
+          at_risk: atRisk
         }
       });
     } catch (error) {
@@ -676,87 +964,49 @@ class RequestController {
    * @returns {Promise<void>}
    */
   async downloadAtestado(req, res) {
-    try {
-      const { id } = req.params;
-      const { user } = req;
-
-      // Buscar solicitação
-      const request = await Request.findOne({
-        where: { id, deleted_at: null },
-        include: [{ association: 'requestType', attributes: ['id', 'name'] }],
-      });
-
-      if (!request) {
-        return res.status(404).json({
-          success: false,
-          error: { code: 'REQUEST_NOT_FOUND', message: 'Solicitação não encontrada' },
-        });
-      }
-
-      // Verificar permissão de acesso
-      if (user.role === 'student' && request.student_id !== user.student_id) {
-        return res.status(403).json({
-          success: false,
-          error: { code: 'FORBIDDEN', message: 'Você não tem permissão para acessar este atestado' },
-        });
-      }
-
-      // Verificar se existe PDF gerado
-      if (!request.pdf_path) {
-        return res.status(404).json({
-          success: false,
-          error: { code: 'PDF_NOT_FOUND', message: 'Atestado PDF não disponível para esta solicitação' },
-        });
-      }
-
-      const path = require('path');
-      const fs = require('fs');
-      const absolutePath = path.resolve(process.cwd(), request.pdf_path);
-
-      if (!fs.existsSync(absolutePath)) {
-        return res.status(404).json({
-          success: false,
-          error: { code: 'FILE_NOT_FOUND', message: 'Arquivo do atestado não encontrado no servidor' },
-        });
-      }
-
-      // Enviar arquivo
-      const fileName = `atestado_matricula_${id}.pdf`;
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-
-      const fileStream = fs.createReadStream(absolutePath);
-      fileStream.pipe(res);
+    return sendRequestPDF(req, res, {
+      documentLabel: 'atestado',
+      fileNamePrefix: 'atestado_matricula',
+    });
+  }
 
-      fileStream.on('error', (err) => {
-        console.error(`[RequestController] Erro ao enviar atestado ${id}:`, err.message);
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            error: { code: 'STREAM_ERROR', message: 'Erro ao enviar arquivo' },
-          });
-        }
-      });
+  /**
+   * Realiza o download do PDF do Histórico Escolar.
+   *
+   * Acessível por administradores (qualquer solicitação) e
+   * pelo próprio aluno (apenas suas solicitações).
+   *
+   * @param {object} req - Objeto de requisição do Express
+   * @param {object} res - Objeto de resposta do Express
+   * @returns {Promise<void>}
+   */
+  async downloadHistorico(req, res) {
+    return sendRequestPDF(req, res, {
+      documentLabel: 'histórico',
+      fileNamePrefix: 'historico_escolar',
+    });
+  }
 
-      console.log(`[RequestController] Download do atestado ${id} por usuário ${user.id} (${user.role})`);
-    } catch (error) {
-      console.error('[RequestController] Erro ao fazer download do atestado:', error);
-      return res.status(500).json({
-        success: false,
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'Erro ao realizar download do atestado',
-          details: process.env.NODE_ENV === 'development' ? error.message : undefined,
-        },
-      });
-    }
+  /**
+   * Realiza o download do PDF gerado para qualquer tipo de solicitação com
+   * gerador de documento (declaração de frequência, certificado de conclusão, etc.).
+   *
+   * Acessível por administradores (qualquer solicitação) e
+   * pelo próprio aluno (apenas suas solicitações).
+   *
+   * @param {object} req - Objeto de requisição do Express
+   * @param {object} res - Objeto de resposta do Express
+   * @returns {Promise<void>}
+   */
+  async downloadDocument(req, res) {
+    return sendRequestPDF(req, res, { documentLabel: 'documento' });
   }
 
   /**
    * Listar todos os tipos de solicitação
    *
-   * Retorna lista de todos os tipos de solicitação disponíveis no sistema.
-   * Acessível por alunos e administradores.
+   * Retorna os tipos de solicitação ativos que o perfil do usuário pode abrir,
+   * na ordem definida pela secretaria. Acessível por alunos e administradores.
    *
    * @param {object} req - Objeto de requisição do Express
    * @param {object} res - Objeto de resposta do Express
@@ -773,7 +1023,8 @@ class RequestController {
    *         "id": 1,
    *         "name": "Histórico Escolar",
    *         "description": "Solicitação de histórico escolar completo",
-   *         "expected_days": 5
+   *         "expectedDays": 5,
+   *         "requiredAttachments": ["Comprovante de residência"]
    *       }
    *     ]
    *   }
@@ -781,21 +1032,8 @@ class RequestController {
    */
   async listRequestTypes(req, res) {
     try {
-      const requestTypes = await RequestType.findAll({
-        where: { deleted_at: null, is_active: true },
-        order: [['name', 'ASC']],
-        attributes: ['id', 'name', 'description', 'response_deadline_days', 'created_at', 'updated_at']
-      });
-
-      // Converter snake_case para camelCase para compatibilidade com frontend
-      const formattedRequestTypes = requestTypes.map(type => ({
-        id: type.id,
-        name: type.name,
-        description: type.description,
-        expectedDays: type.response_deadline_days,
-        createdAt: type.created_at,
-        updatedAt: type.updated_at
-      }));
+      // Já formatados em camelCase para compatibilidade com frontend
+      const formattedRequestTypes = await RequestTypeService.listAvailableFor(req.user.role);
 
       console.log(`[RequestController] ${formattedRequestTypes.length} tipos de solicitação listados por usuário ${req.user.id} (${req.user.role})`);
 
@@ -821,120 +1059,108 @@ class RequestController {
 }
 
 /**
- * Gera o PDF do Atestado de Matrícula quando uma solicitação do tipo
- * "Matrícula - Pedido de Atestado" é aprovada e a matrícula do aluno está ativa.
+ * Envia o PDF gerado para uma solicitação aprovada (atestado, histórico, declaração, etc.).
  *
- * Função autônoma (fora da classe) para evitar perda de contexto `this`
- * ao ser chamada como callback de rota do Express.
+ * Admins podem baixar qualquer documento; alunos apenas os das próprias solicitações.
+ * Sem fileNamePrefix, o prefixo do arquivo é o do gerador do tipo da solicitação.
  *
- * @param {Object} request - Instância do model Request (já aprovada)
+ * @param {object} req - Objeto de requisição do Express
+ * @param {object} res - Objeto de resposta do Express
+ * @param {object} options
+ * @param {string} options.documentLabel  - Nome do documento usado nas mensagens (ex: 'atestado')
+ * @param {string} [options.fileNamePrefix] - Prefixo do nome do arquivo enviado
  * @returns {Promise<void>}
  */
-async function handleAtestadoGeneration(request) {
-  console.log(`[AtestadoGeneration] Iniciando geração para solicitação ${request.id}, aluno ${request.student_id}`);
+async function sendRequestPDF(req, res, { documentLabel, fileNamePrefix }) {
   try {
-    // Buscar matrícula ativa do aluno
-    const enrollment = await Enrollment.findOne({
-      where: {
-        student_id: request.student_id,
-        status: 'active',
-        deleted_at: null,
-      },
-      include: [
-        {
-          association: 'course',
-          attributes: ['id', 'name'],
-        },
-      ],
-      order: [['created_at', 'DESC']],
+    const { id } = req.params;
+    const { user } = req;
+
+    // Buscar solicitação
+    const request = await Request.findOne({
+      where: { id, deleted_at: null },
+      include: [{ association: 'requestType', attributes: ['id', 'name', 'document_generator'] }],
     });
 
-    if (!enrollment) {
-      console.warn(
-        `[AtestadoGeneration] Atestado não gerado: aluno ${request.student_id} não possui matrícula ativa.`
-      );
-      return;
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'REQUEST_NOT_FOUND', message: 'Solicitação não encontrada' },
+      });
     }
 
-    console.log(`[AtestadoGeneration] Enrollment ativo encontrado: ID ${enrollment.id}, curso: ${enrollment.course?.name}`);
-
-    // Buscar dados do aluno
-    const student = await Student.findByPk(request.student_id, {
-      attributes: ['id', 'nome', 'cpf', 'matricula'],
-    });
+    // Verificar permissão de acesso
+    if (user.role === 'student' && request.student_id !== user.student_id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: `Você não tem permissão para acessar este ${documentLabel}`,
+        },
+      });
+    }
 
-    if (!student) {
-      console.warn(`[AtestadoGeneration] Atestado não gerado: aluno ${request.student_id} não encontrado.`);
-      return;
+    // Verificar se existe PDF gerado
+    if (!request.pdf_path) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PDF_NOT_FOUND',
+          message: `PDF do ${documentLabel} não disponível para esta solicitação`,
+        },
+      });
     }
 
-    console.log(`[AtestadoGeneration] Aluno encontrado: ${student.nome}`);
+    const path = require('path');
+    const fs = require('fs');
+    const absolutePath = path.resolve(process.cwd(), request.pdf_path);
 
-    // Buscar IDs das turmas do aluno via tabela pivot ClassStudent
-    const studentClassLinks = await ClassStudent.findAll({
-      where: { student_id: request.student_id },
-      attributes: ['class_id'],
-    });
-    const allClassIds = studentClassLinks.map((sc) => sc.class_id);
-
-    // Filtrar apenas as turmas que pertencem ao curso ativo do aluno
-    let schedules = [];
-    if (allClassIds.length > 0) {
-      const courseClasses = await Class.findAll({
-        where: { id: allClassIds, course_id: enrollment.course_id },
-        attributes: ['id'],
-      });
-      const courseClassIds = courseClasses.map((cls) => cls.id);
-
-      if (courseClassIds.length > 0) {
-        schedules = await ClassSchedule.findAll({
-          where: { class_id: courseClassIds },
-          include: [
-            { association: 'discipline', attributes: ['id', 'name', 'code'] },
-            { association: 'teacher', attributes: ['id', 'nome'] },
-          ],
-          order: [['day_of_week', 'ASC'], ['start_time', 'ASC']],
-        });
-      }
+    if (!fs.existsSync(absolutePath)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FILE_NOT_FOUND',
+          message: `Arquivo do ${documentLabel} não encontrado no servidor`,
+        },
+      });
     }
 
-    console.log(`[AtestadoGeneration] Grade de horários: ${schedules.length} entrada(s)`);
-
-    // Gerar hash único de 16 chars
-    const signatureHash = await AtestadoMatriculaService.generateUniqueHash();
-    console.log(`[AtestadoGeneration] Hash gerado: ${signatureHash}`);
-
-    // Gerar PDF com PDFKit
-    const pdfResult = await AtestadoMatriculaService.generateAtestadoPDF({
-      requestId: request.id,
-      studentName: student.nome,
-      studentCpf: student.cpf,
-      studentMatricula: student.matricula,
-      courseName: enrollment.course ? enrollment.course.name : 'Curso não informado',
-      enrollmentDate: enrollment.enrollment_date,
-      currentSemester: enrollment.current_semester,
-      signatureHash,
-      schedules,
-    });
+    // Enviar arquivo
+    const prefix =
+      fileNamePrefix ||
+      DocumentGeneratorService.getDownloadPrefix(
+        request.requestType ? request.requestType.document_generator : null
+      );
+    const fileName = `${prefix}_${id}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
 
-    console.log(`[AtestadoGeneration] PDF gerado: ${pdfResult.relativePath}`);
+    const fileStream = fs.createReadStream(absolutePath);
+    fileStream.pipe(res);
 
-    // Salvar pdf_path e signature_hash na solicitação
-    await request.update({
-      pdf_path: pdfResult.relativePath,
-      signature_hash: signatureHash,
+    fileStream.on('error', (err) => {
+      console.error(`[RequestController] Erro ao enviar ${documentLabel} ${id}:`, err.message);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: { code: 'STREAM_ERROR', message: 'Erro ao enviar arquivo' },
+        });
+      }
     });
 
     console.log(
-      `[AtestadoGeneration] Atestado salvo com sucesso para solicitação ${request.id} ` +
-        `(Hash: ${signatureHash}, Arquivo: ${pdfResult.fileName})`
+      `[RequestController] Download do ${documentLabel} ${id} por usuário ${user.id} (${user.role})`
     );
   } catch (error) {
-    // Log completo do erro sem interromper o fluxo de aprovação
-    console.error(
-      `[AtestadoGeneration] ERRO na solicitação ${request.id}:`,
-      error
-    );
+    console.error(`[RequestController] Erro ao fazer download do ${documentLabel}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: `Erro ao realizar download do ${documentLabel}`,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      },
+    });
   }
 }
 
@@ -0,0 +1,107 @@
+/**
+ * Arquivo: backend/src/controllers/requestType.controller.js
+ * Descrição: Controlador da gestão dos tipos de solicitação (admin)
+ * Feature: feat-121 - Gestão dos tipos de solicitação
+ * Criado em: 2026-10-19
+ *
+ * A listagem dos tipos disponíveis para abrir solicitações continua em
+ * GET /requests/types (request.controller.js).
+ */
+
+const RequestTypeService = require('../services/requestType.service');
+
+class RequestTypeController {
+  /**
+   * GET /api/v1/request-types
+   * Lista todos os tipos de solicitação (ativos e inativos) na ordem de exibição
+   */
+  async list(req, res, next) {
+    try {
+      const requestTypes = await RequestTypeService.listAll();
+      return res.json({ success: true, data: requestTypes });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/request-types/generators
+   * Lista os geradores de documento que podem ser associados a um tipo
+   */
+  async listGenerators(req, res, next) {
+    try {
+      return res.json({ success: true, data: RequestTypeService.listGenerators() });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/request-types
+   * Cria um tipo de solicitação
+   *
+   * Body: { name, description, response_deadline_days, is_active, allowed_roles,
+   *         required_attachments, document_generator }
+   */
+  async create(req, res, next) {
+    try {
+      const requestType = await RequestTypeService.create(req.body);
+      return res.status(201).json({
+        success: true,
+        message: 'Tipo de solicitação criado com sucesso',
+        data: requestType,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * PUT /api/v1/request-types/reorder
+   * Define a ordem de exibição. Body: { ids: [3, 1, 2, ...] }
+   */
+  async reorder(req, res, next) {
+    try {
+      const requestTypes = await RequestTypeService.reorder(req.body.ids);
+      return res.json({
+        success: true,
+        message: 'Ordem dos tipos de solicitação atualizada',
+        data: requestTypes,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * PUT /api/v1/request-types/:id
+   * Atualiza um tipo de solicitação (is_active = false desativa o tipo)
+   */
+  async update(req, res, next) {
+    try {
+      const requestType = await RequestTypeService.update(parseInt(req.params.id, 10), req.body);
+      return res.json({
+        success: true,
+        message: 'Tipo de solicitação atualizado com sucesso',
+        data: requestType,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/request-types/:id
+   * Exclui um tipo de solicitação sem solicitações registradas
+   */
+  async delete(req, res, next) {
+    try {
+      await RequestTypeService.remove(parseInt(req.params.id, 10));
+      return res.json({ success: true, message: 'Tipo de solicitação excluído com sucesso' });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new RequestTypeController();
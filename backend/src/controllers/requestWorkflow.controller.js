@@ -0,0 +1,154 @@
+/**
+ * Arquivo: backend/src/controllers/requestWorkflow.controller.js
+ * Descrição: Controlador do fluxo de atendimento das solicitações (análise, pedido de
+ *            informações, comentários, anexos e linha do tempo)
+ * Feature: feat-120 - Fluxo de atendimento das solicitações
+ * Criado em: 2026-10-19
+ *
+ * Aprovação e rejeição continuam em request.controller.js.
+ */
+
+const RequestWorkflowService = require('../services/requestWorkflow.service');
+const { Request } = require('../models');
+const logger = require('../utils/logger');
+
+class RequestWorkflowController {
+  /**
+   * PUT /api/v1/requests/:id/analyze
+   * Coloca uma solicitação pendente em análise (admin)
+   */
+  async startAnalysis(req, res, next) {
+    try {
+      const request = await RequestWorkflowService.startAnalysis(
+        parseInt(req.params.id, 10),
+        req.user.id
+      );
+      const updated = await Request.scope('withRelations').findByPk(request.id);
+
+      return res.json({
+        success: true,
+        message: 'Solicitação colocada em análise',
+        data: updated,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * PUT /api/v1/requests/:id/request-info
+   * Pede informações ou documentos ao aluno (admin). Body: { message }
+   */
+  async requestStudentInfo(req, res, next) {
+    try {
+      const request = await RequestWorkflowService.requestStudentInfo(
+        parseInt(req.params.id, 10),
+        req.user.id,
+        req.body.message
+      );
+      const updated = await Request.scope('withRelations').findByPk(request.id);
+
+      return res.json({
+        success: true,
+        message: 'Solicitação aguardando resposta do aluno',
+        data: updated,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/requests/:id/timeline
+   * Linha do tempo da solicitação (status, comentários e anexos)
+   */
+  async getTimeline(req, res, next) {
+    try {
+      const timeline = await RequestWorkflowService.getTimeline(
+        parseInt(req.params.id, 10),
+        req.user
+      );
+
+      return res.json({ success: true, data: timeline });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/requests/:id/comments
+   * Adiciona um comentário à conversa da solicitação. Body: { message }
+   */
+  async addComment(req, res, next) {
+    try {
+      const comment = await RequestWorkflowService.addComment(
+        parseInt(req.params.id, 10),
+        req.user,
+        req.body.message
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: 'Comentário enviado com sucesso',
+        data: comment,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/requests/:id/attachments
+   * Anexa um arquivo à solicitação (multipart: campo "document" e "message" opcional)
+   */
+  async addAttachment(req, res, next) {
+    try {
+      const attachment = await RequestWorkflowService.addAttachment(
+        parseInt(req.params.id, 10),
+        req.user,
+        req.file,
+        req.body.message
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: 'Arquivo anexado com sucesso',
+        data: attachment,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/requests/:id/attachments/:attachmentId/download
+   * Download de um anexo da solicitação
+   */
+  async downloadAttachment(req, res, next) {
+    try {
+      const file = await RequestWorkflowService.getAttachmentFile(
+        parseInt(req.params.id, 10),
+        parseInt(req.params.attachmentId, 10),
+        req.user
+      );
+
+      logger.info('[RequestWorkflowController] Download de anexo de solicitação', {
+        requestId: req.params.id,
+        attachmentId: req.params.attachmentId,
+        downloadedBy: req.user.id,
+      });
+
+      res.setHeader('Content-Type', file.mimeType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${encodeURIComponent(file.fileName)}"`
+      );
+
+      return res.sendFile(file.filePath);
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new RequestWorkflowController();
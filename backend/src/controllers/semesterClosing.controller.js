@@ -0,0 +1,75 @@
+/**
+ * Arquivo: backend/src/controllers/semesterClosing.controller.js
+ * Descrição: Controlador do fechamento de semestre (admin)
+ * Feature: feat-126 - Progressão semestral automática das matrículas
+ * Criado em: 2026-10-19
+ *
+ * O ajuste individual do semestre continua em PUT /enrollments/:id/semester.
+ */
+
+const SemesterClosingService = require('../services/semesterClosing.service');
+
+class SemesterClosingController {
+  /**
+   * GET /api/v1/semester-closings
+   * Lista os fechamentos executados
+   */
+  async list(req, res, next) {
+    try {
+      const closings = await SemesterClosingService.list();
+      return res.json({ success: true, data: closings });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/semester-closings/:id
+   * Relatório de um fechamento executado
+   */
+  async getById(req, res, next) {
+    try {
+      const closing = await SemesterClosingService.getById(parseInt(req.params.id, 10));
+      return res.json({ success: true, data: closing });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/semester-closings/preview
+   * Pré-visualiza o fechamento sem alterar as matrículas (dry-run)
+   *
+   * Body: { year, semester, course_id } (todos opcionais; padrão: período vigente, todos os cursos)
+   */
+  async preview(req, res, next) {
+    try {
+      const preview = await SemesterClosingService.preview(req.body);
+      return res.json({ success: true, data: preview });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/semester-closings
+   * Executa o fechamento do semestre
+   *
+   * Body: { year, semester, course_id } (todos opcionais; padrão: período vigente, todos os cursos)
+   */
+  async execute(req, res, next) {
+    try {
+      const closing = await SemesterClosingService.execute(req.body, req.user.id);
+      const { advanced, completed } = closing.summary;
+      return res.status(201).json({
+        success: true,
+        message: `Semestre fechado: ${advanced} matrícula(s) avançada(s), ${completed} concluída(s)`,
+        data: closing,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new SemesterClosingController();
@@ -0,0 +1,75 @@
+/**
+ * Arquivo: backend/src/controllers/signedDocument.controller.js
+ * Descrição: Controlador do registro de documentos assinados (listagem e revogação)
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ */
+
+const SignedDocumentService = require('../services/signedDocument.service');
+const { SignedDocument } = require('../models');
+
+class SignedDocumentController {
+  /**
+   * GET /api/v1/signed-documents
+   * Lista o registro de documentos assinados
+   *
+   * Query params:
+   * - documentKind (optional): tipo do documento (SignedDocument.DOCUMENT_KINDS)
+   * - studentId (optional): aluno titular
+   * - revoked (optional): 'true' ou 'false'
+   * - hash (optional): hash de assinatura
+   * - page, limit (optional): paginação (padrão: 1, 20)
+   */
+  async list(req, res, next) {
+    try {
+      const { documentKind, studentId, revoked, hash, page = 1, limit = 20 } = req.query;
+
+      if (documentKind && !SignedDocument.DOCUMENT_KINDS.includes(documentKind)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `documentKind deve ser um dos: ${SignedDocument.DOCUMENT_KINDS.join(', ')}`,
+          },
+        });
+      }
+
+      const result = await SignedDocumentService.list({
+        documentKind,
+        studentId: studentId ? parseInt(studentId, 10) : undefined,
+        revoked: revoked === undefined ? undefined : revoked === 'true',
+        hash: hash ? String(hash).toLowerCase() : undefined,
+        page: parseInt(page, 10) || 1,
+        limit: parseInt(limit, 10) || 20,
+      });
+
+      return res.json({ success: true, data: result });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/v1/signed-documents/:id/revoke
+   * Revoga um documento assinado. Body: { reason }
+   */
+  async revoke(req, res, next) {
+    try {
+      const document = await SignedDocumentService.revoke(
+        parseInt(req.params.id, 10),
+        req.user.id,
+        req.body.reason
+      );
+
+      return res.json({
+        success: true,
+        data: document,
+        message: 'Documento revogado com sucesso',
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+}
+
+module.exports = new SignedDocumentController();
@@ -0,0 +1,50 @@
+/**
+ * Arquivo: backend/src/jobs/documentExpiration.job.js
+ * Descrição: Job noturno de vencimento dos documentos aprovados
+ * Feature: feat-133 - Validade de documentos e reenvio periódico
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Sinalizar os documentos aprovados vencidos ou que vencem em até DOCUMENT_EXPIRATION_WARNING_DAYS dias
+ * - Avisar o aluno ou professor dono do documento por email (um aviso por situação)
+ *
+ * @example
+ * // No jobs/index.js
+ * const documentExpirationJob = require('./documentExpiration.job');
+ * registerJob(
+ *   documentExpirationJob.name,
+ *   documentExpirationJob.schedule,
+ *   documentExpirationJob.execute,
+ *   { timezone: 'America/Sao_Paulo' }
+ * );
+ */
+
+const DocumentService = require('../services/document.service');
+const logger = require('../utils/logger');
+
+/**
+ * Processa o vencimento dos documentos aprovados
+ *
+ * @param {Object} [options] - Opções de execução
+ * @param {Date} [options.date=new Date()] - Data de referência
+ * @returns {Promise<{expiring: number[], expired: number[]}>} IDs dos documentos sinalizados
+ */
+async function execute({ date = new Date() } = {}) {
+  logger.info('[DOCUMENT_EXPIRATION] Verificando vencimento dos documentos aprovados...');
+
+  const result = await DocumentService.processExpirations(date);
+
+  logger.info(
+    `[DOCUMENT_EXPIRATION] ${result.expiring.length} documento(s) a vencer, ${result.expired.length} vencido(s) sinalizados.`
+  );
+
+  return result;
+}
+
+module.exports = {
+  execute,
+  name: 'document-expiration',
+  description: 'Sinaliza documentos aprovados vencidos ou a vencer e avisa os donos por email',
+  // Executar diariamente às 3h
+  schedule: '0 3 * * *',
+};
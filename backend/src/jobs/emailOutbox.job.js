@@ -0,0 +1,57 @@
+/**
+ * Arquivo: backend/src/jobs/emailOutbox.job.js
+ * Descrição: Job de envio da fila de emails
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Enviar os emails pendentes da fila (email_outbox)
+ * - Reagendar os emails com falha de envio (espera crescente) até esgotar as tentativas
+ *
+ * @example
+ * // No jobs/index.js
+ * const emailOutboxJob = require('./emailOutbox.job');
+ * registerJob(
+ *   emailOutboxJob.name,
+ *   emailOutboxJob.schedule,
+ *   emailOutboxJob.execute,
+ *   { timezone: 'America/Sao_Paulo' }
+ * );
+ */
+
+const EmailOutboxService = require('../services/emailOutbox.service');
+const logger = require('../utils/logger');
+
+/**
+ * Evita execuções sobrepostas quando um lote demora mais que o intervalo do job
+ */
+let running = false;
+
+/**
+ * Envia um lote de emails pendentes
+ *
+ * @param {Object} [options] - Opções de execução
+ * @param {Date} [options.now=new Date()] - Data de referência
+ * @returns {Promise<Object|null>} Resumo do lote ou null se já havia uma execução em andamento
+ */
+async function execute({ now = new Date() } = {}) {
+  if (running) {
+    logger.warn('[EMAIL_OUTBOX] Execução anterior ainda em andamento. Lote ignorado.');
+    return null;
+  }
+
+  running = true;
+  try {
+    return await EmailOutboxService.processPending({ now });
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = {
+  execute,
+  name: 'email-outbox',
+  description: 'Envia os emails da fila e repete as falhas com espera crescente',
+  // Executar a cada minuto
+  schedule: '* * * * *',
+};
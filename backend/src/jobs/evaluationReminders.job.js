@@ -0,0 +1,50 @@
+/**
+ * Arquivo: backend/src/jobs/evaluationReminders.job.js
+ * Descrição: Job diário de aviso das avaliações próximas
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Avisar por email os alunos das avaliações que acontecem daqui a
+ *   NOTIFICATION_CONFIG.EVALUATION_UPCOMING_DAYS dias (respeitando as preferências de cada um)
+ *
+ * @example
+ * // No jobs/index.js
+ * const evaluationRemindersJob = require('./evaluationReminders.job');
+ * registerJob(
+ *   evaluationRemindersJob.name,
+ *   evaluationRemindersJob.schedule,
+ *   evaluationRemindersJob.execute,
+ *   { timezone: 'America/Sao_Paulo' }
+ * );
+ */
+
+const EvaluationService = require('../services/evaluation.service');
+const logger = require('../utils/logger');
+
+/**
+ * Avisa os alunos das avaliações próximas
+ *
+ * @param {Object} [options] - Opções de execução
+ * @param {Date} [options.date=new Date()] - Data de referência
+ * @returns {Promise<{evaluations: number, queued: number, optedOut: number, failed: number}>}
+ */
+async function execute({ date = new Date() } = {}) {
+  logger.info('[EVALUATION_REMINDERS] Verificando avaliações próximas...');
+
+  const result = await EvaluationService.notifyUpcoming(date);
+
+  logger.info(
+    `[EVALUATION_REMINDERS] ${result.evaluations} avaliação(ões): ${result.queued} aviso(s) enfileirado(s), ${result.optedOut} desativado(s) pelo aluno, ${result.failed} falha(s).`
+  );
+
+  return result;
+}
+
+module.exports = {
+  execute,
+  name: 'evaluation-reminders',
+  description: 'Avisa os alunos por email das avaliações dos próximos dias',
+  // Executar diariamente às 7h
+  schedule: '0 7 * * *',
+};
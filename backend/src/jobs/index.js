@@ -301,6 +301,24 @@ registerJob(
 // feat-063: Limpeza de arquivos temporários
 const cleanupTempJob = require('./cleanupTemp.job');
 
+// feat-119: Resumo diário de solicitações atrasadas
+const overdueRequestsDigestJob = require('./overdueRequestsDigest.job');
+
+// feat-124: Renovação semestral dos contratos de professores
+const teacherContractRenewalJob = require('./teacherContractRenewal.job');
+
+// feat-125: Lembretes e encerramento das campanhas de rematrícula
+const reenrollmentCampaignsJob = require('./reenrollmentCampaigns.job');
+
+// feat-133: Vencimento dos documentos aprovados
+const documentExpirationJob = require('./documentExpiration.job');
+
+// feat-135: Envio da fila de emails
+const emailOutboxJob = require('./emailOutbox.job');
+
+// feat-136: Aviso das avaliações próximas
+const evaluationRemindersJob = require('./evaluationReminders.job');
+
 // ====================================================================
 // REGISTRO DE JOBS
 // ====================================================================
@@ -313,17 +331,52 @@ registerJob(
   { timezone: 'America/Sao_Paulo' }
 );
 
+// Job de resumo de solicitações atrasadas para a secretaria (diariamente às 8h)
+registerJob(
+  overdueRequestsDigestJob.name,
+  overdueRequestsDigestJob.schedule,
+  overdueRequestsDigestJob.execute,
+  { timezone: 'America/Sao_Paulo' }
+);
+
+// Job de renovação dos contratos de professores (diariamente às 6h, age no início do período letivo)
+registerJob(
+  teacherContractRenewalJob.name,
+  teacherContractRenewalJob.schedule,
+  teacherContractRenewalJob.execute,
+  { timezone: 'America/Sao_Paulo' }
+);
+
+// Job das campanhas de rematrícula: lembretes e encerramento no prazo (diariamente às 9h)
+registerJob(
+  reenrollmentCampaignsJob.name,
+  reenrollmentCampaignsJob.schedule,
+  reenrollmentCampaignsJob.execute,
+  { timezone: 'America/Sao_Paulo' }
+);
+
+// Job de vencimento dos documentos: sinaliza e avisa os donos por email (diariamente às 3h)
+registerJob(
+  documentExpirationJob.name,
+  documentExpirationJob.schedule,
+  documentExpirationJob.execute,
+  { timezone: 'America/Sao_Paulo' }
+);
+
+// Job da fila de emails: envia os pendentes e repete as falhas (a cada minuto)
+registerJob(emailOutboxJob.name, emailOutboxJob.schedule, emailOutboxJob.execute, {
+  timezone: 'America/Sao_Paulo',
+});
+
+// Job de aviso das avaliações próximas aos alunos (diariamente às 7h)
+registerJob(
+  evaluationRemindersJob.name,
+  evaluationRemindersJob.schedule,
+  evaluationRemindersJob.execute,
+  { timezone: 'America/Sao_Paulo' }
+);
+
 // TODO: Registrar novos jobs conforme forem implementados
-// Exemplos de jobs futuros:
-//
-// contractRenewal.job.js: Renovação automática de contratos
-// const contractRenewalJob = require('./contractRenewal.job');
-// registerJob(
-//   contractRenewalJob.name,
-//   contractRenewalJob.schedule,
-//   contractRenewalJob.execute,
-//   { timezone: 'America/Sao_Paulo' }
-// );
 
 // ====================================================================
 // EXPORTS
@@ -0,0 +1,90 @@
+/**
+ * Arquivo: backend/src/jobs/overdueRequestsDigest.job.js
+ * Descrição: Job diário que envia à secretaria o resumo das solicitações atrasadas
+ * Feature: feat-119 - Prazos (SLA) das solicitações
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Buscar solicitações pendentes com a data limite (due_date) vencida
+ * - Enviar um único email de resumo para a secretaria
+ * - Não enviar nada quando não houver solicitações atrasadas
+ *
+ * Destinatários:
+ * - SECRETARIA_EMAIL (um ou mais emails separados por vírgula)
+ * - Na ausência da variável, todos os administradores cadastrados
+ *
+ * @example
+ * // No jobs/index.js
+ * const overdueRequestsDigestJob = require('./overdueRequestsDigest.job');
+ * registerJob(
+ *   overdueRequestsDigestJob.name,
+ *   overdueRequestsDigestJob.schedule,
+ *   overdueRequestsDigestJob.execute,
+ *   { timezone: 'America/Sao_Paulo' }
+ * );
+ */
+
+const { Request, User } = require('../models');
+const EmailService = require('../services/email.service');
+const logger = require('../utils/logger');
+
+/**
+ * Retorna os emails da secretaria que recebem o resumo
+ *
+ * @returns {Promise<string[]>} Lista de emails
+ */
+async function getRecipients() {
+  const configured = (process.env.SECRETARIA_EMAIL || '')
+    .split(',')
+    .map((email) => email.trim())
+    .filter(Boolean);
+
+  if (configured.length > 0) {
+    return configured;
+  }
+
+  const admins = await User.scope('admins').findAll({ attributes: ['email'] });
+  return admins.map((admin) => admin.email).filter(Boolean);
+}
+
+/**
+ * Executa o envio do resumo de solicitações atrasadas
+ *
+ * @returns {Promise<Object>} Resultado com a quantidade de solicitações e destinatários
+ */
+async function execute() {
+  logger.info('[OVERDUE_REQUESTS] Buscando solicitações com prazo vencido...');
+
+  const requests = await Request.findOverdue();
+
+  if (requests.length === 0) {
+    logger.info('[OVERDUE_REQUESTS] Nenhuma solicitação atrasada. Resumo não enviado.');
+    return { count: 0, recipients: [] };
+  }
+
+  const recipients = await getRecipients();
+
+  if (recipients.length === 0) {
+    logger.warn(
+      `[OVERDUE_REQUESTS] ${requests.length} solicitação(ões) atrasada(s), mas nenhum destinatário configurado (SECRETARIA_EMAIL).`
+    );
+    return { count: requests.length, recipients: [] };
+  }
+
+  await EmailService.sendOverdueRequestsDigestEmail(recipients, requests);
+
+  logger.info(
+    `[OVERDUE_REQUESTS] Resumo de ${requests.length} solicitação(ões) atrasada(s) enviado para ${recipients.length} destinatário(s).`
+  );
+
+  return { count: requests.length, recipients };
+}
+
+module.exports = {
+  execute,
+  getRecipients,
+  name: 'overdue-requests-digest',
+  description: 'Envia à secretaria o resumo diário das solicitações pendentes com prazo vencido',
+  // Executar diariamente às 8h (início do expediente da secretaria)
+  schedule: '0 8 * * *',
+};
@@ -0,0 +1,51 @@
+/**
+ * Arquivo: backend/src/jobs/reenrollmentCampaigns.job.js
+ * Descrição: Job diário das campanhas de rematrícula em andamento
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Enviar lembretes aos alunos pendentes quando faltam REENROLLMENT_REMINDER_DAYS dias para o prazo
+ * - Encerrar as campanhas com prazo vencido, marcando para acompanhamento quem não respondeu
+ *
+ * @example
+ * // No jobs/index.js
+ * const reenrollmentCampaignsJob = require('./reenrollmentCampaigns.job');
+ * registerJob(
+ *   reenrollmentCampaignsJob.name,
+ *   reenrollmentCampaignsJob.schedule,
+ *   reenrollmentCampaignsJob.execute,
+ *   { timezone: 'America/Sao_Paulo' }
+ * );
+ */
+
+const ReenrollmentCampaignService = require('../services/reenrollmentCampaign.service');
+const logger = require('../utils/logger');
+
+/**
+ * Processa as campanhas de rematrícula em andamento
+ *
+ * @param {Object} [options] - Opções de execução
+ * @param {Date} [options.date=new Date()] - Data de referência
+ * @returns {Promise<{closed: number[], reminded: number[]}>} IDs das campanhas processadas
+ */
+async function execute({ date = new Date() } = {}) {
+  logger.info('[REENROLLMENT_CAMPAIGNS] Processando campanhas de rematrícula em andamento...');
+
+  const result = await ReenrollmentCampaignService.processOpenCampaigns(date);
+
+  logger.info(
+    `[REENROLLMENT_CAMPAIGNS] ${result.reminded.length} campanha(s) com lembretes enviados, ${result.closed.length} encerrada(s) no prazo.`
+  );
+
+  return result;
+}
+
+module.exports = {
+  execute,
+  name: 'reenrollment-campaigns',
+  description:
+    'Envia lembretes das campanhas de rematrícula e encerra as campanhas com prazo vencido',
+  // Executar diariamente às 9h
+  schedule: '0 9 * * *',
+};
@@ -0,0 +1,77 @@
+/**
+ * Arquivo: backend/src/jobs/teacherContractRenewal.job.js
+ * Descrição: Job que gera os contratos semestrais dos professores no início de cada período letivo
+ * Feature: feat-124 - Renovação semestral automática dos contratos de professores
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Identificar o período letivo vigente (config/academicPeriods.js)
+ * - Nos primeiros dias do período, gerar contratos pendentes para todos os professores
+ *   vinculados a turmas (ClassTeacher) que ainda não possuem contrato no período
+ * - Não fazer nada fora da janela de renovação
+ *
+ * A geração é idempotente: professores que já têm contrato no período são ignorados,
+ * por isso o job roda diariamente e cobre dias em que o servidor esteve fora do ar.
+ *
+ * @example
+ * // No jobs/index.js
+ * const teacherContractRenewalJob = require('./teacherContractRenewal.job');
+ * registerJob(
+ *   teacherContractRenewalJob.name,
+ *   teacherContractRenewalJob.schedule,
+ *   teacherContractRenewalJob.execute,
+ *   { timezone: 'America/Sao_Paulo' }
+ * );
+ */
+
+const { differenceInCalendarDays, parseISO } = require('date-fns');
+const ContractService = require('../services/contract.service');
+const { getPeriodForDate } = require('../config/academicPeriods');
+const logger = require('../utils/logger');
+
+/**
+ * Quantidade de dias, a partir do início do período, em que o job gera contratos
+ */
+const RENEWAL_WINDOW_DAYS = 7;
+
+/**
+ * Executa a renovação dos contratos dos professores
+ *
+ * @param {Object} [options] - Opções de execução
+ * @param {Date} [options.date=new Date()] - Data de referência
+ * @param {boolean} [options.force=false] - Gera os contratos mesmo fora da janela de renovação
+ * @returns {Promise<Object|null>} Resumo da renovação ou null se fora da janela
+ */
+async function execute({ date = new Date(), force = false } = {}) {
+  const period = getPeriodForDate(date);
+  const elapsedDays = differenceInCalendarDays(date, parseISO(period.startDate));
+
+  if (!force && elapsedDays >= RENEWAL_WINDOW_DAYS) {
+    logger.info(
+      `[TEACHER_CONTRACT_RENEWAL] Período ${period.label} iniciado em ${period.startDate}. Fora da janela de renovação.`
+    );
+    return null;
+  }
+
+  logger.info(
+    `[TEACHER_CONTRACT_RENEWAL] Renovando contratos dos professores para ${period.label}...`
+  );
+
+  const result = await ContractService.generateTeacherRenewals(period);
+
+  logger.info(
+    `[TEACHER_CONTRACT_RENEWAL] ${result.generated.length} contrato(s) gerado(s), ${result.skipped} já existente(s), ${result.failed.length} falha(s).`
+  );
+
+  return result;
+}
+
+module.exports = {
+  execute,
+  RENEWAL_WINDOW_DAYS,
+  name: 'teacher-contract-renewal',
+  description:
+    'Gera os contratos semestrais pendentes dos professores no início de cada período letivo',
+  // Executar diariamente às 6h (antes do início das aulas)
+  schedule: '0 6 * * *',
+};
@@ -0,0 +1,44 @@
+/**
+ * Arquivo: backend/src/middlewares/teacherContract.middleware.js
+ * Descrição: Middleware que bloqueia o lançamento de notas por professores sem contrato aceito
+ * Feature: feat-124 - Renovação semestral automática dos contratos de professores
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Impedir que professores lancem, editem ou excluam notas enquanto o contrato
+ *   de docência do período letivo vigente estiver pendente de aceite
+ * - Não aplicar o bloqueio a administradores
+ *
+ * Deve ser usado APÓS o middleware de autenticação (auth.middleware.js).
+ *
+ * @example
+ * router.post('/', requireAcceptedTeacherContract, GradeController.create);
+ */
+
+const ContractService = require('../services/contract.service');
+
+/**
+ * Exige que o professor autenticado tenha aceitado o contrato do período vigente
+ *
+ * Responde 403 (TEACHER_CONTRACT_PENDING) via errorHandler quando há contrato pendente.
+ *
+ * @param {Object} req - Requisição Express (com req.user)
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ * @returns {Promise<void>}
+ */
+async function requireAcceptedTeacherContract(req, res, next) {
+  try {
+    if (req.user && req.user.role === 'teacher') {
+      await ContractService.assertTeacherContractAccepted(req.user.id);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  requireAcceptedTeacherContract,
+};
@@ -0,0 +1,107 @@
+/**
+ * Arquivo: backend/src/models/Attendance.js
+ * Descrição: Model Sequelize para registro de presença de um aluno em uma aula
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Attendance extends Model {
+    static associate(models) {
+      Attendance.belongsTo(models.ClassSession, {
+        foreignKey: 'class_session_id',
+        as: 'session',
+      });
+
+      Attendance.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student',
+      });
+    }
+
+    /**
+     * Método de instância: indica se o registro conta como falta no limite de frequência.
+     * Faltas justificadas (abonadas) não são contabilizadas.
+     * @returns {boolean}
+     */
+    countsAsAbsence() {
+      return this.status === 'absent';
+    }
+  }
+
+  Attendance.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      class_session_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'A aula é obrigatória' },
+          isInt: { msg: 'O ID da aula deve ser um número inteiro' },
+        },
+      },
+      student_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O aluno é obrigatório' },
+          isInt: { msg: 'O ID do aluno deve ser um número inteiro' },
+        },
+      },
+      status: {
+        type: DataTypes.ENUM('present', 'absent', 'justified'),
+        allowNull: false,
+        defaultValue: 'present',
+        validate: {
+          isIn: {
+            args: [['present', 'absent', 'justified']],
+            msg: 'A situação deve ser: present, absent ou justified',
+          },
+        },
+      },
+      notes: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Attendance',
+      tableName: 'attendances',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          name: 'idx_attendances_session_student',
+          unique: true,
+          fields: ['class_session_id', 'student_id'],
+        },
+        { name: 'idx_attendances_student_id', fields: ['student_id'] },
+      ],
+    }
+  );
+
+  return Attendance;
+};
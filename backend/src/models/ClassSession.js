@@ -0,0 +1,153 @@
+/**
+ * Arquivo: backend/src/models/ClassSession.js
+ * Descrição: Model Sequelize para aulas realizadas (ocorrências de um horário da grade)
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ClassSession extends Model {
+    static associate(models) {
+      ClassSession.belongsTo(models.ClassSchedule, {
+        foreignKey: 'class_schedule_id',
+        as: 'schedule',
+      });
+
+      ClassSession.belongsTo(models.Class, {
+        foreignKey: 'class_id',
+        as: 'class',
+      });
+
+      ClassSession.belongsTo(models.Discipline, {
+        foreignKey: 'discipline_id',
+        as: 'discipline',
+      });
+
+      ClassSession.belongsTo(models.Teacher, {
+        foreignKey: 'teacher_id',
+        as: 'teacher',
+      });
+
+      ClassSession.hasMany(models.Attendance, {
+        foreignKey: 'class_session_id',
+        as: 'attendances',
+      });
+    }
+
+    /**
+     * Método estático: lista as aulas de uma turma, opcionalmente filtrando por disciplina
+     * @param {number} classId
+     * @param {number|null} disciplineId
+     * @returns {Promise<Array>}
+     */
+    static async findByClass(classId, disciplineId = null) {
+      const where = { class_id: classId };
+      if (disciplineId) where.discipline_id = disciplineId;
+
+      return this.findAll({
+        where,
+        order: [['session_date', 'DESC']],
+      });
+    }
+  }
+
+  ClassSession.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      class_schedule_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O horário da aula é obrigatório' },
+          isInt: { msg: 'O ID do horário deve ser um número inteiro' },
+        },
+      },
+      class_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'A turma é obrigatória' },
+          isInt: { msg: 'O ID da turma deve ser um número inteiro' },
+        },
+      },
+      discipline_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'A disciplina é obrigatória' },
+          isInt: { msg: 'O ID da disciplina deve ser um número inteiro' },
+        },
+      },
+      teacher_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      session_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'A data da aula é obrigatória' },
+          isDate: { msg: 'A data da aula deve ser uma data válida' },
+        },
+      },
+      hours: {
+        type: DataTypes.DECIMAL(4, 2),
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'A carga horária da aula é obrigatória' },
+          min: { args: [0.01], msg: 'A carga horária da aula deve ser maior que zero' },
+        },
+        get() {
+          const value = this.getDataValue('hours');
+          return value === null || value === undefined ? value : parseFloat(value);
+        },
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ClassSession',
+      tableName: 'class_sessions',
+      timestamps: true,
+      paranoid: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      deletedAt: 'deleted_at',
+      indexes: [
+        { name: 'idx_class_sessions_class_discipline', fields: ['class_id', 'discipline_id'] },
+        { name: 'idx_class_sessions_schedule_date', fields: ['class_schedule_id', 'session_date'] },
+        { name: 'idx_class_sessions_teacher_id', fields: ['teacher_id'] },
+      ],
+    }
+  );
+
+  return ClassSession;
+};
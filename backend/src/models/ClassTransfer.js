@@ -0,0 +1,111 @@
+/**
+ * Arquivo: backend/src/models/ClassTransfer.js
+ * Descrição: Model Sequelize para o histórico de transferências de turma
+ * Feature: feat-127 - Transferência de turma com histórico
+ * Criado em: 2026-10-19
+ *
+ * Cada registro guarda o destino de cada nota do aluno (grade_report): movida para a
+ * avaliação equivalente da turma de destino ou mantida na avaliação da turma de origem.
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+const { CLASS_TRANSFER_GRADE_MODE } = require('../utils/constants');
+
+module.exports = (sequelize, DataTypes) => {
+  class ClassTransfer extends Model {
+    static associate(models) {
+      ClassTransfer.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student',
+      });
+
+      ClassTransfer.belongsTo(models.Class, {
+        foreignKey: 'from_class_id',
+        as: 'fromClass',
+      });
+
+      ClassTransfer.belongsTo(models.Class, {
+        foreignKey: 'to_class_id',
+        as: 'toClass',
+      });
+
+      ClassTransfer.belongsTo(models.Request, {
+        foreignKey: 'request_id',
+        as: 'request',
+      });
+
+      ClassTransfer.belongsTo(models.User, {
+        foreignKey: 'transferred_by',
+        as: 'transferrer',
+      });
+    }
+  }
+
+  ClassTransfer.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      student_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+      from_class_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      to_class_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      request_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      grade_mode: {
+        type: DataTypes.ENUM(...Object.values(CLASS_TRANSFER_GRADE_MODE)),
+        allowNull: false,
+        defaultValue: CLASS_TRANSFER_GRADE_MODE.MAP,
+      },
+      grades_moved: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      grades_kept: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      grade_report: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      transferred_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ClassTransfer',
+      tableName: 'class_transfers',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return ClassTransfer;
+};
@@ -2,12 +2,17 @@
  * Arquivo: backend/src/models/ContractTemplate.js
  * Descrição: Model para templates de contratos
  * Feature: feat-013 - Criar migrations para Contract e ContractTemplate
+ * Modificado: feat-122 - Versionamento (rascunho/publicada) e validação dos placeholders
+ * Modificado: feat-123 - Conteúdo renderizado pela linguagem de templates (condicionais, listas e formatação)
  * Criado em: 2025-10-27
  *
  * Responsabilidades:
  * - Representa templates de contratos em HTML com placeholders
  * - Gerencia templates ativos e inativos
  * - Fornece métodos para buscar templates disponíveis
+ * - Cada registro é uma versão: rascunhos são editáveis, versões publicadas são imutáveis
+ *   (Contract.template_id aponta para a versão exata aceita pelo aluno)
+ * - Rejeita templates com erro de sintaxe ou chaves fora do catálogo (utils/contractTemplateEngine)
  *
  * @example
  * // Criar novo template de contrato
@@ -23,6 +28,12 @@
 
 'use strict';
 
+const {
+  analyzeContractTemplate,
+  extractPlaceholders,
+  renderContractTemplate,
+} = require('../utils/contractTemplateEngine');
+
 /**
  * Factory function do Model ContractTemplate
  * Executada pelo models/index.js durante inicialização do Sequelize
@@ -61,6 +72,22 @@ module.exports = (sequelize, DataTypes) => {
           },
         },
       },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+          min: {
+            args: [1],
+            msg: 'A versão deve ser maior que zero',
+          },
+        },
+      },
+      previous_version_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Versão da qual esta foi derivada',
+      },
       content: {
         type: DataTypes.TEXT('long'), // LONGTEXT para armazenar HTML completo
         allowNull: false,
@@ -79,6 +106,18 @@ module.exports = (sequelize, DataTypes) => {
               );
             }
           },
+          // Sintaxe válida e apenas chaves do catálogo
+          knownPlaceholders(value) {
+            const { errors, unknownPlaceholders } = analyzeContractTemplate(value);
+            if (errors.length > 0) {
+              throw new Error(errors.join('; '));
+            }
+            if (unknownPlaceholders.length > 0) {
+              throw new Error(
+                `Placeholders desconhecidos: ${unknownPlaceholders.map((key) => `{{${key}}}`).join(', ')}`
+              );
+            }
+          },
         },
       },
       is_active: {
@@ -86,6 +125,20 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         defaultValue: true,
       },
+      published_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Data de publicação (nulo = rascunho)',
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Administrador que criou a versão',
+      },
+      change_notes: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -130,6 +183,24 @@ module.exports = (sequelize, DataTypes) => {
         ordered: {
           order: [['name', 'ASC']],
         },
+        // Scope para histórico de versões (mais recente primeiro)
+        latestFirst: {
+          order: [['version', 'DESC']],
+        },
+      },
+      validate: {
+        // Versões publicadas são imutáveis (contratos aceitos apontam para elas)
+        immutableWhenPublished() {
+          if (
+            !this.isNewRecord &&
+            this.previous('published_at') &&
+            (this.changed('name') || this.changed('content'))
+          ) {
+            throw new Error(
+              'Versões publicadas não podem ser alteradas. Crie uma nova versão a partir desta.'
+            );
+          }
+        },
       },
       hooks: {
         beforeValidate: (template) => {
@@ -173,6 +244,14 @@ module.exports = (sequelize, DataTypes) => {
     return this.is_active && !this.deleted_at;
   };
 
+  /**
+   * Verifica se a versão foi publicada (e portanto não pode mais ser alterada)
+   * @returns {boolean}
+   */
+  ContractTemplate.prototype.isPublished = function () {
+    return Boolean(this.published_at);
+  };
+
   /**
    * Ativa o template
    * @returns {Promise<ContractTemplate>}
@@ -192,9 +271,9 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   /**
-   * Substitui placeholders no conteúdo do template
+   * Renderiza o conteúdo do template (placeholders, condicionais, listas e formatação)
    * @param {Object} data - Objeto com dados para substituição
-   * @returns {string} Conteúdo com placeholders substituídos
+   * @returns {string} Conteúdo renderizado
    *
    * @example
    * const content = template.replacePlaceholders({
@@ -205,15 +284,7 @@ module.exports = (sequelize, DataTypes) => {
    * });
    */
   ContractTemplate.prototype.replacePlaceholders = function (data) {
-    let result = this.content;
-
-    // Substituir cada placeholder no formato {{key}}
-    for (const [key, value] of Object.entries(data)) {
-      const placeholder = new RegExp(`{{${key}}}`, 'g');
-      result = result.replace(placeholder, value);
-    }
-
-    return result;
+    return renderContractTemplate(this.content, data);
   };
 
   /**
@@ -225,15 +296,7 @@ module.exports = (sequelize, DataTypes) => {
    * // ['studentName', 'courseName', 'semester', 'year']
    */
   ContractTemplate.prototype.getPlaceholders = function () {
-    const regex = /{{(\w+)}}/g;
-    const placeholders = [];
-    let match;
-
-    while ((match = regex.exec(this.content)) !== null) {
-      placeholders.push(match[1]);
-    }
-
-    return [...new Set(placeholders)]; // Remove duplicados
+    return extractPlaceholders(this.content);
   };
 
   /**
@@ -265,6 +328,24 @@ module.exports = (sequelize, DataTypes) => {
     return await ContractTemplate.scope('active').findByPk(id);
   };
 
+  /**
+   * Busca a versão vigente: template ativo com a maior versão
+   * (usado na geração e no aceite dos contratos)
+   * @returns {Promise<ContractTemplate|null>}
+   */
+  ContractTemplate.findCurrent = async function () {
+    return await ContractTemplate.scope('available', 'latestFirst').findOne();
+  };
+
+  /**
+   * Próximo número de versão
+   * @returns {Promise<number>}
+   */
+  ContractTemplate.getNextVersion = async function () {
+    const maxVersion = await ContractTemplate.max('version', { paranoid: false });
+    return (maxVersion || 0) + 1;
+  };
+
   /**
    * Busca template por nome
    * @param {string} name - Nome do template
@@ -292,6 +373,18 @@ module.exports = (sequelize, DataTypes) => {
       onDelete: 'RESTRICT', // Não permite deletar template usado em contratos
       onUpdate: 'CASCADE',
     });
+
+    // Versão da qual esta foi derivada
+    ContractTemplate.belongsTo(models.ContractTemplate, {
+      foreignKey: 'previous_version_id',
+      as: 'previousVersion',
+    });
+
+    // Administrador que criou a versão
+    ContractTemplate.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator',
+    });
   };
 
   return ContractTemplate;
@@ -220,7 +220,45 @@ module.exports = (sequelize, DataTypes) => {
           }
         },
         comment: 'Tipo de curso (Mestrado/Doutorado, Cursos de Verão, Pós graduação, Superior, Supletivo/EJA, Técnicos)'
-      }
+      },
+      grading_formula: {
+        type: DataTypes.ENUM('arithmetic', 'weighted', 'best_of', 'final_replaces_lowest'),
+        allowNull: false,
+        defaultValue: 'arithmetic',
+        validate: {
+          isIn: {
+            args: [['arithmetic', 'weighted', 'best_of', 'final_replaces_lowest']],
+            msg: 'Fórmula de média deve ser: arithmetic, weighted, best_of ou final_replaces_lowest',
+          },
+        },
+        comment: 'Fórmula de cálculo da média final das disciplinas do curso',
+      },
+      grading_best_of: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          isInt: {
+            msg: 'Quantidade de melhores notas deve ser um número inteiro',
+          },
+          min: {
+            args: [1],
+            msg: 'Quantidade de melhores notas deve ser no mínimo 1',
+          },
+        },
+        comment: 'Quantidade de notas consideradas na fórmula best_of',
+      },
+      recovery_rule: {
+        type: DataTypes.ENUM('replace', 'average', 'highest'),
+        allowNull: false,
+        defaultValue: 'average',
+        validate: {
+          isIn: {
+            args: [['replace', 'average', 'highest']],
+            msg: 'Regra de recuperação inválida',
+          },
+        },
+        comment: 'Como a nota da recuperação se combina com a média do período',
+      },
     },
     {
       sequelize,
@@ -230,6 +268,15 @@ module.exports = (sequelize, DataTypes) => {
       paranoid: true, // Habilita soft delete
       underscored: true, // Converte camelCase do JS para snake_case no SQL
 
+      // Validações envolvendo mais de um campo
+      validate: {
+        bestOfRequiresCount() {
+          if (this.grading_formula === 'best_of' && !this.grading_best_of) {
+            throw new Error('Informe a quantidade de melhores notas para a fórmula "best_of"');
+          }
+        },
+      },
+
       // Índices adicionais (além dos definidos na migration)
       indexes: [
         {
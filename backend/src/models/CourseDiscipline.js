@@ -29,6 +29,15 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.INTEGER,
         allowNull: false,
       },
+      // Fórmula de média específica da disciplina no curso (null = usa a do curso)
+      grading_formula: {
+        type: DataTypes.ENUM('arithmetic', 'weighted', 'best_of', 'final_replaces_lowest'),
+        allowNull: true,
+      },
+      grading_best_of: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
     },
     {
       tableName: 'course_disciplines',
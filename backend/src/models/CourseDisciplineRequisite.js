@@ -0,0 +1,94 @@
+/**
+ * Arquivo: backend/src/models/CourseDisciplineRequisite.js
+ * Descrição: Model Sequelize para pré-requisitos e co-requisitos entre disciplinas de um curso
+ * Feature: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Criado em: 2026-10-19
+ *
+ * A disciplina (discipline_id) exige a disciplina requerida (required_discipline_id):
+ * - prerequisite: aprovada (ou dispensada) antes de cursar a disciplina
+ * - corequisite: cursada no mesmo período (ou já concluída)
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+const {
+  DISCIPLINE_REQUISITE_TYPE,
+  DISCIPLINE_REQUISITE_TYPE_LABELS,
+} = require('../utils/constants');
+
+module.exports = (sequelize, DataTypes) => {
+  class CourseDisciplineRequisite extends Model {
+    static associate(models) {
+      CourseDisciplineRequisite.belongsTo(models.Course, {
+        foreignKey: 'course_id',
+        as: 'course',
+      });
+
+      CourseDisciplineRequisite.belongsTo(models.Discipline, {
+        foreignKey: 'discipline_id',
+        as: 'discipline',
+      });
+
+      CourseDisciplineRequisite.belongsTo(models.Discipline, {
+        foreignKey: 'required_discipline_id',
+        as: 'requiredDiscipline',
+      });
+    }
+
+    /**
+     * Retorna o rótulo em português do tipo de requisito
+     *
+     * @returns {string}
+     */
+    getTypeLabel() {
+      return DISCIPLINE_REQUISITE_TYPE_LABELS[this.type] || this.type;
+    }
+  }
+
+  CourseDisciplineRequisite.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      discipline_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      required_discipline_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.ENUM(...Object.values(DISCIPLINE_REQUISITE_TYPE)),
+        allowNull: false,
+        defaultValue: DISCIPLINE_REQUISITE_TYPE.PREREQUISITE,
+        validate: {
+          isIn: {
+            args: [Object.values(DISCIPLINE_REQUISITE_TYPE)],
+            msg: 'Tipo de requisito inválido',
+          },
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: 'CourseDisciplineRequisite',
+      tableName: 'course_discipline_requisites',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return CourseDisciplineRequisite;
+};
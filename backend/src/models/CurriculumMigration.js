@@ -0,0 +1,86 @@
+/**
+ * Arquivo: backend/src/models/CurriculumMigration.js
+ * Descrição: Model Sequelize para o histórico de migração de matrículas entre matrizes curriculares
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ *
+ * mapping_report guarda a situação de cada disciplina concluída na matriz de origem:
+ * mantida (existe na nova matriz), aproveitada como equivalente ou sem correspondência.
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CurriculumMigration extends Model {
+    static associate(models) {
+      CurriculumMigration.belongsTo(models.Enrollment, {
+        foreignKey: 'enrollment_id',
+        as: 'enrollment',
+      });
+
+      CurriculumMigration.belongsTo(models.CurriculumVersion, {
+        foreignKey: 'from_version_id',
+        as: 'fromVersion',
+      });
+
+      CurriculumMigration.belongsTo(models.CurriculumVersion, {
+        foreignKey: 'to_version_id',
+        as: 'toVersion',
+      });
+
+      CurriculumMigration.belongsTo(models.User, {
+        foreignKey: 'migrated_by',
+        as: 'migrator',
+      });
+    }
+  }
+
+  CurriculumMigration.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      enrollment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      from_version_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      to_version_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      mapping_report: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      migrated_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'CurriculumMigration',
+      tableName: 'curriculum_migrations',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return CurriculumMigration;
+};
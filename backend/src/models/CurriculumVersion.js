@@ -0,0 +1,96 @@
+/**
+ * Arquivo: backend/src/models/CurriculumVersion.js
+ * Descrição: Model Sequelize para as matrizes curriculares (versões da grade do curso)
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ *
+ * A matriz é uma cópia da grade do curso (course_disciplines) no momento da publicação.
+ * Alterar a grade do curso depois não altera matrizes publicadas: cada matrícula fica
+ * vinculada à matriz vigente quando o aluno ingressou (enrollments.curriculum_version_id).
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CurriculumVersion extends Model {
+    static associate(models) {
+      CurriculumVersion.belongsTo(models.Course, {
+        foreignKey: 'course_id',
+        as: 'course',
+      });
+
+      CurriculumVersion.hasMany(models.CurriculumVersionDiscipline, {
+        foreignKey: 'curriculum_version_id',
+        as: 'disciplines',
+      });
+
+      CurriculumVersion.hasMany(models.Enrollment, {
+        foreignKey: 'curriculum_version_id',
+        as: 'enrollments',
+      });
+
+      CurriculumVersion.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      });
+    }
+
+    /**
+     * Indica se a matriz já está vigente na data informada
+     *
+     * @param {string} [date] - Data YYYY-MM-DD (padrão: hoje)
+     * @returns {boolean}
+     */
+    isEffective(date = new Date().toISOString().split('T')[0]) {
+      return this.effective_from <= date;
+    }
+  }
+
+  CurriculumVersion.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          notEmpty: { msg: 'O nome da matriz é obrigatório' },
+        },
+      },
+      effective_from: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'CurriculumVersion',
+      tableName: 'curriculum_versions',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return CurriculumVersion;
+};
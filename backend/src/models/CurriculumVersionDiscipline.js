@@ -0,0 +1,58 @@
+/**
+ * Arquivo: backend/src/models/CurriculumVersionDiscipline.js
+ * Descrição: Model Sequelize para as disciplinas de cada matriz curricular
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CurriculumVersionDiscipline extends Model {
+    static associate(models) {
+      CurriculumVersionDiscipline.belongsTo(models.CurriculumVersion, {
+        foreignKey: 'curriculum_version_id',
+        as: 'curriculumVersion',
+      });
+
+      CurriculumVersionDiscipline.belongsTo(models.Discipline, {
+        foreignKey: 'discipline_id',
+        as: 'discipline',
+      });
+    }
+  }
+
+  CurriculumVersionDiscipline.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      curriculum_version_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+      discipline_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      semester: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'CurriculumVersionDiscipline',
+      tableName: 'curriculum_version_disciplines',
+      timestamps: false,
+      underscored: true,
+    }
+  );
+
+  return CurriculumVersionDiscipline;
+};
@@ -3,12 +3,16 @@
  * Descrição: Model para documentos enviados pelos usuários
  * Feature: feat-012 - Criar migrations para Document e DocumentType
  * Criado em: 2025-10-27
+ * Modificado: feat-132 - Documentos de professores no fluxo de revisão
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
  *
  * Responsabilidades:
  * - Representa documentos enviados por alunos e professores
+ * - O dono do documento é um aluno (student_id) ou um professor (teacher_id), nunca ambos
  * - Gerencia status de aprovação/rejeição de documentos
  * - Armazena metadados dos arquivos (caminho, tamanho, tipo MIME)
  * - Registra informações de revisão (quem revisou e quando)
+ * - Controla a validade do documento aprovado (expires_at) e o último aviso de vencimento
  *
  * @example
  * // Criar novo documento
@@ -28,6 +32,8 @@
 
 'use strict';
 
+const { addDays, format } = require('date-fns');
+
 /**
  * Factory function do Model Document
  * Executada pelo models/index.js durante inicialização do Sequelize
@@ -52,16 +58,22 @@ module.exports = (sequelize, DataTypes) => {
       },
       student_id: {
         type: DataTypes.INTEGER.UNSIGNED,
-        allowNull: false,
+        allowNull: true,
         validate: {
-          notNull: {
-            msg: 'O ID do estudante é obrigatório',
-          },
           isInt: {
             msg: 'O ID do estudante deve ser um número inteiro',
           },
         },
       },
+      teacher_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+        validate: {
+          isInt: {
+            msg: 'O ID do professor deve ser um número inteiro',
+          },
+        },
+      },
       document_type_id: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -141,6 +153,18 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.TEXT,
         allowNull: true,
       },
+      expires_at: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      expiration_notice: {
+        type: DataTypes.ENUM('expiring_soon', 'expired'),
+        allowNull: true,
+      },
+      expiration_notified_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -167,6 +191,18 @@ module.exports = (sequelize, DataTypes) => {
       createdAt: 'created_at',
       updatedAt: 'updated_at',
       deletedAt: 'deleted_at',
+      validate: {
+        /**
+         * O documento pertence a exatamente um dono: aluno ou professor
+         */
+        singleOwner() {
+          const hasStudent = this.student_id !== null && this.student_id !== undefined;
+          const hasTeacher = this.teacher_id !== null && this.teacher_id !== undefined;
+          if (hasStudent === hasTeacher) {
+            throw new Error('O documento deve pertencer a um aluno ou a um professor');
+          }
+        },
+      },
       scopes: {
         active: {
           where: {
@@ -200,7 +236,7 @@ module.exports = (sequelize, DataTypes) => {
           limit: 50,
         },
         withRelations: {
-          include: ['student', 'documentType', 'reviewer'],
+          include: ['student', 'teacher', 'documentType', 'reviewer'],
         },
       },
       hooks: {
@@ -211,7 +247,7 @@ module.exports = (sequelize, DataTypes) => {
         },
         afterCreate: (document) => {
           console.log(
-            `[Document] Novo documento enviado: ${document.file_name} (ID: ${document.id}, Student ID: ${document.student_id})`,
+            `[Document] Novo documento enviado: ${document.file_name} (ID: ${document.id}, ${document.getOwnerType() === 'teacher' ? 'Teacher' : 'Student'} ID: ${document.getOwnerId()})`,
           );
         },
         afterUpdate: (document) => {
@@ -230,10 +266,43 @@ module.exports = (sequelize, DataTypes) => {
     },
   );
 
+  /**
+   * Coluna de dono do documento por tipo de usuário
+   * @type {Object<string, string>}
+   */
+  Document.OWNER_FIELDS = {
+    student: 'student_id',
+    teacher: 'teacher_id',
+  };
+
   /**
    * Métodos de Instância
    */
 
+  /**
+   * Tipo de usuário dono do documento
+   * @returns {'student'|'teacher'}
+   */
+  Document.prototype.getOwnerType = function () {
+    return this.teacher_id ? 'teacher' : 'student';
+  };
+
+  /**
+   * ID do dono do documento (aluno ou professor)
+   * @returns {number}
+   */
+  Document.prototype.getOwnerId = function () {
+    return this.teacher_id || this.student_id;
+  };
+
+  /**
+   * Dono do documento carregado pela associação 'student' ou 'teacher'
+   * @returns {Student|Teacher|null}
+   */
+  Document.prototype.getOwner = function () {
+    return this.getOwnerType() === 'teacher' ? this.teacher || null : this.student || null;
+  };
+
   /**
    * Verifica se o documento está pendente de aprovação
    * @returns {boolean}
@@ -258,6 +327,28 @@ module.exports = (sequelize, DataTypes) => {
     return this.status === 'rejected';
   };
 
+  /**
+   * Verifica se o documento aprovado está vencido em uma data
+   * (o documento vale até expires_at, inclusive)
+   * @param {Date|string} [date=new Date()] - Data de referência
+   * @returns {boolean}
+   */
+  Document.prototype.isExpired = function (date = new Date()) {
+    if (!this.expires_at) return false;
+    return this.expires_at < format(new Date(date), 'yyyy-MM-dd');
+  };
+
+  /**
+   * Verifica se o documento aprovado vence (ou já venceu) em até N dias
+   * @param {number} days - Janela em dias a partir da data de referência
+   * @param {Date|string} [date=new Date()] - Data de referência
+   * @returns {boolean}
+   */
+  Document.prototype.isExpiringWithin = function (days, date = new Date()) {
+    if (!this.expires_at) return false;
+    return this.expires_at <= format(addDays(new Date(date), days), 'yyyy-MM-dd');
+  };
+
   /**
    * Retorna label amigável para o status
    * @returns {string}
@@ -275,12 +366,16 @@ module.exports = (sequelize, DataTypes) => {
    * Aprova o documento
    * @param {number} reviewerId - ID do usuário que está aprovando
    * @param {string|null} observations - Observações opcionais
+   * @param {string|null} expiresAt - Último dia de validade (YYYY-MM-DD) ou null se não expira
    * @returns {Promise<Document>}
    */
-  Document.prototype.approve = async function (reviewerId, observations = null) {
+  Document.prototype.approve = async function (reviewerId, observations = null, expiresAt = null) {
     this.status = 'approved';
     this.reviewed_by = reviewerId;
     this.reviewed_at = new Date();
+    this.expires_at = expiresAt;
+    this.expiration_notice = null;
+    this.expiration_notified_at = null;
     if (observations) {
       this.observations = observations;
     }
@@ -337,6 +432,19 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  /**
+   * Busca documentos de um professor específico
+   * @param {number} teacherId - ID do professor
+   * @returns {Promise<Document[]>}
+   */
+  Document.findByTeacher = async function (teacherId) {
+    return await Document.findAll({
+      where: { teacher_id: teacherId },
+      include: ['documentType', 'reviewer'],
+      order: [['created_at', 'DESC']],
+    });
+  };
+
   /**
    * Busca documentos por status
    * @param {string} status - pending, approved ou rejected
@@ -344,7 +452,7 @@ module.exports = (sequelize, DataTypes) => {
    */
   Document.findByStatus = async function (status) {
     return await Document.scope({ method: ['byStatus', status] }).findAll({
-      include: ['student', 'documentType', 'reviewer'],
+      include: ['student', 'teacher', 'documentType', 'reviewer'],
       order: [['created_at', 'DESC']],
     });
   };
@@ -355,7 +463,7 @@ module.exports = (sequelize, DataTypes) => {
    */
   Document.findPending = async function () {
     return await Document.scope('pending').findAll({
-      include: ['student', 'documentType'],
+      include: ['student', 'teacher', 'documentType'],
       order: [['created_at', 'ASC']],
     });
   };
@@ -367,9 +475,20 @@ module.exports = (sequelize, DataTypes) => {
    * @returns {Promise<Document|null>}
    */
   Document.findByStudentAndType = async function (studentId, documentTypeId) {
+    return await Document.findByOwnerAndType('student', studentId, documentTypeId);
+  };
+
+  /**
+   * Último documento de determinado tipo enviado por um aluno ou professor
+   * @param {'student'|'teacher'} ownerType - Tipo de usuário dono do documento
+   * @param {number} ownerId - ID do aluno ou do professor
+   * @param {number} documentTypeId - ID do tipo de documento
+   * @returns {Promise<Document|null>}
+   */
+  Document.findByOwnerAndType = async function (ownerType, ownerId, documentTypeId) {
     return await Document.findOne({
       where: {
-        student_id: studentId,
+        [Document.OWNER_FIELDS[ownerType]]: ownerId,
         document_type_id: documentTypeId,
       },
       order: [['created_at', 'DESC']],
@@ -419,6 +538,14 @@ module.exports = (sequelize, DataTypes) => {
       onUpdate: 'CASCADE',
     });
 
+    // Ou a um professor (documentos obrigatórios de professores)
+    Document.belongsTo(models.Teacher, {
+      foreignKey: 'teacher_id',
+      as: 'teacher',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE',
+    });
+
     // Um documento pertence a um tipo de documento
     Document.belongsTo(models.DocumentType, {
       foreignKey: 'document_type_id',
@@ -3,11 +3,13 @@
  * Descrição: Model para tipos de documentos obrigatórios
  * Feature: feat-012 - Criar migrations para Document e DocumentType
  * Criado em: 2025-10-27
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
  *
  * Responsabilidades:
  * - Representa tipos de documentos obrigatórios no sistema
  * - Define documentos específicos para alunos, professores ou ambos
  * - Gerencia configurações de obrigatoriedade de documentos
+ * - Define a validade opcional do documento aprovado (validity_months)
  *
  * @example
  * // Criar novo tipo de documento
@@ -24,6 +26,8 @@
 
 'use strict';
 
+const { addMonths, format } = require('date-fns');
+
 /**
  * Factory function do Model DocumentType
  * Executada pelo models/index.js durante inicialização do Sequelize
@@ -85,6 +89,20 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         defaultValue: true,
       },
+      validity_months: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+        validate: {
+          isInt: {
+            msg: 'A validade deve ser um número inteiro de meses',
+          },
+          min: {
+            args: [1],
+            msg: 'A validade deve ser de pelo menos 1 mês',
+          },
+        },
+        comment: 'Validade do documento aprovado em meses (NULL = não expira)',
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -190,6 +208,16 @@ module.exports = (sequelize, DataTypes) => {
     );
   };
 
+  /**
+   * Último dia de validade de um documento deste tipo aprovado em uma data
+   * @param {Date|string} approvedAt - Data da aprovação
+   * @returns {string|null} Data no formato YYYY-MM-DD ou null se o tipo não expira
+   */
+  DocumentType.prototype.getExpirationDate = function (approvedAt) {
+    if (!this.validity_months) return null;
+    return format(addMonths(new Date(approvedAt), this.validity_months), 'yyyy-MM-dd');
+  };
+
   /**
    * Verifica se o documento é aplicável para um determinado tipo de usuário
    * @param {string} userRole - Role do usuário (student, teacher)
@@ -0,0 +1,84 @@
+/**
+ * Arquivo: backend/src/models/DocumentTypeRequirement.js
+ * Descrição: Model Sequelize para documentos obrigatórios por curso ou por tipo de curso
+ * Feature: feat-134 - Documentos obrigatórios por curso
+ * Criado em: 2026-10-19
+ *
+ * Cada regra torna o tipo de documento (document_type_id) obrigatório para os alunos de um
+ * curso (course_id) ou de todos os cursos de um tipo (course_type). Exatamente um dos dois
+ * é preenchido.
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+const { DOCUMENT_REQUIREMENT_ORIGIN } = require('../utils/constants');
+
+module.exports = (sequelize, DataTypes) => {
+  class DocumentTypeRequirement extends Model {
+    static associate(models) {
+      DocumentTypeRequirement.belongsTo(models.DocumentType, {
+        foreignKey: 'document_type_id',
+        as: 'documentType',
+      });
+
+      DocumentTypeRequirement.belongsTo(models.Course, {
+        foreignKey: 'course_id',
+        as: 'course',
+      });
+    }
+
+    /**
+     * Origem da regra: curso ou tipo de curso
+     *
+     * @returns {string} DOCUMENT_REQUIREMENT_ORIGIN.COURSE | DOCUMENT_REQUIREMENT_ORIGIN.COURSE_TYPE
+     */
+    getOrigin() {
+      return this.course_id
+        ? DOCUMENT_REQUIREMENT_ORIGIN.COURSE
+        : DOCUMENT_REQUIREMENT_ORIGIN.COURSE_TYPE;
+    }
+  }
+
+  DocumentTypeRequirement.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      document_type_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      course_type: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'DocumentTypeRequirement',
+      tableName: 'document_type_requirements',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      validate: {
+        singleScope() {
+          if (Boolean(this.course_id) === Boolean(this.course_type)) {
+            throw new Error('Informe o curso ou o tipo de curso da regra');
+          }
+        },
+      },
+    }
+  );
+
+  return DocumentTypeRequirement;
+};
@@ -0,0 +1,137 @@
+/**
+ * Arquivo: backend/src/models/EmailOutbox.js
+ * Descrição: Model Sequelize da fila de saída e do histórico de entrega dos emails
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Cada registro é um email já renderizado para um destinatário. O job email-outbox envia os
+ * pendentes e, em caso de falha, agenda nova tentativa com espera crescente até max_attempts.
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+const { EMAIL_OUTBOX_STATUS, EMAIL_OUTBOX_CONFIG } = require('../utils/constants');
+
+module.exports = (sequelize, DataTypes) => {
+  class EmailOutbox extends Model {
+    static associate(models) {
+      EmailOutbox.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      });
+    }
+
+    /**
+     * Espera, em minutos, antes da próxima tentativa
+     *
+     * @param {number} attempts - Tentativas já realizadas (>= 1)
+     * @returns {number}
+     */
+    static getBackoffMinutes(attempts) {
+      const minutes = EMAIL_OUTBOX_CONFIG.BACKOFF_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0);
+      return Math.min(minutes, EMAIL_OUTBOX_CONFIG.MAX_BACKOFF_MINUTES);
+    }
+
+    /**
+     * Verifica se ainda há tentativas disponíveis
+     *
+     * @returns {boolean}
+     */
+    hasAttemptsLeft() {
+      return this.attempts < this.max_attempts;
+    }
+
+    /**
+     * Verifica se o email pode ser reenfileirado manualmente
+     *
+     * @returns {boolean}
+     */
+    canRetry() {
+      return this.status === EMAIL_OUTBOX_STATUS.FAILED;
+    }
+  }
+
+  EmailOutbox.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      user_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      to_email: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+          isEmail: {
+            msg: 'Email do destinatário inválido',
+          },
+        },
+      },
+      template: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      subject: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      html_body: {
+        type: DataTypes.TEXT('medium'),
+        allowNull: true,
+      },
+      text_body: {
+        type: DataTypes.TEXT('medium'),
+        allowNull: true,
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(EMAIL_OUTBOX_STATUS)),
+        allowNull: false,
+        defaultValue: EMAIL_OUTBOX_STATUS.PENDING,
+      },
+      attempts: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      max_attempts: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        defaultValue: EMAIL_OUTBOX_CONFIG.MAX_ATTEMPTS,
+      },
+      next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      message_id: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'EmailOutbox',
+      tableName: 'email_outbox',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return EmailOutbox;
+};
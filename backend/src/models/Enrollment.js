@@ -2,12 +2,15 @@
  * Arquivo: backend/src/models/Enrollment.js
  * Descrição: Model Sequelize para matrículas de alunos em cursos
  * Feature: feat-011 - Criar migration e model Enrollment
+ * Modificado: feat-126 - semester_progressed_at (avanço de semestre pelo fechamento de semestre)
+ * Modificado: feat-128 - Status locked (trancamento) e dados do trancamento/cancelamento
+ * Modificado: feat-130 - Matriz curricular do aluno (curriculum_version_id)
  * Criado em: 2025-10-26
  *
  * RESPONSABILIDADES:
  * - Representar matrículas de alunos em cursos
  * - Validar regras de negócio (status válidos)
- * - Gerenciar status de matrícula (pending, active, cancelled, contract, reenrollment, completed)
+ * - Gerenciar status de matrícula (pending, active, cancelled, contract, reenrollment, completed, locked)
  * - Soft delete para histórico
  * - Relacionamentos com User (aluno) e Course
  *
@@ -18,6 +21,7 @@
  * - Status pending: aguardando aprovação de documentos
  * - Status ativa: todos os documentos obrigatórios aprovados
  * - Status cancelada: matrícula cancelada por solicitação
+ * - Status trancada (locked): matrícula trancada até a data de retorno prevista; pode ser reativada
  *
  * @example
  * // Criar nova matrícula
@@ -89,7 +93,15 @@ module.exports = (sequelize, DataTypes) => {
         },
       },
       status: {
-        type: DataTypes.ENUM('pending', 'active', 'cancelled', 'reenrollment', 'completed', 'contract'),
+        type: DataTypes.ENUM(
+          'pending',
+          'active',
+          'cancelled',
+          'reenrollment',
+          'completed',
+          'contract',
+          'locked'
+        ),
         allowNull: false,
         defaultValue: 'pending',
         validate: {
@@ -97,8 +109,10 @@ module.exports = (sequelize, DataTypes) => {
             msg: 'status é obrigatório',
           },
           isIn: {
-            args: [['pending', 'active', 'cancelled', 'reenrollment', 'completed', 'contract']],
-            msg: 'status deve ser: pending, active, cancelled, reenrollment, completed ou contract',
+            args: [
+              ['pending', 'active', 'cancelled', 'reenrollment', 'completed', 'contract', 'locked'],
+            ],
+            msg: 'status deve ser: pending, active, cancelled, reenrollment, completed, contract ou locked',
           },
         },
       },
@@ -147,6 +161,46 @@ module.exports = (sequelize, DataTypes) => {
         },
         comment: 'Semestre atual do aluno no curso (0 = não iniciado, 1-12 = semestres cursados)',
       },
+      semester_progressed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Último avanço de semestre feito por um fechamento de semestre',
+      },
+      lock_start_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Início do trancamento',
+      },
+      lock_expected_return_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Retorno previsto do trancamento',
+      },
+      lock_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Motivo do trancamento',
+      },
+      cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Data do cancelamento',
+      },
+      cancellation_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Motivo do cancelamento',
+      },
+      reactivated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Última reativação de matrícula trancada',
+      },
+      curriculum_version_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+        comment: 'Matriz curricular do aluno (vigente no ingresso ou definida por migração)',
+      },
     },
     {
       sequelize,
@@ -272,6 +326,12 @@ module.exports = (sequelize, DataTypes) => {
    * @param {Object} models - Objeto contendo todos os models
    */
   Enrollment.associate = function (models) {
+    // Matriz curricular do aluno no curso
+    Enrollment.belongsTo(models.CurriculumVersion, {
+      foreignKey: 'curriculum_version_id',
+      as: 'curriculumVersion',
+    });
+
     // Enrollment pertence a um Student (aluno)
     Enrollment.belongsTo(models.Student, {
       foreignKey: 'student_id',
@@ -329,6 +389,15 @@ module.exports = (sequelize, DataTypes) => {
     return this.status === 'cancelled';
   };
 
+  /**
+   * Verifica se a matrícula está trancada
+   *
+   * @returns {boolean}
+   */
+  Enrollment.prototype.isLocked = function () {
+    return this.status === 'locked';
+  };
+
   /**
    * Retorna label legível do status
    *
@@ -342,6 +411,7 @@ module.exports = (sequelize, DataTypes) => {
       reenrollment: 'Rematrícula',
       completed: 'Concluída',
       contract: 'Aguardando Aceite de Contrato',
+      locked: 'Trancada',
     };
     return labels[this.status] || 'Status Desconhecido';
   };
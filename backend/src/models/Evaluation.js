@@ -457,6 +457,42 @@ module.exports = (sequelize, DataTypes) => {
         },
         comment: 'Tipo de avaliação: grade (nota 0-10) ou concept (satisfatório/não satisfatório)'
       },
+      weight: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+          isDecimal: {
+            msg: 'O peso deve ser um número',
+          },
+          min: {
+            args: [0.01],
+            msg: 'O peso deve ser maior que zero',
+          },
+          max: {
+            args: [100],
+            msg: 'O peso deve ser no máximo 100',
+          },
+        },
+        get() {
+          const value = this.getDataValue('weight');
+          return value === null || value === undefined ? value : parseFloat(value);
+        },
+        comment: 'Peso da avaliação na média ponderada',
+      },
+      is_final_exam: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Indica se é a prova final (usada pela fórmula final_replaces_lowest)',
+      },
+      is_recovery: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment:
+          'Indica se é a avaliação de recuperação (apenas alunos em recuperação recebem nota)',
+      },
       original_semester: {
         type: DataTypes.INTEGER,
         allowNull: true,
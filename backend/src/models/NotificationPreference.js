@@ -0,0 +1,74 @@
+/**
+ * Arquivo: backend/src/models/NotificationPreference.js
+ * Descrição: Model Sequelize das preferências de notificação por email
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ *
+ * Guarda a escolha do usuário para um evento (NOTIFICATION_EVENTS). Sem registro, o email do
+ * evento é enviado.
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+const { NOTIFICATION_EVENTS } = require('../utils/constants');
+
+module.exports = (sequelize, DataTypes) => {
+  class NotificationPreference extends Model {
+    static associate(models) {
+      NotificationPreference.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      });
+    }
+  }
+
+  NotificationPreference.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      user_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+      event: {
+        type: DataTypes.STRING(60),
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [Object.values(NOTIFICATION_EVENTS)],
+            msg: 'Evento de notificação inválido',
+          },
+        },
+      },
+      email_enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'NotificationPreference',
+      tableName: 'notification_preferences',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['user_id', 'event'],
+          name: 'uq_notification_preferences_user_event',
+        },
+      ],
+    }
+  );
+
+  return NotificationPreference;
+};
@@ -0,0 +1,147 @@
+/**
+ * Arquivo: backend/src/models/ReenrollmentCampaign.js
+ * Descrição: Model Sequelize para as campanhas de rematrícula em lote
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ *
+ * Ciclo de vida:
+ * - draft: campanha em preparação (pode ser editada ou excluída)
+ * - open: matrículas elegíveis colocadas em rematrícula, aguardando o aceite dos alunos
+ * - closed: prazo encerrado; quem não respondeu fica marcado para acompanhamento
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+const { REENROLLMENT_CAMPAIGN_STATUS } = require('../utils/constants');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReenrollmentCampaign extends Model {
+    static associate(models) {
+      ReenrollmentCampaign.belongsTo(models.Course, {
+        foreignKey: 'course_id',
+        as: 'course',
+      });
+
+      ReenrollmentCampaign.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      });
+
+      ReenrollmentCampaign.hasMany(models.ReenrollmentCampaignEnrollment, {
+        foreignKey: 'campaign_id',
+        as: 'enrollments',
+      });
+    }
+
+    /**
+     * Retorna o rótulo do período letivo da campanha
+     *
+     * @returns {string} Formato "2027/1"
+     */
+    getPeriodLabel() {
+      return `${this.year}/${this.semester}`;
+    }
+
+    /**
+     * Verifica se o prazo de aceite já terminou
+     *
+     * @param {string} today - Data de referência (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    isPastDeadline(today) {
+      return this.deadline < today;
+    }
+  }
+
+  ReenrollmentCampaign.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O nome da campanha é obrigatório' },
+          len: {
+            args: [3, 150],
+            msg: 'O nome da campanha deve ter entre 3 e 150 caracteres',
+          },
+        },
+      },
+      year: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O ano do período é obrigatório' },
+          min: { args: [2020], msg: 'O ano deve ser maior ou igual a 2020' },
+          max: { args: [2100], msg: 'O ano deve ser menor ou igual a 2100' },
+        },
+      },
+      semester: {
+        type: DataTypes.TINYINT,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O semestre do período é obrigatório' },
+          isIn: { args: [[1, 2]], msg: 'O semestre do período deve ser 1 ou 2' },
+        },
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      target_semester: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: { args: [1], msg: 'O semestre alvo deve ser maior ou igual a 1' },
+        },
+      },
+      deadline: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O prazo da campanha é obrigatório' },
+          isDate: { msg: 'O prazo da campanha deve ser uma data válida' },
+        },
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(REENROLLMENT_CAMPAIGN_STATUS)),
+        allowNull: false,
+        defaultValue: REENROLLMENT_CAMPAIGN_STATUS.DRAFT,
+      },
+      created_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      launched_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      closed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_reminder_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ReenrollmentCampaign',
+      tableName: 'reenrollment_campaigns',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return ReenrollmentCampaign;
+};
@@ -0,0 +1,105 @@
+/**
+ * Arquivo: backend/src/models/ReenrollmentCampaignEnrollment.js
+ * Descrição: Model Sequelize para a situação de cada matrícula em uma campanha de rematrícula
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ *
+ * Situações:
+ * - pending: matrícula colocada em rematrícula, aguardando o aceite do aluno
+ * - accepted: aluno aceitou a rematrícula
+ * - skipped: matrícula não entrou em rematrícula por pendência (skip_reasons)
+ * - follow_up: aluno não respondeu até o prazo; a secretaria deve entrar em contato
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+const { CAMPAIGN_ENROLLMENT_STATUS } = require('../utils/constants');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReenrollmentCampaignEnrollment extends Model {
+    static associate(models) {
+      ReenrollmentCampaignEnrollment.belongsTo(models.ReenrollmentCampaign, {
+        foreignKey: 'campaign_id',
+        as: 'campaign',
+      });
+
+      ReenrollmentCampaignEnrollment.belongsTo(models.Enrollment, {
+        foreignKey: 'enrollment_id',
+        as: 'enrollment',
+      });
+    }
+
+    /**
+     * Registra o aceite da rematrícula nas campanhas em andamento da matrícula
+     *
+     * Alunos marcados para acompanhamento que aceitam depois do prazo também são atualizados.
+     *
+     * @param {number} enrollmentId - ID da matrícula
+     * @param {Object} [options] - Opções do Sequelize (ex: transaction)
+     * @returns {Promise<number>} Quantidade de registros atualizados
+     */
+    static async markAccepted(enrollmentId, options = {}) {
+      const [updated] = await ReenrollmentCampaignEnrollment.update(
+        { status: CAMPAIGN_ENROLLMENT_STATUS.ACCEPTED, accepted_at: new Date() },
+        {
+          where: {
+            enrollment_id: enrollmentId,
+            status: [CAMPAIGN_ENROLLMENT_STATUS.PENDING, CAMPAIGN_ENROLLMENT_STATUS.FOLLOW_UP],
+          },
+          ...options,
+        }
+      );
+      return updated;
+    }
+  }
+
+  ReenrollmentCampaignEnrollment.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      campaign_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+      enrollment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(CAMPAIGN_ENROLLMENT_STATUS)),
+        allowNull: false,
+        defaultValue: CAMPAIGN_ENROLLMENT_STATUS.PENDING,
+      },
+      skip_reasons: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      accepted_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      reminders_sent: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ReenrollmentCampaignEnrollment',
+      tableName: 'reenrollment_campaign_enrollments',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return ReenrollmentCampaignEnrollment;
+};
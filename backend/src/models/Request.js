@@ -2,9 +2,30 @@
  * Arquivo: src/models/Request.js
  * Descrição: Model para solicitações feitas por alunos
  * Feature: feat-015 - Criar migrations para Request e RequestType
+ * Modificado: feat-119 - Prazos (SLA) das solicitações em dias úteis
+ * Modificado: feat-120 - Status em análise/aguardando aluno, comentários, anexos e histórico
+ * Modificado: feat-121 - Contagem dos anexos enviados pelo aluno (anexos obrigatórios do tipo)
  * Criado em: 2025-10-27
  */
 
+const { addBusinessDays, toDateOnly } = require('../utils/businessDays');
+const { REQUEST_SLA_CONFIG, REQUEST_STATUS } = require('../utils/constants');
+
+/**
+ * Status em que a solicitação ainda não foi concluída (aprovada ou rejeitada)
+ */
+const OPEN_STATUSES = [
+  REQUEST_STATUS.PENDING,
+  REQUEST_STATUS.IN_ANALYSIS,
+  REQUEST_STATUS.AWAITING_STUDENT,
+];
+
+/**
+ * Status em que o prazo (SLA) corre contra a secretaria. Enquanto a solicitação
+ * aguarda o aluno, ela não é considerada atrasada nem em risco.
+ */
+const SLA_STATUSES = [REQUEST_STATUS.PENDING, REQUEST_STATUS.IN_ANALYSIS];
+
 /**
  * Define o model Request
  *
@@ -12,14 +33,19 @@
  *
  * Responsabilidades:
  * - Registrar solicitações de alunos (atestado, histórico, certificado, etc)
- * - Controlar status (pendente, aprovada, rejeitada)
+ * - Controlar status (pendente, em análise, aguardando aluno, aprovada, rejeitada)
+ * - Registrar o histórico de mudanças de status (RequestStatusHistory)
  * - Armazenar informações de revisão (quem revisou, quando, observações)
+ * - Calcular a data limite de resposta (SLA) em dias úteis e sinalizar atrasos
  * - Fornecer métodos auxiliares para gestão de solicitações
  *
  * Relacionamentos:
  * - belongsTo Student - Aluno que fez a solicitação
  * - belongsTo User (reviewer) - Admin que revisou a solicitação
  * - belongsTo RequestType - Tipo de solicitação
+ * - hasMany RequestComment - Conversa entre secretaria e aluno
+ * - hasMany RequestAttachment - Arquivos anexados
+ * - hasMany RequestStatusHistory - Histórico de status
  *
  * @param {import('sequelize').Sequelize} sequelize - Instância do Sequelize
  * @param {import('sequelize').DataTypes} DataTypes - Tipos de dados do Sequelize
@@ -66,17 +92,35 @@ module.exports = (sequelize, DataTypes) => {
         comment: 'Descrição/justificativa da solicitação fornecida pelo aluno',
       },
       status: {
-        type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+        type: DataTypes.ENUM('pending', 'in_analysis', 'awaiting_student', 'approved', 'rejected'),
         allowNull: false,
         defaultValue: 'pending',
         validate: {
           isIn: {
-            args: [['pending', 'approved', 'rejected']],
-            msg: 'Status deve ser: pending, approved ou rejected',
+            args: [['pending', 'in_analysis', 'awaiting_student', 'approved', 'rejected']],
+            msg: 'Status deve ser: pending, in_analysis, awaiting_student, approved ou rejected',
           },
         },
         comment:
-          'Status da solicitação: pending (pendente), approved (aprovada), rejected (rejeitada)',
+          'Status da solicitação: pending (pendente), in_analysis (em análise), awaiting_student (aguardando aluno), approved (aprovada), rejected (rejeitada)',
+      },
+      due_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Data limite de resposta, calculada em dias úteis a partir da criação',
+      },
+      // Campos virtuais de SLA (apenas solicitações pendentes ou em análise podem estar atrasadas ou em risco)
+      is_overdue: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return this.getSlaStatus() === 'overdue';
+        },
+      },
+      is_at_risk: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return this.getSlaStatus() === 'at_risk';
+        },
       },
       reviewed_by: {
         type: DataTypes.INTEGER.UNSIGNED,
@@ -134,23 +178,47 @@ module.exports = (sequelize, DataTypes) => {
             request.observations = request.observations.trim();
           }
         },
+        /**
+         * Hook executado antes de criar
+         * Calcula a data limite a partir do prazo em dias úteis do tipo de solicitação
+         */
+        beforeCreate: async (request, options) => {
+          if (request.due_date) {
+            return;
+          }
+
+          const requestType = await sequelize.models.RequestType.findByPk(request.request_type_id, {
+            attributes: ['id', 'response_deadline_days'],
+            transaction: options.transaction,
+          });
+
+          if (requestType) {
+            request.due_date = toDateOnly(
+              addBusinessDays(request.created_at || new Date(), requestType.response_deadline_days)
+            );
+          }
+        },
         /**
          * Hook executado após criar
-         * Registra log de criação
+         * Registra log de criação e o status inicial no histórico
          */
-        afterCreate: (request) => {
+        afterCreate: async (request, options) => {
           console.log(
             `[Request] Solicitação criada (ID: ${request.id}, Status: ${request.status})`
           );
+          await Request.recordStatusChange(request, null, options);
         },
         /**
          * Hook executado após atualizar
-         * Registra log de atualização
+         * Registra log de atualização e, se o status mudou, a mudança no histórico
          */
-        afterUpdate: (request) => {
+        afterUpdate: async (request, options) => {
           console.log(
             `[Request] Solicitação atualizada (ID: ${request.id}, Status: ${request.status})`
           );
+          if (request.changed('status')) {
+            await Request.recordStatusChange(request, request.previous('status'), options);
+          }
         },
         /**
          * Hook executado após deletar (soft delete)
@@ -221,7 +289,7 @@ module.exports = (sequelize, DataTypes) => {
             },
             {
               association: 'requestType',
-              attributes: ['id', 'name', 'response_deadline_days'],
+              attributes: ['id', 'name', 'response_deadline_days', 'document_generator'],
             },
           ],
         },
@@ -277,6 +345,34 @@ module.exports = (sequelize, DataTypes) => {
     return this.status === 'rejected';
   };
 
+  /**
+   * Verifica se a solicitação ainda não foi concluída (aprovada ou rejeitada)
+   * @returns {boolean}
+   */
+  Request.prototype.isOpen = function () {
+    return OPEN_STATUSES.includes(this.status);
+  };
+
+  /**
+   * Verifica se a solicitação aguarda resposta do aluno
+   * @returns {boolean}
+   */
+  Request.prototype.isAwaitingStudent = function () {
+    return this.status === REQUEST_STATUS.AWAITING_STUDENT;
+  };
+
+  /**
+   * Conta os anexos enviados pelo aluno (os da secretaria não contam para os
+   * anexos obrigatórios do tipo)
+   * @returns {Promise<number>}
+   */
+  Request.prototype.countStudentAttachments = async function () {
+    return sequelize.models.RequestAttachment.count({
+      where: { request_id: this.id },
+      include: [{ association: 'uploader', attributes: [], where: { role: 'student' } }],
+    });
+  };
+
   /**
    * Retorna label do status
    * @returns {string}
@@ -284,26 +380,58 @@ module.exports = (sequelize, DataTypes) => {
   Request.prototype.getStatusLabel = function () {
     const labels = {
       pending: 'Pendente',
+      in_analysis: 'Em análise',
+      awaiting_student: 'Aguardando aluno',
       approved: 'Aprovada',
       rejected: 'Rejeitada',
     };
     return labels[this.status] || 'Desconhecido';
   };
 
+  /**
+   * Retorna a situação do prazo (SLA) da solicitação
+   *
+   * - overdue: pendente/em análise e com data limite já ultrapassada
+   * - at_risk: pendente/em análise e vencendo dentro da janela de risco (ver getSlaWindow)
+   * - on_time: pendente/em análise e dentro do prazo
+   * - null: solicitação concluída, aguardando o aluno ou sem data limite
+   *
+   * @returns {'overdue'|'at_risk'|'on_time'|null}
+   */
+  Request.prototype.getSlaStatus = function () {
+    const dueDate = this.getDataValue('due_date');
+    if (!SLA_STATUSES.includes(this.getDataValue('status')) || !dueDate) {
+      return null;
+    }
+
+    const { today, atRiskLimit } = Request.getSlaWindow();
+    if (dueDate < today) {
+      return 'overdue';
+    }
+    return dueDate <= atRiskLimit ? 'at_risk' : 'on_time';
+  };
+
   /**
    * Aprova a solicitação
    * @param {number} reviewerId - ID do admin que está aprovando
    * @param {string} observations - Observações sobre a aprovação
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction] - Transação da operação que
+   *   acompanha a aprovação (ex: transferência de turma)
    * @returns {Promise<Request>}
    */
-  Request.prototype.approve = async function (reviewerId, observations = null) {
+  Request.prototype.approve = async function (reviewerId, observations = null, options = {}) {
     this.status = 'approved';
     this.reviewed_by = reviewerId;
     this.reviewed_at = new Date();
     if (observations) {
       this.observations = observations;
     }
-    await this.save();
+    await this.save({
+      changedBy: reviewerId,
+      statusNote: observations,
+      transaction: options.transaction,
+    });
     return this;
   };
 
@@ -320,7 +448,29 @@ module.exports = (sequelize, DataTypes) => {
     if (observations) {
       this.observations = observations;
     }
-    await this.save();
+    await this.save({ changedBy: reviewerId, statusNote: observations });
+    return this;
+  };
+
+  /**
+   * Altera o status de uma solicitação em aberto (em análise, aguardando aluno)
+   *
+   * A mudança é registrada no histórico com o usuário e a observação informados.
+   *
+   * @param {string} status - Novo status
+   * @param {Object} [options]
+   * @param {number} [options.changedBy] - ID do usuário que realizou a mudança
+   * @param {string} [options.note] - Observação registrada no histórico
+   * @param {import('sequelize').Transaction} [options.transaction]
+   * @returns {Promise<Request>}
+   */
+  Request.prototype.changeStatus = async function (status, options = {}) {
+    this.status = status;
+    await this.save({
+      changedBy: options.changedBy,
+      statusNote: options.note,
+      transaction: options.transaction,
+    });
     return this;
   };
 
@@ -457,6 +607,83 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  /**
+   * Retorna a janela de SLA usada para sinalizar solicitações atrasadas e em risco
+   *
+   * Solicitações com data limite anterior a `today` estão atrasadas; as que vencem
+   * entre `today` e `atRiskLimit` (inclusive) estão em risco. A janela de risco, em
+   * dias úteis, é lida de REQUEST_AT_RISK_DAYS a cada chamada.
+   *
+   * @param {Date} [referenceDate=new Date()] - Data de referência
+   * @returns {{ today: string, atRiskLimit: string }} Datas no formato YYYY-MM-DD
+   */
+  Request.getSlaWindow = function (referenceDate = new Date()) {
+    const configured = parseInt(process.env.REQUEST_AT_RISK_DAYS, 10);
+    const atRiskDays =
+      Number.isInteger(configured) && configured >= 0
+        ? configured
+        : REQUEST_SLA_CONFIG.DEFAULT_AT_RISK_BUSINESS_DAYS;
+
+    return {
+      today: toDateOnly(referenceDate),
+      atRiskLimit: toDateOnly(addBusinessDays(referenceDate, atRiskDays)),
+    };
+  };
+
+  /**
+   * Monta a condição WHERE para filtrar solicitações pela situação do prazo
+   *
+   * @param {'overdue'|'at_risk'} sla - Situação do prazo
+   * @returns {Object} Condição para o `where` do Sequelize
+   */
+  Request.slaWhere = function (sla) {
+    const { Op } = sequelize.Sequelize;
+    const { today, atRiskLimit } = this.getSlaWindow();
+
+    if (sla === 'overdue') {
+      return { status: { [Op.in]: SLA_STATUSES }, due_date: { [Op.lt]: today } };
+    }
+    return {
+      status: { [Op.in]: SLA_STATUSES },
+      due_date: { [Op.between]: [today, atRiskLimit] },
+    };
+  };
+
+  /**
+   * Registra uma mudança de status no histórico (chamado pelos hooks afterCreate/afterUpdate)
+   *
+   * O autor da mudança vem de `options.changedBy` (ou do revisor da solicitação) e a
+   * observação de `options.statusNote`.
+   *
+   * @param {Request} request - Solicitação alterada
+   * @param {string|null} fromStatus - Status anterior (nulo na criação)
+   * @param {Object} options - Opções repassadas ao save/create
+   * @returns {Promise<void>}
+   */
+  Request.recordStatusChange = async function (request, fromStatus, options = {}) {
+    await sequelize.models.RequestStatusHistory.create(
+      {
+        request_id: request.id,
+        from_status: fromStatus,
+        to_status: request.status,
+        changed_by: options.changedBy || (fromStatus ? request.reviewed_by : null) || null,
+        note: options.statusNote || null,
+      },
+      { transaction: options.transaction }
+    );
+  };
+
+  /**
+   * Busca solicitações pendentes com prazo vencido, da mais atrasada para a mais recente
+   * @returns {Promise<Request[]>}
+   */
+  Request.findOverdue = async function () {
+    return await this.scope('withRelations').findAll({
+      where: { ...this.slaWhere('overdue'), deleted_at: null },
+      order: [['due_date', 'ASC']],
+    });
+  };
+
   // ==================== ASSOCIAÇÕES ====================
 
   /**
@@ -481,7 +708,26 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'request_type_id',
       as: 'requestType',
     });
+
+    // Conversa, anexos e histórico de status da solicitação
+    Request.hasMany(models.RequestComment, {
+      foreignKey: 'request_id',
+      as: 'comments',
+    });
+
+    Request.hasMany(models.RequestAttachment, {
+      foreignKey: 'request_id',
+      as: 'attachments',
+    });
+
+    Request.hasMany(models.RequestStatusHistory, {
+      foreignKey: 'request_id',
+      as: 'statusHistory',
+    });
   };
 
+  Request.OPEN_STATUSES = OPEN_STATUSES;
+  Request.SLA_STATUSES = SLA_STATUSES;
+
   return Request;
 };
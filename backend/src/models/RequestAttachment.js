@@ -0,0 +1,98 @@
+/**
+ * Arquivo: backend/src/models/RequestAttachment.js
+ * Descrição: Model Sequelize para os arquivos anexados a uma solicitação
+ * Feature: feat-120 - Fluxo de atendimento das solicitações
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RequestAttachment extends Model {
+    static associate(models) {
+      RequestAttachment.belongsTo(models.Request, {
+        foreignKey: 'request_id',
+        as: 'request',
+      });
+
+      RequestAttachment.belongsTo(models.RequestComment, {
+        foreignKey: 'comment_id',
+        as: 'comment',
+      });
+
+      RequestAttachment.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'uploader',
+      });
+    }
+  }
+
+  RequestAttachment.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      request_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'A solicitação é obrigatória' },
+        },
+      },
+      comment_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O usuário que enviou o anexo é obrigatório' },
+        },
+      },
+      file_name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      file_path: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+      },
+      mime_type: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      file_size: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'RequestAttachment',
+      tableName: 'request_attachments',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return RequestAttachment;
+};
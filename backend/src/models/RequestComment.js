@@ -0,0 +1,97 @@
+/**
+ * Arquivo: backend/src/models/RequestComment.js
+ * Descrição: Model Sequelize para os comentários (conversa) de uma solicitação
+ * Feature: feat-120 - Fluxo de atendimento das solicitações
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RequestComment extends Model {
+    static associate(models) {
+      RequestComment.belongsTo(models.Request, {
+        foreignKey: 'request_id',
+        as: 'request',
+      });
+
+      RequestComment.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'author',
+      });
+
+      RequestComment.hasMany(models.RequestAttachment, {
+        foreignKey: 'comment_id',
+        as: 'attachments',
+      });
+    }
+  }
+
+  RequestComment.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      request_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'A solicitação é obrigatória' },
+        },
+      },
+      user_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O autor do comentário é obrigatório' },
+        },
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'A mensagem é obrigatória' },
+          notEmpty: { msg: 'A mensagem não pode estar vazia' },
+          len: {
+            args: [1, 2000],
+            msg: 'A mensagem deve ter no máximo 2000 caracteres',
+          },
+        },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'RequestComment',
+      tableName: 'request_comments',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      hooks: {
+        beforeValidate: (comment) => {
+          if (typeof comment.message === 'string') {
+            comment.message = comment.message.trim();
+          }
+        },
+      },
+    }
+  );
+
+  return RequestComment;
+};
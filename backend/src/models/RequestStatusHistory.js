@@ -0,0 +1,77 @@
+/**
+ * Arquivo: backend/src/models/RequestStatusHistory.js
+ * Descrição: Model Sequelize para o histórico de mudanças de status de uma solicitação
+ * Feature: feat-120 - Fluxo de atendimento das solicitações
+ * Criado em: 2026-10-19
+ *
+ * Os registros são criados pelos hooks afterCreate/afterUpdate do model Request;
+ * não devem ser criados diretamente.
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RequestStatusHistory extends Model {
+    static associate(models) {
+      RequestStatusHistory.belongsTo(models.Request, {
+        foreignKey: 'request_id',
+        as: 'request',
+      });
+
+      RequestStatusHistory.belongsTo(models.User, {
+        foreignKey: 'changed_by',
+        as: 'changedBy',
+      });
+    }
+  }
+
+  RequestStatusHistory.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      request_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      from_status: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+      to_status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+      changed_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'RequestStatusHistory',
+      tableName: 'request_status_history',
+      timestamps: true,
+      updatedAt: false,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+    }
+  );
+
+  return RequestStatusHistory;
+};
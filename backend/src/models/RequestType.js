@@ -2,9 +2,15 @@
  * Arquivo: src/models/RequestType.js
  * Descrição: Model para tipos de solicitações que alunos podem fazer
  * Feature: feat-015 - Criar migrations para Request e RequestType
+ * Modificado: feat-121 - Ordem, perfis permitidos, anexos obrigatórios e gerador de documento
  * Criado em: 2025-10-27
  */
 
+/**
+ * Perfis que podem abrir solicitações (professores não abrem solicitações)
+ */
+const REQUEST_TYPE_ROLES = ['student', 'admin'];
+
 /**
  * Define o model RequestType
  *
@@ -14,6 +20,8 @@
  * - Definir tipos de solicitações disponíveis (atestado, histórico, certificado, etc)
  * - Armazenar descrição e prazo de resposta
  * - Controlar quais tipos estão ativos/disponíveis
+ * - Definir ordem de exibição, perfis que podem abrir a solicitação, anexos obrigatórios
+ *   e o gerador de documento executado na aprovação
  * - Fornecer métodos auxiliares para gestão de tipos de solicitações
  *
  * Relacionamentos:
@@ -78,6 +86,55 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: true,
         comment: 'Define se o tipo de solicitação está ativo/disponível',
       },
+      display_order: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          isInt: {
+            msg: 'Ordem de exibição deve ser um número inteiro',
+          },
+        },
+        comment: 'Ordem de exibição do tipo de solicitação',
+      },
+      allowed_roles: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        validate: {
+          isValidRoles(value) {
+            if (value === null || value === undefined) return;
+            if (
+              !Array.isArray(value) ||
+              value.length === 0 ||
+              value.some((role) => !REQUEST_TYPE_ROLES.includes(role))
+            ) {
+              throw new Error(`Perfis permitidos devem ser: ${REQUEST_TYPE_ROLES.join(', ')}`);
+            }
+          },
+        },
+        comment: 'Perfis que podem abrir a solicitação; nulo = todos',
+      },
+      required_attachments: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        validate: {
+          isValidAttachments(value) {
+            if (value === null || value === undefined) return;
+            if (
+              !Array.isArray(value) ||
+              value.some((item) => typeof item !== 'string' || !item.trim())
+            ) {
+              throw new Error('Anexos obrigatórios devem ser uma lista de descrições');
+            }
+          },
+        },
+        comment: 'Anexos obrigatórios enviados pelo aluno (lista de descrições)',
+      },
+      document_generator: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Gerador de documento executado na aprovação (ex: historico_escolar)',
+      },
       deleted_at: {
         type: DataTypes.DATE,
         allowNull: true,
@@ -99,6 +156,14 @@ module.exports = (sequelize, DataTypes) => {
           if (requestType.name) {
             requestType.name = requestType.name.trim();
           }
+          if (Array.isArray(requestType.required_attachments)) {
+            requestType.required_attachments = requestType.required_attachments.map((item) =>
+              typeof item === 'string' ? item.trim() : item
+            );
+          }
+          if (requestType.document_generator === '') {
+            requestType.document_generator = null;
+          }
         },
         /**
          * Hook executado após criar
@@ -147,10 +212,13 @@ module.exports = (sequelize, DataTypes) => {
           },
         },
         /**
-         * Scope para tipos de solicitações ordenados por nome
+         * Scope para tipos de solicitações na ordem definida pela secretaria
          */
         ordered: {
-          order: [['name', 'ASC']],
+          order: [
+            ['display_order', 'ASC'],
+            ['name', 'ASC'],
+          ],
         },
       },
     }
@@ -186,6 +254,33 @@ module.exports = (sequelize, DataTypes) => {
     return this;
   };
 
+  /**
+   * Perfis que podem abrir solicitações deste tipo
+   * @returns {string[]}
+   */
+  RequestType.prototype.getAllowedRoles = function () {
+    return this.allowed_roles && this.allowed_roles.length > 0
+      ? this.allowed_roles
+      : REQUEST_TYPE_ROLES;
+  };
+
+  /**
+   * Verifica se o perfil pode abrir solicitações deste tipo
+   * @param {string} role - Perfil do usuário
+   * @returns {boolean}
+   */
+  RequestType.prototype.canBeOpenedBy = function (role) {
+    return this.getAllowedRoles().includes(role);
+  };
+
+  /**
+   * Anexos que o aluno precisa enviar antes da aprovação
+   * @returns {string[]}
+   */
+  RequestType.prototype.getRequiredAttachments = function () {
+    return this.required_attachments || [];
+  };
+
   /**
    * Retorna descrição formatada do prazo de resposta
    * @returns {string}
@@ -261,6 +356,17 @@ module.exports = (sequelize, DataTypes) => {
     return await this.scope('available').count();
   };
 
+  /**
+   * Próxima posição na ordem de exibição (final da lista)
+   * @returns {Promise<number>}
+   */
+  RequestType.getNextDisplayOrder = async function () {
+    const max = await this.max('display_order');
+    return (max || 0) + 1;
+  };
+
+  RequestType.REQUEST_TYPE_ROLES = REQUEST_TYPE_ROLES;
+
   // ==================== ASSOCIAÇÕES ====================
 
   /**
@@ -0,0 +1,89 @@
+/**
+ * Arquivo: backend/src/models/SemesterClosing.js
+ * Descrição: Model Sequelize para os fechamentos de semestre executados
+ * Feature: feat-126 - Progressão semestral automática das matrículas
+ * Criado em: 2026-10-19
+ *
+ * Cada registro guarda o relatório do que mudou em cada matrícula (report) e o
+ * resumo por resultado (summary). O fechamento não é desfeito: correções individuais
+ * continuam em PUT /enrollments/:id/semester e PUT /enrollments/:id/status.
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SemesterClosing extends Model {
+    static associate(models) {
+      SemesterClosing.belongsTo(models.Course, {
+        foreignKey: 'course_id',
+        as: 'course',
+      });
+
+      SemesterClosing.belongsTo(models.User, {
+        foreignKey: 'executed_by',
+        as: 'executor',
+      });
+    }
+
+    /**
+     * Retorna o rótulo do período letivo fechado
+     *
+     * @returns {string} Formato "2027/1"
+     */
+    getPeriodLabel() {
+      return `${this.year}/${this.semester}`;
+    }
+  }
+
+  SemesterClosing.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      year: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      semester: {
+        type: DataTypes.TINYINT,
+        allowNull: false,
+        validate: {
+          isIn: { args: [[1, 2]], msg: 'O semestre do período deve ser 1 ou 2' },
+        },
+      },
+      course_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      executed_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      summary: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+      report: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'SemesterClosing',
+      tableName: 'semester_closings',
+      timestamps: true,
+      paranoid: false,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    }
+  );
+
+  return SemesterClosing;
+};
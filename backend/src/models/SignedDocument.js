@@ -0,0 +1,171 @@
+/**
+ * Arquivo: backend/src/models/SignedDocument.js
+ * Descrição: Model Sequelize para o registro de documentos assinados eletronicamente
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ */
+
+'use strict';
+
+const { Model } = require('sequelize');
+
+/**
+ * Tipos de documento registrados
+ */
+const DOCUMENT_KINDS = [
+  'atestado_matricula',
+  'historico_escolar',
+  'declaracao_frequencia',
+  'certificado_conclusao',
+  'contrato',
+];
+
+module.exports = (sequelize, DataTypes) => {
+  class SignedDocument extends Model {
+    static associate(models) {
+      SignedDocument.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student',
+      });
+
+      SignedDocument.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      });
+
+      SignedDocument.belongsTo(models.Request, {
+        foreignKey: 'request_id',
+        as: 'request',
+      });
+
+      SignedDocument.belongsTo(models.Contract, {
+        foreignKey: 'contract_id',
+        as: 'contract',
+      });
+
+      SignedDocument.belongsTo(models.User, {
+        foreignKey: 'revoked_by',
+        as: 'revoker',
+      });
+    }
+
+    /**
+     * Método estático: busca um documento pelo hash de assinatura
+     * @param {string} hash
+     * @returns {Promise<SignedDocument|null>}
+     */
+    static async findByHash(hash) {
+      return this.findOne({ where: { signature_hash: hash } });
+    }
+  }
+
+  SignedDocument.DOCUMENT_KINDS = DOCUMENT_KINDS;
+
+  SignedDocument.init(
+    {
+      id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      document_kind: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O tipo do documento é obrigatório' },
+          isIn: {
+            args: [DOCUMENT_KINDS],
+            msg: `O tipo do documento deve ser: ${DOCUMENT_KINDS.join(', ')}`,
+          },
+        },
+      },
+      title: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        validate: {
+          notNull: { msg: 'O título do documento é obrigatório' },
+          notEmpty: { msg: 'O título do documento é obrigatório' },
+        },
+      },
+      student_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      request_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      contract_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      file_path: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      signature_hash: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notNull: { msg: 'O hash de assinatura é obrigatório' },
+          is: { args: /^[0-9a-f]{16}$/i, msg: 'O hash deve ter 16 caracteres hexadecimais' },
+        },
+      },
+      issued_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      revoked: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revoked_by: {
+        type: DataTypes.INTEGER.UNSIGNED,
+        allowNull: true,
+      },
+      revocation_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'SignedDocument',
+      tableName: 'signed_documents',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { name: 'idx_signed_documents_kind', fields: ['document_kind'] },
+        { name: 'idx_signed_documents_student_id', fields: ['student_id'] },
+        { name: 'idx_signed_documents_request_id', fields: ['request_id'] },
+        { name: 'idx_signed_documents_contract_id', fields: ['contract_id'] },
+      ],
+    }
+  );
+
+  return SignedDocument;
+};
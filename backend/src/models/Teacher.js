@@ -3,6 +3,7 @@
  * Descrição: Model Sequelize para a tabela teachers (professores)
  * Feature: feat-110 - Separar tabela de professores
  * Criado em: 2025-12-02
+ * Modificado: feat-132 - Documentos de professores no fluxo de revisão
  *
  * Responsabilidades:
  * - Definir estrutura e validações para a entidade Teacher
@@ -115,6 +116,14 @@ module.exports = (sequelize, DataTypes) => {
         onUpdate: 'CASCADE',
         onDelete: 'RESTRICT'
       });
+
+      // Teacher pode ter múltiplos documentos (1:N)
+      Teacher.hasMany(models.Document, {
+        foreignKey: 'teacher_id',
+        as: 'documents',
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+      });
     }
 
     /**
@@ -0,0 +1,52 @@
+/**
+ * Arquivo: backend/src/routes/attendance.routes.js
+ * Descrição: Rotas para controle de frequência (aulas e chamadas)
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const attendanceController = require('../controllers/attendance.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const {
+  authorizeAdmin,
+  authorizeTeacher,
+  authorizeStudent,
+} = require('../middlewares/rbac.middleware');
+
+router.use(authMiddleware);
+
+// GET /attendance/my-frequency - Frequência do aluno autenticado (student)
+router.get('/attendance/my-frequency', authorizeStudent, attendanceController.getMyFrequency);
+
+// GET /students/:studentId/frequency - Frequência de um aluno (admin)
+router.get(
+  '/students/:studentId/frequency',
+  authorizeAdmin,
+  attendanceController.getStudentFrequency
+);
+
+// GET /classes/:classId/sessions - Listar aulas da turma (admin, professor da disciplina)
+router.get('/classes/:classId/sessions', authorizeTeacher, attendanceController.listSessions);
+
+// POST /classes/:classId/sessions - Registrar aula de um horário (admin, professor da disciplina)
+router.post('/classes/:classId/sessions', authorizeTeacher, attendanceController.createSession);
+
+// GET /classes/:classId/frequency - Frequência dos alunos em uma disciplina (admin, professor)
+router.get('/classes/:classId/frequency', authorizeTeacher, attendanceController.getClassFrequency);
+
+// GET /class-sessions/:id - Obter aula com lista de chamada (admin, professor da disciplina)
+router.get('/class-sessions/:id', authorizeTeacher, attendanceController.getSession);
+
+// PUT /class-sessions/:id/attendances - Registrar chamada (admin, professor da disciplina)
+router.put(
+  '/class-sessions/:id/attendances',
+  authorizeTeacher,
+  attendanceController.recordAttendances
+);
+
+// DELETE /class-sessions/:id - Remover aula (admin, professor da disciplina)
+router.delete('/class-sessions/:id', authorizeTeacher, attendanceController.deleteSession);
+
+module.exports = router;
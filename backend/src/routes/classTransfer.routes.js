@@ -0,0 +1,28 @@
+/**
+ * Arquivo: backend/src/routes/classTransfer.routes.js
+ * Descrição: Rotas da transferência de turma (admin)
+ * Feature: feat-127 - Transferência de turma com histórico
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const classTransferController = require('../controllers/classTransfer.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin } = require('../middlewares/rbac.middleware');
+
+router.use(authMiddleware, authorizeAdmin);
+
+// GET /class-transfers - Histórico de transferências
+router.get('/', classTransferController.list);
+
+// POST /class-transfers/preview - Pré-visualizar transferência e destino das notas
+router.post('/preview', classTransferController.preview);
+
+// POST /class-transfers - Transferir aluno de turma
+router.post('/', classTransferController.transfer);
+
+// GET /class-transfers/:id - Detalhe da transferência (destino de cada nota)
+router.get('/:id', classTransferController.getById);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Arquivo: backend/src/routes/contractTemplate.routes.js
+ * Descrição: Rotas da gestão e versionamento dos templates de contrato (admin)
+ * Feature: feat-122 - Gestão e versionamento dos templates de contrato
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const contractTemplateController = require('../controllers/contractTemplate.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin } = require('../middlewares/rbac.middleware');
+
+router.use(authMiddleware, authorizeAdmin);
+
+// GET /contract-templates - Histórico de versões
+router.get('/', contractTemplateController.list);
+
+// GET /contract-templates/placeholders - Catálogo de placeholders
+router.get('/placeholders', contractTemplateController.listPlaceholders);
+
+// POST /contract-templates/preview - Pré-visualizar conteúdo em edição
+router.post('/preview', contractTemplateController.previewContent);
+
+// GET /contract-templates/:id - Detalhes da versão
+router.get('/:id', contractTemplateController.getById);
+
+// GET /contract-templates/:id/preview - Pré-visualizar versão
+router.get('/:id/preview', contractTemplateController.preview);
+
+// POST /contract-templates - Criar rascunho
+router.post('/', contractTemplateController.create);
+
+// PUT /contract-templates/:id - Editar rascunho
+router.put('/:id', contractTemplateController.update);
+
+// POST /contract-templates/:id/activate - Publicar e ativar versão
+router.post('/:id/activate', contractTemplateController.activate);
+
+// DELETE /contract-templates/:id - Excluir rascunho
+router.delete('/:id', contractTemplateController.delete);
+
+module.exports = router;
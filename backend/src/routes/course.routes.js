@@ -25,6 +25,11 @@ router.delete('/:id', authorizeAdmin, CourseController.delete);
 // Rotas para vincular/desvincular disciplinas
 router.get('/:id/disciplines', authorizeTeacher, CourseController.getCourseDisciplines);
 router.post('/:id/disciplines', authorizeAdmin, CourseController.addDisciplineToCourse);
+router.put(
+  '/:id/disciplines/:disciplineId',
+  authorizeAdmin,
+  CourseController.updateCourseDiscipline
+);
 router.delete('/:id/disciplines/:disciplineId', authorizeAdmin, CourseController.removeDisciplineFromCourse);
 
 // Rota para buscar estudantes disponíveis (sem turma) em um curso
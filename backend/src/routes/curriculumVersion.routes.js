@@ -0,0 +1,60 @@
+/**
+ * Arquivo: backend/src/routes/curriculumVersion.routes.js
+ * Descrição: Rotas das matrizes curriculares e da migração de matrículas entre matrizes
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const CurriculumVersionController = require('../controllers/curriculumVersion.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin, authorizeTeacher } = require('../middlewares/rbac.middleware');
+
+router.use('/courses/:courseId/curriculum-versions', authMiddleware);
+router.use('/curriculum-versions', authMiddleware);
+router.use('/enrollments/:id/curriculum-migration', authMiddleware);
+router.use('/enrollments/:id/curriculum-migrations', authMiddleware);
+
+// GET /courses/:courseId/curriculum-versions - Matrizes do curso (admin e professor)
+router.get(
+  '/courses/:courseId/curriculum-versions',
+  authorizeTeacher,
+  CurriculumVersionController.listByCourse
+);
+
+// POST /courses/:courseId/curriculum-versions - Publicar a grade atual como matriz (admin)
+router.post(
+  '/courses/:courseId/curriculum-versions',
+  authorizeAdmin,
+  CurriculumVersionController.publish
+);
+
+// GET /curriculum-versions/:id - Detalhe da matriz (admin e professor)
+router.get('/curriculum-versions/:id', authorizeTeacher, CurriculumVersionController.getById);
+
+// DELETE /curriculum-versions/:id - Excluir matriz sem matrículas (admin)
+router.delete('/curriculum-versions/:id', authorizeAdmin, CurriculumVersionController.remove);
+
+// GET /enrollments/:id/curriculum-migrations - Histórico de migrações (admin)
+router.get(
+  '/enrollments/:id/curriculum-migrations',
+  authorizeAdmin,
+  CurriculumVersionController.listMigrations
+);
+
+// POST /enrollments/:id/curriculum-migration/preview - Pré-visualizar migração (admin)
+router.post(
+  '/enrollments/:id/curriculum-migration/preview',
+  authorizeAdmin,
+  CurriculumVersionController.previewMigration
+);
+
+// POST /enrollments/:id/curriculum-migration - Migrar matrícula de matriz (admin)
+router.post(
+  '/enrollments/:id/curriculum-migration',
+  authorizeAdmin,
+  CurriculumVersionController.migrate
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Arquivo: backend/src/routes/degreeAudit.routes.js
+ * Descrição: Rotas da integralização curricular do aluno
+ * Feature: feat-131 - Integralização curricular do aluno
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const DegreeAuditController = require('../controllers/degreeAudit.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorize, ROLES } = require('../middlewares/rbac.middleware');
+
+router.use('/students/:studentId/degree-audit', authMiddleware);
+
+// GET /students/:studentId/degree-audit?course_id= - Integralização (admin ou o próprio aluno)
+router.get(
+  '/students/:studentId/degree-audit',
+  authorize(ROLES.ADMIN, ROLES.STUDENT),
+  DegreeAuditController.getStudentAudit
+);
+
+module.exports = router;
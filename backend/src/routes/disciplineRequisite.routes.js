@@ -0,0 +1,46 @@
+/**
+ * Arquivo: backend/src/routes/disciplineRequisite.routes.js
+ * Descrição: Rotas dos pré-requisitos e co-requisitos entre disciplinas
+ * Feature: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const DisciplineRequisiteController = require('../controllers/disciplineRequisite.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const {
+  authorize,
+  authorizeAdmin,
+  authorizeTeacher,
+  ROLES,
+} = require('../middlewares/rbac.middleware');
+
+router.use('/courses/:courseId/requisites', authMiddleware);
+router.use('/students/:studentId/requisites', authMiddleware);
+
+// GET /courses/:courseId/requisites - Requisitos da grade do curso (admin e professor)
+router.get(
+  '/courses/:courseId/requisites',
+  authorizeTeacher,
+  DisciplineRequisiteController.listByCourse
+);
+
+// POST /courses/:courseId/requisites - Cadastrar requisito (admin)
+router.post('/courses/:courseId/requisites', authorizeAdmin, DisciplineRequisiteController.create);
+
+// DELETE /courses/:courseId/requisites/:id - Remover requisito (admin)
+router.delete(
+  '/courses/:courseId/requisites/:id',
+  authorizeAdmin,
+  DisciplineRequisiteController.remove
+);
+
+// GET /students/:studentId/requisites?course_id= - Situação do aluno (admin ou o próprio aluno)
+router.get(
+  '/students/:studentId/requisites',
+  authorize(ROLES.ADMIN, ROLES.STUDENT),
+  DisciplineRequisiteController.getStudentReport
+);
+
+module.exports = router;
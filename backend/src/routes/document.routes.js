@@ -3,6 +3,8 @@
  * Descrição: Definição das rotas de documento
  * Feature: feat-043 - Criar DocumentController e rotas
  * Criado em: 2025-10-30
+ * Modificado: feat-132 - Documentos de professores no fluxo de revisão
+ * Modificado: feat-134 - Documentos obrigatórios por curso
  *
  * Responsabilidades:
  * - Definir rotas HTTP para endpoints de documento
@@ -62,7 +64,9 @@ router.post(
  * Autenticação: Requerida (admin only)
  * Query params:
  * - status (optional): pending, approved, rejected
- * - userId (optional): Filtrar por ID do usuário
+ * - studentId / teacherId (optional): Filtrar pelo dono do documento
+ * - ownerType (optional): student ou teacher
+ * - matricula (optional): Matrícula do aluno
  * - page (optional): Página (padrão: 1)
  * - limit (optional): Itens por página (padrão: 20)
  * - orderBy (optional): Campo para ordenar (padrão: created_at)
@@ -268,12 +272,37 @@ router.delete(
  */
 router.get('/student/:studentId', authenticate, DocumentController.getStudentDocuments);
 
+/**
+ * GET /api/v1/documents/teacher/:teacherId
+ * Listar documentos de um professor
+ *
+ * Autenticação: Requerida
+ * Autorização: Admin ou o próprio professor
+ * Parâmetros: teacherId (ID do professor, inteiro positivo)
+ * Query params:
+ * - page (optional): Página (padrão: 1)
+ * - limit (optional): Itens por página (padrão: 20)
+ *
+ * Status de resposta:
+ * - 200 OK: Lista de documentos do professor
+ * - 400 Bad Request: ID inválido
+ * - 401 Unauthorized: Não autenticado
+ * - 403 Forbidden: Sem permissão para visualizar documentos deste professor
+ * - 404 Not Found: Professor não encontrado
+ * - 500 Internal Server Error: Erro no servidor
+ */
+router.get('/teacher/:teacherId', authenticate, DocumentController.getTeacherDocuments);
+
 /**
  * GET /api/v1/documents/:id/validate
  * Validar status de documentos obrigatórios
  *
  * Autenticação: Requerida
- * Parâmetros: id (ID do usuário, inteiro positivo)
+ * Parâmetros: id (ID do estudante, ou do professor com owner_type=teacher)
+ * Query params:
+ * - owner_type (optional): student (padrão) ou teacher
+ * - course_id (optional): curso do aluno; inclui os documentos exigidos pelo curso e pelo
+ *   tipo do curso
  *
  * Status de resposta:
  * - 200 OK: Status de validação retornado
@@ -0,0 +1,41 @@
+/**
+ * Arquivo: backend/src/routes/documentRequirement.routes.js
+ * Descrição: Rotas dos documentos obrigatórios por curso e por tipo de curso
+ * Feature: feat-134 - Documentos obrigatórios por curso
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const DocumentRequirementController = require('../controllers/documentRequirement.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin } = require('../middlewares/rbac.middleware');
+
+router.use('/courses/:courseId/document-requirements', authMiddleware, authorizeAdmin);
+router.use('/document-requirements', authMiddleware, authorizeAdmin);
+
+// GET /courses/:courseId/document-requirements - Documentos obrigatórios do curso e sua origem
+router.get('/courses/:courseId/document-requirements', DocumentRequirementController.listByCourse);
+
+// POST /courses/:courseId/document-requirements - Exigir documento no curso
+router.post(
+  '/courses/:courseId/document-requirements',
+  DocumentRequirementController.createForCourse
+);
+
+// DELETE /courses/:courseId/document-requirements/:id - Remover regra do curso
+router.delete(
+  '/courses/:courseId/document-requirements/:id',
+  DocumentRequirementController.removeFromCourse
+);
+
+// GET /document-requirements?course_type= - Regras por tipo de curso
+router.get('/document-requirements', DocumentRequirementController.listByCourseType);
+
+// POST /document-requirements - Exigir documento em todos os cursos de um tipo
+router.post('/document-requirements', DocumentRequirementController.createForCourseType);
+
+// DELETE /document-requirements/:id - Remover regra
+router.delete('/document-requirements/:id', DocumentRequirementController.remove);
+
+module.exports = router;
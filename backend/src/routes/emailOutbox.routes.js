@@ -0,0 +1,26 @@
+/**
+ * Arquivo: backend/src/routes/emailOutbox.routes.js
+ * Descrição: Rotas do histórico de entrega dos emails
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const EmailOutboxController = require('../controllers/emailOutbox.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin } = require('../middlewares/rbac.middleware');
+
+router.use('/emails', authMiddleware, authorizeAdmin);
+router.use('/users/:userId/emails', authMiddleware, authorizeAdmin);
+
+// GET /emails - Histórico de entrega de todos os emails
+router.get('/emails', EmailOutboxController.list);
+
+// POST /emails/:id/retry - Reenfileirar email com falha definitiva
+router.post('/emails/:id/retry', EmailOutboxController.retry);
+
+// GET /users/:userId/emails - Histórico de entrega dos emails de um usuário
+router.get('/users/:userId/emails', EmailOutboxController.listByUser);
+
+module.exports = router;
@@ -2,6 +2,9 @@
  * Arquivo: backend/src/routes/enrollment.routes.js
  * Descrição: Rotas para o CRUD de matrículas de alunos em cursos
  * Feature: feat-039 - Criar EnrollmentController e rotas
+ * Modificado: feat-128 - Trancamento, cancelamento com motivo e reativação da matrícula
+ * Modificado: feat-129 - Pré-requisitos exigidos no avanço manual de semestre
+ * Modificado: feat-134 - Documentos obrigatórios por curso
  * Criado em: 2025-10-30
  *
  * ROTAS DISPONÍVEIS:
@@ -10,6 +13,9 @@
  * - GET    /students/:studentId/enrollments  - Listar matrículas de um aluno (feat-040)
  * - GET    /enrollments/:id                  - Buscar matrícula por ID
  * - PUT    /enrollments/:id/status           - Alterar status (admin only)
+ * - POST   /enrollments/:id/lock             - Trancar matrícula (admin only)
+ * - POST   /enrollments/:id/cancel           - Cancelar matrícula com motivo (admin only)
+ * - POST   /enrollments/:id/reactivate       - Reativar matrícula trancada (admin only)
  * - DELETE /enrollments/:id                  - Deletar matrícula (admin only)
  *
  * AUTENTICAÇÃO:
@@ -143,14 +149,16 @@ router.get(
  * Alterar status de uma matrícula (admin only)
  *
  * REGRAS DE NEGÓCIO:
- * - Mudar de 'pending' para 'active': requer documentos aprovados
+ * - Mudar de 'pending' para 'active': requer os documentos obrigatórios do curso aprovados
+ *   (422 DOCUMENTS_PENDING com details.pending); skip_document_validation: true ativa mesmo assim
  * - Mudar para 'cancelled': sempre permitido
  * - Mudar para 'reenrollment': processo de rematrícula
  * - Mudar para 'completed': aluno concluiu o curso
  *
  * Body:
  * {
- *   "status": "active" | "pending" | "cancelled" | "reenrollment" | "completed"
+ *   "status": "active" | "pending" | "cancelled" | "reenrollment" | "completed",
+ *   "skip_document_validation": false
  * }
  *
  * Response 200:
@@ -170,6 +178,10 @@ router.put(
     body('status')
       .isIn(['pending', 'active', 'cancelled', 'reenrollment', 'completed', 'contract'])
       .withMessage("status deve ser 'pending', 'active', 'cancelled', 'reenrollment', 'completed' ou 'contract'"),
+    body('skip_document_validation')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('skip_document_validation deve ser booleano'),
   ],
   handleValidationErrors,
   EnrollmentController.updateStatus
@@ -179,9 +191,15 @@ router.put(
  * PUT /enrollments/:id/semester
  * Atualizar o semestre atual de uma matrícula (admin only)
  *
+ * REGRAS DE NEGÓCIO:
+ * - Avançar o semestre requer os pré-requisitos das disciplinas do novo semestre
+ *   (422 PREREQUISITES_NOT_MET com details.missing); skip_requisite_validation: true avança
+ *   mesmo assim
+ *
  * Body:
  * {
- *   "currentSemester": 3
+ *   "currentSemester": 3,
+ *   "skip_requisite_validation": false
  * }
  *
  * Response 200:
@@ -201,11 +219,99 @@ router.put(
     body('currentSemester')
       .isInt({ min: 0, max: 12 })
       .withMessage('currentSemester deve ser um número entre 0 e 12'),
+    body('skip_requisite_validation')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('skip_requisite_validation deve ser booleano'),
   ],
   handleValidationErrors,
   EnrollmentController.updateCurrentSemester
 );
 
+/**
+ * POST /enrollments/:id/lock
+ * Trancar uma matrícula ativa ou em rematrícula (admin only)
+ *
+ * REGRAS DE NEGÓCIO:
+ * - O aluno é removido das turmas do curso no ano letivo vigente
+ * - O lançamento de notas fica bloqueado enquanto a matrícula estiver trancada
+ *
+ * Body:
+ * {
+ *   "start_date": "2026-08-01" (opcional, padrão: hoje),
+ *   "expected_return_date": "2027-02-01",
+ *   "reason": "Intercâmbio" (opcional)
+ * }
+ */
+router.post(
+  '/:id/lock',
+  authorizeAdmin,
+  [
+    param('id').isInt({ min: 1 }).withMessage('ID deve ser um inteiro positivo'),
+    body('start_date')
+      .optional()
+      .isISO8601()
+      .withMessage('start_date deve estar no formato YYYY-MM-DD'),
+    body('expected_return_date')
+      .isISO8601()
+      .withMessage('expected_return_date é obrigatório no formato YYYY-MM-DD'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('reason deve ter no máximo 2000 caracteres'),
+  ],
+  handleValidationErrors,
+  EnrollmentController.lock
+);
+
+/**
+ * POST /enrollments/:id/cancel
+ * Cancelar uma matrícula registrando o motivo (admin only)
+ *
+ * Body:
+ * {
+ *   "reason": "Desistência do curso" (opcional)
+ * }
+ */
+router.post(
+  '/:id/cancel',
+  authorizeAdmin,
+  [
+    param('id').isInt({ min: 1 }).withMessage('ID deve ser um inteiro positivo'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('reason deve ter no máximo 2000 caracteres'),
+  ],
+  handleValidationErrors,
+  EnrollmentController.cancel
+);
+
+/**
+ * POST /enrollments/:id/reactivate
+ * Reativar uma matrícula trancada (admin only)
+ *
+ * Body:
+ * {
+ *   "current_semester": 3 (opcional, padrão: semestre em que o aluno trancou)
+ * }
+ */
+router.post(
+  '/:id/reactivate',
+  authorizeAdmin,
+  [
+    param('id').isInt({ min: 1 }).withMessage('ID deve ser um inteiro positivo'),
+    body('current_semester')
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage('current_semester deve ser um número entre 1 e 12'),
+  ],
+  handleValidationErrors,
+  EnrollmentController.reactivate
+);
+
 /**
  * DELETE /enrollments/:id
  * Deletar (soft delete) uma matrícula (admin only)
@@ -4,6 +4,7 @@
  * Feature: feat-051 - Criar EvaluationController e rotas
  * Criado em: 2025-11-01
  * Atualizado em: 2025-12-11
+ * Modificado: feat-124 - Lançamento em lote exige o contrato do período aceito (professores)
  *
  * Endpoints adicionais de Notas:
  * - GET /api/evaluations/:id/grades - Listar notas de avaliação
@@ -18,6 +19,7 @@ const EvaluationController = require('../controllers/evaluation.controller');
 const GradeController = require('../controllers/grade.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
 const { authorizeTeacher, authorizeAny } = require('../middlewares/rbac.middleware');
+const { requireAcceptedTeacherContract } = require('../middlewares/teacherContract.middleware');
 
 // Todas as rotas requerem autenticação
 router.use(authMiddleware);
@@ -145,10 +147,11 @@ router.get(
 /**
  * POST /api/evaluations/:id/grades/batch
  * Lança múltiplas notas em lote para uma avaliação
- * Requer: Autenticado (Professor que leciona ou Admin)
+ * Requer: Autenticado (Professor que leciona, com contrato do período aceito, ou Admin)
  */
 router.post(
   '/:id/grades/batch',
+  requireAcceptedTeacherContract,
   GradeController.batchCreate
 );
 
@@ -4,12 +4,16 @@
  * Feature: feat-053 - Criar GradeController e rotas
  * Criado em: 2025-11-01
  * Atualizado em: 2025-12-11
+ * Modificado: feat-124 - Lançamento, edição e exclusão de notas exigem o contrato do período aceito
  *
  * Endpoints:
  * - POST /api/grades - Lançar nota individual
  * - PUT /api/grades/:id - Editar nota
  * - DELETE /api/grades/:id - Excluir nota
  * - GET /api/grades/my-grades - Obter minhas notas (aluno)
+ * - GET /api/grades/my-results - Média final e situação por disciplina (aluno)
+ * - GET /api/grades/student/:studentId/results - Média final e situação de um aluno (admin)
+ * - GET /api/grades/class/:classId/discipline/:disciplineId/results - Resultado da turma
  *
  * Nota: Rotas relacionadas a avaliações estão em evaluation.routes.js:
  * - GET /api/evaluations/:id/grades - Listar notas de avaliação
@@ -22,6 +26,7 @@ const express = require('express');
 const router = express.Router();
 const GradeController = require('../controllers/grade.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
+const { requireAcceptedTeacherContract } = require('../middlewares/teacherContract.middleware');
 
 // Todas as rotas requerem autenticação
 router.use(authMiddleware);
@@ -43,12 +48,13 @@ router.use(authMiddleware);
  * Respostas:
  * - 201: Nota lançada com sucesso
  * - 400: Dados inválidos
- * - 403: Sem permissão (não leciona a disciplina)
+ * - 403: Sem permissão (não leciona a disciplina) ou contrato do período pendente
  * - 422: Validação de negócio falhou (aluno não está na turma, valor inválido)
  * - 500: Erro servidor
  */
 router.post(
   '/',
+  requireAcceptedTeacherContract,
   GradeController.create
 );
 
@@ -77,6 +83,7 @@ router.post(
  */
 router.put(
   '/:id',
+  requireAcceptedTeacherContract,
   GradeController.update
 );
 
@@ -95,6 +102,7 @@ router.put(
  */
 router.delete(
   '/:id',
+  requireAcceptedTeacherContract,
   GradeController.delete
 );
 
@@ -162,4 +170,137 @@ router.get(
   GradeController.getGradesByStudent
 );
 
+/**
+ * GET /api/grades/my-results
+ * Obtém a média final e a situação do aluno autenticado em cada disciplina
+ *
+ * Requer: Autenticado (Estudante)
+ *
+ * Query params (opcionais):
+ * - class_id=number - Restringe a uma turma
+ *
+ * Respostas (200):
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       class_id: number,
+ *       class: { id, semester, year },
+ *       discipline_id: number,
+ *       discipline: { id, name, code },
+ *       evaluations: [{ id, name, date, type, weight, is_final_exam, is_recovery, grade, concept }],
+ *       frequency: { frequency_percentage, absence_percentage, status } | null,
+ *       average: number|null (média final, já com a recuperação quando houver),
+ *       regular_average: number|null (média do período, sem a recuperação),
+ *       concept: string|null (satisfactory|unsatisfactory),
+ *       status: string (approved|recovery|failed|in_progress),
+ *       status_label: string,
+ *       failed_by_absence: boolean,
+ *       recovery_eligible: boolean,
+ *       recovery_grade: number|null,
+ *       total_evaluations: number,
+ *       graded_evaluations: number,
+ *       pending_evaluations: number,
+ *       passing_grade: number,
+ *       recovery_min_grade: number,
+ *       recovery_passing_grade: number,
+ *       formula: string (arithmetic|weighted|best_of|final_replaces_lowest),
+ *       formula_label: string,
+ *       best_of: number|null,
+ *       recovery_rule: string (replace|average|highest),
+ *       recovery_rule_label: string
+ *     }
+ *   ],
+ *   count: number
+ * }
+ *
+ * Respostas de erro:
+ * - 403: Usuário não é aluno
+ * - 404: Aluno não encontrado
+ * - 500: Erro servidor
+ */
+router.get('/my-results', GradeController.getMyResults);
+
+/**
+ * GET /api/grades/student/:studentId/results
+ * Obtém a média final e a situação de um aluno em cada disciplina
+ *
+ * Requer: Autenticado (Admin)
+ *
+ * Resposta: mesmo formato de GET /api/grades/my-results
+ */
+router.get('/student/:studentId/results', GradeController.getStudentResults);
+
+/**
+ * GET /api/grades/class/:classId/discipline/:disciplineId/results
+ * Obtém a média final e a situação de todos os alunos da turma na disciplina
+ *
+ * Requer: Autenticado (Admin ou Professor que leciona a disciplina na turma)
+ *
+ * Respostas (200):
+ * {
+ *   success: true,
+ *   data: {
+ *     class: { id, semester, year },
+ *     discipline: { id, name, code },
+ *     passing_grade: number,
+ *     recovery_min_grade: number,
+ *     recovery_passing_grade: number,
+ *     formula: string, formula_label: string, best_of: number|null,
+ *     recovery_rule: string, recovery_rule_label: string,
+ *     evaluations: [{ id, name, date, type, weight, is_final_exam, is_recovery }],
+ *     students: [
+ *       {
+ *         id, nome, matricula,
+ *         grades: [{ evaluation_id, grade, concept }],
+ *         frequency, average, concept, status, status_label, ...
+ *       }
+ *     ],
+ *     summary: { approved, recovery, failed, in_progress }
+ *   }
+ * }
+ *
+ * Respostas de erro:
+ * - 400: IDs inválidos
+ * - 403: Sem permissão
+ * - 404: Turma ou disciplina não encontrada
+ * - 500: Erro servidor
+ */
+router.get('/class/:classId/discipline/:disciplineId/results', GradeController.getClassResults);
+
+/**
+ * GET /api/grades/class/:classId/discipline/:disciplineId/recovery
+ * Lista os alunos em recuperação de uma turma em uma disciplina
+ *
+ * A avaliação de recuperação é criada via POST /api/evaluations com is_recovery: true
+ * e só aceita notas dos alunos listados aqui.
+ *
+ * Requer: Autenticado (Admin ou Professor que leciona a disciplina na turma)
+ *
+ * Respostas (200):
+ * {
+ *   success: true,
+ *   data: {
+ *     class: { id, semester, year },
+ *     discipline: { id, name, code },
+ *     passing_grade: number,
+ *     recovery_min_grade: number,
+ *     recovery_passing_grade: number,
+ *     recovery_rule: string (replace|average|highest),
+ *     recovery_rule_label: string,
+ *     recovery_evaluation: { id, name, date } | null,
+ *     students: [
+ *       { id, nome, matricula, regular_average, concept, recovery_grade, average, status, status_label }
+ *     ]
+ *   }
+ * }
+ *
+ * Respostas de erro:
+ * - 400: IDs inválidos
+ * - 403: Sem permissão
+ * - 404: Turma ou disciplina não encontrada
+ * - 500: Erro servidor
+ */
+router.get('/class/:classId/discipline/:disciplineId/recovery', GradeController.getClassRecovery);
+
 module.exports = router;
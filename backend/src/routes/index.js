@@ -81,6 +81,45 @@ const studentExtraDisciplineRoutes = require('./studentExtraDiscipline.routes');
 // Aproveitamento de Disciplinas (feat-003)
 const studentDisciplineExemptionRoutes = require('./studentDisciplineExemption.routes');
 
+// Controle de Frequência (feat-112)
+const attendanceRoutes = require('./attendance.routes');
+
+// Registro de Documentos Assinados (feat-118)
+const signedDocumentRoutes = require('./signedDocument.routes');
+
+// Gestão dos Tipos de Solicitação (feat-121)
+const requestTypeRoutes = require('./requestType.routes');
+
+// Gestão e Versionamento dos Templates de Contrato (feat-122)
+const contractTemplateRoutes = require('./contractTemplate.routes');
+
+// Campanhas de Rematrícula (feat-125)
+const reenrollmentCampaignRoutes = require('./reenrollmentCampaign.routes');
+
+// Fechamento de Semestre (feat-126)
+const semesterClosingRoutes = require('./semesterClosing.routes');
+
+// Transferência de Turma (feat-127)
+const classTransferRoutes = require('./classTransfer.routes');
+
+// Pré-requisitos e co-requisitos entre disciplinas (feat-129)
+const disciplineRequisiteRoutes = require('./disciplineRequisite.routes');
+
+// Matrizes curriculares por curso (feat-130)
+const curriculumVersionRoutes = require('./curriculumVersion.routes');
+
+// Integralização curricular do aluno (feat-131)
+const degreeAuditRoutes = require('./degreeAudit.routes');
+
+// Documentos obrigatórios por curso e por tipo de curso (feat-134)
+const documentRequirementRoutes = require('./documentRequirement.routes');
+
+// Fila e histórico de entrega dos emails (feat-135)
+const emailOutboxRoutes = require('./emailOutbox.routes');
+
+// Preferências de notificação dos eventos acadêmicos (feat-136)
+const notificationRoutes = require('./notification.routes');
+
 // Rotas Públicas - verificação de documentos (sem autenticação)
 // IMPORTANTE: deve ser importado antes dos registros de rota catch-all ('/')
 const publicRoutes = require('./public.routes');
@@ -319,13 +358,47 @@ router.use('/grades', gradeRoutes);
  * - PUT /requests/:id/reject - Rejeitar solicitação (admin)
  * - GET /requests/pending - Solicitações pendentes (admin)
  * - GET /requests/my-requests - Minhas solicitações (student)
- * - GET /requests/types - Listar tipos de solicitações
- * - POST /requests/types - Criar tipo de solicitação (admin)
+ * - GET /requests/types - Listar tipos que o usuário pode abrir (gestão em /request-types)
  *
  * Permissões: Admin (full access + gestão de tipos), Student (criar e visualizar próprias)
  */
 router.use('/requests', requestRoutes);
 
+/**
+ * Rotas de Gestão dos Tipos de Solicitação
+ * Base: /api/v1/request-types
+ *
+ * Endpoints:
+ * - GET    /request-types - Listar tipos (ativos e inativos) na ordem de exibição
+ * - GET    /request-types/generators - Geradores de documento disponíveis
+ * - POST   /request-types - Criar tipo
+ * - PUT    /request-types/reorder - Reordenar tipos
+ * - PUT    /request-types/:id - Editar, ativar ou desativar tipo
+ * - DELETE /request-types/:id - Excluir tipo sem solicitações
+ *
+ * Permissões: Admin only
+ */
+router.use('/request-types', requestTypeRoutes);
+
+/**
+ * Rotas de Gestão dos Templates de Contrato
+ * Base: /api/v1/contract-templates
+ *
+ * Endpoints:
+ * - GET    /contract-templates - Histórico de versões
+ * - GET    /contract-templates/placeholders - Catálogo de placeholders
+ * - POST   /contract-templates/preview - Pré-visualizar conteúdo em edição
+ * - GET    /contract-templates/:id - Detalhes da versão
+ * - GET    /contract-templates/:id/preview - Pré-visualizar versão com dados de exemplo
+ * - POST   /contract-templates - Criar rascunho (do zero ou a partir de uma versão)
+ * - PUT    /contract-templates/:id - Editar rascunho
+ * - POST   /contract-templates/:id/activate - Publicar e ativar versão
+ * - DELETE /contract-templates/:id - Excluir rascunho
+ *
+ * Permissões: Admin only
+ */
+router.use('/contract-templates', contractTemplateRoutes);
+
 /**
  * Rotas de Funcionalidades Administrativas
  * Base: /api/v1/admin
@@ -355,6 +428,153 @@ router.use('/admin', adminRoutes);
  */
 router.use('/reenrollments', reenrollmentRoutes);
 
+/**
+ * Rotas das Campanhas de Rematrícula
+ * Base: /api/v1/reenrollment-campaigns
+ *
+ * Endpoints:
+ * - GET    /reenrollment-campaigns - Listar campanhas com andamento dos aceites
+ * - POST   /reenrollment-campaigns - Criar campanha (rascunho)
+ * - GET    /reenrollment-campaigns/:id - Painel da campanha (situação de cada matrícula)
+ * - PUT    /reenrollment-campaigns/:id - Editar campanha (em andamento: nome e prazo)
+ * - DELETE /reenrollment-campaigns/:id - Excluir campanha em rascunho
+ * - POST   /reenrollment-campaigns/:id/launch - Colocar matrículas elegíveis em rematrícula
+ * - POST   /reenrollment-campaigns/:id/remind - Enviar lembretes aos alunos pendentes
+ * - POST   /reenrollment-campaigns/:id/close - Encerrar e marcar não respondentes
+ *
+ * Permissões: Admin only
+ *
+ * Lembretes e encerramento no prazo também são feitos pelo job reenrollment-campaigns.
+ */
+router.use('/reenrollment-campaigns', reenrollmentCampaignRoutes);
+
+/**
+ * Rotas do Fechamento de Semestre
+ * Base: /api/v1/semester-closings
+ *
+ * Endpoints:
+ * - GET  /semester-closings - Histórico de fechamentos
+ * - POST /semester-closings/preview - Pré-visualizar fechamento (dry-run, nada é alterado)
+ * - POST /semester-closings - Fechar o semestre (avança, conclui ou mantém cada matrícula)
+ * - GET  /semester-closings/:id - Relatório do fechamento
+ *
+ * Permissões: Admin only
+ */
+router.use('/semester-closings', semesterClosingRoutes);
+
+/**
+ * Rotas da Transferência de Turma
+ * Base: /api/v1/class-transfers
+ *
+ * Endpoints:
+ * - GET  /class-transfers - Histórico de transferências (filtros: student_id, class_id)
+ * - POST /class-transfers/preview - Pré-visualizar transferência e destino das notas
+ * - POST /class-transfers - Transferir aluno para outra turma do mesmo curso
+ * - GET  /class-transfers/:id - Detalhe da transferência
+ *
+ * Permissões: Admin only
+ *
+ * A aprovação de uma solicitação "Transferência de Turma" também executa a transferência.
+ */
+router.use('/class-transfers', classTransferRoutes);
+
+/**
+ * Rotas de Pré-requisitos e Co-requisitos entre Disciplinas
+ * Base: /api/v1 (rotas incluem prefixos /courses, /students)
+ *
+ * Endpoints:
+ * - GET    /courses/:courseId/requisites - Requisitos da grade do curso (admin, teacher)
+ * - POST   /courses/:courseId/requisites - Cadastrar requisito (admin)
+ * - DELETE /courses/:courseId/requisites/:id - Remover requisito (admin)
+ * - GET    /students/:studentId/requisites?course_id= - Requisitos cumpridos e faltantes
+ *          do aluno (admin ou o próprio aluno)
+ *
+ * Os requisitos são verificados ao vincular disciplina extra e no avanço de semestre
+ * (fechamento de semestre e aceite da rematrícula).
+ */
+router.use('/', disciplineRequisiteRoutes);
+
+/**
+ * Rotas das Matrizes Curriculares
+ * Base: /api/v1 (rotas incluem prefixos /courses, /curriculum-versions, /enrollments)
+ *
+ * Endpoints:
+ * - GET    /courses/:courseId/curriculum-versions - Matrizes do curso (admin, teacher)
+ * - POST   /courses/:courseId/curriculum-versions - Publicar a grade atual como matriz (admin)
+ * - GET    /curriculum-versions/:id - Detalhe da matriz (admin, teacher)
+ * - DELETE /curriculum-versions/:id - Excluir matriz sem matrículas (admin)
+ * - GET    /enrollments/:id/curriculum-migrations - Histórico de migrações da matrícula (admin)
+ * - POST   /enrollments/:id/curriculum-migration/preview - Pré-visualizar migração (admin)
+ * - POST   /enrollments/:id/curriculum-migration - Migrar matrícula de matriz (admin)
+ *
+ * Cada matrícula fica vinculada à matriz vigente na data de ingresso; histórico, avanço de
+ * semestre e disciplinas pendentes são calculados pela matriz do aluno.
+ */
+router.use('/', curriculumVersionRoutes);
+
+/**
+ * Rotas da Integralização Curricular
+ * Base: /api/v1 (rotas incluem prefixo /students)
+ *
+ * Endpoints:
+ * - GET /students/:studentId/degree-audit?course_id= - Disciplinas concluídas, em andamento e
+ *       pendentes na matriz do aluno, com a carga horária de cada situação
+ *       (admin ou o próprio aluno; sem course_id, usa a matrícula mais recente)
+ */
+router.use('/', degreeAuditRoutes);
+
+/**
+ * Rotas dos Documentos Obrigatórios por Curso
+ * Base: /api/v1 (rotas incluem prefixos /courses e /document-requirements)
+ *
+ * Endpoints (admin):
+ * - GET    /courses/:courseId/document-requirements - Documentos obrigatórios do curso com a
+ *          origem (todos os alunos, tipo de curso ou curso)
+ * - POST   /courses/:courseId/document-requirements - Exigir documento no curso
+ * - DELETE /courses/:courseId/document-requirements/:id - Remover regra do curso
+ * - GET    /document-requirements?course_type= - Regras por tipo de curso
+ * - POST   /document-requirements - Exigir documento em todos os cursos de um tipo
+ * - DELETE /document-requirements/:id - Remover regra
+ *
+ * O conjunto do curso é verificado na ativação da matrícula (EnrollmentService).
+ */
+router.use('/', documentRequirementRoutes);
+
+/**
+ * Rotas do Histórico de Entrega dos Emails
+ * Base: /api/v1 (rotas incluem prefixos /emails e /users)
+ *
+ * Endpoints (admin):
+ * - GET  /emails?status=&template=&email=&user_id= - Histórico de todos os emails
+ * - POST /emails/:id/retry - Reenfileirar email com as tentativas esgotadas
+ * - GET  /users/:userId/emails - Histórico dos emails de um usuário
+ *
+ * Os emails são gravados na fila (email_outbox) e enviados pelo job email-outbox.
+ */
+router.use('/', emailOutboxRoutes);
+
+/**
+ * Rotas das Preferências de Notificação
+ * Base: /api/v1/notifications
+ *
+ * Endpoints (aluno e professor, sempre do usuário logado):
+ * - GET /notifications/preferences - Eventos notificados e se o email de cada um está ativo
+ * - PUT /notifications/preferences - Ativar/desativar o email de cada evento
+ */
+router.use('/notifications', notificationRoutes);
+
+/**
+ * Rotas do Registro de Documentos Assinados
+ * Base: /api/v1/signed-documents
+ *
+ * Endpoints:
+ * - GET   /signed-documents - Listar documentos assinados (filtros e paginação)
+ * - PATCH /signed-documents/:id/revoke - Revogar documento
+ *
+ * Permissões: Admin only
+ */
+router.use('/signed-documents', signedDocumentRoutes);
+
 /**
  * Rotas Públicas (sem autenticação)
  * Base: /api/v1/public
@@ -363,7 +583,9 @@ router.use('/reenrollments', reenrollmentRoutes);
  * para não ser interceptado pelo authMiddleware global dessas rotas.
  *
  * Endpoints:
+ * - GET /public/verify/:hash - Verificar autenticidade de qualquer documento assinado
  * - GET /public/verify-atestado/:hash - Verificar autenticidade de atestado de matrícula
+ * - GET /public/verify-historico/:hash - Verificar autenticidade de histórico escolar
  *
  * Permissões: Público (sem autenticação)
  */
@@ -418,6 +640,24 @@ router.use('/', studentExtraDisciplineRoutes);
  */
 router.use('/', studentDisciplineExemptionRoutes);
 
+/**
+ * Rotas de Frequência (aulas e chamadas)
+ * Base: /api/v1 (rotas incluem prefixos /classes, /class-sessions, /students, /attendance)
+ *
+ * Endpoints:
+ * - GET  /classes/:classId/sessions - Listar aulas da turma
+ * - POST /classes/:classId/sessions - Registrar aula de um horário da grade
+ * - GET  /classes/:classId/frequency - Frequência dos alunos em uma disciplina
+ * - GET  /class-sessions/:id - Obter aula com lista de chamada
+ * - PUT  /class-sessions/:id/attendances - Registrar chamada
+ * - DELETE /class-sessions/:id - Remover aula (soft delete)
+ * - GET  /students/:studentId/frequency - Frequência de um aluno (admin)
+ * - GET  /attendance/my-frequency - Frequência do aluno autenticado
+ *
+ * Permissões: Admin, Teacher (apenas disciplinas que leciona), Student (própria frequência)
+ */
+router.use('/', attendanceRoutes);
+
 // ============================================================================
 // EXPORTAÇÃO
 // ============================================================================
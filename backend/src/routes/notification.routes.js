@@ -0,0 +1,22 @@
+/**
+ * Arquivo: backend/src/routes/notification.routes.js
+ * Descrição: Rotas das preferências de notificação do usuário logado
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificationController = require('../controllers/notification.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorize, ROLES } = require('../middlewares/rbac.middleware');
+
+router.use(authMiddleware, authorize(ROLES.STUDENT, ROLES.TEACHER));
+
+// GET /notifications/preferences - Preferências do usuário logado
+router.get('/preferences', NotificationController.getPreferences);
+
+// PUT /notifications/preferences - Ativar/desativar o email de cada evento
+router.put('/preferences', NotificationController.updatePreferences);
+
+module.exports = router;
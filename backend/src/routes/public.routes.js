@@ -17,9 +17,30 @@ const PublicController = require('../controllers/public.controller');
  * São acessíveis por qualquer pessoa com o link correto.
  *
  * Endpoints:
+ * - GET /public/verify/:hash - Verificar autenticidade de qualquer documento assinado
  * - GET /public/verify-atestado/:hash - Verificar autenticidade de atestado de matrícula
+ * - GET /public/verify-historico/:hash - Verificar autenticidade de histórico escolar
  */
 
+/**
+ * @route   GET /api/v1/public/verify/:hash
+ * @desc    Verificar autenticidade de qualquer documento assinado (registro de documentos
+ *          assinados): atestados, históricos, declarações, certificados e contratos aceitos
+ * @access  Público (sem autenticação)
+ *
+ * @param {string} hash - Hash de 16 caracteres hexadecimais impresso no documento (e no QR code)
+ *
+ * Response (revogado):
+ * {
+ *   "success": true,
+ *   "valid": false,
+ *   "revoked": true,
+ *   "message": "Documento revogado.",
+ *   "data": { "documentType": "...", "revokedAt": "...", "revocationReason": "..." }
+ * }
+ */
+router.get('/verify/:hash', PublicController.verifyDocument);
+
 /**
  * @route   GET /api/v1/public/verify-atestado/:hash
  * @desc    Verificar autenticidade de atestado de matrícula pelo hash de assinatura eletrônica
@@ -52,4 +73,15 @@ const PublicController = require('../controllers/public.controller');
  */
 router.get('/verify-atestado/:hash', PublicController.verifyAtestado);
 
+/**
+ * @route   GET /api/v1/public/verify-historico/:hash
+ * @desc    Verificar autenticidade de histórico escolar pelo hash de assinatura eletrônica
+ * @access  Público (sem autenticação)
+ *
+ * @param {string} hash - Hash de 16 caracteres hexadecimais impresso no rodapé do histórico
+ *
+ * Response: mesmo formato de /verify-atestado/:hash
+ */
+router.get('/verify-historico/:hash', PublicController.verifyHistorico);
+
 module.exports = router;
@@ -2,6 +2,7 @@
  * Arquivo: backend/src/routes/reenrollment.routes.js
  * Descrição: Rotas para aceite de rematrícula de estudantes
  * Feature: feat-reenrollment-etapa-4 - ReenrollmentController e Rotas
+ * Modificado: feat-122 - template_id opcional no aceite (versão exibida no preview)
  * Criado em: 2025-12-15
  *
  * ROTAS DISPONÍVEIS:
@@ -47,6 +48,10 @@ router.post(
   authorizeStudent,
   [
     param('enrollmentId').isInt({ min: 1 }).withMessage('O ID da matrícula deve ser um inteiro positivo.'),
+    body('template_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('O ID do template deve ser um inteiro positivo.'),
   ],
   handleValidationErrors,
   ReenrollmentController.acceptReenrollment
@@ -0,0 +1,40 @@
+/**
+ * Arquivo: backend/src/routes/reenrollmentCampaign.routes.js
+ * Descrição: Rotas das campanhas de rematrícula em lote (admin)
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const reenrollmentCampaignController = require('../controllers/reenrollmentCampaign.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin } = require('../middlewares/rbac.middleware');
+
+router.use(authMiddleware, authorizeAdmin);
+
+// GET /reenrollment-campaigns - Listar campanhas com andamento
+router.get('/', reenrollmentCampaignController.list);
+
+// POST /reenrollment-campaigns - Criar campanha (rascunho)
+router.post('/', reenrollmentCampaignController.create);
+
+// GET /reenrollment-campaigns/:id - Painel da campanha
+router.get('/:id', reenrollmentCampaignController.getById);
+
+// PUT /reenrollment-campaigns/:id - Editar campanha
+router.put('/:id', reenrollmentCampaignController.update);
+
+// DELETE /reenrollment-campaigns/:id - Excluir campanha em rascunho
+router.delete('/:id', reenrollmentCampaignController.delete);
+
+// POST /reenrollment-campaigns/:id/launch - Colocar matrículas elegíveis em rematrícula
+router.post('/:id/launch', reenrollmentCampaignController.launch);
+
+// POST /reenrollment-campaigns/:id/remind - Enviar lembretes aos pendentes
+router.post('/:id/remind', reenrollmentCampaignController.remind);
+
+// POST /reenrollment-campaigns/:id/close - Encerrar e marcar não respondentes
+router.post('/:id/close', reenrollmentCampaignController.close);
+
+module.exports = router;
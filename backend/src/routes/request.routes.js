@@ -2,6 +2,7 @@
  * Arquivo: backend/src/routes/request.routes.js
  * Descrição: Rotas para gerenciar solicitações de alunos
  * Feature: feat-056 - Criar RequestController e rotas
+ * Modificado: feat-120 - Fluxo de atendimento (análise, pedido de informações, comentários e anexos)
  * Criado em: 2025-11-03
  */
 
@@ -9,8 +10,10 @@ const express = require('express');
 const router = express.Router();
 
 const RequestController = require('../controllers/request.controller');
+const RequestWorkflowController = require('../controllers/requestWorkflow.controller');
 const authenticate = require('../middlewares/auth.middleware');
 const { authorize } = require('../middlewares/rbac.middleware');
+const { validateUploadSingle, cleanupOnError } = require('../middlewares/upload.middleware');
 
 /**
  * Rotas de Solicitações
@@ -23,9 +26,15 @@ const { authorize } = require('../middlewares/rbac.middleware');
  * - GET    /requests/:id       - Buscar solicitação específica
  * - PUT    /requests/:id/approve - Aprovar solicitação (apenas admin)
  * - PUT    /requests/:id/reject  - Rejeitar solicitação (apenas admin)
+ * - PUT    /requests/:id/analyze - Colocar solicitação em análise (apenas admin)
+ * - PUT    /requests/:id/request-info - Pedir informações ao aluno (apenas admin)
+ * - GET    /requests/:id/timeline - Linha do tempo (status, comentários e anexos)
+ * - POST   /requests/:id/comments - Comentar na solicitação (aluno ou admin)
+ * - POST   /requests/:id/attachments - Anexar arquivo (aluno ou admin)
+ * - GET    /requests/:id/attachments/:attachmentId/download - Baixar anexo
  *
  * Query Parameters (GET /requests):
- * - status: 'pending' | 'approved' | 'rejected'
+ * - status: 'pending' | 'in_analysis' | 'awaiting_student' | 'approved' | 'rejected'
  * - student_id: ID do aluno (apenas para admins)
  */
 
@@ -69,7 +78,7 @@ router.post(
  * @access  Aluno (próprias), Admin (todas)
  *
  * Query Parameters:
- * - status: 'pending' | 'approved' | 'rejected' (opcional) - Filtrar por status
+ * - status: 'pending' | 'in_analysis' | 'awaiting_student' | 'approved' | 'rejected' (opcional)
  * - student_id: number (opcional, apenas admin) - Filtrar por aluno específico
  *
  * @example
@@ -206,6 +215,97 @@ router.put(
   RequestController.reject
 );
 
+/**
+ * @route   PUT /api/requests/:id/analyze
+ * @desc    Colocar solicitação pendente em análise
+ * @access  Admin
+ */
+router.put(
+  '/:id/analyze',
+  authenticate,
+  authorize('admin'),
+  RequestWorkflowController.startAnalysis
+);
+
+/**
+ * @route   PUT /api/requests/:id/request-info
+ * @desc    Pedir informações ou documentos ao aluno (status "aguardando aluno")
+ * @access  Admin
+ *
+ * Body:
+ * - message: string (obrigatório) - O que o aluno precisa responder ou enviar
+ *
+ * @example
+ * PUT /api/requests/5/request-info
+ * Body: {
+ *   "message": "Envie o comprovante de conclusão do ensino médio."
+ * }
+ */
+router.put(
+  '/:id/request-info',
+  authenticate,
+  authorize('admin'),
+  RequestWorkflowController.requestStudentInfo
+);
+
+/**
+ * @route   GET /api/requests/:id/timeline
+ * @desc    Linha do tempo da solicitação: mudanças de status, comentários e anexos
+ * @access  Aluno (própria), Admin (qualquer)
+ */
+router.get(
+  '/:id/timeline',
+  authenticate,
+  authorize('student', 'admin'),
+  RequestWorkflowController.getTimeline
+);
+
+/**
+ * @route   POST /api/requests/:id/comments
+ * @desc    Comentar na solicitação. A resposta do aluno a uma solicitação
+ *          "aguardando aluno" a devolve para análise.
+ * @access  Aluno (própria, em aberto), Admin (qualquer)
+ *
+ * Body:
+ * - message: string (obrigatório)
+ */
+router.post(
+  '/:id/comments',
+  authenticate,
+  authorize('student', 'admin'),
+  RequestWorkflowController.addComment
+);
+
+/**
+ * @route   POST /api/requests/:id/attachments
+ * @desc    Anexar arquivo à solicitação (PDF, JPG ou PNG, até 10MB)
+ * @access  Aluno (própria, em aberto), Admin (qualquer)
+ *
+ * Body (multipart/form-data):
+ * - document: arquivo (obrigatório)
+ * - message: string (opcional) - Comentário enviado junto com o arquivo
+ */
+router.post(
+  '/:id/attachments',
+  authenticate,
+  authorize('student', 'admin'),
+  validateUploadSingle,
+  cleanupOnError,
+  RequestWorkflowController.addAttachment
+);
+
+/**
+ * @route   GET /api/requests/:id/attachments/:attachmentId/download
+ * @desc    Download de um anexo da solicitação
+ * @access  Aluno (própria), Admin (qualquer)
+ */
+router.get(
+  '/:id/attachments/:attachmentId/download',
+  authenticate,
+  authorize('student', 'admin'),
+  RequestWorkflowController.downloadAttachment
+);
+
 /**
  * @route   GET /api/requests/:id/download-atestado
  * @desc    Download do PDF do Atestado de Matrícula gerado ao aprovar a solicitação
@@ -222,4 +322,37 @@ router.get(
   RequestController.downloadAtestado
 );
 
+/**
+ * @route   GET /api/requests/:id/download-historico
+ * @desc    Download do PDF do Histórico Escolar gerado ao aprovar a solicitação
+ * @access  Admin (qualquer solicitação), Aluno (apenas suas próprias)
+ *
+ * @example
+ * GET /api/requests/7/download-historico
+ * Response: arquivo PDF para download
+ */
+router.get(
+  '/:id/download-historico',
+  authenticate,
+  authorize('admin', 'student'),
+  RequestController.downloadHistorico
+);
+
+/**
+ * @route   GET /api/requests/:id/download-document
+ * @desc    Download do PDF gerado ao aprovar a solicitação (qualquer tipo com gerador de
+ *          documento: atestado, histórico, declaração de frequência, certificado de conclusão)
+ * @access  Admin (qualquer solicitação), Aluno (apenas suas próprias)
+ *
+ * @example
+ * GET /api/requests/9/download-document
+ * Response: arquivo PDF para download
+ */
+router.get(
+  '/:id/download-document',
+  authenticate,
+  authorize('admin', 'student'),
+  RequestController.downloadDocument
+);
+
 module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Arquivo: backend/src/routes/requestType.routes.js
+ * Descrição: Rotas da gestão dos tipos de solicitação (admin)
+ * Feature: feat-121 - Gestão dos tipos de solicitação
+ * Criado em: 2026-10-19
+ *
+ * Os tipos que o aluno pode abrir são listados em GET /requests/types.
+ */
+
+const express = require('express');
+const router = express.Router();
+const requestTypeController = require('../controllers/requestType.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin } = require('../middlewares/rbac.middleware');
+
+router.use(authMiddleware, authorizeAdmin);
+
+// GET /request-types - Listar tipos (ativos e inativos)
+router.get('/', requestTypeController.list);
+
+// GET /request-types/generators - Geradores de documento disponíveis
+router.get('/generators', requestTypeController.listGenerators);
+
+// POST /request-types - Criar tipo
+router.post('/', requestTypeController.create);
+
+// PUT /request-types/reorder - Reordenar tipos (deve vir antes de /:id)
+router.put('/reorder', requestTypeController.reorder);
+
+// PUT /request-types/:id - Editar, ativar ou desativar tipo
+router.put('/:id', requestTypeController.update);
+
+// DELETE /request-types/:id - Excluir tipo sem solicitações
+router.delete('/:id', requestTypeController.delete);
+
+module.exports = router;
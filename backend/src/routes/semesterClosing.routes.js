@@ -0,0 +1,28 @@
+/**
+ * Arquivo: backend/src/routes/semesterClosing.routes.js
+ * Descrição: Rotas do fechamento de semestre (admin)
+ * Feature: feat-126 - Progressão semestral automática das matrículas
+ * Criado em: 2026-10-19
+ */
+
+const express = require('express');
+const router = express.Router();
+const semesterClosingController = require('../controllers/semesterClosing.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin } = require('../middlewares/rbac.middleware');
+
+router.use(authMiddleware, authorizeAdmin);
+
+// GET /semester-closings - Histórico de fechamentos
+router.get('/', semesterClosingController.list);
+
+// POST /semester-closings/preview - Pré-visualizar fechamento (dry-run)
+router.post('/preview', semesterClosingController.preview);
+
+// POST /semester-closings - Executar fechamento
+router.post('/', semesterClosingController.execute);
+
+// GET /semester-closings/:id - Relatório do fechamento
+router.get('/:id', semesterClosingController.getById);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * Arquivo: backend/src/routes/signedDocument.routes.js
+ * Descrição: Rotas do registro de documentos assinados (listagem e revogação)
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ *
+ * A verificação pública pelo hash fica em public.routes.js (GET /public/verify/:hash).
+ */
+
+const express = require('express');
+const router = express.Router();
+const signedDocumentController = require('../controllers/signedDocument.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorizeAdmin } = require('../middlewares/rbac.middleware');
+
+router.use(authMiddleware, authorizeAdmin);
+
+// GET /signed-documents - Listar documentos assinados (admin)
+router.get('/', signedDocumentController.list);
+
+// PATCH /signed-documents/:id/revoke - Revogar documento (admin)
+router.patch('/:id/revoke', signedDocumentController.revoke);
+
+module.exports = router;
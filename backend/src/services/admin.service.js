@@ -70,10 +70,10 @@ class AdminService {
             },
           }),
 
-          // Solicitações pendentes
+          // Solicitações aguardando a secretaria (pendentes ou em análise)
           Request.count({
             where: {
-              status: 'pending',
+              status: Request.SLA_STATUSES,
             },
           }),
         ]);
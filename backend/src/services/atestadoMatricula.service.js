@@ -3,34 +3,114 @@
  * Descrição: Serviço responsável pela geração de Atestado de Matrícula em PDF
  *            com assinatura eletrônica (hash) para validação pública.
  * Feature: Atestado de Matrícula com Assinatura Eletrônica
+ * Modificado: feat-117 - Geradores de documentos por tipo de solicitação
  * Criado em: 2026-02-24
  */
 
-const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const fsPromises = require('fs').promises;
-const path = require('path');
-const crypto = require('crypto');
-const logger = require('../utils/logger');
-const { Request } = require('../models');
+const { Student, Enrollment, Class, ClassStudent, ClassSchedule } = require('../models');
+const BrandedDocumentService = require('./brandedDocument.service');
 
 /**
  * AtestadoMatriculaService
  *
  * Responsabilidades:
+ * - Reunir dados do aluno, curso, matrícula ativa e grade de horários
  * - Gerar PDF de Atestado de Matrícula com PDFKit
- * - Incluir logos da instituição no cabeçalho
- * - Inserir dados do aluno, curso e matrícula
- * - Gerar e garantir unicidade do hash de assinatura eletrônica (16 chars)
  * - Salvar PDF em diretório estruturado (uploads/atestados/)
+ *
+ * Cabeçalho com logos, rodapé com assinatura eletrônica e hash único (16 chars)
+ * são herdados de BrandedDocumentService.
  */
-class AtestadoMatriculaService {
+class AtestadoMatriculaService extends BrandedDocumentService {
+  static TITLE = 'Atestado de Matrícula';
+  static DOCUMENT_KIND = 'atestado_matricula';
+  static FILE_PREFIX = 'atestado';
+  static OUTPUT_SUBDIR = 'atestados';
+  static REQUIRED_FIELDS = ['requestId', 'studentName', 'courseName'];
+
   /**
-   * Caminhos das logos e assets
+   * Reúne os dados do atestado. O atestado só é emitido para alunos com matrícula ativa.
+   *
+   * @param {Object} request - Instância do model Request (já aprovada)
+   * @returns {Promise<Object|null>} Dados do atestado ou null se não puder ser emitido
    */
-  static LOGO_01_PATH = path.resolve(__dirname, '../../../docs/cliente/logo_01.png');
-  static LOGO_02_PATH = path.resolve(__dirname, '../../../docs/cliente/logo_02.png');
-  static OUTPUT_DIR = path.resolve(process.cwd(), 'uploads/atestados');
+  static async collectData(request) {
+    // Buscar matrícula ativa do aluno
+    const enrollment = await Enrollment.findOne({
+      where: {
+        student_id: request.student_id,
+        status: 'active',
+        deleted_at: null,
+      },
+      include: [
+        {
+          association: 'course',
+          attributes: ['id', 'name'],
+        },
+      ],
+      order: [['created_at', 'DESC']],
+    });
+
+    if (!enrollment) {
+      console.warn(
+        `[AtestadoGeneration] Atestado não gerado: aluno ${request.student_id} não possui matrícula ativa.`
+      );
+      return null;
+    }
+
+    // Buscar dados do aluno
+    const student = await Student.findByPk(request.student_id, {
+      attributes: ['id', 'nome', 'cpf', 'matricula'],
+    });
+
+    if (!student) {
+      console.warn(
+        `[AtestadoGeneration] Atestado não gerado: aluno ${request.student_id} não encontrado.`
+      );
+      return null;
+    }
+
+    // Buscar IDs das turmas do aluno via tabela pivot ClassStudent
+    const studentClassLinks = await ClassStudent.findAll({
+      where: { student_id: request.student_id },
+      attributes: ['class_id'],
+    });
+    const allClassIds = studentClassLinks.map((sc) => sc.class_id);
+
+    // Filtrar apenas as turmas que pertencem ao curso ativo do aluno
+    let schedules = [];
+    if (allClassIds.length > 0) {
+      const courseClasses = await Class.findAll({
+        where: { id: allClassIds, course_id: enrollment.course_id },
+        attributes: ['id'],
+      });
+      const courseClassIds = courseClasses.map((cls) => cls.id);
+
+      if (courseClassIds.length > 0) {
+        schedules = await ClassSchedule.findAll({
+          where: { class_id: courseClassIds },
+          include: [
+            { association: 'discipline', attributes: ['id', 'name', 'code'] },
+            { association: 'teacher', attributes: ['id', 'nome'] },
+          ],
+          order: [
+            ['day_of_week', 'ASC'],
+            ['start_time', 'ASC'],
+          ],
+        });
+      }
+    }
+
+    return {
+      studentName: student.nome,
+      studentCpf: student.cpf,
+      studentMatricula: student.matricula,
+      courseName: enrollment.course ? enrollment.course.name : 'Curso não informado',
+      enrollmentDate: enrollment.enrollment_date,
+      currentSemester: enrollment.current_semester,
+      schedules,
+    };
+  }
 
   /**
    * Gera o Atestado de Matrícula em PDF e retorna os dados do arquivo.
@@ -49,166 +129,11 @@ class AtestadoMatriculaService {
    * @throws {Error} Se falhar a geração do arquivo PDF
    */
   static async generateAtestadoPDF(data) {
-    try {
-      this._validateData(data);
-
-      await this._ensureDirectoryExists(this.OUTPUT_DIR);
-
-      const fileName = `atestado_${data.requestId}_${Date.now()}.pdf`;
-      const filePath = path.join(this.OUTPUT_DIR, fileName);
-      const relativePath = `uploads/atestados/${fileName}`;
-
-      await this._buildPDF(filePath, data);
-
-      const stats = await fsPromises.stat(filePath);
-
-      logger.info('[AtestadoMatriculaService] Atestado gerado com sucesso', {
-        requestId: data.requestId,
-        fileName,
-        fileSize: stats.size,
-      });
-
-      return { filePath, fileName, relativePath, fileSize: stats.size };
-    } catch (error) {
-      logger.error('[AtestadoMatriculaService] Erro ao gerar atestado PDF', {
-        requestId: data?.requestId,
-        error: error.message,
-      });
-      throw error;
-    }
+    return this.generatePDF(data);
   }
 
   /**
-   * Gera um hash hexadecimal único de 16 caracteres para assinatura eletrônica.
-   * Verifica unicidade na tabela requests antes de retornar.
-   *
-   * @returns {Promise<string>} Hash único de 16 chars
-   */
-  static async generateUniqueHash() {
-    let hash;
-    let isUnique = false;
-    let attempts = 0;
-    const maxAttempts = 10;
-
-    while (!isUnique && attempts < maxAttempts) {
-      hash = crypto.randomBytes(8).toString('hex'); // 16 chars hexadecimais
-
-      const existing = await Request.findOne({
-        where: { signature_hash: hash },
-        paranoid: false,
-      });
-
-      if (!existing) {
-        isUnique = true;
-      }
-
-      attempts++;
-    }
-
-    if (!isUnique) {
-      throw new Error('Não foi possível gerar um hash único para o atestado após múltiplas tentativas.');
-    }
-
-    return hash;
-  }
-
-  /**
-   * Valida os dados obrigatórios para geração do atestado.
-   *
-   * @param {Object} data - Dados a validar
-   * @throws {Error} Se dados obrigatórios estiverem ausentes
-   * @private
-   */
-  static _validateData(data) {
-    const required = ['requestId', 'studentName', 'courseName'];
-    const missing = required.filter((f) => !data[f]);
-
-    if (missing.length > 0) {
-      throw new Error(`Campos obrigatórios ausentes para o atestado: ${missing.join(', ')}`);
-    }
-  }
-
-  /**
-   * Garante que o diretório de saída existe, criando-o recursivamente se necessário.
-   *
-   * @param {string} dirPath - Caminho do diretório
-   * @private
-   */
-  static async _ensureDirectoryExists(dirPath) {
-    await fsPromises.mkdir(dirPath, { recursive: true });
-  }
-
-  /**
-   * Formata data para exibição em português (ex: 24 de fevereiro de 2026).
-   *
-   * @param {string|Date} dateValue - Data a formatar
-   * @returns {string} Data formatada por extenso
-   * @private
-   */
-  static _formatDateExtensive(dateValue) {
-    const date = dateValue ? new Date(dateValue) : new Date();
-    return date.toLocaleDateString('pt-BR', {
-      day: 'numeric',
-      month: 'long',
-      year: 'numeric',
-    });
-  }
-
-  /**
-   * Formata CPF para exibição (000.000.000-00).
-   *
-   * @param {string} cpf - CPF sem formatação
-   * @returns {string} CPF formatado
-   * @private
-   */
-  static _formatCPF(cpf) {
-    if (!cpf) return 'Não informado';
-    const digits = cpf.replace(/\D/g, '');
-    if (digits.length !== 11) return cpf;
-    return `${digits.slice(0, 3)}.${digits.slice(3, 6)}.${digits.slice(6, 9)}-${digits.slice(9)}`;
-  }
-
-  /**
-   * Constrói o documento PDF do atestado usando PDFKit.
-   *
-   * @param {string} filePath - Caminho completo para salvar o arquivo
-   * @param {Object} data     - Dados do atestado
-   * @returns {Promise<void>}
-   * @private
-   */
-  static _buildPDF(filePath, data) {
-    return new Promise((resolve, reject) => {
-      const doc = new PDFDocument({
-        size: 'A4',
-        margin: 50,
-        bufferPages: true,
-      });
-
-      const writeStream = fs.createWriteStream(filePath);
-      doc.pipe(writeStream);
-
-      try {
-        this._addContent(doc, data);
-        // Volta para a página 0 e desenha o rodapé com posicionamento absoluto,
-        // evitando que as linhas do rodapé extrapolem a área de conteúdo e gerem páginas extras.
-        doc.switchToPage(0);
-        this._addFooter(doc, data);
-      } catch (contentError) {
-        doc.end();
-        reject(contentError);
-        return;
-      }
-
-      doc.end();
-
-      writeStream.on('finish', resolve);
-      writeStream.on('error', (err) => reject(new Error(`Erro ao escrever PDF: ${err.message}`)));
-      doc.on('error', (err) => reject(new Error(`Erro no documento PDF: ${err.message}`)));
-    });
-  }
-
-  /**
-   * Adiciona todo o conteúdo ao documento PDF (cabeçalho, corpo, rodapé).
+   * Adiciona o corpo do atestado ao documento PDF (cabeçalho, texto, horários e assinatura).
    *
    * @param {PDFDocument} doc  - Instância do documento PDFKit
    * @param {Object}      data - Dados do atestado
@@ -220,84 +145,7 @@ class AtestadoMatriculaService {
     const marginRight = 50;
     const contentWidth = pageWidth - marginLeft - marginRight;
 
-    // ── CABEÇALHO COM LOGOS ────────────────────────────────────────────────
-    const logoHeight = 60;
-    const logoWidth = 120;
-
-    // Logo 01 (esquerda)
-    if (fs.existsSync(this.LOGO_01_PATH)) {
-      doc.image(this.LOGO_01_PATH, marginLeft, 40, {
-        height: logoHeight,
-        fit: [logoWidth, logoHeight],
-      });
-    }
-
-    // Logo 02 (direita) — x já calculado explicitamente, align não é suportado em doc.image()
-    if (fs.existsSync(this.LOGO_02_PATH)) {
-      doc.image(this.LOGO_02_PATH, pageWidth - marginRight - logoWidth, 40, {
-        height: logoHeight,
-        fit: [logoWidth, logoHeight],
-      });
-    }
-
-    // ── DADOS INSTITUCIONAIS (centralizados abaixo das logos) ─────────────
-    const institutionTop = 40 + logoHeight + 8;
-
-    doc
-      .font('Helvetica-Bold')
-      .fontSize(9)
-      .fillColor('#003580')
-      .text(
-        'INSTITUTO DE RESPONSABILIDADE SOCIAL - FILHOS DA TERRA',
-        marginLeft,
-        institutionTop,
-        { align: 'center', width: contentWidth }
-      );
-
-    doc
-      .font('Helvetica')
-      .fontSize(8)
-      .fillColor('#444444');
-
-    doc.text('Rua Irênio Marques da Silva 280 Alto da Jacobina Queimadas-Bahia – Cep 48860-000', { align: 'center', width: contentWidth });
-    doc.text('Contato: 71 92003 7114 / 71 99915 7754', { align: 'center', width: contentWidth });
-    doc.text('E-mail.: atendimento@ifterra.org.br', { align: 'center', width: contentWidth });
-    doc.text('Cnpj: 56.194.857/0001-44', { align: 'center', width: contentWidth });
-    doc.text('Site.: www.ifterra.org.br', { align: 'center', width: contentWidth });
-
-    // Linha separadora abaixo dos dados institucionais
-    const headerBottom = doc.y + 8;
-    doc
-      .moveTo(marginLeft, headerBottom)
-      .lineTo(pageWidth - marginRight, headerBottom)
-      .lineWidth(1.5)
-      .strokeColor('#003580')
-      .stroke();
-
-    // ── TÍTULO ────────────────────────────────────────────────────────────
-    doc.moveDown(1);
-    doc.y = headerBottom + 30;
-
-    doc
-      .font('Helvetica-Bold')
-      .fontSize(16)
-      .fillColor('#003580')
-      .text('ATESTADO DE MATRÍCULA', marginLeft, doc.y, {
-        align: 'center',
-        width: contentWidth,
-      });
-
-    doc.moveDown(0.4);
-
-    // Linha decorativa abaixo do título
-    doc
-      .moveTo(marginLeft + contentWidth * 0.25, doc.y)
-      .lineTo(marginLeft + contentWidth * 0.75, doc.y)
-      .lineWidth(0.8)
-      .strokeColor('#003580')
-      .stroke();
-
-    doc.moveDown(1.5);
+    this._addHeader(doc, 'ATESTADO DE MATRÍCULA');
 
     // ── CORPO DO DOCUMENTO ────────────────────────────────────────────────
     const semesterLabel = data.currentSemester
@@ -309,9 +157,7 @@ class AtestadoMatriculaService {
       : 'data não informada';
 
     const cpfFormatted = this._formatCPF(data.studentCpf);
-    const matriculaLabel = data.studentMatricula
-      ? `matrícula nº ${data.studentMatricula}`
-      : '';
+    const matriculaLabel = data.studentMatricula ? `matrícula nº ${data.studentMatricula}` : '';
 
     const bodyText =
       `Declaramos para os devidos fins que ${data.studentName}, ` +
@@ -322,15 +168,11 @@ class AtestadoMatriculaService {
       `com matrícula realizada em ${enrollmentDateFormatted}, ` +
       `cursando atualmente o ${semesterLabel}.`;
 
-    doc
-      .font('Helvetica')
-      .fontSize(12)
-      .fillColor('#000000')
-      .text(bodyText, marginLeft, doc.y, {
-        align: 'justify',
-        width: contentWidth,
-        lineGap: 4,
-      });
+    doc.font('Helvetica').fontSize(12).fillColor('#000000').text(bodyText, marginLeft, doc.y, {
+      align: 'justify',
+      width: contentWidth,
+      lineGap: 4,
+    });
 
     doc.moveDown(1.2);
 
@@ -351,105 +193,7 @@ class AtestadoMatriculaService {
 
     doc.moveDown(2.5);
 
-    // ── LOCAL E DATA ──────────────────────────────────────────────────────
-    const dateExtensive = this._formatDateExtensive(new Date());
-
-    doc
-      .font('Helvetica')
-      .fontSize(12)
-      .fillColor('#000000')
-      .text(`Salvador, ${dateExtensive}.`, marginLeft, doc.y, {
-        align: 'center',
-        width: contentWidth,
-      });
-
-    doc.moveDown(3);
-
-    // ── ÁREA DE ASSINATURA ────────────────────────────────────────────────
-    const sigLineX = marginLeft + contentWidth * 0.2;
-    const sigLineEnd = pageWidth - marginRight - contentWidth * 0.2;
-    const sigLineY = doc.y;
-
-    doc
-      .moveTo(sigLineX, sigLineY)
-      .lineTo(sigLineEnd, sigLineY)
-      .lineWidth(0.8)
-      .strokeColor('#000000')
-      .stroke();
-
-    doc.moveDown(0.4);
-
-    doc
-      .font('Helvetica-Bold')
-      .fontSize(11)
-      .fillColor('#000000')
-      .text('Secretaria Acadêmica', marginLeft, doc.y, {
-        align: 'center',
-        width: contentWidth,
-      });
-  }
-
-  /**
-   * Adiciona o rodapé com assinatura eletrônica na parte inferior da página.
-   * Deve ser chamado após doc.switchToPage(0) para garantir que o rodapé
-   * apareça na página principal sem gerar páginas extras.
-   *
-   * @param {PDFDocument} doc  - Instância do documento PDFKit
-   * @param {Object}      data - Dados do atestado (necessita signatureHash)
-   * @private
-   */
-  static _addFooter(doc, data) {
-    const pageWidth = doc.page.width;
-    const marginLeft = 50;
-    const marginRight = 50;
-    const contentWidth = pageWidth - marginLeft - marginRight;
-
-    // Posiciona o rodapé a partir da borda inferior da área de conteúdo,
-    // garantindo que todas as linhas caibam dentro dos limites da página.
-    const contentBottom = doc.page.height - doc.page.margins.bottom;
-    const footerY = contentBottom - 50;
-
-    doc
-      .moveTo(marginLeft, footerY)
-      .lineTo(pageWidth - marginRight, footerY)
-      .lineWidth(0.5)
-      .strokeColor('#cccccc')
-      .stroke();
-
-    doc
-      .font('Helvetica')
-      .fontSize(8)
-      .fillColor('#666666')
-      .text(
-        'Documento gerado eletronicamente pelo Sistema de Secretaria Online.',
-        marginLeft,
-        footerY + 8,
-        { align: 'center', width: contentWidth, lineBreak: false }
-      );
-
-    doc
-      .font('Helvetica-Bold')
-      .fontSize(9)
-      .fillColor('#333333')
-      .text(
-        `Assinatura Eletrônica: ${data.signatureHash}`,
-        marginLeft,
-        footerY + 20,
-        { align: 'center', width: contentWidth, lineBreak: false }
-      );
-
-    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
-
-    doc
-      .font('Helvetica')
-      .fontSize(7)
-      .fillColor('#888888')
-      .text(
-        `Verifique a autenticidade em: ${frontendUrl}/verificar-atestado`,
-        marginLeft,
-        footerY + 34,
-        { align: 'center', width: contentWidth, lineBreak: false }
-      );
+    this._addSignatureArea(doc);
   }
 
   /**
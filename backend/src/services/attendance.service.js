@@ -0,0 +1,483 @@
+/**
+ * Arquivo: backend/src/services/attendance.service.js
+ * Descrição: Lógica de negócio para controle de frequência (aulas e chamadas)
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Registrar aulas (ocorrências de um horário da grade) e a chamada dos alunos
+ * - Calcular o percentual de faltas por disciplina sobre a carga horária
+ * - Sinalizar alunos em risco ou acima do limite máximo de faltas
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  ClassSession,
+  Attendance,
+  ClassSchedule,
+  ClassStudent,
+  ClassTeacher,
+  Class,
+  Discipline,
+  Student,
+  StudentDisciplineExemption,
+} = require('../models');
+const { ATTENDANCE_STATUS, ATTENDANCE_CONFIG } = require('../utils/constants');
+
+class AttendanceService {
+  /**
+   * Retorna o percentual máximo de faltas permitido.
+   * Lido a cada chamada para respeitar o valor definido em MAX_ABSENCE_PERCENTAGE.
+   */
+  getMaxAbsencePercentage() {
+    const configured = parseFloat(process.env.MAX_ABSENCE_PERCENTAGE);
+    if (!isNaN(configured) && configured >= 0 && configured <= 100) {
+      return configured;
+    }
+    return ATTENDANCE_CONFIG.DEFAULT_MAX_ABSENCE_PERCENTAGE;
+  }
+
+  /**
+   * Verifica se o professor leciona a disciplina na turma (via ClassTeacher).
+   */
+  async isTeacherOfDiscipline(teacherId, classId, disciplineId) {
+    if (!teacherId) return false;
+
+    const classTeacher = await ClassTeacher.findOne({
+      where: { class_id: classId, teacher_id: teacherId, discipline_id: disciplineId },
+    });
+
+    return classTeacher !== null;
+  }
+
+  /**
+   * Calcula a carga horária (em horas) de um horário da grade.
+   */
+  _calculateScheduleHours(schedule) {
+    const toMinutes = (time) => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+
+    const minutes = toMinutes(schedule.end_time) - toMinutes(schedule.start_time);
+    return Math.round((minutes / 60) * 100) / 100;
+  }
+
+  /**
+   * Retorna o dia da semana de uma data no padrão da grade (1=Segunda ... 7=Domingo).
+   */
+  _getDayOfWeek(dateString) {
+    const day = new Date(`${dateString}T12:00:00Z`).getUTCDay();
+    return day === 0 ? 7 : day;
+  }
+
+  /**
+   * Registra uma aula para um horário da grade em uma data.
+   * A data deve corresponder ao dia da semana do horário e não pode estar no futuro.
+   */
+  async createSession({ class_schedule_id, session_date, notes, teacher_id }) {
+    const schedule = await ClassSchedule.findByPk(class_schedule_id);
+    if (!schedule) {
+      throw Object.assign(new Error('Horário não encontrado'), { statusCode: 404 });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(session_date || '') || isNaN(Date.parse(session_date))) {
+      throw Object.assign(new Error('Data da aula inválida (use o formato AAAA-MM-DD)'), {
+        statusCode: 400,
+      });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (session_date > today) {
+      throw Object.assign(new Error('Não é possível registrar aula em data futura'), {
+        statusCode: 400,
+      });
+    }
+
+    if (this._getDayOfWeek(session_date) !== schedule.day_of_week) {
+      throw Object.assign(
+        new Error(`A data informada não corresponde ao dia do horário (${schedule.getDayName()})`),
+        { statusCode: 400 }
+      );
+    }
+
+    // Unicidade: um horário só pode ter uma aula por data (não deletada)
+    const existing = await ClassSession.findOne({
+      where: { class_schedule_id, session_date },
+    });
+    if (existing) {
+      throw Object.assign(new Error('Já existe uma aula registrada para este horário nesta data'), {
+        statusCode: 409,
+      });
+    }
+
+    const session = await ClassSession.create({
+      class_schedule_id,
+      class_id: schedule.class_id,
+      discipline_id: schedule.discipline_id,
+      teacher_id: teacher_id || schedule.teacher_id || null,
+      session_date,
+      hours: this._calculateScheduleHours(schedule),
+      notes: notes || null,
+    });
+
+    return this.getSessionRoll(session.id);
+  }
+
+  /**
+   * Lista as aulas de uma turma com o resumo da chamada de cada uma.
+   */
+  async listSessions(classId, disciplineId = null) {
+    const where = { class_id: classId };
+    if (disciplineId) where.discipline_id = disciplineId;
+
+    const sessions = await ClassSession.findAll({
+      where,
+      include: [
+        { model: Discipline, as: 'discipline', attributes: ['id', 'name', 'code'] },
+        {
+          model: ClassSchedule,
+          as: 'schedule',
+          attributes: ['id', 'day_of_week', 'start_time', 'end_time'],
+        },
+        { model: Attendance, as: 'attendances', attributes: ['status'] },
+      ],
+      order: [
+        ['session_date', 'DESC'],
+        [{ model: ClassSchedule, as: 'schedule' }, 'start_time', 'DESC'],
+      ],
+    });
+
+    return sessions.map((session) => {
+      const data = session.toJSON();
+      const attendances = data.attendances || [];
+      delete data.attendances;
+
+      return {
+        ...data,
+        summary: {
+          total: attendances.length,
+          present: attendances.filter((a) => a.status === ATTENDANCE_STATUS.PRESENT).length,
+          absent: attendances.filter((a) => a.status === ATTENDANCE_STATUS.ABSENT).length,
+          justified: attendances.filter((a) => a.status === ATTENDANCE_STATUS.JUSTIFIED).length,
+        },
+      };
+    });
+  }
+
+  /**
+   * Retorna uma aula com a lista de chamada: todos os alunos da turma
+   * (exceto dispensados da disciplina) e a situação registrada de cada um.
+   */
+  async getSessionRoll(sessionId) {
+    const session = await ClassSession.findByPk(sessionId, {
+      include: [
+        { model: Discipline, as: 'discipline', attributes: ['id', 'name', 'code'] },
+        { model: Class, as: 'class', attributes: ['id', 'semester', 'year'] },
+        {
+          model: ClassSchedule,
+          as: 'schedule',
+          attributes: ['id', 'day_of_week', 'start_time', 'end_time'],
+        },
+        { model: Attendance, as: 'attendances' },
+      ],
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    const students = await this.getRollStudents(session.class_id, session.discipline_id);
+    const attendanceByStudent = new Map(session.attendances.map((a) => [a.student_id, a]));
+
+    const data = session.toJSON();
+    delete data.attendances;
+
+    return {
+      ...data,
+      students: students.map((student) => {
+        const attendance = attendanceByStudent.get(student.id);
+        return {
+          id: student.id,
+          nome: student.nome,
+          matricula: student.matricula,
+          status: attendance ? attendance.status : null,
+          notes: attendance ? attendance.notes : null,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Retorna os alunos da turma que devem constar na chamada da disciplina.
+   */
+  async getRollStudents(classId, disciplineId) {
+    const links = await ClassStudent.findAll({
+      where: { class_id: classId },
+      include: [{ model: Student, as: 'student', attributes: ['id', 'nome', 'matricula'] }],
+    });
+
+    const students = links.map((link) => link.student).filter(Boolean);
+    if (students.length === 0) {
+      return [];
+    }
+
+    const exemptions = await StudentDisciplineExemption.findAll({
+      where: {
+        student_id: students.map((s) => s.id),
+        discipline_id: disciplineId,
+        [Op.or]: [{ class_id: classId }, { class_id: null }],
+      },
+      attributes: ['student_id'],
+    });
+    const exemptIds = new Set(exemptions.map((e) => e.student_id));
+
+    return students
+      .filter((student) => !exemptIds.has(student.id))
+      .sort((a, b) => (a.nome || '').localeCompare(b.nome || ''));
+  }
+
+  /**
+   * Registra (ou atualiza) a chamada de uma aula.
+   * @param {number} sessionId
+   * @param {Array<{student_id: number, status: string, notes?: string}>} records
+   */
+  async recordAttendances(sessionId, records) {
+    const session = await ClassSession.findByPk(sessionId);
+    if (!session) {
+      throw Object.assign(new Error('Aula não encontrada'), { statusCode: 404 });
+    }
+
+    const validStatuses = Object.values(ATTENDANCE_STATUS);
+    const invalid = records.find((r) => !r.student_id || !validStatuses.includes(r.status));
+    if (invalid) {
+      throw Object.assign(
+        new Error(`Registro de presença inválido. Situações aceitas: ${validStatuses.join(', ')}`),
+        { statusCode: 400 }
+      );
+    }
+
+    const rollStudents = await this.getRollStudents(session.class_id, session.discipline_id);
+    const rollIds = new Set(rollStudents.map((s) => s.id));
+    const outsider = records.find((r) => !rollIds.has(parseInt(r.student_id, 10)));
+    if (outsider) {
+      throw Object.assign(
+        new Error(`O aluno ${outsider.student_id} não faz parte da chamada desta aula`),
+        { statusCode: 400 }
+      );
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const record of records) {
+        const studentId = parseInt(record.student_id, 10);
+        const [attendance, created] = await Attendance.findOrCreate({
+          where: { class_session_id: sessionId, student_id: studentId },
+          defaults: { status: record.status, notes: record.notes || null },
+          transaction,
+        });
+
+        if (!created) {
+          await attendance.update(
+            { status: record.status, notes: record.notes || null },
+            { transaction }
+          );
+        }
+      }
+    });
+
+    return this.getSessionRoll(sessionId);
+  }
+
+  /**
+   * Remove uma aula (soft delete). Os registros de presença deixam de ser contabilizados.
+   */
+  async deleteSession(sessionId) {
+    const session = await ClassSession.findByPk(sessionId);
+    if (!session) {
+      return false;
+    }
+    await session.destroy();
+    return true;
+  }
+
+  /**
+   * Monta o resumo de frequência de uma disciplina.
+   * O percentual de faltas é calculado sobre a carga horária da disciplina;
+   * sem carga horária cadastrada, usa as horas de aula já ministradas.
+   * Nesse caso a situação vai no máximo a 'at_risk': o limite sobre um semestre ainda
+   * em andamento não pode reprovar o aluno por faltas (GradeService.calculateResult).
+   */
+  _buildSummary({ workloadHours, givenHours, absentHours, justifiedHours }) {
+    const maxAbsencePercentage = this.getMaxAbsencePercentage();
+    const baseHours = workloadHours || givenHours;
+    const maxAbsenceHours = Math.round(baseHours * maxAbsencePercentage) / 100;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const absencePercentage = baseHours > 0 ? round((absentHours / baseHours) * 100) : 0;
+    const frequencyPercentage =
+      givenHours > 0 ? round(((givenHours - absentHours) / givenHours) * 100) : null;
+
+    let status = 'regular';
+    if (workloadHours && absentHours > maxAbsenceHours) {
+      status = 'exceeded';
+    } else if (
+      absentHours > 0 &&
+      absentHours >= maxAbsenceHours * ATTENDANCE_CONFIG.AT_RISK_RATIO
+    ) {
+      status = 'at_risk';
+    }
+
+    return {
+      workload_hours: workloadHours || null,
+      given_hours: round(givenHours),
+      absent_hours: round(absentHours),
+      justified_hours: round(justifiedHours),
+      absence_percentage: absencePercentage,
+      frequency_percentage: frequencyPercentage,
+      max_absence_percentage: maxAbsencePercentage,
+      max_absence_hours: maxAbsenceHours,
+      remaining_absence_hours: round(Math.max(maxAbsenceHours - absentHours, 0)),
+      status,
+    };
+  }
+
+  /**
+   * Soma as horas de faltas de um aluno em um conjunto de aulas.
+   */
+  _sumStudentHours(sessions, studentId) {
+    let absentHours = 0;
+    let justifiedHours = 0;
+
+    sessions.forEach((session) => {
+      const attendance = (session.attendances || []).find((a) => a.student_id === studentId);
+      if (!attendance) return;
+      if (attendance.status === ATTENDANCE_STATUS.ABSENT) absentHours += session.hours;
+      if (attendance.status === ATTENDANCE_STATUS.JUSTIFIED) justifiedHours += session.hours;
+    });
+
+    return { absentHours, justifiedHours };
+  }
+
+  /**
+   * Retorna a frequência de um aluno por turma/disciplina.
+   * Disciplinas dispensadas (aproveitamento) não são listadas.
+   */
+  async getStudentFrequency(studentId, { class_id } = {}) {
+    const linkWhere = { student_id: studentId };
+    if (class_id) linkWhere.class_id = class_id;
+
+    const links = await ClassStudent.findAll({ where: linkWhere, attributes: ['class_id'] });
+    const classIds = links.map((link) => link.class_id);
+    if (classIds.length === 0) {
+      return [];
+    }
+
+    const sessions = await ClassSession.findAll({
+      where: { class_id: classIds },
+      include: [
+        {
+          model: Discipline,
+          as: 'discipline',
+          attributes: ['id', 'name', 'code', 'workload_hours'],
+        },
+        {
+          model: Attendance,
+          as: 'attendances',
+          where: { student_id: studentId },
+          required: false,
+        },
+      ],
+    });
+
+    const exemptions = await StudentDisciplineExemption.findAll({
+      where: { student_id: studentId },
+      attributes: ['discipline_id', 'class_id'],
+    });
+    const isExempt = (classId, disciplineId) =>
+      exemptions.some(
+        (e) => e.discipline_id === disciplineId && (!e.class_id || e.class_id === classId)
+      );
+
+    const groups = new Map();
+    sessions.forEach((session) => {
+      if (isExempt(session.class_id, session.discipline_id)) return;
+
+      const key = `${session.class_id}-${session.discipline_id}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          class_id: session.class_id,
+          discipline: session.discipline,
+          sessions: [],
+        });
+      }
+      groups.get(key).sessions.push(session);
+    });
+
+    return Array.from(groups.values()).map((group) => {
+      const givenHours = group.sessions.reduce((sum, s) => sum + s.hours, 0);
+      const { absentHours, justifiedHours } = this._sumStudentHours(group.sessions, studentId);
+
+      return {
+        class_id: group.class_id,
+        discipline_id: group.discipline.id,
+        discipline: {
+          id: group.discipline.id,
+          name: group.discipline.name,
+          code: group.discipline.code,
+        },
+        total_sessions: group.sessions.length,
+        ...this._buildSummary({
+          workloadHours: group.discipline.workload_hours,
+          givenHours,
+          absentHours,
+          justifiedHours,
+        }),
+      };
+    });
+  }
+
+  /**
+   * Retorna a frequência de todos os alunos de uma turma em uma disciplina.
+   */
+  async getClassFrequency(classId, disciplineId) {
+    const discipline = await Discipline.findByPk(disciplineId, {
+      attributes: ['id', 'name', 'code', 'workload_hours'],
+    });
+    if (!discipline) {
+      throw Object.assign(new Error('Disciplina não encontrada'), { statusCode: 404 });
+    }
+
+    const [students, sessions] = await Promise.all([
+      this.getRollStudents(classId, disciplineId),
+      ClassSession.findAll({
+        where: { class_id: classId, discipline_id: disciplineId },
+        include: [{ model: Attendance, as: 'attendances' }],
+      }),
+    ]);
+
+    const givenHours = sessions.reduce((sum, s) => sum + s.hours, 0);
+
+    return {
+      class_id: classId,
+      discipline: { id: discipline.id, name: discipline.name, code: discipline.code },
+      total_sessions: sessions.length,
+      students: students.map((student) => {
+        const { absentHours, justifiedHours } = this._sumStudentHours(sessions, student.id);
+        return {
+          id: student.id,
+          nome: student.nome,
+          matricula: student.matricula,
+          ...this._buildSummary({
+            workloadHours: discipline.workload_hours,
+            givenHours,
+            absentHours,
+            justifiedHours,
+          }),
+        };
+      }),
+    };
+  }
+}
+
+module.exports = new AttendanceService();
@@ -0,0 +1,110 @@
+/**
+ * Arquivo: backend/src/services/attendance.service.test.js
+ * Descrição: Testes unitários do resumo de frequência do AttendanceService
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ *
+ * Executar com: npm test (ou node --test src/services/attendance.service.test.js)
+ *
+ * Apenas o cálculo do resumo é testado: nenhum teste abre conexão com o banco.
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// O carregamento dos models e do email exige configuração (nenhuma conexão é aberta)
+const TEST_ENV = {
+  DB_HOST: 'localhost',
+  DB_PORT: '3306',
+  DB_NAME: 'secretaria_online_test',
+  DB_USER: 'test',
+  DB_PASSWORD: 'test',
+  SMTP_HOST: 'localhost',
+  SMTP_PORT: '2525',
+  SMTP_USER: 'test',
+  SMTP_PASS: 'test',
+  SMTP_FROM: 'test@secretaria.local',
+};
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  process.env[name] = process.env[name] || value;
+});
+
+const AttendanceService = require('./attendance.service');
+const GradeService = require('./grade.service');
+const { GRADE_RESULT_STATUS } = require('../utils/constants');
+
+const ORIGINAL_MAX_ABSENCE = process.env.MAX_ABSENCE_PERCENTAGE;
+
+/**
+ * Resumo de frequência sem faltas justificadas
+ */
+function summary(workloadHours, givenHours, absentHours) {
+  return AttendanceService._buildSummary({
+    workloadHours,
+    givenHours,
+    absentHours,
+    justifiedHours: 0,
+  });
+}
+
+describe('AttendanceService._buildSummary', () => {
+  beforeEach(() => {
+    process.env.MAX_ABSENCE_PERCENTAGE = '25';
+  });
+
+  after(() => {
+    if (ORIGINAL_MAX_ABSENCE === undefined) delete process.env.MAX_ABSENCE_PERCENTAGE;
+    else process.env.MAX_ABSENCE_PERCENTAGE = ORIGINAL_MAX_ABSENCE;
+  });
+
+  it('calcula o percentual de faltas sobre a carga horária da disciplina', () => {
+    const result = summary(80, 20, 4);
+
+    assert.equal(result.workload_hours, 80);
+    assert.equal(result.absence_percentage, 5);
+    assert.equal(result.frequency_percentage, 80);
+    assert.equal(result.max_absence_hours, 20);
+    assert.equal(result.remaining_absence_hours, 16);
+    assert.equal(result.status, 'regular');
+  });
+
+  it('sinaliza risco ao atingir a proporção de alerta do limite', () => {
+    assert.equal(summary(80, 40, 15).status, 'at_risk');
+  });
+
+  it('sinaliza limite excedido acima do máximo de faltas da carga horária', () => {
+    const result = summary(80, 40, 22);
+
+    assert.equal(result.status, 'exceeded');
+    assert.equal(result.remaining_absence_hours, 0);
+  });
+
+  it('sem carga horária, usa as horas ministradas e não passa de at_risk', () => {
+    const result = summary(null, 2, 2);
+
+    assert.equal(result.workload_hours, null);
+    assert.equal(result.absence_percentage, 100);
+    assert.equal(result.status, 'at_risk');
+  });
+
+  it('sem carga horária e sem faltas, fica regular', () => {
+    assert.equal(summary(null, 2, 0).status, 'regular');
+  });
+
+  it('sem carga horária, a falta na primeira aula não reprova o aluno', () => {
+    const evaluations = [
+      { id: 1, type: 'grade', weight: 1, is_final_exam: false, is_recovery: false },
+      { id: 2, type: 'grade', weight: 1, is_final_exam: false, is_recovery: false },
+    ];
+    const grades = new Map([[1, { grade: 8 }]]);
+    const result = GradeService.calculateResult(
+      evaluations,
+      grades,
+      { passing_grade: 7, recovery_min_grade: 5, recovery_passing_grade: 5 },
+      summary(null, 2, 2)
+    );
+
+    assert.equal(result.failed_by_absence, false);
+    assert.equal(result.status, GRADE_RESULT_STATUS.IN_PROGRESS);
+  });
+});
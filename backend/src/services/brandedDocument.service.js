@@ -0,0 +1,447 @@
+/**
+ * Arquivo: backend/src/services/brandedDocument.service.js
+ * Descrição: Classe base dos documentos institucionais em PDF (logos, rodapé com
+ *            assinatura eletrônica e hash único) gerados ao aprovar solicitações.
+ * Feature: feat-117 - Geradores de documentos por tipo de solicitação
+ * Modificado: feat-118 - QR code de verificação e registro de documentos assinados
+ * Criado em: 2026-10-19
+ */
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const QRCode = require('qrcode');
+const logger = require('../utils/logger');
+const SignedDocumentService = require('./signedDocument.service');
+
+/**
+ * BrandedDocumentService
+ *
+ * Cada documento (atestado, histórico, declaração, certificado) estende esta classe e define:
+ * - TITLE: título do documento (também exibido na escolha do gerador do tipo de solicitação)
+ * - DOCUMENT_KIND: tipo do documento no registro de documentos assinados
+ * - FILE_PREFIX / OUTPUT_SUBDIR: nome e diretório do arquivo gerado (uploads/<subdir>/)
+ * - collectData(request): reúne os dados do documento (null quando não pode ser emitido)
+ * - _addContent(doc, data): desenha o corpo do documento
+ *
+ * O cabeçalho institucional, o rodapé com a assinatura eletrônica (hash e QR code
+ * apontando para a página pública de verificação) e a gravação do arquivo são comuns
+ * a todos os documentos.
+ */
+class BrandedDocumentService {
+  /**
+   * Caminhos das logos e assets
+   */
+  static LOGO_01_PATH = path.resolve(__dirname, '../../../docs/cliente/logo_01.png');
+  static LOGO_02_PATH = path.resolve(__dirname, '../../../docs/cliente/logo_02.png');
+
+  static TITLE = null;
+  static DOCUMENT_KIND = null;
+  static FILE_PREFIX = 'documento';
+  static OUTPUT_SUBDIR = 'documentos';
+  static REQUIRED_FIELDS = ['requestId', 'studentName'];
+
+  /**
+   * Diretório absoluto onde os PDFs do documento são gravados
+   */
+  static get OUTPUT_DIR() {
+    return path.resolve(process.cwd(), 'uploads', this.OUTPUT_SUBDIR);
+  }
+
+  /**
+   * Reúne os dados do documento a partir da solicitação aprovada.
+   *
+   * @param {Object} _request - Instância do model Request
+   * @returns {Promise<Object|null>} Dados para generatePDF ou null se o documento não puder ser emitido
+   */
+  static async collectData(_request) {
+    throw new Error(`${this.name} não implementa collectData()`);
+  }
+
+  /**
+   * Gera o documento em PDF e retorna os dados do arquivo.
+   *
+   * @param {Object} data - Dados do documento (requestId e signatureHash obrigatórios)
+   * @returns {Promise<Object>} Objeto com filePath, fileName, relativePath e fileSize
+   * @throws {Error} Se falhar a geração do arquivo PDF
+   */
+  static async generatePDF(data) {
+    try {
+      this._validateData(data);
+
+      await this._ensureDirectoryExists(this.OUTPUT_DIR);
+
+      const fileName = `${this.FILE_PREFIX}_${data.requestId}_${Date.now()}.pdf`;
+      const filePath = path.join(this.OUTPUT_DIR, fileName);
+      const relativePath = `uploads/${this.OUTPUT_SUBDIR}/${fileName}`;
+
+      await this._buildPDF(filePath, data);
+
+      const stats = await fsPromises.stat(filePath);
+
+      logger.info(`[${this.name}] Documento gerado com sucesso`, {
+        requestId: data.requestId,
+        fileName,
+        fileSize: stats.size,
+      });
+
+      return { filePath, fileName, relativePath, fileSize: stats.size };
+    } catch (error) {
+      logger.error(`[${this.name}] Erro ao gerar documento PDF`, {
+        requestId: data?.requestId,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Gera um hash hexadecimal único de 16 caracteres para assinatura eletrônica.
+   * A unicidade é verificada no registro de documentos assinados.
+   *
+   * @returns {Promise<string>} Hash único de 16 chars
+   */
+  static async generateUniqueHash() {
+    return SignedDocumentService.generateUniqueHash();
+  }
+
+  /**
+   * Valida os dados obrigatórios para geração do documento.
+   *
+   * @param {Object} data - Dados a validar
+   * @throws {Error} Se dados obrigatórios estiverem ausentes
+   * @private
+   */
+  static _validateData(data) {
+    const missing = this.REQUIRED_FIELDS.filter((f) => !data[f]);
+
+    if (missing.length > 0) {
+      throw new Error(`Campos obrigatórios ausentes para o documento: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Garante que o diretório de saída existe, criando-o recursivamente se necessário.
+   *
+   * @param {string} dirPath - Caminho do diretório
+   * @private
+   */
+  static async _ensureDirectoryExists(dirPath) {
+    await fsPromises.mkdir(dirPath, { recursive: true });
+  }
+
+  /**
+   * Formata data para exibição em português (ex: 24 de fevereiro de 2026).
+   *
+   * @param {string|Date} dateValue - Data a formatar
+   * @returns {string} Data formatada por extenso
+   * @private
+   */
+  static _formatDateExtensive(dateValue) {
+    const date = dateValue ? new Date(dateValue) : new Date();
+    return date.toLocaleDateString('pt-BR', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+    });
+  }
+
+  /**
+   * Formata CPF para exibição (000.000.000-00).
+   *
+   * @param {string} cpf - CPF sem formatação
+   * @returns {string} CPF formatado
+   * @private
+   */
+  static _formatCPF(cpf) {
+    if (!cpf) return 'Não informado';
+    const digits = cpf.replace(/\D/g, '');
+    if (digits.length !== 11) return cpf;
+    return `${digits.slice(0, 3)}.${digits.slice(3, 6)}.${digits.slice(6, 9)}-${digits.slice(9)}`;
+  }
+
+  /**
+   * Constrói o documento PDF: corpo (_addContent) e rodapé em todas as páginas.
+   *
+   * @param {string} filePath - Caminho completo para salvar o arquivo
+   * @param {Object} data     - Dados do documento
+   * @returns {Promise<void>}
+   * @private
+   */
+  static _buildPDF(filePath, data) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        bufferPages: true,
+      });
+
+      const writeStream = fs.createWriteStream(filePath);
+      doc.pipe(writeStream);
+
+      try {
+        this._addContent(doc, data);
+        // Desenha o rodapé com posicionamento absoluto em cada página já criada,
+        // evitando que as linhas do rodapé extrapolem a área de conteúdo e gerem páginas extras.
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+          doc.switchToPage(i);
+          this._addFooter(doc, data, i + 1, range.count);
+        }
+      } catch (contentError) {
+        doc.end();
+        reject(contentError);
+        return;
+      }
+
+      doc.end();
+
+      writeStream.on('finish', resolve);
+      writeStream.on('error', (err) => reject(new Error(`Erro ao escrever PDF: ${err.message}`)));
+      doc.on('error', (err) => reject(new Error(`Erro no documento PDF: ${err.message}`)));
+    });
+  }
+
+  /**
+   * Desenha o corpo do documento. Implementado por cada documento.
+   *
+   * @param {PDFDocument} _doc  - Instância do documento PDFKit
+   * @param {Object}      _data - Dados do documento
+   * @private
+   */
+  static _addContent(_doc, _data) {
+    throw new Error(`${this.name} não implementa _addContent()`);
+  }
+
+  /**
+   * Adiciona o cabeçalho institucional (logos e dados da instituição) e o título.
+   *
+   * @param {PDFDocument} doc   - Instância do documento PDFKit
+   * @param {string}      title - Título do documento (ex: 'ATESTADO DE MATRÍCULA')
+   * @private
+   */
+  static _addHeader(doc, title) {
+    const pageWidth = doc.page.width;
+    const marginLeft = 50;
+    const marginRight = 50;
+    const contentWidth = pageWidth - marginLeft - marginRight;
+
+    // ── CABEÇALHO COM LOGOS ────────────────────────────────────────────────
+    const logoHeight = 60;
+    const logoWidth = 120;
+
+    // Logo 01 (esquerda)
+    if (fs.existsSync(this.LOGO_01_PATH)) {
+      doc.image(this.LOGO_01_PATH, marginLeft, 40, {
+        height: logoHeight,
+        fit: [logoWidth, logoHeight],
+      });
+    }
+
+    // Logo 02 (direita) — x já calculado explicitamente, align não é suportado em doc.image()
+    if (fs.existsSync(this.LOGO_02_PATH)) {
+      doc.image(this.LOGO_02_PATH, pageWidth - marginRight - logoWidth, 40, {
+        height: logoHeight,
+        fit: [logoWidth, logoHeight],
+      });
+    }
+
+    // ── DADOS INSTITUCIONAIS (centralizados abaixo das logos) ─────────────
+    const institutionTop = 40 + logoHeight + 8;
+
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(9)
+      .fillColor('#003580')
+      .text('INSTITUTO DE RESPONSABILIDADE SOCIAL - FILHOS DA TERRA', marginLeft, institutionTop, {
+        align: 'center',
+        width: contentWidth,
+      });
+
+    doc.font('Helvetica').fontSize(8).fillColor('#444444');
+
+    doc.text('Rua Irênio Marques da Silva 280 Alto da Jacobina Queimadas-Bahia – Cep 48860-000', {
+      align: 'center',
+      width: contentWidth,
+    });
+    doc.text('Contato: 71 92003 7114 / 71 99915 7754', { align: 'center', width: contentWidth });
+    doc.text('E-mail.: atendimento@ifterra.org.br', { align: 'center', width: contentWidth });
+    doc.text('Cnpj: 56.194.857/0001-44', { align: 'center', width: contentWidth });
+    doc.text('Site.: www.ifterra.org.br', { align: 'center', width: contentWidth });
+
+    // Linha separadora abaixo dos dados institucionais
+    const headerBottom = doc.y + 8;
+    doc
+      .moveTo(marginLeft, headerBottom)
+      .lineTo(pageWidth - marginRight, headerBottom)
+      .lineWidth(1.5)
+      .strokeColor('#003580')
+      .stroke();
+
+    // ── TÍTULO ────────────────────────────────────────────────────────────
+    doc.y = headerBottom + 30;
+
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#003580').text(title, marginLeft, doc.y, {
+      align: 'center',
+      width: contentWidth,
+    });
+
+    doc.moveDown(0.4);
+
+    // Linha decorativa abaixo do título
+    doc
+      .moveTo(marginLeft + contentWidth * 0.25, doc.y)
+      .lineTo(marginLeft + contentWidth * 0.75, doc.y)
+      .lineWidth(0.8)
+      .strokeColor('#003580')
+      .stroke();
+
+    doc.moveDown(1.5);
+  }
+
+  /**
+   * Adiciona local, data de emissão e a área de assinatura da Secretaria Acadêmica.
+   *
+   * @param {PDFDocument} doc - Instância do documento PDFKit
+   * @private
+   */
+  static _addSignatureArea(doc) {
+    const pageWidth = doc.page.width;
+    const marginLeft = 50;
+    const marginRight = 50;
+    const contentWidth = pageWidth - marginLeft - marginRight;
+
+    // ── LOCAL E DATA ──────────────────────────────────────────────────────
+    const dateExtensive = this._formatDateExtensive(new Date());
+
+    doc
+      .font('Helvetica')
+      .fontSize(12)
+      .fillColor('#000000')
+      .text(`Salvador, ${dateExtensive}.`, marginLeft, doc.y, {
+        align: 'center',
+        width: contentWidth,
+      });
+
+    doc.moveDown(3);
+
+    // ── ÁREA DE ASSINATURA ────────────────────────────────────────────────
+    const sigLineX = marginLeft + contentWidth * 0.2;
+    const sigLineEnd = pageWidth - marginRight - contentWidth * 0.2;
+    const sigLineY = doc.y;
+
+    doc
+      .moveTo(sigLineX, sigLineY)
+      .lineTo(sigLineEnd, sigLineY)
+      .lineWidth(0.8)
+      .strokeColor('#000000')
+      .stroke();
+
+    doc.moveDown(0.4);
+
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(11)
+      .fillColor('#000000')
+      .text('Secretaria Acadêmica', marginLeft, doc.y, {
+        align: 'center',
+        width: contentWidth,
+      });
+  }
+
+  /**
+   * Adiciona o rodapé com assinatura eletrônica na parte inferior da página atual.
+   * Numera as páginas quando o documento tiver mais de uma.
+   *
+   * @param {PDFDocument} doc        - Instância do documento PDFKit
+   * @param {Object}      data       - Dados do documento (necessita signatureHash)
+   * @param {number}      pageNumber - Número da página atual
+   * @param {number}      pageCount  - Total de páginas
+   * @private
+   */
+  static _addFooter(doc, data, pageNumber = 1, pageCount = 1) {
+    const pageWidth = doc.page.width;
+    const marginLeft = 50;
+    const marginRight = 50;
+    const qrSize = 56;
+    // Texto do rodapé à esquerda do QR code
+    const contentWidth = pageWidth - marginLeft - marginRight - qrSize - 10;
+
+    // Posiciona o rodapé a partir da borda inferior da área de conteúdo,
+    // garantindo que todas as linhas caibam dentro dos limites da página.
+    const contentBottom = doc.page.height - doc.page.margins.bottom;
+    const footerY = contentBottom - 50;
+
+    doc
+      .moveTo(marginLeft, footerY)
+      .lineTo(pageWidth - marginRight, footerY)
+      .lineWidth(0.5)
+      .strokeColor('#cccccc')
+      .stroke();
+
+    const pageLabel = pageCount > 1 ? ` • Página ${pageNumber} de ${pageCount}` : '';
+
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor('#666666')
+      .text(
+        `Documento gerado eletronicamente pelo Sistema de Secretaria Online.${pageLabel}`,
+        marginLeft,
+        footerY + 8,
+        { align: 'center', width: contentWidth, lineBreak: false }
+      );
+
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(9)
+      .fillColor('#333333')
+      .text(`Assinatura Eletrônica: ${data.signatureHash}`, marginLeft, footerY + 20, {
+        align: 'center',
+        width: contentWidth,
+        lineBreak: false,
+      });
+
+    const verificationUrl = SignedDocumentService.getVerificationUrl(data.signatureHash);
+
+    doc
+      .font('Helvetica')
+      .fontSize(7)
+      .fillColor('#888888')
+      .text(`Verifique a autenticidade em: ${verificationUrl}`, marginLeft, footerY + 34, {
+        align: 'center',
+        width: contentWidth,
+        lineBreak: false,
+      });
+
+    this._addQRCode(doc, verificationUrl, pageWidth - marginRight - qrSize, footerY + 4, qrSize);
+  }
+
+  /**
+   * Desenha um QR code (módulos vetoriais) com o conteúdo informado.
+   *
+   * @param {PDFDocument} doc  - Instância do documento PDFKit
+   * @param {string}      text - Conteúdo do QR code (URL de verificação)
+   * @param {number}      x    - Posição horizontal do canto superior esquerdo
+   * @param {number}      y    - Posição vertical do canto superior esquerdo
+   * @param {number}      size - Largura/altura do QR code em pontos
+   * @private
+   */
+  static _addQRCode(doc, text, x, y, size) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const moduleSize = size / modules.size;
+
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) {
+          doc.rect(x + col * moduleSize, y + row * moduleSize, moduleSize, moduleSize);
+        }
+      }
+    }
+
+    doc.fillColor('#000000').fill();
+  }
+}
+
+module.exports = BrandedDocumentService;
@@ -0,0 +1,122 @@
+/**
+ * Arquivo: backend/src/services/certificadoConclusao.service.js
+ * Descrição: Serviço responsável pela geração do Certificado de Conclusão em PDF
+ *            com assinatura eletrônica (hash) para validação pública.
+ * Feature: feat-117 - Geradores de documentos por tipo de solicitação
+ * Criado em: 2026-10-19
+ */
+
+const { Enrollment } = require('../models');
+const BrandedDocumentService = require('./brandedDocument.service');
+const HistoricoEscolarService = require('./historicoEscolar.service');
+
+/**
+ * CertificadoConclusaoService
+ *
+ * Responsabilidades:
+ * - Verificar se o aluno possui matrícula concluída (status 'completed')
+ * - Calcular a carga horária integralizada a partir do histórico escolar
+ * - Gerar PDF do Certificado de Conclusão com PDFKit
+ * - Salvar PDF em diretório estruturado (uploads/certificados/)
+ */
+class CertificadoConclusaoService extends BrandedDocumentService {
+  static TITLE = 'Certificado de Conclusão';
+  static DOCUMENT_KIND = 'certificado_conclusao';
+  static FILE_PREFIX = 'certificado_conclusao';
+  static OUTPUT_SUBDIR = 'certificados';
+  static REQUIRED_FIELDS = ['requestId', 'studentName', 'courseName'];
+
+  /**
+   * Reúne os dados do certificado. Só é emitido para matrículas concluídas.
+   *
+   * @param {Object} request - Instância do model Request (já aprovada)
+   * @returns {Promise<Object|null>} Dados do certificado ou null se não puder ser emitido
+   */
+  static async collectData(request) {
+    const enrollment = await Enrollment.findOne({
+      where: { student_id: request.student_id, status: 'completed', deleted_at: null },
+      include: [{ association: 'course', attributes: ['id', 'name'] }],
+      order: [['updated_at', 'DESC']],
+    });
+
+    if (!enrollment) {
+      console.warn(
+        `[CertificadoConclusao] Certificado não gerado: aluno ${request.student_id} ` +
+          'não possui matrícula concluída.'
+      );
+      return null;
+    }
+
+    const historico = await HistoricoEscolarService.collectHistoricoData(request.student_id);
+
+    if (!historico) {
+      console.warn(
+        `[CertificadoConclusao] Certificado não gerado: aluno ${request.student_id} não encontrado.`
+      );
+      return null;
+    }
+
+    return {
+      studentName: historico.student.nome,
+      studentCpf: historico.student.cpf,
+      studentMatricula: historico.student.matricula,
+      courseName: enrollment.course ? enrollment.course.name : 'Curso não informado',
+      enrollmentDate: enrollment.enrollment_date,
+      completedAt: enrollment.updated_at,
+      workloadHours: historico.totals.completedWorkloadHours,
+    };
+  }
+
+  /**
+   * Adiciona o corpo do certificado ao documento PDF.
+   *
+   * @param {PDFDocument} doc  - Instância do documento PDFKit
+   * @param {Object}      data - Dados do certificado
+   * @private
+   */
+  static _addContent(doc, data) {
+    const marginLeft = 50;
+    const contentWidth = doc.page.width - 100;
+
+    this._addHeader(doc, 'CERTIFICADO DE CONCLUSÃO');
+
+    doc.moveDown(1);
+
+    const matriculaLabel = data.studentMatricula ? `, matrícula nº ${data.studentMatricula},` : ',';
+    const workloadLabel = data.workloadHours
+      ? `, com carga horária total integralizada de ${data.workloadHours} horas`
+      : '';
+    const periodLabel = data.enrollmentDate
+      ? `no período de ${new Date(data.enrollmentDate).toLocaleDateString('pt-BR')} ` +
+        `a ${new Date(data.completedAt).toLocaleDateString('pt-BR')}`
+      : `em ${new Date(data.completedAt).toLocaleDateString('pt-BR')}`;
+
+    const bodyText =
+      `Certificamos que ${data.studentName}, ` +
+      `portador(a) do CPF nº ${this._formatCPF(data.studentCpf)}${matriculaLabel} ` +
+      `concluiu o Curso de ${data.courseName}${workloadLabel}, ${periodLabel}, ` +
+      'tendo cumprido todas as exigências acadêmicas para a sua conclusão.';
+
+    doc.font('Helvetica').fontSize(13).fillColor('#000000').text(bodyText, marginLeft, doc.y, {
+      align: 'justify',
+      width: contentWidth,
+      lineGap: 6,
+    });
+
+    doc.moveDown(1.2);
+
+    doc
+      .font('Helvetica')
+      .fontSize(12)
+      .text('Por ser verdade, firmamos o presente certificado.', marginLeft, doc.y, {
+        align: 'justify',
+        width: contentWidth,
+      });
+
+    doc.moveDown(3);
+
+    this._addSignatureArea(doc);
+  }
+}
+
+module.exports = CertificadoConclusaoService;
@@ -0,0 +1,518 @@
+/**
+ * Arquivo: backend/src/services/classTransfer.service.js
+ * Descrição: Transferência de alunos entre turmas do mesmo curso, com histórico
+ * Feature: feat-127 - Transferência de turma com histórico
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Validar que a turma de destino é do mesmo curso da turma de origem
+ * - Mover o vínculo ClassStudent do aluno para a turma de destino
+ * - Mapear as notas do aluno para as avaliações equivalentes da turma de destino
+ *   ou mantê-las nas avaliações da turma de origem
+ * - Registrar cada transferência (class_transfers), inclusive as originadas pela
+ *   aprovação de uma solicitação "Transferência de Turma"
+ *
+ * Equivalência de avaliações (modo "map"), sempre na mesma disciplina:
+ * 1. Mesmo nome (sem diferenciar maiúsculas/minúsculas)
+ * 2. Mesma posição entre as avaliações do mesmo tipo (prova final, recuperação ou regular),
+ *    em ordem de data
+ * Notas sem avaliação equivalente, ou cuja avaliação de destino já tem nota do aluno,
+ * ficam na turma de origem e continuam aparecendo nos resultados do aluno
+ * (GradeService.getStudentResults considera as avaliações com nota).
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  ClassTransfer,
+  ClassStudent,
+  Class,
+  Course,
+  Student,
+  Evaluation,
+  Grade,
+  Discipline,
+  StudentDisciplineExemption,
+  User,
+} = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const { CLASS_TRANSFER_GRADE_MODE } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Categoria da avaliação usada na equivalência por posição
+ *
+ * @param {Evaluation} evaluation
+ * @returns {string}
+ */
+function getEvaluationKind(evaluation) {
+  if (evaluation.is_final_exam) return 'final_exam';
+  if (evaluation.is_recovery) return 'recovery';
+  return 'regular';
+}
+
+/**
+ * Normaliza o nome da avaliação para comparação
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+class ClassTransferService {
+  /**
+   * Pré-visualiza a transferência: nada é alterado
+   *
+   * @param {Object} data - { student_id, from_class_id, to_class_id, grade_mode }
+   * @returns {Promise<Object>} Turmas envolvidas e destino de cada nota
+   */
+  async preview(data) {
+    const context = await this._resolve(data);
+    const grades = await this._planGrades(context);
+
+    return {
+      dry_run: true,
+      student: this._serializeStudent(context.student),
+      from_class: this._serializeClass(context.fromClass),
+      to_class: this._serializeClass(context.toClass),
+      grade_mode: context.gradeMode,
+      grades,
+      summary: this._summarize(grades),
+    };
+  }
+
+  /**
+   * Transfere o aluno de turma e registra o histórico
+   *
+   * @param {Object} data - { student_id, from_class_id, to_class_id, grade_mode, reason }
+   *   (from_class_id é opcional quando o aluno está em uma única turma do curso de destino)
+   * @param {number} userId - Administrador que executou a transferência
+   * @param {Object} [options]
+   * @param {number} [options.requestId] - Solicitação de transferência que originou a operação
+   * @param {import('sequelize').Transaction} [options.transaction] - Transação de quem chamou
+   *   (ex: aprovação da solicitação); sem ela, a transferência usa uma transação própria
+   * @returns {Promise<Object>} Transferência registrada
+   * @throws {AppError} 404/409/422 conforme a validação
+   */
+  async transfer(data, userId = null, { requestId = null, transaction = null } = {}) {
+    const context = await this._resolve(data);
+    const grades = await this._planGrades(context);
+    const summary = this._summarize(grades);
+    const { student, fromClass, toClass } = context;
+
+    const run = async (transaction) => {
+      await ClassStudent.update(
+        { class_id: toClass.id },
+        { where: { class_id: fromClass.id, student_id: student.id }, transaction }
+      );
+
+      for (const item of grades) {
+        if (item.action === 'moved') {
+          await Grade.update(
+            { evaluation_id: item.to_evaluation.id },
+            { where: { id: item.grade_id }, transaction }
+          );
+        }
+      }
+
+      // Dispensas registradas para a turma de origem passam a valer na turma de destino
+      await StudentDisciplineExemption.update(
+        { class_id: toClass.id },
+        { where: { student_id: student.id, class_id: fromClass.id }, transaction }
+      );
+
+      return ClassTransfer.create(
+        {
+          student_id: student.id,
+          from_class_id: fromClass.id,
+          to_class_id: toClass.id,
+          request_id: requestId,
+          grade_mode: context.gradeMode,
+          grades_moved: summary.moved,
+          grades_kept: summary.kept,
+          grade_report: grades,
+          reason: data.reason ? String(data.reason).trim() || null : null,
+          transferred_by: userId,
+        },
+        { transaction }
+      );
+    };
+
+    const transfer = transaction ? await run(transaction) : await sequelize.transaction(run);
+
+    logger.info(
+      `[ClassTransferService] Aluno ${student.id} transferido da turma ${fromClass.id} para a turma ${toClass.id} (transferência ${transfer.id}${requestId ? `, solicitação ${requestId}` : ''}): ${summary.moved} nota(s) movida(s), ${summary.kept} mantida(s)`
+    );
+
+    return this.getById(transfer.id, { transaction });
+  }
+
+  /**
+   * Lista o histórico de transferências
+   *
+   * @param {Object} [filters] - { student_id, class_id } (class_id: origem ou destino)
+   * @returns {Promise<Object[]>}
+   */
+  async list(filters = {}) {
+    const where = {};
+    if (filters.student_id) where.student_id = parseInt(filters.student_id, 10);
+    if (filters.class_id) {
+      const classId = parseInt(filters.class_id, 10);
+      where[Op.or] = [{ from_class_id: classId }, { to_class_id: classId }];
+    }
+
+    const transfers = await ClassTransfer.findAll({
+      where,
+      attributes: { exclude: ['grade_report'] },
+      include: this._includes(),
+      order: [['created_at', 'DESC']],
+    });
+
+    return transfers.map((transfer) => this._serialize(transfer));
+  }
+
+  /**
+   * Busca uma transferência com o destino de cada nota
+   *
+   * @param {number} id - ID da transferência
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction] - Para ler uma transferência ainda não confirmada
+   * @returns {Promise<Object>}
+   * @throws {AppError} 404 se não existir
+   */
+  async getById(id, { transaction = null } = {}) {
+    const transfer = await ClassTransfer.findByPk(id, { include: this._includes(), transaction });
+
+    if (!transfer) {
+      throw new AppError('Transferência de turma não encontrada', 404, 'CLASS_TRANSFER_NOT_FOUND');
+    }
+
+    return { ...this._serialize(transfer), grade_report: transfer.grade_report };
+  }
+
+  /**
+   * Valida os dados e carrega aluno e turmas
+   *
+   * @private
+   * @param {Object} data - { student_id, from_class_id, to_class_id, grade_mode }
+   * @returns {Promise<Object>} { student, fromClass, toClass, gradeMode }
+   */
+  async _resolve(data = {}) {
+    const studentId = parseInt(data.student_id, 10);
+    const toClassId = parseInt(data.to_class_id, 10);
+    const gradeMode = data.grade_mode || CLASS_TRANSFER_GRADE_MODE.MAP;
+
+    if (!studentId || !toClassId) {
+      throw new AppError('Informe o aluno e a turma de destino', 400, 'VALIDATION_ERROR');
+    }
+    if (!Object.values(CLASS_TRANSFER_GRADE_MODE).includes(gradeMode)) {
+      throw new AppError('Tratamento de notas inválido', 400, 'VALIDATION_ERROR');
+    }
+
+    const student = await Student.findByPk(studentId, { attributes: ['id', 'nome', 'matricula'] });
+    if (!student) {
+      throw new AppError('Aluno não encontrado', 404, 'STUDENT_NOT_FOUND');
+    }
+
+    const toClass = await this._findClass(toClassId);
+    if (!toClass) {
+      throw new AppError('Turma de destino não encontrada', 404, 'CLASS_NOT_FOUND');
+    }
+
+    const fromClass = data.from_class_id
+      ? await this._findClass(parseInt(data.from_class_id, 10))
+      : await this._findCurrentClass(student.id, toClass);
+    if (!fromClass) {
+      throw new AppError('Turma de origem não encontrada', 404, 'CLASS_NOT_FOUND');
+    }
+
+    if (fromClass.id === toClass.id) {
+      throw new AppError(
+        'A turma de destino deve ser diferente da turma atual',
+        422,
+        'CLASS_TRANSFER_SAME_CLASS'
+      );
+    }
+    if (fromClass.course_id !== toClass.course_id) {
+      throw new AppError(
+        'A transferência só é permitida entre turmas do mesmo curso',
+        422,
+        'CLASS_TRANSFER_DIFFERENT_COURSE'
+      );
+    }
+
+    const links = await ClassStudent.findAll({
+      where: { student_id: student.id, class_id: [fromClass.id, toClass.id] },
+      attributes: ['class_id'],
+    });
+    if (!links.some((link) => link.class_id === fromClass.id)) {
+      throw new AppError(
+        'O aluno não está vinculado à turma de origem',
+        422,
+        'STUDENT_NOT_IN_CLASS'
+      );
+    }
+    if (links.some((link) => link.class_id === toClass.id)) {
+      throw new AppError(
+        'O aluno já está vinculado à turma de destino',
+        409,
+        'STUDENT_ALREADY_IN_CLASS'
+      );
+    }
+
+    return { student, fromClass, toClass, gradeMode };
+  }
+
+  /**
+   * Busca uma turma com o curso
+   *
+   * @private
+   * @param {number} id - ID da turma
+   * @returns {Promise<Class|null>}
+   */
+  async _findClass(id) {
+    if (!id) return null;
+    return Class.findByPk(id, {
+      attributes: ['id', 'course_id', 'semester', 'year'],
+      include: [{ model: Course, as: 'course', attributes: ['id', 'name'] }],
+    });
+  }
+
+  /**
+   * Turma atual do aluno no curso da turma de destino (quando a origem não é informada)
+   *
+   * @private
+   * @param {number} studentId - ID do aluno
+   * @param {Class} toClass - Turma de destino
+   * @returns {Promise<Class>}
+   * @throws {AppError} 422 se o aluno não tem turma no curso ou tem mais de uma
+   */
+  async _findCurrentClass(studentId, toClass) {
+    const links = await ClassStudent.findAll({
+      where: { student_id: studentId, class_id: { [Op.ne]: toClass.id } },
+      include: [
+        {
+          model: Class,
+          as: 'class',
+          where: { course_id: toClass.course_id },
+          attributes: ['id'],
+        },
+      ],
+      attributes: ['class_id'],
+    });
+
+    if (links.length === 0) {
+      throw new AppError(
+        'O aluno não está vinculado a nenhuma turma do curso da turma de destino',
+        422,
+        'STUDENT_NOT_IN_CLASS'
+      );
+    }
+    if (links.length > 1) {
+      throw new AppError(
+        'O aluno está em mais de uma turma do curso; informe a turma de origem',
+        422,
+        'CLASS_TRANSFER_SOURCE_REQUIRED'
+      );
+    }
+
+    return this._findClass(links[0].class_id);
+  }
+
+  /**
+   * Define o destino de cada nota do aluno nas avaliações da turma de origem
+   *
+   * @private
+   * @param {Object} context - { student, fromClass, toClass, gradeMode }
+   * @returns {Promise<Object[]>} Um item por nota: action "moved" ou "kept"
+   */
+  async _planGrades({ student, fromClass, toClass, gradeMode }) {
+    const evaluationInclude = [
+      { model: Discipline, as: 'discipline', attributes: ['id', 'name', 'code'] },
+    ];
+    const evaluationOrder = [
+      ['date', 'ASC'],
+      ['id', 'ASC'],
+    ];
+
+    const [fromEvaluations, toEvaluations] = await Promise.all([
+      Evaluation.findAll({
+        where: { class_id: fromClass.id },
+        include: evaluationInclude,
+        order: evaluationOrder,
+      }),
+      Evaluation.findAll({
+        where: { class_id: toClass.id },
+        include: evaluationInclude,
+        order: evaluationOrder,
+      }),
+    ]);
+
+    const grades = await Grade.findAll({
+      where: { student_id: student.id, evaluation_id: fromEvaluations.map((e) => e.id) },
+    });
+    if (grades.length === 0) return [];
+
+    // Avaliações de destino onde o aluno já tem nota (inclusive excluídas: índice único)
+    const occupied = new Set(
+      (
+        await Grade.findAll({
+          where: { student_id: student.id, evaluation_id: toEvaluations.map((e) => e.id) },
+          attributes: ['evaluation_id'],
+          paranoid: false,
+        })
+      ).map((grade) => grade.evaluation_id)
+    );
+
+    const gradesByEvaluation = new Map(grades.map((grade) => [grade.evaluation_id, grade]));
+    const claimed = new Set();
+    const items = [];
+
+    fromEvaluations.forEach((evaluation) => {
+      const grade = gradesByEvaluation.get(evaluation.id);
+      if (!grade) return;
+
+      const item = {
+        grade_id: grade.id,
+        discipline: evaluation.discipline
+          ? { id: evaluation.discipline.id, name: evaluation.discipline.name }
+          : null,
+        value: grade.grade !== null ? Number(grade.grade) : grade.concept,
+        from_evaluation: { id: evaluation.id, name: evaluation.name },
+        to_evaluation: null,
+        action: 'kept',
+        note: null,
+      };
+
+      if (gradeMode === CLASS_TRANSFER_GRADE_MODE.KEEP) {
+        item.note = 'Nota mantida na turma de origem';
+        items.push(item);
+        return;
+      }
+
+      const target = this._findEquivalent(evaluation, fromEvaluations, toEvaluations, claimed);
+      if (!target) {
+        item.note = 'Sem avaliação equivalente na turma de destino';
+      } else if (target.type !== evaluation.type) {
+        item.note = `Avaliação equivalente "${target.name}" usa outro tipo de nota`;
+      } else if (occupied.has(target.id)) {
+        item.note = `O aluno já tem nota em "${target.name}" na turma de destino`;
+      } else {
+        claimed.add(target.id);
+        item.to_evaluation = { id: target.id, name: target.name };
+        item.action = 'moved';
+      }
+
+      items.push(item);
+    });
+
+    return items;
+  }
+
+  /**
+   * Encontra a avaliação equivalente na turma de destino
+   *
+   * @private
+   * @param {Evaluation} evaluation - Avaliação da turma de origem
+   * @param {Evaluation[]} fromEvaluations - Avaliações da turma de origem (ordem de data)
+   * @param {Evaluation[]} toEvaluations - Avaliações da turma de destino (ordem de data)
+   * @param {Set<number>} claimed - Avaliações de destino já usadas por outra nota
+   * @returns {Evaluation|null}
+   */
+  _findEquivalent(evaluation, fromEvaluations, toEvaluations, claimed) {
+    const candidates = toEvaluations.filter(
+      (e) => e.discipline_id === evaluation.discipline_id && !claimed.has(e.id)
+    );
+
+    const byName = candidates.find((e) => normalizeName(e.name) === normalizeName(evaluation.name));
+    if (byName) return byName;
+
+    const kind = getEvaluationKind(evaluation);
+    const sameKind = (e) =>
+      e.discipline_id === evaluation.discipline_id && getEvaluationKind(e) === kind;
+
+    const position = fromEvaluations.filter(sameKind).findIndex((e) => e.id === evaluation.id);
+    const target = toEvaluations.filter(sameKind)[position];
+
+    return target && !claimed.has(target.id) ? target : null;
+  }
+
+  /**
+   * Quantidade de notas movidas e mantidas
+   *
+   * @private
+   * @param {Object[]} grades - Itens de _planGrades
+   * @returns {Object} { total, moved, kept }
+   */
+  _summarize(grades) {
+    const moved = grades.filter((item) => item.action === 'moved').length;
+    return { total: grades.length, moved, kept: grades.length - moved };
+  }
+
+  /**
+   * Associações usadas na listagem e no detalhe
+   *
+   * @private
+   * @returns {Object[]}
+   */
+  _includes() {
+    const classInclude = (as) => ({
+      model: Class,
+      as,
+      attributes: ['id', 'course_id', 'semester', 'year'],
+      include: [{ model: Course, as: 'course', attributes: ['id', 'name'] }],
+    });
+
+    return [
+      { model: Student, as: 'student', attributes: ['id', 'nome', 'matricula'] },
+      classInclude('fromClass'),
+      classInclude('toClass'),
+      { model: User, as: 'transferrer', attributes: ['id', 'name'] },
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _serializeStudent(student) {
+    return student ? { id: student.id, name: student.nome, matricula: student.matricula } : null;
+  }
+
+  /**
+   * @private
+   */
+  _serializeClass(cls) {
+    if (!cls) return null;
+    return {
+      id: cls.id,
+      semester: cls.semester,
+      year: cls.year,
+      course: cls.course ? { id: cls.course.id, name: cls.course.name } : null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _serialize(transfer) {
+    return {
+      id: transfer.id,
+      student: this._serializeStudent(transfer.student),
+      from_class: this._serializeClass(transfer.fromClass),
+      to_class: this._serializeClass(transfer.toClass),
+      request_id: transfer.request_id,
+      grade_mode: transfer.grade_mode,
+      grades_moved: transfer.grades_moved,
+      grades_kept: transfer.grades_kept,
+      reason: transfer.reason,
+      transferred_by: transfer.transferrer
+        ? { id: transfer.transferrer.id, name: transfer.transferrer.name }
+        : null,
+      created_at: transfer.created_at,
+    };
+  }
+}
+
+module.exports = new ClassTransferService();
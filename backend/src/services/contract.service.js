@@ -2,6 +2,12 @@
  * Arquivo: backend/src/services/contract.service.js
  * Descrição: Lógica de negócio para geração e gestão de contratos
  * Feature: feat-048 - Criar ContractService com lógica de negócio
+ * Modificado: feat-122 - Contratos gerados com a versão vigente (publicada) do template
+ * Modificado: feat-123 - Dados do aluno montados pelo ContractTemplateService e template renderizado
+ *             pela linguagem de templates (condicionais, listas e formatação)
+ * Modificado: feat-124 - Renovação semestral dos contratos de professores e bloqueio do lançamento
+ *             de notas enquanto o contrato do período não for aceito
+ * Modificado: feat-136 - Aviso ao aluno/professor quando um contrato é gerado para aceite
  * Criado em: 2025-11-01
  *
  * RESPONSABILIDADES:
@@ -10,6 +16,7 @@
  * - Gerar PDFs de contratos usando PDFService
  * - Registrar contratos gerados no banco de dados
  * - Registrar aceite de contratos (com data/hora)
+ * - Registrar contratos aceitos no registro de documentos assinados (verificação pública)
  * - Validar regras de negócio para geração e aceite
  * - Buscar contratos por usuário, período e status
  *
@@ -19,6 +26,8 @@
  * 3. Aluno não pode aceitar contrato duas vezes
  * 4. Professor e aluno devem existir no banco antes de gerar contrato
  * 5. Aluno pode ter múltiplos contratos (um por semestre da duração do curso)
+ * 6. Professores vinculados a turmas recebem um contrato pendente no início de cada período letivo
+ * 7. Professor com contrato pendente no período vigente não pode lançar notas
  *
  * @example
  * // Gerar contrato para aluno
@@ -37,12 +46,25 @@
 
 'use strict';
 
-const { Contract, ContractTemplate, User, Course, Enrollment } = require('../models');
+const {
+  Contract,
+  ContractTemplate,
+  ClassTeacher,
+  User,
+  Course,
+  Enrollment,
+  sequelize,
+} = require('../models');
 const { AppError } = require('../middlewares/error.middleware');
 const PDFService = require('./pdf.service');
+const SignedDocumentService = require('./signedDocument.service');
+const ContractTemplateService = require('./contractTemplate.service');
+const NotificationService = require('./notification.service');
 const logger = require('../utils/logger');
 const path = require('path');
 const { CONTRACTS_PATH } = require('../config/pdf');
+const { getCurrentPeriod } = require('../config/academicPeriods');
+const { NOTIFICATION_EVENTS } = require('../utils/constants');
 
 class ContractService {
   /**
@@ -53,16 +75,17 @@ class ContractService {
    * 2. Busca template disponível (padrão ou especificado)
    * 3. Se aluno: busca matrícula ativa para obter dados do curso
    * 4. Se professor: coleta dados do professor
-   * 5. Substitui placeholders do template com dados reais
+   * 5. Renderiza o template com dados reais (condicionais, listas e formatação)
    * 6. Gera PDF usando PDFService
    * 7. Salva registro do contrato no banco de dados
-   * 8. Retorna contrato criado
+   * 8. Avisa o usuário por email que o contrato aguarda aceite
+   * 9. Retorna contrato criado
    *
    * @param {number} userId - ID do usuário (aluno ou professor)
    * @param {string} userType - Tipo de usuário: 'student' ou 'teacher'
    * @param {Object} options - Opções adicionais
-   * @param {number} [options.semester] - Semestre (padrão: atual)
-   * @param {number} [options.year] - Ano (padrão: atual)
+   * @param {number} [options.semester] - Semestre (padrão: período letivo vigente)
+   * @param {number} [options.year] - Ano (padrão: período letivo vigente)
    * @param {number} [options.templateId] - ID do template (padrão: primeiro disponível)
    * @param {string} [options.outputDir='uploads/contracts'] - Diretório de saída
    *
@@ -102,30 +125,27 @@ class ContractService {
         throw new AppError(`Usuário não é um ${userType}`, 400);
       }
 
-      // 2. Determinar semestre e ano (valores padrão = atual)
-      const now = new Date();
-      const currentYear = now.getFullYear();
-      const currentSemester = now.getMonth() < 6 ? 1 : 2;
+      // 2. Determinar semestre e ano (valores padrão = período letivo vigente)
+      const currentPeriod = getCurrentPeriod();
 
-      const semester = options.semester || currentSemester;
-      const year = options.year || currentYear;
+      const semester = options.semester || currentPeriod.semester;
+      const year = options.year || currentPeriod.year;
 
-      // 3. Buscar template (padrão = primeiro disponível)
+      // 3. Buscar template (padrão = versão vigente; rascunhos não podem ser usados)
       let template = null;
       if (options.templateId) {
         template = await ContractTemplate.findActiveById(options.templateId);
-        if (!template) {
+        if (!template || !template.isPublished()) {
           logger.warn(`${logContext} Template especificado não encontrado - ID: ${options.templateId}`);
           throw new AppError('Template de contrato não encontrado', 404);
         }
       } else {
-        // Buscar primeiro template disponível
-        const templates = await ContractTemplate.findAvailable();
-        if (templates.length === 0) {
+        // Buscar versão vigente do template
+        template = await ContractTemplate.findCurrent();
+        if (!template) {
           logger.warn(`${logContext} Nenhum template disponível`);
           throw new AppError('Nenhum template de contrato disponível. Configure um template antes.', 422);
         }
-        template = templates[0];
       }
 
       // 4. Coletar dados para substituição de placeholders
@@ -138,20 +158,24 @@ class ContractService {
         currentDate: new Date().toLocaleDateString('pt-BR'),
       };
 
-      // Se for aluno, buscar dados da matrícula e curso
+      // Se for aluno, buscar dados da matrícula, do curso e da grade curricular
       if (userType === 'student' || user.role === 'student') {
-        const enrollment = await Enrollment.findOne({
-          where: { student_id: userId, status: ['pending', 'active'] },
-          include: {
-            association: 'course',
-            attributes: ['id', 'name', 'duration_semesters'],
-          },
-        });
+        const enrollment = user.student_id
+          ? await Enrollment.findOne({
+              where: { student_id: user.student_id, status: ['pending', 'active'] },
+              include: [{ association: 'student' }, { association: 'course' }],
+            })
+          : null;
 
         if (enrollment && enrollment.course) {
-          contractData.courseId = enrollment.course.id;
-          contractData.courseName = enrollment.course.name;
-          contractData.duration = `${enrollment.course.duration_semesters} semestres`;
+          const studentData = await ContractTemplateService.getStudentContractData({
+            enrollment,
+            semester,
+            year,
+            contractId: null,
+          });
+          // studentId continua sendo o usuário (nome do arquivo do PDF)
+          contractData = { ...studentData, studentId: userId };
         } else {
           // Se não houver matrícula, usar dados básicos
           contractData.courseId = 0;
@@ -165,13 +189,10 @@ class ContractService {
         contractData.duration = '1 semestre';
       }
 
-      // 5. Substituir placeholders no template
-      const processedContent = template.replacePlaceholders(contractData);
-
-      // 6. Gerar PDF
+      // 5/6. Gerar PDF (o PDFService renderiza o template com os dados)
       logger.debug(`${logContext} Gerando PDF...`);
       const outputDir = options.outputDir || CONTRACTS_PATH;
-      const pdfResult = await PDFService.generateContractPDF(contractData, processedContent, outputDir);
+      const pdfResult = await PDFService.generateContractPDF(contractData, template.content, outputDir);
 
       // 7. Salvar contrato no banco de dados
       logger.debug(`${logContext} Salvando contrato no banco de dados`);
@@ -187,6 +208,10 @@ class ContractService {
 
       logger.info(`${logContext} Contrato gerado com sucesso - Contract ID: ${contract.id}`);
 
+      NotificationService.publish(NOTIFICATION_EVENTS.CONTRACT_PENDING, {
+        contractId: contract.id,
+      });
+
       return {
         id: contract.id,
         user_id: contract.user_id,
@@ -216,7 +241,8 @@ class ContractService {
    * 3. Valida que contrato ainda não foi aceito
    * 4. Valida que o usuário que está aceitando é o proprietário do contrato
    * 5. Registra data/hora do aceite
-   * 6. Salva contrato atualizado no banco
+   * 6. Salva contrato atualizado e o registra no registro de documentos assinados
+   *    (na mesma transação), gerando o hash de verificação pública
    * 7. Retorna contrato aceito
    *
    * @param {number} contractId - ID do contrato
@@ -227,6 +253,7 @@ class ContractService {
    * @returns {number} .user_id - ID do usuário
    * @returns {Date} .accepted_at - Data e hora do aceite
    * @returns {string} .status - Status do contrato ('accepted')
+   * @returns {string} .signature_hash - Hash de verificação pública do contrato aceito
    *
    * @throws {AppError} Se contrato não existe, já foi aceito ou usuário não é o proprietário
    *
@@ -261,9 +288,31 @@ class ContractService {
         throw new AppError('Você não tem permissão para aceitar este contrato', 403);
       }
 
-      // 4. Registrar data/hora do aceite
-      contract.accepted_at = new Date();
-      await contract.save();
+      // 4. Registrar data/hora do aceite e o documento assinado
+      const owner = await User.findByPk(contract.user_id, {
+        attributes: ['id', 'role', 'student_id'],
+      });
+      const signatureHash = await SignedDocumentService.generateUniqueHash();
+
+      await sequelize.transaction(async (transaction) => {
+        contract.accepted_at = new Date();
+        await contract.save({ transaction });
+
+        await SignedDocumentService.register(
+          {
+            documentKind: 'contrato',
+            title:
+              owner && owner.role === 'teacher' ? 'Contrato de Docência' : 'Contrato de Matrícula',
+            signatureHash,
+            studentId: owner ? owner.student_id : null,
+            userId: contract.user_id,
+            contractId: contract.id,
+            filePath: contract.file_path,
+            issuedAt: contract.accepted_at,
+          },
+          { transaction }
+        );
+      });
 
       logger.info(
         `${logContext} Contrato aceito com sucesso - Aceito em: ${contract.accepted_at.toISOString()}`
@@ -279,6 +328,7 @@ class ContractService {
         year: contract.year,
         accepted_at: contract.accepted_at,
         status: 'accepted',
+        signature_hash: signatureHash,
         created_at: contract.created_at,
       };
     } catch (error) {
@@ -734,6 +784,132 @@ class ContractService {
     }
   }
 
+  /**
+   * Gera os contratos de renovação semestral dos professores
+   *
+   * Professores com conta de usuário e vinculados a ao menos uma turma ativa (ClassTeacher)
+   * recebem um contrato pendente para o período. Quem já possui contrato no período é ignorado,
+   * então a operação pode ser repetida sem gerar duplicidades. A falha na geração de um
+   * contrato não interrompe os demais.
+   *
+   * @param {Object} [period] - Período letivo (padrão: período vigente)
+   * @param {number} period.year - Ano
+   * @param {number} period.semester - Semestre
+   * @returns {Promise<Object>} Resumo da renovação
+   * @returns {Array<{userId: number, contractId: number}>} .generated - Contratos gerados
+   * @returns {number} .skipped - Professores que já possuíam contrato no período
+   * @returns {Array<{userId: number, error: string}>} .failed - Professores com falha na geração
+   *
+   * @throws {AppError} Se não houver template de contrato vigente
+   *
+   * @example
+   * const result = await ContractService.generateTeacherRenewals({ year: 2027, semester: 1 });
+   */
+  async generateTeacherRenewals(period = getCurrentPeriod()) {
+    const { year, semester } = period;
+    const logContext = `[ContractService.generateTeacherRenewals] Período: ${year}/${semester}`;
+    logger.info(`${logContext} Iniciando renovação dos contratos de professores`);
+
+    const template = await ContractTemplate.findCurrent();
+    if (!template) {
+      logger.warn(`${logContext} Nenhum template disponível`);
+      throw new AppError(
+        'Nenhum template de contrato disponível. Configure um template antes.',
+        422,
+        'CONTRACT_TEMPLATE_NOT_FOUND'
+      );
+    }
+
+    // Professores vinculados a turmas ativas (turmas/professores excluídos são ignorados)
+    const links = await ClassTeacher.findAll({
+      attributes: ['teacher_id'],
+      include: [
+        { association: 'class', attributes: [], required: true },
+        { association: 'teacher', attributes: [], required: true },
+      ],
+    });
+    const teacherIds = [...new Set(links.map((link) => link.teacher_id))];
+
+    const result = { year, semester, generated: [], skipped: 0, failed: [] };
+    if (teacherIds.length === 0) {
+      logger.info(`${logContext} Nenhum professor vinculado a turmas`);
+      return result;
+    }
+
+    const users = await User.scope('teachers').findAll({
+      where: { teacher_id: teacherIds },
+      attributes: ['id', 'name', 'role', 'teacher_id'],
+    });
+
+    const existing = await Contract.findAll({
+      where: { user_id: users.map((user) => user.id), semester, year },
+      attributes: ['user_id'],
+    });
+    const withContract = new Set(existing.map((contract) => contract.user_id));
+
+    for (const user of users) {
+      if (withContract.has(user.id)) {
+        result.skipped += 1;
+        continue;
+      }
+
+      try {
+        const contract = await this.generateContract(user.id, 'teacher', {
+          semester,
+          year,
+          templateId: template.id,
+        });
+        result.generated.push({ userId: user.id, contractId: contract.id });
+      } catch (error) {
+        logger.error(
+          `${logContext} Falha ao gerar contrato do usuário ${user.id}: ${error.message}`
+        );
+        result.failed.push({ userId: user.id, error: error.message });
+      }
+    }
+
+    logger.info(
+      `${logContext} ${result.generated.length} contrato(s) gerado(s), ${result.skipped} já existente(s), ${result.failed.length} falha(s)`
+    );
+
+    return result;
+  }
+
+  /**
+   * Garante que o professor aceitou o contrato do período letivo vigente
+   *
+   * Usado antes do lançamento de notas: enquanto houver contrato de docência pendente
+   * no período vigente, o professor não pode lançar, editar ou excluir notas.
+   *
+   * @param {number} userId - ID do usuário (professor)
+   * @returns {Promise<void>}
+   *
+   * @throws {AppError} 403 TEACHER_CONTRACT_PENDING se houver contrato pendente no período
+   *
+   * @example
+   * await ContractService.assertTeacherContractAccepted(req.user.id);
+   */
+  async assertTeacherContractAccepted(userId) {
+    const { year, semester } = getCurrentPeriod();
+
+    const pending = await Contract.findOne({
+      where: { user_id: userId, semester, year, accepted_at: null },
+      attributes: ['id'],
+    });
+
+    if (pending) {
+      logger.warn(
+        `[ContractService.assertTeacherContractAccepted] User: ${userId} - Contrato ${pending.id} de ${year}/${semester} pendente`
+      );
+      throw new AppError(
+        `Aceite o seu contrato de docência do ${semester}º semestre de ${year} em "Meus Contratos" para lançar notas.`,
+        403,
+        'TEACHER_CONTRACT_PENDING',
+        { contractId: pending.id, semester, year }
+      );
+    }
+  }
+
   /**
    * Deleta um contrato (soft delete)
    *
@@ -0,0 +1,344 @@
+/**
+ * Arquivo: backend/src/services/contractTemplate.service.js
+ * Descrição: Gestão e versionamento dos templates de contrato
+ * Feature: feat-122 - Gestão e versionamento dos templates de contrato
+ * Modificado: feat-123 - Linguagem de templates e dados do contrato com a grade curricular
+ * Modificado: feat-130 - Grade do contrato pela matriz curricular da matrícula
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Criar rascunhos (do zero ou a partir de uma versão existente) e editá-los
+ * - Ativar uma versão: publica o rascunho (que passa a ser imutável) e desativa as demais
+ * - Pré-visualizar versões ou conteúdo em edição com dados de exemplo do aluno
+ * - Expor o catálogo de placeholders e os recursos da linguagem dos templates
+ * - Montar os dados do contrato de um aluno (usados pela rematrícula e pelo ContractService)
+ *
+ * Versões publicadas nunca são alteradas ou excluídas, para que Contract.template_id
+ * continue apontando para o texto exato aceito pelo aluno.
+ */
+
+const { sequelize, ContractTemplate, Contract } = require('../models');
+const { Op } = require('sequelize');
+const { AppError } = require('../middlewares/error.middleware');
+const {
+  CONTRACT_PLACEHOLDERS,
+  getSampleData,
+  buildStudentContractData,
+} = require('../utils/contractPlaceholders');
+const {
+  CONTRACT_TEMPLATE_HELPERS,
+  analyzeContractTemplate,
+  extractPlaceholders,
+  renderContractTemplate,
+} = require('../utils/contractTemplateEngine');
+const logger = require('../utils/logger');
+const curriculumVersionService = require('./curriculumVersion.service');
+
+/**
+ * Campos que podem ser informados na criação/edição de um rascunho
+ */
+const EDITABLE_FIELDS = ['name', 'content', 'change_notes'];
+
+class ContractTemplateService {
+  /**
+   * Formata a versão para a API
+   *
+   * @param {ContractTemplate} template
+   * @param {Object} [options]
+   * @param {number} [options.contractsCount=0] - Contratos gerados com a versão
+   * @param {boolean} [options.includeContent=false] - Incluir o HTML do template
+   * @returns {Object}
+   */
+  serialize(template, { contractsCount = 0, includeContent = false } = {}) {
+    return {
+      id: template.id,
+      name: template.name,
+      version: template.version,
+      previousVersionId: template.previous_version_id,
+      isActive: template.is_active,
+      isPublished: template.isPublished(),
+      publishedAt: template.published_at,
+      changeNotes: template.change_notes,
+      placeholders: extractPlaceholders(template.content),
+      creator: template.creator ? { id: template.creator.id, name: template.creator.name } : null,
+      contractsCount,
+      ...(includeContent ? { content: template.content } : {}),
+      createdAt: template.created_at,
+      updatedAt: template.updated_at,
+    };
+  }
+
+  /**
+   * Lista o histórico de versões (mais recente primeiro) com a quantidade de contratos
+   *
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const templates = await ContractTemplate.scope('latestFirst').findAll({
+      include: [{ association: 'creator', attributes: ['id', 'name'] }],
+    });
+
+    const counts = await this._countContracts(templates.map((template) => template.id));
+    return templates.map((template) =>
+      this.serialize(template, { contractsCount: counts[template.id] || 0 })
+    );
+  }
+
+  /**
+   * Detalhes de uma versão, com o conteúdo
+   *
+   * @param {number} id
+   * @returns {Promise<Object>}
+   */
+  async getById(id) {
+    const template = await this._findOrFail(id);
+    const counts = await this._countContracts([template.id]);
+    return this.serialize(template, {
+      contractsCount: counts[template.id] || 0,
+      includeContent: true,
+    });
+  }
+
+  /**
+   * Cria um rascunho
+   *
+   * Com based_on_id, o rascunho é copiado da versão informada (nome e conteúdo
+   * podem ser sobrescritos).
+   *
+   * @param {Object} data - name, content, change_notes e based_on_id
+   * @param {number} userId - Administrador
+   * @returns {Promise<Object>} Rascunho criado
+   */
+  async create(data, userId) {
+    const fields = this._pickFields(data);
+    let previousVersionId = null;
+
+    if (data.based_on_id) {
+      const baseTemplate = await this._findOrFail(parseInt(data.based_on_id, 10));
+      previousVersionId = baseTemplate.id;
+      fields.name = fields.name ?? baseTemplate.name;
+      fields.content = fields.content ?? baseTemplate.content;
+    }
+
+    const template = await ContractTemplate.create({
+      ...fields,
+      version: await ContractTemplate.getNextVersion(),
+      previous_version_id: previousVersionId,
+      is_active: false,
+      published_at: null,
+      created_by: userId,
+    });
+
+    logger.info(
+      `[ContractTemplateService] Rascunho criado: ${template.name} v${template.version} (ID: ${template.id})`
+    );
+    return this.getById(template.id);
+  }
+
+  /**
+   * Atualiza um rascunho
+   *
+   * @param {number} id
+   * @param {Object} data - name, content e change_notes
+   * @returns {Promise<Object>} Rascunho atualizado
+   * @throws {AppError} 409 se a versão já foi publicada
+   */
+  async update(id, data) {
+    const template = await this._findOrFail(id);
+    this._assertDraft(template);
+
+    await template.update(this._pickFields(data));
+
+    logger.info(`[ContractTemplateService] Rascunho ${id} atualizado`);
+    return this.getById(template.id);
+  }
+
+  /**
+   * Ativa uma versão: publica o rascunho (se for o caso) e desativa as demais,
+   * passando a ser usada nos novos contratos
+   *
+   * @param {number} id
+   * @returns {Promise<Object>} Versão ativada
+   */
+  async activate(id) {
+    const template = await this._findOrFail(id);
+
+    await sequelize.transaction(async (transaction) => {
+      await ContractTemplate.update(
+        { is_active: false },
+        { where: { id: { [Op.ne]: template.id }, is_active: true }, transaction }
+      );
+
+      template.is_active = true;
+      if (!template.published_at) {
+        template.published_at = new Date();
+      }
+      await template.save({ transaction });
+    });
+
+    logger.info(
+      `[ContractTemplateService] Versão ${template.version} ativada: ${template.name} (ID: ${template.id})`
+    );
+    return this.getById(template.id);
+  }
+
+  /**
+   * Exclui um rascunho (versões publicadas fazem parte do histórico)
+   *
+   * @param {number} id
+   * @returns {Promise<void>}
+   * @throws {AppError} 409 se a versão já foi publicada
+   */
+  async remove(id) {
+    const template = await this._findOrFail(id);
+    this._assertDraft(template);
+
+    await template.destroy();
+    logger.info(`[ContractTemplateService] Rascunho ${id} excluído`);
+  }
+
+  /**
+   * Pré-visualiza uma versão com dados de exemplo do aluno
+   *
+   * @param {number} id
+   * @returns {Promise<{html: string, unknownPlaceholders: string[]}>}
+   */
+  async preview(id) {
+    const template = await this._findOrFail(id);
+    return this.previewContent(template.content);
+  }
+
+  /**
+   * Pré-visualiza um conteúdo em edição (sem salvar) com dados de exemplo do aluno
+   *
+   * Erros de sintaxe são retornados em errors (sem HTML) para serem exibidos no editor.
+   *
+   * @param {string} content - HTML do template
+   * @returns {{html: string, unknownPlaceholders: string[], errors: string[]}}
+   * @throws {AppError} 400 se o conteúdo não for informado
+   */
+  previewContent(content) {
+    if (!content || typeof content !== 'string') {
+      throw new AppError('Informe o conteúdo do template', 400, 'VALIDATION_ERROR');
+    }
+
+    const { unknownPlaceholders, errors } = analyzeContractTemplate(content);
+    if (errors.length > 0) {
+      return { html: '', unknownPlaceholders, errors };
+    }
+
+    return {
+      html: renderContractTemplate(content, getSampleData()),
+      unknownPlaceholders,
+      errors,
+    };
+  }
+
+  /**
+   * Catálogo de placeholders e recursos da linguagem aceitos nos templates
+   *
+   * @returns {{placeholders: Object[], helpers: Object[]}}
+   */
+  listPlaceholders() {
+    return { placeholders: CONTRACT_PLACEHOLDERS, helpers: CONTRACT_TEMPLATE_HELPERS };
+  }
+
+  /**
+   * Monta os dados do contrato de um aluno, incluindo a grade curricular da matrícula
+   * (matriz curricular do aluno ou, sem matriz, a grade atual do curso)
+   *
+   * @param {Object} params
+   * @param {Enrollment} params.enrollment - Matrícula com student e course carregados
+   * @param {number} params.semester - Semestre do contrato
+   * @param {number} params.year - Ano do contrato
+   * @param {number|string} params.contractId - Número do contrato (ou texto antes do aceite)
+   * @returns {Promise<Object>} Dados com as chaves do catálogo
+   */
+  async getStudentContractData({ enrollment, semester, year, contractId }) {
+    const { disciplines: courseDisciplines } =
+      await curriculumVersionService.getEnrollmentCurriculum(enrollment);
+
+    return buildStudentContractData({
+      student: enrollment.student || {},
+      course: enrollment.course || {},
+      enrollment,
+      semester,
+      year,
+      contractId,
+      courseDisciplines,
+    });
+  }
+
+  /**
+   * Busca a versão ou lança 404
+   *
+   * @private
+   * @param {number} id
+   * @returns {Promise<ContractTemplate>}
+   */
+  async _findOrFail(id) {
+    const template = await ContractTemplate.findByPk(id, {
+      include: [{ association: 'creator', attributes: ['id', 'name'] }],
+    });
+    if (!template) {
+      throw new AppError('Template de contrato não encontrado', 404, 'CONTRACT_TEMPLATE_NOT_FOUND');
+    }
+    return template;
+  }
+
+  /**
+   * Garante que a versão ainda é um rascunho
+   *
+   * @private
+   * @param {ContractTemplate} template
+   * @throws {AppError} 409 se a versão já foi publicada
+   */
+  _assertDraft(template) {
+    if (template.isPublished()) {
+      throw new AppError(
+        'Versões publicadas não podem ser alteradas ou excluídas. Crie uma nova versão a partir desta.',
+        409,
+        'CONTRACT_TEMPLATE_PUBLISHED'
+      );
+    }
+  }
+
+  /**
+   * Quantidade de contratos por versão
+   *
+   * @private
+   * @param {number[]} templateIds
+   * @returns {Promise<Object>} { templateId: quantidade }
+   */
+  async _countContracts(templateIds) {
+    if (templateIds.length === 0) return {};
+
+    const rows = await Contract.count({
+      where: { template_id: templateIds },
+      group: ['template_id'],
+    });
+
+    return rows.reduce((counts, row) => {
+      counts[row.template_id] = row.count;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Mantém apenas os campos editáveis informados
+   *
+   * @private
+   * @param {Object} data
+   * @returns {Object}
+   */
+  _pickFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      return fields;
+    }, {});
+  }
+}
+
+module.exports = new ContractTemplateService();
@@ -3,9 +3,13 @@
  * Descrição: Lógica de negócio para o CRUD de Cursos
  * Feature: feat-033
  * Criado em: 28/10/2025
+ * Modificado: feat-129 - Requisitos da disciplina removidos junto com ela da grade
  */
 
 const { Course, Discipline, CourseDiscipline, Enrollment, Student } = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const { GRADING_FORMULAS } = require('../utils/constants');
+const disciplineRequisiteService = require('./disciplineRequisite.service');
 
 class CourseService {
   /**
@@ -113,9 +117,12 @@ class CourseService {
    * @param {number} courseId - O ID do curso.
    * @param {number} disciplineId - O ID da disciplina.
    * @param {number} semester - O semestre em que a disciplina é ofertada.
+   * @param {object} [grading] - Fórmula de média específica da disciplina (opcional).
+   * @param {string|null} [grading.grading_formula] - Fórmula (null = usa a do curso).
+   * @param {number|null} [grading.grading_best_of] - Quantidade de notas da fórmula best_of.
    * @returns {Promise<CourseDiscipline>} A associação criada.
    */
-  async addDisciplineToCourse(courseId, disciplineId, semester) {
+  async addDisciplineToCourse(courseId, disciplineId, semester, grading = {}) {
     const course = await Course.findByPk(courseId);
     if (!course) {
       throw new Error('Curso não encontrado');
@@ -130,11 +137,61 @@ class CourseService {
       course_id: courseId,
       discipline_id: disciplineId,
       semester,
+      ...this._normalizeGradingFormula(grading),
     });
   }
 
   /**
-   * Remove uma disciplina de um curso.
+   * Atualiza a fórmula de média específica de uma disciplina no curso.
+   * @param {number} courseId - O ID do curso.
+   * @param {number} disciplineId - O ID da disciplina.
+   * @param {object} grading - { grading_formula, grading_best_of } (fórmula null = usa a do curso).
+   * @returns {Promise<CourseDiscipline|null>} A associação atualizada ou null se não existir.
+   */
+  async updateCourseDiscipline(courseId, disciplineId, grading) {
+    const association = await CourseDiscipline.findOne({
+      where: { course_id: courseId, discipline_id: disciplineId },
+    });
+    if (!association) {
+      return null;
+    }
+
+    await association.update(this._normalizeGradingFormula(grading));
+    return association;
+  }
+
+  /**
+   * Valida e normaliza a fórmula de média de uma disciplina do curso.
+   * @param {object} grading - { grading_formula, grading_best_of }
+   * @returns {object} Campos prontos para persistência.
+   * @private
+   */
+  _normalizeGradingFormula({ grading_formula = null, grading_best_of = null } = {}) {
+    if (!grading_formula) {
+      return { grading_formula: null, grading_best_of: null };
+    }
+
+    if (!Object.values(GRADING_FORMULAS).includes(grading_formula)) {
+      throw new AppError('Fórmula de média inválida', 400, 'INVALID_GRADING_FORMULA');
+    }
+
+    const bestOf = parseInt(grading_best_of, 10);
+    if (grading_formula === GRADING_FORMULAS.BEST_OF && (isNaN(bestOf) || bestOf < 1)) {
+      throw new AppError(
+        'Informe a quantidade de melhores notas para a fórmula "best_of"',
+        400,
+        'INVALID_GRADING_BEST_OF'
+      );
+    }
+
+    return {
+      grading_formula,
+      grading_best_of: grading_formula === GRADING_FORMULAS.BEST_OF ? bestOf : null,
+    };
+  }
+
+  /**
+   * Remove uma disciplina de um curso, junto com os requisitos que a envolvem.
    * @param {number} courseId - O ID do curso.
    * @param {number} disciplineId - O ID da disciplina.
    * @returns {Promise<boolean>} True se a associação foi removida.
@@ -147,6 +204,10 @@ class CourseService {
       },
     });
 
+    if (result > 0) {
+      await disciplineRequisiteService.removeForDiscipline(courseId, disciplineId);
+    }
+
     return result > 0;
   }
 
@@ -161,7 +222,7 @@ class CourseService {
         model: Discipline,
         as: 'disciplines',
         through: {
-          attributes: ['semester']
+          attributes: ['semester', 'grading_formula', 'grading_best_of']
         }
       }]
     });
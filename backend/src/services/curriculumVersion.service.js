@@ -0,0 +1,661 @@
+/**
+ * Arquivo: backend/src/services/curriculumVersion.service.js
+ * Descrição: Matrizes curriculares (versões da grade) por curso
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Publicar a grade atual do curso (course_disciplines) como uma matriz com data de vigência
+ * - Vincular cada matrícula à matriz vigente na data de ingresso do aluno
+ * - Informar a grade de uma matrícula (a da sua matriz) para histórico, progressão,
+ *   requisitos e contrato
+ * - Migrar a matrícula para outra matriz do curso, aproveitando disciplinas equivalentes
+ *
+ * Regras:
+ * - Alterar a grade do curso não altera matrizes publicadas: vale para a próxima publicação
+ * - A matriz vigente numa data é a de maior effective_from até a data; matrículas anteriores
+ *   à primeira matriz ficam na primeira
+ * - Cursos sem matriz publicada continuam usando a grade do curso
+ * - Na migração, disciplinas concluídas que existem na nova matriz continuam concluídas; as
+ *   mapeadas para uma disciplina equivalente geram um aproveitamento (StudentDisciplineExemption)
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  CurriculumVersion,
+  CurriculumVersionDiscipline,
+  CurriculumMigration,
+  CourseDiscipline,
+  Course,
+  Discipline,
+  Enrollment,
+  Student,
+  StudentDisciplineExemption,
+  User,
+} = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const GradeService = require('./grade.service');
+const exemptionService = require('./studentDisciplineExemption.service');
+const { GRADE_RESULT_STATUS, CURRICULUM_MIGRATION_ACTION } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const DISCIPLINE_ATTRIBUTES = ['id', 'name', 'code', 'workload_hours'];
+
+/**
+ * Data de hoje no formato YYYY-MM-DD
+ *
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Dados públicos de uma disciplina
+ *
+ * @param {Discipline} discipline
+ * @returns {Object|null}
+ */
+function serializeDiscipline(discipline) {
+  if (!discipline) return null;
+  return { id: discipline.id, name: discipline.name, code: discipline.code };
+}
+
+class CurriculumVersionService {
+  /**
+   * Lista as matrizes do curso, mais recentes primeiro
+   *
+   * @param {number} courseId - ID do curso
+   * @returns {Promise<Object[]>} Matrizes com quantidade de disciplinas e de matrículas
+   * @throws {AppError} 404 se o curso não existir
+   */
+  async listByCourse(courseId) {
+    await this._findCourse(courseId);
+
+    const versions = await CurriculumVersion.findAll({
+      where: { course_id: courseId },
+      include: [{ model: User, as: 'creator', attributes: ['id', 'name'] }],
+      order: [['effective_from', 'DESC']],
+    });
+    if (versions.length === 0) return [];
+
+    const ids = versions.map((version) => version.id);
+    const [disciplineCounts, enrollmentCounts] = await Promise.all([
+      this._countBy(CurriculumVersionDiscipline, ids),
+      this._countBy(Enrollment, ids),
+    ]);
+
+    const inForce = versions.find((version) => version.isEffective()) || null;
+
+    return versions.map((version) => ({
+      ...this._serialize(version),
+      in_force: inForce ? inForce.id === version.id : false,
+      discipline_count: disciplineCounts.get(version.id) || 0,
+      enrollment_count: enrollmentCounts.get(version.id) || 0,
+    }));
+  }
+
+  /**
+   * Busca a matriz com as disciplinas por semestre
+   *
+   * @param {number} id - ID da matriz
+   * @returns {Promise<Object>}
+   * @throws {AppError} 404 se a matriz não existir
+   */
+  async getById(id) {
+    const version = await this._findVersion(id);
+    const disciplines = await this._getVersionDisciplines(version.id);
+
+    return {
+      ...this._serialize(version),
+      disciplines: disciplines.map((item) => ({
+        discipline: serializeDiscipline(item.discipline),
+        semester: item.semester,
+        workload_hours: item.discipline ? item.discipline.workload_hours : null,
+      })),
+    };
+  }
+
+  /**
+   * Publica a grade atual do curso como uma nova matriz
+   *
+   * Matrículas do curso ainda sem matriz são vinculadas à matriz vigente na data de ingresso.
+   *
+   * @param {number} courseId - ID do curso
+   * @param {Object} data - { name, effective_from, notes }
+   * @param {number} [userId] - Administrador que publicou
+   * @returns {Promise<Object>} Matriz publicada
+   * @throws {AppError} 400 dados inválidos, 404 curso, 409 vigência repetida, 422 grade vazia
+   */
+  async publish(courseId, data = {}, userId = null) {
+    await this._findCourse(courseId);
+
+    const name = (data.name || '').trim();
+    const effectiveFrom = data.effective_from || today();
+
+    if (!name) {
+      throw new AppError('Informe o nome da matriz', 400, 'VALIDATION_ERROR');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom) || isNaN(Date.parse(effectiveFrom))) {
+      throw new AppError('Data de vigência inválida (use AAAA-MM-DD)', 400, 'VALIDATION_ERROR');
+    }
+
+    const existing = await CurriculumVersion.findOne({
+      where: { course_id: courseId, effective_from: effectiveFrom },
+    });
+    if (existing) {
+      throw new AppError(
+        `Já existe uma matriz com vigência a partir de ${effectiveFrom} (${existing.name})`,
+        409,
+        'CURRICULUM_VERSION_ALREADY_EXISTS'
+      );
+    }
+
+    const curriculum = await CourseDiscipline.findAll({
+      where: { course_id: courseId },
+      attributes: ['discipline_id', 'semester'],
+    });
+    if (curriculum.length === 0) {
+      throw new AppError(
+        'O curso não possui disciplinas na grade para publicar uma matriz',
+        422,
+        'EMPTY_CURRICULUM'
+      );
+    }
+
+    const version = await sequelize.transaction(async (transaction) => {
+      const created = await CurriculumVersion.create(
+        {
+          course_id: courseId,
+          name,
+          effective_from: effectiveFrom,
+          notes: data.notes || null,
+          created_by: userId,
+        },
+        { transaction }
+      );
+
+      await CurriculumVersionDiscipline.bulkCreate(
+        curriculum.map((item) => ({
+          curriculum_version_id: created.id,
+          discipline_id: item.discipline_id,
+          semester: item.semester,
+        })),
+        { transaction }
+      );
+
+      await this._assignUnversionedEnrollments(courseId, transaction);
+
+      return created;
+    });
+
+    logger.info(
+      `[CurriculumVersionService] Matriz ${version.id} (${name}) publicada no curso ${courseId}, vigente a partir de ${effectiveFrom}`
+    );
+
+    return this.getById(version.id);
+  }
+
+  /**
+   * Remove uma matriz sem matrículas vinculadas
+   *
+   * @param {number} id - ID da matriz
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 se não existir, 409 se houver matrículas na matriz
+   */
+  async remove(id) {
+    const version = await this._findVersion(id);
+
+    const enrollments = await Enrollment.count({ where: { curriculum_version_id: version.id } });
+    if (enrollments > 0) {
+      throw new AppError(
+        `A matriz possui ${enrollments} matrícula(s) vinculada(s) e não pode ser removida`,
+        409,
+        'CURRICULUM_VERSION_IN_USE'
+      );
+    }
+
+    await version.destroy();
+    logger.info(`[CurriculumVersionService] Matriz ${id} removida`);
+  }
+
+  /**
+   * Matriz vigente do curso na data informada
+   *
+   * @param {number} courseId - ID do curso
+   * @param {string} [date] - Data YYYY-MM-DD (padrão: hoje)
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<CurriculumVersion|null>} null se o curso não tem matriz publicada
+   */
+  async getVersionInForce(courseId, date = today(), options = {}) {
+    const inForce = await CurriculumVersion.findOne({
+      where: { course_id: courseId, effective_from: { [Op.lte]: date } },
+      order: [['effective_from', 'DESC']],
+      transaction: options.transaction,
+    });
+    if (inForce) return inForce;
+
+    // Ingresso anterior à primeira matriz
+    return CurriculumVersion.findOne({
+      where: { course_id: courseId },
+      order: [['effective_from', 'ASC']],
+      transaction: options.transaction,
+    });
+  }
+
+  /**
+   * Vincula a matrícula à matriz vigente na data de ingresso
+   *
+   * @param {Enrollment} enrollment - Matrícula recém-criada
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Enrollment>}
+   */
+  async assignToEnrollment(enrollment, options = {}) {
+    if (enrollment.curriculum_version_id) return enrollment;
+
+    const version = await this.getVersionInForce(
+      enrollment.course_id,
+      enrollment.enrollment_date || today(),
+      options
+    );
+    if (!version) return enrollment;
+
+    enrollment.curriculum_version_id = version.id;
+    await enrollment.save({ transaction: options.transaction });
+    return enrollment;
+  }
+
+  /**
+   * Grade da matrícula: disciplinas da sua matriz ou, sem matriz, a grade do curso
+   *
+   * @param {Enrollment} enrollment - Matrícula (course_id e curriculum_version_id)
+   * @returns {Promise<{version: Object|null, disciplines: Object[]}>} disciplines com
+   *   discipline_id, semester e discipline (id, name, code, workload_hours)
+   */
+  async getEnrollmentCurriculum(enrollment) {
+    if (enrollment.curriculum_version_id) {
+      const version = await CurriculumVersion.findByPk(enrollment.curriculum_version_id);
+      if (version) {
+        return {
+          version: this._serialize(version),
+          disciplines: await this._getVersionDisciplines(version.id),
+        };
+      }
+    }
+
+    const disciplines = await CourseDiscipline.findAll({
+      where: { course_id: enrollment.course_id },
+      include: [{ model: Discipline, as: 'discipline', attributes: DISCIPLINE_ATTRIBUTES }],
+      order: [['semester', 'ASC']],
+    });
+    return { version: null, disciplines };
+  }
+
+  /**
+   * Grade do aluno no curso (matrícula mais recente no curso)
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {number} courseId - ID do curso
+   * @returns {Promise<{version: Object|null, disciplines: Object[]}>}
+   */
+  async getStudentCurriculum(studentId, courseId) {
+    const enrollment = await Enrollment.findOne({
+      where: { student_id: studentId, course_id: courseId },
+      attributes: ['id', 'course_id', 'curriculum_version_id'],
+      order: [['created_at', 'DESC']],
+    });
+
+    return this.getEnrollmentCurriculum(enrollment || { course_id: courseId });
+  }
+
+  /**
+   * Disciplinas concluídas pelo aluno: aprovadas em qualquer turma ou dispensadas
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {Object[]} [results] - Resultados já calculados (GradeService.getStudentResults)
+   * @returns {Promise<Set<number>>}
+   */
+  async getCompletedDisciplineIds(studentId, results = null) {
+    const [studentResults, exemptIds] = await Promise.all([
+      results ? Promise.resolve(results) : GradeService.getStudentResults(studentId),
+      exemptionService.getExemptDisciplineIds(studentId),
+    ]);
+
+    const completed = new Set(exemptIds);
+    studentResults
+      .filter((result) => result.status === GRADE_RESULT_STATUS.APPROVED)
+      .forEach((result) => completed.add(result.discipline_id));
+
+    return completed;
+  }
+
+  /**
+   * Pré-visualiza a migração da matrícula para outra matriz do curso
+   *
+   * @param {number} enrollmentId - ID da matrícula
+   * @param {Object} data - { to_version_id, mappings: [{ from_discipline_id, to_discipline_id }] }
+   * @returns {Promise<Object>} Plano da migração (nada é alterado)
+   * @throws {AppError} 400 mapeamento inválido, 404 matrícula/matriz, 422 matriz de outro curso
+   */
+  async previewMigration(enrollmentId, data = {}) {
+    const plan = await this._buildMigrationPlan(enrollmentId, data);
+    return this._serializePlan(plan);
+  }
+
+  /**
+   * Migra a matrícula para outra matriz do curso e registra o histórico
+   *
+   * @param {number} enrollmentId - ID da matrícula
+   * @param {Object} data - { to_version_id, mappings, reason }
+   * @param {number} [userId] - Administrador que executou a migração
+   * @returns {Promise<Object>} Migração registrada com o plano executado
+   */
+  async migrateEnrollment(enrollmentId, data = {}, userId = null) {
+    const plan = await this._buildMigrationPlan(enrollmentId, data);
+    const report = this._serializePlan(plan);
+
+    const migration = await sequelize.transaction(async (transaction) => {
+      for (const item of plan.items) {
+        if (item.action !== CURRICULUM_MIGRATION_ACTION.EQUIVALENT) continue;
+        await StudentDisciplineExemption.create(
+          {
+            student_id: plan.enrollment.student_id,
+            discipline_id: item.equivalent.id,
+            class_id: null,
+            origin_institution: null,
+            notes: `Equivalência na migração de matriz: ${item.discipline.name} (${plan.fromVersion ? plan.fromVersion.name : 'grade do curso'}) → ${item.equivalent.name} (${plan.toVersion.name})`,
+          },
+          { transaction }
+        );
+      }
+
+      await Enrollment.update(
+        { curriculum_version_id: plan.toVersion.id },
+        { where: { id: plan.enrollment.id }, transaction }
+      );
+
+      return CurriculumMigration.create(
+        {
+          enrollment_id: plan.enrollment.id,
+          from_version_id: plan.fromVersion ? plan.fromVersion.id : null,
+          to_version_id: plan.toVersion.id,
+          mapping_report: report.items,
+          reason: data.reason || null,
+          migrated_by: userId,
+        },
+        { transaction }
+      );
+    });
+
+    logger.info(
+      `[CurriculumVersionService] Matrícula ${plan.enrollment.id} migrada para a matriz ${plan.toVersion.id} (migração ${migration.id})`
+    );
+
+    return { id: migration.id, created_at: migration.created_at, ...report };
+  }
+
+  /**
+   * Histórico de migrações de matriz da matrícula
+   *
+   * @param {number} enrollmentId - ID da matrícula
+   * @returns {Promise<Object[]>}
+   */
+  async listMigrations(enrollmentId) {
+    const migrations = await CurriculumMigration.findAll({
+      where: { enrollment_id: enrollmentId },
+      include: [
+        {
+          model: CurriculumVersion,
+          as: 'fromVersion',
+          attributes: ['id', 'name', 'effective_from'],
+        },
+        { model: CurriculumVersion, as: 'toVersion', attributes: ['id', 'name', 'effective_from'] },
+        { model: User, as: 'migrator', attributes: ['id', 'name'] },
+      ],
+      order: [['created_at', 'DESC']],
+    });
+
+    return migrations.map((migration) => ({
+      id: migration.id,
+      from_version: migration.fromVersion ? this._serialize(migration.fromVersion) : null,
+      to_version: migration.toVersion ? this._serialize(migration.toVersion) : null,
+      items: migration.mapping_report,
+      reason: migration.reason,
+      migrated_by: migration.migrator
+        ? { id: migration.migrator.id, name: migration.migrator.name }
+        : null,
+      created_at: migration.created_at,
+    }));
+  }
+
+  /**
+   * Monta o plano da migração: situação de cada disciplina concluída na matriz de origem
+   * e as disciplinas da nova matriz que ficam pendentes
+   *
+   * @private
+   */
+  async _buildMigrationPlan(enrollmentId, data) {
+    const enrollment = await Enrollment.findByPk(enrollmentId, {
+      include: [{ model: Student, as: 'student', attributes: ['id', 'nome', 'matricula'] }],
+    });
+    if (!enrollment) {
+      throw new AppError('Matrícula não encontrada', 404, 'ENROLLMENT_NOT_FOUND');
+    }
+
+    const toVersion = await this._findVersion(parseInt(data.to_version_id, 10));
+    if (toVersion.course_id !== enrollment.course_id) {
+      throw new AppError(
+        'A matriz de destino deve ser do mesmo curso da matrícula',
+        422,
+        'CURRICULUM_VERSION_OTHER_COURSE'
+      );
+    }
+    if (toVersion.id === enrollment.curriculum_version_id) {
+      throw new AppError('A matrícula já está nesta matriz', 422, 'SAME_CURRICULUM_VERSION');
+    }
+
+    const [source, targetDisciplines, completedIds] = await Promise.all([
+      this.getEnrollmentCurriculum(enrollment),
+      this._getVersionDisciplines(toVersion.id),
+      this.getCompletedDisciplineIds(enrollment.student_id),
+    ]);
+
+    const targetById = new Map(targetDisciplines.map((item) => [item.discipline_id, item]));
+    const completedSource = new Map();
+    source.disciplines
+      .filter((item) => completedIds.has(item.discipline_id))
+      .forEach((item) => completedSource.set(item.discipline_id, item));
+
+    const mappings = new Map();
+    (data.mappings || []).forEach((mapping) => {
+      const fromId = parseInt(mapping.from_discipline_id, 10);
+      const toId = parseInt(mapping.to_discipline_id, 10);
+      if (!fromId || !toId) return;
+
+      if (!completedSource.has(fromId)) {
+        throw new AppError(
+          'Só é possível mapear disciplinas concluídas da matriz atual do aluno',
+          400,
+          'INVALID_CURRICULUM_MAPPING'
+        );
+      }
+      if (!targetById.has(toId)) {
+        throw new AppError(
+          'A disciplina equivalente deve fazer parte da matriz de destino',
+          400,
+          'INVALID_CURRICULUM_MAPPING'
+        );
+      }
+      if ([...mappings.values()].includes(toId)) {
+        throw new AppError(
+          'Cada disciplina da matriz de destino pode receber apenas uma equivalência',
+          400,
+          'INVALID_CURRICULUM_MAPPING'
+        );
+      }
+      mappings.set(fromId, toId);
+    });
+
+    const credited = new Set(completedIds);
+    const items = [...completedSource.values()].map((item) => {
+      if (targetById.has(item.discipline_id)) {
+        return {
+          discipline: item.discipline,
+          action: CURRICULUM_MIGRATION_ACTION.KEPT,
+          equivalent: null,
+        };
+      }
+
+      const toId = mappings.get(item.discipline_id);
+      if (toId && !credited.has(toId)) {
+        credited.add(toId);
+        return {
+          discipline: item.discipline,
+          action: CURRICULUM_MIGRATION_ACTION.EQUIVALENT,
+          equivalent: targetById.get(toId).discipline,
+        };
+      }
+
+      return {
+        discipline: item.discipline,
+        action: CURRICULUM_MIGRATION_ACTION.UNMAPPED,
+        equivalent: toId ? targetById.get(toId).discipline : null,
+        note: toId ? 'A disciplina equivalente já está concluída na nova matriz' : null,
+      };
+    });
+
+    const pending = targetDisciplines.filter((item) => !credited.has(item.discipline_id));
+
+    return {
+      enrollment,
+      fromVersion: source.version,
+      toVersion,
+      items,
+      pending,
+    };
+  }
+
+  /**
+   * Formata o plano da migração para a API
+   *
+   * @private
+   */
+  _serializePlan(plan) {
+    return {
+      enrollment_id: plan.enrollment.id,
+      student: plan.enrollment.student
+        ? {
+            id: plan.enrollment.student.id,
+            name: plan.enrollment.student.nome,
+            matricula: plan.enrollment.student.matricula,
+          }
+        : null,
+      from_version: plan.fromVersion,
+      to_version: this._serialize(plan.toVersion),
+      items: plan.items.map((item) => ({
+        discipline: serializeDiscipline(item.discipline),
+        action: item.action,
+        equivalent: serializeDiscipline(item.equivalent),
+        note: item.note || null,
+      })),
+      pending_disciplines: plan.pending.map((item) => ({
+        discipline: serializeDiscipline(item.discipline),
+        semester: item.semester,
+      })),
+    };
+  }
+
+  /**
+   * Vincula as matrículas do curso ainda sem matriz à matriz vigente na data de ingresso
+   *
+   * @private
+   */
+  async _assignUnversionedEnrollments(courseId, transaction) {
+    const enrollments = await Enrollment.findAll({
+      where: { course_id: courseId, curriculum_version_id: null },
+      attributes: ['id', 'course_id', 'enrollment_date', 'curriculum_version_id'],
+      transaction,
+    });
+
+    for (const enrollment of enrollments) {
+      await this.assignToEnrollment(enrollment, { transaction });
+    }
+  }
+
+  /**
+   * Disciplinas da matriz, por semestre
+   *
+   * @private
+   */
+  async _getVersionDisciplines(versionId) {
+    return CurriculumVersionDiscipline.findAll({
+      where: { curriculum_version_id: versionId },
+      include: [{ model: Discipline, as: 'discipline', attributes: DISCIPLINE_ATTRIBUTES }],
+      order: [['semester', 'ASC']],
+    });
+  }
+
+  /**
+   * Quantidade de registros por matriz
+   *
+   * @private
+   * @returns {Promise<Map<number, number>>}
+   */
+  async _countBy(model, versionIds) {
+    const rows = await model.findAll({
+      where: { curriculum_version_id: versionIds },
+      attributes: ['curriculum_version_id', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      group: ['curriculum_version_id'],
+      raw: true,
+    });
+    return new Map(rows.map((row) => [row.curriculum_version_id, parseInt(row.total, 10)]));
+  }
+
+  /**
+   * Busca o curso
+   *
+   * @private
+   * @throws {AppError} 404 se o curso não existir
+   */
+  async _findCourse(courseId) {
+    const course = await Course.findByPk(courseId, { attributes: ['id', 'name'] });
+    if (!course) {
+      throw new AppError('Curso não encontrado', 404, 'COURSE_NOT_FOUND');
+    }
+    return course;
+  }
+
+  /**
+   * Busca a matriz
+   *
+   * @private
+   * @throws {AppError} 404 se a matriz não existir
+   */
+  async _findVersion(id) {
+    const version = id ? await CurriculumVersion.findByPk(id) : null;
+    if (!version) {
+      throw new AppError('Matriz curricular não encontrada', 404, 'CURRICULUM_VERSION_NOT_FOUND');
+    }
+    return version;
+  }
+
+  /**
+   * Dados públicos da matriz
+   *
+   * @private
+   */
+  _serialize(version) {
+    return {
+      id: version.id,
+      course_id: version.course_id,
+      name: version.name,
+      effective_from: version.effective_from,
+      notes: version.notes,
+      created_by: version.creator ? { id: version.creator.id, name: version.creator.name } : null,
+      created_at: version.created_at,
+    };
+  }
+}
+
+module.exports = new CurriculumVersionService();
@@ -0,0 +1,194 @@
+/**
+ * Arquivo: backend/src/services/declaracaoFrequencia.service.js
+ * Descrição: Serviço responsável pela geração da Declaração de Frequência em PDF
+ *            com assinatura eletrônica (hash) para validação pública.
+ * Feature: feat-117 - Geradores de documentos por tipo de solicitação
+ * Criado em: 2026-10-19
+ */
+
+const { Student, Enrollment, Class } = require('../models');
+const AttendanceService = require('./attendance.service');
+const BrandedDocumentService = require('./brandedDocument.service');
+
+/**
+ * DeclaracaoFrequenciaService
+ *
+ * Responsabilidades:
+ * - Reunir a frequência do aluno nas disciplinas das turmas do curso ativo
+ * - Gerar PDF da Declaração de Frequência com PDFKit
+ * - Salvar PDF em diretório estruturado (uploads/declaracoes/)
+ *
+ * A declaração só é emitida para alunos com matrícula ativa.
+ */
+class DeclaracaoFrequenciaService extends BrandedDocumentService {
+  static TITLE = 'Declaração de Frequência';
+  static DOCUMENT_KIND = 'declaracao_frequencia';
+  static FILE_PREFIX = 'declaracao_frequencia';
+  static OUTPUT_SUBDIR = 'declaracoes';
+  static REQUIRED_FIELDS = ['requestId', 'studentName', 'courseName'];
+
+  /**
+   * Reúne os dados da declaração: aluno, curso ativo e frequência por disciplina.
+   *
+   * @param {Object} request - Instância do model Request (já aprovada)
+   * @returns {Promise<Object|null>} Dados da declaração ou null se não puder ser emitida
+   */
+  static async collectData(request) {
+    const [student, enrollment] = await Promise.all([
+      Student.findByPk(request.student_id, { attributes: ['id', 'nome', 'cpf', 'matricula'] }),
+      Enrollment.findOne({
+        where: { student_id: request.student_id, status: 'active', deleted_at: null },
+        include: [{ association: 'course', attributes: ['id', 'name'] }],
+        order: [['created_at', 'DESC']],
+      }),
+    ]);
+
+    if (!student || !enrollment) {
+      console.warn(
+        `[DeclaracaoFrequencia] Declaração não gerada: aluno ${request.student_id} ` +
+          'não encontrado ou sem matrícula ativa.'
+      );
+      return null;
+    }
+
+    const frequencies = await AttendanceService.getStudentFrequency(request.student_id);
+
+    // Apenas as turmas do curso ativo do aluno
+    const courseClasses = await Class.findAll({
+      where: { id: frequencies.map((f) => f.class_id), course_id: enrollment.course_id },
+      attributes: ['id'],
+    });
+    const courseClassIds = new Set(courseClasses.map((cls) => cls.id));
+
+    return {
+      studentName: student.nome,
+      studentCpf: student.cpf,
+      studentMatricula: student.matricula,
+      courseName: enrollment.course ? enrollment.course.name : 'Curso não informado',
+      currentSemester: enrollment.current_semester,
+      frequencies: frequencies
+        .filter((f) => courseClassIds.has(f.class_id))
+        .sort((a, b) => a.discipline.name.localeCompare(b.discipline.name)),
+    };
+  }
+
+  /**
+   * Adiciona o corpo da declaração ao documento PDF.
+   *
+   * @param {PDFDocument} doc  - Instância do documento PDFKit
+   * @param {Object}      data - Dados da declaração
+   * @private
+   */
+  static _addContent(doc, data) {
+    const marginLeft = 50;
+    const contentWidth = doc.page.width - 100;
+
+    this._addHeader(doc, 'DECLARAÇÃO DE FREQUÊNCIA');
+
+    const matriculaLabel = data.studentMatricula ? `, matrícula nº ${data.studentMatricula},` : ',';
+    const semesterLabel = data.currentSemester
+      ? `no ${data.currentSemester}º semestre`
+      : 'no semestre em andamento';
+
+    const bodyText =
+      `Declaramos para os devidos fins que ${data.studentName}, ` +
+      `portador(a) do CPF nº ${this._formatCPF(data.studentCpf)}${matriculaLabel} ` +
+      `encontra-se regularmente matriculado(a) no Curso de ${data.courseName}, ` +
+      `${semesterLabel}, apresentando a frequência abaixo nas disciplinas cursadas.`;
+
+    doc.font('Helvetica').fontSize(12).fillColor('#000000').text(bodyText, marginLeft, doc.y, {
+      align: 'justify',
+      width: contentWidth,
+      lineGap: 4,
+    });
+
+    this._addFrequencyTable(doc, data.frequencies || [], marginLeft, contentWidth);
+
+    doc.moveDown(2.5);
+
+    this._addSignatureArea(doc);
+  }
+
+  /**
+   * Desenha a tabela de frequência: Disciplina | Aulas (h) | Faltas (h) | Frequência.
+   *
+   * @param {PDFDocument} doc          - Instância do documento PDFKit
+   * @param {Array}       frequencies  - Frequência por disciplina (AttendanceService)
+   * @param {number}      marginLeft   - Margem esquerda em pontos
+   * @param {number}      contentWidth - Largura disponível para conteúdo
+   * @private
+   */
+  static _addFrequencyTable(doc, frequencies, marginLeft, contentWidth) {
+    doc.moveDown(1.5);
+
+    if (frequencies.length === 0) {
+      doc
+        .font('Helvetica-Oblique')
+        .fontSize(10)
+        .fillColor('#444444')
+        .text('Nenhuma aula registrada até a data de emissão.', marginLeft, doc.y, {
+          align: 'center',
+          width: contentWidth,
+        });
+      return;
+    }
+
+    const colWidths = [255, 80, 80, 80];
+    const headers = ['Disciplina', 'Aulas (h)', 'Faltas (h)', 'Frequência'];
+    const rowHeight = 18;
+    const padX = 4;
+    const padY = 5;
+    let tableY = doc.y;
+
+    const drawRow = (values, y, font, color) => {
+      let colX = marginLeft;
+      doc.font(font).fontSize(9).fillColor(color);
+      values.forEach((value, i) => {
+        doc.text(value, colX + padX, y + padY, {
+          width: colWidths[i] - padX * 2,
+          align: i === 0 ? 'left' : 'center',
+          lineBreak: false,
+          ellipsis: true,
+        });
+        colX += colWidths[i];
+      });
+    };
+
+    doc.rect(marginLeft, tableY, contentWidth, rowHeight).fill('#003580');
+    drawRow(headers, tableY, 'Helvetica-Bold', '#ffffff');
+    tableY += rowHeight;
+
+    frequencies.forEach((frequency, index) => {
+      doc
+        .rect(marginLeft, tableY, contentWidth, rowHeight)
+        .fill(index % 2 === 0 ? '#eef2ff' : '#ffffff');
+
+      drawRow(
+        [
+          frequency.discipline.name,
+          String(frequency.given_hours),
+          String(frequency.absent_hours),
+          frequency.frequency_percentage !== null
+            ? `${frequency.frequency_percentage.toFixed(1)}%`
+            : '–',
+        ],
+        tableY,
+        'Helvetica',
+        '#111111'
+      );
+      tableY += rowHeight;
+    });
+
+    doc
+      .moveTo(marginLeft, tableY)
+      .lineTo(marginLeft + contentWidth, tableY)
+      .lineWidth(0.5)
+      .strokeColor('#003580')
+      .stroke();
+
+    doc.x = marginLeft;
+    doc.y = tableY;
+  }
+}
+
+module.exports = DeclaracaoFrequenciaService;
@@ -0,0 +1,251 @@
+/**
+ * Arquivo: backend/src/services/degreeAudit.service.js
+ * Descrição: Integralização curricular do aluno (o que falta para concluir o curso)
+ * Feature: feat-131 - Integralização curricular do aluno
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Comparar a matriz curricular da matrícula com o que o aluno já cursou
+ * - Classificar cada disciplina da matriz em concluída, em andamento ou pendente
+ * - Listar as disciplinas extras cursadas fora da matriz
+ * - Totalizar a carga horária concluída, em andamento e pendente
+ *
+ * Fontes:
+ * - Matriz: CurriculumVersionService.getEnrollmentCurriculum (grade do curso sem matriz)
+ * - Resultados: GradeService.getStudentResults (aprovado, recuperação, reprovado, em andamento)
+ * - Dispensas: StudentDisciplineExemption (contam como concluídas)
+ * - Disciplinas extras ativas: contam como em andamento até haver resultado final
+ */
+
+const {
+  Enrollment,
+  Student,
+  StudentDisciplineExemption,
+  StudentExtraDiscipline,
+} = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const GradeService = require('./grade.service');
+const curriculumVersionService = require('./curriculumVersion.service');
+const {
+  GRADE_RESULT_STATUS,
+  DEGREE_AUDIT_STATUS,
+  DEGREE_AUDIT_STATUS_LABELS,
+} = require('../utils/constants');
+
+/**
+ * Situações de resultado que indicam a disciplina ainda sendo cursada
+ */
+const ONGOING_RESULT_STATUSES = [GRADE_RESULT_STATUS.IN_PROGRESS, GRADE_RESULT_STATUS.RECOVERY];
+
+/**
+ * Dados públicos de uma disciplina
+ *
+ * @param {Discipline} discipline
+ * @returns {Object|null}
+ */
+function serializeDiscipline(discipline) {
+  if (!discipline) return null;
+  return { id: discipline.id, name: discipline.name, code: discipline.code };
+}
+
+/**
+ * Período letivo da turma (ex: "2026/1")
+ *
+ * @param {Object|null} result - Resultado com class { semester, year }
+ * @returns {string|null}
+ */
+function formatPeriod(result) {
+  if (!result || !result.class || !result.class.year) return null;
+  return `${result.class.year}/${result.class.semester}`;
+}
+
+class DegreeAuditService {
+  /**
+   * Integralização do aluno em um curso
+   *
+   * Sem course_id, usa a matrícula mais recente do aluno.
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {number|null} [courseId] - ID do curso
+   * @returns {Promise<Object>} { student, course, curriculum_version, enrollment, courses,
+   *   disciplines, extra_disciplines, totals }
+   * @throws {AppError} 404 se o aluno não existir ou não tiver matrícula no curso
+   */
+  async getStudentAudit(studentId, courseId = null) {
+    const student = await Student.findByPk(studentId, {
+      attributes: ['id', 'nome', 'matricula'],
+    });
+    if (!student) {
+      throw new AppError('Aluno não encontrado', 404, 'STUDENT_NOT_FOUND');
+    }
+
+    const enrollments = await Enrollment.findAll({
+      where: { student_id: studentId },
+      include: [{ association: 'course', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']],
+    });
+    const enrollment = courseId
+      ? enrollments.find((item) => item.course_id === courseId)
+      : enrollments[0];
+    if (!enrollment) {
+      throw new AppError('O aluno não possui matrícula neste curso', 404, 'ENROLLMENT_NOT_FOUND');
+    }
+
+    const [curriculum, results, exemptions, extras] = await Promise.all([
+      curriculumVersionService.getEnrollmentCurriculum(enrollment),
+      GradeService.getStudentResults(studentId),
+      StudentDisciplineExemption.findAll({
+        where: { student_id: studentId },
+        attributes: ['id', 'discipline_id', 'origin_institution'],
+      }),
+      StudentExtraDiscipline.findAll({
+        where: { student_id: studentId, status: ['active', 'completed'] },
+        include: [
+          { association: 'discipline', attributes: ['id', 'name', 'code', 'workload_hours'] },
+        ],
+      }),
+    ]);
+
+    const resultsByDiscipline = this._groupByDiscipline(results);
+    const exemptionByDiscipline = new Map(exemptions.map((item) => [item.discipline_id, item]));
+    const extraByDiscipline = new Map(extras.map((item) => [item.discipline_id, item]));
+
+    const evaluate = (disciplineId) =>
+      this._evaluateDiscipline(
+        resultsByDiscipline.get(disciplineId) || [],
+        exemptionByDiscipline.get(disciplineId),
+        extraByDiscipline.get(disciplineId)
+      );
+
+    const curriculumIds = new Set(curriculum.disciplines.map((item) => item.discipline_id));
+    const disciplines = curriculum.disciplines.map((item) => ({
+      discipline: serializeDiscipline(item.discipline),
+      semester: item.semester,
+      workload_hours: item.discipline ? item.discipline.workload_hours || 0 : 0,
+      ...evaluate(item.discipline_id),
+    }));
+
+    const extraDisciplines = extras
+      .filter((extra) => extra.discipline && !curriculumIds.has(extra.discipline_id))
+      .map((extra) => ({
+        discipline: serializeDiscipline(extra.discipline),
+        reason: extra.getReasonLabel(),
+        workload_hours: extra.discipline.workload_hours || 0,
+        ...evaluate(extra.discipline_id),
+      }));
+
+    return {
+      student: { id: student.id, name: student.nome, matricula: student.matricula },
+      course: enrollment.course ? { id: enrollment.course.id, name: enrollment.course.name } : null,
+      curriculum_version: curriculum.version,
+      enrollment: {
+        id: enrollment.id,
+        status: enrollment.status,
+        current_semester: enrollment.current_semester,
+        enrollment_date: enrollment.enrollment_date,
+      },
+      courses: enrollments
+        .filter((item) => item.course)
+        .map((item) => ({ id: item.course.id, name: item.course.name })),
+      disciplines,
+      extra_disciplines: extraDisciplines,
+      totals: this._calculateTotals(disciplines),
+    };
+  }
+
+  /**
+   * Situação de uma disciplina a partir dos resultados, da dispensa e da disciplina extra
+   *
+   * Prioridade: dispensa ou aprovação (concluída) > resultado em andamento/recuperação ou
+   * disciplina extra ativa (em andamento) > pendente.
+   *
+   * @private
+   * @param {Object[]} results - Resultados do aluno na disciplina (uma entrada por turma)
+   * @param {StudentDisciplineExemption} [exemption] - Dispensa da disciplina
+   * @param {StudentExtraDiscipline} [extra] - Disciplina extra vinculada
+   * @returns {Object} { status, status_label, completed_by, average, period, failed_attempts,
+   *   note }
+   */
+  _evaluateDiscipline(results, exemption, extra) {
+    const approved = results.find((result) => result.status === GRADE_RESULT_STATUS.APPROVED);
+    const ongoing = results.find((result) => ONGOING_RESULT_STATUSES.includes(result.status));
+    const failedAttempts = results.filter(
+      (result) => result.status === GRADE_RESULT_STATUS.FAILED
+    ).length;
+
+    let status = DEGREE_AUDIT_STATUS.PENDING;
+    let completedBy = null;
+    let reference = null;
+
+    if (exemption) {
+      status = DEGREE_AUDIT_STATUS.COMPLETED;
+      completedBy = 'exempt';
+    } else if (approved) {
+      status = DEGREE_AUDIT_STATUS.COMPLETED;
+      completedBy = 'approved';
+      reference = approved;
+    } else if (ongoing || (extra && extra.status === 'active')) {
+      status = DEGREE_AUDIT_STATUS.IN_PROGRESS;
+      reference = ongoing || null;
+    }
+
+    return {
+      status,
+      status_label: DEGREE_AUDIT_STATUS_LABELS[status],
+      completed_by: completedBy,
+      average: reference && reference.average !== undefined ? reference.average : null,
+      period: formatPeriod(reference),
+      failed_attempts: failedAttempts,
+      note: exemption && exemption.origin_institution ? exemption.origin_institution : null,
+    };
+  }
+
+  /**
+   * Agrupa os resultados por disciplina
+   *
+   * @private
+   * @param {Object[]} results - Resultados de GradeService.getStudentResults
+   * @returns {Map<number, Object[]>}
+   */
+  _groupByDiscipline(results) {
+    const grouped = new Map();
+    results.forEach((result) => {
+      if (!grouped.has(result.discipline_id)) grouped.set(result.discipline_id, []);
+      grouped.get(result.discipline_id).push(result);
+    });
+    return grouped;
+  }
+
+  /**
+   * Totais de disciplinas e carga horária da matriz por situação
+   *
+   * @private
+   * @param {Object[]} disciplines - Disciplinas da matriz já avaliadas
+   * @returns {Object}
+   */
+  _calculateTotals(disciplines) {
+    const sum = (status) =>
+      disciplines
+        .filter((item) => item.status === status)
+        .reduce((total, item) => total + item.workload_hours, 0);
+    const count = (status) => disciplines.filter((item) => item.status === status).length;
+
+    const totalWorkload = disciplines.reduce((total, item) => total + item.workload_hours, 0);
+    const completedWorkload = sum(DEGREE_AUDIT_STATUS.COMPLETED);
+
+    return {
+      discipline_count: disciplines.length,
+      completed_count: count(DEGREE_AUDIT_STATUS.COMPLETED),
+      in_progress_count: count(DEGREE_AUDIT_STATUS.IN_PROGRESS),
+      pending_count: count(DEGREE_AUDIT_STATUS.PENDING),
+      total_workload_hours: totalWorkload,
+      completed_workload_hours: completedWorkload,
+      in_progress_workload_hours: sum(DEGREE_AUDIT_STATUS.IN_PROGRESS),
+      pending_workload_hours: sum(DEGREE_AUDIT_STATUS.PENDING),
+      progress_percent:
+        totalWorkload > 0 ? Math.round((completedWorkload / totalWorkload) * 1000) / 10 : 0,
+    };
+  }
+}
+
+module.exports = new DegreeAuditService();
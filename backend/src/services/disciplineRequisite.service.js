@@ -0,0 +1,532 @@
+/**
+ * Arquivo: backend/src/services/disciplineRequisite.service.js
+ * Descrição: Pré-requisitos e co-requisitos entre disciplinas da grade de um curso
+ * Feature: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Criado em: 2026-10-19
+ * Modificado: feat-130 - Semestres e disciplinas do aluno vêm da sua matriz curricular
+ *
+ * Responsabilidades:
+ * - Cadastrar e remover requisitos entre disciplinas da mesma grade (course_disciplines)
+ * - Impedir ciclos de pré-requisitos e requisitos em semestres incompatíveis
+ * - Calcular quais requisitos um aluno ainda não cumpriu
+ * - Bloquear a inclusão de disciplinas extras e o avanço de semestre sem os requisitos
+ *
+ * Requisito cumprido:
+ * - Pré-requisito: disciplina exigida aprovada (GradeService.getStudentResults) ou dispensada
+ *   (StudentDisciplineExemption)
+ * - Co-requisito: o mesmo, ou a disciplina exigida é cursada no mesmo período
+ *   (mesmo semestre da grade ou disciplina extra ativa)
+ *
+ * O cadastro valida os semestres pela grade atual do curso; a verificação para o aluno usa
+ * a grade da matriz curricular da matrícula (CurriculumVersionService).
+ */
+
+const { Op } = require('sequelize');
+const {
+  CourseDisciplineRequisite,
+  CourseDiscipline,
+  Course,
+  Discipline,
+  Class,
+  Enrollment,
+  Student,
+  StudentExtraDiscipline,
+} = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const curriculumVersionService = require('./curriculumVersion.service');
+const {
+  DISCIPLINE_REQUISITE_TYPE,
+  DISCIPLINE_REQUISITE_TYPE_LABELS,
+  ENROLLMENT_STATUS,
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Status de matrícula em que o aluno está cursando o curso
+ */
+const STUDYING_ENROLLMENT_STATUSES = [
+  ENROLLMENT_STATUS.ACTIVE,
+  ENROLLMENT_STATUS.REENROLLMENT,
+  ENROLLMENT_STATUS.PENDING,
+  'contract',
+];
+
+/**
+ * Dados públicos de uma disciplina
+ *
+ * @param {Discipline} discipline
+ * @returns {Object|null}
+ */
+function serializeDiscipline(discipline) {
+  if (!discipline) return null;
+  return { id: discipline.id, name: discipline.name, code: discipline.code };
+}
+
+class DisciplineRequisiteService {
+  /**
+   * Lista os requisitos da grade de um curso
+   *
+   * @param {number} courseId - ID do curso
+   * @returns {Promise<Object[]>}
+   * @throws {AppError} 404 se o curso não existir
+   */
+  async listByCourse(courseId) {
+    await this._findCourse(courseId);
+
+    const requisites = await CourseDisciplineRequisite.findAll({
+      where: { course_id: courseId },
+      include: this._includes(),
+      order: [
+        ['discipline_id', 'ASC'],
+        ['type', 'ASC'],
+      ],
+    });
+
+    return requisites.map((requisite) => this._serialize(requisite));
+  }
+
+  /**
+   * Cadastra um requisito entre duas disciplinas da grade do curso
+   *
+   * @param {number} courseId - ID do curso
+   * @param {Object} data - { discipline_id, required_discipline_id, type }
+   * @returns {Promise<Object>} Requisito criado
+   * @throws {AppError} 400 dados inválidos, 404 curso, 409 duplicado,
+   *   422 disciplina fora da grade, semestre incompatível ou ciclo
+   */
+  async create(courseId, data = {}) {
+    await this._findCourse(courseId);
+
+    const disciplineId = parseInt(data.discipline_id, 10);
+    const requiredId = parseInt(data.required_discipline_id, 10);
+    const type = data.type || DISCIPLINE_REQUISITE_TYPE.PREREQUISITE;
+
+    if (!disciplineId || !requiredId) {
+      throw new AppError('Informe a disciplina e a disciplina exigida', 400, 'VALIDATION_ERROR');
+    }
+    if (disciplineId === requiredId) {
+      throw new AppError('Uma disciplina não pode exigir a si mesma', 400, 'VALIDATION_ERROR');
+    }
+    if (!Object.values(DISCIPLINE_REQUISITE_TYPE).includes(type)) {
+      throw new AppError(
+        `Tipo de requisito inválido. Valores aceitos: ${Object.values(DISCIPLINE_REQUISITE_TYPE).join(', ')}`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const semesters = await this._getCurriculumSemesters(courseId);
+    if (!semesters.has(disciplineId) || !semesters.has(requiredId)) {
+      throw new AppError(
+        'As duas disciplinas devem fazer parte da grade do curso',
+        422,
+        'DISCIPLINE_NOT_IN_CURRICULUM'
+      );
+    }
+
+    const disciplineSemester = semesters.get(disciplineId);
+    const requiredSemester = semesters.get(requiredId);
+    if (type === DISCIPLINE_REQUISITE_TYPE.PREREQUISITE && requiredSemester >= disciplineSemester) {
+      throw new AppError(
+        `O pré-requisito deve ser de um semestre anterior (disciplina no ${disciplineSemester}º, pré-requisito no ${requiredSemester}º)`,
+        422,
+        'INVALID_REQUISITE_SEMESTER'
+      );
+    }
+    if (type === DISCIPLINE_REQUISITE_TYPE.COREQUISITE && requiredSemester > disciplineSemester) {
+      throw new AppError(
+        `O co-requisito não pode ser de um semestre posterior (disciplina no ${disciplineSemester}º, co-requisito no ${requiredSemester}º)`,
+        422,
+        'INVALID_REQUISITE_SEMESTER'
+      );
+    }
+
+    const existing = await CourseDisciplineRequisite.findOne({
+      where: {
+        course_id: courseId,
+        discipline_id: disciplineId,
+        required_discipline_id: requiredId,
+      },
+    });
+    if (existing) {
+      throw new AppError(
+        `Esta disciplina já exige a disciplina informada (${existing.getTypeLabel()})`,
+        409,
+        'REQUISITE_ALREADY_EXISTS'
+      );
+    }
+
+    if (await this._createsCycle(courseId, disciplineId, requiredId)) {
+      throw new AppError(
+        'O requisito criaria um ciclo: a disciplina exigida já depende desta disciplina',
+        422,
+        'REQUISITE_CYCLE'
+      );
+    }
+
+    const requisite = await CourseDisciplineRequisite.create({
+      course_id: courseId,
+      discipline_id: disciplineId,
+      required_discipline_id: requiredId,
+      type,
+    });
+
+    logger.info(
+      `[DisciplineRequisiteService] Requisito ${requisite.id} criado no curso ${courseId}: disciplina ${disciplineId} exige ${requiredId} (${type})`
+    );
+
+    const created = await CourseDisciplineRequisite.findByPk(requisite.id, {
+      include: this._includes(),
+    });
+    return this._serialize(created);
+  }
+
+  /**
+   * Remove um requisito da grade do curso
+   *
+   * @param {number} courseId - ID do curso
+   * @param {number} requisiteId - ID do requisito
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 se o requisito não existir no curso
+   */
+  async remove(courseId, requisiteId) {
+    const requisite = await CourseDisciplineRequisite.findOne({
+      where: { id: requisiteId, course_id: courseId },
+    });
+    if (!requisite) {
+      throw new AppError('Requisito não encontrado', 404, 'REQUISITE_NOT_FOUND');
+    }
+
+    await requisite.destroy();
+    logger.info(
+      `[DisciplineRequisiteService] Requisito ${requisiteId} removido do curso ${courseId}`
+    );
+  }
+
+  /**
+   * Remove os requisitos que envolvem uma disciplina retirada da grade do curso
+   *
+   * @param {number} courseId - ID do curso
+   * @param {number} disciplineId - ID da disciplina retirada
+   * @returns {Promise<number>} Quantidade de requisitos removidos
+   */
+  async removeForDiscipline(courseId, disciplineId) {
+    return CourseDisciplineRequisite.destroy({
+      where: {
+        course_id: courseId,
+        [Op.or]: [{ discipline_id: disciplineId }, { required_discipline_id: disciplineId }],
+      },
+    });
+  }
+
+  /**
+   * Disciplinas concluídas pelo aluno: aprovadas em qualquer turma ou dispensadas
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {Object[]} [results] - Resultados já calculados (GradeService.getStudentResults)
+   * @returns {Promise<Set<number>>}
+   */
+  async getCompletedDisciplineIds(studentId, results = null) {
+    return curriculumVersionService.getCompletedDisciplineIds(studentId, results);
+  }
+
+  /**
+   * Lista os requisitos não cumpridos para cursar as disciplinas informadas
+   *
+   * @param {Object} params
+   * @param {number} params.courseId - Curso cuja grade define os requisitos
+   * @param {number[]} params.disciplineIds - Disciplinas que o aluno vai cursar
+   * @param {Set<number>} params.completedIds - Disciplinas concluídas pelo aluno
+   * @param {number[]} [params.concurrentIds] - Disciplinas cursadas no mesmo período
+   * @returns {Promise<Object[]>} [{ discipline, missing: [{ type, type_label, discipline }] }]
+   */
+  async findMissing({ courseId, disciplineIds, completedIds, concurrentIds = [] }) {
+    if (!disciplineIds || disciplineIds.length === 0) return [];
+
+    const requisites = await CourseDisciplineRequisite.findAll({
+      where: { course_id: courseId, discipline_id: disciplineIds },
+      include: this._includes(),
+      order: [['id', 'ASC']],
+    });
+
+    const concurrent = new Set([...disciplineIds, ...concurrentIds]);
+    const byDiscipline = new Map();
+
+    requisites.forEach((requisite) => {
+      const requiredId = requisite.required_discipline_id;
+      const satisfied =
+        completedIds.has(requiredId) ||
+        (requisite.type === DISCIPLINE_REQUISITE_TYPE.COREQUISITE && concurrent.has(requiredId));
+      if (satisfied) return;
+
+      if (!byDiscipline.has(requisite.discipline_id)) {
+        byDiscipline.set(requisite.discipline_id, {
+          discipline: serializeDiscipline(requisite.discipline),
+          missing: [],
+        });
+      }
+      byDiscipline.get(requisite.discipline_id).missing.push({
+        type: requisite.type,
+        type_label: DISCIPLINE_REQUISITE_TYPE_LABELS[requisite.type],
+        discipline: serializeDiscipline(requisite.requiredDiscipline),
+      });
+    });
+
+    return Array.from(byDiscipline.values());
+  }
+
+  /**
+   * Requisitos não cumpridos para cursar um semestre da grade (avanço de semestre)
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {number} courseId - ID do curso
+   * @param {number} semester - Semestre da grade que o aluno vai cursar
+   * @param {Object} [options] - { results, enrollment } resultados já calculados do aluno e
+   *   matrícula cuja matriz define as disciplinas do semestre (padrão: a mais recente no curso)
+   * @returns {Promise<Object[]>} Mesmo formato de findMissing
+   */
+  async getMissingForSemester(studentId, courseId, semester, options = {}) {
+    const { disciplines } = options.enrollment
+      ? await curriculumVersionService.getEnrollmentCurriculum(options.enrollment)
+      : await curriculumVersionService.getStudentCurriculum(studentId, courseId);
+    const semesterDisciplineIds = disciplines
+      .filter((item) => item.semester === semester)
+      .map((item) => item.discipline_id);
+    if (semesterDisciplineIds.length === 0) return [];
+
+    return this.findMissing({
+      courseId,
+      disciplineIds: semesterDisciplineIds,
+      completedIds: await this.getCompletedDisciplineIds(studentId, options.results || null),
+    });
+  }
+
+  /**
+   * Garante que o aluno cumpre os requisitos para cursar uma disciplina extra
+   *
+   * Os requisitos vêm do curso da turma informada ou, sem turma, dos cursos em que o aluno
+   * está matriculado e cuja matriz do aluno possui a disciplina. Disciplinas do
+   * semestre atual do aluno e disciplinas extras ativas contam como cursadas no mesmo período.
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {number} disciplineId - Disciplina extra
+   * @param {number|null} [classId] - Turma em que a disciplina será cursada
+   * @returns {Promise<void>}
+   * @throws {AppError} 422 PREREQUISITES_NOT_MET com os requisitos faltantes em details
+   */
+  async assertCanTakeExtraDiscipline(studentId, disciplineId, classId = null) {
+    const enrollmentWhere = { student_id: studentId, status: STUDYING_ENROLLMENT_STATUSES };
+    if (classId) {
+      const cls = await Class.findByPk(classId, { attributes: ['id', 'course_id'] });
+      if (cls) enrollmentWhere.course_id = cls.course_id;
+    }
+
+    const enrollments = await Enrollment.findAll({
+      where: enrollmentWhere,
+      attributes: ['id', 'course_id', 'current_semester', 'curriculum_version_id'],
+    });
+
+    let completedIds = null;
+    const missing = [];
+
+    for (const enrollment of enrollments) {
+      const { disciplines: curriculum } =
+        await curriculumVersionService.getEnrollmentCurriculum(enrollment);
+      if (!curriculum.some((item) => item.discipline_id === disciplineId)) continue;
+
+      if (!completedIds) completedIds = await this.getCompletedDisciplineIds(studentId);
+
+      const extras = await StudentExtraDiscipline.findAll({
+        where: { student_id: studentId, status: 'active' },
+        attributes: ['discipline_id'],
+      });
+      const concurrentIds = [
+        ...curriculum
+          .filter((item) => item.semester === enrollment.current_semester)
+          .map((item) => item.discipline_id),
+        ...extras.map((extra) => extra.discipline_id),
+      ];
+
+      const courseMissing = await this.findMissing({
+        courseId: enrollment.course_id,
+        disciplineIds: [disciplineId],
+        completedIds,
+        concurrentIds,
+      });
+      missing.push(...courseMissing);
+    }
+
+    if (missing.length > 0) {
+      const names = missing[0].missing.map(
+        (item) => `${item.discipline ? item.discipline.name : 'disciplina'} (${item.type_label})`
+      );
+      throw new AppError(
+        `Requisitos não cumpridos para cursar a disciplina: ${names.join(', ')}`,
+        422,
+        'PREREQUISITES_NOT_MET',
+        { missing }
+      );
+    }
+  }
+
+  /**
+   * Situação do aluno em relação aos requisitos de cada disciplina da sua matriz curricular
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {number} courseId - ID do curso
+   * @returns {Promise<Object>} { course, curriculum_version, current_semester, disciplines,
+   *   blocked_count }
+   * @throws {AppError} 404 se aluno ou curso não existir
+   */
+  async getStudentReport(studentId, courseId) {
+    const student = await Student.findByPk(studentId, { attributes: ['id'] });
+    if (!student) {
+      throw new AppError('Aluno não encontrado', 404, 'STUDENT_NOT_FOUND');
+    }
+    const course = await this._findCourse(courseId);
+
+    const [enrollment, completedIds] = await Promise.all([
+      Enrollment.findOne({
+        where: { student_id: studentId, course_id: courseId },
+        attributes: ['id', 'course_id', 'status', 'current_semester', 'curriculum_version_id'],
+        order: [['created_at', 'DESC']],
+      }),
+      this.getCompletedDisciplineIds(studentId),
+    ]);
+    const { version, disciplines: curriculum } =
+      await curriculumVersionService.getEnrollmentCurriculum(enrollment || { course_id: courseId });
+
+    const disciplines = [];
+    for (const item of curriculum) {
+      const sameSemester = curriculum
+        .filter((other) => other.semester === item.semester)
+        .map((other) => other.discipline_id);
+      const [entry] = await this.findMissing({
+        courseId,
+        disciplineIds: [item.discipline_id],
+        completedIds,
+        concurrentIds: sameSemester,
+      });
+      const completed = completedIds.has(item.discipline_id);
+
+      disciplines.push({
+        discipline: serializeDiscipline(item.discipline),
+        semester: item.semester,
+        completed,
+        available: !completed && !entry,
+        missing: entry ? entry.missing : [],
+      });
+    }
+
+    return {
+      course: { id: course.id, name: course.name },
+      curriculum_version: version,
+      current_semester: enrollment ? enrollment.current_semester : null,
+      disciplines,
+      blocked_count: disciplines.filter((item) => !item.completed && item.missing.length > 0)
+        .length,
+    };
+  }
+
+  /**
+   * Busca o curso
+   *
+   * @private
+   * @throws {AppError} 404 se o curso não existir
+   */
+  async _findCourse(courseId) {
+    const course = await Course.findByPk(courseId, { attributes: ['id', 'name'] });
+    if (!course) {
+      throw new AppError('Curso não encontrado', 404, 'COURSE_NOT_FOUND');
+    }
+    return course;
+  }
+
+  /**
+   * Menor semestre em que cada disciplina aparece na grade do curso
+   *
+   * @private
+   * @param {number} courseId - ID do curso
+   * @returns {Promise<Map<number, number>>} discipline_id -> semestre
+   */
+  async _getCurriculumSemesters(courseId) {
+    const curriculum = await CourseDiscipline.findAll({
+      where: { course_id: courseId },
+      attributes: ['discipline_id', 'semester'],
+    });
+
+    const semesters = new Map();
+    curriculum.forEach((item) => {
+      const current = semesters.get(item.discipline_id);
+      if (current === undefined || item.semester < current) {
+        semesters.set(item.discipline_id, item.semester);
+      }
+    });
+    return semesters;
+  }
+
+  /**
+   * Verifica se "disciplineId exige requiredId" fecharia um ciclo de requisitos
+   * (requiredId já depende, direta ou indiretamente, de disciplineId)
+   *
+   * @private
+   */
+  async _createsCycle(courseId, disciplineId, requiredId) {
+    const requisites = await CourseDisciplineRequisite.findAll({
+      where: { course_id: courseId },
+      attributes: ['discipline_id', 'required_discipline_id'],
+    });
+
+    const edges = new Map();
+    requisites.forEach((requisite) => {
+      if (!edges.has(requisite.discipline_id)) edges.set(requisite.discipline_id, []);
+      edges.get(requisite.discipline_id).push(requisite.required_discipline_id);
+    });
+
+    const visited = new Set();
+    const stack = [requiredId];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === disciplineId) return true;
+      if (visited.has(current)) continue;
+      visited.add(current);
+      stack.push(...(edges.get(current) || []));
+    }
+    return false;
+  }
+
+  /**
+   * Associações usadas na serialização
+   *
+   * @private
+   */
+  _includes() {
+    return [
+      { model: Discipline, as: 'discipline', attributes: ['id', 'name', 'code'] },
+      { model: Discipline, as: 'requiredDiscipline', attributes: ['id', 'name', 'code'] },
+    ];
+  }
+
+  /**
+   * Formata o requisito para a API
+   *
+   * @private
+   * @param {CourseDisciplineRequisite} requisite - Requisito (com disciplinas)
+   * @returns {Object}
+   */
+  _serialize(requisite) {
+    return {
+      id: requisite.id,
+      course_id: requisite.course_id,
+      discipline_id: requisite.discipline_id,
+      required_discipline_id: requisite.required_discipline_id,
+      type: requisite.type,
+      type_label: requisite.getTypeLabel(),
+      discipline: serializeDiscipline(requisite.discipline),
+      required_discipline: serializeDiscipline(requisite.requiredDiscipline),
+      created_at: requisite.created_at,
+    };
+  }
+}
+
+module.exports = new DisciplineRequisiteService();
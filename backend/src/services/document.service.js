@@ -3,6 +3,9 @@
  * Descrição: Serviço de negócio para gerenciar documentos
  * Feature: feat-042 - Criar DocumentService com validação
  * Criado em: 2025-10-30
+ * Modificado: feat-132 - Documentos de professores no fluxo de revisão
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
+ * Modificado: feat-134 - Documentos obrigatórios por curso
  *
  * Responsabilidades:
  * - Gerenciar upload e armazenamento de documentos
@@ -10,15 +13,75 @@
  * - Aprovar/rejeitar documentos com observações
  * - Deletar documentos do banco e do sistema de arquivos
  * - Listar documentos com filtros por status, usuário, tipo
+ * - Controlar a validade dos documentos aprovados e avisar o dono sobre o vencimento
+ *
+ * O dono do documento é um aluno (student_id) ou um professor (teacher_id); os métodos que
+ * recebem o dono usam ownerType ('student' | 'teacher') + ID da tabela correspondente.
+ *
+ * Validade: o tipo de documento pode definir validity_months; na aprovação o documento recebe
+ * expires_at. Documento vencido conta como pendente e pode ser reenviado a partir da janela de
+ * aviso (DOCUMENT_EXPIRATION_WARNING_DAYS); o documento anterior continua valendo até o novo
+ * ser aprovado.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { addDays } = require('date-fns');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
-const { Document, DocumentType, User, Student } = require('../models');
+const { Document, DocumentType, User, Student, Teacher } = require('../models');
 const { AppError } = require('../middlewares/error.middleware');
 const { UPLOAD_CONSTANTS } = require('../config/upload');
 const emailService = require('./email.service');
+const documentRequirementService = require('./documentRequirement.service');
+const { toDateOnly } = require('../utils/businessDays');
+const { DOCUMENT_EXPIRATION_NOTICE, DOCUMENT_EXPIRATION_CONFIG } = require('../utils/constants');
+
+/**
+ * Model, rótulo e código de erro de cada tipo de dono de documento
+ */
+const OWNER_MODELS = {
+  student: { model: Student, label: 'Estudante', notFoundCode: 'STUDENT_NOT_FOUND' },
+  teacher: { model: Teacher, label: 'Professor', notFoundCode: 'TEACHER_NOT_FOUND' },
+};
+
+/**
+ * Dados do dono do documento no formato "user" usado pelo frontend
+ * (nome → name; matrícula apenas para alunos)
+ *
+ * @param {Object} plain - Documento serializado (toJSON) com student/teacher incluídos
+ * @returns {Object} Documento com user e owner_type, sem student/teacher
+ */
+function serializeOwner(plain) {
+  const ownerType = plain.teacher_id ? 'teacher' : 'student';
+  const owner = ownerType === 'teacher' ? plain.teacher : plain.student;
+  if (owner) {
+    plain.user = {
+      id: owner.id,
+      name: owner.nome,
+      email: owner.email,
+      cpf: owner.cpf,
+      role: ownerType,
+      matricula: ownerType === 'student' ? owner.matricula : null,
+    };
+  }
+  plain.owner_type = ownerType;
+  delete plain.student;
+  delete plain.teacher;
+  return plain;
+}
+
+/**
+ * Dias de antecedência do aviso de vencimento (e da liberação do reenvio)
+ *
+ * @returns {number}
+ */
+function getWarningDays() {
+  const days = parseInt(process.env.DOCUMENT_EXPIRATION_WARNING_DAYS, 10);
+  return Number.isInteger(days) && days >= 0
+    ? days
+    : DOCUMENT_EXPIRATION_CONFIG.DEFAULT_WARNING_DAYS;
+}
 
 /**
  * DocumentService
@@ -34,7 +97,8 @@ class DocumentService {
    * - Registrar log de upload
    *
    * @param {Object} uploadData - Dados do upload
-   * @param {number} uploadData.studentId - ID do estudante que está enviando
+   * @param {number} [uploadData.studentId] - ID do estudante que está enviando
+   * @param {number} [uploadData.teacherId] - ID do professor que está enviando (em vez do estudante)
    * @param {number} uploadData.documentTypeId - ID do tipo de documento
    * @param {string} uploadData.filePath - Caminho do arquivo no servidor
    * @param {string} uploadData.fileName - Nome do arquivo
@@ -42,7 +106,7 @@ class DocumentService {
    * @param {string} uploadData.mimeType - Tipo MIME do arquivo
    *
    * @returns {Promise<Object>} Documento criado no banco de dados
-   * @throws {AppError} Validações falham (estudante, tipo de documento, duplicação)
+   * @throws {AppError} Validações falham (dono, tipo de documento, duplicação)
    *
    * @example
    * const document = await DocumentService.upload({
@@ -55,21 +119,14 @@ class DocumentService {
    * });
    */
   static async upload(uploadData) {
-    const {
-      studentId,
-      documentTypeId,
-      filePath,
-      fileName,
-      fileSize,
-      mimeType,
-    } = uploadData;
+    const { studentId, teacherId, documentTypeId, filePath, fileName, fileSize, mimeType } =
+      uploadData;
+    const ownerType = teacherId ? 'teacher' : 'student';
+    const ownerId = teacherId || studentId;
 
     try {
-      // 1. Validar se estudante existe
-      const student = await Student.findByPk(studentId);
-      if (!student) {
-        throw new AppError('Estudante não encontrado', 404, 'STUDENT_NOT_FOUND');
-      }
+      // 1. Validar se o dono (estudante ou professor) existe
+      await this._findOwner(ownerType, ownerId);
 
       // 2. Validar se tipo de documento existe
       const documentType = await DocumentType.findByPk(documentTypeId);
@@ -81,25 +138,31 @@ class DocumentService {
         );
       }
 
-      // 3. Validar se documentType é aplicável para estudantes
-      if (!documentType.isApplicableFor('student')) {
+      // 3. Validar se documentType é aplicável para o tipo de usuário
+      if (!documentType.isApplicableFor(ownerType)) {
         throw new AppError(
-          'Este tipo de documento não é aplicável para alunos',
+          `Este tipo de documento não é aplicável para ${ownerType === 'teacher' ? 'professores' : 'alunos'}`,
           422,
           'DOCUMENT_TYPE_NOT_APPLICABLE'
         );
       }
 
       // 4. Verificar se já existe documento deste tipo (para evitar duplicação)
-      const existingDocument = await Document.findByStudentAndType(
-        studentId,
+      const existingDocument = await Document.findByOwnerAndType(
+        ownerType,
+        ownerId,
         documentTypeId
       );
 
       // Se existe documento anterior, deletar (permitir reenvio)
+      // Aprovado vencido ou perto de vencer: reenvio permitido, o anterior vale até a nova aprovação
+      const renewable =
+        existingDocument &&
+        existingDocument.status === 'approved' &&
+        existingDocument.isExpiringWithin(getWarningDays());
       if (existingDocument && existingDocument.status === 'rejected') {
         await this.delete(existingDocument.id);
-      } else if (existingDocument && existingDocument.status !== 'rejected') {
+      } else if (existingDocument && !renewable) {
         throw new AppError(
           `Você já enviou este documento. Status: ${existingDocument.getStatusLabel()}`,
           409,
@@ -109,7 +172,7 @@ class DocumentService {
 
       // 5. Criar registro de documento no banco
       const document = await Document.create({
-        student_id: studentId,
+        [Document.OWNER_FIELDS[ownerType]]: ownerId,
         document_type_id: documentTypeId,
         file_path: filePath,
         file_name: fileName,
@@ -121,7 +184,8 @@ class DocumentService {
       // 6. Registrar log
       logger.info('[DocumentService] Documento enviado com sucesso', {
         documentId: document.id,
-        studentId,
+        ownerType,
+        ownerId,
         documentTypeId,
         fileName,
         fileSize,
@@ -136,7 +200,8 @@ class DocumentService {
       }
 
       logger.error('[DocumentService] Erro ao fazer upload de documento', {
-        studentId,
+        ownerType,
+        ownerId,
         documentTypeId,
         error: error.message,
       });
@@ -157,6 +222,8 @@ class DocumentService {
    * - Validar se quem está aprovando é admin
    * - Atualizar status para 'approved'
    * - Registrar informações de quem aprovou e quando
+   * - Calcular a validade (expires_at) pelo tipo de documento
+   * - Remover o documento anterior do mesmo tipo substituído por este reenvio
    * - Enviar email de notificação ao usuário
    *
    * @param {number} documentId - ID do documento a aprovar
@@ -173,7 +240,7 @@ class DocumentService {
     try {
       // 1. Buscar documento
       const document = await Document.findByPk(documentId, {
-        include: ['student', 'documentType'],
+        include: ['student', 'teacher', 'documentType'],
       });
 
       if (!document) {
@@ -194,44 +261,62 @@ class DocumentService {
       }
 
       // 3. Aprovar usando método do model
-      await document.approve(reviewerId, observations);
+      await document.approve(
+        reviewerId,
+        observations,
+        document.documentType.getExpirationDate(new Date())
+      );
+
+      // Reenvio de documento vencido: o aprovado anterior deixa de valer
+      const superseded = await Document.findAll({
+        where: {
+          [Document.OWNER_FIELDS[document.getOwnerType()]]: document.getOwnerId(),
+          document_type_id: document.document_type_id,
+          id: { [Op.ne]: document.id },
+          created_at: { [Op.lte]: document.created_at },
+        },
+        attributes: ['id'],
+      });
+      for (const previous of superseded) {
+        await this.delete(previous.id);
+      }
 
       logger.info('[DocumentService] Documento aprovado', {
         documentId,
-        studentId: document.student_id,
+        ownerType: document.getOwnerType(),
+        ownerId: document.getOwnerId(),
         documentTypeId: document.document_type_id,
         reviewerId,
         observations,
       });
 
       // 4. Enviar email de notificação (operação não-bloqueante)
+      const owner = document.getOwner();
       try {
-        if (document.student && document.student.email) {
-          await emailService.sendDocumentApprovedEmail(
-            document.student.email,
-            document.documentType.name,
-            {
-              name: document.student.nome,
-              observations: observations,
-            }
-          );
+        if (owner && owner.email) {
+          await emailService.sendDocumentApprovedEmail(owner.email, document.documentType.name, {
+            name: owner.nome,
+            observations: observations,
+          });
 
           logger.info('[DocumentService] Email de aprovação enviado', {
             documentId,
-            studentId: document.student_id,
-            email: document.student.email,
+            ownerType: document.getOwnerType(),
+            ownerId: document.getOwnerId(),
+            email: owner.email,
           });
         } else {
-          logger.warn('[DocumentService] Estudante sem email cadastrado', {
+          logger.warn('[DocumentService] Dono do documento sem email cadastrado', {
             documentId,
-            studentId: document.student_id,
+            ownerType: document.getOwnerType(),
+            ownerId: document.getOwnerId(),
           });
         }
       } catch (emailError) {
         // Email é operação secundária, não deve falhar a aprovação
         logger.error('[DocumentService] Erro ao enviar email de aprovação', {
           documentId,
-          studentId: document.student_id,
+          ownerId: document.getOwnerId(),
           error: emailError.message,
         });
       }
@@ -289,7 +374,7 @@ class DocumentService {
 
       // 2. Buscar documento
       const document = await Document.findByPk(documentId, {
-        include: ['student', 'documentType'],
+        include: ['student', 'teacher', 'documentType'],
       });
 
       if (!document) {
@@ -314,40 +399,44 @@ class DocumentService {
 
       logger.info('[DocumentService] Documento rejeitado', {
         documentId,
-        studentId: document.student_id,
+        ownerType: document.getOwnerType(),
+        ownerId: document.getOwnerId(),
         documentTypeId: document.document_type_id,
         reviewerId,
         observations,
       });
 
       // 5. Enviar email de notificação (operação não-bloqueante)
+      const owner = document.getOwner();
       try {
-        if (document.student && document.student.email) {
+        if (owner && owner.email) {
           await emailService.sendDocumentRejectedEmail(
-            document.student.email,
+            owner.email,
             document.documentType.name,
             observations,
             {
-              name: document.student.nome,
+              name: owner.nome,
             }
           );
 
           logger.info('[DocumentService] Email de rejeição enviado', {
             documentId,
-            studentId: document.student_id,
-            email: document.student.email,
+            ownerType: document.getOwnerType(),
+            ownerId: document.getOwnerId(),
+            email: owner.email,
           });
         } else {
-          logger.warn('[DocumentService] Estudante sem email cadastrado', {
+          logger.warn('[DocumentService] Dono do documento sem email cadastrado', {
             documentId,
-            studentId: document.student_id,
+            ownerType: document.getOwnerType(),
+            ownerId: document.getOwnerId(),
           });
         }
       } catch (emailError) {
         // Email é operação secundária, não deve falhar a rejeição
         logger.error('[DocumentService] Erro ao enviar email de rejeição', {
           documentId,
-          studentId: document.student_id,
+          ownerId: document.getOwnerId(),
           error: emailError.message,
         });
       }
@@ -464,6 +553,9 @@ class DocumentService {
    * @param {Object} filters - Filtros aplicados
    * @param {string} filters.status - Status do documento (pending, approved, rejected)
    * @param {number} filters.studentId - ID do estudante
+   * @param {number} filters.teacherId - ID do professor
+   * @param {string} filters.ownerType - Apenas documentos de alunos ('student') ou de professores ('teacher')
+   * @param {number} filters.matricula - Matrícula do aluno (restringe a documentos de alunos)
    * @param {number} filters.page - Página (padrão: 1)
    * @param {number} filters.limit - Itens por página (padrão: 20)
    * @param {string} filters.orderBy - Campo para ordenar (padrão: created_at)
@@ -483,6 +575,8 @@ class DocumentService {
       const {
         status,
         studentId,
+        teacherId,
+        ownerType,
         matricula,
         page = 1,
         limit = 20,
@@ -501,6 +595,12 @@ class DocumentService {
       if (studentId) {
         where.student_id = studentId;
       }
+      if (teacherId) {
+        where.teacher_id = teacherId;
+      }
+      if (ownerType) {
+        where[Document.OWNER_FIELDS[ownerType]] = { [Op.ne]: null };
+      }
 
       // Construir where clause para o estudante (filtro por matrícula)
       const studentWhere = {};
@@ -518,9 +618,14 @@ class DocumentService {
             where: Object.keys(studentWhere).length > 0 ? studentWhere : undefined,
             required: Object.keys(studentWhere).length > 0,
           },
+          {
+            association: 'teacher',
+            attributes: ['id', 'nome', 'email', 'cpf'],
+            required: false,
+          },
           {
             association: 'documentType',
-            attributes: ['id', 'name', 'user_type', 'is_required'],
+            attributes: ['id', 'name', 'user_type', 'is_required', 'validity_months'],
           },
           {
             association: 'reviewer',
@@ -533,21 +638,8 @@ class DocumentService {
         offset,
       });
 
-      // Mapear student → user (nome → name) para compatibilidade com o frontend
-      const documents = rows.map((doc) => {
-        const plain = doc.toJSON();
-        if (plain.student) {
-          plain.user = {
-            id: plain.student.id,
-            name: plain.student.nome,
-            email: plain.student.email,
-            cpf: plain.student.cpf,
-            matricula: plain.student.matricula,
-          };
-          delete plain.student;
-        }
-        return plain;
-      });
+      // Mapear student/teacher → user (nome → name) para compatibilidade com o frontend
+      const documents = rows.map((doc) => serializeOwner(doc.toJSON()));
 
       return {
         documents,
@@ -586,9 +678,13 @@ class DocumentService {
             association: 'student',
             attributes: ['id', 'nome', 'email', 'cpf'],
           },
+          {
+            association: 'teacher',
+            attributes: ['id', 'nome', 'email', 'cpf'],
+          },
           {
             association: 'documentType',
-            attributes: ['id', 'name', 'user_type', 'is_required'],
+            attributes: ['id', 'name', 'user_type', 'is_required', 'validity_months'],
           },
           {
             association: 'reviewer',
@@ -628,44 +724,71 @@ class DocumentService {
   /**
    * Validar se documentos obrigatórios foram aprovados
    *
-   * @param {number} studentId - ID do estudante
+   * @param {number} ownerId - ID do estudante (ou do professor, com ownerType 'teacher')
+   * @param {'student'|'teacher'} [ownerType='student'] - Tipo de usuário dono dos documentos
+   * @param {Object} [options] - Opções
+   * @param {number} [options.courseId] - Curso do aluno: inclui os documentos exigidos pelo curso
+   *   e pelo tipo do curso (DocumentRequirementService)
+   *
+   * Documento aprovado vencido tem status 'expired' e conta como pendente. Enquanto o reenvio
+   * de um documento vencido aguarda revisão, vale o aprovado anterior se ainda estiver no prazo.
    *
-   * @returns {Promise<Object>} { allApproved, pending, approved, rejected }
+   * @returns {Promise<Object>} { allApproved, pending, approved, rejected, expired }
    */
-  static async validateRequiredDocuments(studentId) {
+  static async validateRequiredDocuments(ownerId, ownerType = 'student', options = {}) {
     try {
-      const student = await Student.findByPk(studentId);
-      if (!student) {
-        throw new AppError('Estudante não encontrado', 404, 'STUDENT_NOT_FOUND');
-      }
+      await this._findOwner(ownerType, ownerId);
 
-      // Buscar tipos de documentos obrigatórios para estudantes
-      const requiredTypes = await DocumentType.findRequiredForUserType('student');
+      // Buscar tipos de documentos obrigatórios para o tipo de usuário (e o curso do aluno)
+      const requiredTypes =
+        ownerType === 'student' && options.courseId
+          ? (await documentRequirementService.getRequiredDocumentTypes(options.courseId)).map(
+              (item) => item.documentType
+            )
+          : await DocumentType.findRequiredForUserType(ownerType);
 
       // Para cada tipo obrigatório, verificar status
       const documentStatus = await Promise.all(
         requiredTypes.map(async (docType) => {
-          const doc = await Document.findByStudentAndType(studentId, docType.id);
+          let doc = await Document.findByOwnerAndType(ownerType, ownerId, docType.id);
+          if (doc && doc.status === 'pending') {
+            const previous = await Document.findOne({
+              where: {
+                [Document.OWNER_FIELDS[ownerType]]: ownerId,
+                document_type_id: docType.id,
+                status: 'approved',
+              },
+              order: [['created_at', 'DESC']],
+            });
+            if (previous && !previous.isExpired()) doc = previous;
+          }
+
+          let status = doc ? doc.status : 'not_sent';
+          if (doc && doc.status === 'approved' && doc.isExpired()) status = 'expired';
+
           return {
             documentTypeId: docType.id,
             documentTypeName: docType.name,
-            status: doc ? doc.status : 'not_sent',
+            status,
+            expiresAt: doc ? doc.expires_at : null,
             document: doc,
           };
         })
       );
 
       const pending = documentStatus.filter(
-        (d) => d.status === 'pending' || d.status === 'not_sent'
+        (d) => d.status === 'pending' || d.status === 'not_sent' || d.status === 'expired'
       );
       const approved = documentStatus.filter((d) => d.status === 'approved');
       const rejected = documentStatus.filter((d) => d.status === 'rejected');
+      const expired = documentStatus.filter((d) => d.status === 'expired');
 
       return {
         allApproved: pending.length === 0,
         pending,
         approved,
         rejected,
+        expired,
       };
     } catch (error) {
       if (error.isOperational) {
@@ -675,7 +798,8 @@ class DocumentService {
       logger.error(
         '[DocumentService] Erro ao validar documentos obrigatórios',
         {
-          studentId,
+          ownerType,
+          ownerId,
           error: error.message,
         }
       );
@@ -717,29 +841,41 @@ class DocumentService {
    * // }
    */
   static async getDocumentsByStudent(studentId, options = {}) {
+    return this.getDocumentsByOwner('student', studentId, options);
+  }
+
+  /**
+   * Listar documentos de um aluno ou professor
+   *
+   * Mesma listagem de getDocumentsByStudent, para qualquer tipo de dono.
+   *
+   * @param {'student'|'teacher'} ownerType - Tipo de usuário dono dos documentos
+   * @param {number} ownerId - ID do estudante ou do professor
+   * @param {Object} options - Opções de listagem ({ page, limit })
+   *
+   * @returns {Promise<Object>} { documents, total, page, limit, pages }
+   * @throws {AppError} Dono não encontrado ou erro ao buscar
+   *
+   * @example
+   * const result = await DocumentService.getDocumentsByOwner('teacher', 3, { page: 1 });
+   */
+  static async getDocumentsByOwner(ownerType, ownerId, options = {}) {
     try {
       const { page = 1, limit = 20 } = options;
 
-      // 1. Validar se estudante existe
-      const student = await Student.findByPk(studentId);
-      if (!student) {
-        throw new AppError(
-          'Estudante não encontrado',
-          404,
-          'STUDENT_NOT_FOUND'
-        );
-      }
+      // 1. Validar se o dono existe
+      await this._findOwner(ownerType, ownerId);
 
       // 2. Calcular offset para paginação
       const offset = (Math.max(1, page) - 1) * limit;
 
-      // 3. Buscar documentos do estudante
+      // 3. Buscar documentos do dono
       const { count, rows } = await Document.findAndCountAll({
-        where: { student_id: studentId },
+        where: { [Document.OWNER_FIELDS[ownerType]]: ownerId },
         include: [
           {
             association: 'documentType',
-            attributes: ['id', 'name', 'user_type', 'is_required'],
+            attributes: ['id', 'name', 'user_type', 'is_required', 'validity_months'],
           },
           {
             association: 'reviewer',
@@ -752,8 +888,9 @@ class DocumentService {
         offset,
       });
 
-      logger.info('[DocumentService] Documentos do estudante listados', {
-        studentId,
+      logger.info('[DocumentService] Documentos do usuário listados', {
+        ownerType,
+        ownerId,
         total: count,
         page,
         limit,
@@ -771,19 +908,98 @@ class DocumentService {
         throw error;
       }
 
-      logger.error('[DocumentService] Erro ao listar documentos do estudante', {
-        studentId,
+      logger.error('[DocumentService] Erro ao listar documentos do usuário', {
+        ownerType,
+        ownerId,
         error: error.message,
       });
 
       throw new AppError(
-        'Erro ao listar documentos do estudante',
+        ownerType === 'teacher'
+          ? 'Erro ao listar documentos do professor'
+          : 'Erro ao listar documentos do estudante',
         500,
-        'STUDENT_DOCUMENTS_LIST_ERROR'
+        ownerType === 'teacher' ? 'TEACHER_DOCUMENTS_LIST_ERROR' : 'STUDENT_DOCUMENTS_LIST_ERROR'
       );
     }
   }
 
+  /**
+   * Sinalizar documentos vencidos ou a vencer e avisar o dono por email
+   *
+   * Executado pelo job noturno document-expiration. Considera os documentos aprovados com
+   * expires_at até a data + DOCUMENT_EXPIRATION_WARNING_DAYS; cada aviso (a vencer, vencido)
+   * é enviado uma única vez por documento. Documentos com reenvio já feito pelo dono são
+   * ignorados.
+   *
+   * @param {Date} [date=new Date()] - Data de referência
+   * @returns {Promise<Object>} { expiring: number[], expired: number[] } IDs sinalizados
+   *
+   * @example
+   * const result = await DocumentService.processExpirations();
+   * // { expiring: [12, 15], expired: [8] }
+   */
+  static async processExpirations(date = new Date()) {
+    const warningDays = getWarningDays();
+    const result = { expiring: [], expired: [] };
+
+    const documents = await Document.findAll({
+      where: {
+        status: 'approved',
+        expires_at: { [Op.ne]: null, [Op.lte]: toDateOnly(addDays(date, warningDays)) },
+      },
+      include: ['student', 'teacher', 'documentType'],
+      order: [['expires_at', 'ASC']],
+    });
+
+    for (const document of documents) {
+      const expired = document.isExpired(date);
+      const notice = expired
+        ? DOCUMENT_EXPIRATION_NOTICE.EXPIRED
+        : DOCUMENT_EXPIRATION_NOTICE.EXPIRING_SOON;
+      if (document.expiration_notice === notice) continue;
+
+      const newer = await Document.count({
+        where: {
+          [Document.OWNER_FIELDS[document.getOwnerType()]]: document.getOwnerId(),
+          document_type_id: document.document_type_id,
+          created_at: { [Op.gt]: document.created_at },
+        },
+      });
+      if (newer > 0) continue;
+
+      await document.update({ expiration_notice: notice, expiration_notified_at: new Date() });
+      result[expired ? 'expired' : 'expiring'].push(document.id);
+
+      // Email é operação secundária, não deve impedir a sinalização dos demais documentos
+      const owner = document.getOwner();
+      try {
+        if (owner && owner.email) {
+          await emailService.sendDocumentExpirationEmail(owner.email, document.documentType.name, {
+            name: owner.nome,
+            expiresAt: document.expires_at,
+            expired,
+            ownerType: document.getOwnerType(),
+          });
+        }
+      } catch (emailError) {
+        logger.error('[DocumentService] Erro ao enviar aviso de vencimento', {
+          documentId: document.id,
+          ownerId: document.getOwnerId(),
+          error: emailError.message,
+        });
+      }
+    }
+
+    logger.info('[DocumentService] Vencimento de documentos processado', {
+      warningDays,
+      expiring: result.expiring.length,
+      expired: result.expired.length,
+    });
+
+    return result;
+  }
+
   /**
    * Obter estatísticas de documentos
    *
@@ -849,22 +1065,24 @@ class DocumentService {
    *
    * Responsabilidades:
    * - Validar se documento existe
-   * - Validar permissão: estudante do documento ou admin
+   * - Validar permissão: dono do documento (aluno ou professor) ou admin
    * - Validar se arquivo existe no servidor
    * - Retornar caminho do arquivo e nome para download
    *
    * @param {number} documentId - ID do documento a fazer download
-   * @param {number} studentId - ID do estudante que está fazendo download (ou null se admin)
-   * @param {string} userRole - Role do usuário (admin, teacher, student)
+   * @param {Object} requester - Usuário autenticado
+   * @param {string} requester.role - Role do usuário (admin, teacher, student)
+   * @param {number|null} requester.student_id - ID do estudante vinculado ao usuário
+   * @param {number|null} requester.teacher_id - ID do professor vinculado ao usuário
    *
    * @returns {Promise<Object>} { filePath, fileName }
    * @throws {AppError} Documento não encontrado, sem permissão ou arquivo não existe
    *
    * @example
-   * const file = await DocumentService.download(10, 5, 'student');
+   * const file = await DocumentService.download(10, req.user);
    * // Retorna: { filePath: 'uploads/documents/5/1698700200000-rg.pdf', fileName: '1698700200000-rg.pdf' }
    */
-  static async download(documentId, studentId, userRole) {
+  static async download(documentId, requester) {
     try {
       // 1. Buscar documento
       const document = await Document.findByPk(documentId);
@@ -877,8 +1095,12 @@ class DocumentService {
         );
       }
 
-      // 2. Validar permissão (próprio estudante ou admin)
-      if (document.student_id !== studentId && userRole !== 'admin') {
+      // 2. Validar permissão (próprio aluno/professor ou admin)
+      const isOwner =
+        document.getOwnerType() === 'teacher'
+          ? Boolean(requester.teacher_id) && document.teacher_id === requester.teacher_id
+          : Boolean(requester.student_id) && document.student_id === requester.student_id;
+      if (!isOwner && requester.role !== 'admin') {
         throw new AppError(
           'Você não tem permissão para acessar este documento',
           403,
@@ -907,8 +1129,9 @@ class DocumentService {
 
       logger.info('[DocumentService] Download autorizado', {
         documentId,
-        studentId,
-        documentOwnerId: document.student_id,
+        requesterId: requester.id,
+        documentOwnerType: document.getOwnerType(),
+        documentOwnerId: document.getOwnerId(),
         fileName: document.file_name,
       });
 
@@ -925,7 +1148,7 @@ class DocumentService {
 
       logger.error('[DocumentService] Erro ao preparar download', {
         documentId,
-        studentId,
+        requesterId: requester.id,
         error: error.message,
       });
 
@@ -936,6 +1159,24 @@ class DocumentService {
       );
     }
   }
+
+  /**
+   * Busca o dono do documento (estudante ou professor)
+   *
+   * @private
+   * @param {'student'|'teacher'} ownerType - Tipo de usuário
+   * @param {number} ownerId - ID na tabela students ou teachers
+   * @returns {Promise<Student|Teacher>}
+   * @throws {AppError} 404 se o dono não existir
+   */
+  static async _findOwner(ownerType, ownerId) {
+    const { model, label, notFoundCode } = OWNER_MODELS[ownerType];
+    const owner = ownerId ? await model.findByPk(ownerId) : null;
+    if (!owner) {
+      throw new AppError(`${label} não encontrado`, 404, notFoundCode);
+    }
+    return owner;
+  }
 }
 
 module.exports = DocumentService;
@@ -0,0 +1,145 @@
+/**
+ * Arquivo: backend/src/services/documentGenerator.service.js
+ * Descrição: Registro de geradores de documentos em PDF por tipo de solicitação
+ * Feature: feat-117 - Geradores de documentos por tipo de solicitação
+ * Modificado: feat-121 - Gerador configurado no tipo de solicitação (RequestType.document_generator)
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Registrar os geradores de documento pela sua chave (DOCUMENT_KIND), que é o valor
+ *   configurado em RequestType.document_generator
+ * - Listar os geradores disponíveis para a configuração dos tipos de solicitação
+ * - Gerar o PDF assinado ao aprovar a solicitação e salvar pdf_path/signature_hash
+ * - Registrar o documento emitido no registro de documentos assinados
+ * - Informar o prefixo do arquivo para download
+ */
+
+const AtestadoMatriculaService = require('./atestadoMatricula.service');
+const HistoricoEscolarService = require('./historicoEscolar.service');
+const DeclaracaoFrequenciaService = require('./declaracaoFrequencia.service');
+const CertificadoConclusaoService = require('./certificadoConclusao.service');
+const SignedDocumentService = require('./signedDocument.service');
+
+class DocumentGeneratorService {
+  constructor() {
+    this.generators = new Map();
+  }
+
+  /**
+   * Registra um gerador (subclasse de BrandedDocumentService) pelo seu DOCUMENT_KIND
+   *
+   * @param {typeof import('./brandedDocument.service')} generator - Classe do documento
+   */
+  register(generator) {
+    if (!generator.DOCUMENT_KIND || !generator.TITLE) {
+      throw new Error(`${generator.name} não define DOCUMENT_KIND e TITLE`);
+    }
+    this.generators.set(generator.DOCUMENT_KIND, generator);
+  }
+
+  /**
+   * Retorna o gerador pela chave (ou null)
+   *
+   * @param {string|null} key - Chave do gerador (RequestType.document_generator)
+   * @returns {Function|null}
+   */
+  getGenerator(key) {
+    return (key && this.generators.get(key)) || null;
+  }
+
+  /**
+   * Indica se existe gerador registrado para a chave
+   *
+   * @param {string|null} key - Chave do gerador (RequestType.document_generator)
+   * @returns {boolean}
+   */
+  hasGenerator(key) {
+    return !!key && this.generators.has(key);
+  }
+
+  /**
+   * Lista os geradores disponíveis (para configurar os tipos de solicitação)
+   *
+   * @returns {Array<{key: string, title: string}>}
+   */
+  listGenerators() {
+    return Array.from(this.generators.values()).map((generator) => ({
+      key: generator.DOCUMENT_KIND,
+      title: generator.TITLE,
+    }));
+  }
+
+  /**
+   * Prefixo do arquivo enviado no download (ex: 'atestado_matricula')
+   *
+   * @param {string|null} key - Chave do gerador (RequestType.document_generator)
+   * @returns {string}
+   */
+  getDownloadPrefix(key) {
+    const generator = this.getGenerator(key);
+    return generator ? generator.FILE_PREFIX : 'documento';
+  }
+
+  /**
+   * Gera o documento de uma solicitação aprovada, salva pdf_path e signature_hash
+   * e registra o documento no registro de documentos assinados.
+   *
+   * Erros são registrados em log sem interromper o fluxo de aprovação.
+   *
+   * @param {Object} request - Instância do model Request (já aprovada)
+   * @param {string} key     - Chave do gerador configurado no tipo da solicitação
+   * @returns {Promise<boolean>} true se o documento foi gerado
+   */
+  async generateForRequest(request, key) {
+    const generator = this.getGenerator(key);
+    if (!generator) return false;
+
+    console.log(
+      `[DocumentGenerator] Gerando "${generator.TITLE}" para solicitação ${request.id}, aluno ${request.student_id}`
+    );
+
+    try {
+      const data = await generator.collectData(request);
+      if (!data) return false;
+
+      const signatureHash = await generator.generateUniqueHash();
+      const pdfResult = await generator.generatePDF({
+        ...data,
+        requestId: request.id,
+        signatureHash,
+      });
+
+      await request.update({
+        pdf_path: pdfResult.relativePath,
+        signature_hash: signatureHash,
+      });
+
+      await SignedDocumentService.register({
+        documentKind: generator.DOCUMENT_KIND,
+        title: generator.TITLE,
+        signatureHash,
+        studentId: request.student_id,
+        requestId: request.id,
+        filePath: pdfResult.relativePath,
+      });
+
+      console.log(
+        `[DocumentGenerator] Documento salvo para solicitação ${request.id} ` +
+          `(Hash: ${signatureHash}, Arquivo: ${pdfResult.fileName})`
+      );
+      return true;
+    } catch (error) {
+      console.error(`[DocumentGenerator] ERRO na solicitação ${request.id}:`, error);
+      return false;
+    }
+  }
+}
+
+const documentGeneratorService = new DocumentGeneratorService();
+
+documentGeneratorService.register(AtestadoMatriculaService);
+documentGeneratorService.register(HistoricoEscolarService);
+documentGeneratorService.register(DeclaracaoFrequenciaService);
+documentGeneratorService.register(CertificadoConclusaoService);
+
+module.exports = documentGeneratorService;
@@ -0,0 +1,285 @@
+/**
+ * Arquivo: backend/src/services/documentRequirement.service.js
+ * Descrição: Documentos obrigatórios por curso e por tipo de curso
+ * Feature: feat-134 - Documentos obrigatórios por curso
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Cadastrar e remover regras que tornam um tipo de documento obrigatório para um curso ou
+ *   para todos os cursos de um tipo (course_type)
+ * - Montar o conjunto de documentos obrigatórios de um curso
+ *
+ * Conjunto obrigatório de um curso = tipos com is_required (aluno ou ambos), que valem para
+ * todos os alunos + regras do tipo do curso + regras do próprio curso. Um documento exigido
+ * só por alguns cursos deve ter is_required = false e ser vinculado por regra.
+ */
+
+const { Op } = require('sequelize');
+const { DocumentTypeRequirement, DocumentType, Course } = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const { COURSE_TYPES, DOCUMENT_REQUIREMENT_ORIGIN } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Tipos de usuário cujos documentos valem para alunos
+ */
+const STUDENT_USER_TYPES = ['student', 'both'];
+
+/**
+ * Dados públicos de um tipo de documento
+ *
+ * @param {DocumentType} documentType
+ * @returns {Object|null}
+ */
+function serializeDocumentType(documentType) {
+  if (!documentType) return null;
+  return {
+    id: documentType.id,
+    name: documentType.name,
+    description: documentType.description,
+    is_required: documentType.is_required,
+  };
+}
+
+class DocumentRequirementService {
+  /**
+   * Documentos obrigatórios dos alunos de um curso, com a origem de cada um
+   *
+   * @param {number} courseId - ID do curso
+   * @returns {Promise<Object>} { course, document_types: [{ document_type, origin,
+   *   requirement_id }] }
+   * @throws {AppError} 404 se o curso não existir
+   */
+  async listByCourse(courseId) {
+    const course = await this._findCourse(courseId);
+    const required = await this.getRequiredDocumentTypes(course);
+
+    return {
+      course: { id: course.id, name: course.name, course_type: course.course_type },
+      document_types: required.map((item) => ({
+        document_type: serializeDocumentType(item.documentType),
+        origin: item.origin,
+        requirement_id: item.requirementId,
+      })),
+    };
+  }
+
+  /**
+   * Lista as regras por tipo de curso
+   *
+   * @param {string|null} [courseType] - Filtra por um tipo de curso
+   * @returns {Promise<Object[]>}
+   */
+  async listByCourseType(courseType = null) {
+    const requirements = await DocumentTypeRequirement.findAll({
+      where: courseType ? { course_type: courseType } : { course_type: { [Op.ne]: null } },
+      include: [{ association: 'documentType' }],
+      order: [
+        ['course_type', 'ASC'],
+        ['document_type_id', 'ASC'],
+      ],
+    });
+
+    return requirements.map((requirement) => this._serialize(requirement));
+  }
+
+  /**
+   * Cadastra uma regra de documento obrigatório para um curso ou tipo de curso
+   *
+   * @param {Object} data - { document_type_id, course_id } ou { document_type_id, course_type }
+   * @returns {Promise<Object>} Regra criada
+   * @throws {AppError} 400 dados inválidos, 404 curso ou tipo de documento,
+   *   409 regra duplicada, 422 documento não aplicável a alunos ou já obrigatório para todos
+   */
+  async create(data = {}) {
+    const documentTypeId = parseInt(data.document_type_id, 10);
+    const courseId = data.course_id ? parseInt(data.course_id, 10) : null;
+    const courseType = data.course_type || null;
+
+    if (!documentTypeId) {
+      throw new AppError('Informe o tipo de documento', 400, 'VALIDATION_ERROR');
+    }
+    if (Boolean(courseId) === Boolean(courseType)) {
+      throw new AppError('Informe o curso ou o tipo de curso da regra', 400, 'VALIDATION_ERROR');
+    }
+    if (courseType && !COURSE_TYPES.includes(courseType)) {
+      throw new AppError(
+        `Tipo de curso inválido. Valores aceitos: ${COURSE_TYPES.join(', ')}`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+    if (courseId) {
+      await this._findCourse(courseId);
+    }
+
+    const documentType = await DocumentType.findByPk(documentTypeId);
+    if (!documentType) {
+      throw new AppError('Tipo de documento não encontrado', 404, 'DOCUMENT_TYPE_NOT_FOUND');
+    }
+    if (!documentType.isApplicableFor('student')) {
+      throw new AppError(
+        'Este tipo de documento não é aplicável para alunos',
+        422,
+        'DOCUMENT_TYPE_NOT_APPLICABLE'
+      );
+    }
+    if (documentType.is_required) {
+      throw new AppError(
+        'Este tipo de documento já é obrigatório para todos os alunos',
+        422,
+        'DOCUMENT_TYPE_ALREADY_REQUIRED'
+      );
+    }
+
+    const scope = courseId ? { course_id: courseId } : { course_type: courseType };
+    const existing = await DocumentTypeRequirement.findOne({
+      where: { document_type_id: documentTypeId, ...scope },
+    });
+    if (existing) {
+      throw new AppError(
+        courseId
+          ? 'Este documento já é obrigatório para o curso'
+          : 'Este documento já é obrigatório para o tipo de curso',
+        409,
+        'DOCUMENT_REQUIREMENT_ALREADY_EXISTS'
+      );
+    }
+
+    const requirement = await DocumentTypeRequirement.create({
+      document_type_id: documentTypeId,
+      ...scope,
+    });
+
+    logger.info('[DocumentRequirementService] Regra de documento obrigatório cadastrada', {
+      requirementId: requirement.id,
+      documentTypeId,
+      courseId,
+      courseType,
+    });
+
+    const created = await DocumentTypeRequirement.findByPk(requirement.id, {
+      include: [{ association: 'documentType' }],
+    });
+    return this._serialize(created);
+  }
+
+  /**
+   * Remove uma regra de documento obrigatório
+   *
+   * @param {number} id - ID da regra
+   * @param {number|null} [courseId] - Quando informado, a regra deve ser deste curso
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 se a regra não existir
+   */
+  async remove(id, courseId = null) {
+    const where = courseId ? { id, course_id: courseId } : { id };
+    const requirement = await DocumentTypeRequirement.findOne({ where });
+    if (!requirement) {
+      throw new AppError('Regra de documento obrigatório não encontrada', 404, 'NOT_FOUND');
+    }
+
+    await requirement.destroy();
+
+    logger.info('[DocumentRequirementService] Regra de documento obrigatório removida', {
+      requirementId: id,
+      documentTypeId: requirement.document_type_id,
+      courseId: requirement.course_id,
+      courseType: requirement.course_type,
+    });
+  }
+
+  /**
+   * Tipos de documento obrigatórios para os alunos de um curso
+   *
+   * Sem curso, retorna apenas os obrigatórios para todos os alunos. Um tipo exigido por mais
+   * de uma origem aparece uma vez, com a origem mais abrangente (global > tipo de curso > curso).
+   *
+   * @param {Course|number|null} course - Curso (ou ID do curso)
+   * @returns {Promise<Array<{documentType: DocumentType, origin: string,
+   *   requirementId: number|null}>>}
+   */
+  async getRequiredDocumentTypes(course) {
+    if (course && !(course instanceof Course)) {
+      course = await Course.findByPk(course, { attributes: ['id', 'name', 'course_type'] });
+    }
+
+    const [globalTypes, requirements] = await Promise.all([
+      DocumentType.findAll({
+        where: { is_required: true, user_type: STUDENT_USER_TYPES },
+        order: [['name', 'ASC']],
+      }),
+      course
+        ? DocumentTypeRequirement.findAll({
+            where: {
+              [Op.or]: [{ course_id: course.id }, { course_type: course.course_type }],
+            },
+            include: [
+              {
+                association: 'documentType',
+                where: { user_type: STUDENT_USER_TYPES },
+              },
+            ],
+          })
+        : [],
+    ]);
+
+    const required = new Map();
+    globalTypes.forEach((documentType) => {
+      required.set(documentType.id, {
+        documentType,
+        origin: DOCUMENT_REQUIREMENT_ORIGIN.GLOBAL,
+        requirementId: null,
+      });
+    });
+
+    // Regras do tipo de curso antes das regras do curso
+    const ordered = [...requirements].sort((a, b) => Number(!!a.course_id) - Number(!!b.course_id));
+    ordered.forEach((requirement) => {
+      if (required.has(requirement.document_type_id)) return;
+      required.set(requirement.document_type_id, {
+        documentType: requirement.documentType,
+        origin: requirement.getOrigin(),
+        requirementId: requirement.id,
+      });
+    });
+
+    return Array.from(required.values());
+  }
+
+  /**
+   * Busca o curso ou lança 404
+   *
+   * @private
+   * @param {number} courseId - ID do curso
+   * @returns {Promise<Course>}
+   */
+  async _findCourse(courseId) {
+    const course = await Course.findByPk(courseId, { attributes: ['id', 'name', 'course_type'] });
+    if (!course) {
+      throw new AppError('Curso não encontrado', 404, 'COURSE_NOT_FOUND');
+    }
+    return course;
+  }
+
+  /**
+   * Formato de resposta de uma regra
+   *
+   * @private
+   * @param {DocumentTypeRequirement} requirement
+   * @returns {Object}
+   */
+  _serialize(requirement) {
+    return {
+      id: requirement.id,
+      document_type_id: requirement.document_type_id,
+      course_id: requirement.course_id,
+      course_type: requirement.course_type,
+      origin: requirement.getOrigin(),
+      document_type: serializeDocumentType(requirement.documentType),
+      created_at: requirement.created_at,
+    };
+  }
+}
+
+module.exports = new DocumentRequirementService();
@@ -3,6 +3,7 @@
  * Descrição: Service para tipos de documentos
  * Feature: feat-XXX - Carregar tipos de documentos dinamicamente
  * Criado em: 2026-02-10
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
  *
  * Responsabilidades:
  * - Buscar tipos de documentos para dropdown
@@ -48,7 +49,7 @@ const DocumentTypeService = {
 
       const documentTypes = await DocumentType.findAll({
         where,
-        attributes: ['id', 'name', 'description', 'user_type', 'is_required'],
+        attributes: ['id', 'name', 'description', 'user_type', 'is_required', 'validity_months'],
         order: [['name', 'ASC']],
       });
 
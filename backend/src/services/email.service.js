@@ -2,24 +2,44 @@
  * Arquivo: backend/src/services/email.service.js
  * Descrição: Serviço de envio de emails para notificações do sistema
  * Feature: feat-059 - Criar EmailService
+ * Modificado: feat-119 - Resumo diário de solicitações atrasadas
+ * Modificado: feat-125 - Lembrete de rematrícula das campanhas
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
+ * Modificado: feat-135 - Fila de emails com reenvio e histórico de entrega
  * Criado em: 2025-11-03
  *
  * Responsabilidades:
  * - Enviar emails com senhas provisórias para alunos/professores
  * - Notificar usuários sobre aprovação de documentos
  * - Notificar usuários sobre rejeição de documentos
- * - Fornecer templates HTML profissionais para emails
- * - Tratar erros de envio e logar todas as operações
+ * - Enviar à secretaria o resumo de solicitações com prazo vencido
+ * - Lembrar alunos de aceitar a rematrícula dentro do prazo da campanha
+ * - Avisar alunos/professores sobre documentos vencidos ou a vencer
+ * - Validar os dados de cada notificação e logar todas as operações
+ *
+ * Os emails não são enviados durante a requisição: cada método valida os dados e grava o
+ * email na fila (EmailOutboxService), que é enviada pelo job email-outbox com novas
+ * tentativas em caso de falha do SMTP. O conteúdo fica nos templates de src/templates/emails.
  */
 
-const { transporter, getDefaultFrom } = require('../config/email');
+const EmailOutboxService = require('./emailOutbox.service');
 const logger = require('../utils/logger');
 
+/**
+ * Converte uma data YYYY-MM-DD para DD/MM/YYYY
+ *
+ * @param {string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return String(date).split('-').reverse().join('/');
+}
+
 /**
  * Classe de serviço para envio de emails
  *
- * Utiliza o transporter configurado em config/email.js
- * para enviar emails de notificação aos usuários do sistema.
+ * Grava as notificações na fila de saída; o envio pelo transporter
+ * configurado em config/email.js é feito pelo job email-outbox.
  */
 class EmailService {
   /**
@@ -30,13 +50,16 @@ class EmailService {
    * - Um professor é criado pela secretaria
    * - Uma senha provisória é regenerada
    *
+   * O conteúdo deste email é descartado da fila depois do envio.
+   *
    * @param {string} to - Endereço de email do destinatário
    * @param {string} password - Senha provisória gerada
    * @param {Object} options - Opções adicionais
    * @param {string} options.name - Nome do usuário (opcional)
    * @param {string} options.login - Login do usuário (opcional)
-   * @returns {Promise<Object>} Informações sobre o envio
-   * @throws {Error} Se houver erro no envio ou parâmetros inválidos
+   * @param {number} options.userId - Usuário destinatário, para o histórico (opcional)
+   * @returns {Promise<Object>} Informações sobre o email enfileirado
+   * @throws {Error} Se houver erro ao enfileirar ou parâmetros inválidos
    *
    * @example
    * await EmailService.sendPasswordEmail(
@@ -56,188 +79,23 @@ class EmailService {
         throw new Error(`Email inválido: ${to}`);
       }
 
-      const { name, login } = options;
-
-      // Template HTML do email
-      const htmlContent = `
-        <!DOCTYPE html>
-        <html lang="pt-BR">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Senha Provisória - Secretaria Online</title>
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .container {
-              background-color: #f9f9f9;
-              border: 1px solid #ddd;
-              border-radius: 8px;
-              padding: 30px;
-            }
-            .header {
-              background-color: #2563eb;
-              color: white;
-              padding: 20px;
-              border-radius: 8px 8px 0 0;
-              text-align: center;
-              margin: -30px -30px 20px -30px;
-            }
-            .header h1 {
-              margin: 0;
-              font-size: 24px;
-            }
-            .content {
-              margin: 20px 0;
-            }
-            .credentials-box {
-              background-color: #fff;
-              border: 2px solid #2563eb;
-              border-radius: 8px;
-              padding: 20px;
-              margin: 20px 0;
-            }
-            .credential-item {
-              margin: 10px 0;
-            }
-            .credential-label {
-              font-weight: bold;
-              color: #666;
-              display: inline-block;
-              width: 120px;
-            }
-            .credential-value {
-              color: #2563eb;
-              font-family: 'Courier New', monospace;
-              font-size: 16px;
-              font-weight: bold;
-            }
-            .warning {
-              background-color: #fff3cd;
-              border-left: 4px solid #ffc107;
-              padding: 15px;
-              margin: 20px 0;
-              border-radius: 4px;
-            }
-            .warning-title {
-              font-weight: bold;
-              color: #856404;
-              margin-bottom: 5px;
-            }
-            .footer {
-              margin-top: 30px;
-              padding-top: 20px;
-              border-top: 1px solid #ddd;
-              font-size: 12px;
-              color: #666;
-              text-align: center;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Secretaria Online</h1>
-            </div>
-            <div class="content">
-              ${name ? `<p>Olá, <strong>${name}</strong>!</p>` : '<p>Olá!</p>'}
-
-              <p>Seu acesso ao sistema <strong>Secretaria Online</strong> foi criado com sucesso.</p>
-
-              <div class="credentials-box">
-                <h3 style="margin-top: 0; color: #2563eb;">Suas Credenciais de Acesso</h3>
-                ${login ? `
-                  <div class="credential-item">
-                    <span class="credential-label">Login:</span>
-                    <span class="credential-value">${login}</span>
-                  </div>
-                ` : ''}
-                <div class="credential-item">
-                  <span class="credential-label">Senha Provisória:</span>
-                  <span class="credential-value">${password}</span>
-                </div>
-              </div>
-
-              <div class="warning">
-                <div class="warning-title">⚠️ IMPORTANTE</div>
-                <ul style="margin: 10px 0; padding-left: 20px;">
-                  <li>Esta é uma <strong>senha provisória</strong> que deve ser alterada no primeiro acesso</li>
-                  <li>Por questões de segurança, <strong>não compartilhe</strong> suas credenciais</li>
-                  <li>Caso tenha problemas para acessar, entre em contato com a secretaria</li>
-                </ul>
-              </div>
-
-              <p>Para acessar o sistema, utilize o link abaixo:</p>
-              <p style="text-align: center;">
-                <a href="${process.env.BASE_URL || 'http://localhost:5173'}"
-                   style="background-color: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
-                  Acessar Sistema
-                </a>
-              </p>
-            </div>
-            <div class="footer">
-              <p>Este é um email automático, por favor não responda.</p>
-              <p>&copy; 2025 Secretaria Online. Todos os direitos reservados.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-
-      // Versão em texto plano (fallback)
-      const textContent = `
-Secretaria Online
-
-${name ? `Olá, ${name}!` : 'Olá!'}
-
-Seu acesso ao sistema Secretaria Online foi criado com sucesso.
-
-SUAS CREDENCIAIS DE ACESSO:
-${login ? `Login: ${login}` : ''}
-Senha Provisória: ${password}
-
-⚠️ IMPORTANTE:
-- Esta é uma senha provisória que deve ser alterada no primeiro acesso
-- Por questões de segurança, não compartilhe suas credenciais
-- Caso tenha problemas para acessar, entre em contato com a secretaria
-
-Para acessar o sistema: ${process.env.BASE_URL || 'http://localhost:5173'}
-
----
-Este é um email automático, por favor não responda.
-© 2025 Secretaria Online. Todos os direitos reservados.
-      `;
-
-      // Configuração do email
-      const mailOptions = {
-        from: getDefaultFrom(),
-        to,
-        subject: 'Sua Senha Provisória - Secretaria Online',
-        text: textContent,
-        html: htmlContent,
-      };
+      const { name, login, userId } = options;
 
-      // Envio do email
-      const info = await transporter.sendMail(mailOptions);
+      const result = await this._enqueue(
+        'temporary-password',
+        to,
+        { name, login, password },
+        { userId }
+      );
 
-      logger.info('[EMAIL_SERVICE] Email de senha provisória enviado com sucesso', {
+      logger.info('[EMAIL_SERVICE] Email de senha provisória enfileirado', {
         to,
-        messageId: info.messageId,
+        emailId: result.emailId,
         hasLogin: !!login,
         hasName: !!name,
       });
 
-      return {
-        success: true,
-        messageId: info.messageId,
-        to,
-      };
+      return result;
     } catch (error) {
       logger.error('[EMAIL_SERVICE] Erro ao enviar email de senha provisória:', {
         error: error.message,
@@ -258,8 +116,8 @@ Este é um email automático, por favor não responda.
    * @param {Object} options - Opções adicionais
    * @param {string} options.name - Nome do usuário (opcional)
    * @param {string} options.observations - Observações sobre a aprovação (opcional)
-   * @returns {Promise<Object>} Informações sobre o envio
-   * @throws {Error} Se houver erro no envio ou parâmetros inválidos
+   * @returns {Promise<Object>} Informações sobre o email enfileirado
+   * @throws {Error} Se houver erro ao enfileirar ou parâmetros inválidos
    *
    * @example
    * await EmailService.sendDocumentApprovedEmail(
@@ -281,171 +139,20 @@ Este é um email automático, por favor não responda.
 
       const { name, observations } = options;
 
-      // Template HTML do email
-      const htmlContent = `
-        <!DOCTYPE html>
-        <html lang="pt-BR">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Documento Aprovado - Secretaria Online</title>
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .container {
-              background-color: #f9f9f9;
-              border: 1px solid #ddd;
-              border-radius: 8px;
-              padding: 30px;
-            }
-            .header {
-              background-color: #16a34a;
-              color: white;
-              padding: 20px;
-              border-radius: 8px 8px 0 0;
-              text-align: center;
-              margin: -30px -30px 20px -30px;
-            }
-            .header h1 {
-              margin: 0;
-              font-size: 24px;
-            }
-            .success-icon {
-              font-size: 48px;
-              text-align: center;
-              margin: 20px 0;
-            }
-            .document-box {
-              background-color: #fff;
-              border: 2px solid #16a34a;
-              border-radius: 8px;
-              padding: 20px;
-              margin: 20px 0;
-              text-align: center;
-            }
-            .document-type {
-              font-size: 20px;
-              font-weight: bold;
-              color: #16a34a;
-              margin: 10px 0;
-            }
-            .observations-box {
-              background-color: #f0fdf4;
-              border-left: 4px solid #16a34a;
-              padding: 15px;
-              margin: 20px 0;
-              border-radius: 4px;
-            }
-            .observations-title {
-              font-weight: bold;
-              color: #166534;
-              margin-bottom: 5px;
-            }
-            .footer {
-              margin-top: 30px;
-              padding-top: 20px;
-              border-top: 1px solid #ddd;
-              font-size: 12px;
-              color: #666;
-              text-align: center;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Secretaria Online</h1>
-            </div>
-            <div class="success-icon">✅</div>
-            <div class="content">
-              ${name ? `<p>Olá, <strong>${name}</strong>!</p>` : '<p>Olá!</p>'}
-
-              <p>Temos uma ótima notícia! Seu documento foi <strong style="color: #16a34a;">APROVADO</strong> pela secretaria.</p>
-
-              <div class="document-box">
-                <div style="color: #666; font-size: 14px;">DOCUMENTO APROVADO</div>
-                <div class="document-type">${documentType}</div>
-                <div style="color: #16a34a; font-size: 14px; margin-top: 10px;">✓ Validado com sucesso</div>
-              </div>
-
-              ${observations ? `
-                <div class="observations-box">
-                  <div class="observations-title">📝 Observações da Secretaria</div>
-                  <p style="margin: 5px 0;">${observations}</p>
-                </div>
-              ` : ''}
-
-              <p>Agradecemos por enviar a documentação solicitada. Continue acompanhando o status dos seus documentos através do sistema.</p>
-
-              <p style="text-align: center; margin-top: 30px;">
-                <a href="${process.env.BASE_URL || 'http://localhost:5173'}"
-                   style="background-color: #16a34a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
-                  Acessar Sistema
-                </a>
-              </p>
-            </div>
-            <div class="footer">
-              <p>Este é um email automático, por favor não responda.</p>
-              <p>&copy; 2025 Secretaria Online. Todos os direitos reservados.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-
-      // Versão em texto plano (fallback)
-      const textContent = `
-Secretaria Online
-
-${name ? `Olá, ${name}!` : 'Olá!'}
-
-Temos uma ótima notícia! Seu documento foi APROVADO pela secretaria.
-
-DOCUMENTO APROVADO: ${documentType}
-Status: ✓ Validado com sucesso
-
-${observations ? `OBSERVAÇÕES DA SECRETARIA:\n${observations}\n` : ''}
-
-Agradecemos por enviar a documentação solicitada. Continue acompanhando o status dos seus documentos através do sistema.
-
-Para acessar o sistema: ${process.env.BASE_URL || 'http://localhost:5173'}
-
----
-Este é um email automático, por favor não responda.
-© 2025 Secretaria Online. Todos os direitos reservados.
-      `;
-
-      // Configuração do email
-      const mailOptions = {
-        from: getDefaultFrom(),
-        to,
-        subject: `Documento Aprovado: ${documentType} - Secretaria Online`,
-        text: textContent,
-        html: htmlContent,
-      };
-
-      // Envio do email
-      const info = await transporter.sendMail(mailOptions);
+      const result = await this._enqueue('document-approved', to, {
+        name,
+        documentType,
+        observations,
+      });
 
-      logger.info('[EMAIL_SERVICE] Email de documento aprovado enviado com sucesso', {
+      logger.info('[EMAIL_SERVICE] Email de documento aprovado enfileirado', {
         to,
         documentType,
-        messageId: info.messageId,
+        emailId: result.emailId,
         hasObservations: !!observations,
       });
 
-      return {
-        success: true,
-        messageId: info.messageId,
-        to,
-        documentType,
-      };
+      return { ...result, documentType };
     } catch (error) {
       logger.error('[EMAIL_SERVICE] Erro ao enviar email de documento aprovado:', {
         error: error.message,
@@ -467,8 +174,8 @@ Este é um email automático, por favor não responda.
    * @param {string} observations - Motivo da rejeição (obrigatório)
    * @param {Object} options - Opções adicionais
    * @param {string} options.name - Nome do usuário (opcional)
-   * @returns {Promise<Object>} Informações sobre o envio
-   * @throws {Error} Se houver erro no envio ou parâmetros inválidos
+   * @returns {Promise<Object>} Informações sobre o email enfileirado
+   * @throws {Error} Se houver erro ao enfileirar ou parâmetros inválidos
    *
    * @example
    * await EmailService.sendDocumentRejectedEmail(
@@ -491,203 +198,243 @@ Este é um email automático, por favor não responda.
 
       const { name } = options;
 
-      // Template HTML do email
-      const htmlContent = `
-        <!DOCTYPE html>
-        <html lang="pt-BR">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Documento Rejeitado - Secretaria Online</title>
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-            }
-            .container {
-              background-color: #f9f9f9;
-              border: 1px solid #ddd;
-              border-radius: 8px;
-              padding: 30px;
-            }
-            .header {
-              background-color: #dc2626;
-              color: white;
-              padding: 20px;
-              border-radius: 8px 8px 0 0;
-              text-align: center;
-              margin: -30px -30px 20px -30px;
-            }
-            .header h1 {
-              margin: 0;
-              font-size: 24px;
-            }
-            .warning-icon {
-              font-size: 48px;
-              text-align: center;
-              margin: 20px 0;
-            }
-            .document-box {
-              background-color: #fff;
-              border: 2px solid #dc2626;
-              border-radius: 8px;
-              padding: 20px;
-              margin: 20px 0;
-              text-align: center;
-            }
-            .document-type {
-              font-size: 20px;
-              font-weight: bold;
-              color: #dc2626;
-              margin: 10px 0;
-            }
-            .observations-box {
-              background-color: #fef2f2;
-              border-left: 4px solid #dc2626;
-              padding: 15px;
-              margin: 20px 0;
-              border-radius: 4px;
-            }
-            .observations-title {
-              font-weight: bold;
-              color: #991b1b;
-              margin-bottom: 5px;
-            }
-            .action-box {
-              background-color: #fff3cd;
-              border-left: 4px solid #ffc107;
-              padding: 15px;
-              margin: 20px 0;
-              border-radius: 4px;
-            }
-            .action-title {
-              font-weight: bold;
-              color: #856404;
-              margin-bottom: 5px;
-            }
-            .footer {
-              margin-top: 30px;
-              padding-top: 20px;
-              border-top: 1px solid #ddd;
-              font-size: 12px;
-              color: #666;
-              text-align: center;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Secretaria Online</h1>
-            </div>
-            <div class="warning-icon">⚠️</div>
-            <div class="content">
-              ${name ? `<p>Olá, <strong>${name}</strong>!</p>` : '<p>Olá!</p>'}
-
-              <p>Informamos que seu documento foi <strong style="color: #dc2626;">REJEITADO</strong> pela secretaria e precisa ser reenviado.</p>
-
-              <div class="document-box">
-                <div style="color: #666; font-size: 14px;">DOCUMENTO REJEITADO</div>
-                <div class="document-type">${documentType}</div>
-                <div style="color: #dc2626; font-size: 14px; margin-top: 10px;">✗ Requer correção</div>
-              </div>
-
-              <div class="observations-box">
-                <div class="observations-title">📋 Motivo da Rejeição</div>
-                <p style="margin: 5px 0;">${observations}</p>
-              </div>
-
-              <div class="action-box">
-                <div class="action-title">📌 O que fazer agora?</div>
-                <ul style="margin: 10px 0; padding-left: 20px;">
-                  <li>Leia atentamente o motivo da rejeição acima</li>
-                  <li>Corrija o problema apontado pela secretaria</li>
-                  <li>Acesse o sistema e envie novamente o documento</li>
-                  <li>Em caso de dúvidas, entre em contato com a secretaria</li>
-                </ul>
-              </div>
-
-              <p style="text-align: center; margin-top: 30px;">
-                <a href="${process.env.BASE_URL || 'http://localhost:5173'}"
-                   style="background-color: #dc2626; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
-                  Enviar Documento Novamente
-                </a>
-              </p>
-            </div>
-            <div class="footer">
-              <p>Este é um email automático, por favor não responda.</p>
-              <p>&copy; 2025 Secretaria Online. Todos os direitos reservados.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-
-      // Versão em texto plano (fallback)
-      const textContent = `
-Secretaria Online
-
-${name ? `Olá, ${name}!` : 'Olá!'}
-
-Informamos que seu documento foi REJEITADO pela secretaria e precisa ser reenviado.
-
-DOCUMENTO REJEITADO: ${documentType}
-Status: ✗ Requer correção
-
-MOTIVO DA REJEIÇÃO:
-${observations}
-
-O QUE FAZER AGORA?
-- Leia atentamente o motivo da rejeição acima
-- Corrija o problema apontado pela secretaria
-- Acesse o sistema e envie novamente o documento
-- Em caso de dúvidas, entre em contato com a secretaria
-
-Para acessar o sistema: ${process.env.BASE_URL || 'http://localhost:5173'}
-
----
-Este é um email automático, por favor não responda.
-© 2025 Secretaria Online. Todos os direitos reservados.
-      `;
-
-      // Configuração do email
-      const mailOptions = {
-        from: getDefaultFrom(),
-        to,
-        subject: `Documento Rejeitado: ${documentType} - Ação Necessária`,
-        text: textContent,
-        html: htmlContent,
-      };
+      const result = await this._enqueue('document-rejected', to, {
+        name,
+        documentType,
+        observations,
+      });
 
-      // Envio do email
-      const info = await transporter.sendMail(mailOptions);
+      logger.info('[EMAIL_SERVICE] Email de documento rejeitado enfileirado', {
+        to,
+        documentType,
+        emailId: result.emailId,
+      });
 
-      logger.info('[EMAIL_SERVICE] Email de documento rejeitado enviado com sucesso', {
+      return { ...result, documentType };
+    } catch (error) {
+      logger.error('[EMAIL_SERVICE] Erro ao enviar email de documento rejeitado:', {
+        error: error.message,
         to,
         documentType,
-        messageId: info.messageId,
+      });
+      throw new Error(`Falha ao enviar email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Envia à secretaria o resumo diário das solicitações com prazo vencido
+   *
+   * Este método é chamado pelo job diário overdueRequestsDigest.job.js.
+   * Cada destinatário recebe o seu email (e tem a sua entrada no histórico).
+   *
+   * @param {string|string[]} to - Endereço(s) de email da secretaria
+   * @param {Array<Object>} requests - Solicitações atrasadas (com student e requestType)
+   * @returns {Promise<Object>} Informações sobre os emails enfileirados
+   * @throws {Error} Se houver erro ao enfileirar ou parâmetros inválidos
+   *
+   * @example
+   * const requests = await Request.findOverdue();
+   * await EmailService.sendOverdueRequestsDigestEmail('secretaria@escola.com', requests);
+   */
+  async sendOverdueRequestsDigestEmail(to, requests) {
+    const recipients = Array.isArray(to) ? to : [to];
+
+    try {
+      // Validação de parâmetros
+      if (recipients.length === 0 || !recipients.every(Boolean)) {
+        throw new Error('Email do destinatário é obrigatório');
+      }
+
+      const invalid = recipients.find((email) => !this._isValidEmail(email));
+      if (invalid) {
+        throw new Error(`Email inválido: ${invalid}`);
+      }
+
+      if (!Array.isArray(requests) || requests.length === 0) {
+        throw new Error('Nenhuma solicitação atrasada para enviar');
+      }
+
+      const rows = requests.map((request) => ({
+        id: request.id,
+        student: request.student ? request.student.nome : `Aluno #${request.student_id}`,
+        type: request.requestType ? request.requestType.name : `Tipo #${request.request_type_id}`,
+        dueDate: formatDate(request.due_date),
+      }));
+
+      const results = [];
+      for (const recipient of recipients) {
+        results.push(await this._enqueue('overdue-requests-digest', recipient, { requests: rows }));
+      }
+
+      logger.info('[EMAIL_SERVICE] Resumo de solicitações atrasadas enfileirado', {
+        to: recipients,
+        count: rows.length,
+        emailIds: results.map((result) => result.emailId),
       });
 
       return {
         success: true,
-        messageId: info.messageId,
-        to,
-        documentType,
+        queued: true,
+        emailIds: results.map((result) => result.emailId),
+        to: recipients,
+        count: rows.length,
       };
     } catch (error) {
-      logger.error('[EMAIL_SERVICE] Erro ao enviar email de documento rejeitado:', {
+      logger.error('[EMAIL_SERVICE] Erro ao enviar resumo de solicitações atrasadas:', {
+        error: error.message,
+        to: recipients,
+      });
+      throw new Error(`Falha ao enviar email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Envia ao aluno o lembrete de aceite da rematrícula
+   *
+   * Este método é chamado pelas campanhas de rematrícula (envio manual ou job diário).
+   *
+   * @param {string} to - Endereço de email do aluno
+   * @param {Object} options - Dados da rematrícula
+   * @param {string} [options.name] - Nome do aluno
+   * @param {string} [options.courseName] - Nome do curso
+   * @param {string} options.periodLabel - Período letivo da rematrícula (ex: "2027/1")
+   * @param {string} options.deadline - Prazo para o aceite (YYYY-MM-DD)
+   * @returns {Promise<Object>} Informações sobre o email enfileirado
+   * @throws {Error} Se houver erro ao enfileirar ou parâmetros inválidos
+   *
+   * @example
+   * await EmailService.sendReenrollmentReminderEmail('aluno@email.com', {
+   *   name: 'João Silva',
+   *   courseName: 'Técnico em Informática',
+   *   periodLabel: '2027/1',
+   *   deadline: '2027-01-31',
+   * });
+   */
+  async sendReenrollmentReminderEmail(to, options = {}) {
+    try {
+      // Validação de parâmetros
+      if (!to) {
+        throw new Error('Email do destinatário é obrigatório');
+      }
+
+      if (!this._isValidEmail(to)) {
+        throw new Error('Email inválido');
+      }
+
+      if (!options.periodLabel || !options.deadline) {
+        throw new Error('Período e prazo da rematrícula são obrigatórios');
+      }
+
+      const result = await this._enqueue('reenrollment-reminder', to, {
+        name: options.name,
+        courseName: options.courseName,
+        periodLabel: options.periodLabel,
+        deadline: formatDate(options.deadline),
+      });
+
+      logger.info('[EMAIL_SERVICE] Lembrete de rematrícula enfileirado', {
+        to,
+        periodLabel: options.periodLabel,
+        emailId: result.emailId,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('[EMAIL_SERVICE] Erro ao enviar lembrete de rematrícula:', {
         error: error.message,
         to,
+      });
+      throw new Error(`Falha ao enviar email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Avisa o dono de um documento aprovado que ele venceu ou está perto de vencer
+   *
+   * Este método é chamado pelo job noturno de vencimento de documentos.
+   *
+   * @param {string} to - Endereço de email do aluno ou professor
+   * @param {string} documentType - Nome do tipo de documento
+   * @param {Object} options - Dados do vencimento
+   * @param {string} [options.name] - Nome do destinatário
+   * @param {string} options.expiresAt - Último dia de validade (YYYY-MM-DD)
+   * @param {boolean} [options.expired=false] - true se o documento já venceu
+   * @param {'student'|'teacher'} [options.ownerType='student'] - Tipo de usuário (link da página)
+   * @returns {Promise<Object>} Informações sobre o email enfileirado
+   * @throws {Error} Se houver erro ao enfileirar ou parâmetros inválidos
+   *
+   * @example
+   * await EmailService.sendDocumentExpirationEmail('aluno@email.com', 'Comprovante de Residência', {
+   *   name: 'João Silva',
+   *   expiresAt: '2026-11-15',
+   *   expired: false,
+   * });
+   */
+  async sendDocumentExpirationEmail(to, documentType, options = {}) {
+    try {
+      // Validação de parâmetros
+      if (!to) {
+        throw new Error('Email do destinatário é obrigatório');
+      }
+
+      if (!this._isValidEmail(to)) {
+        throw new Error('Email inválido');
+      }
+
+      if (!documentType) {
+        throw new Error('Tipo de documento é obrigatório');
+      }
+
+      if (!options.expiresAt) {
+        throw new Error('Data de vencimento é obrigatória');
+      }
+
+      const result = await this._enqueue('document-expiration', to, {
+        name: options.name,
+        documentType,
+        expiresAt: formatDate(options.expiresAt),
+        expired: Boolean(options.expired),
+        ownerType: options.ownerType || 'student',
+      });
+
+      logger.info('[EMAIL_SERVICE] Aviso de vencimento de documento enfileirado', {
+        to,
         documentType,
+        expired: Boolean(options.expired),
+        emailId: result.emailId,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('[EMAIL_SERVICE] Erro ao enviar aviso de vencimento de documento:', {
+        error: error.message,
+        to,
       });
       throw new Error(`Falha ao enviar email: ${error.message}`);
     }
   }
 
+  /**
+   * Grava o email na fila de saída
+   *
+   * @private
+   * @param {string} template - Nome do template
+   * @param {string} to - Endereço do destinatário
+   * @param {Object} variables - Variáveis do template
+   * @param {Object} [options] - { userId }
+   * @returns {Promise<Object>} { success, queued, emailId, to }
+   */
+  async _enqueue(template, to, variables, options = {}) {
+    const email = await EmailOutboxService.enqueue(template, to, variables, options);
+
+    return {
+      success: true,
+      queued: true,
+      emailId: email.id,
+      to,
+    };
+  }
+
   /**
    * Valida formato de email
    *
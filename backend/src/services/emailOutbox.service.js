@@ -0,0 +1,348 @@
+/**
+ * Arquivo: backend/src/services/emailOutbox.service.js
+ * Descrição: Fila de saída dos emails (gravação, envio com novas tentativas e histórico)
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Renderizar o template e gravar o email na fila (email_outbox) sem falar com o SMTP
+ * - Enviar os emails pendentes (job email-outbox), repetindo as falhas com espera crescente
+ * - Consultar o histórico de entrega (geral ou por usuário) e reenfileirar falhas definitivas
+ *
+ * Quem gera o email (aprovação de documento, criação de aluno...) só depende do banco: uma
+ * falha do servidor SMTP atrasa a entrega, mas não interrompe a operação.
+ *
+ * Templates sensíveis (ex: senha provisória) têm o corpo criptografado na fila
+ * (utils/secretCipher) e descartado quando o envio termina, com sucesso ou falha definitiva.
+ */
+
+const { Op } = require('sequelize');
+const { EmailOutbox, User } = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const { transporter, getDefaultFrom } = require('../config/email');
+const { renderEmailTemplate, isSensitiveTemplate } = require('../utils/emailTemplateEngine');
+const { encryptSecret, decryptSecret } = require('../utils/secretCipher');
+const { EMAIL_OUTBOX_STATUS, EMAIL_OUTBOX_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Campos do histórico (o conteúdo do email não é exposto na consulta)
+ */
+const LOG_ATTRIBUTES = { exclude: ['html_body', 'text_body'] };
+
+/**
+ * Tentativas de envio por email
+ *
+ * @returns {number}
+ */
+function getMaxAttempts() {
+  const attempts = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS, 10);
+  return Number.isInteger(attempts) && attempts > 0 ? attempts : EMAIL_OUTBOX_CONFIG.MAX_ATTEMPTS;
+}
+
+class EmailOutboxService {
+  /**
+   * Renderiza um template e grava o email na fila
+   *
+   * Sem options.userId, o email é vinculado ao usuário com o mesmo endereço (se houver).
+   *
+   * @param {string} template - Nome do template (utils/emailTemplateEngine)
+   * @param {string} to - Endereço do destinatário
+   * @param {Object} [variables] - Variáveis do template
+   * @param {Object} [options]
+   * @param {number} [options.userId] - Usuário destinatário
+   * @returns {Promise<EmailOutbox>} Email enfileirado
+   * @throws {Error} Se o template não existir ou faltar variável obrigatória
+   *
+   * @example
+   * await EmailOutboxService.enqueue('document-approved', 'aluno@email.com', {
+   *   name: 'João Silva',
+   *   documentType: 'RG',
+   * });
+   */
+  async enqueue(template, to, variables = {}, options = {}) {
+    const { subject, html, text } = renderEmailTemplate(template, variables);
+    const sensitive = isSensitiveTemplate(template);
+
+    let userId = options.userId || null;
+    if (!userId) {
+      const user = await User.findOne({ where: { email: to }, attributes: ['id'] });
+      userId = user ? user.id : null;
+    }
+
+    const email = await EmailOutbox.create({
+      user_id: userId,
+      to_email: to,
+      template,
+      subject,
+      html_body: sensitive ? encryptSecret(html) : html,
+      text_body: sensitive ? encryptSecret(text) : text,
+      max_attempts: getMaxAttempts(),
+      next_attempt_at: new Date(),
+    });
+
+    logger.info('[EmailOutboxService] Email enfileirado', {
+      emailId: email.id,
+      template,
+      to,
+      userId,
+    });
+
+    return email;
+  }
+
+  /**
+   * Envia os emails pendentes cuja próxima tentativa já chegou
+   *
+   * Cada email é reservado (pending -> sending) antes do envio, para que duas execuções
+   * simultâneas não enviem o mesmo email. Emails presos em "sending" por mais de
+   * STALE_SENDING_MINUTES (job interrompido) voltam para a fila.
+   *
+   * @param {Object} [options]
+   * @param {Date} [options.now=new Date()] - Data de referência
+   * @param {number} [options.limit] - Máximo de emails por execução
+   * @returns {Promise<{sent: number, retrying: number, failed: number, released: number}>}
+   */
+  async processPending({ now = new Date(), limit = EMAIL_OUTBOX_CONFIG.BATCH_SIZE } = {}) {
+    const summary = { sent: 0, retrying: 0, failed: 0, released: 0 };
+
+    const staleBefore = new Date(now.getTime() - EMAIL_OUTBOX_CONFIG.STALE_SENDING_MINUTES * 60000);
+    const [released] = await EmailOutbox.update(
+      { status: EMAIL_OUTBOX_STATUS.PENDING, next_attempt_at: now },
+      { where: { status: EMAIL_OUTBOX_STATUS.SENDING, updated_at: { [Op.lt]: staleBefore } } }
+    );
+    summary.released = released;
+
+    const emails = await EmailOutbox.findAll({
+      where: {
+        status: EMAIL_OUTBOX_STATUS.PENDING,
+        next_attempt_at: { [Op.lte]: now },
+      },
+      order: [
+        ['next_attempt_at', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      limit,
+    });
+
+    for (const email of emails) {
+      const [claimed] = await EmailOutbox.update(
+        { status: EMAIL_OUTBOX_STATUS.SENDING },
+        { where: { id: email.id, status: EMAIL_OUTBOX_STATUS.PENDING } }
+      );
+      if (claimed === 0) continue;
+
+      const status = await this._deliver(email, now);
+      if (status === EMAIL_OUTBOX_STATUS.SENT) summary.sent += 1;
+      else if (status === EMAIL_OUTBOX_STATUS.FAILED) summary.failed += 1;
+      else summary.retrying += 1;
+    }
+
+    if (emails.length > 0 || released > 0) {
+      logger.info('[EmailOutboxService] Fila de emails processada', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Histórico de entrega dos emails
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - pending | sending | sent | failed
+   * @param {string} [filters.template] - Nome do template
+   * @param {number} [filters.userId] - Usuário destinatário
+   * @param {string} [filters.email] - Parte do endereço do destinatário
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=20]
+   * @returns {Promise<Object>} { emails, total, page, limit, pages }
+   */
+  async list(filters = {}) {
+    const { status, template, userId, email, page = 1, limit = 20 } = filters;
+
+    const where = {};
+    if (status) where.status = status;
+    if (template) where.template = template;
+    if (userId) where.user_id = userId;
+    if (email) where.to_email = { [Op.like]: `%${email}%` };
+
+    const { count, rows } = await EmailOutbox.findAndCountAll({
+      where,
+      attributes: LOG_ATTRIBUTES,
+      include: [
+        { association: 'user', attributes: ['id', 'name', 'email', 'role'], required: false },
+      ],
+      order: [
+        ['created_at', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      limit,
+      offset: (Math.max(1, page) - 1) * limit,
+    });
+
+    return {
+      emails: rows,
+      total: count,
+      page,
+      limit,
+      pages: Math.ceil(count / limit),
+    };
+  }
+
+  /**
+   * Histórico de entrega dos emails de um usuário
+   *
+   * @param {number} userId - ID do usuário
+   * @param {Object} [filters] - Mesmos filtros de list (exceto userId)
+   * @returns {Promise<Object>} { user, emails, total, page, limit, pages }
+   * @throws {AppError} 404 se o usuário não existir
+   */
+  async listByUser(userId, filters = {}) {
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'name', 'email', 'role'],
+      paranoid: false,
+    });
+    if (!user) {
+      throw new AppError('Usuário não encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    const result = await this.list({ ...filters, userId });
+    return { user, ...result };
+  }
+
+  /**
+   * Reenfileira um email com as tentativas esgotadas
+   *
+   * O contador de tentativas é mantido no histórico; o email ganha uma nova rodada de
+   * tentativas a partir de agora. Emails de templates sensíveis não podem ser reenviados:
+   * o conteúdo foi descartado na falha definitiva (ex: gerar uma nova senha provisória).
+   *
+   * @param {number} id - ID do email
+   * @returns {Promise<EmailOutbox>} Email reenfileirado
+   * @throws {AppError} 404 se não existir, 422 se não estiver com falha definitiva ou for sensível
+   */
+  async retry(id) {
+    const email = await EmailOutbox.findByPk(id, { attributes: LOG_ATTRIBUTES });
+    if (!email) {
+      throw new AppError('Email não encontrado', 404, 'NOT_FOUND');
+    }
+    if (!email.canRetry()) {
+      throw new AppError(
+        'Apenas emails com falha definitiva podem ser reenviados',
+        422,
+        'EMAIL_NOT_RETRYABLE'
+      );
+    }
+    if (isSensitiveTemplate(email.template)) {
+      throw new AppError(
+        'O conteúdo deste email foi descartado por conter dados sensíveis; gere um novo envio (ex: nova senha provisória)',
+        422,
+        'EMAIL_CONTENT_DISCARDED'
+      );
+    }
+
+    await email.update({
+      status: EMAIL_OUTBOX_STATUS.PENDING,
+      max_attempts: email.attempts + getMaxAttempts(),
+      next_attempt_at: new Date(),
+    });
+
+    logger.info('[EmailOutboxService] Email reenfileirado', {
+      emailId: email.id,
+      template: email.template,
+      to: email.to_email,
+    });
+
+    return email;
+  }
+
+  /**
+   * Envia um email reservado e registra o resultado da tentativa
+   *
+   * @private
+   * @param {EmailOutbox} email - Email em "sending"
+   * @param {Date} now - Data de referência
+   * @returns {Promise<string>} Status final do email após a tentativa
+   */
+  async _deliver(email, now) {
+    const attempts = email.attempts + 1;
+    // Conteúdo sensível não fica na fila depois do envio nem da falha definitiva
+    const discardContent = isSensitiveTemplate(email.template)
+      ? { html_body: null, text_body: null }
+      : {};
+
+    try {
+      const info = await transporter.sendMail({
+        from: getDefaultFrom(),
+        to: email.to_email,
+        subject: email.subject,
+        text: decryptSecret(email.text_body),
+        html: decryptSecret(email.html_body),
+      });
+
+      await this._saveAttempt(email, {
+        status: EMAIL_OUTBOX_STATUS.SENT,
+        attempts,
+        sent_at: new Date(),
+        message_id: info.messageId,
+        next_attempt_at: null,
+        last_error: null,
+        ...discardContent,
+      });
+
+      logger.info('[EmailOutboxService] Email enviado', {
+        emailId: email.id,
+        template: email.template,
+        to: email.to_email,
+        messageId: info.messageId,
+        attempts,
+      });
+
+      return EMAIL_OUTBOX_STATUS.SENT;
+    } catch (error) {
+      email.attempts = attempts;
+      const failed = !email.hasAttemptsLeft();
+      const nextAttemptAt = failed
+        ? null
+        : new Date(now.getTime() + EmailOutbox.getBackoffMinutes(attempts) * 60000);
+
+      await this._saveAttempt(email, {
+        status: failed ? EMAIL_OUTBOX_STATUS.FAILED : EMAIL_OUTBOX_STATUS.PENDING,
+        attempts,
+        next_attempt_at: nextAttemptAt,
+        last_error: error.message,
+        ...(failed ? discardContent : {}),
+      });
+
+      logger[failed ? 'error' : 'warn']('[EmailOutboxService] Falha no envio do email', {
+        emailId: email.id,
+        template: email.template,
+        to: email.to_email,
+        attempts,
+        maxAttempts: email.max_attempts,
+        nextAttemptAt,
+        error: error.message,
+      });
+
+      return failed ? EMAIL_OUTBOX_STATUS.FAILED : EMAIL_OUTBOX_STATUS.PENDING;
+    }
+  }
+
+  /**
+   * Grava o resultado de uma tentativa
+   *
+   * A reserva (pending -> sending) foi feita direto no banco, por isso a gravação é feita pelo
+   * ID: a instância ainda tem o status anterior e ignoraria campos "não alterados".
+   *
+   * @private
+   * @param {EmailOutbox} email - Email enviado
+   * @param {Object} values - Campos da tentativa
+   * @returns {Promise<void>}
+   */
+  async _saveAttempt(email, values) {
+    await EmailOutbox.update(values, { where: { id: email.id } });
+    email.set(values, { raw: true });
+  }
+}
+
+module.exports = new EmailOutboxService();
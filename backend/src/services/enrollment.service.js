@@ -2,6 +2,11 @@
  * Arquivo: backend/src/services/enrollment.service.js
  * Descrição: Lógica de negócio para matrículas de alunos em cursos
  * Feature: feat-038 - Criar EnrollmentService com regras de negócio
+ * Modificado: feat-128 - Trancamento, cancelamento com motivo e reativação da matrícula
+ * Modificado: feat-129 - Pré-requisitos exigidos no avanço manual de semestre
+ * Modificado: feat-130 - Matrícula vinculada à matriz curricular vigente no ingresso
+ * Modificado: feat-134 - Documentos obrigatórios por curso
+ * Modificado: feat-136 - Aviso ao aluno das mudanças de status da matrícula
  * Criado em: 2025-10-30
  *
  * RESPONSABILIDADES:
@@ -15,14 +20,20 @@
  * 1. Um aluno pode ter múltiplas matrículas simultâneas em diferentes cursos
  * 2. Matrícula só pode ser ativada se todos os documentos obrigatórios forem aprovados
  * 3. Não é possível ativar matrícula cancelada
- * 4. Documentos obrigatórios variam por tipo de usuário (estudante)
+ * 4. Documentos obrigatórios variam por tipo de usuário (estudante) e pelo curso da matrícula
+ *    (regras por curso e por tipo de curso)
+ * 5. Trancamento e cancelamento removem o aluno das turmas do curso no ano letivo vigente
+ *    (as notas já lançadas continuam no histórico)
+ * 6. Apenas matrículas trancadas podem ser reativadas
+ * 7. A matrícula é vinculada à matriz curricular do curso vigente na data de ingresso
+ * 8. Avançar o semestre exige os pré-requisitos das disciplinas do novo semestre
  *
  * @example
  * // Criar nova matrícula (com status contract)
  * const enrollment = await EnrollmentService.create(studentId, courseId);
  *
- * // Validar se documentos estão todos aprovados
- * const docsValid = await EnrollmentService.validateDocuments(studentId);
+ * // Validar se documentos obrigatórios do curso estão todos aprovados
+ * const docsValid = await EnrollmentService.validateDocuments(studentId, courseId);
  *
  * // Ativar matrícula (se documentos validarem)
  * const activated = await EnrollmentService.activateEnrollment(enrollmentId);
@@ -30,10 +41,44 @@
 
 'use strict';
 
-const { Enrollment, User, Student, Course, Document, DocumentType } = require('../models');
+const {
+  sequelize,
+  Enrollment,
+  User,
+  Student,
+  Course,
+  Class,
+  ClassStudent,
+} = require('../models');
 const { AppError } = require('../middlewares/error.middleware');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
+const { getCurrentPeriod } = require('../config/academicPeriods');
+const {
+  ENROLLMENT_STATUS,
+  MAX_ENROLLMENT_SEMESTER,
+  NOTIFICATION_EVENTS,
+} = require('../utils/constants');
+const curriculumVersionService = require('./curriculumVersion.service');
+const disciplineRequisiteService = require('./disciplineRequisite.service');
+const documentRequirementService = require('./documentRequirement.service');
+const DocumentService = require('./document.service');
+const NotificationService = require('./notification.service');
+
+/**
+ * Status a partir dos quais a matrícula pode ser trancada
+ */
+const LOCKABLE_STATUSES = [ENROLLMENT_STATUS.ACTIVE, ENROLLMENT_STATUS.REENROLLMENT];
+
+/**
+ * Valida uma data no formato YYYY-MM-DD
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+}
 
 class EnrollmentService {
   /**
@@ -84,6 +129,9 @@ class EnrollmentService {
         enrollment_date: defaultDate,
       });
 
+      // 4. Vincular à matriz curricular vigente na data de ingresso (se o curso tiver matrizes)
+      await curriculumVersionService.assignToEnrollment(enrollment);
+
       logger.info(
         `[EnrollmentService] Matrícula criada com sucesso - ID: ${enrollment.id}, Status: contract`
       );
@@ -104,86 +152,55 @@ class EnrollmentService {
    * Valida se todos os documentos obrigatórios de um aluno foram aprovados
    *
    * FLUXO:
-   * 1. Busca tipos de documentos obrigatórios para alunos
-   * 2. Para cada documento obrigatório, verifica se existe um documento aprovado
+   * 1. Monta o conjunto obrigatório: documentos de todos os alunos + os exigidos pelo curso e
+   *    pelo tipo do curso (DocumentRequirementService)
+   * 2. Para cada documento obrigatório, verifica se existe um documento aprovado e no prazo
    * 3. Retorna true apenas se TODOS forem aprovados
    *
    * @param {number} studentId - ID do aluno
+   * @param {number|null} [courseId] - Curso da matrícula (sem curso, apenas os de todos os alunos)
    * @returns {Promise<boolean>} True se todos documentos obrigatórios foram aprovados
    * @throws {AppError} Se aluno não existe
    */
-  async validateDocuments(studentId) {
+  async validateDocuments(studentId, courseId = null) {
     logger.info(
-      `[EnrollmentService] Validando documentos do aluno ${studentId}`
+      `[EnrollmentService] Validando documentos do aluno ${studentId} (curso: ${courseId || '-'})`
     );
 
-    try {
-      // 1. Verificar que aluno existe (na tabela students)
-      const student = await Student.findByPk(studentId);
-      if (!student) {
-        throw new AppError('Aluno não encontrado', 404);
-      }
-
-      // 2. Buscar tipos de documentos obrigatórios para alunos
-      const requiredDocTypes = await DocumentType.findAll({
-        where: {
-          is_required: true,
-          user_type: ['student', 'both'],
-        },
-      });
-
-      // 3. Se não há documentos obrigatórios, considera válido
-      if (requiredDocTypes.length === 0) {
-        logger.info(
-          `[EnrollmentService] Aluno ${studentId} não possui documentos obrigatórios`
-        );
-        return true;
-      }
-
-      // 4. Para cada documento obrigatório, verifica se foi aprovado
-      for (const docType of requiredDocTypes) {
-        const approvedDoc = await Document.findOne({
-          where: {
-            user_id: studentId,
-            document_type_id: docType.id,
-            status: 'approved',
-          },
-        });
-
-        // Se não encontrou documento aprovado, documentação está incompleta
-        if (!approvedDoc) {
-          logger.warn(
-            `[EnrollmentService] Aluno ${studentId} não possui documento aprovado: ${docType.name}`
-          );
-          return false;
-        }
-      }
+    const pending = (await this.getPendingDocuments(studentId, courseId)).filter(
+      (doc) => !doc.isApproved
+    );
 
-      logger.info(
-        `[EnrollmentService] Aluno ${studentId} possui todos os documentos obrigatórios aprovados`
+    if (pending.length > 0) {
+      logger.warn(
+        `[EnrollmentService] Aluno ${studentId} não possui documento aprovado: ${pending
+          .map((doc) => doc.documentTypeName)
+          .join(', ')}`
       );
-      return true;
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-      logger.error(
-        `[EnrollmentService] Erro ao validar documentos: ${error.message}`
-      );
-      throw new AppError('Erro ao validar documentos', 500);
+      return false;
     }
+
+    logger.info(
+      `[EnrollmentService] Aluno ${studentId} possui todos os documentos obrigatórios aprovados`
+    );
+    return true;
   }
 
   /**
-   * Retorna lista de documentos obrigatórios pendentes para um aluno
+   * Retorna lista de documentos obrigatórios de um aluno com seu status
+   *
+   * Usa o conjunto obrigatório do curso (ver validateDocuments). Documento aprovado vencido
+   * tem status 'expired' e não conta como aprovado.
    *
    * @param {number} studentId - ID do aluno
-   * @returns {Promise<Array>} Lista de documentos obrigatórios com seu status
+   * @param {number|null} [courseId] - Curso da matrícula
+   * @returns {Promise<Array>} Lista de documentos obrigatórios com seu status e origem
+   *   (global, course_type ou course)
    * @throws {AppError} Se aluno não existe
    */
-  async getPendingDocuments(studentId) {
+  async getPendingDocuments(studentId, courseId = null) {
     logger.info(
-      `[EnrollmentService] Buscando documentos pendentes do aluno ${studentId}`
+      `[EnrollmentService] Buscando documentos pendentes do aluno ${studentId} (curso: ${courseId || '-'})`
     );
 
     try {
@@ -193,36 +210,29 @@ class EnrollmentService {
         throw new AppError('Aluno não encontrado', 404);
       }
 
-      // Buscar tipos de documentos obrigatórios para alunos
-      const requiredDocTypes = await DocumentType.findAll({
-        where: {
-          is_required: true,
-          user_type: ['student', 'both'],
-        },
-      });
-
-      // Buscar documentos enviados pelo aluno
-      const submittedDocs = await Document.findAll({
-        where: { user_id: studentId },
-        include: [{ association: 'documentType', attributes: ['id', 'name'] }],
-        order: [['created_at', 'DESC']],
-      });
+      const [requiredTypes, validation] = await Promise.all([
+        documentRequirementService.getRequiredDocumentTypes(courseId),
+        DocumentService.validateRequiredDocuments(studentId, 'student', { courseId }),
+      ]);
+      const originByType = new Map(
+        requiredTypes.map((item) => [item.documentType.id, item.origin])
+      );
+      const documentStatus = [
+        ...validation.approved,
+        ...validation.pending,
+        ...validation.rejected,
+      ].sort((a, b) => a.documentTypeName.localeCompare(b.documentTypeName));
 
       // Mapear documentos obrigatórios e seu status
-      const documentStatus = requiredDocTypes.map((reqDoc) => {
-        const submitted = submittedDocs.find(
-          (doc) => doc.document_type_id === reqDoc.id
-        );
-        return {
-          documentTypeId: reqDoc.id,
-          documentTypeName: reqDoc.name,
-          isApproved: submitted ? submitted.status === 'approved' : false,
-          status: submitted ? submitted.status : 'not_submitted',
-          submitted: !!submitted,
-        };
-      });
-
-      return documentStatus;
+      return documentStatus.map((item) => ({
+        documentTypeId: item.documentTypeId,
+        documentTypeName: item.documentTypeName,
+        origin: originByType.get(item.documentTypeId) || null,
+        isApproved: item.status === 'approved',
+        status: item.status === 'not_sent' ? 'not_submitted' : item.status,
+        submitted: !!item.document,
+        expiresAt: item.expiresAt,
+      }));
     } catch (error) {
       if (error instanceof AppError) {
         throw error;
@@ -240,14 +250,20 @@ class EnrollmentService {
    * FLUXO:
    * 1. Busca matrícula
    * 2. Valida que está com status 'pending'
-   * 3. Valida que TODOS os documentos obrigatórios foram aprovados
+   * 3. Valida que TODOS os documentos obrigatórios do curso da matrícula foram aprovados
    * 4. Altera status para 'active'
    *
+   * O administrador pode ativar sem os documentos com options.skipDocumentValidation.
+   *
    * @param {number} enrollmentId - ID da matrícula
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.skipDocumentValidation=false] - Ativação administrativa sem
+   *   exigir os documentos
    * @returns {Promise<Enrollment>} Matrícula ativada
-   * @throws {AppError} Se documentos não forem aprovados ou matrícula inválida
+   * @throws {AppError} 422 DOCUMENTS_PENDING se documentos não forem aprovados
+   *   (details.pending lista os documentos), ou matrícula inválida
    */
-  async activateEnrollment(enrollmentId) {
+  async activateEnrollment(enrollmentId, options = {}) {
     logger.info(
       `[EnrollmentService] Ativando matrícula - ID: ${enrollmentId}`
     );
@@ -270,29 +286,40 @@ class EnrollmentService {
         return enrollment;
       }
 
-      // 3. Validar que todos os documentos obrigatórios foram aprovados
-      // NOTA: Validação comentada temporariamente para permitir ativação administrativa
-      // O administrador pode ativar manualmente matrículas sem todos os documentos
-      /*
-      const docsValid = await this.validateDocuments(enrollment.student_id);
-      if (!docsValid) {
-        logger.warn(
-          `[EnrollmentService] Documentos do aluno ${enrollment.student_id} não foram totalmente aprovados`
-        );
-        throw new AppError(
-          'Não é possível ativar matrícula. Nem todos os documentos obrigatórios foram aprovados.',
-          422
+      // 3. Validar que todos os documentos obrigatórios do curso foram aprovados
+      // (o administrador pode ativar manualmente sem todos os documentos)
+      if (!options.skipDocumentValidation) {
+        const pending = (
+          await this.getPendingDocuments(enrollment.student_id, enrollment.course_id)
+        ).filter((doc) => !doc.isApproved);
+        if (pending.length > 0) {
+          logger.warn(
+            `[EnrollmentService] Documentos do aluno ${enrollment.student_id} não foram totalmente aprovados`
+          );
+          throw new AppError(
+            `Não é possível ativar matrícula. Documentos obrigatórios pendentes: ${pending
+              .map((doc) => doc.documentTypeName)
+              .join(', ')}`,
+            422,
+            'DOCUMENTS_PENDING',
+            { pending }
+          );
+        }
+      } else {
+        logger.info(
+          `[EnrollmentService] Matrícula ${enrollmentId} ativada sem validação de documentos`
         );
       }
-      */
 
       logger.info(
         `[EnrollmentService] Ativando matrícula ${enrollmentId} (status atual: ${enrollment.status})`
       );
 
       // 4. Alterar status para 'active'
+      const previousStatus = enrollment.status;
       enrollment.status = 'active';
       await enrollment.save();
+      this._notifyStatusChange(enrollment, previousStatus);
 
       logger.info(
         `[EnrollmentService] Matrícula ${enrollmentId} ativada com sucesso`
@@ -315,12 +342,17 @@ class EnrollmentService {
    *
    * Status válidos: pending, active, cancelled, reenrollment, completed, contract
    *
+   * Cancelar delega para cancel() (remove o aluno das turmas) e ativar uma matrícula
+   * trancada delega para reactivate(). O trancamento exige datas: use lock().
+   *
    * @param {number} enrollmentId - ID da matrícula
    * @param {string} newStatus - Novo status
+   * @param {Object} [options] - Opções repassadas a activateEnrollment
+   *   ({ skipDocumentValidation })
    * @returns {Promise<Enrollment>} Matrícula atualizada
    * @throws {AppError} Se status inválido ou matrícula não existe
    */
-  async updateStatus(enrollmentId, newStatus) {
+  async updateStatus(enrollmentId, newStatus, options = {}) {
     logger.info(
       `[EnrollmentService] Atualizando status da matrícula - ID: ${enrollmentId}, Novo Status: ${newStatus}`
     );
@@ -341,14 +373,30 @@ class EnrollmentService {
         throw new AppError('Matrícula não encontrado', 404);
       }
 
+      if (
+        newStatus === ENROLLMENT_STATUS.CANCELLED &&
+        enrollment.status !== ENROLLMENT_STATUS.CANCELLED
+      ) {
+        return this.cancel(enrollmentId);
+      }
+
+      if (
+        newStatus === ENROLLMENT_STATUS.ACTIVE &&
+        enrollment.status === ENROLLMENT_STATUS.LOCKED
+      ) {
+        return this.reactivate(enrollmentId);
+      }
+
       // Se tentando ativar, executar validações
       if (newStatus === 'active' && enrollment.status !== 'active') {
-        return this.activateEnrollment(enrollmentId);
+        return this.activateEnrollment(enrollmentId, options);
       }
 
       // Atualizar status
+      const previousStatus = enrollment.status;
       enrollment.status = newStatus;
       await enrollment.save();
+      this._notifyStatusChange(enrollment, previousStatus);
 
       logger.info(
         `[EnrollmentService] Status da matrícula ${enrollmentId} atualizado para: ${newStatus}`
@@ -369,12 +417,19 @@ class EnrollmentService {
   /**
    * Atualiza o semestre atual de uma matrícula
    *
+   * Avançar o semestre exige os pré-requisitos das disciplinas do novo semestre na matriz
+   * do aluno; o administrador pode avançar mesmo assim com options.skipRequisiteValidation.
+   *
    * @param {number} enrollmentId - ID da matrícula
    * @param {number} currentSemester - Novo semestre (0-12)
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.skipRequisiteValidation=false] - Avanço administrativo sem
+   *   exigir os pré-requisitos
    * @returns {Promise<Enrollment>} Matrícula atualizada
-   * @throws {AppError} Se matrícula não existe ou semestre inválido
+   * @throws {AppError} Se matrícula não existe ou semestre inválido, ou 422
+   *   PREREQUISITES_NOT_MET (details.missing lista os requisitos faltantes)
    */
-  async updateCurrentSemester(enrollmentId, currentSemester) {
+  async updateCurrentSemester(enrollmentId, currentSemester, options = {}) {
     logger.info(
       `[EnrollmentService] Atualizando semestre atual da matrícula - ID: ${enrollmentId}, Semestre: ${currentSemester}`
     );
@@ -392,6 +447,29 @@ class EnrollmentService {
         throw new AppError('Matrícula não encontrada', 404);
       }
 
+      // Validar os pré-requisitos do novo semestre (somente no avanço)
+      if (semester > (enrollment.current_semester || 0) && !options.skipRequisiteValidation) {
+        const missing = await disciplineRequisiteService.getMissingForSemester(
+          enrollment.student_id,
+          enrollment.course_id,
+          semester,
+          { enrollment }
+        );
+        if (missing.length > 0) {
+          logger.warn(
+            `[EnrollmentService] Matrícula ${enrollmentId} sem os requisitos para o ${semester}º semestre`
+          );
+          throw new AppError(
+            `Requisitos não cumpridos para cursar o ${semester}º semestre: ${missing
+              .map((entry) => entry.discipline.name)
+              .join(', ')}`,
+            422,
+            'PREREQUISITES_NOT_MET',
+            { missing }
+          );
+        }
+      }
+
       // Atualizar semestre
       enrollment.current_semester = semester;
       await enrollment.save();
@@ -536,31 +614,52 @@ class EnrollmentService {
   /**
    * Cancela uma matrícula
    *
+   * Registra a data e o motivo e remove o aluno das turmas do curso no ano letivo vigente.
+   *
    * @param {number} enrollmentId - ID da matrícula
+   * @param {Object} [data] - { reason }
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction] - Transação de quem chamou
+   *   (ex: aprovação da solicitação); sem ela, o cancelamento usa uma transação própria
    * @returns {Promise<Enrollment>} Matrícula cancelada
-   * @throws {AppError} Se matrícula não existe ou já foi cancelada
+   * @throws {AppError} Se matrícula não existe, já foi cancelada ou está concluída
    */
-  async cancel(enrollmentId) {
+  async cancel(enrollmentId, data = {}, { transaction = null } = {}) {
     logger.info(
       `[EnrollmentService] Cancelando matrícula - ID: ${enrollmentId}`
     );
 
     try {
-      const enrollment = await Enrollment.findByPk(enrollmentId);
+      const enrollment = await Enrollment.findByPk(enrollmentId, { transaction });
       if (!enrollment) {
         throw new AppError('Matrícula não encontrado', 404);
       }
 
-      if (enrollment.status === 'cancelled') {
+      if (enrollment.status === ENROLLMENT_STATUS.CANCELLED) {
         throw new AppError('Matrícula já está cancelada', 422);
       }
 
-      enrollment.status = 'cancelled';
-      await enrollment.save();
+      if (enrollment.status === ENROLLMENT_STATUS.COMPLETED) {
+        throw new AppError('Não é possível cancelar uma matrícula concluída', 422);
+      }
+
+      const previousStatus = enrollment.status;
+      const run = async (transaction) => {
+        enrollment.status = ENROLLMENT_STATUS.CANCELLED;
+        enrollment.cancelled_at = new Date();
+        enrollment.cancellation_reason = data.reason ? String(data.reason).trim() || null : null;
+        await enrollment.save({ transaction });
+
+        return this._removeFromActiveClasses(enrollment, transaction);
+      };
+      const removedClasses = transaction
+        ? await run(transaction)
+        : await sequelize.transaction(run);
 
       logger.info(
-        `[EnrollmentService] Matrícula ${enrollmentId} cancelada com sucesso`
+        `[EnrollmentService] Matrícula ${enrollmentId} cancelada com sucesso (removida de ${removedClasses} turma(s))`
       );
+      this._notifyStatusChange(enrollment, previousStatus, transaction);
 
       return enrollment;
     } catch (error) {
@@ -574,6 +673,217 @@ class EnrollmentService {
     }
   }
 
+  /**
+   * Tranca uma matrícula ativa (ou em rematrícula)
+   *
+   * Registra o início, o retorno previsto e o motivo e remove o aluno das turmas do curso
+   * no ano letivo vigente. O semestre atual é mantido: o semestre trancado não foi concluído.
+   *
+   * @param {number} enrollmentId - ID da matrícula
+   * @param {Object} data - { start_date (padrão: hoje), expected_return_date, reason }
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction] - Transação de quem chamou
+   *   (ex: aprovação da solicitação); sem ela, o trancamento usa uma transação própria
+   * @returns {Promise<Enrollment>} Matrícula trancada
+   * @throws {AppError} Se datas inválidas, matrícula não existe ou não pode ser trancada
+   */
+  async lock(enrollmentId, data = {}, { transaction = null } = {}) {
+    logger.info(`[EnrollmentService] Trancando matrícula - ID: ${enrollmentId}`);
+
+    const startDate = data.start_date || new Date().toISOString().split('T')[0];
+    const expectedReturnDate = data.expected_return_date;
+
+    if (!isValidDateOnly(startDate) || !isValidDateOnly(expectedReturnDate)) {
+      throw new AppError(
+        'Informe as datas de início e de retorno previsto do trancamento (YYYY-MM-DD)',
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+    if (expectedReturnDate <= startDate) {
+      throw new AppError(
+        'O retorno previsto deve ser posterior ao início do trancamento',
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const enrollment = await Enrollment.findByPk(enrollmentId, { transaction });
+    if (!enrollment) {
+      throw new AppError('Matrícula não encontrada', 404);
+    }
+
+    if (!LOCKABLE_STATUSES.includes(enrollment.status)) {
+      throw new AppError(
+        `Apenas matrículas ativas ou em rematrícula podem ser trancadas (status atual: ${enrollment.getStatusLabel()})`,
+        422,
+        'ENROLLMENT_NOT_LOCKABLE'
+      );
+    }
+
+    const previousStatus = enrollment.status;
+    const run = async (transaction) => {
+      enrollment.status = ENROLLMENT_STATUS.LOCKED;
+      enrollment.lock_start_date = startDate;
+      enrollment.lock_expected_return_date = expectedReturnDate;
+      enrollment.lock_reason = data.reason ? String(data.reason).trim() || null : null;
+      await enrollment.save({ transaction });
+
+      return this._removeFromActiveClasses(enrollment, transaction);
+    };
+    const removedClasses = transaction ? await run(transaction) : await sequelize.transaction(run);
+
+    logger.info(
+      `[EnrollmentService] Matrícula ${enrollmentId} trancada até ${expectedReturnDate} (removida de ${removedClasses} turma(s))`
+    );
+    this._notifyStatusChange(enrollment, previousStatus, transaction);
+
+    return enrollment;
+  }
+
+  /**
+   * Reativa uma matrícula trancada
+   *
+   * O aluno retorna ao semestre em que trancou (current_semester não muda durante o
+   * trancamento); a secretaria pode informar outro semestre. A inclusão nas turmas do
+   * retorno continua sendo feita pela gestão de turmas.
+   *
+   * @param {number} enrollmentId - ID da matrícula
+   * @param {Object} [data] - { current_semester }
+   * @returns {Promise<Enrollment>} Matrícula ativa
+   * @throws {AppError} Se matrícula não existe, não está trancada ou semestre inválido
+   */
+  async reactivate(enrollmentId, data = {}) {
+    logger.info(`[EnrollmentService] Reativando matrícula - ID: ${enrollmentId}`);
+
+    const enrollment = await Enrollment.findByPk(enrollmentId);
+    if (!enrollment) {
+      throw new AppError('Matrícula não encontrada', 404);
+    }
+
+    if (enrollment.status !== ENROLLMENT_STATUS.LOCKED) {
+      throw new AppError(
+        'Apenas matrículas trancadas podem ser reativadas',
+        422,
+        'ENROLLMENT_NOT_LOCKED'
+      );
+    }
+
+    if (data.current_semester !== undefined && data.current_semester !== null) {
+      const semester = parseInt(data.current_semester, 10);
+      if (isNaN(semester) || semester < 1 || semester > MAX_ENROLLMENT_SEMESTER) {
+        throw new AppError(
+          `Semestre deve ser um número entre 1 e ${MAX_ENROLLMENT_SEMESTER}`,
+          400,
+          'VALIDATION_ERROR'
+        );
+      }
+      enrollment.current_semester = semester;
+    }
+
+    enrollment.status = ENROLLMENT_STATUS.ACTIVE;
+    enrollment.reactivated_at = new Date();
+    await enrollment.save();
+    this._notifyStatusChange(enrollment, ENROLLMENT_STATUS.LOCKED);
+
+    logger.info(
+      `[EnrollmentService] Matrícula ${enrollmentId} reativada no ${enrollment.current_semester}º semestre`
+    );
+
+    return enrollment;
+  }
+
+  /**
+   * Encontra a matrícula afetada por uma solicitação do aluno
+   *
+   * @param {number} studentId - ID do aluno da solicitação
+   * @param {number|null} enrollmentId - Matrícula informada pela secretaria (opcional)
+   * @param {string[]} statuses - Status aceitos
+   * @returns {Promise<Enrollment>}
+   * @throws {AppError} 422 se não houver matrícula nos status aceitos ou houver mais de uma
+   */
+  async findForRequest(studentId, enrollmentId, statuses) {
+    const where = { student_id: studentId, status: statuses };
+    if (enrollmentId) where.id = enrollmentId;
+
+    const enrollments = await Enrollment.findAll({ where });
+
+    if (enrollments.length === 0) {
+      throw new AppError(
+        'O aluno não possui matrícula que possa ser alterada por esta solicitação',
+        422,
+        'ENROLLMENT_NOT_FOUND_FOR_REQUEST'
+      );
+    }
+    if (enrollments.length > 1) {
+      throw new AppError(
+        'O aluno possui mais de uma matrícula; informe a matrícula (enrollment_id)',
+        422,
+        'ENROLLMENT_REQUIRED'
+      );
+    }
+
+    return enrollments[0];
+  }
+
+  /**
+   * Avisa o aluno da mudança de status da matrícula
+   *
+   * A passagem para rematrícula é avisada como "rematrícula aberta" (com o link para o aceite).
+   *
+   * @param {Enrollment} enrollment - Matrícula já gravada com o novo status
+   * @param {string} previousStatus - Status anterior
+   * @param {import('sequelize').Transaction} [transaction] - Transação ainda aberta: o aviso
+   *   só é publicado após a confirmação
+   * @returns {void}
+   */
+  _notifyStatusChange(enrollment, previousStatus, transaction = null) {
+    if (enrollment.status === previousStatus) return;
+
+    if (transaction) {
+      transaction.afterCommit(() => this._notifyStatusChange(enrollment, previousStatus));
+      return;
+    }
+
+    if (enrollment.status === ENROLLMENT_STATUS.REENROLLMENT) {
+      NotificationService.publish(NOTIFICATION_EVENTS.REENROLLMENT_OPENED, {
+        enrollmentIds: [enrollment.id],
+      });
+      return;
+    }
+
+    NotificationService.publish(NOTIFICATION_EVENTS.ENROLLMENT_STATUS_CHANGED, {
+      enrollmentId: enrollment.id,
+      previousStatus,
+    });
+  }
+
+  /**
+   * Remove o aluno das turmas do curso da matrícula no ano letivo vigente
+   *
+   * @private
+   * @param {Enrollment} enrollment - Matrícula trancada ou cancelada
+   * @param {import('sequelize').Transaction} transaction
+   * @returns {Promise<number>} Quantidade de turmas das quais o aluno foi removido
+   */
+  async _removeFromActiveClasses(enrollment, transaction) {
+    const { year } = getCurrentPeriod();
+    const classes = await Class.findAll({
+      where: { course_id: enrollment.course_id, year: { [Op.like]: `${year}%` } },
+      attributes: ['id'],
+      transaction,
+    });
+    if (classes.length === 0) return 0;
+
+    return ClassStudent.destroy({
+      where: {
+        student_id: enrollment.student_id,
+        class_id: classes.map((cls) => cls.id),
+      },
+      transaction,
+    });
+  }
+
   /**
    * Remove uma matrícula (soft delete)
    *
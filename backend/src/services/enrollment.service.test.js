@@ -0,0 +1,110 @@
+/**
+ * Arquivo: backend/src/services/enrollment.service.test.js
+ * Descrição: Testes unitários do avanço manual de semestre do EnrollmentService
+ * Feature: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Criado em: 2026-10-19
+ *
+ * Executar com: npm test (ou node --test src/services/enrollment.service.test.js)
+ *
+ * As consultas ao banco (matrícula e requisitos) são substituídas por mocks:
+ * nenhum teste abre conexão com o banco.
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// O carregamento dos models e do email exige configuração (nenhuma conexão é aberta)
+const TEST_ENV = {
+  DB_HOST: 'localhost',
+  DB_PORT: '3306',
+  DB_NAME: 'secretaria_online_test',
+  DB_USER: 'test',
+  DB_PASSWORD: 'test',
+  SMTP_HOST: 'localhost',
+  SMTP_PORT: '2525',
+  SMTP_USER: 'test',
+  SMTP_PASS: 'test',
+  SMTP_FROM: 'test@secretaria.local',
+};
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  process.env[name] = process.env[name] || value;
+});
+
+const { Enrollment } = require('../models');
+const EnrollmentService = require('./enrollment.service');
+const disciplineRequisiteService = require('./disciplineRequisite.service');
+
+const MISSING = [
+  {
+    discipline: { id: 5, name: 'Farmacologia II' },
+    missing: [{ type: 'prerequisite', discipline: { id: 4, name: 'Farmacologia I' } }],
+  },
+];
+
+describe('EnrollmentService.updateCurrentSemester', () => {
+  let enrollment;
+  let missing;
+
+  beforeEach(() => {
+    missing = [];
+    enrollment = {
+      id: 1,
+      student_id: 2,
+      course_id: 3,
+      current_semester: 2,
+      save: mock.fn(async () => {}),
+    };
+
+    mock.method(Enrollment, 'findByPk', async () => enrollment);
+    mock.method(disciplineRequisiteService, 'getMissingForSemester', async () => missing);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('avança o semestre com os pré-requisitos cumpridos', async () => {
+    const result = await EnrollmentService.updateCurrentSemester(1, 3);
+
+    assert.equal(result.current_semester, 3);
+    assert.equal(enrollment.save.mock.callCount(), 1);
+
+    const [call] = disciplineRequisiteService.getMissingForSemester.mock.calls;
+    assert.deepEqual(call.arguments, [2, 3, 3, { enrollment }]);
+  });
+
+  it('rejeita o avanço com pré-requisitos faltando', async () => {
+    missing = MISSING;
+
+    await assert.rejects(EnrollmentService.updateCurrentSemester(1, 3), (error) => {
+      assert.equal(error.statusCode, 422);
+      assert.equal(error.code, 'PREREQUISITES_NOT_MET');
+      assert.deepEqual(error.details, { missing: MISSING });
+      assert.match(error.message, /Farmacologia II/);
+      return true;
+    });
+    assert.equal(enrollment.current_semester, 2);
+    assert.equal(enrollment.save.mock.callCount(), 0);
+  });
+
+  it('avança sem os pré-requisitos com skipRequisiteValidation', async () => {
+    missing = MISSING;
+
+    const result = await EnrollmentService.updateCurrentSemester(1, 3, {
+      skipRequisiteValidation: true,
+    });
+
+    assert.equal(result.current_semester, 3);
+    assert.equal(disciplineRequisiteService.getMissingForSemester.mock.callCount(), 0);
+  });
+
+  it('não confere requisitos ao voltar ou manter o semestre', async () => {
+    missing = MISSING;
+
+    await EnrollmentService.updateCurrentSemester(1, 2);
+    await EnrollmentService.updateCurrentSemester(1, 1);
+
+    assert.equal(enrollment.current_semester, 1);
+    assert.equal(disciplineRequisiteService.getMissingForSemester.mock.callCount(), 0);
+  });
+});
@@ -2,12 +2,18 @@
  * Arquivo: backend/src/services/evaluation.service.js
  * Descrição: Lógica de negócio para o CRUD de Avaliações
  * Feature: feat-051 - Criar EvaluationController e rotas
+ * Modificado: feat-136 - Aviso aos alunos das avaliações cadastradas para os próximos dias
  * Criado em: 2025-11-01
  */
 
+const { addDays } = require('date-fns');
 const { Evaluation, Class, Teacher, Discipline, Grade, User, ClassTeacher } = require('../models');
 const { AppError } = require('../middlewares/error.middleware');
 const { Op } = require('sequelize');
+const GradeService = require('./grade.service');
+const NotificationService = require('./notification.service');
+const { toDateOnly } = require('../utils/businessDays');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CONFIG } = require('../utils/constants');
 
 class EvaluationService {
   /**
@@ -81,6 +87,9 @@ class EvaluationService {
    * @param {string} evaluationData.name - Nome da avaliação
    * @param {string} evaluationData.date - Data da avaliação (YYYY-MM-DD)
    * @param {string} evaluationData.type - Tipo: 'grade' ou 'concept'
+   * @param {number} evaluationData.weight - Peso na média ponderada (opcional, padrão 1)
+   * @param {boolean} evaluationData.is_final_exam - Indica se é a prova final (opcional)
+   * @param {boolean} evaluationData.is_recovery - Indica se é a avaliação de recuperação (opcional)
    * @param {object} currentUser - Usuário logado (opcional)
    * @returns {Promise<Evaluation>} A avaliação criada
    * @throws {AppError} Se houver erro na validação
@@ -152,6 +161,12 @@ class EvaluationService {
       );
     }
 
+    this._validateWeight(evaluationData.weight);
+
+    if (evaluationData.is_recovery) {
+      await this._validateRecoveryEvaluation(evaluationData);
+    }
+
     try {
       const evaluation = await Evaluation.create({
         class_id: evaluationData.class_id,
@@ -160,8 +175,13 @@ class EvaluationService {
         name: evaluationData.name,
         date: evaluationData.date,
         type: evaluationData.type || 'grade',
+        weight: evaluationData.weight ?? 1,
+        is_final_exam: !!evaluationData.is_final_exam,
+        is_recovery: !!evaluationData.is_recovery,
       });
 
+      this._notifyIfUpcoming(evaluation);
+
       return evaluation.toJSON();
     } catch (error) {
       console.error('[EvaluationService] Erro ao criar avaliação:', error);
@@ -339,6 +359,74 @@ class EvaluationService {
     }
   }
 
+  /**
+   * Valida o peso da avaliação (quando informado)
+   *
+   * @param {number|string|undefined} weight - Peso informado
+   * @throws {AppError} Se o peso for inválido
+   * @private
+   */
+  _validateWeight(weight) {
+    if (weight === undefined || weight === null) return;
+
+    const value = parseFloat(weight);
+    if (isNaN(value) || value <= 0 || value > 100) {
+      throw new AppError(
+        'Peso da avaliação inválido. Deve ser maior que 0 e no máximo 100',
+        422,
+        'INVALID_EVALUATION_WEIGHT'
+      );
+    }
+  }
+
+  /**
+   * Valida a criação de uma avaliação de recuperação
+   *
+   * - Deve ser do tipo 'grade' e não pode ser prova final
+   * - Apenas uma avaliação de recuperação por turma/disciplina
+   * - A turma precisa ter ao menos um aluno em recuperação na disciplina
+   *
+   * @param {object} evaluationData - Dados da avaliação
+   * @throws {AppError} Se a avaliação de recuperação não puder ser criada
+   * @private
+   */
+  async _validateRecoveryEvaluation(evaluationData) {
+    if ((evaluationData.type || 'grade') !== 'grade' || evaluationData.is_final_exam) {
+      throw new AppError(
+        'A avaliação de recuperação deve ser do tipo "grade" e não pode ser prova final',
+        422,
+        'INVALID_RECOVERY_EVALUATION'
+      );
+    }
+
+    const existing = await Evaluation.findOne({
+      where: {
+        class_id: evaluationData.class_id,
+        discipline_id: evaluationData.discipline_id,
+        is_recovery: true,
+      },
+    });
+    if (existing) {
+      throw new AppError(
+        'Já existe uma avaliação de recuperação para esta disciplina na turma',
+        409,
+        'RECOVERY_EVALUATION_EXISTS'
+      );
+    }
+
+    const recovery = await GradeService.getClassRecovery(
+      evaluationData.class_id,
+      evaluationData.discipline_id
+    );
+    if (recovery.students.length === 0) {
+      throw new AppError(
+        'Nenhum aluno está em recuperação nesta disciplina',
+        422,
+        'NO_STUDENTS_IN_RECOVERY'
+      );
+    }
+  }
+
   /**
    * Atualiza uma avaliação
    *
@@ -362,6 +450,28 @@ class EvaluationService {
       );
     }
 
+    this._validateWeight(updateData.weight);
+
+    // O tipo de avaliação (regular ou recuperação) não pode ser alterado após a criação
+    if (
+      updateData.is_recovery !== undefined &&
+      !!updateData.is_recovery !== !!evaluation.is_recovery
+    ) {
+      throw new AppError(
+        'Não é possível transformar uma avaliação em recuperação (ou vice-versa)',
+        422,
+        'RECOVERY_FLAG_IMMUTABLE'
+      );
+    }
+
+    if (evaluation.is_recovery && updateData.type && updateData.type !== 'grade') {
+      throw new AppError(
+        'A avaliação de recuperação deve ser do tipo "grade"',
+        422,
+        'INVALID_RECOVERY_EVALUATION'
+      );
+    }
+
     // Validar disciplina se fornecida
     if (updateData.discipline_id) {
       const discipline = await Discipline.findByPk(updateData.discipline_id);
@@ -372,7 +482,14 @@ class EvaluationService {
 
     try {
       const evaluationRecord = await Evaluation.findByPk(evaluationId);
+      const previousDate = evaluationRecord.date;
       await evaluationRecord.update(updateData);
+
+      // Avaliação remarcada: avisar de novo se a nova data estiver próxima
+      if (evaluationRecord.date !== previousDate) {
+        this._notifyIfUpcoming(evaluationRecord);
+      }
+
       return evaluationRecord.toJSON();
     } catch (error) {
       if (error.isOperational) throw error;
@@ -431,6 +548,60 @@ class EvaluationService {
     }
   }
 
+  /**
+   * Avisa os alunos de uma avaliação cadastrada (ou remarcada) para os próximos dias
+   *
+   * O job evaluation-reminders avisa as avaliações que estão a exatamente
+   * NOTIFICATION_CONFIG.EVALUATION_UPCOMING_DAYS dias; aqui são avisadas as que já foram
+   * cadastradas com menos antecedência que isso (e que o job não alcançaria).
+   *
+   * @param {Evaluation} evaluation - Avaliação gravada
+   * @returns {void}
+   */
+  _notifyIfUpcoming(evaluation) {
+    const today = toDateOnly(new Date());
+    const reminderDay = toDateOnly(
+      addDays(new Date(), NOTIFICATION_CONFIG.EVALUATION_UPCOMING_DAYS)
+    );
+    const date = String(evaluation.date).slice(0, 10);
+
+    if (date >= today && date < reminderDay) {
+      NotificationService.publish(NOTIFICATION_EVENTS.EVALUATION_UPCOMING, {
+        evaluationId: evaluation.id,
+      });
+    }
+  }
+
+  /**
+   * Avisa os alunos das avaliações que acontecem daqui a EVALUATION_UPCOMING_DAYS dias
+   *
+   * Executado diariamente pelo job evaluation-reminders. Cada avaliação é avisada uma vez:
+   * no dia em que fica a exatamente EVALUATION_UPCOMING_DAYS dias de distância.
+   *
+   * @param {Date} [date=new Date()] - Data de referência
+   * @returns {Promise<{evaluations: number, queued: number, optedOut: number, failed: number}>}
+   */
+  async notifyUpcoming(date = new Date()) {
+    const reminderDay = toDateOnly(addDays(date, NOTIFICATION_CONFIG.EVALUATION_UPCOMING_DAYS));
+
+    const evaluations = await Evaluation.findAll({
+      where: { date: reminderDay },
+      attributes: ['id'],
+    });
+
+    const summary = { evaluations: evaluations.length, queued: 0, optedOut: 0, failed: 0 };
+    for (const evaluation of evaluations) {
+      const result = await NotificationService.dispatch(NOTIFICATION_EVENTS.EVALUATION_UPCOMING, {
+        evaluationId: evaluation.id,
+      });
+      summary.queued += result.queued;
+      summary.optedOut += result.optedOut;
+      summary.failed += result.failed;
+    }
+
+    return summary;
+  }
+
   /**
    * Lista avaliações futuras de uma turma
    *
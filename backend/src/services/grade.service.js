@@ -2,21 +2,57 @@
  * Arquivo: backend/src/services/grade.service.js
  * Descrição: Lógica de negócio para o gerenciamento de notas
  * Feature: feat-052 - Criar GradeService com validações
+ * Modificado: feat-128 - Bloquear lançamento de notas para matrículas trancadas ou canceladas
+ * Modificado: feat-136 - Notificação do aluno quando a nota é lançada ou alterada
  * Criado em: 2025-11-01
  *
  * Responsabilidades:
  * - Lançar notas validando tipo de avaliação (grade vs concept)
  * - Validar se aluno está inscrito na turma da avaliação
+ * - Bloquear notas de alunos com matrícula trancada ou cancelada no curso da turma
  * - Validar valores de nota (0-10 para grade, satisfactory/unsatisfactory para concept)
  * - Verificar se nota já existe antes de lançar
  * - Atualizar notas existentes
  * - Listar notas por avaliação
+ * - Calcular média final e situação (aprovado/recuperação/reprovado) por disciplina
+ * - Listar alunos em recuperação e aplicar a regra de recuperação do curso
  * - Tratamento robusto de erros
  */
 
-const { Grade, Evaluation, Class, ClassStudent, Student } = require('../models');
+const {
+  Grade,
+  Evaluation,
+  Class,
+  ClassStudent,
+  Student,
+  Discipline,
+  StudentDisciplineExemption,
+  Course,
+  CourseDiscipline,
+  Enrollment,
+} = require('../models');
 const { AppError } = require('../middlewares/error.middleware');
 const { Op } = require('sequelize');
+const AttendanceService = require('./attendance.service');
+const NotificationService = require('./notification.service');
+const {
+  EVALUATION_TYPES,
+  EVALUATION_CONCEPTS,
+  GRADE_RESULT_STATUS,
+  GRADE_RESULT_STATUS_LABELS,
+  GRADING_CONFIG,
+  GRADING_FORMULAS,
+  GRADING_FORMULA_LABELS,
+  RECOVERY_RULES,
+  RECOVERY_RULE_LABELS,
+  ENROLLMENT_STATUS,
+  NOTIFICATION_EVENTS,
+} = require('../utils/constants');
+
+/**
+ * Status de matrícula que impedem o lançamento de notas
+ */
+const GRADE_BLOCKING_ENROLLMENT_STATUSES = [ENROLLMENT_STATUS.LOCKED, ENROLLMENT_STATUS.CANCELLED];
 
 class GradeService {
   /**
@@ -45,6 +81,61 @@ class GradeService {
     }
   }
 
+  /**
+   * Identifica alunos cuja matrícula no curso da turma está trancada ou cancelada
+   *
+   * Um aluno só é bloqueado se não tiver nenhuma outra matrícula no curso em outro status
+   * (por exemplo, cancelou e se matriculou novamente).
+   *
+   * @param {number} classId - ID da turma
+   * @param {number[]} studentIds - IDs dos alunos a verificar
+   * @returns {Promise<Set<number>>} IDs dos alunos bloqueados
+   *
+   * @private
+   */
+  async _getBlockedEnrollmentStudentIds(classId, studentIds) {
+    const cls = await Class.findByPk(classId, { attributes: ['id', 'course_id'] });
+    if (!cls || studentIds.length === 0) return new Set();
+
+    const enrollments = await Enrollment.findAll({
+      where: { course_id: cls.course_id, student_id: studentIds },
+      attributes: ['student_id', 'status'],
+    });
+
+    const blocked = new Set();
+    const allowed = new Set();
+    for (const enrollment of enrollments) {
+      if (GRADE_BLOCKING_ENROLLMENT_STATUSES.includes(enrollment.status)) {
+        blocked.add(enrollment.student_id);
+      } else {
+        allowed.add(enrollment.student_id);
+      }
+    }
+    for (const studentId of allowed) blocked.delete(studentId);
+
+    return blocked;
+  }
+
+  /**
+   * Garante que a matrícula do aluno permite lançamento de notas na turma
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {number} classId - ID da turma
+   * @throws {AppError} 422 ENROLLMENT_NOT_ACTIVE se a matrícula estiver trancada ou cancelada
+   *
+   * @private
+   */
+  async _assertEnrollmentAllowsGrades(studentId, classId) {
+    const blocked = await this._getBlockedEnrollmentStudentIds(classId, [studentId]);
+    if (blocked.has(studentId)) {
+      throw new AppError(
+        `Aluno ID ${studentId} está com a matrícula trancada ou cancelada; não é possível lançar notas`,
+        422,
+        'ENROLLMENT_NOT_ACTIVE'
+      );
+    }
+  }
+
   /**
    * Valida o valor da nota conforme o tipo de avaliação
    *
@@ -207,6 +298,7 @@ class GradeService {
    * - Avaliação existe
    * - Aluno existe
    * - Aluno está inscrito na turma da avaliação
+   * - Aluno está em recuperação (somente para avaliações de recuperação)
    * - Tipo e valor da nota estão corretos
    * - Nota não foi lançada anteriormente (ou atualiza se existir)
    *
@@ -256,6 +348,21 @@ class GradeService {
         );
       }
 
+      // Matrícula trancada ou cancelada não recebe notas
+      await this._assertEnrollmentAllowsGrades(gradeData.student_id, evaluation.class_id);
+
+      // Avaliação de recuperação: apenas alunos em recuperação recebem nota
+      if (evaluation.is_recovery) {
+        const recoveryStudentIds = await this._getRecoveryStudentIds(evaluation);
+        if (!recoveryStudentIds.has(gradeData.student_id)) {
+          throw new AppError(
+            `Aluno ID ${gradeData.student_id} não está em recuperação nesta disciplina`,
+            422,
+            'STUDENT_NOT_IN_RECOVERY'
+          );
+        }
+      }
+
       // 4. Validar tipo e valor da nota
       const validatedGrade = this._validateGradeValue(
         evaluation.type,
@@ -289,6 +396,12 @@ class GradeService {
         });
       }
 
+      NotificationService.publish(NOTIFICATION_EVENTS.GRADE_PUBLISHED, {
+        evaluationId: evaluation.id,
+        studentIds: [grade.student_id],
+        updated: Boolean(existingGrade),
+      });
+
       return grade.toJSON();
     } catch (error) {
       if (error.isOperational) throw error;
@@ -409,6 +522,9 @@ class GradeService {
         );
       }
 
+      // Matrícula trancada ou cancelada não tem notas alteradas
+      await this._assertEnrollmentAllowsGrades(grade.student_id, grade.evaluation.class_id);
+
       // Validar novo valor
       const validatedGrade = this._validateGradeValue(
         grade.evaluation.type,
@@ -422,6 +538,12 @@ class GradeService {
         concept: validatedGrade.concept
       });
 
+      NotificationService.publish(NOTIFICATION_EVENTS.GRADE_PUBLISHED, {
+        evaluationId: grade.evaluation_id,
+        studentIds: [grade.student_id],
+        updated: true,
+      });
+
       return grade.toJSON();
     } catch (error) {
       if (error.isOperational) throw error;
@@ -688,11 +810,21 @@ class GradeService {
         attributes: ['student_id']
       });
       const validStudentIds = new Set(classStudents.map(cs => cs.student_id));
+      const classStudentIds = [...validStudentIds];
+      const blockedStudentIds = await this._getBlockedEnrollmentStudentIds(
+        evaluation.class_id,
+        classStudentIds
+      );
+      const recoveryStudentIds = evaluation.is_recovery
+        ? await this._getRecoveryStudentIds(evaluation)
+        : null;
 
       // 5. Processar cada nota
       const results = [];
       let successCount = 0;
       let failedCount = 0;
+      const createdStudentIds = [];
+      const updatedStudentIds = [];
 
       for (const gradeData of gradesData) {
         try {
@@ -729,6 +861,28 @@ class GradeService {
             continue;
           }
 
+          // Matrícula trancada ou cancelada não recebe notas
+          if (blockedStudentIds.has(gradeData.student_id)) {
+            results.push({
+              student_id: gradeData.student_id,
+              status: 'failed',
+              error: `Aluno ID ${gradeData.student_id} está com a matrícula trancada ou cancelada`,
+            });
+            failedCount++;
+            continue;
+          }
+
+          // Avaliação de recuperação: apenas alunos em recuperação
+          if (recoveryStudentIds && !recoveryStudentIds.has(gradeData.student_id)) {
+            results.push({
+              student_id: gradeData.student_id,
+              status: 'failed',
+              error: `Aluno ID ${gradeData.student_id} não está em recuperação nesta disciplina`,
+            });
+            failedCount++;
+            continue;
+          }
+
           // Validar tipo e valor da nota
           const validatedGrade = this._validateGradeValue(
             evaluation.type,
@@ -754,6 +908,7 @@ class GradeService {
               concept: validatedGrade.concept
             }, { transaction });
             grade = existingGrade;
+            updatedStudentIds.push(gradeData.student_id);
           } else {
             // Criar nova nota
             grade = await Grade.create({
@@ -762,6 +917,7 @@ class GradeService {
               grade: validatedGrade.grade,
               concept: validatedGrade.concept
             }, { transaction });
+            createdStudentIds.push(gradeData.student_id);
           }
 
           results.push({
@@ -784,6 +940,21 @@ class GradeService {
       // 6. Commit da transação
       await transaction.commit();
 
+      // Avisar os alunos das notas lançadas e das alteradas
+      if (createdStudentIds.length > 0) {
+        NotificationService.publish(NOTIFICATION_EVENTS.GRADE_PUBLISHED, {
+          evaluationId: evaluation.id,
+          studentIds: createdStudentIds,
+        });
+      }
+      if (updatedStudentIds.length > 0) {
+        NotificationService.publish(NOTIFICATION_EVENTS.GRADE_PUBLISHED, {
+          evaluationId: evaluation.id,
+          studentIds: updatedStudentIds,
+          updated: true,
+        });
+      }
+
       // 7. Retornar resultado consolidado
       return {
         total: gradesData.length,
@@ -956,6 +1127,660 @@ class GradeService {
       );
     }
   }
+
+  // ==========================================================================
+  // Média final e situação do aluno (feat-113)
+  // ==========================================================================
+
+  /**
+   * Retorna a configuração de aprovação vigente
+   *
+   * Lida a cada chamada para respeitar as variáveis PASSING_GRADE, RECOVERY_MIN_GRADE
+   * e RECOVERY_PASSING_GRADE (valores fora da escala 0-10 são ignorados).
+   *
+   * @returns {{passing_grade: number, recovery_min_grade: number, recovery_passing_grade: number}}
+   */
+  getGradingConfig() {
+    const parse = (value, fallback) => {
+      const parsed = parseFloat(value);
+      return !isNaN(parsed) && parsed >= 0 && parsed <= 10 ? parsed : fallback;
+    };
+
+    const passingGrade = parse(process.env.PASSING_GRADE, GRADING_CONFIG.DEFAULT_PASSING_GRADE);
+    const recoveryMinGrade = parse(
+      process.env.RECOVERY_MIN_GRADE,
+      GRADING_CONFIG.DEFAULT_RECOVERY_MIN_GRADE
+    );
+    const recoveryPassingGrade = parse(
+      process.env.RECOVERY_PASSING_GRADE,
+      GRADING_CONFIG.DEFAULT_RECOVERY_PASSING_GRADE
+    );
+
+    return {
+      passing_grade: passingGrade,
+      // A recuperação nunca pode exigir mais que a aprovação direta
+      recovery_min_grade: Math.min(recoveryMinGrade, passingGrade),
+      recovery_passing_grade: Math.min(recoveryPassingGrade, passingGrade),
+    };
+  }
+
+  /**
+   * Resolve a fórmula de média e a regra de recuperação de cada turma/disciplina
+   *
+   * A fórmula definida na disciplina do curso (course_disciplines) tem prioridade
+   * sobre a fórmula do curso; sem nenhuma das duas, usa a média aritmética.
+   * A regra de recuperação é sempre a do curso (padrão: média entre período e recuperação).
+   *
+   * @param {Array<number>} classIds - IDs das turmas envolvidas
+   * @returns {Promise<Function>} Função (classId, disciplineId) => { formula, best_of, recovery_rule }
+   * @private
+   */
+  async _getGradingFormulaResolver(classIds) {
+    const uniqueClassIds = [...new Set(classIds.filter(Boolean))];
+    const classes = uniqueClassIds.length
+      ? await Class.findAll({
+          where: { id: uniqueClassIds },
+          attributes: ['id', 'course_id'],
+          include: [
+            {
+              model: Course,
+              as: 'course',
+              attributes: ['id', 'grading_formula', 'grading_best_of', 'recovery_rule'],
+            },
+          ],
+        })
+      : [];
+
+    const courseIds = [...new Set(classes.map((c) => c.course_id).filter(Boolean))];
+    const overrides = courseIds.length
+      ? await CourseDiscipline.findAll({
+          where: { course_id: courseIds, grading_formula: { [Op.ne]: null } },
+          attributes: ['course_id', 'discipline_id', 'grading_formula', 'grading_best_of'],
+        })
+      : [];
+
+    const classById = new Map(classes.map((c) => [c.id, c]));
+    const overrideByKey = new Map(overrides.map((o) => [`${o.course_id}-${o.discipline_id}`, o]));
+
+    return (classId, disciplineId) => {
+      const classData = classById.get(classId);
+      const override = classData && overrideByKey.get(`${classData.course_id}-${disciplineId}`);
+      const source = override || (classData && classData.course);
+      const recoveryRule =
+        (classData && classData.course && classData.course.recovery_rule) || RECOVERY_RULES.AVERAGE;
+
+      if (!source || !source.grading_formula) {
+        return {
+          formula: GRADING_FORMULAS.ARITHMETIC,
+          best_of: null,
+          recovery_rule: recoveryRule,
+        };
+      }
+
+      return {
+        formula: source.grading_formula,
+        best_of: source.grading_best_of || null,
+        recovery_rule: recoveryRule,
+      };
+    };
+  }
+
+  /**
+   * Aplica a fórmula de média sobre as notas numéricas lançadas
+   *
+   * @param {Array<{grade: number, weight: number, is_final_exam: boolean}>} entries - Notas lançadas
+   * @param {string} formula - Fórmula (ver GRADING_FORMULAS)
+   * @param {number|null} bestOf - Quantidade de notas da fórmula best_of
+   * @returns {number|null} Média arredondada em 2 casas ou null se não houver notas
+   * @private
+   */
+  _applyFormula(entries, formula, bestOf) {
+    if (entries.length === 0) return null;
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    let average;
+
+    switch (formula) {
+      case GRADING_FORMULAS.WEIGHTED: {
+        // Pesos somando zero (ou negativos) não definem uma média ponderada: usa a aritmética
+        const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+        average =
+          totalWeight > 0
+            ? entries.reduce((sum, e) => sum + e.grade * e.weight, 0) / totalWeight
+            : mean(entries.map((e) => e.grade));
+        break;
+      }
+      case GRADING_FORMULAS.BEST_OF: {
+        const sorted = entries.map((e) => e.grade).sort((a, b) => b - a);
+        average = mean(sorted.slice(0, bestOf || sorted.length));
+        break;
+      }
+      case GRADING_FORMULAS.FINAL_REPLACES_LOWEST: {
+        const regular = entries.filter((e) => !e.is_final_exam).map((e) => e.grade);
+        const finals = entries.filter((e) => e.is_final_exam).map((e) => e.grade);
+        if (regular.length === 0) {
+          average = mean(finals);
+          break;
+        }
+        if (finals.length > 0) {
+          const finalGrade = Math.max(...finals);
+          const lowestIndex = regular.indexOf(Math.min(...regular));
+          if (finalGrade > regular[lowestIndex]) {
+            regular[lowestIndex] = finalGrade;
+          }
+        }
+        average = mean(regular);
+        break;
+      }
+      default:
+        average = mean(entries.map((e) => e.grade));
+    }
+
+    return Math.round(average * 100) / 100;
+  }
+
+  /**
+   * Combina a média do período com a nota da recuperação conforme a regra do curso
+   *
+   * @param {number|null} average - Média do período (null quando só há conceitos)
+   * @param {number} recoveryGrade - Nota da avaliação de recuperação
+   * @param {string} rule - Regra de recuperação (ver RECOVERY_RULES)
+   * @returns {number} Média final arredondada em 2 casas
+   * @private
+   */
+  _applyRecoveryRule(average, recoveryGrade, rule) {
+    if (average === null) return recoveryGrade;
+
+    let finalAverage;
+    switch (rule) {
+      case RECOVERY_RULES.REPLACE:
+        finalAverage = recoveryGrade;
+        break;
+      case RECOVERY_RULES.HIGHEST:
+        finalAverage = Math.max(average, recoveryGrade);
+        break;
+      default:
+        finalAverage = (average + recoveryGrade) / 2;
+    }
+
+    return Math.round(finalAverage * 100) / 100;
+  }
+
+  /**
+   * Calcula a média final e a situação de um aluno em uma disciplina
+   *
+   * Regras:
+   * - Média das avaliações do tipo 'grade' conforme a fórmula configurada (config.formula):
+   *   aritmética, ponderada pelos pesos, melhores N notas ou prova final substituindo a menor nota
+   * - Na fórmula best_of bastam N notas lançadas; na final_replaces_lowest a prova final é opcional
+   * - Avaliações do tipo 'concept' resultam em 'satisfactory' somente se todas forem satisfatórias;
+   *   um conceito insatisfatório impede a aprovação direta (aluno vai para recuperação)
+   * - Frequência acima do limite de faltas reprova independentemente das notas
+   * - Enquanto houver avaliação obrigatória sem nota, a situação é 'in_progress'
+   * - A avaliação de recuperação não entra na média do período: para o aluno em recuperação,
+   *   sua nota é combinada com a média conforme config.recovery_rule e a situação passa a
+   *   aprovado (média final >= recovery_passing_grade) ou reprovado
+   *
+   * @param {Array<object>} evaluations - Avaliações da turma/disciplina ({ id, type, weight, is_final_exam, is_recovery })
+   * @param {Map<number, object>} gradesByEvaluation - Notas do aluno indexadas por evaluation_id
+   * @param {object} [config] - Configuração de aprovação e fórmula ({ passing_grade, recovery_min_grade, recovery_passing_grade, formula, best_of, recovery_rule })
+   * @param {object|null} [frequency] - Resumo de frequência do AttendanceService (opcional)
+   * @returns {object} Média, conceito, situação e contadores de avaliações
+   */
+  calculateResult(
+    evaluations,
+    gradesByEvaluation,
+    config = this.getGradingConfig(),
+    frequency = null
+  ) {
+    const formula = config.formula || GRADING_FORMULAS.ARITHMETIC;
+    const finalIsOptional = formula === GRADING_FORMULAS.FINAL_REPLACES_LOWEST;
+    const recoveryEvaluation = evaluations.find((evaluation) => evaluation.is_recovery) || null;
+    const regularEvaluations = evaluations.filter((evaluation) => !evaluation.is_recovery);
+    const numericEntries = [];
+    let requiredNumericCount = 0;
+    let requiredNumericGraded = 0;
+    let conceptCount = 0;
+    let unsatisfactoryCount = 0;
+    let conceptPending = 0;
+
+    regularEvaluations.forEach((evaluation) => {
+      const grade = gradesByEvaluation.get(evaluation.id);
+
+      if (evaluation.type === EVALUATION_TYPES.GRADE) {
+        const isOptional = finalIsOptional && !!evaluation.is_final_exam;
+        const isGraded = !!grade && grade.grade !== null && grade.grade !== undefined;
+
+        if (!isOptional) requiredNumericCount++;
+        if (isGraded) {
+          if (!isOptional) requiredNumericGraded++;
+          numericEntries.push({
+            grade: parseFloat(grade.grade),
+            weight: parseFloat(evaluation.weight) || GRADING_CONFIG.DEFAULT_EVALUATION_WEIGHT,
+            is_final_exam: !!evaluation.is_final_exam,
+          });
+        }
+        return;
+      }
+
+      if (grade && grade.concept) {
+        conceptCount++;
+        if (grade.concept === EVALUATION_CONCEPTS.UNSATISFACTORY) {
+          unsatisfactoryCount++;
+        }
+      } else {
+        conceptPending++;
+      }
+    });
+
+    // Na fórmula best_of o aluno precisa de apenas N notas lançadas
+    const requiredNumeric =
+      formula === GRADING_FORMULAS.BEST_OF && config.best_of
+        ? Math.min(config.best_of, requiredNumericCount)
+        : requiredNumericCount;
+    const pendingCount = Math.max(0, requiredNumeric - requiredNumericGraded) + conceptPending;
+
+    const average = this._applyFormula(numericEntries, formula, config.best_of);
+
+    let concept = null;
+    if (conceptCount > 0) {
+      concept =
+        unsatisfactoryCount > 0
+          ? EVALUATION_CONCEPTS.UNSATISFACTORY
+          : EVALUATION_CONCEPTS.SATISFACTORY;
+    }
+
+    const failedByAbsence = !!frequency && frequency.status === 'exceeded';
+
+    let status;
+    if (failedByAbsence) {
+      status = GRADE_RESULT_STATUS.FAILED;
+    } else if (regularEvaluations.length === 0 || pendingCount > 0) {
+      status = GRADE_RESULT_STATUS.IN_PROGRESS;
+    } else if (average === null || average >= config.passing_grade) {
+      status =
+        concept === EVALUATION_CONCEPTS.UNSATISFACTORY
+          ? GRADE_RESULT_STATUS.RECOVERY
+          : GRADE_RESULT_STATUS.APPROVED;
+    } else if (average >= config.recovery_min_grade) {
+      status = GRADE_RESULT_STATUS.RECOVERY;
+    } else {
+      status = GRADE_RESULT_STATUS.FAILED;
+    }
+
+    // Recuperação: só se aplica a quem ficou em recuperação no período
+    const recoveryEligible = status === GRADE_RESULT_STATUS.RECOVERY;
+    const recoveryGrade =
+      recoveryEligible && recoveryEvaluation ? gradesByEvaluation.get(recoveryEvaluation.id) : null;
+    let finalAverage = average;
+    let recoveryValue = null;
+
+    if (recoveryGrade && recoveryGrade.grade !== null && recoveryGrade.grade !== undefined) {
+      recoveryValue = parseFloat(recoveryGrade.grade);
+      finalAverage = this._applyRecoveryRule(
+        average,
+        recoveryValue,
+        config.recovery_rule || RECOVERY_RULES.AVERAGE
+      );
+      const recoveryPassingGrade =
+        config.recovery_passing_grade ?? GRADING_CONFIG.DEFAULT_RECOVERY_PASSING_GRADE;
+      status =
+        finalAverage >= recoveryPassingGrade
+          ? GRADE_RESULT_STATUS.APPROVED
+          : GRADE_RESULT_STATUS.FAILED;
+    }
+
+    return {
+      average: finalAverage,
+      regular_average: average,
+      concept,
+      status,
+      status_label: GRADE_RESULT_STATUS_LABELS[status],
+      failed_by_absence: failedByAbsence,
+      recovery_eligible: recoveryEligible,
+      recovery_grade: recoveryValue,
+      total_evaluations: regularEvaluations.length,
+      graded_evaluations: numericEntries.length + conceptCount,
+      pending_evaluations: pendingCount,
+    };
+  }
+
+  /**
+   * Combina a configuração de aprovação com a fórmula e a regra de recuperação da turma/disciplina
+   *
+   * @private
+   */
+  _buildConfig(baseConfig, { formula, best_of, recovery_rule }) {
+    return {
+      ...baseConfig,
+      formula,
+      formula_label: GRADING_FORMULA_LABELS[formula],
+      best_of,
+      recovery_rule,
+      recovery_rule_label: RECOVERY_RULE_LABELS[recovery_rule],
+    };
+  }
+
+  /**
+   * Extrai os dados de frequência relevantes para o resultado final
+   *
+   * @private
+   */
+  _pickFrequency(summary) {
+    if (!summary) return null;
+
+    return {
+      frequency_percentage: summary.frequency_percentage,
+      absence_percentage: summary.absence_percentage,
+      status: summary.status,
+    };
+  }
+
+  /**
+   * Calcula a média final e a situação de um aluno em cada turma/disciplina cursada
+   *
+   * Considera as avaliações das turmas em que o aluno está matriculado e também
+   * avaliações de outras turmas em que ele já possui nota (histórico).
+   * Disciplinas dispensadas (aproveitamento) não são listadas.
+   *
+   * @param {number} studentId - ID do aluno
+   * @param {object} [filters] - Filtros opcionais
+   * @param {number} [filters.class_id] - Restringe a uma turma
+   * @returns {Promise<Array>} Resultado por turma/disciplina
+   * @throws {AppError} Se aluno não existir
+   */
+  async getStudentResults(studentId, filters = {}) {
+    try {
+      await this._getAndValidateStudent(studentId);
+
+      const linkWhere = { student_id: studentId };
+      if (filters.class_id) linkWhere.class_id = filters.class_id;
+
+      const [links, grades] = await Promise.all([
+        ClassStudent.findAll({ where: linkWhere, attributes: ['class_id'] }),
+        Grade.findAll({ where: { student_id: studentId } }),
+      ]);
+
+      const gradesByEvaluation = new Map(grades.map((g) => [g.evaluation_id, g]));
+      const classIds = links.map((link) => link.class_id);
+      const gradedEvaluationIds = Array.from(gradesByEvaluation.keys());
+
+      const evaluationWhere = { [Op.or]: [] };
+      if (classIds.length > 0) evaluationWhere[Op.or].push({ class_id: classIds });
+      if (gradedEvaluationIds.length > 0) evaluationWhere[Op.or].push({ id: gradedEvaluationIds });
+      if (evaluationWhere[Op.or].length === 0) {
+        return [];
+      }
+      if (filters.class_id) evaluationWhere.class_id = filters.class_id;
+
+      const [evaluations, exemptions, frequencies] = await Promise.all([
+        Evaluation.findAll({
+          where: evaluationWhere,
+          include: [
+            { model: Class, as: 'class', attributes: ['id', 'semester', 'year'] },
+            { model: Discipline, as: 'discipline', attributes: ['id', 'name', 'code'] },
+          ],
+          order: [['date', 'ASC']],
+        }),
+        StudentDisciplineExemption.findAll({
+          where: { student_id: studentId },
+          attributes: ['discipline_id', 'class_id'],
+        }),
+        AttendanceService.getStudentFrequency(studentId, { class_id: filters.class_id }),
+      ]);
+
+      const isExempt = (classId, disciplineId) =>
+        exemptions.some(
+          (e) => e.discipline_id === disciplineId && (!e.class_id || e.class_id === classId)
+        );
+      const frequencyByKey = new Map(
+        frequencies.map((f) => [`${f.class_id}-${f.discipline_id}`, f])
+      );
+
+      // Agrupar avaliações por turma + disciplina
+      const groups = new Map();
+      evaluations.forEach((evaluation) => {
+        if (!evaluation.discipline || isExempt(evaluation.class_id, evaluation.discipline_id))
+          return;
+
+        const key = `${evaluation.class_id}-${evaluation.discipline_id}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            class: evaluation.class,
+            discipline: evaluation.discipline,
+            evaluations: [],
+          });
+        }
+        groups.get(key).evaluations.push(evaluation);
+      });
+
+      const baseConfig = this.getGradingConfig();
+      const resolveFormula = await this._getGradingFormulaResolver(
+        evaluations.map((e) => e.class_id)
+      );
+
+      return Array.from(groups.entries())
+        .map(([key, group]) => {
+          const frequency = frequencyByKey.get(key) || null;
+          const config = this._buildConfig(
+            baseConfig,
+            resolveFormula(group.evaluations[0].class_id, group.discipline.id)
+          );
+
+          const result = this.calculateResult(
+            group.evaluations,
+            gradesByEvaluation,
+            config,
+            frequency
+          );
+          // A avaliação de recuperação só é exibida para quem ficou em recuperação
+          const visibleEvaluations = group.evaluations.filter(
+            (evaluation) => !evaluation.is_recovery || result.recovery_eligible
+          );
+
+          return {
+            class_id: group.class ? group.class.id : null,
+            class: group.class
+              ? { id: group.class.id, semester: group.class.semester, year: group.class.year }
+              : null,
+            discipline_id: group.discipline.id,
+            discipline: {
+              id: group.discipline.id,
+              name: group.discipline.name,
+              code: group.discipline.code,
+            },
+            evaluations: visibleEvaluations.map((evaluation) => {
+              const grade = gradesByEvaluation.get(evaluation.id);
+              return {
+                id: evaluation.id,
+                name: evaluation.name,
+                date: evaluation.date,
+                type: evaluation.type,
+                weight: evaluation.weight,
+                is_final_exam: evaluation.is_final_exam,
+                is_recovery: evaluation.is_recovery,
+                grade: grade && grade.grade !== null ? parseFloat(grade.grade) : null,
+                concept: grade ? grade.concept : null,
+              };
+            }),
+            frequency: this._pickFrequency(frequency),
+            ...result,
+            ...config,
+          };
+        })
+        .sort((a, b) => a.discipline.name.localeCompare(b.discipline.name));
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new AppError(
+        'Erro ao calcular resultados do aluno',
+        500,
+        'STUDENT_RESULTS_FETCH_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Calcula a média final e a situação de todos os alunos de uma turma em uma disciplina
+   *
+   * @param {number} classId - ID da turma
+   * @param {number} disciplineId - ID da disciplina
+   * @returns {Promise<object>} Avaliações, resultado por aluno e resumo por situação
+   * @throws {AppError} Se turma ou disciplina não existir
+   */
+  async getClassDisciplineResults(classId, disciplineId) {
+    try {
+      const [classData, discipline] = await Promise.all([
+        Class.findByPk(classId, { attributes: ['id', 'semester', 'year'] }),
+        Discipline.findByPk(disciplineId, { attributes: ['id', 'name', 'code'] }),
+      ]);
+
+      if (!classData) {
+        throw new AppError('Turma não encontrada', 404, 'CLASS_NOT_FOUND');
+      }
+      if (!discipline) {
+        throw new AppError('Disciplina não encontrada', 404, 'DISCIPLINE_NOT_FOUND');
+      }
+
+      const [evaluations, students, frequency] = await Promise.all([
+        Evaluation.findAll({
+          where: { class_id: classId, discipline_id: disciplineId },
+          attributes: ['id', 'name', 'date', 'type', 'weight', 'is_final_exam', 'is_recovery'],
+          order: [['date', 'ASC']],
+        }),
+        AttendanceService.getRollStudents(classId, disciplineId),
+        AttendanceService.getClassFrequency(classId, disciplineId),
+      ]);
+
+      const grades =
+        evaluations.length > 0
+          ? await Grade.findAll({ where: { evaluation_id: evaluations.map((e) => e.id) } })
+          : [];
+
+      const frequencyByStudent = new Map(frequency.students.map((s) => [s.id, s]));
+      const resolveFormula = await this._getGradingFormulaResolver([classId]);
+      const config = this._buildConfig(
+        this.getGradingConfig(),
+        resolveFormula(classId, disciplineId)
+      );
+      const summary = Object.values(GRADE_RESULT_STATUS).reduce(
+        (acc, status) => ({ ...acc, [status]: 0 }),
+        {}
+      );
+
+      const results = students.map((student) => {
+        const gradesByEvaluation = new Map(
+          grades.filter((g) => g.student_id === student.id).map((g) => [g.evaluation_id, g])
+        );
+        const studentFrequency = frequencyByStudent.get(student.id) || null;
+        const result = this.calculateResult(
+          evaluations,
+          gradesByEvaluation,
+          config,
+          studentFrequency
+        );
+        summary[result.status]++;
+
+        return {
+          id: student.id,
+          nome: student.nome,
+          matricula: student.matricula,
+          grades: evaluations.map((evaluation) => {
+            const grade = gradesByEvaluation.get(evaluation.id);
+            return {
+              evaluation_id: evaluation.id,
+              grade: grade && grade.grade !== null ? parseFloat(grade.grade) : null,
+              concept: grade ? grade.concept : null,
+            };
+          }),
+          frequency: this._pickFrequency(studentFrequency),
+          ...result,
+        };
+      });
+
+      return {
+        class: { id: classData.id, semester: classData.semester, year: classData.year },
+        discipline: { id: discipline.id, name: discipline.name, code: discipline.code },
+        ...config,
+        evaluations: evaluations.map((e) => ({
+          id: e.id,
+          name: e.name,
+          date: e.date,
+          type: e.type,
+          weight: e.weight,
+          is_final_exam: e.is_final_exam,
+          is_recovery: e.is_recovery,
+        })),
+        students: results,
+        summary,
+      };
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new AppError('Erro ao calcular resultados da turma', 500, 'CLASS_RESULTS_FETCH_ERROR');
+    }
+  }
+
+  // ==========================================================================
+  // Recuperação (feat-115)
+  // ==========================================================================
+
+  /**
+   * Lista os alunos em recuperação de uma turma/disciplina
+   *
+   * São elegíveis os alunos cuja situação no período (sem a recuperação) é 'recovery'.
+   * Para cada um retorna a média do período, a nota da recuperação (se lançada)
+   * e a média/situação finais após aplicar a regra de recuperação do curso.
+   *
+   * @param {number} classId - ID da turma
+   * @param {number} disciplineId - ID da disciplina
+   * @returns {Promise<object>} Configuração, avaliação de recuperação (ou null) e alunos elegíveis
+   * @throws {AppError} Se turma ou disciplina não existir
+   */
+  async getClassRecovery(classId, disciplineId) {
+    const results = await this.getClassDisciplineResults(classId, disciplineId);
+    const recoveryEvaluation = results.evaluations.find((e) => e.is_recovery) || null;
+
+    return {
+      class: results.class,
+      discipline: results.discipline,
+      passing_grade: results.passing_grade,
+      recovery_min_grade: results.recovery_min_grade,
+      recovery_passing_grade: results.recovery_passing_grade,
+      recovery_rule: results.recovery_rule,
+      recovery_rule_label: results.recovery_rule_label,
+      recovery_evaluation: recoveryEvaluation
+        ? {
+            id: recoveryEvaluation.id,
+            name: recoveryEvaluation.name,
+            date: recoveryEvaluation.date,
+          }
+        : null,
+      students: results.students
+        .filter((student) => student.recovery_eligible)
+        .map((student) => ({
+          id: student.id,
+          nome: student.nome,
+          matricula: student.matricula,
+          regular_average: student.regular_average,
+          concept: student.concept,
+          recovery_grade: student.recovery_grade,
+          average: student.average,
+          status: student.status,
+          status_label: student.status_label,
+        })),
+    };
+  }
+
+  /**
+   * Retorna os IDs dos alunos que podem receber nota em uma avaliação de recuperação
+   *
+   * @param {object} evaluation - Avaliação de recuperação
+   * @returns {Promise<Set<number>>} IDs dos alunos em recuperação
+   * @private
+   */
+  async _getRecoveryStudentIds(evaluation) {
+    const recovery = await this.getClassRecovery(evaluation.class_id, evaluation.discipline_id);
+    return new Set(recovery.students.map((student) => student.id));
+  }
 }
 
 module.exports = new GradeService();
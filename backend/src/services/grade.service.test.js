@@ -0,0 +1,379 @@
+/**
+ * Arquivo: backend/src/services/grade.service.test.js
+ * Descrição: Testes unitários do cálculo de médias e situação do GradeService
+ * Feature: feat-114 - Fórmulas de cálculo da média
+ * Criado em: 2026-10-19
+ * Modificado: feat-115 - Recuperação
+ *
+ * Executar com: npm test (ou node --test src/services/grade.service.test.js)
+ *
+ * Apenas os métodos de cálculo são testados: nenhum teste abre conexão com o banco.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// O carregamento dos models e do email exige configuração (nenhuma conexão é aberta)
+const TEST_ENV = {
+  DB_HOST: 'localhost',
+  DB_PORT: '3306',
+  DB_NAME: 'secretaria_online_test',
+  DB_USER: 'test',
+  DB_PASSWORD: 'test',
+  SMTP_HOST: 'localhost',
+  SMTP_PORT: '2525',
+  SMTP_USER: 'test',
+  SMTP_PASS: 'test',
+  SMTP_FROM: 'test@secretaria.local',
+};
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  process.env[name] = process.env[name] || value;
+});
+
+const GradeService = require('./grade.service');
+const { GRADING_FORMULAS, GRADE_RESULT_STATUS, RECOVERY_RULES } = require('../utils/constants');
+
+const CONFIG = {
+  passing_grade: 7,
+  recovery_min_grade: 5,
+  recovery_passing_grade: 5,
+};
+
+/**
+ * Monta as notas lançadas a partir de uma lista de notas (peso 1, sem prova final)
+ */
+function entries(grades) {
+  return grades.map((grade) => ({ grade, weight: 1, is_final_exam: false }));
+}
+
+/**
+ * Monta avaliações numéricas e as notas do aluno indexadas por evaluation_id
+ *
+ * @param {Array<number|null|Object>} items - Nota (null = não lançada) ou { grade, ...avaliação }
+ */
+function scenario(items) {
+  const evaluations = [];
+  const grades = new Map();
+
+  items.forEach((item, index) => {
+    const { grade, ...evaluation } =
+      typeof item === 'object' && item !== null ? item : { grade: item };
+    const id = index + 1;
+    evaluations.push({
+      id,
+      type: 'grade',
+      weight: 1,
+      is_final_exam: false,
+      is_recovery: false,
+      ...evaluation,
+    });
+    if (grade !== null && grade !== undefined) {
+      grades.set(id, { grade });
+    }
+  });
+
+  return { evaluations, grades };
+}
+
+describe('GradeService._applyFormula', () => {
+  it('retorna null quando não há notas', () => {
+    assert.equal(GradeService._applyFormula([], GRADING_FORMULAS.ARITHMETIC, null), null);
+  });
+
+  it('calcula a média aritmética arredondada em 2 casas', () => {
+    assert.equal(GradeService._applyFormula(entries([7, 8, 8]), GRADING_FORMULAS.ARITHMETIC), 7.67);
+  });
+
+  it('usa a média aritmética para fórmula desconhecida', () => {
+    assert.equal(GradeService._applyFormula(entries([6, 9]), 'unknown'), 7.5);
+  });
+
+  it('pondera as notas pelos pesos', () => {
+    const weighted = [
+      { grade: 10, weight: 3, is_final_exam: false },
+      { grade: 4, weight: 1, is_final_exam: false },
+    ];
+    assert.equal(GradeService._applyFormula(weighted, GRADING_FORMULAS.WEIGHTED), 8.5);
+  });
+
+  it('usa a média aritmética quando os pesos somam zero', () => {
+    const weighted = [
+      { grade: 6, weight: 0, is_final_exam: false },
+      { grade: 8, weight: 0, is_final_exam: false },
+    ];
+    const average = GradeService._applyFormula(weighted, GRADING_FORMULAS.WEIGHTED);
+    assert.equal(average, 7);
+    assert.ok(Number.isFinite(average));
+  });
+
+  it('usa a média aritmética quando os pesos somam um valor negativo', () => {
+    const weighted = [
+      { grade: 5, weight: -1, is_final_exam: false },
+      { grade: 9, weight: -1, is_final_exam: false },
+    ];
+    assert.equal(GradeService._applyFormula(weighted, GRADING_FORMULAS.WEIGHTED), 7);
+  });
+
+  it('considera apenas as N melhores notas na fórmula best_of', () => {
+    assert.equal(
+      GradeService._applyFormula(entries([3, 9, 7, 8]), GRADING_FORMULAS.BEST_OF, 2),
+      8.5
+    );
+  });
+
+  it('usa todas as notas na best_of quando N é maior que a quantidade lançada', () => {
+    assert.equal(GradeService._applyFormula(entries([6, 8]), GRADING_FORMULAS.BEST_OF, 5), 7);
+  });
+
+  it('usa todas as notas na best_of quando N não foi configurado', () => {
+    assert.equal(GradeService._applyFormula(entries([4, 8]), GRADING_FORMULAS.BEST_OF, null), 6);
+  });
+
+  it('substitui a menor nota pela prova final quando ela é maior', () => {
+    const items = [...entries([4, 8]), { grade: 9, weight: 1, is_final_exam: true }];
+    assert.equal(GradeService._applyFormula(items, GRADING_FORMULAS.FINAL_REPLACES_LOWEST), 8.5);
+  });
+
+  it('mantém a menor nota quando a prova final é menor', () => {
+    const items = [...entries([6, 8]), { grade: 5, weight: 1, is_final_exam: true }];
+    assert.equal(GradeService._applyFormula(items, GRADING_FORMULAS.FINAL_REPLACES_LOWEST), 7);
+  });
+
+  it('substitui apenas uma nota quando há notas mínimas repetidas', () => {
+    const items = [...entries([4, 4, 10]), { grade: 10, weight: 1, is_final_exam: true }];
+    assert.equal(GradeService._applyFormula(items, GRADING_FORMULAS.FINAL_REPLACES_LOWEST), 8);
+  });
+
+  it('usa a melhor prova final quando há mais de uma', () => {
+    const items = [
+      ...entries([2, 8]),
+      { grade: 6, weight: 1, is_final_exam: true },
+      { grade: 7, weight: 1, is_final_exam: true },
+    ];
+    assert.equal(GradeService._applyFormula(items, GRADING_FORMULAS.FINAL_REPLACES_LOWEST), 7.5);
+  });
+
+  it('usa a média das provas finais quando não há notas regulares', () => {
+    const items = [{ grade: 6, weight: 1, is_final_exam: true }];
+    assert.equal(GradeService._applyFormula(items, GRADING_FORMULAS.FINAL_REPLACES_LOWEST), 6);
+  });
+});
+
+describe('GradeService.calculateResult', () => {
+  it('aprova com média igual à média de aprovação', () => {
+    const { evaluations, grades } = scenario([7, 7]);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.average, 7);
+    assert.equal(result.status, GRADE_RESULT_STATUS.APPROVED);
+    assert.equal(result.pending_evaluations, 0);
+  });
+
+  it('coloca em recuperação entre a média mínima de recuperação e a de aprovação', () => {
+    const { evaluations, grades } = scenario([5, 6]);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.status, GRADE_RESULT_STATUS.RECOVERY);
+    assert.equal(result.recovery_eligible, true);
+  });
+
+  it('reprova abaixo da média mínima de recuperação', () => {
+    const { evaluations, grades } = scenario([2, 4]);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.status, GRADE_RESULT_STATUS.FAILED);
+    assert.equal(result.recovery_eligible, false);
+  });
+
+  it('fica em andamento enquanto houver avaliação sem nota', () => {
+    const { evaluations, grades } = scenario([9, null]);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.status, GRADE_RESULT_STATUS.IN_PROGRESS);
+    assert.equal(result.pending_evaluations, 1);
+    assert.equal(result.average, 9);
+  });
+
+  it('fica em andamento quando a disciplina não tem avaliações', () => {
+    const result = GradeService.calculateResult([], new Map(), CONFIG);
+
+    assert.equal(result.status, GRADE_RESULT_STATUS.IN_PROGRESS);
+    assert.equal(result.average, null);
+  });
+
+  it('reprova por faltas independentemente das notas', () => {
+    const { evaluations, grades } = scenario([10, 10]);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG, {
+      status: 'exceeded',
+    });
+
+    assert.equal(result.status, GRADE_RESULT_STATUS.FAILED);
+    assert.equal(result.failed_by_absence, true);
+  });
+
+  it('usa o peso padrão quando a avaliação não tem peso', () => {
+    const { evaluations, grades } = scenario([
+      { grade: 10, weight: null },
+      { grade: 4, weight: 3 },
+    ]);
+    const result = GradeService.calculateResult(evaluations, grades, {
+      ...CONFIG,
+      formula: GRADING_FORMULAS.WEIGHTED,
+    });
+
+    assert.equal(result.average, 5.5);
+  });
+
+  it('exige apenas N notas lançadas na fórmula best_of', () => {
+    const { evaluations, grades } = scenario([8, 9, null]);
+    const result = GradeService.calculateResult(evaluations, grades, {
+      ...CONFIG,
+      formula: GRADING_FORMULAS.BEST_OF,
+      best_of: 2,
+    });
+
+    assert.equal(result.status, GRADE_RESULT_STATUS.APPROVED);
+    assert.equal(result.average, 8.5);
+    assert.equal(result.pending_evaluations, 0);
+  });
+
+  it('não exige a prova final na fórmula final_replaces_lowest', () => {
+    const { evaluations, grades } = scenario([7, 8, { grade: null, is_final_exam: true }]);
+    const result = GradeService.calculateResult(evaluations, grades, {
+      ...CONFIG,
+      formula: GRADING_FORMULAS.FINAL_REPLACES_LOWEST,
+    });
+
+    assert.equal(result.status, GRADE_RESULT_STATUS.APPROVED);
+    assert.equal(result.total_evaluations, 3);
+    assert.equal(result.pending_evaluations, 0);
+  });
+
+  it('manda para recuperação quem tem conceito insatisfatório mesmo com média suficiente', () => {
+    const { evaluations, grades } = scenario([9]);
+    evaluations.push({ id: 2, type: 'concept', is_recovery: false });
+    grades.set(2, { concept: 'unsatisfactory' });
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.concept, 'unsatisfactory');
+    assert.equal(result.status, GRADE_RESULT_STATUS.RECOVERY);
+  });
+
+  it('aprova disciplina só com conceitos satisfatórios', () => {
+    const evaluations = [
+      { id: 1, type: 'concept', is_recovery: false },
+      { id: 2, type: 'concept', is_recovery: false },
+    ];
+    const grades = new Map([
+      [1, { concept: 'satisfactory' }],
+      [2, { concept: 'satisfactory' }],
+    ]);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.average, null);
+    assert.equal(result.concept, 'satisfactory');
+    assert.equal(result.status, GRADE_RESULT_STATUS.APPROVED);
+    assert.equal(result.graded_evaluations, 2);
+  });
+});
+
+describe('GradeService._applyRecoveryRule', () => {
+  it('usa a nota da recuperação quando não há média do período', () => {
+    assert.equal(GradeService._applyRecoveryRule(null, 6.5, RECOVERY_RULES.AVERAGE), 6.5);
+  });
+
+  it('substitui a média pela nota da recuperação', () => {
+    assert.equal(GradeService._applyRecoveryRule(6, 4, RECOVERY_RULES.REPLACE), 4);
+  });
+
+  it('mantém o maior valor entre a média e a recuperação', () => {
+    assert.equal(GradeService._applyRecoveryRule(6, 4, RECOVERY_RULES.HIGHEST), 6);
+    assert.equal(GradeService._applyRecoveryRule(6, 8, RECOVERY_RULES.HIGHEST), 8);
+  });
+
+  it('calcula a média entre a média do período e a recuperação', () => {
+    assert.equal(GradeService._applyRecoveryRule(5.5, 8, RECOVERY_RULES.AVERAGE), 6.75);
+  });
+
+  it('usa a média entre as notas para regra desconhecida', () => {
+    assert.equal(GradeService._applyRecoveryRule(5, 6, 'unknown'), 5.5);
+  });
+
+  it('arredonda a média final em 2 casas', () => {
+    assert.equal(GradeService._applyRecoveryRule(5.33, 6, RECOVERY_RULES.AVERAGE), 5.67);
+  });
+});
+
+describe('GradeService.calculateResult com recuperação', () => {
+  /**
+   * Duas avaliações regulares e uma de recuperação (id 3)
+   */
+  function recoveryScenario(regularGrades, recoveryGrade) {
+    const { evaluations, grades } = scenario([
+      ...regularGrades,
+      { grade: recoveryGrade, is_recovery: true },
+    ]);
+    return { evaluations, grades };
+  }
+
+  it('aprova quem atinge a média de recuperação', () => {
+    const { evaluations, grades } = recoveryScenario([5, 6], 7);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.regular_average, 5.5);
+    assert.equal(result.recovery_grade, 7);
+    assert.equal(result.average, 6.25);
+    assert.equal(result.status, GRADE_RESULT_STATUS.APPROVED);
+    assert.equal(result.total_evaluations, 2);
+  });
+
+  it('reprova quem não atinge a média de recuperação', () => {
+    const { evaluations, grades } = recoveryScenario([5, 6], 3);
+    const result = GradeService.calculateResult(evaluations, grades, {
+      ...CONFIG,
+      recovery_rule: RECOVERY_RULES.REPLACE,
+    });
+
+    assert.equal(result.average, 3);
+    assert.equal(result.status, GRADE_RESULT_STATUS.FAILED);
+  });
+
+  it('usa a média de recuperação configurada', () => {
+    const { evaluations, grades } = recoveryScenario([5, 6], 6);
+    const result = GradeService.calculateResult(evaluations, grades, {
+      ...CONFIG,
+      recovery_passing_grade: 6,
+      recovery_rule: RECOVERY_RULES.HIGHEST,
+    });
+
+    assert.equal(result.average, 6);
+    assert.equal(result.status, GRADE_RESULT_STATUS.APPROVED);
+  });
+
+  it('mantém em recuperação enquanto a nota da recuperação não é lançada', () => {
+    const { evaluations, grades } = recoveryScenario([5, 6], null);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.status, GRADE_RESULT_STATUS.RECOVERY);
+    assert.equal(result.recovery_grade, null);
+    assert.equal(result.average, 5.5);
+  });
+
+  it('ignora a nota da recuperação de quem foi aprovado no período', () => {
+    const { evaluations, grades } = recoveryScenario([8, 9], 2);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.average, 8.5);
+    assert.equal(result.recovery_eligible, false);
+    assert.equal(result.recovery_grade, null);
+    assert.equal(result.status, GRADE_RESULT_STATUS.APPROVED);
+  });
+
+  it('ignora a nota da recuperação de quem reprovou abaixo da média mínima', () => {
+    const { evaluations, grades } = recoveryScenario([2, 3], 10);
+    const result = GradeService.calculateResult(evaluations, grades, CONFIG);
+
+    assert.equal(result.average, 2.5);
+    assert.equal(result.status, GRADE_RESULT_STATUS.FAILED);
+  });
+});
@@ -0,0 +1,556 @@
+/**
+ * Arquivo: backend/src/services/historicoEscolar.service.js
+ * Descrição: Serviço responsável pela geração do Histórico Escolar em PDF
+ *            com assinatura eletrônica (hash) para validação pública.
+ * Feature: feat-116 - Histórico Escolar com Assinatura Eletrônica
+ * Modificado: feat-117 - Geradores de documentos por tipo de solicitação
+ * Modificado: feat-130 - Disciplinas pendentes e carga horária pela matriz curricular do aluno
+ * Criado em: 2026-10-19
+ */
+
+const {
+  Student,
+  Enrollment,
+  Discipline,
+  StudentDisciplineExemption,
+  StudentExtraDiscipline,
+} = require('../models');
+const GradeService = require('./grade.service');
+const BrandedDocumentService = require('./brandedDocument.service');
+const curriculumVersionService = require('./curriculumVersion.service');
+const { GRADE_RESULT_STATUS, GRADE_RESULT_STATUS_LABELS } = require('../utils/constants');
+
+/**
+ * HistoricoEscolarService
+ *
+ * Responsabilidades:
+ * - Reunir os resultados do aluno em todos os semestres (médias calculadas pelo GradeService)
+ * - Incluir disciplinas dispensadas (aproveitamento) e disciplinas extras
+ * - Informar a carga horária de cada disciplina e o total integralizado
+ * - Comparar com a matriz curricular da matrícula: disciplinas pendentes, carga horária da
+ *   matriz e disciplinas cursadas fora dela
+ * - Gerar o PDF do Histórico Escolar com PDFKit (várias páginas, se necessário)
+ * - Salvar PDF em diretório estruturado (uploads/historicos/)
+ *
+ * Cabeçalho com logos, rodapé com assinatura eletrônica e hash único (16 chars)
+ * são herdados de BrandedDocumentService.
+ */
+class HistoricoEscolarService extends BrandedDocumentService {
+  static TITLE = 'Histórico Escolar';
+  static DOCUMENT_KIND = 'historico_escolar';
+  static FILE_PREFIX = 'historico';
+  static OUTPUT_SUBDIR = 'historicos';
+  static REQUIRED_FIELDS = ['requestId', 'studentName', 'signatureHash'];
+
+  /**
+   * Altura reservada para o rodapé de cada página
+   */
+  static FOOTER_HEIGHT = 60;
+
+  /**
+   * Reúne os dados do histórico a partir da solicitação aprovada.
+   *
+   * @param {Object} request - Instância do model Request (já aprovada)
+   * @returns {Promise<Object|null>} Dados do histórico ou null se o aluno não existir
+   */
+  static async collectData(request) {
+    const historico = await this.collectHistoricoData(request.student_id);
+
+    if (!historico) {
+      console.warn(
+        `[HistoricoGeneration] Histórico não gerado: aluno ${request.student_id} não encontrado.`
+      );
+      return null;
+    }
+
+    return {
+      studentName: historico.student.nome,
+      studentCpf: historico.student.cpf,
+      studentMatricula: historico.student.matricula,
+      courseName: historico.courseName,
+      curriculumName: historico.curriculumName,
+      enrollmentDate: historico.enrollmentDate,
+      entries: historico.entries,
+      pendingDisciplines: historico.pendingDisciplines,
+      totals: historico.totals,
+    };
+  }
+
+  /**
+   * Reúne os dados do histórico de um aluno.
+   *
+   * Cada linha corresponde a uma disciplina cursada (turma + disciplina), a uma
+   * disciplina dispensada por aproveitamento ou a uma disciplina extra ainda sem avaliações.
+   * As disciplinas pendentes e a carga horária total vêm da matriz curricular da matrícula
+   * mais recente (ou da grade atual do curso, se a matrícula não tiver matriz).
+   *
+   * @param {number} studentId - ID do aluno
+   * @returns {Promise<Object|null>} Dados do histórico ou null se o aluno não existir
+   */
+  static async collectHistoricoData(studentId) {
+    const student = await Student.findByPk(studentId, {
+      attributes: ['id', 'nome', 'cpf', 'matricula'],
+    });
+
+    if (!student) return null;
+
+    const [enrollment, results, exemptions, extraDisciplines] = await Promise.all([
+      Enrollment.findOne({
+        where: { student_id: studentId, deleted_at: null },
+        include: [{ association: 'course', attributes: ['id', 'name'] }],
+        order: [['created_at', 'DESC']],
+      }),
+      GradeService.getStudentResults(studentId),
+      StudentDisciplineExemption.findAll({
+        where: { student_id: studentId },
+        include: [
+          { association: 'discipline', attributes: ['id', 'name', 'code', 'workload_hours'] },
+          { association: 'class', attributes: ['id', 'semester', 'year'] },
+        ],
+      }),
+      StudentExtraDiscipline.findAll({
+        where: { student_id: studentId, status: ['active', 'completed'] },
+        include: [
+          { association: 'discipline', attributes: ['id', 'name', 'code', 'workload_hours'] },
+          { association: 'class', attributes: ['id', 'semester', 'year'] },
+        ],
+      }),
+    ]);
+
+    const workloadByDiscipline = await this._getWorkloadByDiscipline(
+      results.map((result) => result.discipline_id)
+    );
+    const extraByDiscipline = new Map(
+      extraDisciplines.map((extra) => [extra.discipline_id, extra])
+    );
+
+    const entries = results.map((result) => {
+      const extra = extraByDiscipline.get(result.discipline_id);
+      return {
+        disciplineId: result.discipline_id,
+        semester: result.class ? result.class.semester : null,
+        year: result.class ? result.class.year : null,
+        disciplineCode: result.discipline.code,
+        disciplineName: result.discipline.name,
+        workloadHours: workloadByDiscipline.get(result.discipline_id) ?? null,
+        average: result.average,
+        concept: result.concept,
+        status: result.status,
+        statusLabel: result.status_label,
+        note: extra ? `Disciplina extra (${extra.getReasonLabel()})` : null,
+      };
+    });
+
+    // Disciplinas extras ainda sem avaliações lançadas
+    extraDisciplines
+      .filter(
+        (extra) => extra.discipline && !results.some((r) => r.discipline_id === extra.discipline_id)
+      )
+      .forEach((extra) => {
+        entries.push({
+          disciplineId: extra.discipline_id,
+          semester: extra.class ? extra.class.semester : null,
+          year: extra.class ? extra.class.year : null,
+          disciplineCode: extra.discipline.code,
+          disciplineName: extra.discipline.name,
+          workloadHours: extra.discipline.workload_hours,
+          average: null,
+          concept: null,
+          status: GRADE_RESULT_STATUS.IN_PROGRESS,
+          statusLabel: GRADE_RESULT_STATUS_LABELS.in_progress,
+          note: `Disciplina extra (${extra.getReasonLabel()})`,
+        });
+      });
+
+    exemptions
+      .filter((exemption) => exemption.discipline)
+      .forEach((exemption) => {
+        entries.push({
+          disciplineId: exemption.discipline_id,
+          semester: exemption.class ? exemption.class.semester : null,
+          year: exemption.class ? exemption.class.year : null,
+          disciplineCode: exemption.discipline.code,
+          disciplineName: exemption.discipline.name,
+          workloadHours: exemption.discipline.workload_hours,
+          average: null,
+          concept: null,
+          status: 'exempt',
+          statusLabel: 'Aproveitamento',
+          note: exemption.origin_institution || null,
+        });
+      });
+
+    const curriculum = enrollment
+      ? await curriculumVersionService.getEnrollmentCurriculum(enrollment)
+      : { version: null, disciplines: [] };
+    const pendingDisciplines = this._markCurriculum(entries, curriculum.disciplines);
+
+    entries.sort(
+      (a, b) =>
+        String(a.year ?? '').localeCompare(String(b.year ?? '')) ||
+        (a.semester ?? 0) - (b.semester ?? 0) ||
+        a.disciplineName.localeCompare(b.disciplineName)
+    );
+
+    return {
+      student,
+      courseName: enrollment && enrollment.course ? enrollment.course.name : null,
+      curriculumName: curriculum.version ? curriculum.version.name : null,
+      enrollmentDate: enrollment ? enrollment.enrollment_date : null,
+      entries,
+      pendingDisciplines,
+      totals: {
+        ...this._calculateTotals(entries),
+        curriculumWorkloadHours: this._sumCurriculumWorkload(curriculum.disciplines),
+      },
+    };
+  }
+
+  /**
+   * Gera o Histórico Escolar em PDF e retorna os dados do arquivo.
+   *
+   * @param {Object} data - Dados para o histórico
+   * @param {number}  data.requestId        - ID da solicitação
+   * @param {string}  data.studentName      - Nome completo do aluno
+   * @param {string}  data.studentCpf       - CPF do aluno
+   * @param {string}  data.studentMatricula - Número de matrícula
+   * @param {string}  data.courseName       - Nome do curso
+   * @param {string}  [data.curriculumName] - Nome da matriz curricular do aluno
+   * @param {string}  data.enrollmentDate   - Data de matrícula (YYYY-MM-DD)
+   * @param {Array}   data.entries          - Linhas do histórico (collectHistoricoData)
+   * @param {Array}   [data.pendingDisciplines] - Disciplinas da matriz ainda não concluídas
+   * @param {Object}  data.totals           - Totais do histórico (collectHistoricoData)
+   * @param {string}  data.signatureHash    - Hash de 16 chars já gerado
+   *
+   * @returns {Promise<Object>} Objeto com filePath, fileName e relativePath
+   * @throws {Error} Se falhar a geração do arquivo PDF
+   */
+  static async generateHistoricoPDF(data) {
+    return this.generatePDF(data);
+  }
+
+  /**
+   * Busca a carga horária das disciplinas informadas.
+   *
+   * @param {Array<number>} disciplineIds - IDs das disciplinas
+   * @returns {Promise<Map<number, number>>} Carga horária por discipline_id
+   * @private
+   */
+  static async _getWorkloadByDiscipline(disciplineIds) {
+    const uniqueIds = [...new Set(disciplineIds)];
+    if (uniqueIds.length === 0) return new Map();
+
+    const disciplines = await Discipline.findAll({
+      where: { id: uniqueIds },
+      attributes: ['id', 'workload_hours'],
+    });
+
+    return new Map(disciplines.map((d) => [d.id, d.workload_hours]));
+  }
+
+  /**
+   * Marca as linhas cursadas fora da matriz do aluno e lista as disciplinas da matriz
+   * ainda não concluídas (sem aprovação nem aproveitamento).
+   * Sem disciplinas na matriz, nada é marcado.
+   *
+   * @param {Array} entries     - Linhas do histórico (alteradas no lugar)
+   * @param {Array} disciplines - Disciplinas da matriz (discipline_id, semester, discipline)
+   * @returns {Array} Disciplinas pendentes { semester, disciplineCode, disciplineName, workloadHours }
+   * @private
+   */
+  static _markCurriculum(entries, disciplines) {
+    if (disciplines.length === 0) return [];
+
+    const curriculumIds = new Set(disciplines.map((item) => item.discipline_id));
+    entries
+      .filter((entry) => !curriculumIds.has(entry.disciplineId))
+      .forEach((entry) => {
+        entry.note = entry.note ? `${entry.note} • Fora da matriz` : 'Fora da matriz';
+      });
+
+    const completedIds = new Set(
+      entries
+        .filter((e) => e.status === GRADE_RESULT_STATUS.APPROVED || e.status === 'exempt')
+        .map((e) => e.disciplineId)
+    );
+
+    return disciplines
+      .filter((item) => item.discipline && !completedIds.has(item.discipline_id))
+      .map((item) => ({
+        semester: item.semester,
+        disciplineCode: item.discipline.code,
+        disciplineName: item.discipline.name,
+        workloadHours: item.discipline.workload_hours,
+      }));
+  }
+
+  /**
+   * Carga horária total da matriz (cada disciplina contada uma vez).
+   *
+   * @param {Array} disciplines - Disciplinas da matriz
+   * @returns {number|null} Total em horas ou null sem disciplinas na matriz
+   * @private
+   */
+  static _sumCurriculumWorkload(disciplines) {
+    if (disciplines.length === 0) return null;
+
+    const workloadByDiscipline = new Map(
+      disciplines
+        .filter((item) => item.discipline)
+        .map((item) => [item.discipline_id, item.discipline.workload_hours || 0])
+    );
+    return [...workloadByDiscipline.values()].reduce((sum, value) => sum + value, 0);
+  }
+
+  /**
+   * Calcula a carga horária integralizada e o coeficiente de rendimento.
+   * Integralizam carga horária as disciplinas aprovadas e as dispensadas (aproveitamento);
+   * o coeficiente é a média das médias finais das disciplinas concluídas.
+   *
+   * @param {Array} entries - Linhas do histórico
+   * @returns {Object} { completedWorkloadHours, approvedCount, exemptCount, overallAverage }
+   * @private
+   */
+  static _calculateTotals(entries) {
+    const completed = entries.filter(
+      (e) => e.status === GRADE_RESULT_STATUS.APPROVED || e.status === 'exempt'
+    );
+    const concludedAverages = entries
+      .filter(
+        (e) =>
+          (e.status === GRADE_RESULT_STATUS.APPROVED || e.status === GRADE_RESULT_STATUS.FAILED) &&
+          e.average !== null
+      )
+      .map((e) => e.average);
+
+    const overallAverage =
+      concludedAverages.length > 0
+        ? Math.round(
+            (concludedAverages.reduce((sum, value) => sum + value, 0) / concludedAverages.length) *
+              100
+          ) / 100
+        : null;
+
+    return {
+      completedWorkloadHours: completed.reduce((sum, e) => sum + (e.workloadHours || 0), 0),
+      approvedCount: completed.filter((e) => e.status === GRADE_RESULT_STATUS.APPROVED).length,
+      exemptCount: completed.filter((e) => e.status === 'exempt').length,
+      overallAverage,
+    };
+  }
+
+  /**
+   * Adiciona o corpo do histórico: identificação do aluno, disciplinas e totais.
+   *
+   * @param {PDFDocument} doc  - Instância do documento PDFKit
+   * @param {Object}      data - Dados do histórico
+   * @private
+   */
+  static _addContent(doc, data) {
+    this._addHeader(doc, 'HISTÓRICO ESCOLAR');
+    this._addStudentSection(doc, data);
+    this._addEntriesTable(doc, data.entries || []);
+    this._addTotalsSection(doc, data);
+  }
+
+  /**
+   * Adiciona os dados de identificação do aluno e do curso.
+   *
+   * @param {PDFDocument} doc  - Instância do documento PDFKit
+   * @param {Object}      data - Dados do histórico
+   * @private
+   */
+  static _addStudentSection(doc, data) {
+    const marginLeft = 50;
+    const contentWidth = doc.page.width - 100;
+    const enrollmentDate = data.enrollmentDate
+      ? new Date(data.enrollmentDate).toLocaleDateString('pt-BR')
+      : 'Não informada';
+
+    const lines = [
+      ['Aluno(a)', data.studentName],
+      ['CPF', this._formatCPF(data.studentCpf)],
+      ['Matrícula', data.studentMatricula || 'Não informada'],
+      ['Curso', data.courseName || 'Não informado'],
+      ['Data de matrícula', enrollmentDate],
+    ];
+    if (data.curriculumName) {
+      lines.push(['Matriz curricular', data.curriculumName]);
+    }
+
+    doc.fontSize(10).fillColor('#000000');
+    lines.forEach(([label, value]) => {
+      doc
+        .font('Helvetica-Bold')
+        .text(`${label}: `, marginLeft, doc.y, { continued: true, width: contentWidth })
+        .font('Helvetica')
+        .text(String(value));
+    });
+
+    doc.moveDown(1);
+  }
+
+  /**
+   * Desenha a tabela de disciplinas:
+   * Período | Código | Disciplina | C.H. | Média | Situação.
+   * Quebra a página quando necessário, repetindo o cabeçalho da tabela.
+   *
+   * @param {PDFDocument} doc     - Instância do documento PDFKit
+   * @param {Array}       entries - Linhas do histórico
+   * @private
+   */
+  static _addEntriesTable(doc, entries) {
+    const marginLeft = 50;
+    const contentWidth = doc.page.width - 100;
+
+    if (entries.length === 0) {
+      doc
+        .font('Helvetica-Oblique')
+        .fontSize(10)
+        .fillColor('#444444')
+        .text('Nenhuma disciplina registrada no histórico do aluno.', marginLeft, doc.y, {
+          align: 'center',
+          width: contentWidth,
+        });
+      doc.moveDown(1);
+      return;
+    }
+
+    const colWidths = [50, 55, 190, 40, 45, 115];
+    const headers = ['Período', 'Código', 'Disciplina', 'C.H.', 'Média', 'Situação'];
+    const headerHeight = 18;
+    const rowHeight = 16;
+    const padX = 4;
+    const padY = 4;
+    const pageLimit = () => doc.page.height - doc.page.margins.bottom - this.FOOTER_HEIGHT;
+
+    const drawRow = (values, y, { bold = false, color = '#111111' } = {}) => {
+      let colX = marginLeft;
+      doc
+        .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(8)
+        .fillColor(color);
+      values.forEach((value, i) => {
+        doc.text(value, colX + padX, y + padY, {
+          width: colWidths[i] - padX * 2,
+          height: rowHeight - padY,
+          lineBreak: false,
+          ellipsis: true,
+        });
+        colX += colWidths[i];
+      });
+    };
+
+    const drawHeader = (y) => {
+      doc.rect(marginLeft, y, contentWidth, headerHeight).fill('#003580');
+      drawRow(headers, y, { bold: true, color: '#ffffff' });
+      return y + headerHeight;
+    };
+
+    let tableY = drawHeader(doc.y);
+
+    entries.forEach((entry, index) => {
+      if (tableY + rowHeight > pageLimit()) {
+        doc.addPage();
+        tableY = drawHeader(doc.page.margins.top);
+      }
+
+      doc
+        .rect(marginLeft, tableY, contentWidth, rowHeight)
+        .fill(index % 2 === 0 ? '#eef2ff' : '#ffffff');
+
+      const period = entry.year && entry.semester ? `${entry.year}/${entry.semester}` : '–';
+      let grade = '–';
+      if (entry.average !== null && entry.average !== undefined) {
+        grade = entry.average.toFixed(1);
+      } else if (entry.concept) {
+        grade = entry.concept === 'satisfactory' ? 'S' : 'I';
+      }
+      const situation = entry.note ? `${entry.statusLabel} • ${entry.note}` : entry.statusLabel;
+
+      drawRow(
+        [
+          period,
+          entry.disciplineCode || '–',
+          entry.disciplineName,
+          entry.workloadHours ? `${entry.workloadHours}h` : '–',
+          grade,
+          situation,
+        ],
+        tableY
+      );
+
+      tableY += rowHeight;
+    });
+
+    doc
+      .moveTo(marginLeft, tableY)
+      .lineTo(marginLeft + contentWidth, tableY)
+      .lineWidth(0.5)
+      .strokeColor('#003580')
+      .stroke();
+
+    doc.x = marginLeft;
+    doc.y = tableY + 12;
+  }
+
+  /**
+   * Adiciona os totais (carga horária integralizada e coeficiente), as disciplinas
+   * pendentes da matriz e a assinatura.
+   *
+   * @param {PDFDocument} doc  - Instância do documento PDFKit
+   * @param {Object}      data - Dados do histórico
+   * @private
+   */
+  static _addTotalsSection(doc, data) {
+    const marginLeft = 50;
+    const contentWidth = doc.page.width - 100;
+    const totals = data.totals || {};
+    const pending = data.pendingDisciplines || [];
+
+    // Totais + local/data/assinatura ocupam ~150pt; evita quebrar o bloco entre páginas
+    if (doc.y + 150 > doc.page.height - doc.page.margins.bottom - this.FOOTER_HEIGHT) {
+      doc.addPage();
+      doc.y = doc.page.margins.top;
+    }
+
+    doc.font('Helvetica').fontSize(9).fillColor('#000000');
+    doc.text(
+      `Carga horária integralizada: ${totals.completedWorkloadHours || 0}h ` +
+        `(${totals.approvedCount || 0} disciplina(s) aprovada(s), ` +
+        `${totals.exemptCount || 0} por aproveitamento)`,
+      marginLeft,
+      doc.y,
+      { width: contentWidth }
+    );
+    if (totals.curriculumWorkloadHours) {
+      doc.text(`Carga horária da matriz curricular: ${totals.curriculumWorkloadHours}h`, {
+        width: contentWidth,
+      });
+    }
+    doc.text(
+      `Coeficiente de rendimento: ${
+        totals.overallAverage !== null && totals.overallAverage !== undefined
+          ? totals.overallAverage.toFixed(2)
+          : 'Não disponível'
+      }`,
+      { width: contentWidth }
+    );
+    if (pending.length > 0) {
+      doc.text(
+        `Disciplinas pendentes na matriz (${pending.length}): ` +
+          pending.map((item) => `${item.disciplineName} (${item.semester}º sem.)`).join('; '),
+        { width: contentWidth }
+      );
+    }
+    doc.text('C.H. = carga horária; S = satisfatório; I = insatisfatório.', {
+      width: contentWidth,
+    });
+
+    doc.moveDown(2);
+
+    this._addSignatureArea(doc);
+  }
+}
+
+module.exports = HistoricoEscolarService;
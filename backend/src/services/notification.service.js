@@ -0,0 +1,540 @@
+/**
+ * Arquivo: backend/src/services/notification.service.js
+ * Descrição: Notificações por email dos eventos acadêmicos (publicação, envio e preferências)
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Receber os eventos publicados pelos serviços (solicitação aprovada, nota lançada...)
+ * - Encontrar os destinatários do evento e gravar um email por destinatário na fila (email_outbox)
+ * - Respeitar as preferências do usuário: quem desativou um evento não recebe o email
+ * - Consultar e alterar as preferências de notificação do usuário logado
+ *
+ * Quem publica não espera o envio: publish() apenas emite o evento e o envio é feito em
+ * seguida, fora do fluxo da requisição. Uma falha na notificação é registrada no log e nunca
+ * desfaz a operação que gerou o evento. Publique sempre depois de gravar (ou do commit da
+ * transação), pois os destinatários e os dados do email são lidos do banco.
+ *
+ * @example
+ * // Em um serviço, depois de aprovar a solicitação
+ * NotificationService.publish(NOTIFICATION_EVENTS.REQUEST_APPROVED, { requestId: request.id });
+ */
+
+const { EventEmitter } = require('events');
+const { differenceInCalendarDays, parseISO } = require('date-fns');
+const {
+  sequelize,
+  NotificationPreference,
+  User,
+  Request,
+  Evaluation,
+  Grade,
+  ClassStudent,
+  Contract,
+  Enrollment,
+} = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const EmailOutboxService = require('./emailOutbox.service');
+const { formatDate } = require('../utils/formatters');
+const { NOTIFICATION_EVENTS, ENROLLMENT_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Eventos notificados
+ *
+ * - label/description: exibidos nas preferências do usuário
+ * - roles: perfis que recebem o evento (e que podem desativá-lo)
+ * - template: template de email (utils/emailTemplateEngine)
+ * - resolver: método que encontra os destinatários e as variáveis do email
+ */
+const NOTIFICATION_DEFINITIONS = {
+  [NOTIFICATION_EVENTS.REQUEST_APPROVED]: {
+    label: 'Solicitação aprovada',
+    description: 'Quando a secretaria aprova uma solicitação, com o link do documento gerado',
+    roles: ['student'],
+    template: 'request-approved',
+    resolver: '_resolveRequestRecipients',
+  },
+  [NOTIFICATION_EVENTS.REQUEST_REJECTED]: {
+    label: 'Solicitação rejeitada',
+    description: 'Quando a secretaria rejeita uma solicitação, com o motivo',
+    roles: ['student'],
+    template: 'request-rejected',
+    resolver: '_resolveRequestRecipients',
+  },
+  [NOTIFICATION_EVENTS.GRADE_PUBLISHED]: {
+    label: 'Nota lançada',
+    description: 'Quando uma nota é lançada ou alterada',
+    roles: ['student'],
+    template: 'grade-published',
+    resolver: '_resolveGradeRecipients',
+  },
+  [NOTIFICATION_EVENTS.EVALUATION_UPCOMING]: {
+    label: 'Avaliação próxima',
+    description: 'Alguns dias antes de cada avaliação das suas turmas',
+    roles: ['student'],
+    template: 'evaluation-upcoming',
+    resolver: '_resolveEvaluationRecipients',
+  },
+  [NOTIFICATION_EVENTS.CONTRACT_PENDING]: {
+    label: 'Contrato pendente',
+    description: 'Quando um contrato é gerado e aguarda o seu aceite',
+    roles: ['student', 'teacher'],
+    template: 'contract-pending',
+    resolver: '_resolveContractRecipients',
+  },
+  [NOTIFICATION_EVENTS.REENROLLMENT_OPENED]: {
+    label: 'Rematrícula aberta',
+    description: 'Quando a rematrícula do seu curso é aberta para aceite',
+    roles: ['student'],
+    template: 'reenrollment-opened',
+    resolver: '_resolveReenrollmentRecipients',
+  },
+  [NOTIFICATION_EVENTS.ENROLLMENT_STATUS_CHANGED]: {
+    label: 'Situação da matrícula',
+    description: 'Quando a sua matrícula é ativada, trancada, cancelada ou concluída',
+    roles: ['student'],
+    template: 'enrollment-status-changed',
+    resolver: '_resolveEnrollmentRecipients',
+  },
+};
+
+/**
+ * Área do frontend de cada perfil (links dos emails)
+ */
+const AREA_BY_ROLE = {
+  student: 'student',
+  teacher: 'teacher',
+};
+
+/**
+ * Campos do usuário destinatário
+ */
+const RECIPIENT_ATTRIBUTES = ['id', 'name', 'email', 'role', 'student_id'];
+
+class NotificationService {
+  constructor() {
+    this.emitter = new EventEmitter();
+
+    Object.keys(NOTIFICATION_DEFINITIONS).forEach((event) => {
+      this.emitter.on(event, (payload) => {
+        this.dispatch(event, payload).catch((error) => {
+          logger.error('[NotificationService] Falha ao notificar evento', {
+            event,
+            payload,
+            error: error.message,
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Publica um evento acadêmico
+   *
+   * Não lança erro e não espera o envio: o evento é processado por dispatch() em seguida.
+   *
+   * @param {string} event - Evento (NOTIFICATION_EVENTS)
+   * @param {Object} [payload] - Dados do evento (ver os resolvers de cada evento)
+   * @returns {boolean} false se o evento não for conhecido
+   *
+   * @example
+   * NotificationService.publish(NOTIFICATION_EVENTS.GRADE_PUBLISHED, {
+   *   evaluationId: 7,
+   *   studentIds: [5, 6],
+   * });
+   */
+  publish(event, payload = {}) {
+    if (!NOTIFICATION_DEFINITIONS[event]) {
+      logger.warn(`[NotificationService] Evento de notificação desconhecido: ${event}`);
+      return false;
+    }
+
+    return this.emitter.emit(event, payload);
+  }
+
+  /**
+   * Processa um evento: grava na fila um email por destinatário que não desativou o evento
+   *
+   * @param {string} event - Evento (NOTIFICATION_EVENTS)
+   * @param {Object} [payload] - Dados do evento
+   * @returns {Promise<{queued: number, optedOut: number, failed: number}>}
+   * @throws {Error} Se o evento não for conhecido
+   */
+  async dispatch(event, payload = {}) {
+    const definition = NOTIFICATION_DEFINITIONS[event];
+    if (!definition) {
+      throw new Error(`Evento de notificação desconhecido: ${event}`);
+    }
+
+    const summary = { queued: 0, optedOut: 0, failed: 0 };
+
+    const recipients = (await this[definition.resolver](payload)).filter(
+      ({ user }) => user && user.email && definition.roles.includes(user.role)
+    );
+    if (recipients.length === 0) return summary;
+
+    const optedOut = await this._getOptedOutUserIds(
+      event,
+      recipients.map(({ user }) => user.id)
+    );
+
+    for (const { user, variables } of recipients) {
+      if (optedOut.has(user.id)) {
+        summary.optedOut += 1;
+        continue;
+      }
+
+      try {
+        await EmailOutboxService.enqueue(
+          definition.template,
+          user.email,
+          { name: user.name, area: AREA_BY_ROLE[user.role], ...variables },
+          { userId: user.id }
+        );
+        summary.queued += 1;
+      } catch (error) {
+        logger.error('[NotificationService] Falha ao enfileirar notificação', {
+          event,
+          userId: user.id,
+          error: error.message,
+        });
+        summary.failed += 1;
+      }
+    }
+
+    logger.info('[NotificationService] Evento notificado', { event, ...summary });
+    return summary;
+  }
+
+  /**
+   * Preferências de notificação do usuário (eventos do seu perfil)
+   *
+   * @param {number} userId - ID do usuário
+   * @returns {Promise<Array<{event: string, label: string, description: string, email_enabled: boolean}>>}
+   * @throws {AppError} 404 se o usuário não existir
+   */
+  async getPreferences(userId) {
+    const user = await this._getUser(userId);
+
+    const rows = await NotificationPreference.findAll({ where: { user_id: user.id } });
+    const enabledByEvent = new Map(rows.map((row) => [row.event, row.email_enabled]));
+
+    return this._getEventsForRole(user.role).map((event) => ({
+      event,
+      label: NOTIFICATION_DEFINITIONS[event].label,
+      description: NOTIFICATION_DEFINITIONS[event].description,
+      email_enabled: enabledByEvent.has(event) ? enabledByEvent.get(event) : true,
+    }));
+  }
+
+  /**
+   * Altera as preferências de notificação do usuário
+   *
+   * Eventos não informados mantêm a escolha atual.
+   *
+   * @param {number} userId - ID do usuário
+   * @param {Array<{event: string, email_enabled: boolean}>} preferences - Escolhas por evento
+   * @returns {Promise<Array>} Preferências atualizadas (mesmo formato de getPreferences)
+   * @throws {AppError} 404 se o usuário não existir, 400 se os dados forem inválidos,
+   *   422 se o evento não existir para o perfil do usuário
+   *
+   * @example
+   * await NotificationService.updatePreferences(12, [
+   *   { event: 'grade.published', email_enabled: false },
+   * ]);
+   */
+  async updatePreferences(userId, preferences) {
+    const user = await this._getUser(userId);
+
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      throw new AppError('Informe as preferências de notificação', 400, 'VALIDATION_ERROR');
+    }
+
+    const allowedEvents = this._getEventsForRole(user.role);
+    for (const preference of preferences) {
+      if (!preference || typeof preference.email_enabled !== 'boolean') {
+        throw new AppError(
+          'email_enabled deve ser verdadeiro ou falso em cada preferência',
+          400,
+          'VALIDATION_ERROR'
+        );
+      }
+      if (!allowedEvents.includes(preference.event)) {
+        throw new AppError(
+          `Evento de notificação inválido para o seu perfil: ${preference.event}`,
+          422,
+          'INVALID_NOTIFICATION_EVENT',
+          { allowedEvents }
+        );
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const { event, email_enabled } of preferences) {
+        await NotificationPreference.upsert(
+          { user_id: user.id, event, email_enabled },
+          { transaction }
+        );
+      }
+    });
+
+    logger.info('[NotificationService] Preferências de notificação atualizadas', {
+      userId: user.id,
+      preferences,
+    });
+
+    return this.getPreferences(user.id);
+  }
+
+  /**
+   * Eventos notificados a um perfil
+   *
+   * @private
+   * @param {string} role - Perfil do usuário
+   * @returns {string[]}
+   */
+  _getEventsForRole(role) {
+    return Object.keys(NOTIFICATION_DEFINITIONS).filter((event) =>
+      NOTIFICATION_DEFINITIONS[event].roles.includes(role)
+    );
+  }
+
+  /**
+   * @private
+   * @param {number} userId - ID do usuário
+   * @returns {Promise<User>}
+   * @throws {AppError} 404 se o usuário não existir
+   */
+  async _getUser(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'role'] });
+    if (!user) {
+      throw new AppError('Usuário não encontrado', 404, 'USER_NOT_FOUND');
+    }
+    return user;
+  }
+
+  /**
+   * Usuários que desativaram o email do evento
+   *
+   * @private
+   * @param {string} event - Evento
+   * @param {number[]} userIds - Destinatários
+   * @returns {Promise<Set<number>>}
+   */
+  async _getOptedOutUserIds(event, userIds) {
+    const rows = await NotificationPreference.findAll({
+      where: { event, user_id: userIds, email_enabled: false },
+      attributes: ['user_id'],
+    });
+    return new Set(rows.map((row) => row.user_id));
+  }
+
+  /**
+   * Contas de usuário dos alunos, por ID do aluno
+   *
+   * @private
+   * @param {number[]} studentIds - IDs dos alunos
+   * @returns {Promise<Map<number, User>>}
+   */
+  async _getStudentUsers(studentIds) {
+    if (studentIds.length === 0) return new Map();
+
+    const users = await User.findAll({
+      where: { student_id: studentIds, role: 'student' },
+      attributes: RECIPIENT_ATTRIBUTES,
+    });
+    return new Map(users.map((user) => [user.student_id, user]));
+  }
+
+  /**
+   * Solicitação aprovada ou rejeitada: o aluno da solicitação
+   *
+   * @private
+   * @param {Object} payload - { requestId }
+   * @returns {Promise<Array<{user: User, variables: Object}>>}
+   */
+  async _resolveRequestRecipients({ requestId }) {
+    const request = await Request.findByPk(requestId, {
+      include: [{ association: 'requestType', attributes: ['id', 'name'] }],
+    });
+    if (!request) return [];
+
+    const users = await this._getStudentUsers([request.student_id]);
+    const user = users.get(request.student_id);
+    if (!user) return [];
+
+    return [
+      {
+        user,
+        variables: {
+          requestId: request.id,
+          requestType: request.requestType ? request.requestType.name : 'Solicitação',
+          observations: request.observations,
+          hasDocument: Boolean(request.pdf_path),
+          signatureHash: request.signature_hash,
+        },
+      },
+    ];
+  }
+
+  /**
+   * Nota lançada ou alterada: os alunos que receberam a nota
+   *
+   * @private
+   * @param {Object} payload - { evaluationId, studentIds, updated }
+   * @returns {Promise<Array<{user: User, variables: Object}>>}
+   */
+  async _resolveGradeRecipients({ evaluationId, studentIds = [], updated = false }) {
+    if (studentIds.length === 0) return [];
+
+    const evaluation = await Evaluation.findByPk(evaluationId, {
+      include: [{ association: 'discipline', attributes: ['id', 'name'] }],
+    });
+    if (!evaluation) return [];
+
+    const grades = await Grade.findAll({
+      where: { evaluation_id: evaluation.id, student_id: studentIds },
+    });
+    const users = await this._getStudentUsers(grades.map((grade) => grade.student_id));
+
+    return grades
+      .filter((grade) => grade.grade !== null || grade.concept !== null)
+      .map((grade) => ({
+        user: users.get(grade.student_id),
+        variables: {
+          evaluationName: evaluation.name,
+          evaluationDate: formatDate(evaluation.date),
+          disciplineName: evaluation.discipline ? evaluation.discipline.name : 'Disciplina',
+          grade: grade.getFormattedValue(),
+          updated: Boolean(updated),
+        },
+      }));
+  }
+
+  /**
+   * Avaliação próxima: os alunos da turma da avaliação
+   *
+   * @private
+   * @param {Object} payload - { evaluationId }
+   * @returns {Promise<Array<{user: User, variables: Object}>>}
+   */
+  async _resolveEvaluationRecipients({ evaluationId }) {
+    const evaluation = await Evaluation.findByPk(evaluationId, {
+      include: [{ association: 'discipline', attributes: ['id', 'name'] }],
+    });
+    if (!evaluation) return [];
+
+    const classStudents = await ClassStudent.findAll({
+      where: { class_id: evaluation.class_id },
+      attributes: ['student_id'],
+    });
+    const users = await this._getStudentUsers(classStudents.map((item) => item.student_id));
+
+    const days = differenceInCalendarDays(parseISO(String(evaluation.date)), new Date());
+    const daysLabel = days === 0 ? 'hoje' : days === 1 ? 'amanhã' : `em ${days} dias`;
+
+    return [...users.values()].map((user) => ({
+      user,
+      variables: {
+        evaluationName: evaluation.name,
+        disciplineName: evaluation.discipline ? evaluation.discipline.name : 'Disciplina',
+        date: formatDate(evaluation.date),
+        daysLabel: days >= 0 ? daysLabel : null,
+      },
+    }));
+  }
+
+  /**
+   * Contrato pendente: o dono do contrato (aluno ou professor)
+   *
+   * @private
+   * @param {Object} payload - { contractId }
+   * @returns {Promise<Array<{user: User, variables: Object}>>}
+   */
+  async _resolveContractRecipients({ contractId }) {
+    const contract = await Contract.findByPk(contractId, {
+      include: [{ association: 'user', attributes: RECIPIENT_ATTRIBUTES }],
+    });
+    if (!contract || contract.accepted_at) return [];
+
+    return [
+      {
+        user: contract.user,
+        variables: { periodLabel: `${contract.semester}º semestre de ${contract.year}` },
+      },
+    ];
+  }
+
+  /**
+   * Rematrícula aberta: os alunos das matrículas colocadas em rematrícula
+   *
+   * @private
+   * @param {Object} payload - { enrollmentIds, periodLabel, deadline }
+   * @returns {Promise<Array<{user: User, variables: Object}>>}
+   */
+  async _resolveReenrollmentRecipients({
+    enrollmentIds = [],
+    periodLabel = null,
+    deadline = null,
+  }) {
+    if (enrollmentIds.length === 0) return [];
+
+    const enrollments = await Enrollment.findAll({
+      where: { id: enrollmentIds, status: ENROLLMENT_STATUS.REENROLLMENT },
+      include: [{ association: 'course', attributes: ['id', 'name'] }],
+    });
+    const users = await this._getStudentUsers(enrollments.map((item) => item.student_id));
+
+    return enrollments.map((enrollment) => ({
+      user: users.get(enrollment.student_id),
+      variables: {
+        courseName: enrollment.course ? enrollment.course.name : null,
+        periodLabel,
+        deadline: deadline ? formatDate(deadline) : null,
+      },
+    }));
+  }
+
+  /**
+   * Mudança de status da matrícula: o aluno da matrícula
+   *
+   * @private
+   * @param {Object} payload - { enrollmentId, previousStatus }
+   * @returns {Promise<Array<{user: User, variables: Object}>>}
+   */
+  async _resolveEnrollmentRecipients({ enrollmentId, previousStatus = null }) {
+    const enrollment = await Enrollment.findByPk(enrollmentId, {
+      include: [{ association: 'course', attributes: ['id', 'name'] }],
+    });
+    if (!enrollment) return [];
+
+    const users = await this._getStudentUsers([enrollment.student_id]);
+    const user = users.get(enrollment.student_id);
+    if (!user) return [];
+
+    const isLocked = enrollment.status === ENROLLMENT_STATUS.LOCKED;
+    const isCancelled = enrollment.status === ENROLLMENT_STATUS.CANCELLED;
+
+    return [
+      {
+        user,
+        variables: {
+          courseName: enrollment.course ? enrollment.course.name : null,
+          statusLabel: enrollment.getStatusLabel(),
+          previousStatusLabel: previousStatus
+            ? Enrollment.build({ status: previousStatus }).getStatusLabel()
+            : null,
+          reason: isLocked
+            ? enrollment.lock_reason
+            : isCancelled
+              ? enrollment.cancellation_reason
+              : null,
+          expectedReturnDate: isLocked ? formatDate(enrollment.lock_expected_return_date) : null,
+        },
+      },
+    ];
+  }
+}
+
+module.exports = new NotificationService();
@@ -3,6 +3,8 @@
  * Descrição: Serviço responsável pela geração de PDFs de contratos
  * Feature: feat-047 - Criar PDFService para geração de contratos
  * Atualizado: 2025-12-23 - Adicionado suporte para HTML com html-pdf-node
+ * Modificado: feat-122 - Placeholders substituídos a partir do catálogo (utils/contractPlaceholders)
+ * Modificado: feat-123 - Template renderizado pela linguagem de templates (utils/contractTemplateEngine)
  * Criado em: 2025-11-01
  */
 
@@ -12,6 +14,7 @@ const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { renderContractTemplate } = require('../utils/contractTemplateEngine');
 
 /**
  * PDFService
@@ -169,7 +172,11 @@ class PDFService {
   }
 
   /**
-   * Substitui placeholders no template com dados reais
+   * Renderiza o template com dados reais
+   *
+   * Usa a linguagem dos templates de contrato ({{chave}}, {{#if}}, {{#each}} e
+   * formatadores). Valores são escapados apenas em templates HTML; chaves sem valor
+   * usam os padrões da linguagem (data de geração, instituição) ou ficam vazias.
    *
    * @param {string} template - Template com placeholders
    * @param {Object} data - Dados para substituição
@@ -178,29 +185,7 @@ class PDFService {
    * @private
    */
   static _replacePlaceholders(template, data) {
-    let processed = template;
-
-    // Placeholders padrão
-    const placeholders = {
-      '{{studentName}}': data.studentName,
-      '{{courseName}}': data.courseName,
-      '{{semester}}': data.semester,
-      '{{year}}': data.year,
-      '{{studentId}}': data.studentId,
-      '{{courseId}}': data.courseId,
-      '{{startDate}}': data.startDate || new Date().toLocaleDateString('pt-BR'),
-      '{{duration}}': data.duration || 'conforme currículo',
-      '{{institutionName}}': data.institutionName || 'Secretaria Online',
-      '{{currentDate}}': new Date().toLocaleDateString('pt-BR'),
-      '{{currentDateTime}}': new Date().toLocaleString('pt-BR'),
-    };
-
-    // Substituir cada placeholder
-    Object.entries(placeholders).forEach(([key, value]) => {
-      processed = processed.replace(new RegExp(key, 'g'), String(value));
-    });
-
-    return processed;
+    return renderContractTemplate(template, data, { escape: this._isHTML(template) });
   }
 
   /**
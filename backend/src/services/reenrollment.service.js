@@ -2,6 +2,14 @@
  * Arquivo: backend/src/services/reenrollment.service.js
  * Descrição: Lógica de negócio para aceite de matrícula/rematrícula de estudantes
  * Feature: feat-reenrollment-etapa-3 - ReenrollmentService
+ * Modificado: feat-122 - Versão vigente do template, aceite vinculado à versão exibida e
+ *             dados dos placeholders centralizados em utils/contractPlaceholders
+ * Modificado: feat-123 - Dados do contrato com responsável e grade curricular; PDF renderizado
+ *             a partir do conteúdo do template (linguagem de templates)
+ * Modificado: feat-125 - Aceite registrado nas campanhas de rematrícula da matrícula
+ * Modificado: feat-126 - Semestre já avançado pelo fechamento de semestre não é incrementado
+ * Modificado: feat-129 - Semestre não é incrementado sem os pré-requisitos do próximo semestre
+ * Modificado: feat-130 - Requisitos do próximo semestre pela matriz curricular da matrícula
  * Criado em: 2025-12-15
  *
  * RESPONSABILIDADES:
@@ -17,9 +25,12 @@
  * 1. Apenas estudantes podem aceitar suas próprias matrículas/rematrículas
  * 2. Status de enrollments é alterado de 'contract' ou 'reenrollment' para 'active'
  * 3. Contratos são criados após aceite do estudante
- * 4. Campo current_semester é incrementado ao aceitar rematrícula
+ * 4. Campo current_semester é incrementado ao aceitar rematrícula, exceto quando o
+ *    fechamento de semestre já avançou a matrícula depois do último contrato aceito ou
+ *    quando o aluno não cumpre os pré-requisitos das disciplinas do próximo semestre
  * 5. PDF do contrato é gerado automaticamente e salvo em disco
  * 6. Usar transação para garantir atomicidade (rollback completo em caso de erro)
+ * 7. O aceite é registrado nas campanhas de rematrícula em andamento da matrícula
  *
  * @example
  * // Aceitar matrícula/rematrícula
@@ -29,12 +40,55 @@
 
 'use strict';
 
-const { Enrollment, User, Student, Course, ContractTemplate, Contract } = require('../models');
+const {
+  Enrollment,
+  User,
+  Student,
+  Course,
+  ContractTemplate,
+  Contract,
+  ReenrollmentCampaignEnrollment,
+} = require('../models');
 const { sequelize } = require('../models');
 const { AppError } = require('../middlewares/error.middleware');
 const logger = require('../utils/logger');
 const PDFService = require('./pdf.service');
 const { CONTRACTS_PATH } = require('../config/pdf');
+const ContractTemplateService = require('./contractTemplate.service');
+const disciplineRequisiteService = require('./disciplineRequisite.service');
+
+/**
+ * Campos do aluno e do curso usados nos dados do contrato
+ */
+const CONTRACT_STUDENT_ATTRIBUTES = [
+  'id',
+  'nome',
+  'cpf',
+  'rg',
+  'data_nascimento',
+  'email',
+  'telefone',
+  'celular',
+  'endereco_rua',
+  'endereco_numero',
+  'endereco_complemento',
+  'endereco_bairro',
+  'endereco_cidade',
+  'endereco_uf',
+  'cep',
+  'matricula',
+  'responsavel',
+  'mae',
+  'pai',
+];
+const CONTRACT_COURSE_ATTRIBUTES = [
+  'id',
+  'name',
+  'description',
+  'duration',
+  'duration_type',
+  'course_type',
+];
 
 class ReenrollmentService {
   /**
@@ -42,10 +96,12 @@ class ReenrollmentService {
    *
    * @param {number} enrollmentId - ID do enrollment a ser aceito
    * @param {number} studentUserId - ID do usuário estudante logado
+   * @param {number} [templateId] - Versão do template exibida no preview; se a versão vigente
+   *   mudou desde então, o aceite é recusado para que o aluno revise o novo texto
    * @returns {Promise<{enrollment: Enrollment, contract: Contract}>}
    * @throws {AppError} Se validações falharem ou ocorrer erro na transação
    */
-  async acceptReenrollment(enrollmentId, studentUserId) {
+  async acceptReenrollment(enrollmentId, studentUserId, templateId = null) {
     logger.info(
       `[ReenrollmentService] Aceitando rematrícula - Enrollment ID: ${enrollmentId}, User ID: ${studentUserId}`
     );
@@ -64,29 +120,12 @@ class ReenrollmentService {
           {
             model: Student,
             as: 'student',
-            attributes: [
-              'id',
-              'nome',
-              'cpf',
-              'rg',
-              'data_nascimento',
-              'email',
-              'telefone',
-              'celular',
-              'endereco_rua',
-              'endereco_numero',
-              'endereco_complemento',
-              'endereco_bairro',
-              'endereco_cidade',
-              'endereco_uf',
-              'cep',
-              'matricula',
-            ],
+            attributes: CONTRACT_STUDENT_ATTRIBUTES,
           },
           {
             model: Course,
             as: 'course',
-            attributes: ['id', 'name', 'description', 'duration', 'duration_type'],
+            attributes: CONTRACT_COURSE_ATTRIBUTES,
           },
         ],
         transaction,
@@ -102,14 +141,21 @@ class ReenrollmentService {
         throw new AppError(`Esta matrícula não está pendente de aceite (status atual: ${enrollment.status})`, 422);
       }
 
-      const template = await ContractTemplate.findOne({ where: { is_active: true }, transaction });
+      const template = await ContractTemplate.findCurrent();
       if (!template) {
         throw new AppError('Nenhum template de contrato ativo encontrado', 422);
       }
+      if (templateId && template.id !== templateId) {
+        throw new AppError(
+          'O contrato foi atualizado pela secretaria. Revise o novo texto antes de aceitar.',
+          409,
+          'CONTRACT_TEMPLATE_CHANGED'
+        );
+      }
 
-      // Atualizar status e incrementar current_semester
+      // Atualizar status e incrementar current_semester (se o fechamento ainda não avançou)
       enrollment.status = 'active';
-      enrollment.current_semester = (enrollment.current_semester || 0) + 1;
+      enrollment.current_semester = await this._getNextSemester(enrollment, transaction);
       await enrollment.save({ transaction });
 
       const currentYear = new Date().getFullYear();
@@ -127,72 +173,27 @@ class ReenrollmentService {
         file_name: null,
       }, { transaction });
 
+      // Andamento das campanhas de rematrícula (feat-125)
+      await ReenrollmentCampaignEnrollment.markAccepted(enrollmentId, { transaction });
+
       await transaction.commit();
 
       // Gerar PDF do contrato após commit da transação
       logger.info(`[ReenrollmentService] Gerando PDF do contrato - Contract ID: ${newContract.id}`);
 
       try {
-        // Coletar dados para substituição de placeholders
-        const student = enrollment.student || {};
-        const course = enrollment.course || {};
-        const currentDate = new Date();
-
-        const addressParts = [
-          student.endereco_rua,
-          student.endereco_numero,
-          student.endereco_complemento,
-          student.endereco_bairro,
-          student.endereco_cidade,
-          student.endereco_uf,
-          student.cep,
-        ].filter(Boolean);
-        const studentAddress = addressParts.join(', ');
-
         // Dados para substituição de placeholders
-        const placeholderData = {
-          studentName: student.nome || 'N/A',
-          studentId: student.id || 'N/A',
-          studentCPF: student.cpf ? student.cpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4') : 'N/A',
-          studentRG: student.rg || 'N/A',
-          studentBirthDate: student.data_nascimento
-            ? (student.data_nascimento.match(/^\d{4}-\d{2}-\d{2}$/)
-                ? student.data_nascimento.split('-').reverse().join('/')
-                : student.data_nascimento)
-            : 'N/A',
-          studentEmail: student.email || 'N/A',
-          studentPhone: student.celular || student.telefone || 'N/A',
-          studentAddress: studentAddress || 'N/A',
-          enrollmentNumber: student.matricula || 'N/A',
-
-          courseName: course.name || 'N/A',
-          courseId: course.id || 0,
-          courseDuration: `${course.duration || 'N/A'} ${course.duration_type || ''}`.trim(),
-
-          enrollmentDate: new Date(enrollment.enrollment_date).toLocaleDateString('pt-BR'),
-          contractDate: currentDate.toLocaleDateString('pt-BR'),
-          currentSemester: nextSemester,
-          year: currentYear,
+        const placeholderData = await ContractTemplateService.getStudentContractData({
+          enrollment,
           semester: nextSemester,
-
-          // Placeholders de rodapé
+          year: currentYear,
           contractId: newContract.id,
-          generatedAt: currentDate.toLocaleString('pt-BR'),
-
-          // Placeholders antigos para retrocompatibilidade
-          cpf: student.cpf ? student.cpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4') : 'N/A',
-          date: currentDate.toLocaleDateString('pt-BR'),
-          institutionName: 'Secretaria Online',
-          duration: `${course.duration || 'N/A'} ${course.duration_type || ''}`.trim(),
-        };
-
-        // Gerar conteúdo processado do template
-        const processedContent = template.replacePlaceholders(placeholderData);
+        });
 
-        // Gerar PDF usando PDFService
+        // Gerar PDF usando PDFService (que renderiza o template com os dados)
         const pdfResult = await PDFService.generateContractPDF(
           placeholderData,
-          processedContent,
+          template.content,
           CONTRACTS_PATH
         );
 
@@ -247,19 +248,12 @@ class ReenrollmentService {
    * - Apenas enrollments com status 'contract' ou 'reenrollment' podem ter preview
    * - Reutiliza sistema existente de ContractTemplate
    *
-   * PLACEHOLDERS SUPORTADOS:
-   * - {{studentName}}: Nome completo do estudante
-   * - {{studentId}}: ID do estudante
-   * - {{cpf}}: CPF formatado do estudante
-   * - {{courseName}}: Nome do curso
-   * - {{semester}}: Semestre (1 ou 2)
-   * - {{year}}: Ano (ex: 2025)
-   * - {{date}}: Data atual formatada (DD/MM/YYYY)
-   * - {{institutionName}}: Nome da instituição (hardcoded)
+   * PLACEHOLDERS SUPORTADOS: ver catálogo em utils/contractPlaceholders.js
    *
    * @param {number} enrollmentId - ID do enrollment
    * @param {number} studentUserId - ID do usuário estudante logado
-   * @returns {Promise<Object>} { contractHTML: string, enrollmentId: number, semester: number, year: number }
+   * @returns {Promise<Object>} { contractHTML, enrollmentId, semester, year, templateId, templateVersion }
+   *   (templateId deve ser enviado no aceite)
    * @throws {AppError} Se enrollment não existe, não pertence ao estudante, não está pending, ou sem template
    */
   async getReenrollmentContractPreview(enrollmentId, studentUserId) {
@@ -274,29 +268,12 @@ class ReenrollmentService {
           {
             model: Student,
             as: 'student',
-            attributes: [
-              'id',
-              'nome',
-              'cpf',
-              'rg',
-              'data_nascimento',
-              'email',
-              'telefone',
-              'celular',
-              'endereco_rua',
-              'endereco_numero',
-              'endereco_complemento',
-              'endereco_bairro',
-              'endereco_cidade',
-              'endereco_uf',
-              'cep',
-              'matricula',
-            ],
+            attributes: CONTRACT_STUDENT_ATTRIBUTES,
           },
           {
             model: Course,
             as: 'course',
-            attributes: ['id', 'name', 'description', 'duration', 'duration_type'],
+            attributes: CONTRACT_COURSE_ATTRIBUTES,
           },
         ],
       });
@@ -350,10 +327,10 @@ class ReenrollmentService {
         );
       }
 
-      // 4. Buscar template ativo de contrato
-      const templates = await ContractTemplate.findAvailable();
+      // 4. Buscar a versão vigente do template de contrato
+      const template = await ContractTemplate.findCurrent();
 
-      if (!templates || templates.length === 0) {
+      if (!template) {
         logger.error(
           `[ReenrollmentService] Nenhum template de contrato disponível`
         );
@@ -363,66 +340,17 @@ class ReenrollmentService {
         );
       }
 
-      // Usar o primeiro template disponível
-      const template = templates[0];
-
       logger.info(
         `[ReenrollmentService] Template encontrado - ID: ${template.id}, Nome: ${template.name}`
       );
 
-      // 5. Coletar e formatar dados para substituição
-      const student = enrollment.student || {};
-      const course = enrollment.course || {};
-      const currentDate = new Date();
-
-      const addressParts = [
-        student.endereco_rua,
-        student.endereco_numero,
-        student.endereco_complemento,
-        student.endereco_bairro,
-        student.endereco_cidade,
-        student.endereco_uf,
-        student.cep,
-      ].filter(Boolean); // Remove partes nulas/vazias
-      const studentAddress = addressParts.join(', ');
-
-      // Calcular semestre baseado em current_semester + 1
-      const nextSemester = (enrollment.current_semester || 0) + 1;
-
-      // Dados para substituição
-      const placeholderData = {
-        studentName: student.nome || 'N/A',
-        studentId: student.id || 'N/A',
-        studentCPF: student.cpf ? student.cpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4') : 'N/A',
-        studentRG: student.rg || 'N/A',
-        studentBirthDate: student.data_nascimento
-          ? (student.data_nascimento.match(/^\d{4}-\d{2}-\d{2}$/)
-              ? student.data_nascimento.split('-').reverse().join('/')
-              : student.data_nascimento)
-          : 'N/A',
-        studentEmail: student.email || 'N/A',
-        studentPhone: student.celular || student.telefone || 'N/A',
-        studentAddress: studentAddress || 'N/A',
-        enrollmentNumber: student.matricula || 'N/A',
-
-        courseName: course.name || 'N/A',
-        courseDuration: `${course.duration || 'N/A'} ${course.duration_type || ''}`.trim(),
-
-        enrollmentDate: new Date(enrollment.enrollment_date).toLocaleDateString('pt-BR'),
-        contractDate: currentDate.toLocaleDateString('pt-BR'),
-        currentSemester: nextSemester, // current_semester + 1
-        year: currentDate.getFullYear(),
-
-        // Placeholders de rodapé
+      // 5. Coletar e formatar dados para substituição (semestre que será cursado)
+      const placeholderData = await ContractTemplateService.getStudentContractData({
+        enrollment,
+        semester: await this._getNextSemester(enrollment),
+        year: new Date().getFullYear(),
         contractId: 'A ser gerado após aceite',
-        generatedAt: currentDate.toLocaleString('pt-BR'),
-
-        // Placeholders antigos para retrocompatibilidade
-        cpf: student.cpf ? student.cpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4') : 'N/A',
-        semester: nextSemester, // current_semester + 1
-        date: currentDate.toLocaleDateString('pt-BR'),
-        institutionName: 'Secretaria Online',
-      };
+      });
 
       logger.info(
         `[ReenrollmentService] Dados coletados para substituição: ${JSON.stringify(placeholderData)}`
@@ -441,6 +369,8 @@ class ReenrollmentService {
         enrollmentId: enrollment.id,
         semester: placeholderData.currentSemester,
         year: placeholderData.year,
+        templateId: template.id,
+        templateVersion: template.version,
       };
     } catch (error) {
       if (error instanceof AppError) {
@@ -462,6 +392,63 @@ class ReenrollmentService {
       );
     }
   }
+
+  /**
+   * Semestre da matrícula após o aceite
+   *
+   * Se o fechamento de semestre (feat-126) avançou a matrícula depois do último contrato
+   * aceito, o semestre atual já é o próximo e não é incrementado outra vez.
+   * Sem os pré-requisitos das disciplinas do próximo semestre da grade (feat-129), o aluno
+   * permanece no semestre atual.
+   *
+   * @private
+   * @param {Enrollment} enrollment - Matrícula pendente de aceite
+   * @param {Transaction} [transaction] - Transação em andamento
+   * @returns {Promise<number>} Semestre que o aluno vai cursar
+   */
+  async _getNextSemester(enrollment, transaction = null) {
+    const currentSemester = enrollment.current_semester || 0;
+
+    if (!enrollment.semester_progressed_at) {
+      return this._advanceIfRequisitesMet(enrollment, currentSemester);
+    }
+
+    const lastAcceptedAt = await Contract.max('accepted_at', {
+      where: { enrollment_id: enrollment.id },
+      transaction,
+    });
+
+    if (lastAcceptedAt && new Date(lastAcceptedAt) > new Date(enrollment.semester_progressed_at)) {
+      return this._advanceIfRequisitesMet(enrollment, currentSemester);
+    }
+
+    return currentSemester;
+  }
+
+  /**
+   * Próximo semestre, ou o atual se faltarem pré-requisitos das disciplinas do próximo
+   *
+   * @private
+   * @param {Enrollment} enrollment - Matrícula pendente de aceite
+   * @param {number} currentSemester - Semestre atual da matrícula
+   * @returns {Promise<number>} Semestre que o aluno vai cursar
+   */
+  async _advanceIfRequisitesMet(enrollment, currentSemester) {
+    if (currentSemester === 0) return 1;
+
+    const missing = await disciplineRequisiteService.getMissingForSemester(
+      enrollment.student_id,
+      enrollment.course_id,
+      currentSemester + 1,
+      { enrollment }
+    );
+    if (missing.length === 0) return currentSemester + 1;
+
+    logger.warn(
+      `[ReenrollmentService] Matrícula ${enrollment.id} permanece no ${currentSemester}º semestre: requisitos não cumpridos para ${missing.map((entry) => entry.discipline.name).join(', ')}`
+    );
+    return currentSemester;
+  }
 }
 
 module.exports = new ReenrollmentService();
@@ -0,0 +1,686 @@
+/**
+ * Arquivo: backend/src/services/reenrollmentCampaign.service.js
+ * Descrição: Campanhas de rematrícula em lote
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Modificado: feat-134 - Documentos obrigatórios do curso da matrícula
+ * Modificado: feat-136 - Aviso aos alunos quando a campanha abre a rematrícula
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Criar, editar e excluir campanhas de rematrícula (período, curso/semestre alvo e prazo)
+ * - Colocar em rematrícula, de uma só vez, todas as matrículas ativas do público da campanha
+ * - Ignorar alunos com disciplinas reprovadas ou documentos obrigatórios pendentes
+ * - Acompanhar o andamento dos aceites (painel da secretaria)
+ * - Enviar lembretes aos alunos que ainda não aceitaram
+ * - No prazo, encerrar a campanha e marcar quem não respondeu para acompanhamento
+ *
+ * O aceite continua sendo feito pelo aluno em ReenrollmentService.acceptReenrollment,
+ * que registra o aceite na campanha.
+ */
+
+const { differenceInCalendarDays, parseISO } = require('date-fns');
+const {
+  sequelize,
+  ReenrollmentCampaign,
+  ReenrollmentCampaignEnrollment,
+  Enrollment,
+  Student,
+  Course,
+  Class,
+  User,
+} = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const GradeService = require('./grade.service');
+const DocumentService = require('./document.service');
+const curriculumVersionService = require('./curriculumVersion.service');
+const EmailService = require('./email.service');
+const NotificationService = require('./notification.service');
+const { getCurrentPeriod, getNextPeriod } = require('../config/academicPeriods');
+const { toDateOnly } = require('../utils/businessDays');
+const {
+  ENROLLMENT_STATUS,
+  GRADE_RESULT_STATUS,
+  REENROLLMENT_CAMPAIGN_STATUS,
+  CAMPAIGN_ENROLLMENT_STATUS,
+  CAMPAIGN_SKIP_REASONS,
+  REENROLLMENT_CAMPAIGN_CONFIG,
+  NOTIFICATION_EVENTS,
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Campos que podem ser informados na criação/edição
+ */
+const EDITABLE_FIELDS = ['name', 'year', 'semester', 'course_id', 'target_semester', 'deadline'];
+
+/**
+ * Campos que ainda podem ser alterados com a campanha em andamento
+ */
+const OPEN_EDITABLE_FIELDS = ['name', 'deadline'];
+
+/**
+ * Lê os dias antes do prazo em que os lembretes são enviados (REENROLLMENT_REMINDER_DAYS)
+ *
+ * @returns {number[]} Dias antes do prazo (ex: [7, 3, 1])
+ */
+function getReminderDays() {
+  const configured = (process.env.REENROLLMENT_REMINDER_DAYS || '')
+    .split(',')
+    .map((value) => parseInt(value.trim(), 10))
+    .filter((value) => Number.isInteger(value) && value >= 0);
+
+  return configured.length > 0 ? configured : REENROLLMENT_CAMPAIGN_CONFIG.DEFAULT_REMINDER_DAYS;
+}
+
+class ReenrollmentCampaignService {
+  /**
+   * Formata a campanha para a API
+   *
+   * @param {ReenrollmentCampaign} campaign - Campanha (com course)
+   * @param {Object} [progress] - Contagem por situação (ver _countByStatus)
+   * @returns {Object}
+   */
+  serialize(campaign, progress = null) {
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      year: campaign.year,
+      semester: campaign.semester,
+      periodLabel: campaign.getPeriodLabel(),
+      courseId: campaign.course_id,
+      course: campaign.course ? { id: campaign.course.id, name: campaign.course.name } : null,
+      targetSemester: campaign.target_semester,
+      deadline: campaign.deadline,
+      status: campaign.status,
+      launchedAt: campaign.launched_at,
+      closedAt: campaign.closed_at,
+      lastReminderAt: campaign.last_reminder_at,
+      createdAt: campaign.created_at,
+      progress: progress || this._emptyProgress(),
+    };
+  }
+
+  /**
+   * Lista as campanhas com o andamento de cada uma
+   *
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const campaigns = await ReenrollmentCampaign.findAll({
+      include: [{ model: Course, as: 'course', attributes: ['id', 'name'] }],
+      order: [
+        ['year', 'DESC'],
+        ['semester', 'DESC'],
+        ['created_at', 'DESC'],
+      ],
+    });
+
+    const progress = await this._countByStatus(campaigns.map((campaign) => campaign.id));
+    return campaigns.map((campaign) => this.serialize(campaign, progress.get(campaign.id)));
+  }
+
+  /**
+   * Retorna o painel da campanha: dados, andamento e situação de cada matrícula
+   *
+   * @param {number} id - ID da campanha
+   * @returns {Promise<Object>}
+   * @throws {AppError} 404 se a campanha não existir
+   */
+  async getDetail(id) {
+    const campaign = await this._getCampaign(id);
+
+    const entries = await ReenrollmentCampaignEnrollment.findAll({
+      where: { campaign_id: campaign.id },
+      include: [
+        {
+          model: Enrollment,
+          as: 'enrollment',
+          attributes: ['id', 'status', 'current_semester'],
+          include: [
+            { model: Student, as: 'student', attributes: ['id', 'nome', 'matricula', 'email'] },
+            { model: Course, as: 'course', attributes: ['id', 'name'] },
+          ],
+        },
+      ],
+      order: [['id', 'ASC']],
+    });
+
+    const progress = await this._countByStatus([campaign.id]);
+
+    return {
+      ...this.serialize(campaign, progress.get(campaign.id)),
+      enrollments: entries.map((entry) => {
+        const { enrollment } = entry;
+        return {
+          id: entry.id,
+          enrollmentId: entry.enrollment_id,
+          status: entry.status,
+          skipReasons: entry.skip_reasons || [],
+          acceptedAt: entry.accepted_at,
+          remindersSent: entry.reminders_sent,
+          enrollmentStatus: enrollment ? enrollment.status : null,
+          currentSemester: enrollment ? enrollment.current_semester : null,
+          student:
+            enrollment && enrollment.student
+              ? {
+                  id: enrollment.student.id,
+                  name: enrollment.student.nome,
+                  matricula: enrollment.student.matricula,
+                  email: enrollment.student.email,
+                }
+              : null,
+          course:
+            enrollment && enrollment.course
+              ? { id: enrollment.course.id, name: enrollment.course.name }
+              : null,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Cria uma campanha em rascunho
+   *
+   * Sem ano/semestre informados, a campanha é criada para o período letivo seguinte ao vigente.
+   *
+   * @param {Object} data - Campos de EDITABLE_FIELDS
+   * @param {number} userId - Administrador que criou a campanha
+   * @returns {Promise<Object>} Campanha criada
+   */
+  async create(data, userId) {
+    const fields = this._pickFields(data, EDITABLE_FIELDS);
+
+    if (!fields.year || !fields.semester) {
+      const current = getCurrentPeriod();
+      const next = getNextPeriod(current.year, current.semester);
+      fields.year = fields.year || next.year;
+      fields.semester = fields.semester || next.semester;
+    }
+
+    await this._validate(fields);
+
+    const campaign = await ReenrollmentCampaign.create({ ...fields, created_by: userId });
+
+    logger.info(`[ReenrollmentCampaignService] Campanha criada: ${campaign.id} (${campaign.name})`);
+    return this.getDetail(campaign.id);
+  }
+
+  /**
+   * Atualiza uma campanha
+   *
+   * Em rascunho todos os campos podem ser alterados; em andamento, apenas nome e prazo.
+   *
+   * @param {number} id - ID da campanha
+   * @param {Object} data - Campos a atualizar
+   * @returns {Promise<Object>} Campanha atualizada
+   * @throws {AppError} 409 se a campanha estiver encerrada
+   */
+  async update(id, data) {
+    const campaign = await this._getCampaign(id);
+
+    if (campaign.status === REENROLLMENT_CAMPAIGN_STATUS.CLOSED) {
+      throw new AppError(
+        'Campanhas encerradas não podem ser alteradas',
+        409,
+        'REENROLLMENT_CAMPAIGN_CLOSED'
+      );
+    }
+
+    const allowed =
+      campaign.status === REENROLLMENT_CAMPAIGN_STATUS.DRAFT
+        ? EDITABLE_FIELDS
+        : OPEN_EDITABLE_FIELDS;
+    const fields = this._pickFields(data, allowed);
+    await this._validate(fields);
+
+    await campaign.update(fields);
+
+    logger.info(`[ReenrollmentCampaignService] Campanha ${id} atualizada`);
+    return this.getDetail(campaign.id);
+  }
+
+  /**
+   * Exclui uma campanha em rascunho
+   *
+   * @param {number} id - ID da campanha
+   * @returns {Promise<void>}
+   * @throws {AppError} 409 se a campanha já foi iniciada
+   */
+  async remove(id) {
+    const campaign = await this._getCampaign(id);
+
+    if (campaign.status !== REENROLLMENT_CAMPAIGN_STATUS.DRAFT) {
+      throw new AppError(
+        'Apenas campanhas em rascunho podem ser excluídas',
+        409,
+        'REENROLLMENT_CAMPAIGN_STARTED'
+      );
+    }
+
+    await campaign.destroy();
+    logger.info(`[ReenrollmentCampaignService] Campanha ${id} excluída`);
+  }
+
+  /**
+   * Inicia a campanha: coloca em rematrícula as matrículas ativas elegíveis
+   *
+   * Matrículas ativas do curso/semestre alvo com disciplinas reprovadas ou documentos
+   * obrigatórios pendentes são registradas como ignoradas, com o motivo.
+   * Os alunos colocados em rematrícula recebem o aviso de rematrícula aberta.
+   *
+   * @param {number} id - ID da campanha
+   * @returns {Promise<Object>} Painel da campanha após o início
+   * @throws {AppError} 409 se a campanha não estiver em rascunho, 422 se o prazo já passou
+   *   ou se nenhuma matrícula corresponder ao público da campanha
+   */
+  async launch(id) {
+    const campaign = await this._getCampaign(id);
+
+    if (campaign.status !== REENROLLMENT_CAMPAIGN_STATUS.DRAFT) {
+      throw new AppError('Esta campanha já foi iniciada', 409, 'REENROLLMENT_CAMPAIGN_STARTED');
+    }
+    if (campaign.isPastDeadline(toDateOnly(new Date()))) {
+      throw new AppError(
+        'O prazo da campanha já passou. Altere o prazo antes de iniciar.',
+        422,
+        'REENROLLMENT_CAMPAIGN_DEADLINE_PASSED'
+      );
+    }
+
+    const where = { status: ENROLLMENT_STATUS.ACTIVE };
+    if (campaign.course_id) where.course_id = campaign.course_id;
+    if (campaign.target_semester) where.current_semester = campaign.target_semester;
+
+    const candidates = await Enrollment.findAll({
+      where,
+      attributes: ['id', 'student_id', 'course_id'],
+    });
+    if (candidates.length === 0) {
+      throw new AppError(
+        'Nenhuma matrícula ativa corresponde ao público da campanha',
+        422,
+        'REENROLLMENT_CAMPAIGN_EMPTY'
+      );
+    }
+
+    // Avaliação das pendências fora da transação (consultas de notas e documentos)
+    const evaluated = [];
+    for (const enrollment of candidates) {
+      evaluated.push({
+        enrollment,
+        skipReasons: await this.getSkipReasons(enrollment),
+      });
+    }
+
+    const eligibleIds = evaluated
+      .filter((item) => item.skipReasons.length === 0)
+      .map((item) => item.enrollment.id);
+
+    await sequelize.transaction(async (transaction) => {
+      if (eligibleIds.length > 0) {
+        await Enrollment.update(
+          { status: ENROLLMENT_STATUS.REENROLLMENT },
+          { where: { id: eligibleIds, status: ENROLLMENT_STATUS.ACTIVE }, transaction }
+        );
+      }
+
+      await ReenrollmentCampaignEnrollment.bulkCreate(
+        evaluated.map((item) => ({
+          campaign_id: campaign.id,
+          enrollment_id: item.enrollment.id,
+          status:
+            item.skipReasons.length === 0
+              ? CAMPAIGN_ENROLLMENT_STATUS.PENDING
+              : CAMPAIGN_ENROLLMENT_STATUS.SKIPPED,
+          skip_reasons: item.skipReasons.length === 0 ? null : item.skipReasons,
+        })),
+        { transaction }
+      );
+
+      await campaign.update(
+        { status: REENROLLMENT_CAMPAIGN_STATUS.OPEN, launched_at: new Date() },
+        { transaction }
+      );
+    });
+
+    logger.info(
+      `[ReenrollmentCampaignService] Campanha ${id} iniciada: ${eligibleIds.length} em rematrícula, ${candidates.length - eligibleIds.length} ignorada(s)`
+    );
+
+    if (eligibleIds.length > 0) {
+      NotificationService.publish(NOTIFICATION_EVENTS.REENROLLMENT_OPENED, {
+        enrollmentIds: eligibleIds,
+        periodLabel: campaign.getPeriodLabel(),
+        deadline: campaign.deadline,
+      });
+    }
+
+    return this.getDetail(campaign.id);
+  }
+
+  /**
+   * Lista as pendências que impedem a matrícula de entrar em rematrícula
+   *
+   * Reprovações contam apenas nas turmas do curso da matrícula e enquanto a disciplina
+   * não tiver sido aprovada depois (em outra turma) ou dispensada.
+   *
+   * @param {Enrollment} enrollment - Matrícula (student_id e course_id)
+   * @returns {Promise<Array<{reason: string, details: string[]}>>} Vazio se a matrícula for elegível
+   */
+  async getSkipReasons(enrollment) {
+    const reasons = [];
+    const studentId = enrollment.student_id;
+
+    const [results, courseClasses] = await Promise.all([
+      GradeService.getStudentResults(studentId),
+      Class.findAll({ where: { course_id: enrollment.course_id }, attributes: ['id'] }),
+    ]);
+    const courseClassIds = new Set(courseClasses.map((cls) => cls.id));
+    const completedIds = await curriculumVersionService.getCompletedDisciplineIds(
+      studentId,
+      results
+    );
+
+    const failed = new Map();
+    results
+      .filter(
+        (result) =>
+          result.status === GRADE_RESULT_STATUS.FAILED &&
+          courseClassIds.has(result.class_id) &&
+          !completedIds.has(result.discipline_id)
+      )
+      .forEach((result) => failed.set(result.discipline_id, result.discipline.name));
+    if (failed.size > 0) {
+      reasons.push({
+        reason: CAMPAIGN_SKIP_REASONS.FAILED_DISCIPLINES,
+        details: Array.from(failed.values()),
+      });
+    }
+
+    // Inclui os documentos exigidos pelo curso da matrícula (EnrollmentService.validateDocuments)
+    const documents = await DocumentService.validateRequiredDocuments(studentId, 'student', {
+      courseId: enrollment.course_id,
+    });
+    const missing = [...documents.pending, ...documents.rejected];
+    if (missing.length > 0) {
+      reasons.push({
+        reason: CAMPAIGN_SKIP_REASONS.PENDING_DOCUMENTS,
+        details: missing.map((document) => document.documentTypeName),
+      });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Envia lembrete por email aos alunos que ainda não aceitaram a rematrícula
+   *
+   * Falhas de envio são registradas e não interrompem os demais envios.
+   *
+   * @param {number} id - ID da campanha
+   * @returns {Promise<{sent: number, failed: number, withoutEmail: number}>}
+   * @throws {AppError} 409 se a campanha não estiver em andamento
+   */
+  async sendReminders(id) {
+    const campaign = await this._getCampaign(id);
+
+    if (campaign.status !== REENROLLMENT_CAMPAIGN_STATUS.OPEN) {
+      throw new AppError(
+        'Lembretes só podem ser enviados para campanhas em andamento',
+        409,
+        'REENROLLMENT_CAMPAIGN_NOT_OPEN'
+      );
+    }
+
+    const entries = await ReenrollmentCampaignEnrollment.findAll({
+      where: { campaign_id: campaign.id, status: CAMPAIGN_ENROLLMENT_STATUS.PENDING },
+      include: [
+        {
+          model: Enrollment,
+          as: 'enrollment',
+          attributes: ['id'],
+          include: [
+            {
+              model: Student,
+              as: 'student',
+              attributes: ['id', 'nome', 'email'],
+              include: [{ model: User, as: 'user', attributes: ['id', 'email'] }],
+            },
+            { model: Course, as: 'course', attributes: ['id', 'name'] },
+          ],
+        },
+      ],
+    });
+
+    const summary = { sent: 0, failed: 0, withoutEmail: 0 };
+
+    for (const entry of entries) {
+      const student = entry.enrollment && entry.enrollment.student;
+      const email = student && (student.email || (student.user && student.user.email));
+
+      if (!email) {
+        summary.withoutEmail += 1;
+        continue;
+      }
+
+      try {
+        await EmailService.sendReenrollmentReminderEmail(email, {
+          name: student.nome,
+          courseName: entry.enrollment.course ? entry.enrollment.course.name : null,
+          periodLabel: campaign.getPeriodLabel(),
+          deadline: campaign.deadline,
+        });
+        await entry.increment('reminders_sent');
+        summary.sent += 1;
+      } catch (error) {
+        logger.error(
+          `[ReenrollmentCampaignService] Falha no lembrete da matrícula ${entry.enrollment_id}: ${error.message}`
+        );
+        summary.failed += 1;
+      }
+    }
+
+    await campaign.update({ last_reminder_at: new Date() });
+
+    logger.info(
+      `[ReenrollmentCampaignService] Lembretes da campanha ${id}: ${summary.sent} enviado(s), ${summary.failed} falha(s), ${summary.withoutEmail} sem email`
+    );
+    return summary;
+  }
+
+  /**
+   * Encerra a campanha e marca para acompanhamento quem não aceitou a rematrícula
+   *
+   * As matrículas continuam em rematrícula: o aluno ainda pode aceitar depois do prazo.
+   *
+   * @param {number} id - ID da campanha
+   * @returns {Promise<Object>} Painel da campanha encerrada
+   * @throws {AppError} 409 se a campanha não estiver em andamento
+   */
+  async close(id) {
+    const campaign = await this._getCampaign(id);
+
+    if (campaign.status !== REENROLLMENT_CAMPAIGN_STATUS.OPEN) {
+      throw new AppError(
+        'Apenas campanhas em andamento podem ser encerradas',
+        409,
+        'REENROLLMENT_CAMPAIGN_NOT_OPEN'
+      );
+    }
+
+    let followUps = 0;
+    await sequelize.transaction(async (transaction) => {
+      [followUps] = await ReenrollmentCampaignEnrollment.update(
+        { status: CAMPAIGN_ENROLLMENT_STATUS.FOLLOW_UP },
+        {
+          where: { campaign_id: campaign.id, status: CAMPAIGN_ENROLLMENT_STATUS.PENDING },
+          transaction,
+        }
+      );
+
+      await campaign.update(
+        { status: REENROLLMENT_CAMPAIGN_STATUS.CLOSED, closed_at: new Date() },
+        { transaction }
+      );
+    });
+
+    logger.info(
+      `[ReenrollmentCampaignService] Campanha ${id} encerrada: ${followUps} aluno(s) para acompanhamento`
+    );
+    return this.getDetail(campaign.id);
+  }
+
+  /**
+   * Rotina diária das campanhas em andamento (job reenrollmentCampaigns.job.js)
+   *
+   * - Campanhas com prazo vencido são encerradas
+   * - Nas demais, envia lembretes quando faltam REENROLLMENT_REMINDER_DAYS dias para o prazo
+   *
+   * @param {Date} [date=new Date()] - Data de referência
+   * @returns {Promise<{closed: number[], reminded: number[]}>} IDs das campanhas processadas
+   */
+  async processOpenCampaigns(date = new Date()) {
+    const today = toDateOnly(date);
+    const reminderDays = getReminderDays();
+    const result = { closed: [], reminded: [] };
+
+    const campaigns = await ReenrollmentCampaign.findAll({
+      where: { status: REENROLLMENT_CAMPAIGN_STATUS.OPEN },
+    });
+
+    for (const campaign of campaigns) {
+      try {
+        if (campaign.isPastDeadline(today)) {
+          await this.close(campaign.id);
+          result.closed.push(campaign.id);
+          continue;
+        }
+
+        const daysLeft = differenceInCalendarDays(parseISO(campaign.deadline), parseISO(today));
+        const remindedToday =
+          campaign.last_reminder_at && toDateOnly(campaign.last_reminder_at) === today;
+
+        if (reminderDays.includes(daysLeft) && !remindedToday) {
+          await this.sendReminders(campaign.id);
+          result.reminded.push(campaign.id);
+        }
+      } catch (error) {
+        logger.error(
+          `[ReenrollmentCampaignService] Erro ao processar campanha ${campaign.id}: ${error.message}`
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Busca a campanha com o curso
+   *
+   * @private
+   * @param {number} id
+   * @returns {Promise<ReenrollmentCampaign>}
+   * @throws {AppError} 404 se não existir
+   */
+  async _getCampaign(id) {
+    const campaign = await ReenrollmentCampaign.findByPk(id, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'name'] }],
+    });
+    if (!campaign) {
+      throw new AppError(
+        'Campanha de rematrícula não encontrada',
+        404,
+        'REENROLLMENT_CAMPAIGN_NOT_FOUND'
+      );
+    }
+    return campaign;
+  }
+
+  /**
+   * Conta as matrículas de cada campanha por situação
+   *
+   * @private
+   * @param {number[]} campaignIds
+   * @returns {Promise<Map<number, Object>>} Mapa campanha → { total, pending, accepted, skipped, followUp }
+   */
+  async _countByStatus(campaignIds) {
+    const progress = new Map();
+    if (campaignIds.length === 0) return progress;
+
+    const rows = await ReenrollmentCampaignEnrollment.findAll({
+      where: { campaign_id: campaignIds },
+      attributes: ['campaign_id', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['campaign_id', 'status'],
+      raw: true,
+    });
+
+    const keys = {
+      [CAMPAIGN_ENROLLMENT_STATUS.PENDING]: 'pending',
+      [CAMPAIGN_ENROLLMENT_STATUS.ACCEPTED]: 'accepted',
+      [CAMPAIGN_ENROLLMENT_STATUS.SKIPPED]: 'skipped',
+      [CAMPAIGN_ENROLLMENT_STATUS.FOLLOW_UP]: 'followUp',
+    };
+
+    rows.forEach((row) => {
+      if (!progress.has(row.campaign_id)) {
+        progress.set(row.campaign_id, this._emptyProgress());
+      }
+      const counts = progress.get(row.campaign_id);
+      const count = parseInt(row.count, 10);
+      counts[keys[row.status]] = count;
+      counts.total += count;
+    });
+
+    return progress;
+  }
+
+  /**
+   * Andamento de uma campanha sem matrículas
+   *
+   * @private
+   * @returns {Object}
+   */
+  _emptyProgress() {
+    return { total: 0, pending: 0, accepted: 0, skipped: 0, followUp: 0 };
+  }
+
+  /**
+   * Mantém apenas os campos permitidos informados
+   *
+   * @private
+   * @param {Object} data
+   * @param {string[]} allowed - Campos permitidos
+   * @returns {Object}
+   */
+  _pickFields(data = {}, allowed) {
+    return allowed.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field] === '' ? null : data[field];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Valida curso existente e prazo não vencido
+   * (demais regras ficam nas validações do model)
+   *
+   * @private
+   * @param {Object} fields
+   * @throws {AppError} 404 para curso inexistente, 400 para prazo no passado
+   */
+  async _validate(fields) {
+    if (fields.course_id) {
+      const course = await Course.findByPk(fields.course_id, { attributes: ['id'] });
+      if (!course) {
+        throw new AppError('Curso não encontrado', 404, 'COURSE_NOT_FOUND');
+      }
+    }
+
+    if (fields.deadline && fields.deadline < toDateOnly(new Date())) {
+      throw new AppError('O prazo da campanha não pode estar no passado', 400, 'VALIDATION_ERROR');
+    }
+  }
+}
+
+module.exports = new ReenrollmentCampaignService();
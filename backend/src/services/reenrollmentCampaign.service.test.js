@@ -0,0 +1,150 @@
+/**
+ * Arquivo: backend/src/services/reenrollmentCampaign.service.test.js
+ * Descrição: Testes unitários das pendências que impedem a rematrícula em campanha
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ * Modificado: feat-134 - Documentos obrigatórios do curso da matrícula
+ *
+ * Executar com: npm test (ou node --test src/services/reenrollmentCampaign.service.test.js)
+ *
+ * As consultas ao banco (resultados, turmas, dispensas e documentos) são substituídas
+ * por mocks: nenhum teste abre conexão com o banco.
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// O carregamento dos models e do email exige configuração (nenhuma conexão é aberta)
+const TEST_ENV = {
+  DB_HOST: 'localhost',
+  DB_PORT: '3306',
+  DB_NAME: 'secretaria_online_test',
+  DB_USER: 'test',
+  DB_PASSWORD: 'test',
+  SMTP_HOST: 'localhost',
+  SMTP_PORT: '2525',
+  SMTP_USER: 'test',
+  SMTP_PASS: 'test',
+  SMTP_FROM: 'test@secretaria.local',
+};
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  process.env[name] = process.env[name] || value;
+});
+
+const { Class } = require('../models');
+const GradeService = require('./grade.service');
+const DocumentService = require('./document.service');
+const exemptionService = require('./studentDisciplineExemption.service');
+const ReenrollmentCampaignService = require('./reenrollmentCampaign.service');
+const { CAMPAIGN_SKIP_REASONS, GRADE_RESULT_STATUS } = require('../utils/constants');
+
+const ENROLLMENT = { id: 10, student_id: 1, course_id: 3 };
+
+/**
+ * Resultado de uma disciplina em uma turma (formato de GradeService.getStudentResults)
+ */
+function result(classId, disciplineId, status) {
+  return {
+    class_id: classId,
+    discipline_id: disciplineId,
+    discipline: { id: disciplineId, name: `Disciplina ${disciplineId}` },
+    status,
+  };
+}
+
+describe('ReenrollmentCampaignService.getSkipReasons', () => {
+  let results;
+  let documents;
+  let exemptIds;
+
+  beforeEach(() => {
+    results = [];
+    exemptIds = [];
+    documents = { allApproved: true, pending: [], approved: [], rejected: [], expired: [] };
+
+    mock.method(GradeService, 'getStudentResults', async () => results);
+    // Turmas 100 e 101 são do curso da matrícula; a 200 é de outro curso
+    mock.method(Class, 'findAll', async ({ where }) =>
+      where.course_id === ENROLLMENT.course_id ? [{ id: 100 }, { id: 101 }] : [{ id: 200 }]
+    );
+    mock.method(exemptionService, 'getExemptDisciplineIds', async () => exemptIds);
+    mock.method(DocumentService, 'validateRequiredDocuments', async () => documents);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('retorna vazio para matrícula sem pendências', async () => {
+    results = [result(100, 1, GRADE_RESULT_STATUS.APPROVED)];
+
+    assert.deepEqual(await ReenrollmentCampaignService.getSkipReasons(ENROLLMENT), []);
+  });
+
+  it('aponta a disciplina reprovada no curso da matrícula', async () => {
+    results = [
+      result(100, 1, GRADE_RESULT_STATUS.FAILED),
+      result(101, 2, GRADE_RESULT_STATUS.APPROVED),
+    ];
+
+    assert.deepEqual(await ReenrollmentCampaignService.getSkipReasons(ENROLLMENT), [
+      { reason: CAMPAIGN_SKIP_REASONS.FAILED_DISCIPLINES, details: ['Disciplina 1'] },
+    ]);
+  });
+
+  it('ignora a disciplina reprovada e depois aprovada em outra turma', async () => {
+    results = [
+      result(100, 1, GRADE_RESULT_STATUS.FAILED),
+      result(101, 1, GRADE_RESULT_STATUS.APPROVED),
+    ];
+
+    assert.deepEqual(await ReenrollmentCampaignService.getSkipReasons(ENROLLMENT), []);
+  });
+
+  it('ignora a disciplina reprovada e depois dispensada', async () => {
+    results = [result(100, 1, GRADE_RESULT_STATUS.FAILED)];
+    exemptIds = [1];
+
+    assert.deepEqual(await ReenrollmentCampaignService.getSkipReasons(ENROLLMENT), []);
+  });
+
+  it('ignora reprovações em turmas de outro curso', async () => {
+    results = [result(200, 1, GRADE_RESULT_STATUS.FAILED)];
+
+    assert.deepEqual(await ReenrollmentCampaignService.getSkipReasons(ENROLLMENT), []);
+  });
+
+  it('lista uma vez a disciplina reprovada em mais de uma turma', async () => {
+    results = [
+      result(100, 1, GRADE_RESULT_STATUS.FAILED),
+      result(101, 1, GRADE_RESULT_STATUS.FAILED),
+    ];
+
+    const [reason] = await ReenrollmentCampaignService.getSkipReasons(ENROLLMENT);
+    assert.deepEqual(reason.details, ['Disciplina 1']);
+  });
+
+  it('aponta os documentos obrigatórios pendentes ou rejeitados', async () => {
+    documents = {
+      ...documents,
+      allApproved: false,
+      pending: [{ documentTypeName: 'RG' }],
+      rejected: [{ documentTypeName: 'CPF' }],
+    };
+
+    assert.deepEqual(await ReenrollmentCampaignService.getSkipReasons(ENROLLMENT), [
+      { reason: CAMPAIGN_SKIP_REASONS.PENDING_DOCUMENTS, details: ['RG', 'CPF'] },
+    ]);
+  });
+
+  it('confere os documentos exigidos pelo curso da matrícula', async () => {
+    await ReenrollmentCampaignService.getSkipReasons(ENROLLMENT);
+
+    const [call] = DocumentService.validateRequiredDocuments.mock.calls;
+    assert.deepEqual(call.arguments, [
+      ENROLLMENT.student_id,
+      'student',
+      { courseId: ENROLLMENT.course_id },
+    ]);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Arquivo: backend/src/services/requestType.service.js
+ * Descrição: Gestão dos tipos de solicitação pela secretaria
+ * Feature: feat-121 - Gestão dos tipos de solicitação
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Criar, editar, reordenar, desativar e excluir tipos de solicitação
+ * - Validar a configuração de cada tipo (perfis, anexos obrigatórios e gerador de documento)
+ * - Listar os tipos que cada perfil pode abrir, na ordem definida pela secretaria
+ */
+
+const { sequelize, RequestType, Request } = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const DocumentGeneratorService = require('./documentGenerator.service');
+const logger = require('../utils/logger');
+
+/**
+ * Campos que podem ser informados na criação/edição
+ */
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'response_deadline_days',
+  'is_active',
+  'allowed_roles',
+  'required_attachments',
+  'document_generator',
+];
+
+class RequestTypeService {
+  /**
+   * Formata o tipo de solicitação para a API (mesmo formato de GET /requests/types)
+   *
+   * @param {RequestType} requestType
+   * @returns {Object}
+   */
+  serialize(requestType) {
+    return {
+      id: requestType.id,
+      name: requestType.name,
+      description: requestType.description,
+      expectedDays: requestType.response_deadline_days,
+      isActive: requestType.is_active,
+      displayOrder: requestType.display_order,
+      allowedRoles: requestType.getAllowedRoles(),
+      requiredAttachments: requestType.getRequiredAttachments(),
+      documentGenerator: requestType.document_generator,
+      createdAt: requestType.created_at,
+      updatedAt: requestType.updated_at,
+    };
+  }
+
+  /**
+   * Lista os tipos de solicitação para a gestão (inclui os inativos)
+   *
+   * @returns {Promise<Object[]>}
+   */
+  async listAll() {
+    const requestTypes = await RequestType.scope('active', 'ordered').findAll();
+    return requestTypes.map((requestType) => this.serialize(requestType));
+  }
+
+  /**
+   * Lista os tipos ativos que o perfil pode abrir
+   *
+   * @param {string} role - Perfil do usuário
+   * @returns {Promise<Object[]>}
+   */
+  async listAvailableFor(role) {
+    const requestTypes = await RequestType.findAvailable();
+    return requestTypes
+      .filter((requestType) => requestType.canBeOpenedBy(role))
+      .map((requestType) => this.serialize(requestType));
+  }
+
+  /**
+   * Busca um tipo de solicitação
+   *
+   * @param {number} id
+   * @returns {Promise<RequestType>}
+   * @throws {AppError} 404 se não existir
+   */
+  async getById(id) {
+    const requestType = await RequestType.findActiveById(id);
+    if (!requestType) {
+      throw new AppError('Tipo de solicitação não encontrado', 404, 'REQUEST_TYPE_NOT_FOUND');
+    }
+    return requestType;
+  }
+
+  /**
+   * Cria um tipo de solicitação no final da lista
+   *
+   * @param {Object} data - Campos de EDITABLE_FIELDS
+   * @returns {Promise<Object>} Tipo criado
+   */
+  async create(data) {
+    const fields = this._pickFields(data);
+    await this._validate(fields);
+
+    const requestType = await RequestType.create({
+      ...fields,
+      display_order: await RequestType.getNextDisplayOrder(),
+    });
+
+    logger.info(`[RequestTypeService] Tipo de solicitação criado: ${requestType.name}`);
+    return this.serialize(requestType);
+  }
+
+  /**
+   * Atualiza um tipo de solicitação (inclusive ativar/desativar via is_active)
+   *
+   * Alterar o prazo não recalcula a data limite das solicitações já abertas.
+   *
+   * @param {number} id
+   * @param {Object} data - Campos de EDITABLE_FIELDS
+   * @returns {Promise<Object>} Tipo atualizado
+   */
+  async update(id, data) {
+    const requestType = await this.getById(id);
+    const fields = this._pickFields(data);
+    await this._validate(fields, requestType.id);
+
+    await requestType.update(fields);
+
+    logger.info(`[RequestTypeService] Tipo de solicitação ${id} atualizado`);
+    return this.serialize(requestType);
+  }
+
+  /**
+   * Define a ordem de exibição a partir da lista de IDs
+   *
+   * @param {number[]} ids - IDs de todos os tipos na nova ordem
+   * @returns {Promise<Object[]>} Tipos na nova ordem
+   * @throws {AppError} 400 se a lista não contiver exatamente os tipos cadastrados
+   */
+  async reorder(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new AppError('Informe a lista de IDs na nova ordem', 400, 'VALIDATION_ERROR');
+    }
+
+    const orderedIds = ids.map((id) => parseInt(id, 10));
+    const existing = await RequestType.scope('active').findAll({ attributes: ['id'] });
+    const existingIds = new Set(existing.map((requestType) => requestType.id));
+
+    if (
+      new Set(orderedIds).size !== orderedIds.length ||
+      orderedIds.length !== existingIds.size ||
+      orderedIds.some((id) => !existingIds.has(id))
+    ) {
+      throw new AppError(
+        'A lista deve conter todos os tipos de solicitação, sem repetições',
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [index, id] of orderedIds.entries()) {
+        await RequestType.update({ display_order: index + 1 }, { where: { id }, transaction });
+      }
+    });
+
+    logger.info('[RequestTypeService] Ordem dos tipos de solicitação atualizada');
+    return this.listAll();
+  }
+
+  /**
+   * Exclui um tipo de solicitação que nunca foi utilizado
+   *
+   * Tipos com solicitações devem ser desativados (is_active = false) para manter o histórico.
+   *
+   * @param {number} id
+   * @returns {Promise<void>}
+   * @throws {AppError} 409 se existirem solicitações do tipo
+   */
+  async remove(id) {
+    const requestType = await this.getById(id);
+
+    const requestsCount = await Request.count({ where: { request_type_id: requestType.id } });
+    if (requestsCount > 0) {
+      throw new AppError(
+        'Este tipo possui solicitações registradas. Desative-o em vez de excluir.',
+        409,
+        'REQUEST_TYPE_IN_USE'
+      );
+    }
+
+    await requestType.destroy();
+    logger.info(`[RequestTypeService] Tipo de solicitação ${id} excluído`);
+  }
+
+  /**
+   * Geradores de documento disponíveis para a configuração dos tipos
+   *
+   * @returns {Array<{key: string, title: string}>}
+   */
+  listGenerators() {
+    return DocumentGeneratorService.listGenerators();
+  }
+
+  /**
+   * Mantém apenas os campos editáveis informados
+   *
+   * @private
+   * @param {Object} data
+   * @returns {Object}
+   */
+  _pickFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Valida nome único e gerador de documento registrado
+   * (demais regras ficam nas validações do model)
+   *
+   * @private
+   * @param {Object} fields
+   * @param {number} [currentId] - ID do tipo em edição
+   * @throws {AppError} 409 para nome duplicado, 400 para gerador inexistente
+   */
+  async _validate(fields, currentId = null) {
+    if (fields.name) {
+      const duplicate = await RequestType.findByName(fields.name);
+      if (duplicate && duplicate.id !== currentId) {
+        throw new AppError(
+          'Já existe um tipo de solicitação com este nome',
+          409,
+          'DUPLICATE_REQUEST_TYPE'
+        );
+      }
+    }
+
+    if (
+      fields.document_generator &&
+      !DocumentGeneratorService.hasGenerator(fields.document_generator)
+    ) {
+      throw new AppError('Gerador de documento inválido', 400, 'INVALID_DOCUMENT_GENERATOR');
+    }
+  }
+}
+
+module.exports = new RequestTypeService();
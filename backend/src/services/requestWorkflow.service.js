@@ -0,0 +1,386 @@
+/**
+ * Arquivo: backend/src/services/requestWorkflow.service.js
+ * Descrição: Fluxo de atendimento das solicitações (análise, pedido de informações ao aluno,
+ *            comentários, anexos e linha do tempo)
+ * Feature: feat-120 - Fluxo de atendimento das solicitações
+ * Criado em: 2026-10-19
+ *
+ * Fluxo de status:
+ * - pending → in_analysis (secretaria inicia a análise)
+ * - pending/in_analysis → awaiting_student (secretaria pede informações ou documentos)
+ * - awaiting_student → in_analysis (automático quando o aluno responde)
+ * - pending/in_analysis/awaiting_student → approved/rejected (request.controller)
+ *
+ * As mudanças de status são gravadas em request_status_history pelos hooks do model Request.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  sequelize,
+  Request,
+  RequestComment,
+  RequestAttachment,
+  RequestStatusHistory,
+} = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const { REQUEST_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Diretório base do backend (os caminhos dos anexos são gravados relativos a ele)
+ */
+const BACKEND_DIR = path.join(__dirname, '../../');
+
+const AUTHOR_ATTRIBUTES = ['id', 'name', 'role'];
+
+class RequestWorkflowService {
+  /**
+   * Busca uma solicitação verificando se o usuário pode acessá-la
+   *
+   * Admins acessam qualquer solicitação; alunos apenas as próprias.
+   *
+   * @param {number} requestId - ID da solicitação
+   * @param {Object} user - Usuário autenticado (req.user)
+   * @returns {Promise<Request>}
+   * @throws {AppError} 404 se não encontrada, 403 se sem permissão
+   */
+  async getAccessibleRequest(requestId, user) {
+    const request = await Request.findOne({ where: { id: requestId, deleted_at: null } });
+
+    if (!request) {
+      throw new AppError('Solicitação não encontrada', 404, 'REQUEST_NOT_FOUND');
+    }
+
+    if (user.role === 'admin') {
+      return request;
+    }
+
+    if (user.role !== 'student' || request.student_id !== user.student_id) {
+      throw new AppError('Você não tem permissão para acessar esta solicitação', 403, 'FORBIDDEN');
+    }
+
+    return request;
+  }
+
+  /**
+   * Coloca uma solicitação pendente em análise
+   *
+   * @param {number} requestId - ID da solicitação
+   * @param {number} adminId - ID do admin
+   * @returns {Promise<Request>}
+   * @throws {AppError} 422 se a solicitação não estiver pendente
+   */
+  async startAnalysis(requestId, adminId) {
+    const request = await this.getAccessibleRequest(requestId, { role: 'admin' });
+
+    if (request.status !== REQUEST_STATUS.PENDING) {
+      throw new AppError(
+        `Apenas solicitações pendentes podem ser colocadas em análise (status atual: ${request.getStatusLabel().toLowerCase()})`,
+        422,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    await request.changeStatus(REQUEST_STATUS.IN_ANALYSIS, { changedBy: adminId });
+
+    logger.info(`[RequestWorkflowService] Solicitação ${requestId} em análise (admin ${adminId})`);
+
+    return request;
+  }
+
+  /**
+   * Pede informações ou documentos ao aluno
+   *
+   * A mensagem é registrada como comentário e como observação no histórico,
+   * e a solicitação passa para "aguardando aluno".
+   *
+   * @param {number} requestId - ID da solicitação
+   * @param {number} adminId - ID do admin
+   * @param {string} message - O que o aluno precisa responder ou enviar
+   * @returns {Promise<Request>}
+   * @throws {AppError} 400 sem mensagem, 422 se a solicitação não puder aguardar o aluno
+   */
+  async requestStudentInfo(requestId, adminId, message) {
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) {
+      throw new AppError(
+        'Informe o que o aluno precisa responder ou enviar',
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const request = await this.getAccessibleRequest(requestId, { role: 'admin' });
+
+    if (![REQUEST_STATUS.PENDING, REQUEST_STATUS.IN_ANALYSIS].includes(request.status)) {
+      throw new AppError(
+        `Não é possível pedir informações ao aluno nesta solicitação (status atual: ${request.getStatusLabel().toLowerCase()})`,
+        422,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await RequestComment.create(
+        { request_id: request.id, user_id: adminId, message: text },
+        { transaction }
+      );
+      await request.changeStatus(REQUEST_STATUS.AWAITING_STUDENT, {
+        changedBy: adminId,
+        note: text,
+        transaction,
+      });
+    });
+
+    logger.info(
+      `[RequestWorkflowService] Solicitação ${requestId} aguardando aluno (admin ${adminId})`
+    );
+
+    return request;
+  }
+
+  /**
+   * Adiciona um comentário à conversa da solicitação
+   *
+   * Alunos só comentam em solicitações em aberto. Quando a solicitação aguarda o
+   * aluno, a resposta dele a devolve automaticamente para "em análise".
+   *
+   * @param {number} requestId - ID da solicitação
+   * @param {Object} user - Usuário autenticado (req.user)
+   * @param {string} message - Texto do comentário
+   * @returns {Promise<RequestComment>} Comentário criado (com autor)
+   * @throws {AppError} 400 sem mensagem, 422 se o aluno comentar em solicitação concluída
+   */
+  async addComment(requestId, user, message) {
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) {
+      throw new AppError('A mensagem é obrigatória', 400, 'VALIDATION_ERROR');
+    }
+
+    const request = await this.getAccessibleRequest(requestId, user);
+    this._assertStudentCanRespond(request, user);
+
+    const comment = await sequelize.transaction(async (transaction) => {
+      const created = await RequestComment.create(
+        { request_id: request.id, user_id: user.id, message: text },
+        { transaction }
+      );
+      await this._resumeIfStudentReplied(request, user, transaction);
+      return created;
+    });
+
+    logger.info(
+      `[RequestWorkflowService] Comentário ${comment.id} adicionado à solicitação ${requestId} por usuário ${user.id} (${user.role})`
+    );
+
+    return RequestComment.findByPk(comment.id, {
+      include: [{ association: 'author', attributes: AUTHOR_ATTRIBUTES }],
+    });
+  }
+
+  /**
+   * Anexa um arquivo (já gravado pelo upload.middleware) à solicitação
+   *
+   * Se uma mensagem for enviada junto, ela vira um comentário vinculado ao anexo.
+   * Assim como nos comentários, a resposta do aluno devolve a solicitação para análise.
+   *
+   * @param {number} requestId - ID da solicitação
+   * @param {Object} user - Usuário autenticado (req.user)
+   * @param {Object} file - Arquivo do Multer (req.file)
+   * @param {string} [message] - Mensagem opcional enviada com o arquivo
+   * @returns {Promise<RequestAttachment>} Anexo criado (com autor e comentário)
+   * @throws {AppError} 422 se o aluno anexar em solicitação concluída
+   */
+  async addAttachment(requestId, user, file, message) {
+    const request = await this.getAccessibleRequest(requestId, user);
+    this._assertStudentCanRespond(request, user);
+
+    const text = typeof message === 'string' ? message.trim() : '';
+
+    const attachment = await sequelize.transaction(async (transaction) => {
+      const comment = text
+        ? await RequestComment.create(
+            { request_id: request.id, user_id: user.id, message: text },
+            { transaction }
+          )
+        : null;
+
+      const created = await RequestAttachment.create(
+        {
+          request_id: request.id,
+          comment_id: comment ? comment.id : null,
+          user_id: user.id,
+          file_name: file.originalname,
+          file_path: path.relative(BACKEND_DIR, file.path),
+          mime_type: file.mimetype,
+          file_size: file.size,
+        },
+        { transaction }
+      );
+
+      await this._resumeIfStudentReplied(request, user, transaction);
+      return created;
+    });
+
+    logger.info(
+      `[RequestWorkflowService] Anexo ${attachment.id} adicionado à solicitação ${requestId} por usuário ${user.id} (${user.role})`
+    );
+
+    return RequestAttachment.findByPk(attachment.id, {
+      include: [
+        { association: 'uploader', attributes: AUTHOR_ATTRIBUTES },
+        { association: 'comment', attributes: ['id', 'message'] },
+      ],
+    });
+  }
+
+  /**
+   * Retorna o arquivo de um anexo para download
+   *
+   * @param {number} requestId - ID da solicitação
+   * @param {number} attachmentId - ID do anexo
+   * @param {Object} user - Usuário autenticado (req.user)
+   * @returns {Promise<{filePath: string, fileName: string, mimeType: string}>}
+   * @throws {AppError} 404 se o anexo ou o arquivo não existir
+   */
+  async getAttachmentFile(requestId, attachmentId, user) {
+    const request = await this.getAccessibleRequest(requestId, user);
+
+    const attachment = await RequestAttachment.findOne({
+      where: { id: attachmentId, request_id: request.id },
+    });
+
+    if (!attachment) {
+      throw new AppError('Anexo não encontrado', 404, 'ATTACHMENT_NOT_FOUND');
+    }
+
+    const fullPath = path.join(BACKEND_DIR, attachment.file_path);
+
+    try {
+      await fs.access(fullPath);
+    } catch (fileError) {
+      logger.error('[RequestWorkflowService] Arquivo do anexo não encontrado no servidor', {
+        attachmentId,
+        filePath: attachment.file_path,
+        error: fileError.message,
+      });
+      throw new AppError('Arquivo não encontrado no servidor', 404, 'FILE_NOT_FOUND');
+    }
+
+    return {
+      filePath: fullPath,
+      fileName: attachment.file_name,
+      mimeType: attachment.mime_type,
+    };
+  }
+
+  /**
+   * Monta a linha do tempo da solicitação: mudanças de status, comentários e anexos,
+   * em ordem cronológica
+   *
+   * Anexos enviados junto com um comentário aparecem dentro do comentário.
+   *
+   * @param {number} requestId - ID da solicitação
+   * @param {Object} user - Usuário autenticado (req.user)
+   * @returns {Promise<{requestId: number, status: string, events: Array<Object>}>}
+   */
+  async getTimeline(requestId, user) {
+    const request = await this.getAccessibleRequest(requestId, user);
+
+    const [history, comments, attachments] = await Promise.all([
+      RequestStatusHistory.findAll({
+        where: { request_id: request.id },
+        include: [{ association: 'changedBy', attributes: AUTHOR_ATTRIBUTES }],
+      }),
+      RequestComment.findAll({
+        where: { request_id: request.id },
+        include: [{ association: 'author', attributes: AUTHOR_ATTRIBUTES }],
+      }),
+      RequestAttachment.findAll({
+        where: { request_id: request.id },
+        attributes: { exclude: ['file_path'] },
+        include: [{ association: 'uploader', attributes: AUTHOR_ATTRIBUTES }],
+      }),
+    ]);
+
+    const attachmentsByComment = new Map();
+    attachments.forEach((attachment) => {
+      if (attachment.comment_id) {
+        const list = attachmentsByComment.get(attachment.comment_id) || [];
+        list.push(attachment.toJSON());
+        attachmentsByComment.set(attachment.comment_id, list);
+      }
+    });
+
+    const events = [
+      ...history.map((entry) => ({
+        type: 'status',
+        id: entry.id,
+        created_at: entry.created_at,
+        from_status: entry.from_status,
+        to_status: entry.to_status,
+        note: entry.note,
+        user: entry.changedBy,
+      })),
+      ...comments.map((comment) => ({
+        type: 'comment',
+        id: comment.id,
+        created_at: comment.created_at,
+        message: comment.message,
+        user: comment.author,
+        attachments: attachmentsByComment.get(comment.id) || [],
+      })),
+      ...attachments
+        .filter((attachment) => !attachment.comment_id)
+        .map((attachment) => ({
+          type: 'attachment',
+          id: attachment.id,
+          created_at: attachment.created_at,
+          attachment: attachment.toJSON(),
+          user: attachment.uploader,
+        })),
+    ].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    return { request_id: request.id, status: request.status, events };
+  }
+
+  /**
+   * Impede que o aluno responda em solicitações já concluídas
+   *
+   * @private
+   * @param {Request} request
+   * @param {Object} user
+   * @throws {AppError} 422
+   */
+  _assertStudentCanRespond(request, user) {
+    if (user.role === 'student' && !request.isOpen()) {
+      throw new AppError(
+        `Esta solicitação já foi ${request.getStatusLabel().toLowerCase()}`,
+        422,
+        'REQUEST_ALREADY_PROCESSED'
+      );
+    }
+  }
+
+  /**
+   * Devolve para análise a solicitação que aguardava o aluno, quando ele responde
+   *
+   * @private
+   * @param {Request} request
+   * @param {Object} user
+   * @param {import('sequelize').Transaction} transaction
+   * @returns {Promise<void>}
+   */
+  async _resumeIfStudentReplied(request, user, transaction) {
+    if (user.role === 'student' && request.isAwaitingStudent()) {
+      await request.changeStatus(REQUEST_STATUS.IN_ANALYSIS, {
+        changedBy: user.id,
+        note: 'Resposta do aluno',
+        transaction,
+      });
+    }
+  }
+}
+
+module.exports = new RequestWorkflowService();
@@ -0,0 +1,536 @@
+/**
+ * Arquivo: backend/src/services/semesterClosing.service.js
+ * Descrição: Fechamento de semestre (progressão automática das matrículas)
+ * Feature: feat-126 - Progressão semestral automática das matrículas
+ * Criado em: 2026-10-19
+ * Modificado: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Modificado: feat-130 - Semestre avaliado pela matriz curricular da matrícula
+ *
+ * Responsabilidades:
+ * - Avaliar os resultados finais de cada matrícula ativa no semestre que o aluno está cursando
+ * - Avançar current_semester de quem foi aprovado em todas as disciplinas
+ * - Concluir (completed) as matrículas aprovadas no último semestre do curso (Course.duration)
+ * - Manter no semestre, sinalizando no relatório, quem tem reprovações ou resultados não finais
+ * - Manter no semestre quem não cumpre os pré-requisitos das disciplinas do próximo semestre
+ * - Pré-visualizar o fechamento sem alterar nada (dry-run)
+ * - Registrar o relatório de cada fechamento executado
+ *
+ * Resultados considerados: os das turmas do curso da matrícula, do semestre atual do aluno
+ * (Class.semester = current_semester) e do ano do período letivo (Class.year).
+ * Com matriz curricular, contam apenas as disciplinas do semestre na matriz do aluno, e as
+ * disciplinas da matriz sem resultado (nem aprovação anterior ou dispensa) ficam pendentes.
+ * Matrículas em rematrícula ou em outros status não são avaliadas.
+ *
+ * O avanço registra enrollments.semester_progressed_at; o aceite da rematrícula seguinte
+ * não avança o semestre outra vez (ReenrollmentService.acceptReenrollment).
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  SemesterClosing,
+  Enrollment,
+  Student,
+  Course,
+  Class,
+  User,
+} = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const GradeService = require('./grade.service');
+const disciplineRequisiteService = require('./disciplineRequisite.service');
+const curriculumVersionService = require('./curriculumVersion.service');
+const { getCurrentPeriod } = require('../config/academicPeriods');
+const {
+  ENROLLMENT_STATUS,
+  GRADE_RESULT_STATUS,
+  SEMESTER_CLOSING_OUTCOME,
+  MAX_ENROLLMENT_SEMESTER,
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Resultados que mantêm o aluno no semestre atual
+ */
+const FLAGGED_OUTCOMES = [
+  SEMESTER_CLOSING_OUTCOME.RETAINED,
+  SEMESTER_CLOSING_OUTCOME.PENDING_RESULTS,
+  SEMESTER_CLOSING_OUTCOME.NO_RESULTS,
+  SEMESTER_CLOSING_OUTCOME.MISSING_PREREQUISITES,
+];
+
+/**
+ * Calcula a quantidade de semestres do curso a partir de duration/duration_type
+ *
+ * @param {Course} course - Curso da matrícula
+ * @returns {number|null} Semestres do curso ou null se a duração não é medida em
+ *   semestres, meses ou anos (Dias, Horas)
+ *
+ * @example
+ * getCourseSemesterCount({ duration: 4, duration_type: 'Anos' }); // 8
+ */
+function getCourseSemesterCount(course) {
+  if (!course || !course.duration) return null;
+
+  switch ((course.duration_type || '').toLowerCase()) {
+    case 'semestres':
+      return course.duration;
+    case 'anos':
+      return course.duration * 2;
+    case 'meses':
+      return Math.ceil(course.duration / 6);
+    default:
+      return null;
+  }
+}
+
+class SemesterClosingService {
+  /**
+   * Pré-visualiza o fechamento (dry-run): nenhuma matrícula é alterada
+   *
+   * @param {Object} [params] - { year, semester, course_id } (padrão: período vigente, todos os cursos)
+   * @returns {Promise<Object>} Relatório do que mudaria
+   */
+  async preview(params = {}) {
+    const period = await this._resolveParams(params);
+    const items = await this._evaluate(period);
+    const existing = await this._findExisting(period);
+
+    return {
+      dry_run: true,
+      ...this._serializePeriod(period),
+      already_closed: Boolean(existing),
+      summary: this._summarize(items),
+      report: items,
+    };
+  }
+
+  /**
+   * Executa o fechamento: avança, conclui ou mantém cada matrícula e registra o relatório
+   *
+   * @param {Object} [params] - { year, semester, course_id } (padrão: período vigente, todos os cursos)
+   * @param {number} userId - Administrador que executou o fechamento
+   * @returns {Promise<Object>} Fechamento registrado com o relatório
+   * @throws {AppError} 409 se o período (ou o curso) já foi fechado
+   */
+  async execute(params = {}, userId = null) {
+    const period = await this._resolveParams(params);
+
+    const existing = await this._findExisting(period);
+    if (existing) {
+      throw new AppError(
+        `O período ${existing.getPeriodLabel()} já foi fechado${existing.course_id ? ' para este curso' : ''}`,
+        409,
+        'SEMESTER_ALREADY_CLOSED',
+        { closingId: existing.id }
+      );
+    }
+
+    const items = await this._evaluate(period);
+    const now = new Date();
+
+    const closing = await sequelize.transaction(async (transaction) => {
+      for (const item of items) {
+        // A condição no where ignora matrículas alteradas desde a avaliação
+        const where = {
+          id: item.enrollment_id,
+          status: ENROLLMENT_STATUS.ACTIVE,
+          current_semester: item.semester_before,
+        };
+
+        if (item.outcome === SEMESTER_CLOSING_OUTCOME.ADVANCED) {
+          await Enrollment.update(
+            { current_semester: item.semester_after, semester_progressed_at: now },
+            { where, transaction }
+          );
+        } else if (item.outcome === SEMESTER_CLOSING_OUTCOME.COMPLETED) {
+          await Enrollment.update({ status: ENROLLMENT_STATUS.COMPLETED }, { where, transaction });
+        }
+      }
+
+      return SemesterClosing.create(
+        {
+          year: period.year,
+          semester: period.semester,
+          course_id: period.course ? period.course.id : null,
+          executed_by: userId,
+          summary: this._summarize(items),
+          report: items,
+        },
+        { transaction }
+      );
+    });
+
+    logger.info(
+      `[SemesterClosingService] Período ${closing.getPeriodLabel()} fechado (fechamento ${closing.id}): ${JSON.stringify(closing.summary)}`
+    );
+
+    return this.getById(closing.id);
+  }
+
+  /**
+   * Lista os fechamentos executados (sem o relatório)
+   *
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const closings = await SemesterClosing.findAll({
+      attributes: { exclude: ['report'] },
+      include: [
+        { model: Course, as: 'course', attributes: ['id', 'name'] },
+        { model: User, as: 'executor', attributes: ['id', 'name'] },
+      ],
+      order: [['created_at', 'DESC']],
+    });
+
+    return closings.map((closing) => this._serialize(closing));
+  }
+
+  /**
+   * Busca um fechamento com o relatório
+   *
+   * @param {number} id - ID do fechamento
+   * @returns {Promise<Object>}
+   * @throws {AppError} 404 se não existir
+   */
+  async getById(id) {
+    const closing = await SemesterClosing.findByPk(id, {
+      include: [
+        { model: Course, as: 'course', attributes: ['id', 'name'] },
+        { model: User, as: 'executor', attributes: ['id', 'name'] },
+      ],
+    });
+
+    if (!closing) {
+      throw new AppError(
+        'Fechamento de semestre não encontrado',
+        404,
+        'SEMESTER_CLOSING_NOT_FOUND'
+      );
+    }
+
+    return { ...this._serialize(closing), report: closing.report };
+  }
+
+  /**
+   * Avalia cada matrícula ativa do período/curso
+   *
+   * @private
+   * @param {Object} period - { year, semester, course }
+   * @returns {Promise<Object[]>} Item do relatório por matrícula
+   */
+  async _evaluate(period) {
+    const where = { status: ENROLLMENT_STATUS.ACTIVE };
+    if (period.course) where.course_id = period.course.id;
+
+    const enrollments = await Enrollment.findAll({
+      where,
+      include: [
+        { model: Student, as: 'student', attributes: ['id', 'nome', 'matricula'] },
+        {
+          model: Course,
+          as: 'course',
+          attributes: ['id', 'name', 'duration', 'duration_type'],
+        },
+      ],
+      order: [['id', 'ASC']],
+    });
+
+    if (enrollments.length === 0) return [];
+
+    // Turmas do ano do período, por curso e semestre do curso
+    const classes = await Class.findAll({
+      where: {
+        course_id: [...new Set(enrollments.map((enrollment) => enrollment.course_id))],
+        year: { [Op.like]: `${period.year}%` },
+      },
+      attributes: ['id', 'course_id', 'semester'],
+    });
+    const classIdsBySemester = new Map();
+    classes.forEach((cls) => {
+      const key = `${cls.course_id}-${cls.semester}`;
+      if (!classIdsBySemester.has(key)) classIdsBySemester.set(key, new Set());
+      classIdsBySemester.get(key).add(cls.id);
+    });
+
+    // Um aluno pode ter mais de uma matrícula: os resultados são calculados uma vez
+    const resultsByStudent = new Map();
+    const curriculumByVersion = new Map();
+    const items = [];
+
+    for (const enrollment of enrollments) {
+      const classIds =
+        classIdsBySemester.get(`${enrollment.course_id}-${enrollment.current_semester}`) ||
+        new Set();
+
+      let results = [];
+      let notTaken = [];
+      let note = null;
+      try {
+        if (!resultsByStudent.has(enrollment.student_id)) {
+          resultsByStudent.set(
+            enrollment.student_id,
+            await GradeService.getStudentResults(enrollment.student_id)
+          );
+        }
+        results = resultsByStudent
+          .get(enrollment.student_id)
+          .filter((result) => classIds.has(result.class_id));
+
+        if (enrollment.curriculum_version_id) {
+          ({ results, notTaken } = await this._applyCurriculum(
+            enrollment,
+            results,
+            resultsByStudent.get(enrollment.student_id),
+            curriculumByVersion
+          ));
+        }
+      } catch (error) {
+        logger.error(
+          `[SemesterClosingService] Erro ao calcular resultados da matrícula ${enrollment.id}: ${error.message}`
+        );
+        note = `Erro ao calcular resultados: ${error.message}`;
+      }
+
+      const item = this._evaluateEnrollment(enrollment, results, note, notTaken);
+      if (item.outcome === SEMESTER_CLOSING_OUTCOME.ADVANCED) {
+        await this._applyRequisites(item, enrollment, resultsByStudent.get(enrollment.student_id));
+      }
+      items.push(item);
+    }
+
+    return items;
+  }
+
+  /**
+   * Define o resultado de uma matrícula a partir dos resultados do semestre
+   *
+   * @private
+   * @param {Enrollment} enrollment - Matrícula (com student e course)
+   * @param {Object[]} results - Resultados do semestre (GradeService.getStudentResults)
+   * @param {string|null} note - Observação prévia (ex: erro no cálculo)
+   * @param {string[]} [notTaken] - Disciplinas da matriz no semestre ainda não cursadas
+   * @returns {Object} Item do relatório
+   */
+  _evaluateEnrollment(enrollment, results, note, notTaken = []) {
+    const semesterBefore = enrollment.current_semester || 0;
+    const namesWith = (statuses) =>
+      results
+        .filter((result) => statuses.includes(result.status))
+        .map((result) => result.discipline.name);
+
+    const failed = namesWith([GRADE_RESULT_STATUS.FAILED]);
+    const pending = namesWith([GRADE_RESULT_STATUS.IN_PROGRESS, GRADE_RESULT_STATUS.RECOVERY]);
+    const totalSemesters = getCourseSemesterCount(enrollment.course);
+
+    let outcome;
+    let semesterAfter = semesterBefore;
+    let statusAfter = enrollment.status;
+
+    if (results.length === 0) {
+      outcome = SEMESTER_CLOSING_OUTCOME.NO_RESULTS;
+    } else if (failed.length > 0) {
+      outcome = SEMESTER_CLOSING_OUTCOME.RETAINED;
+    } else if (pending.length > 0 || notTaken.length > 0) {
+      outcome = SEMESTER_CLOSING_OUTCOME.PENDING_RESULTS;
+    } else if (totalSemesters && semesterBefore >= totalSemesters) {
+      outcome = SEMESTER_CLOSING_OUTCOME.COMPLETED;
+      statusAfter = ENROLLMENT_STATUS.COMPLETED;
+    } else if (semesterBefore + 1 > MAX_ENROLLMENT_SEMESTER) {
+      outcome = SEMESTER_CLOSING_OUTCOME.RETAINED;
+      note = `Semestre máximo (${MAX_ENROLLMENT_SEMESTER}) atingido sem conclusão do curso`;
+    } else {
+      outcome = SEMESTER_CLOSING_OUTCOME.ADVANCED;
+      semesterAfter = semesterBefore + 1;
+    }
+
+    return {
+      enrollment_id: enrollment.id,
+      student: enrollment.student
+        ? {
+            id: enrollment.student.id,
+            name: enrollment.student.nome,
+            matricula: enrollment.student.matricula,
+          }
+        : null,
+      course: enrollment.course ? { id: enrollment.course.id, name: enrollment.course.name } : null,
+      outcome,
+      flagged: FLAGGED_OUTCOMES.includes(outcome),
+      semester_before: semesterBefore,
+      semester_after: semesterAfter,
+      course_semesters: totalSemesters,
+      status_before: enrollment.status,
+      status_after: statusAfter,
+      failed_disciplines: failed,
+      pending_disciplines: pending,
+      not_taken_disciplines: notTaken,
+      missing_prerequisites: [],
+      note,
+    };
+  }
+
+  /**
+   * Restringe os resultados às disciplinas do semestre atual na matriz do aluno e lista as
+   * disciplinas da matriz no semestre sem resultado, aprovação anterior ou dispensa
+   *
+   * Se a matriz não tem disciplinas no semestre, os resultados das turmas são mantidos.
+   *
+   * @private
+   * @param {Enrollment} enrollment - Matrícula com matriz curricular
+   * @param {Object[]} results - Resultados das turmas do semestre
+   * @param {Object[]} allResults - Todos os resultados do aluno
+   * @param {Map<number, Object[]>} cache - Disciplinas por matriz, compartilhado no fechamento
+   * @returns {Promise<{results: Object[], notTaken: string[]}>}
+   */
+  async _applyCurriculum(enrollment, results, allResults, cache) {
+    if (!cache.has(enrollment.curriculum_version_id)) {
+      const { disciplines } = await curriculumVersionService.getEnrollmentCurriculum(enrollment);
+      cache.set(enrollment.curriculum_version_id, disciplines);
+    }
+
+    const semesterDisciplines = cache
+      .get(enrollment.curriculum_version_id)
+      .filter((item) => item.semester === enrollment.current_semester);
+    if (semesterDisciplines.length === 0) return { results, notTaken: [] };
+
+    const semesterIds = new Set(semesterDisciplines.map((item) => item.discipline_id));
+    const curriculumResults = results.filter((result) => semesterIds.has(result.discipline_id));
+    const taken = new Set(curriculumResults.map((result) => result.discipline_id));
+    const completedIds = await curriculumVersionService.getCompletedDisciplineIds(
+      enrollment.student_id,
+      allResults
+    );
+
+    const notTaken = semesterDisciplines
+      .filter((item) => !taken.has(item.discipline_id) && !completedIds.has(item.discipline_id))
+      .map((item) => (item.discipline ? item.discipline.name : `Disciplina ${item.discipline_id}`));
+
+    return { results: curriculumResults, notTaken };
+  }
+
+  /**
+   * Mantém no semestre a matrícula que avançaria sem cumprir os requisitos das
+   * disciplinas do próximo semestre da grade
+   *
+   * @private
+   * @param {Object} item - Item do relatório com resultado ADVANCED (alterado no lugar)
+   * @param {Enrollment} enrollment - Matrícula avaliada
+   * @param {Object[]} results - Todos os resultados do aluno (GradeService.getStudentResults)
+   * @returns {Promise<void>}
+   */
+  async _applyRequisites(item, enrollment, results) {
+    const missing = await disciplineRequisiteService.getMissingForSemester(
+      enrollment.student_id,
+      enrollment.course_id,
+      item.semester_after,
+      { results: results || [], enrollment }
+    );
+    if (missing.length === 0) return;
+
+    item.outcome = SEMESTER_CLOSING_OUTCOME.MISSING_PREREQUISITES;
+    item.flagged = true;
+    item.semester_after = item.semester_before;
+    item.missing_prerequisites = missing;
+    item.note = `Requisitos não cumpridos para o ${item.semester_before + 1}º semestre: ${missing
+      .map((entry) => entry.discipline.name)
+      .join(', ')}`;
+  }
+
+  /**
+   * Valida e completa os parâmetros do fechamento
+   *
+   * @private
+   * @param {Object} params - { year, semester, course_id }
+   * @returns {Promise<{year: number, semester: number, course: Course|null}>}
+   * @throws {AppError} 400 para período inválido, 404 para curso inexistente
+   */
+  async _resolveParams(params) {
+    const current = getCurrentPeriod();
+    const year = params.year ? parseInt(params.year, 10) : current.year;
+    const semester = params.semester ? parseInt(params.semester, 10) : current.semester;
+
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw new AppError('Ano do período inválido', 400, 'VALIDATION_ERROR');
+    }
+    if (![1, 2].includes(semester)) {
+      throw new AppError('O semestre do período deve ser 1 ou 2', 400, 'VALIDATION_ERROR');
+    }
+
+    let course = null;
+    if (params.course_id) {
+      course = await Course.findByPk(params.course_id, { attributes: ['id', 'name'] });
+      if (!course) {
+        throw new AppError('Curso não encontrado', 404, 'COURSE_NOT_FOUND');
+      }
+    }
+
+    return { year, semester, course };
+  }
+
+  /**
+   * Busca um fechamento já executado que cubra o período/curso
+   * (fechamento de todos os cursos cobre qualquer curso, e vice-versa)
+   *
+   * @private
+   * @param {Object} period - { year, semester, course }
+   * @returns {Promise<SemesterClosing|null>}
+   */
+  async _findExisting(period) {
+    const where = { year: period.year, semester: period.semester };
+    if (period.course) {
+      where.course_id = { [Op.or]: [period.course.id, null] };
+    }
+
+    return SemesterClosing.findOne({ where, attributes: ['id', 'year', 'semester', 'course_id'] });
+  }
+
+  /**
+   * Conta as matrículas por resultado
+   *
+   * @private
+   * @param {Object[]} items - Itens do relatório
+   * @returns {Object} { total, advanced, completed, retained, pending_results, no_results }
+   */
+  _summarize(items) {
+    const summary = { total: items.length };
+    Object.values(SEMESTER_CLOSING_OUTCOME).forEach((outcome) => {
+      summary[outcome] = items.filter((item) => item.outcome === outcome).length;
+    });
+    return summary;
+  }
+
+  /**
+   * Dados do período/curso do fechamento
+   *
+   * @private
+   */
+  _serializePeriod(period) {
+    return {
+      year: period.year,
+      semester: period.semester,
+      period_label: `${period.year}/${period.semester}`,
+      course: period.course ? { id: period.course.id, name: period.course.name } : null,
+    };
+  }
+
+  /**
+   * Formata o fechamento para a API
+   *
+   * @private
+   * @param {SemesterClosing} closing - Fechamento (com course e executor)
+   * @returns {Object}
+   */
+  _serialize(closing) {
+    return {
+      id: closing.id,
+      dry_run: false,
+      ...this._serializePeriod(closing),
+      executed_by: closing.executor
+        ? { id: closing.executor.id, name: closing.executor.name }
+        : null,
+      summary: closing.summary,
+      created_at: closing.created_at,
+    };
+  }
+}
+
+module.exports = new SemesterClosingService();
@@ -0,0 +1,237 @@
+/**
+ * Arquivo: backend/src/services/signedDocument.service.js
+ * Descrição: Registro único dos documentos assinados eletronicamente (atestados, históricos,
+ *            declarações, certificados e contratos) com verificação pública e revogação
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Gerar hashes de assinatura únicos entre todos os documentos
+ * - Registrar cada documento emitido (tipo, titular, data de emissão, hash)
+ * - Verificar a autenticidade de um documento pelo hash
+ * - Revogar documentos (admin) e listar o registro
+ */
+
+const crypto = require('crypto');
+const { SignedDocument, Request } = require('../models');
+const { AppError } = require('../middlewares/error.middleware');
+const logger = require('../utils/logger');
+
+/**
+ * Caminho da página pública de verificação (frontend)
+ */
+const VERIFY_PATH = '/verificar';
+
+const OWNER_INCLUDES = [
+  { association: 'student', attributes: ['id', 'nome', 'matricula'], required: false },
+  { association: 'user', attributes: ['id', 'name', 'role'], required: false },
+];
+
+class SignedDocumentService {
+  /**
+   * URL pública de verificação de um hash (impressa no rodapé e no QR code dos PDFs)
+   *
+   * @param {string} hash - Hash de assinatura
+   * @returns {string}
+   */
+  getVerificationUrl(hash) {
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${frontendUrl}${VERIFY_PATH}?hash=${hash}`;
+  }
+
+  /**
+   * Gera um hash hexadecimal único de 16 caracteres para assinatura eletrônica.
+   * Verifica unicidade no registro e na tabela requests antes de retornar.
+   *
+   * @returns {Promise<string>} Hash único de 16 chars
+   */
+  async generateUniqueHash() {
+    const maxAttempts = 10;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const hash = crypto.randomBytes(8).toString('hex'); // 16 chars hexadecimais
+
+      const [registered, request] = await Promise.all([
+        SignedDocument.findByHash(hash),
+        Request.findOne({ where: { signature_hash: hash }, paranoid: false }),
+      ]);
+
+      if (!registered && !request) return hash;
+    }
+
+    throw new Error(
+      'Não foi possível gerar um hash único para o documento após múltiplas tentativas.'
+    );
+  }
+
+  /**
+   * Registra um documento assinado
+   *
+   * @param {Object} params
+   * @param {string} params.documentKind - Tipo (SignedDocument.DOCUMENT_KINDS)
+   * @param {string} params.title - Título exibido na verificação
+   * @param {string} params.signatureHash - Hash de assinatura do documento
+   * @param {number} [params.studentId] - Aluno titular
+   * @param {number} [params.userId] - Usuário titular
+   * @param {number} [params.requestId] - Solicitação de origem
+   * @param {number} [params.contractId] - Contrato de origem
+   * @param {string} [params.filePath] - Caminho relativo do PDF
+   * @param {Date} [params.issuedAt] - Data de emissão (padrão: agora)
+   * @param {Object} [options] - Opções do Sequelize (ex: { transaction })
+   * @returns {Promise<SignedDocument>}
+   */
+  async register(
+    {
+      documentKind,
+      title,
+      signatureHash,
+      studentId = null,
+      userId = null,
+      requestId = null,
+      contractId = null,
+      filePath = null,
+      issuedAt = new Date(),
+    },
+    options = {}
+  ) {
+    const document = await SignedDocument.create(
+      {
+        document_kind: documentKind,
+        title,
+        signature_hash: signatureHash,
+        student_id: studentId,
+        user_id: userId,
+        request_id: requestId,
+        contract_id: contractId,
+        file_path: filePath,
+        issued_at: issuedAt,
+      },
+      options
+    );
+
+    logger.info('[SignedDocumentService] Documento registrado', {
+      id: document.id,
+      documentKind,
+      signatureHash,
+    });
+
+    return document;
+  }
+
+  /**
+   * Busca um documento pelo hash com o titular (aluno ou usuário)
+   *
+   * @param {string} hash - Hash de assinatura
+   * @returns {Promise<SignedDocument|null>}
+   */
+  async findByHash(hash) {
+    return SignedDocument.findOne({
+      where: { signature_hash: hash },
+      include: OWNER_INCLUDES,
+    });
+  }
+
+  /**
+   * Indica se o hash pertence a um documento revogado
+   *
+   * @param {string} hash - Hash de assinatura
+   * @returns {Promise<SignedDocument|null>} Documento revogado ou null
+   */
+  async findRevoked(hash) {
+    return SignedDocument.findOne({ where: { signature_hash: hash, revoked: true } });
+  }
+
+  /**
+   * Nome do titular do documento
+   *
+   * @param {SignedDocument} document - Documento com student/user carregados
+   * @returns {string}
+   */
+  getOwnerName(document) {
+    if (document.student) return document.student.nome;
+    if (document.user) return document.user.name;
+    return 'Não informado';
+  }
+
+  /**
+   * Revoga um documento. Documentos revogados deixam de ser aceitos na verificação pública.
+   *
+   * @param {number} id - ID do documento
+   * @param {number} adminId - Administrador que revoga
+   * @param {string} reason - Motivo da revogação
+   * @returns {Promise<SignedDocument>}
+   * @throws {AppError} Se o documento não existe, já foi revogado ou o motivo não foi informado
+   */
+  async revoke(id, adminId, reason) {
+    if (!reason || !String(reason).trim()) {
+      throw new AppError('O motivo da revogação é obrigatório', 400, 'VALIDATION_ERROR');
+    }
+
+    const document = await SignedDocument.findByPk(id);
+    if (!document) {
+      throw new AppError('Documento não encontrado', 404, 'NOT_FOUND');
+    }
+
+    if (document.revoked) {
+      throw new AppError('Este documento já foi revogado', 422, 'ALREADY_REVOKED');
+    }
+
+    await document.update({
+      revoked: true,
+      revoked_at: new Date(),
+      revoked_by: adminId,
+      revocation_reason: String(reason).trim(),
+    });
+
+    logger.info('[SignedDocumentService] Documento revogado', {
+      id: document.id,
+      signatureHash: document.signature_hash,
+      revokedBy: adminId,
+    });
+
+    return this.findByHash(document.signature_hash);
+  }
+
+  /**
+   * Lista o registro de documentos assinados
+   *
+   * @param {Object} filters
+   * @param {string} [filters.documentKind] - Tipo do documento
+   * @param {number} [filters.studentId] - Aluno titular
+   * @param {boolean} [filters.revoked] - Apenas revogados (true) ou válidos (false)
+   * @param {string} [filters.hash] - Hash de assinatura
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=20]
+   * @returns {Promise<Object>} { documents, total, page, limit, pages }
+   */
+  async list(filters = {}) {
+    const { documentKind, studentId, revoked, hash, page = 1, limit = 20 } = filters;
+
+    const where = {};
+    if (documentKind) where.document_kind = documentKind;
+    if (studentId) where.student_id = studentId;
+    if (revoked !== undefined) where.revoked = revoked;
+    if (hash) where.signature_hash = hash;
+
+    const { count, rows } = await SignedDocument.findAndCountAll({
+      where,
+      include: [
+        ...OWNER_INCLUDES,
+        { association: 'revoker', attributes: ['id', 'name'], required: false },
+      ],
+      order: [['issued_at', 'DESC']],
+      limit,
+      offset: (Math.max(1, page) - 1) * limit,
+    });
+
+    return {
+      documents: rows,
+      total: count,
+      page,
+      limit,
+      pages: Math.ceil(count / limit),
+    };
+  }
+}
+
+module.exports = new SignedDocumentService();
@@ -4,6 +4,7 @@
  * Feature: feat-030 - Criar StudentController e StudentService
  * Feature: feat-060 - Integrar envio de email na criação de aluno
  * Feature: feat-064 - Separar tabela de estudantes
+ * Modificado: feat-135 - Fila de emails com reenvio e histórico de entrega
  * Criado em: 28/10/2025
  * Atualizado em: 2025-12-01
  */
@@ -134,6 +135,7 @@ class StudentService {
         await EmailService.sendPasswordEmail(student.email, temporaryPassword, {
           name: student.nome,
           login,
+          userId: user.id,
         });
 
         logger.info('[STUDENT_SERVICE] Email de senha provisória enviado com sucesso', {
@@ -346,6 +348,7 @@ class StudentService {
       await EmailService.sendPasswordEmail(student.email, temporaryPassword, {
         name: student.nome,
         login: user.login,
+        userId: user.id,
       });
 
       logger.info('[STUDENT_SERVICE] Email de reset de senha enviado com sucesso', {
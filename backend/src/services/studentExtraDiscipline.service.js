@@ -3,6 +3,7 @@
  * Descrição: Lógica de negócio para gerenciamento de disciplinas extras de alunos
  * Feature: feat-002 - Disciplinas Extras para Alunos
  * Criado em: 2026-01-18
+ * Modificado: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
  */
 
 const {
@@ -19,6 +20,7 @@ const {
 } = require('../models');
 const { Op } = require('sequelize');
 const exemptionService = require('./studentDisciplineExemption.service');
+const disciplineRequisiteService = require('./disciplineRequisite.service');
 
 class StudentExtraDisciplineService {
   /**
@@ -73,6 +75,13 @@ class StudentExtraDisciplineService {
       throw new Error('Motivo inválido. Deve ser: dependency, recovery, advancement ou other');
     }
 
+    // Pré-requisitos e co-requisitos da grade do curso (AppError 422 com a lista faltante)
+    await disciplineRequisiteService.assertCanTakeExtraDiscipline(
+      extraDisciplineData.student_id,
+      parseInt(extraDisciplineData.discipline_id, 10),
+      extraDisciplineData.class_id || null
+    );
+
     const extraDiscipline = await StudentExtraDiscipline.create(extraDisciplineData);
 
     // Retornar com associações
@@ -3,6 +3,7 @@
  * Descrição: Lógica de negócio para o CRUD de professores.
  * Feature: feat-032 - Criar TeacherController, TeacherService e rotas
  * Feature: feat-110 - Separar tabela de professores
+ * Modificado: feat-135 - Fila de emails com reenvio e histórico de entrega
  * Criado em: 28/10/2025
  * Atualizado em: 2025-12-02
  */
@@ -139,6 +140,7 @@ class TeacherService {
         await EmailService.sendPasswordEmail(teacher.email, password, {
           name: teacher.nome,
           login,
+          userId: user.id,
         });
 
         logger.info('[TEACHER_SERVICE] Email de senha provisória enviado com sucesso', {
@@ -296,6 +298,7 @@ class TeacherService {
       await EmailService.sendPasswordEmail(teacher.email, temporaryPassword, {
         name: teacher.nome,
         login: user.login,
+        userId: user.id,
       });
 
       logger.info('[TEACHER_SERVICE] Email de reset de senha enviado com sucesso', {
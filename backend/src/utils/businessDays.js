@@ -0,0 +1,72 @@
+/**
+ * Arquivo: backend/src/utils/businessDays.js
+ * Descrição: Funções utilitárias para cálculo de datas em dias úteis
+ * Feature: feat-119 - Prazos (SLA) das solicitações
+ * Criado em: 2026-10-19
+ *
+ * Dias úteis são os dias de segunda a sexta que não constam no calendário
+ * de feriados (config/holidays.js).
+ */
+
+const { addDays, format, isWeekend, startOfDay } = require('date-fns');
+const { isHoliday } = require('../config/holidays');
+
+/**
+ * Verifica se uma data é dia útil
+ *
+ * @param {Date} date - Data a verificar
+ * @returns {boolean} true se não for fim de semana nem feriado
+ */
+function isBusinessDay(date) {
+  return !isWeekend(date) && !isHoliday(date);
+}
+
+/**
+ * Soma dias úteis a uma data
+ *
+ * A contagem começa no dia seguinte à data inicial. Com zero dias, retorna a
+ * própria data se ela for dia útil, ou o próximo dia útil caso contrário.
+ *
+ * @param {Date|string} start - Data inicial
+ * @param {number} days - Quantidade de dias úteis
+ * @returns {Date} Data resultante (00:00, horário local)
+ *
+ * @example
+ * addBusinessDays(new Date(2026, 9, 16), 1) // 2026-10-19 (sexta → segunda)
+ */
+function addBusinessDays(start, days) {
+  let date = startOfDay(new Date(start));
+  let remaining = Math.max(0, parseInt(days, 10) || 0);
+
+  if (remaining === 0) {
+    while (!isBusinessDay(date)) {
+      date = addDays(date, 1);
+    }
+    return date;
+  }
+
+  while (remaining > 0) {
+    date = addDays(date, 1);
+    if (isBusinessDay(date)) {
+      remaining -= 1;
+    }
+  }
+
+  return date;
+}
+
+/**
+ * Converte uma data para o formato YYYY-MM-DD (DATEONLY)
+ *
+ * @param {Date|string} date - Data a converter
+ * @returns {string} Data no formato YYYY-MM-DD
+ */
+function toDateOnly(date) {
+  return format(new Date(date), 'yyyy-MM-dd');
+}
+
+module.exports = {
+  isBusinessDay,
+  addBusinessDays,
+  toDateOnly,
+};
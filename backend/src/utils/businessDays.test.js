@@ -0,0 +1,126 @@
+/**
+ * Arquivo: backend/src/utils/businessDays.test.js
+ * Descrição: Testes unitários do cálculo de dias úteis e do calendário de feriados
+ * Feature: feat-119 - Prazos (SLA) das solicitações
+ * Criado em: 2026-10-19
+ *
+ * Executar com: npm test (ou node --test src/utils/businessDays.test.js)
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isBusinessDay, addBusinessDays, toDateOnly } = require('./businessDays');
+const { getEasterSunday, getHolidays, clearCache } = require('../config/holidays');
+
+/**
+ * Cria uma data local (mês de 1 a 12)
+ */
+function date(year, month, day) {
+  return new Date(year, month - 1, day);
+}
+
+describe('holidays', () => {
+  it('calcula o domingo de Páscoa', () => {
+    assert.equal(toDateOnly(getEasterSunday(2024)), '2024-03-31');
+    assert.equal(toDateOnly(getEasterSunday(2025)), '2025-04-20');
+    assert.equal(toDateOnly(getEasterSunday(2026)), '2026-04-05');
+  });
+
+  it('inclui os feriados fixos e os móveis do ano', () => {
+    const holidays = getHolidays(2026);
+
+    assert.ok(holidays.has('2026-01-01'));
+    assert.ok(holidays.has('2026-11-20'));
+    assert.ok(holidays.has('2026-02-16')); // Segunda-feira de Carnaval
+    assert.ok(holidays.has('2026-02-17')); // Terça-feira de Carnaval
+    assert.ok(holidays.has('2026-04-03')); // Sexta-feira Santa
+    assert.ok(holidays.has('2026-06-04')); // Corpus Christi
+    assert.ok(!holidays.has('2026-04-05'));
+  });
+});
+
+describe('isBusinessDay', () => {
+  it('considera dia útil um dia de semana sem feriado', () => {
+    assert.equal(isBusinessDay(date(2026, 10, 19)), true);
+  });
+
+  it('desconsidera sábados e domingos', () => {
+    assert.equal(isBusinessDay(date(2026, 10, 17)), false);
+    assert.equal(isBusinessDay(date(2026, 10, 18)), false);
+  });
+
+  it('desconsidera feriados fixos e móveis em dias de semana', () => {
+    assert.equal(isBusinessDay(date(2026, 10, 12)), false); // Nossa Senhora Aparecida (segunda)
+    assert.equal(isBusinessDay(date(2026, 4, 3)), false); // Sexta-feira Santa
+  });
+});
+
+describe('addBusinessDays', () => {
+  afterEach(() => {
+    delete process.env.HOLIDAYS;
+    clearCache();
+  });
+
+  it('pula o fim de semana', () => {
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 16), 1)), '2026-10-19');
+  });
+
+  it('conta uma semana inteira de dias úteis', () => {
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 19), 5)), '2026-10-26');
+  });
+
+  it('pula feriados em dias de semana', () => {
+    // Sexta 09/10 + 1 → segunda 12/10 é feriado → terça 13/10
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 9), 1)), '2026-10-13');
+    // Sexta 13/02 + 1 → segunda e terça de Carnaval → quarta 18/02
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 2, 13), 1)), '2026-02-18');
+  });
+
+  it('atravessa a virada do ano', () => {
+    // Quinta 31/12/2026 + 1 → sexta 01/01 é feriado → segunda 04/01/2027
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 12, 31), 1)), '2027-01-04');
+  });
+
+  it('com zero dias retorna a própria data quando ela é dia útil', () => {
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 19), 0)), '2026-10-19');
+  });
+
+  it('com zero dias retorna o próximo dia útil quando a data não é dia útil', () => {
+    // Sábado 10/10 → domingo → segunda 12/10 (feriado) → terça 13/10
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 10), 0)), '2026-10-13');
+  });
+
+  it('trata quantidades negativas ou inválidas como zero', () => {
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 19), -3)), '2026-10-19');
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 19), 'abc')), '2026-10-19');
+  });
+
+  it('aceita a quantidade de dias como texto', () => {
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 19), '2')), '2026-10-21');
+  });
+
+  it('zera o horário da data resultante', () => {
+    const result = addBusinessDays(new Date(2026, 9, 16, 17, 45), 1);
+
+    assert.equal(result.getHours(), 0);
+    assert.equal(result.getMinutes(), 0);
+    assert.equal(toDateOnly(result), '2026-10-19');
+  });
+
+  it('considera os feriados configurados em HOLIDAYS', () => {
+    process.env.HOLIDAYS = '10-20, 2026-10-21, invalido';
+    clearCache();
+
+    // Segunda 19/10 + 1 → terça 20/10 (recorrente) e quarta 21/10 (data específica) → quinta 22/10
+    assert.equal(toDateOnly(addBusinessDays(date(2026, 10, 19), 1)), '2026-10-22');
+    assert.equal(isBusinessDay(date(2027, 10, 20)), false);
+    assert.equal(isBusinessDay(date(2027, 10, 21)), true);
+  });
+});
+
+describe('toDateOnly', () => {
+  it('formata a data como YYYY-MM-DD', () => {
+    assert.equal(toDateOnly(date(2026, 3, 7)), '2026-03-07');
+  });
+});
@@ -23,6 +23,7 @@ const ENROLLMENT_STATUS = {
   CANCELLED: 'cancelled',       // Cancelada
   REENROLLMENT: 'reenrollment', // Rematrícula em andamento
   COMPLETED: 'completed',       // Concluída (aluno formado)
+  LOCKED: 'locked', // Trancada (até a data de retorno prevista)
 };
 
 /**
@@ -34,15 +35,228 @@ const DOCUMENT_STATUS = {
   REJECTED: 'rejected',         // Rejeitado
 };
 
+/**
+ * Avisos de vencimento de um documento aprovado (documents.expiration_notice)
+ */
+const DOCUMENT_EXPIRATION_NOTICE = {
+  EXPIRING_SOON: 'expiring_soon', // Vence nos próximos dias (janela de aviso)
+  EXPIRED: 'expired', // Validade encerrada: o documento conta como não enviado
+};
+
+/**
+ * Configurações do vencimento de documentos
+ * O aviso "a vencer" é enviado quando faltam DEFAULT_WARNING_DAYS dias ou menos
+ * (pode ser sobrescrito pela variável de ambiente DOCUMENT_EXPIRATION_WARNING_DAYS)
+ */
+const DOCUMENT_EXPIRATION_CONFIG = {
+  DEFAULT_WARNING_DAYS: 30,
+};
+
 /**
  * Status possíveis de uma solicitação
  */
 const REQUEST_STATUS = {
   PENDING: 'pending',           // Pendente de análise
+  IN_ANALYSIS: 'in_analysis', // Em análise pela secretaria
+  AWAITING_STUDENT: 'awaiting_student', // Aguardando informações/documentos do aluno
   APPROVED: 'approved',         // Aprovada
   REJECTED: 'rejected',         // Rejeitada
 };
 
+/**
+ * Configurações de prazo (SLA) das solicitações
+ * Solicitações pendentes que vencem em até AT_RISK_BUSINESS_DAYS dias úteis ficam "em risco"
+ * (pode ser sobrescrito pela variável de ambiente REQUEST_AT_RISK_DAYS)
+ */
+const REQUEST_SLA_CONFIG = {
+  DEFAULT_AT_RISK_BUSINESS_DAYS: 1,
+};
+
+/**
+ * Status das campanhas de rematrícula
+ */
+const REENROLLMENT_CAMPAIGN_STATUS = {
+  DRAFT: 'draft', // Em preparação
+  OPEN: 'open', // Em andamento (aguardando o aceite dos alunos)
+  CLOSED: 'closed', // Encerrada
+};
+
+/**
+ * Situação de cada matrícula em uma campanha de rematrícula
+ */
+const CAMPAIGN_ENROLLMENT_STATUS = {
+  PENDING: 'pending', // Em rematrícula, aguardando o aceite do aluno
+  ACCEPTED: 'accepted', // Rematrícula aceita
+  SKIPPED: 'skipped', // Não entrou em rematrícula por pendência
+  FOLLOW_UP: 'follow_up', // Sem resposta até o prazo (acompanhamento da secretaria)
+};
+
+/**
+ * Pendências que impedem a matrícula de entrar em rematrícula na campanha
+ */
+const CAMPAIGN_SKIP_REASONS = {
+  FAILED_DISCIPLINES: 'failed_disciplines', // Disciplinas reprovadas
+  PENDING_DOCUMENTS: 'pending_documents', // Documentos obrigatórios não aprovados
+};
+
+/**
+ * Configurações das campanhas de rematrícula
+ * Lembretes são enviados quando faltam DEFAULT_REMINDER_DAYS dias para o prazo
+ * (pode ser sobrescrito pela variável de ambiente REENROLLMENT_REMINDER_DAYS)
+ */
+const REENROLLMENT_CAMPAIGN_CONFIG = {
+  DEFAULT_REMINDER_DAYS: [7, 3, 1],
+};
+
+/**
+ * Resultado de cada matrícula no fechamento de semestre
+ */
+const SEMESTER_CLOSING_OUTCOME = {
+  ADVANCED: 'advanced', // Aprovado em tudo: avança para o próximo semestre
+  COMPLETED: 'completed', // Aprovado no último semestre do curso: matrícula concluída
+  RETAINED: 'retained', // Reprovado em alguma disciplina: permanece no semestre
+  PENDING_RESULTS: 'pending_results', // Resultados ainda não finais (em andamento/recuperação)
+  NO_RESULTS: 'no_results', // Nenhum resultado no semestre atual
+  MISSING_PREREQUISITES: 'missing_prerequisites', // Aprovado, mas sem pré-requisitos do próximo semestre
+};
+
+/**
+ * Semestre máximo de uma matrícula (mesmo limite de Enrollment.current_semester)
+ */
+const MAX_ENROLLMENT_SEMESTER = 12;
+
+/**
+ * Tratamento das notas do aluno na transferência de turma
+ */
+const CLASS_TRANSFER_GRADE_MODE = {
+  MAP: 'map', // Move as notas para as avaliações equivalentes da turma de destino
+  KEEP: 'keep', // Mantém as notas nas avaliações da turma de origem (aproveitamento)
+};
+
+/**
+ * Tipos de requisito entre disciplinas da grade de um curso
+ */
+const DISCIPLINE_REQUISITE_TYPE = {
+  PREREQUISITE: 'prerequisite', // Deve ter sido cursada com aprovação (ou dispensada) antes
+  COREQUISITE: 'corequisite', // Deve ser cursada junto (ou já ter sido concluída)
+};
+
+/**
+ * Rótulos em português dos tipos de requisito
+ */
+const DISCIPLINE_REQUISITE_TYPE_LABELS = {
+  prerequisite: 'Pré-requisito',
+  corequisite: 'Co-requisito',
+};
+
+/**
+ * Situação de cada disciplina concluída na matriz de origem ao migrar a matrícula de matriz
+ */
+const CURRICULUM_MIGRATION_ACTION = {
+  KEPT: 'kept', // A disciplina também faz parte da nova matriz
+  EQUIVALENT: 'equivalent', // Aproveitada como disciplina equivalente da nova matriz
+  UNMAPPED: 'unmapped', // Sem correspondente na nova matriz: fica apenas no histórico
+};
+
+/**
+ * Situação de cada disciplina da matriz na integralização do aluno
+ */
+const DEGREE_AUDIT_STATUS = {
+  COMPLETED: 'completed', // Aprovada ou dispensada (aproveitamento)
+  IN_PROGRESS: 'in_progress', // Sendo cursada (turma ou disciplina extra, sem resultado final)
+  PENDING: 'pending', // Ainda não cursada ou reprovada
+};
+
+/**
+ * Rótulos em português da situação na integralização
+ */
+const DEGREE_AUDIT_STATUS_LABELS = {
+  completed: 'Concluída',
+  in_progress: 'Em andamento',
+  pending: 'Pendente',
+};
+
+/**
+ * Tipos de curso (mesmos valores aceitos em Course.course_type)
+ */
+const COURSE_TYPES = [
+  'Mestrado/Doutorado',
+  'Cursos de Verão',
+  'Pós graduação',
+  'Superior',
+  'Supletivo/EJA',
+  'Técnicos',
+];
+
+/**
+ * Origem da obrigatoriedade de um documento para os alunos de um curso
+ */
+const DOCUMENT_REQUIREMENT_ORIGIN = {
+  GLOBAL: 'global', // DocumentType.is_required: todos os alunos
+  COURSE_TYPE: 'course_type', // Regra do tipo de curso
+  COURSE: 'course', // Regra do curso
+};
+
+/**
+ * Status de um email na fila de saída (email_outbox)
+ */
+const EMAIL_OUTBOX_STATUS = {
+  PENDING: 'pending', // Aguardando envio (primeira tentativa ou nova tentativa agendada)
+  SENDING: 'sending', // Em envio pelo job
+  SENT: 'sent', // Entregue ao servidor SMTP (ou gravado em disco)
+  FAILED: 'failed', // Tentativas esgotadas
+};
+
+/**
+ * Configurações da fila de emails
+ * A espera entre tentativas dobra a cada falha: 5, 10, 20, 40 minutos... até MAX_BACKOFF_MINUTES
+ * (MAX_ATTEMPTS pode ser sobrescrito pela variável de ambiente EMAIL_OUTBOX_MAX_ATTEMPTS)
+ */
+const EMAIL_OUTBOX_CONFIG = {
+  MAX_ATTEMPTS: 5,
+  BACKOFF_BASE_MINUTES: 5,
+  MAX_BACKOFF_MINUTES: 240,
+  BATCH_SIZE: 50,
+  // Emails em "sending" há mais tempo que isso voltam para a fila (job interrompido)
+  STALE_SENDING_MINUTES: 15,
+};
+
+/**
+ * Eventos acadêmicos que geram notificação por email (NotificationService)
+ * O usuário pode desativar cada evento nas suas preferências de notificação
+ */
+const NOTIFICATION_EVENTS = {
+  REQUEST_APPROVED: 'request.approved', // Solicitação aprovada (com o link do PDF gerado)
+  REQUEST_REJECTED: 'request.rejected', // Solicitação rejeitada
+  GRADE_PUBLISHED: 'grade.published', // Nota lançada ou alterada
+  EVALUATION_UPCOMING: 'evaluation.upcoming', // Avaliação nos próximos dias
+  CONTRACT_PENDING: 'contract.pending', // Contrato aguardando aceite
+  REENROLLMENT_OPENED: 'reenrollment.opened', // Rematrícula aberta para aceite
+  ENROLLMENT_STATUS_CHANGED: 'enrollment.status_changed', // Mudança de status da matrícula
+};
+
+/**
+ * Configurações das notificações
+ * As avaliações são avisadas EVALUATION_UPCOMING_DAYS dias antes (job evaluation-reminders);
+ * avaliações cadastradas já dentro desse prazo são avisadas no cadastro
+ */
+const NOTIFICATION_CONFIG = {
+  EVALUATION_UPCOMING_DAYS: 3,
+};
+
+/**
+ * Nome do tipo de solicitação cuja aprovação executa a transferência de turma
+ */
+const CLASS_TRANSFER_REQUEST_TYPE_NAME = 'Transferência de Turma';
+
+/**
+ * Tipos de solicitação cuja aprovação altera a matrícula do aluno
+ */
+const ENROLLMENT_REQUEST_TYPE_NAMES = {
+  CANCELLATION: 'Matrícula - Cancelamento',
+  LOCK: 'Matrícula - Trancamento',
+};
+
 /**
  * Tipos de avaliação
  */
@@ -59,6 +273,97 @@ const EVALUATION_CONCEPTS = {
   UNSATISFACTORY: 'unsatisfactory',
 };
 
+/**
+ * Situações possíveis de presença em uma aula (chamada)
+ */
+const ATTENDANCE_STATUS = {
+  PRESENT: 'present', // Presente
+  ABSENT: 'absent', // Falta
+  JUSTIFIED: 'justified', // Falta justificada (abonada, não conta no limite)
+};
+
+/**
+ * Configurações de frequência
+ * O limite máximo de faltas é um percentual da carga horária da disciplina
+ * (pode ser sobrescrito pela variável de ambiente MAX_ABSENCE_PERCENTAGE)
+ */
+const ATTENDANCE_CONFIG = {
+  DEFAULT_MAX_ABSENCE_PERCENTAGE: 25,
+  AT_RISK_RATIO: 0.75, // Alerta ao atingir 75% do limite de faltas
+};
+
+/**
+ * Situações finais do aluno em uma disciplina (resultado do cálculo de médias)
+ */
+const GRADE_RESULT_STATUS = {
+  APPROVED: 'approved', // Aprovado
+  RECOVERY: 'recovery', // Em recuperação
+  FAILED: 'failed', // Reprovado
+  IN_PROGRESS: 'in_progress', // Em andamento (avaliações ainda sem nota)
+};
+
+/**
+ * Rótulos em português das situações finais
+ */
+const GRADE_RESULT_STATUS_LABELS = {
+  approved: 'Aprovado',
+  recovery: 'Em recuperação',
+  failed: 'Reprovado',
+  in_progress: 'Em andamento',
+};
+
+/**
+ * Configurações de cálculo de médias
+ * (podem ser sobrescritas pelas variáveis de ambiente PASSING_GRADE, RECOVERY_MIN_GRADE
+ * e RECOVERY_PASSING_GRADE)
+ */
+const GRADING_CONFIG = {
+  DEFAULT_PASSING_GRADE: 7, // Média mínima para aprovação direta
+  DEFAULT_RECOVERY_MIN_GRADE: 5, // Média mínima para ter direito à recuperação
+  DEFAULT_RECOVERY_PASSING_GRADE: 5, // Média mínima para aprovação após a recuperação
+  DEFAULT_EVALUATION_WEIGHT: 1, // Peso padrão de uma avaliação
+};
+
+/**
+ * Fórmulas de cálculo da média final
+ * Definidas por curso e, opcionalmente, sobrescritas por disciplina do curso
+ */
+const GRADING_FORMULAS = {
+  ARITHMETIC: 'arithmetic', // Média aritmética simples
+  WEIGHTED: 'weighted', // Média ponderada pelos pesos das avaliações
+  BEST_OF: 'best_of', // Média das N melhores notas
+  FINAL_REPLACES_LOWEST: 'final_replaces_lowest', // Prova final substitui a menor nota
+};
+
+/**
+ * Rótulos em português das fórmulas de cálculo da média
+ */
+const GRADING_FORMULA_LABELS = {
+  arithmetic: 'Média aritmética',
+  weighted: 'Média ponderada',
+  best_of: 'Melhores N notas',
+  final_replaces_lowest: 'Prova final substitui a menor nota',
+};
+
+/**
+ * Regras de recuperação: como a nota da recuperação se combina com a média
+ * Definidas por curso
+ */
+const RECOVERY_RULES = {
+  REPLACE: 'replace', // Nota da recuperação substitui a média
+  AVERAGE: 'average', // Média entre a média do período e a nota da recuperação
+  HIGHEST: 'highest', // Maior valor entre a média do período e a nota da recuperação
+};
+
+/**
+ * Rótulos em português das regras de recuperação
+ */
+const RECOVERY_RULE_LABELS = {
+  replace: 'Nota da recuperação substitui a média',
+  average: 'Média entre período e recuperação',
+  highest: 'Maior nota entre período e recuperação',
+};
+
 /**
  * Tipos de solicitação disponíveis para alunos
  */
@@ -331,6 +636,50 @@ module.exports = {
   EVALUATION_CONCEPTS,
   REQUEST_TYPES,
   DOCUMENT_TARGET_TYPES,
+  ATTENDANCE_STATUS,
+  GRADE_RESULT_STATUS,
+  GRADING_FORMULAS,
+  RECOVERY_RULES,
+  REENROLLMENT_CAMPAIGN_STATUS,
+  CAMPAIGN_ENROLLMENT_STATUS,
+  CAMPAIGN_SKIP_REASONS,
+  SEMESTER_CLOSING_OUTCOME,
+  CLASS_TRANSFER_GRADE_MODE,
+  DISCIPLINE_REQUISITE_TYPE,
+  DISCIPLINE_REQUISITE_TYPE_LABELS,
+  CURRICULUM_MIGRATION_ACTION,
+  DEGREE_AUDIT_STATUS,
+  DEGREE_AUDIT_STATUS_LABELS,
+  COURSE_TYPES,
+
+  // Solicitações
+  REQUEST_SLA_CONFIG,
+  CLASS_TRANSFER_REQUEST_TYPE_NAME,
+  ENROLLMENT_REQUEST_TYPE_NAMES,
+
+  // Documentos
+  DOCUMENT_EXPIRATION_NOTICE,
+  DOCUMENT_EXPIRATION_CONFIG,
+  DOCUMENT_REQUIREMENT_ORIGIN,
+
+  // Emails
+  EMAIL_OUTBOX_STATUS,
+  EMAIL_OUTBOX_CONFIG,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CONFIG,
+
+  // Rematrícula
+  REENROLLMENT_CAMPAIGN_CONFIG,
+  MAX_ENROLLMENT_SEMESTER,
+
+  // Frequência
+  ATTENDANCE_CONFIG,
+
+  // Notas
+  GRADE_RESULT_STATUS_LABELS,
+  GRADING_CONFIG,
+  GRADING_FORMULA_LABELS,
+  RECOVERY_RULE_LABELS,
 
   // Arquivos
   ALLOWED_FILE_TYPES,
@@ -0,0 +1,323 @@
+/**
+ * Arquivo: backend/src/utils/contractPlaceholders.js
+ * Descrição: Catálogo dos placeholders aceitos nos templates de contrato
+ * Feature: feat-122 - Gestão e versionamento dos templates de contrato
+ * Modificado: feat-123 - Listas (disciplinas/grade curricular), responsável e campos booleanos
+ * Criado em: 2026-10-19
+ *
+ * Fonte única das chaves disponíveis nos templates de contrato:
+ * - A linguagem dos templates (utils/contractTemplateEngine) rejeita, ao salvar, chaves
+ *   fora do catálogo, inclusive os campos dos itens das listas
+ * - A pré-visualização dos templates usa os exemplos como dados do aluno
+ *
+ * Tipos: 'text' (padrão), 'boolean' (para {{#if}}) e 'list' (para {{#each}}, com os
+ * campos de cada item em fields).
+ */
+
+const { formatCPF } = require('./formatters');
+
+/**
+ * Campos de cada disciplina nas listas
+ */
+const DISCIPLINE_FIELDS = [
+  { key: 'name', description: 'Nome da disciplina', example: 'Anatomia Humana' },
+  { key: 'code', description: 'Código da disciplina', example: 'ENF101' },
+  { key: 'workloadHours', description: 'Carga horária (horas)', example: 80 },
+  { key: 'semester', description: 'Semestre da grade curricular', example: 2 },
+];
+
+/**
+ * Placeholders disponíveis, com descrição e valor de exemplo
+ * (legacy: mantidos apenas para templates antigos)
+ */
+const CONTRACT_PLACEHOLDERS = [
+  { key: 'studentName', description: 'Nome completo do aluno', example: 'Maria da Silva Santos' },
+  { key: 'studentId', description: 'ID do aluno no sistema', example: '123' },
+  { key: 'studentCPF', description: 'CPF do aluno (formatado)', example: '123.456.789-01' },
+  { key: 'studentRG', description: 'RG do aluno', example: '12.345.678-9' },
+  {
+    key: 'studentBirthDate',
+    description: 'Data de nascimento (DD/MM/AAAA)',
+    example: '15/03/2000',
+  },
+  { key: 'studentEmail', description: 'E-mail do aluno', example: 'maria.santos@email.com' },
+  {
+    key: 'studentPhone',
+    description: 'Celular (ou telefone) do aluno',
+    example: '(11) 98765-4321',
+  },
+  {
+    key: 'studentAge',
+    description: 'Idade do aluno na data do contrato',
+    example: 26,
+  },
+  {
+    key: 'isMinor',
+    type: 'boolean',
+    description: 'Aluno menor de 18 anos na data do contrato',
+    example: false,
+  },
+  {
+    key: 'guardianName',
+    description: 'Responsável legal (vazio se não informado)',
+    example: 'Ana da Silva Santos',
+  },
+  {
+    key: 'motherName',
+    description: 'Nome da mãe (vazio se não informado)',
+    example: 'Ana da Silva',
+  },
+  {
+    key: 'fatherName',
+    description: 'Nome do pai (vazio se não informado)',
+    example: 'José Santos',
+  },
+  {
+    key: 'studentAddress',
+    description: 'Endereço completo do aluno',
+    example: 'Rua das Flores, 100, Centro, São Paulo, SP, 01000-000',
+  },
+  { key: 'enrollmentNumber', description: 'Número de matrícula do aluno', example: '2026001' },
+  { key: 'courseName', description: 'Nome do curso', example: 'Técnico em Enfermagem' },
+  { key: 'courseId', description: 'ID do curso no sistema', example: '5' },
+  { key: 'courseDuration', description: 'Duração do curso', example: '4 semestres' },
+  { key: 'courseType', description: 'Tipo do curso', example: 'Técnicos' },
+  {
+    key: 'courseWorkloadHours',
+    description: 'Carga horária total da grade curricular (horas)',
+    example: 320,
+  },
+  {
+    key: 'disciplines',
+    type: 'list',
+    description: 'Disciplinas do semestre do contrato',
+    example: [
+      { name: 'Anatomia Humana', code: 'ENF101', workloadHours: 80, semester: 2 },
+      { name: 'Farmacologia', code: 'ENF102', workloadHours: 80, semester: 2 },
+    ],
+    fields: DISCIPLINE_FIELDS,
+  },
+  {
+    key: 'semesterWorkloadHours',
+    description: 'Carga horária das disciplinas do semestre do contrato (horas)',
+    example: 160,
+  },
+  {
+    key: 'curriculum',
+    type: 'list',
+    description: 'Grade curricular do curso, agrupada por semestre',
+    example: [
+      {
+        semester: 1,
+        workloadHours: 160,
+        disciplines: [
+          { name: 'Fundamentos de Enfermagem', code: 'ENF001', workloadHours: 80, semester: 1 },
+          { name: 'Biossegurança', code: 'ENF002', workloadHours: 80, semester: 1 },
+        ],
+      },
+      {
+        semester: 2,
+        workloadHours: 160,
+        disciplines: [
+          { name: 'Anatomia Humana', code: 'ENF101', workloadHours: 80, semester: 2 },
+          { name: 'Farmacologia', code: 'ENF102', workloadHours: 80, semester: 2 },
+        ],
+      },
+    ],
+    fields: [
+      { key: 'semester', description: 'Semestre', example: 1 },
+      { key: 'workloadHours', description: 'Carga horária do semestre (horas)', example: 160 },
+      {
+        key: 'disciplines',
+        type: 'list',
+        description: 'Disciplinas do semestre',
+        example: [],
+        fields: DISCIPLINE_FIELDS,
+      },
+    ],
+  },
+  { key: 'enrollmentDate', description: 'Data da matrícula (DD/MM/AAAA)', example: '01/02/2026' },
+  { key: 'contractDate', description: 'Data do contrato (DD/MM/AAAA)', example: '19/10/2026' },
+  {
+    key: 'currentSemester',
+    description: 'Semestre do curso a que o contrato se refere',
+    example: '2',
+  },
+  { key: 'semester', description: 'Semestre do contrato', example: '2' },
+  { key: 'year', description: 'Ano do contrato', example: '2026' },
+  {
+    key: 'startDate',
+    description: 'Data de início (padrão: data de geração)',
+    example: '19/10/2026',
+  },
+  { key: 'contractId', description: 'Número do contrato', example: '456' },
+  { key: 'generatedAt', description: 'Data e hora de geração', example: '19/10/2026 10:30:00' },
+  { key: 'institutionName', description: 'Nome da instituição', example: 'Secretaria Online' },
+  { key: 'currentDate', description: 'Data de geração (DD/MM/AAAA)', example: '19/10/2026' },
+  { key: 'currentDateTime', description: 'Data e hora de geração', example: '19/10/2026 10:30:00' },
+  { key: 'cpf', description: 'CPF do aluno (legacy: use studentCPF)', example: '123.456.789-01' },
+  {
+    key: 'date',
+    description: 'Data do contrato (legacy: use contractDate)',
+    example: '19/10/2026',
+  },
+  {
+    key: 'duration',
+    description: 'Duração do curso (legacy: use courseDuration)',
+    example: '4 semestres',
+  },
+];
+
+/**
+ * Dados de exemplo para pré-visualizar um template
+ *
+ * @returns {Object} { chave: exemplo }
+ */
+function getSampleData() {
+  return CONTRACT_PLACEHOLDERS.reduce((data, placeholder) => {
+    data[placeholder.key] = placeholder.example;
+    return data;
+  }, {});
+}
+
+/**
+ * Idade completa em anos na data informada
+ *
+ * @param {string} birthDate - Data de nascimento (YYYY-MM-DD)
+ * @param {Date} date - Data de referência
+ * @returns {number|null} Idade ou null se a data de nascimento for inválida
+ */
+function calculateAge(birthDate, date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(birthDate || '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const hadBirthday =
+    date.getMonth() + 1 > month || (date.getMonth() + 1 === month && date.getDate() >= day);
+  return date.getFullYear() - year - (hadBirthday ? 0 : 1);
+}
+
+/**
+ * Agrupa as disciplinas da grade curricular por semestre
+ *
+ * @param {Array<Object>} courseDisciplines - Registros de course_disciplines com a disciplina
+ * @returns {Array<{semester: number, workloadHours: number, disciplines: Object[]}>}
+ */
+function buildCurriculum(courseDisciplines) {
+  const semesters = new Map();
+
+  courseDisciplines.forEach((courseDiscipline) => {
+    const discipline = courseDiscipline.discipline || {};
+    const item = {
+      name: discipline.name,
+      code: discipline.code,
+      workloadHours: discipline.workload_hours || 0,
+      semester: courseDiscipline.semester,
+    };
+
+    if (!semesters.has(item.semester)) {
+      semesters.set(item.semester, { semester: item.semester, workloadHours: 0, disciplines: [] });
+    }
+    const group = semesters.get(item.semester);
+    group.disciplines.push(item);
+    group.workloadHours += item.workloadHours;
+  });
+
+  return [...semesters.values()].sort((a, b) => a.semester - b.semester);
+}
+
+/**
+ * Monta os dados do contrato de um aluno a partir da matrícula
+ *
+ * @param {Object} params
+ * @param {Object} params.student - Registro de students
+ * @param {Object} params.course - Curso da matrícula
+ * @param {Object} params.enrollment - Matrícula
+ * @param {number} params.semester - Semestre do contrato
+ * @param {number} params.year - Ano do contrato
+ * @param {number|string} params.contractId - Número do contrato (ou texto antes do aceite)
+ * @param {Array<Object>} [params.courseDisciplines=[]] - Grade curricular (course_disciplines com discipline)
+ * @param {Date} [params.date=new Date()] - Data de geração
+ * @returns {Object} Dados com as chaves do catálogo
+ */
+function buildStudentContractData({
+  student = {},
+  course = {},
+  enrollment,
+  semester,
+  year,
+  contractId,
+  courseDisciplines = [],
+  date = new Date(),
+}) {
+  const studentAddress = [
+    student.endereco_rua,
+    student.endereco_numero,
+    student.endereco_complemento,
+    student.endereco_bairro,
+    student.endereco_cidade,
+    student.endereco_uf,
+    student.cep,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+  const studentCPF = student.cpf ? formatCPF(student.cpf) : 'N/A';
+  const courseDuration = `${course.duration || 'N/A'} ${course.duration_type || ''}`.trim();
+  const contractDate = date.toLocaleDateString('pt-BR');
+  const studentAge = calculateAge(student.data_nascimento, date);
+  let studentBirthDate = student.data_nascimento || 'N/A';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(studentBirthDate)) {
+    studentBirthDate = studentBirthDate.split('-').reverse().join('/');
+  }
+
+  const curriculum = buildCurriculum(courseDisciplines);
+  const semesterGroup = curriculum.find((group) => group.semester === semester);
+
+  return {
+    studentName: student.nome || 'N/A',
+    studentId: student.id || 'N/A',
+    studentCPF,
+    studentRG: student.rg || 'N/A',
+    studentBirthDate,
+    studentAge,
+    isMinor: studentAge !== null && studentAge < 18,
+    guardianName: student.responsavel || null,
+    motherName: student.mae || null,
+    fatherName: student.pai || null,
+    studentEmail: student.email || 'N/A',
+    studentPhone: student.celular || student.telefone || 'N/A',
+    studentAddress: studentAddress || 'N/A',
+    enrollmentNumber: student.matricula || 'N/A',
+
+    courseName: course.name || 'N/A',
+    courseId: course.id || 0,
+    courseDuration,
+    courseType: course.course_type || null,
+    courseWorkloadHours: curriculum.reduce((total, group) => total + group.workloadHours, 0),
+    curriculum,
+    disciplines: semesterGroup ? semesterGroup.disciplines : [],
+    semesterWorkloadHours: semesterGroup ? semesterGroup.workloadHours : 0,
+
+    enrollmentDate: new Date(enrollment.enrollment_date).toLocaleDateString('pt-BR'),
+    contractDate,
+    currentSemester: semester,
+    semester,
+    year,
+
+    contractId,
+    generatedAt: date.toLocaleString('pt-BR'),
+    institutionName: 'Secretaria Online',
+
+    // Placeholders antigos para retrocompatibilidade
+    cpf: studentCPF,
+    date: contractDate,
+    duration: courseDuration,
+  };
+}
+
+module.exports = {
+  CONTRACT_PLACEHOLDERS,
+  getSampleData,
+  buildStudentContractData,
+};
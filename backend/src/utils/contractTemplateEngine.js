@@ -0,0 +1,422 @@
+/**
+ * Arquivo: backend/src/utils/contractTemplateEngine.js
+ * Descrição: Linguagem dos templates de contrato (condicionais, repetições e formatação)
+ * Feature: feat-123 - Linguagem de templates de contrato
+ * Criado em: 2026-10-19
+ *
+ * Os templates usam a sintaxe do Handlebars em um ambiente isolado e restrito:
+ * - {{chave}}: valor do catálogo (escapado para HTML)
+ * - {{#if chave}}...{{else}}...{{/if}} e {{#unless chave}}...{{/unless}}: cláusulas condicionais
+ * - {{#each lista}}...{{/each}}: repetição (ex: disciplinas do semestre)
+ * - {{formatDate chave "long"}}, {{formatCurrency chave}}...: formatação
+ *
+ * Apenas os helpers deste arquivo são aceitos (sem partials, decorators ou helpers
+ * desconhecidos) e o acesso a propriedades do prototype é bloqueado pelo Handlebars.
+ * Antes de salvar, analyzeContractTemplate valida a sintaxe e as chaves usadas
+ * contra o catálogo (utils/contractPlaceholders), inclusive os campos das listas.
+ */
+
+const Handlebars = require('handlebars');
+const { format } = require('date-fns');
+const { ptBR } = require('date-fns/locale');
+const { CONTRACT_PLACEHOLDERS } = require('./contractPlaceholders');
+const {
+  formatCPF,
+  formatCurrency,
+  formatDate,
+  formatDateTime,
+  parseBRDate,
+} = require('./formatters');
+
+/**
+ * Ambiente isolado: os helpers registrados aqui não afetam o Handlebars global
+ * (usado também pelo html-pdf-node)
+ */
+const engine = Handlebars.create();
+
+/**
+ * Blocos aceitos ({{#nome}}...{{/nome}})
+ */
+const BLOCK_HELPERS = new Set(['if', 'unless', 'each', 'with']);
+
+/**
+ * Helpers aceitos na compilação: os deste arquivo, sem os nativos lookup e log
+ * (o Handlebars os considera conhecidos mesmo com knownHelpersOnly)
+ */
+const KNOWN_HELPERS = {
+  lookup: false,
+  log: false,
+};
+
+/**
+ * Converte o valor recebido pelo helper em Date (aceita Date, ISO e DD/MM/AAAA)
+ *
+ * @param {Date|string} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  const text = String(value);
+  if (/^\d{2}\/\d{2}\/\d{4}/.test(text)) {
+    return parseBRDate(text.slice(0, 10));
+  }
+  // Datas sem hora (YYYY-MM-DD) são interpretadas no fuso local
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const [year, month, day] = text.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Helpers disponíveis nos templates
+ *
+ * O Handlebars sempre passa um objeto "options" como último argumento,
+ * por isso os parâmetros opcionais são conferidos por tipo.
+ */
+const HELPERS = {
+  formatDate(value, style) {
+    const date = toDate(value);
+    if (!date) return '';
+    if (style === 'long') return format(date, "d 'de' MMMM 'de' yyyy", { locale: ptBR });
+    if (style === 'datetime') return formatDateTime(date);
+    return formatDate(date);
+  },
+  formatCurrency(value) {
+    return formatCurrency(value);
+  },
+  formatCPF(value) {
+    return value ? formatCPF(String(value)) : '';
+  },
+  upper(value) {
+    return value === undefined || value === null ? '' : String(value).toUpperCase();
+  },
+  lower(value) {
+    return value === undefined || value === null ? '' : String(value).toLowerCase();
+  },
+  default(value, fallback) {
+    return value === undefined || value === null || value === '' ? fallback : value;
+  },
+  eq(a, b) {
+    return String(a) === String(b);
+  },
+  not(value) {
+    return !value;
+  },
+  and(...args) {
+    return args.slice(0, -1).every(Boolean);
+  },
+  or(...args) {
+    return args.slice(0, -1).some(Boolean);
+  },
+};
+
+Object.entries(HELPERS).forEach(([name, helper]) => {
+  engine.registerHelper(name, helper);
+  KNOWN_HELPERS[name] = true;
+});
+
+/**
+ * Documentação dos recursos da linguagem (exibida no editor de templates)
+ */
+const CONTRACT_TEMPLATE_HELPERS = [
+  {
+    name: '#if',
+    description: 'Inclui o trecho apenas se o valor for verdadeiro (aceita {{else}})',
+    example: '{{#if isMinor}}Responsável: {{guardianName}}{{/if}}',
+  },
+  {
+    name: '#unless',
+    description: 'Inclui o trecho apenas se o valor for falso',
+    example: '{{#unless isMinor}}O CONTRATANTE declara ser maior de idade.{{/unless}}',
+  },
+  {
+    name: '#each',
+    description: 'Repete o trecho para cada item da lista ({{@index}} é a posição, a partir de 0)',
+    example: '{{#each disciplines}}<li>{{name}} ({{workloadHours}}h)</li>{{/each}}',
+  },
+  {
+    name: 'formatDate',
+    description: 'Formata uma data: padrão DD/MM/AAAA, "long" (por extenso) ou "datetime"',
+    example: '{{formatDate contractDate "long"}}',
+  },
+  {
+    name: 'formatCurrency',
+    description: 'Formata um valor em reais (R$ 1.234,56)',
+    example: '{{formatCurrency 1500}}',
+  },
+  {
+    name: 'formatCPF',
+    description: 'Formata um CPF (000.000.000-00)',
+    example: '{{formatCPF cpf}}',
+  },
+  { name: 'upper', description: 'Texto em maiúsculas', example: '{{upper studentName}}' },
+  { name: 'lower', description: 'Texto em minúsculas', example: '{{lower courseName}}' },
+  {
+    name: 'default',
+    description: 'Valor alternativo quando o campo estiver vazio',
+    example: '{{default guardianName "não informado"}}',
+  },
+  {
+    name: 'eq',
+    description: 'Compara dois valores (use dentro de #if)',
+    example: '{{#if (eq courseType "Técnicos")}}...{{/if}}',
+  },
+  {
+    name: 'not / and / or',
+    description: 'Operadores lógicos (use dentro de #if)',
+    example: '{{#if (and isMinor (not guardianName))}}...{{/if}}',
+  },
+];
+
+/**
+ * Converte uma lista de placeholders em um mapa { chave: placeholder }
+ *
+ * @param {Array<Object>} placeholders
+ * @returns {Map<string, Object>}
+ */
+function toScope(placeholders) {
+  return new Map(placeholders.map((placeholder) => [placeholder.key, placeholder]));
+}
+
+const ROOT_SCOPE = toScope(CONTRACT_PLACEHOLDERS);
+
+/**
+ * Percorre a AST do template validando helpers e chaves usadas
+ *
+ * O contexto muda dentro de {{#each lista}} e {{#with objeto}}: as chaves passam a
+ * ser os campos do item (placeholder.fields). Um escopo nulo significa contexto
+ * desconhecido, onde as chaves não são conferidas.
+ *
+ * @param {Object} ast - Programa retornado por Handlebars.parse
+ * @returns {{placeholders: string[], unknownPlaceholders: string[], errors: string[]}}
+ */
+function walkTemplate(ast) {
+  const placeholders = new Set();
+  const unknownPlaceholders = new Set();
+  const errors = new Set();
+
+  const resolvePath = (path, scopes) => {
+    if (path.type !== 'PathExpression') return null;
+
+    // Variáveis de dados: @index, @first, @last, @key e @root.chave
+    if (path.data) {
+      if (path.parts[0] !== 'root' || path.parts.length < 2) return null;
+      return checkKey(path.parts[1], ROOT_SCOPE, path.original, true);
+    }
+
+    // {{this}} ou {{.}}
+    if (path.parts.length === 0) return null;
+
+    const scope = scopes[Math.max(scopes.length - 1 - path.depth, 0)];
+    return checkKey(path.parts[0], scope, path.original, scope === ROOT_SCOPE);
+  };
+
+  const checkKey = (key, scope, original, isRoot) => {
+    if (!scope) return null;
+
+    const placeholder = scope.get(key);
+    if (!placeholder) {
+      unknownPlaceholders.add(isRoot ? key : original);
+      return null;
+    }
+    if (isRoot) placeholders.add(key);
+    return placeholder;
+  };
+
+  const visitParams = (node, scopes) => {
+    (node.params || []).forEach((param) => visit(param, scopes));
+    ((node.hash && node.hash.pairs) || []).forEach((pair) => visit(pair.value, scopes));
+  };
+
+  const visit = (node, scopes) => {
+    if (!node) return;
+
+    switch (node.type) {
+      case 'Program':
+        node.body.forEach((child) => visit(child, scopes));
+        break;
+
+      case 'MustacheStatement':
+      case 'SubExpression': {
+        const name = node.path.original;
+        const hasParams = node.params.length > 0 || Boolean(node.hash);
+
+        if (hasParams || node.type === 'SubExpression') {
+          if (!Object.prototype.hasOwnProperty.call(HELPERS, name)) {
+            errors.add(`Função desconhecida: ${name}`);
+          }
+          visitParams(node, scopes);
+        } else {
+          resolvePath(node.path, scopes);
+        }
+        break;
+      }
+
+      case 'BlockStatement': {
+        const name = node.path.original;
+        if (!BLOCK_HELPERS.has(name)) {
+          errors.add(`Bloco não suportado: {{#${name}}}`);
+          break;
+        }
+        if (node.params.length !== 1) {
+          errors.add(`O bloco {{#${name}}} exige exatamente um valor`);
+        }
+
+        visitParams(node, scopes);
+
+        let innerScopes = scopes;
+        if (name === 'each' || name === 'with') {
+          const target = node.params[0] && lookupTarget(node.params[0], scopes);
+          innerScopes = [...scopes, target && target.fields ? toScope(target.fields) : null];
+        }
+
+        visit(node.program, innerScopes);
+        visit(node.inverse, scopes);
+        break;
+      }
+
+      case 'PartialStatement':
+      case 'PartialBlockStatement':
+        errors.add('Partials ({{> nome}}) não são suportados nos templates de contrato');
+        break;
+
+      case 'DecoratorBlock':
+      case 'Decorator':
+        errors.add('Decorators não são suportados nos templates de contrato');
+        break;
+
+      case 'PathExpression':
+        resolvePath(node, scopes);
+        break;
+
+      default:
+        // ContentStatement, CommentStatement e literais
+        break;
+    }
+  };
+
+  // Placeholder alvo de #each/#with (já conferido em visitParams)
+  const lookupTarget = (path, scopes) => {
+    if (path.type !== 'PathExpression' || path.data || path.parts.length === 0) return null;
+    const scope = scopes[Math.max(scopes.length - 1 - path.depth, 0)];
+    return scope ? scope.get(path.parts[0]) || null : null;
+  };
+
+  visit(ast, [ROOT_SCOPE]);
+
+  return {
+    placeholders: [...placeholders],
+    unknownPlaceholders: [...unknownPlaceholders],
+    errors: [...errors],
+  };
+}
+
+/**
+ * Analisa o template: erros de sintaxe, funções não suportadas e chaves fora do catálogo
+ *
+ * @param {string} content - Conteúdo do template
+ * @returns {{placeholders: string[], unknownPlaceholders: string[], errors: string[]}}
+ *
+ * @example
+ * analyzeContractTemplate('{{#each disciplines}}{{name}}{{/each}} {{foo}}');
+ * // { placeholders: ['disciplines'], unknownPlaceholders: ['foo'], errors: [] }
+ */
+function analyzeContractTemplate(content) {
+  if (!content) return { placeholders: [], unknownPlaceholders: [], errors: [] };
+
+  let ast;
+  try {
+    ast = engine.parse(content);
+  } catch (error) {
+    // Mensagem do Handlebars: linha do erro, trecho, marcador e o que era esperado
+    const lines = error.message.split('\n');
+    const detail = lines.length > 1 ? `${lines[0]} ${lines[lines.length - 1]}` : lines[0];
+    return {
+      placeholders: [],
+      unknownPlaceholders: [],
+      errors: [`Erro de sintaxe no template: ${detail}`],
+    };
+  }
+
+  return walkTemplate(ast);
+}
+
+/**
+ * Chaves do catálogo usadas no template
+ *
+ * @param {string} content - Conteúdo do template
+ * @returns {string[]}
+ */
+function extractPlaceholders(content) {
+  return analyzeContractTemplate(content).placeholders;
+}
+
+/**
+ * Chaves do template que não fazem parte do catálogo
+ *
+ * @param {string} content - Conteúdo do template
+ * @returns {string[]}
+ */
+function findUnknownPlaceholders(content) {
+  return analyzeContractTemplate(content).unknownPlaceholders;
+}
+
+/**
+ * Valores padrão disponíveis em qualquer contrato (data de geração)
+ *
+ * @returns {Object}
+ */
+function getDefaultData() {
+  const now = new Date();
+  return {
+    startDate: now.toLocaleDateString('pt-BR'),
+    duration: 'conforme currículo',
+    institutionName: 'Secretaria Online',
+    currentDate: now.toLocaleDateString('pt-BR'),
+    currentDateTime: now.toLocaleString('pt-BR'),
+  };
+}
+
+/**
+ * Renderiza o template com os dados do contrato
+ *
+ * Valores nulos ou indefinidos dão lugar aos padrões (getDefaultData) e, se não
+ * houver padrão, são renderizados vazios.
+ *
+ * @param {string} content - Conteúdo do template
+ * @param {Object} data - Dados com as chaves do catálogo
+ * @param {Object} [options]
+ * @param {boolean} [options.escape=true] - Escapar HTML dos valores (false para templates em texto puro)
+ * @returns {string} Conteúdo renderizado
+ * @throws {Error} Se o template tiver erro de sintaxe ou usar funções não suportadas
+ *
+ * @example
+ * renderContractTemplate('<p>{{upper studentName}}</p>', { studentName: 'Maria' });
+ * // '<p>MARIA</p>'
+ */
+function renderContractTemplate(content, data = {}, { escape = true } = {}) {
+  const values = Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  const template = engine.compile(content, {
+    knownHelpers: KNOWN_HELPERS,
+    knownHelpersOnly: true,
+    noEscape: !escape,
+  });
+
+  return template({ ...getDefaultData(), ...values });
+}
+
+module.exports = {
+  CONTRACT_TEMPLATE_HELPERS,
+  analyzeContractTemplate,
+  extractPlaceholders,
+  findUnknownPlaceholders,
+  renderContractTemplate,
+};
@@ -0,0 +1,282 @@
+/**
+ * Arquivo: backend/src/utils/contractTemplateEngine.test.js
+ * Descrição: Testes unitários da linguagem dos templates de contrato
+ * Feature: feat-123 - Linguagem de templates de contrato
+ * Criado em: 2026-10-19
+ *
+ * Executar com: npm test (ou node --test src/utils/contractTemplateEngine.test.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  analyzeContractTemplate,
+  extractPlaceholders,
+  findUnknownPlaceholders,
+  renderContractTemplate,
+} = require('./contractTemplateEngine');
+
+describe('renderContractTemplate', () => {
+  describe('escape', () => {
+    it('escapa HTML dos valores', () => {
+      const html = renderContractTemplate('<p>{{studentName}}</p>', {
+        studentName: '<script>alert("x")</script> & Cia',
+      });
+
+      assert.equal(html, '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; Cia</p>');
+    });
+
+    it('escapa o resultado dos helpers', () => {
+      const html = renderContractTemplate('{{upper studentName}}', { studentName: '<b>ana</b>' });
+
+      assert.equal(html, '&lt;B&gt;ANA&lt;/B&gt;');
+    });
+
+    it('escapa os campos dos itens das listas', () => {
+      const html = renderContractTemplate('{{#each disciplines}}{{name}}{{/each}}', {
+        disciplines: [{ name: '<img src=x onerror=alert(1)>' }],
+      });
+
+      assert.ok(!html.includes('<img'));
+      assert.ok(html.startsWith('&lt;img'));
+    });
+
+    it('não escapa os valores com escape: false (templates em texto puro)', () => {
+      const text = renderContractTemplate(
+        '{{studentName}}',
+        { studentName: 'Maria & José' },
+        { escape: false }
+      );
+
+      assert.equal(text, 'Maria & José');
+    });
+  });
+
+  describe('condicionais', () => {
+    const template = '{{#if isMinor}}Responsável: {{guardianName}}{{else}}Maior de idade{{/if}}';
+
+    it('inclui o trecho do #if quando o valor é verdadeiro', () => {
+      assert.equal(
+        renderContractTemplate(template, { isMinor: true, guardianName: 'João' }),
+        'Responsável: João'
+      );
+    });
+
+    it('usa o {{else}} quando o valor é falso', () => {
+      assert.equal(renderContractTemplate(template, { isMinor: false }), 'Maior de idade');
+    });
+
+    it('aceita #unless e os operadores lógicos', () => {
+      const content =
+        '{{#unless isMinor}}A{{/unless}}{{#if (and isMinor (not guardianName))}}B{{/if}}' +
+        '{{#if (or isMinor (eq courseName "Enfermagem"))}}C{{/if}}';
+
+      assert.equal(
+        renderContractTemplate(content, { isMinor: false, courseName: 'Enfermagem' }),
+        'AC'
+      );
+      assert.equal(renderContractTemplate(content, { isMinor: true }), 'BC');
+    });
+  });
+
+  describe('repetições', () => {
+    it('repete o trecho para cada item da lista', () => {
+      const html = renderContractTemplate(
+        '<ul>{{#each disciplines}}<li>{{@index}}. {{name}} ({{workloadHours}}h)</li>{{/each}}</ul>',
+        {
+          disciplines: [
+            { name: 'Anatomia', workloadHours: 80 },
+            { name: 'Farmacologia', workloadHours: 60 },
+          ],
+        }
+      );
+
+      assert.equal(html, '<ul><li>0. Anatomia (80h)</li><li>1. Farmacologia (60h)</li></ul>');
+    });
+
+    it('percorre listas aninhadas e acessa o contexto externo', () => {
+      const html = renderContractTemplate(
+        '{{#each curriculum}}[{{semester}}:{{#each disciplines}}{{code}}-{{../semester}};{{/each}}]{{/each}}' +
+          '{{#each disciplines}}{{@root.studentName}}{{/each}}',
+        {
+          studentName: 'Ana',
+          curriculum: [
+            { semester: 1, disciplines: [{ code: 'A1' }, { code: 'A2' }] },
+            { semester: 2, disciplines: [{ code: 'B1' }] },
+          ],
+          disciplines: [{ code: 'X' }],
+        }
+      );
+
+      assert.equal(html, '[1:A1-1;A2-1;][2:B1-2;]Ana');
+    });
+
+    it('usa o {{else}} do #each quando a lista está vazia', () => {
+      assert.equal(
+        renderContractTemplate('{{#each disciplines}}{{name}}{{else}}Nenhuma{{/each}}', {
+          disciplines: [],
+        }),
+        'Nenhuma'
+      );
+    });
+  });
+
+  describe('helpers de formatação', () => {
+    it('formata datas nos estilos padrão e por extenso', () => {
+      assert.equal(
+        renderContractTemplate('{{formatDate contractDate}}', { contractDate: '2026-10-19' }),
+        '19/10/2026'
+      );
+      assert.equal(
+        renderContractTemplate('{{formatDate contractDate "long"}}', {
+          contractDate: '19/10/2026',
+        }),
+        '19 de outubro de 2026'
+      );
+      assert.equal(
+        renderContractTemplate('{{formatDate contractDate}}', { contractDate: 'x' }),
+        ''
+      );
+    });
+
+    it('formata CPF, texto e valor padrão', () => {
+      assert.equal(
+        renderContractTemplate('{{formatCPF studentCPF}}', { studentCPF: '12345678901' }),
+        '123.456.789-01'
+      );
+      assert.equal(renderContractTemplate('{{lower courseName}}', { courseName: 'ENF' }), 'enf');
+      assert.equal(
+        renderContractTemplate('{{default guardianName "não informado"}}', { guardianName: '' }),
+        'não informado'
+      );
+    });
+
+    it('formata valores em reais', () => {
+      const text = renderContractTemplate('{{formatCurrency 1500}}', {});
+
+      assert.match(text, /^R\$\s1\.500,00$/);
+    });
+  });
+
+  it('renderiza vazios os valores nulos sem padrão', () => {
+    assert.equal(renderContractTemplate('[{{guardianName}}]', { guardianName: null }), '[]');
+  });
+
+  it('usa os valores padrão quando o dado não é informado', () => {
+    assert.equal(
+      renderContractTemplate('{{institutionName}}', { institutionName: null }),
+      'Secretaria Online'
+    );
+  });
+
+  it('rejeita helpers desconhecidos, inclusive os nativos lookup e log', () => {
+    assert.throws(
+      () => renderContractTemplate('{{lookup studentName "x"}}', {}),
+      /knownHelpersOnly/
+    );
+    assert.throws(() => renderContractTemplate('{{exec "rm -rf /"}}', {}), /knownHelpersOnly/);
+    assert.throws(() => renderContractTemplate('{{log studentName}}', {}), /knownHelpersOnly/);
+    assert.throws(
+      () => renderContractTemplate('{{#custom isMinor}}x{{/custom}}', {}),
+      /knownHelpersOnly/
+    );
+  });
+
+  it('não expõe propriedades do prototype', () => {
+    const html = renderContractTemplate('[{{studentName.constructor}}][{{__proto__}}]', {
+      studentName: 'Ana',
+    });
+
+    assert.equal(html, '[][]');
+  });
+
+  it('lança erro de sintaxe para template mal formado', () => {
+    assert.throws(() => renderContractTemplate('{{#if isMinor}}sem fechamento', {}));
+  });
+});
+
+describe('analyzeContractTemplate', () => {
+  it('retorna listas vazias para template vazio', () => {
+    assert.deepEqual(analyzeContractTemplate(''), {
+      placeholders: [],
+      unknownPlaceholders: [],
+      errors: [],
+    });
+  });
+
+  it('lista as chaves do catálogo usadas, inclusive dentro de condicionais', () => {
+    const result = analyzeContractTemplate(
+      '{{studentName}} {{#if isMinor}}{{guardianName}}{{/if}} {{formatDate contractDate "long"}}'
+    );
+
+    assert.deepEqual(result.placeholders.sort(), [
+      'contractDate',
+      'guardianName',
+      'isMinor',
+      'studentName',
+    ]);
+    assert.deepEqual(result.unknownPlaceholders, []);
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('confere os campos dos itens das listas', () => {
+    const result = analyzeContractTemplate(
+      '{{#each disciplines}}{{name}} {{grade}} {{../studentName}} {{@index}}{{/each}}'
+    );
+
+    assert.deepEqual(result.placeholders.sort(), ['disciplines', 'studentName']);
+    assert.deepEqual(result.unknownPlaceholders, ['grade']);
+  });
+
+  it('confere os campos das listas aninhadas', () => {
+    const result = analyzeContractTemplate(
+      '{{#each curriculum}}{{semester}}{{#each disciplines}}{{code}}{{foo}}{{/each}}{{/each}}'
+    );
+
+    assert.deepEqual(result.unknownPlaceholders, ['foo']);
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('aponta chaves fora do catálogo', () => {
+    assert.deepEqual(findUnknownPlaceholders('{{studentName}} {{senha}} {{@root.token}}'), [
+      'senha',
+      'token',
+    ]);
+    assert.deepEqual(extractPlaceholders('{{studentName}} {{senha}}'), ['studentName']);
+  });
+
+  it('aponta helpers e blocos não suportados', () => {
+    const result = analyzeContractTemplate(
+      '{{lookup studentName "x"}} {{#if (exec isMinor)}}x{{/if}} {{#custom isMinor}}y{{/custom}}'
+    );
+
+    assert.deepEqual(result.errors, [
+      'Função desconhecida: lookup',
+      'Função desconhecida: exec',
+      'Bloco não suportado: {{#custom}}',
+    ]);
+  });
+
+  it('exige exatamente um valor nos blocos', () => {
+    const result = analyzeContractTemplate('{{#if isMinor guardianName}}x{{/if}}');
+
+    assert.deepEqual(result.errors, ['O bloco {{#if}} exige exatamente um valor']);
+  });
+
+  it('rejeita partials e decorators', () => {
+    assert.deepEqual(analyzeContractTemplate('{{> cabecalho}}').errors, [
+      'Partials ({{> nome}}) não são suportados nos templates de contrato',
+    ]);
+    assert.deepEqual(analyzeContractTemplate('{{* decorator}}').errors, [
+      'Decorators não são suportados nos templates de contrato',
+    ]);
+  });
+
+  it('retorna o erro de sintaxe sem lançar exceção', () => {
+    const result = analyzeContractTemplate('{{#if isMinor}}sem fechamento');
+
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0], /^Erro de sintaxe no template: /);
+  });
+});
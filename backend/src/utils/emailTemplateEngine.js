@@ -0,0 +1,240 @@
+/**
+ * Arquivo: backend/src/utils/emailTemplateEngine.js
+ * Descrição: Renderização dos templates de email (arquivos em src/templates/emails)
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Modificado: feat-136 - Templates das notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ *
+ * Cada template tem dois arquivos Handlebars, <nome>.html.hbs e <nome>.text.hbs, e o assunto
+ * definido no catálogo EMAIL_TEMPLATES. Os arquivos de partials/ ficam disponíveis em todos
+ * os templates ({{#> layout}} monta o HTML padrão da Secretaria Online e {{> textFooter}} o
+ * rodapé da versão em texto).
+ *
+ * Variáveis sempre disponíveis:
+ * - {{baseUrl}}: endereço do sistema (BASE_URL)
+ * - {{frontendUrl}}: endereço do frontend (FRONTEND_URL), base dos links para páginas internas
+ *
+ * Helper extra: {{concat a b ...}} junta textos (ex: links com {{> button href=(concat ...)}}).
+ * No HTML os valores são escapados; o texto e o assunto são renderizados sem escape.
+ *
+ * Os templates de notificação (NotificationService) recebem também {{area}} (student | teacher),
+ * usado nos links da área do usuário e no partial {{> manageNotifications}}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+/**
+ * Diretório dos templates de email
+ */
+const TEMPLATES_PATH = path.join(__dirname, '../templates/emails');
+
+/**
+ * Ambiente isolado: partials registrados aqui não afetam o Handlebars global
+ */
+const engine = Handlebars.create();
+
+// O Handlebars passa um objeto "options" como último argumento
+engine.registerHelper('concat', (...args) => args.slice(0, -1).join(''));
+
+/**
+ * Catálogo dos templates de email
+ *
+ * - subject: assunto (Handlebars, sem escape)
+ * - required: variáveis obrigatórias
+ * - sensitive: o conteúdo fica criptografado na fila e é descartado após o envio ou a falha
+ *   definitiva, sem reenvio manual (ex: senha provisória)
+ */
+const EMAIL_TEMPLATES = {
+  'temporary-password': {
+    description: 'Senha provisória de novo aluno/professor ou senha regenerada',
+    subject: 'Sua Senha Provisória - Secretaria Online',
+    required: ['password'],
+    sensitive: true,
+  },
+  'document-approved': {
+    description: 'Documento aprovado pela secretaria',
+    subject: 'Documento Aprovado: {{documentType}} - Secretaria Online',
+    required: ['documentType'],
+  },
+  'document-rejected': {
+    description: 'Documento rejeitado pela secretaria, com o motivo',
+    subject: 'Documento Rejeitado: {{documentType}} - Ação Necessária',
+    required: ['documentType', 'observations'],
+  },
+  'overdue-requests-digest': {
+    description: 'Resumo diário das solicitações com prazo vencido (secretaria)',
+    subject: 'Solicitações Atrasadas: {{requests.length}} pendente(s) fora do prazo',
+    required: ['requests'],
+  },
+  'reenrollment-reminder': {
+    description: 'Lembrete de aceite da rematrícula',
+    subject: 'Rematrícula {{periodLabel}}: aceite até {{deadline}}',
+    required: ['periodLabel', 'deadline'],
+  },
+  'document-expiration': {
+    description: 'Documento aprovado vencido ou próximo do vencimento',
+    subject:
+      '{{#if expired}}Documento vencido{{else}}Documento próximo do vencimento{{/if}}: {{documentType}}',
+    required: ['documentType', 'expiresAt'],
+  },
+  'request-approved': {
+    description: 'Solicitação aprovada, com o link do documento gerado',
+    subject: 'Solicitação Aprovada: {{requestType}} - Secretaria Online',
+    required: ['requestId', 'requestType'],
+  },
+  'request-rejected': {
+    description: 'Solicitação rejeitada, com o motivo',
+    subject: 'Solicitação Rejeitada: {{requestType}} - Secretaria Online',
+    required: ['requestId', 'requestType'],
+  },
+  'grade-published': {
+    description: 'Nota lançada ou alterada',
+    subject:
+      '{{#if updated}}Nota alterada{{else}}Nova nota{{/if}}: {{disciplineName}} - {{evaluationName}}',
+    required: ['disciplineName', 'evaluationName', 'grade'],
+  },
+  'evaluation-upcoming': {
+    description: 'Avaliação agendada para os próximos dias',
+    subject: 'Avaliação em {{date}}: {{disciplineName}} - {{evaluationName}}',
+    required: ['disciplineName', 'evaluationName', 'date'],
+  },
+  'contract-pending': {
+    description: 'Contrato gerado aguardando aceite',
+    subject: 'Contrato {{periodLabel}} aguardando aceite - Secretaria Online',
+    required: ['periodLabel'],
+  },
+  'reenrollment-opened': {
+    description: 'Rematrícula aberta para aceite',
+    subject: 'Rematrícula aberta{{#if periodLabel}}: {{periodLabel}}{{/if}} - Secretaria Online',
+    required: [],
+  },
+  'enrollment-status-changed': {
+    description: 'Mudança de status da matrícula',
+    subject:
+      'Matrícula {{statusLabel}}{{#if courseName}}: {{courseName}}{{/if}} - Secretaria Online',
+    required: ['statusLabel'],
+  },
+};
+
+/**
+ * Templates compilados (nome:formato -> função)
+ */
+const compiled = new Map();
+
+let partialsLoaded = false;
+
+/**
+ * Em desenvolvimento os arquivos são relidos a cada envio, para editar sem reiniciar
+ *
+ * @returns {boolean}
+ */
+function isCacheEnabled() {
+  return process.env.NODE_ENV !== 'development';
+}
+
+/**
+ * Registra os arquivos de partials/ (nome do partial = nome do arquivo sem .hbs)
+ */
+function loadPartials() {
+  if (partialsLoaded && isCacheEnabled()) return;
+
+  const partialsPath = path.join(TEMPLATES_PATH, 'partials');
+  fs.readdirSync(partialsPath)
+    .filter((file) => file.endsWith('.hbs'))
+    .forEach((file) => {
+      const content = fs.readFileSync(path.join(partialsPath, file), 'utf8');
+      engine.registerPartial(path.basename(file, '.hbs'), content);
+    });
+
+  partialsLoaded = true;
+}
+
+/**
+ * Compila (ou retorna do cache) um arquivo de template
+ *
+ * @param {string} name - Nome do template
+ * @param {'html'|'text'} format - Formato do arquivo
+ * @returns {Function} Template compilado
+ */
+function getCompiledTemplate(name, format) {
+  const key = `${name}:${format}`;
+  if (compiled.has(key) && isCacheEnabled()) {
+    return compiled.get(key);
+  }
+
+  const content = fs.readFileSync(path.join(TEMPLATES_PATH, `${name}.${format}.hbs`), 'utf8');
+  const template = engine.compile(content, { noEscape: format === 'text', strict: false });
+  compiled.set(key, template);
+  return template;
+}
+
+/**
+ * Verifica se o template existe no catálogo
+ *
+ * @param {string} name - Nome do template
+ * @returns {boolean}
+ */
+function isKnownTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATES, name);
+}
+
+/**
+ * Renderiza assunto, HTML e texto de um template
+ *
+ * @param {string} name - Nome do template (chave de EMAIL_TEMPLATES)
+ * @param {Object} [variables] - Variáveis do template
+ * @returns {{subject: string, html: string, text: string}}
+ * @throws {Error} Se o template não existir ou faltar variável obrigatória
+ *
+ * @example
+ * const { subject, html, text } = renderEmailTemplate('document-approved', {
+ *   name: 'João Silva',
+ *   documentType: 'RG',
+ * });
+ */
+function renderEmailTemplate(name, variables = {}) {
+  if (!isKnownTemplate(name)) {
+    throw new Error(`Template de email desconhecido: ${name}`);
+  }
+
+  const definition = EMAIL_TEMPLATES[name];
+  const missing = definition.required.filter(
+    (key) => variables[key] === undefined || variables[key] === null || variables[key] === ''
+  );
+  if (missing.length > 0) {
+    throw new Error(`Variáveis obrigatórias ausentes no template ${name}: ${missing.join(', ')}`);
+  }
+
+  loadPartials();
+
+  const data = {
+    baseUrl: process.env.BASE_URL || 'http://localhost:5173',
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+    ...variables,
+  };
+
+  return {
+    subject: engine.compile(definition.subject, { noEscape: true })(data).trim(),
+    html: getCompiledTemplate(name, 'html')(data).trim(),
+    text: getCompiledTemplate(name, 'text')(data).trim(),
+  };
+}
+
+/**
+ * Verifica se o conteúdo do template deve ser descartado após o envio
+ *
+ * @param {string} name - Nome do template
+ * @returns {boolean}
+ */
+function isSensitiveTemplate(name) {
+  return isKnownTemplate(name) && Boolean(EMAIL_TEMPLATES[name].sensitive);
+}
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  TEMPLATES_PATH,
+  renderEmailTemplate,
+  isSensitiveTemplate,
+};
@@ -0,0 +1,163 @@
+/**
+ * Arquivo: backend/src/utils/emailTemplateEngine.test.js
+ * Descrição: Testes unitários da renderização dos templates de email
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Executar com: npm test (ou node --test src/utils/emailTemplateEngine.test.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BASE_URL = 'https://secretaria.test';
+process.env.FRONTEND_URL = 'https://app.secretaria.test';
+
+const {
+  EMAIL_TEMPLATES,
+  renderEmailTemplate,
+  isSensitiveTemplate,
+} = require('./emailTemplateEngine');
+
+/**
+ * Valores de exemplo para as variáveis obrigatórias de um template
+ */
+function sampleVariables(name) {
+  const variables = { name: 'Maria', area: 'student' };
+  EMAIL_TEMPLATES[name].required.forEach((key) => {
+    variables[key] =
+      key === 'requests'
+        ? [{ id: 1, student: 'Maria', type: 'Histórico', dueDate: '19/10/2026' }]
+        : `valor-${key}`;
+  });
+  return variables;
+}
+
+describe('renderEmailTemplate', () => {
+  it('renderiza assunto, HTML e texto de todos os templates do catálogo', () => {
+    Object.keys(EMAIL_TEMPLATES).forEach((name) => {
+      const { subject, html, text } = renderEmailTemplate(name, sampleVariables(name));
+
+      assert.ok(subject.length > 0, `${name}: assunto vazio`);
+      assert.match(html, /<html/i, `${name}: HTML sem o layout`);
+      assert.ok(text.length > 0, `${name}: texto vazio`);
+      assert.ok(!text.includes('{{'), `${name}: texto com marcação não renderizada`);
+    });
+  });
+
+  it('renderiza as variáveis no assunto', () => {
+    const { subject } = renderEmailTemplate('document-approved', { documentType: 'RG' });
+
+    assert.equal(subject, 'Documento Aprovado: RG - Secretaria Online');
+  });
+
+  it('renderiza os blocos condicionais do assunto', () => {
+    const variables = { disciplineName: 'Anatomia', evaluationName: 'P1', grade: 8 };
+
+    assert.equal(
+      renderEmailTemplate('grade-published', variables).subject,
+      'Nova nota: Anatomia - P1'
+    );
+    assert.equal(
+      renderEmailTemplate('grade-published', { ...variables, updated: true }).subject,
+      'Nota alterada: Anatomia - P1'
+    );
+  });
+
+  it('escapa os valores no HTML e não no texto nem no assunto', () => {
+    const variables = {
+      name: '<script>alert(1)</script>',
+      documentType: 'RG & CPF',
+      observations: '<b>ilegível</b>',
+    };
+    const { subject, html, text } = renderEmailTemplate('document-rejected', variables);
+
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(html.includes('&lt;b&gt;ilegível&lt;/b&gt;'));
+    assert.ok(text.includes('Olá, <script>alert(1)</script>!'));
+    assert.ok(text.includes('<b>ilegível</b>'));
+    assert.equal(subject, 'Documento Rejeitado: RG & CPF - Ação Necessária');
+  });
+
+  it('inclui as variáveis e o rodapé na versão em texto', () => {
+    const { text } = renderEmailTemplate('temporary-password', {
+      name: 'Maria',
+      login: 'maria.silva',
+      password: 'Abc123!@',
+    });
+
+    assert.ok(text.includes('Olá, Maria!'));
+    assert.ok(text.includes('Login: maria.silva'));
+    assert.ok(text.includes('Senha Provisória: Abc123!@'));
+    assert.ok(text.includes('Para acessar o sistema: https://secretaria.test'));
+    assert.ok(text.includes('Este é um email automático'));
+  });
+
+  it('usa o texto alternativo quando a variável opcional não é informada', () => {
+    const { text } = renderEmailTemplate('temporary-password', { password: 'Abc123!@' });
+
+    assert.ok(text.includes('Olá!'));
+    assert.ok(!text.includes('Login:'));
+  });
+
+  it('monta os links a partir de FRONTEND_URL e da área do usuário', () => {
+    const { html, text } = renderEmailTemplate('request-approved', {
+      requestId: 7,
+      requestType: 'Histórico',
+      area: 'student',
+      hasDocument: true,
+      signatureHash: 'abc123',
+    });
+
+    assert.ok(text.includes('https://app.secretaria.test/verificar?hash=abc123'));
+    assert.ok(text.includes('https://app.secretaria.test/student/notifications'));
+    assert.ok(html.includes('href="https://app.secretaria.test/student/notifications"'));
+  });
+
+  it('permite sobrescrever as variáveis padrão', () => {
+    const { text } = renderEmailTemplate('temporary-password', {
+      password: 'x',
+      baseUrl: 'https://outro.test',
+    });
+
+    assert.ok(text.includes('Para acessar o sistema: https://outro.test'));
+  });
+
+  it('repete os itens das listas', () => {
+    const { subject, text } = renderEmailTemplate('overdue-requests-digest', {
+      requests: [
+        { id: 1, student: 'Ana', type: 'Histórico', dueDate: '10/10/2026' },
+        { id: 2, student: 'Bruno', type: 'Declaração', dueDate: '12/10/2026' },
+      ],
+    });
+
+    assert.equal(subject, 'Solicitações Atrasadas: 2 pendente(s) fora do prazo');
+    assert.ok(text.includes('#1 - Ana - Histórico (prazo: 10/10/2026)'));
+    assert.ok(text.includes('#2 - Bruno - Declaração (prazo: 12/10/2026)'));
+  });
+
+  it('rejeita template desconhecido', () => {
+    assert.throws(
+      () => renderEmailTemplate('nao-existe', {}),
+      /Template de email desconhecido: nao-existe/
+    );
+    assert.throws(() => renderEmailTemplate('toString', {}), /Template de email desconhecido/);
+  });
+
+  it('rejeita variáveis obrigatórias ausentes ou vazias', () => {
+    assert.throws(
+      () => renderEmailTemplate('document-rejected', { documentType: 'RG', observations: '' }),
+      /Variáveis obrigatórias ausentes no template document-rejected: observations/
+    );
+    assert.throws(() => renderEmailTemplate('temporary-password', { password: null }), /password/);
+  });
+});
+
+describe('isSensitiveTemplate', () => {
+  it('identifica os templates com conteúdo sensível', () => {
+    assert.equal(isSensitiveTemplate('temporary-password'), true);
+    assert.equal(isSensitiveTemplate('document-approved'), false);
+    assert.equal(isSensitiveTemplate('nao-existe'), false);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Arquivo: backend/src/utils/secretCipher.js
+ * Descrição: Criptografia de conteúdos sensíveis gravados no banco (AES-256-GCM)
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Usado na fila de emails: o corpo dos templates sensíveis (ex: senha provisória) fica
+ * criptografado em email_outbox até o envio, e quem lê a tabela não vê o segredo.
+ *
+ * Chave: EMAIL_OUTBOX_ENCRYPTION_KEY ou, se ausente, uma chave derivada de JWT_SECRET.
+ * Formato gravado: enc:v1:<iv>:<tag>:<conteúdo> (base64).
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+
+/**
+ * Chave de 32 bytes derivada da configuração
+ *
+ * @returns {Buffer}
+ * @throws {Error} Se nenhuma chave estiver configurada
+ */
+function getKey() {
+  const secret = process.env.EMAIL_OUTBOX_ENCRYPTION_KEY;
+  if (secret) {
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  if (!process.env.JWT_SECRET) {
+    throw new Error(
+      'Configure EMAIL_OUTBOX_ENCRYPTION_KEY (ou JWT_SECRET) para criptografar conteúdos sensíveis'
+    );
+  }
+  // Derivação separada: a chave de assinatura dos tokens não é usada diretamente
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('email-outbox').digest();
+}
+
+/**
+ * Verifica se o valor foi gerado por encryptSecret
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEncryptedSecret(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Criptografa um texto
+ *
+ * @param {string|null} value - Texto a criptografar
+ * @returns {string|null} Texto criptografado (null/undefined são mantidos)
+ *
+ * @example
+ * const stored = encryptSecret('<p>Senha: Abc123</p>'); // 'enc:v1:...'
+ */
+function encryptSecret(value) {
+  if (value === null || value === undefined) return value;
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX.slice(0, -1),
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    encrypted.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * Descriptografa um texto gerado por encryptSecret
+ *
+ * Valores sem o prefixo (gravados antes da criptografia) são retornados como estão.
+ *
+ * @param {string|null} value - Texto criptografado
+ * @returns {string|null} Texto original
+ * @throws {Error} Se o conteúdo foi alterado ou a chave mudou
+ */
+function decryptSecret(value) {
+  if (!isEncryptedSecret(value)) return value;
+
+  const [iv, tag, encrypted] = value.slice(PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  isEncryptedSecret,
+};
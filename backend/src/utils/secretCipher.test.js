@@ -0,0 +1,99 @@
+/**
+ * Arquivo: backend/src/utils/secretCipher.test.js
+ * Descrição: Testes unitários da criptografia dos conteúdos sensíveis
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Executar com: npm test (ou node --test src/utils/secretCipher.test.js)
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encryptSecret, decryptSecret, isEncryptedSecret } = require('./secretCipher');
+
+const ORIGINAL_ENV = {
+  EMAIL_OUTBOX_ENCRYPTION_KEY: process.env.EMAIL_OUTBOX_ENCRYPTION_KEY,
+  JWT_SECRET: process.env.JWT_SECRET,
+};
+
+/**
+ * Define (ou remove, com undefined) uma variável de ambiente
+ */
+function setEnv(name, value) {
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+}
+
+describe('secretCipher', () => {
+  beforeEach(() => {
+    setEnv('EMAIL_OUTBOX_ENCRYPTION_KEY', 'chave-de-teste');
+    setEnv('JWT_SECRET', undefined);
+  });
+
+  after(() => {
+    Object.entries(ORIGINAL_ENV).forEach(([name, value]) => setEnv(name, value));
+  });
+
+  it('criptografa e descriptografa o texto', () => {
+    const html = '<p>Senha Provisória: <strong>Abc123!@</strong> — ç</p>';
+    const stored = encryptSecret(html);
+
+    assert.ok(isEncryptedSecret(stored));
+    assert.ok(!stored.includes('Abc123'));
+    assert.equal(decryptSecret(stored), html);
+  });
+
+  it('gera um resultado diferente a cada criptografia', () => {
+    assert.notEqual(encryptSecret('Abc123'), encryptSecret('Abc123'));
+  });
+
+  it('mantém nulos e textos não criptografados', () => {
+    assert.equal(encryptSecret(null), null);
+    assert.equal(encryptSecret(undefined), undefined);
+    assert.equal(decryptSecret(null), null);
+    assert.equal(
+      decryptSecret('texto gravado antes da criptografia'),
+      'texto gravado antes da criptografia'
+    );
+    assert.equal(isEncryptedSecret('texto'), false);
+  });
+
+  it('criptografa texto vazio', () => {
+    assert.equal(decryptSecret(encryptSecret('')), '');
+  });
+
+  it('rejeita conteúdo alterado', () => {
+    const stored = encryptSecret('Abc123');
+    const parts = stored.split(':');
+    const encrypted = Buffer.from(parts[4], 'base64');
+    encrypted[0] ^= 1;
+    parts[4] = encrypted.toString('base64');
+
+    assert.throws(() => decryptSecret(parts.join(':')));
+  });
+
+  it('rejeita conteúdo criptografado com outra chave', () => {
+    const stored = encryptSecret('Abc123');
+    setEnv('EMAIL_OUTBOX_ENCRYPTION_KEY', 'outra-chave');
+
+    assert.throws(() => decryptSecret(stored));
+  });
+
+  it('usa uma chave derivada de JWT_SECRET quando a chave própria não está configurada', () => {
+    setEnv('EMAIL_OUTBOX_ENCRYPTION_KEY', undefined);
+    setEnv('JWT_SECRET', 'segredo-jwt');
+    const stored = encryptSecret('Abc123');
+
+    assert.equal(decryptSecret(stored), 'Abc123');
+
+    setEnv('EMAIL_OUTBOX_ENCRYPTION_KEY', 'segredo-jwt');
+    assert.throws(() => decryptSecret(stored));
+  });
+
+  it('exige uma chave configurada', () => {
+    setEnv('EMAIL_OUTBOX_ENCRYPTION_KEY', undefined);
+
+    assert.throws(() => encryptSecret('Abc123'), /EMAIL_OUTBOX_ENCRYPTION_KEY/);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Arquivo: frontend/src/components/documents/CourseDocumentRequirementsPanel.tsx
+ * Descrição: Documentos obrigatórios dos alunos de um curso (por curso e por tipo de curso)
+ * Feature: feat-134 - Documentos obrigatórios por curso
+ * Criado em: 2026-10-19
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { FileCheck, Plus, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { getApiErrorMessage } from '@/services/api';
+import * as documentRequirementService from '@/services/documentRequirement.service';
+import { getAll as getAllDocumentTypes } from '@/services/documentType.service';
+import type { IDocumentType } from '@/services/documentType.service';
+import {
+  DOCUMENT_REQUIREMENT_ORIGIN_LABELS,
+  type DocumentRequirementOrigin,
+  type ICourseDocumentRequirements,
+  type ICourseRequiredDocument,
+} from '@/types/documentRequirement.types';
+
+/**
+ * Props do CourseDocumentRequirementsPanel
+ */
+interface CourseDocumentRequirementsPanelProps {
+  /**
+   * ID do curso
+   */
+  courseId: number;
+  /**
+   * Chamado com a mensagem de sucesso após cadastrar ou remover uma regra
+   */
+  onSuccess?: (message: string) => void;
+}
+
+/**
+ * Cores do badge de cada origem
+ */
+const ORIGIN_CLASSES: Record<DocumentRequirementOrigin, string> = {
+  global: 'bg-gray-100 text-gray-700',
+  course_type: 'bg-purple-100 text-purple-800',
+  course: 'bg-blue-100 text-blue-800',
+};
+
+/**
+ * Componente: CourseDocumentRequirementsPanel
+ *
+ * Lista os documentos que os alunos do curso precisam ter aprovados para ativar a matrícula:
+ * os obrigatórios para todos os alunos, os exigidos pelo tipo do curso e os do próprio curso.
+ * Permite exigir novos documentos no curso ou em todos os cursos do mesmo tipo.
+ *
+ * @example
+ * <CourseDocumentRequirementsPanel courseId={3} onSuccess={setSuccessMessage} />
+ */
+export function CourseDocumentRequirementsPanel({
+  courseId,
+  onSuccess,
+}: CourseDocumentRequirementsPanelProps) {
+  const [requirements, setRequirements] = useState<ICourseDocumentRequirements | null>(null);
+  const [documentTypes, setDocumentTypes] = useState<IDocumentType[]>([]);
+  const [selectedDocumentTypeId, setSelectedDocumentTypeId] = useState<number | null>(null);
+  const [scope, setScope] = useState<'course' | 'course_type'>('course');
+  const [isSubmitting, setIsSubmitting] = useState<boolean>(false);
+
+  /**
+   * Carrega o conjunto obrigatório do curso e os tipos de documento de alunos
+   */
+  const loadData = useCallback(async () => {
+    try {
+      const [requirementsData, documentTypesData] = await Promise.all([
+        documentRequirementService.getByCourse(courseId),
+        getAllDocumentTypes({ userType: 'student' }),
+      ]);
+      setRequirements(requirementsData);
+      setDocumentTypes(documentTypesData.data.documentTypes);
+    } catch (err) {
+      console.error('[CourseDocumentRequirementsPanel] Erro ao carregar documentos:', err);
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const requiredIds = new Set(
+    (requirements?.documentTypes ?? []).map((item) => item.documentType?.id)
+  );
+  const availableTypes = documentTypes.filter((type) => !requiredIds.has(type.id));
+  const courseType = requirements?.course.courseType ?? '';
+
+  /**
+   * Handler de cadastro da regra
+   */
+  const handleAdd = async () => {
+    if (!selectedDocumentTypeId) return;
+
+    try {
+      setIsSubmitting(true);
+
+      if (scope === 'course') {
+        await documentRequirementService.createForCourse(courseId, selectedDocumentTypeId);
+      } else {
+        await documentRequirementService.createForCourseType(courseType, selectedDocumentTypeId);
+      }
+
+      setSelectedDocumentTypeId(null);
+      onSuccess?.('Documento obrigatório cadastrado com sucesso!');
+      await loadData();
+    } catch (err) {
+      alert(getApiErrorMessage(err, 'Erro ao cadastrar documento obrigatório'));
+      console.error('[CourseDocumentRequirementsPanel] Erro ao cadastrar regra:', err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Handler de remoção da regra
+   */
+  const handleRemove = async (item: ICourseRequiredDocument) => {
+    if (!item.requirementId) return;
+
+    const confirmed = window.confirm(
+      item.origin === 'course_type'
+        ? `Deixar de exigir ${item.documentType?.name ?? 'o documento'} em todos os cursos do tipo ${courseType}?`
+        : `Deixar de exigir ${item.documentType?.name ?? 'o documento'} neste curso?`
+    );
+    if (!confirmed) return;
+
+    try {
+      if (item.origin === 'course') {
+        await documentRequirementService.removeFromCourse(courseId, item.requirementId);
+      } else {
+        await documentRequirementService.remove(item.requirementId);
+      }
+
+      onSuccess?.('Documento obrigatório removido com sucesso!');
+      await loadData();
+    } catch (err) {
+      alert(getApiErrorMessage(err, 'Erro ao remover documento obrigatório'));
+      console.error('[CourseDocumentRequirementsPanel] Erro ao remover regra:', err);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2 mb-2">
+        <FileCheck size={20} className="text-blue-600" />
+        Documentos obrigatórios
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        A matrícula só é ativada com estes documentos aprovados. Para exigir um documento apenas em
+        alguns cursos, deixe o tipo de documento como não obrigatório e vincule-o aqui.
+      </p>
+
+      {!requirements || requirements.documentTypes.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">Nenhum documento obrigatório para este curso.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg mb-4">
+          {requirements.documentTypes.map((item) => (
+            <li
+              key={item.documentType?.id}
+              className="flex items-center justify-between gap-3 px-4 py-2 text-sm"
+            >
+              <div>
+                <p className="text-gray-900">{item.documentType?.name}</p>
+                {item.documentType?.description && (
+                  <p className="text-xs text-gray-500">{item.documentType.description}</p>
+                )}
+              </div>
+              <div className="flex items-center gap-3 whitespace-nowrap">
+                <span className={`px-2 py-0.5 text-xs rounded-full ${ORIGIN_CLASSES[item.origin]}`}>
+                  {item.origin === 'course_type'
+                    ? `${DOCUMENT_REQUIREMENT_ORIGIN_LABELS.course_type}: ${courseType}`
+                    : DOCUMENT_REQUIREMENT_ORIGIN_LABELS[item.origin]}
+                </span>
+                {item.requirementId && (
+                  <button
+                    onClick={() => handleRemove(item)}
+                    className="text-red-600 hover:text-red-800"
+                    title="Deixar de exigir"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[200px]">
+          <label
+            htmlFor="requiredDocumentType"
+            className="block text-sm font-medium text-gray-700 mb-1"
+          >
+            Tipo de documento
+          </label>
+          <select
+            id="requiredDocumentType"
+            value={selectedDocumentTypeId || ''}
+            onChange={(e) =>
+              setSelectedDocumentTypeId(e.target.value ? parseInt(e.target.value, 10) : null)
+            }
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">Selecione</option>
+            {availableTypes.map((type) => (
+              <option key={type.id} value={type.id}>
+                {type.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label
+            htmlFor="requirementScope"
+            className="block text-sm font-medium text-gray-700 mb-1"
+          >
+            Exigir em
+          </label>
+          <select
+            id="requirementScope"
+            value={scope}
+            onChange={(e) => setScope(e.target.value as 'course' | 'course_type')}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="course">Somente este curso</option>
+            <option value="course_type" disabled={!courseType}>
+              Todos os cursos do tipo {courseType}
+            </option>
+          </select>
+        </div>
+        <Button size="sm" onClick={handleAdd} disabled={isSubmitting || !selectedDocumentTypeId}>
+          <Plus size={16} />
+          Exigir documento
+        </Button>
+      </div>
+    </div>
+  );
+}
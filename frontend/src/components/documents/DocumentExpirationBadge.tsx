@@ -0,0 +1,69 @@
+/**
+ * Arquivo: frontend/src/components/documents/DocumentExpirationBadge.tsx
+ * Descrição: Validade de um documento aprovado (válido até, vence em breve, vencido)
+ * Feature: feat-133 - Validade de documentos e reenvio periódico
+ * Criado em: 2026-10-19
+ */
+
+import type { IDocument } from '@/types/document.types';
+
+/**
+ * Props do DocumentExpirationBadge
+ */
+interface DocumentExpirationBadgeProps {
+  /**
+   * Documento com expiresAt e expirationNotice
+   */
+  document: Pick<IDocument, 'status' | 'expiresAt' | 'expirationNotice'>;
+}
+
+/**
+ * Data YYYY-MM-DD em DD/MM/YYYY (sem conversão de fuso horário)
+ */
+function formatDateOnly(date: string): string {
+  return date.slice(0, 10).split('-').reverse().join('/');
+}
+
+/**
+ * Data de hoje no formato YYYY-MM-DD (horário local)
+ */
+function today(): string {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Componente: DocumentExpirationBadge
+ *
+ * Mostra a validade de documentos aprovados cujo tipo expira. Documento vencido conta como
+ * pendente e deve ser reenviado; "vence em breve" indica que o aviso de vencimento já foi
+ * enviado e o reenvio está liberado. Não renderiza nada para documentos sem validade.
+ *
+ * @example
+ * <DocumentExpirationBadge document={document} />
+ */
+export function DocumentExpirationBadge({ document }: DocumentExpirationBadgeProps) {
+  if (document.status !== 'approved' || !document.expiresAt) return null;
+
+  const date = formatDateOnly(document.expiresAt);
+
+  if (document.expiresAt < today()) {
+    return (
+      <span className="inline-flex px-2 py-0.5 rounded-full text-xs font-medium border bg-red-100 text-red-800 border-red-300">
+        Vencido em {date}
+      </span>
+    );
+  }
+
+  if (document.expirationNotice === 'expiring_soon') {
+    return (
+      <span className="inline-flex px-2 py-0.5 rounded-full text-xs font-medium border bg-yellow-100 text-yellow-800 border-yellow-300">
+        Vence em {date}
+      </span>
+    );
+  }
+
+  return <span className="text-xs text-gray-500">Válido até {date}</span>;
+}
@@ -18,7 +18,8 @@ import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { Input } from '@/components/ui/Input';
 import { Button } from '@/components/ui/Button';
-import type { ICourse } from '@/types/course.types';
+import { GRADING_FORMULA_LABELS, RECOVERY_RULE_LABELS } from '@/types/course.types';
+import type { ICourse, GradingFormula, RecoveryRule } from '@/types/course.types';
 import type { ICreateCourseData, IUpdateCourseData } from '@/services/course.service';
 
 /**
@@ -26,7 +27,7 @@ import type { ICreateCourseData, IUpdateCourseData } from '@/services/course.ser
  *
  * Valida todos os campos obrigatórios e opcionais com suas respectivas regras
  */
-const courseFormSchema = z.object({
+const courseFieldsSchema = z.object({
   name: z.string()
     .min(3, 'Nome deve ter no mínimo 3 caracteres')
     .max(100, 'Nome deve ter no máximo 100 caracteres')
@@ -49,8 +50,30 @@ const courseFormSchema = z.object({
   courseType: z.string()
     .min(1, 'Tipo de curso é obrigatório')
     .trim(),
+
+  gradingFormula: z.enum(['arithmetic', 'weighted', 'best_of', 'final_replaces_lowest'], {
+    message: 'Fórmula da média é obrigatória',
+  }),
+
+  gradingBestOf: z
+    .number({ message: 'Informe a quantidade de notas' })
+    .int('Quantidade de notas deve ser um número inteiro')
+    .min(1, 'Quantidade mínima é 1')
+    .nullable(),
+
+  recoveryRule: z.enum(['replace', 'average', 'highest'], {
+    message: 'Regra de recuperação é obrigatória',
+  }),
 });
 
+/**
+ * A fórmula best_of exige a quantidade de notas consideradas na média
+ */
+const courseFormSchema = courseFieldsSchema.refine(
+  (data) => data.gradingFormula !== 'best_of' || data.gradingBestOf !== null,
+  { message: 'Informe quantas notas entram na média', path: ['gradingBestOf'] }
+);
+
 /**
  * Tipo inferido do schema de validação
  */
@@ -120,6 +143,7 @@ export function CourseForm({
     handleSubmit,
     formState: { errors },
     reset,
+    watch,
   } = useForm<CourseFormData>({
     resolver: zodResolver(courseFormSchema),
     defaultValues: {
@@ -128,9 +152,14 @@ export function CourseForm({
       duration: 1,
       durationType: 'Semestres',
       courseType: 'Superior',
+      gradingFormula: 'arithmetic',
+      gradingBestOf: null,
+      recoveryRule: 'average',
     },
   });
 
+  const gradingFormula = watch('gradingFormula');
+
   /**
    * Preenche formulário com dados iniciais quando em modo edição
    */
@@ -142,6 +171,9 @@ export function CourseForm({
         duration: initialData.duration || 1,
         durationType: initialData.durationType || 'Semestres',
         courseType: initialData.courseType || 'Superior',
+        gradingFormula: initialData.gradingFormula || 'arithmetic',
+        gradingBestOf: initialData.gradingBestOf ?? null,
+        recoveryRule: initialData.recoveryRule || 'average',
       });
     }
   }, [initialData, reset]);
@@ -151,7 +183,11 @@ export function CourseForm({
    */
   const handleFormSubmit = async (data: CourseFormData) => {
     try {
-      await onSubmit(data);
+      await onSubmit({
+        ...data,
+        // A quantidade de notas só faz sentido na fórmula best_of
+        gradingBestOf: data.gradingFormula === 'best_of' ? data.gradingBestOf : null,
+      });
     } catch (error) {
       console.error('[CourseForm] Erro ao submeter formulário:', error);
     }
@@ -264,6 +300,69 @@ export function CourseForm({
               <p className="mt-1 text-sm text-red-600">{errors.courseType.message}</p>
             )}
           </div>
+
+          {/* Fórmula da média final */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Fórmula da média <span className="text-red-500">*</span>
+              </label>
+              <select
+                {...register('gradingFormula')}
+                disabled={loading}
+                className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                  errors.gradingFormula ? 'border-red-300 text-red-900' : 'border-gray-300'
+                } ${loading ? 'bg-gray-50 cursor-not-allowed' : ''}`}
+              >
+                {(Object.keys(GRADING_FORMULA_LABELS) as GradingFormula[]).map((formula) => (
+                  <option key={formula} value={formula}>
+                    {GRADING_FORMULA_LABELS[formula]}
+                  </option>
+                ))}
+              </select>
+              {errors.gradingFormula && (
+                <p className="mt-1 text-sm text-red-600">{errors.gradingFormula.message}</p>
+              )}
+            </div>
+
+            {gradingFormula === 'best_of' && (
+              <Input
+                {...register('gradingBestOf', {
+                  setValueAs: (value) => (value === '' || value === null ? null : Number(value)),
+                })}
+                type="number"
+                label="Quantidade de notas"
+                placeholder="2"
+                error={errors.gradingBestOf?.message}
+                required
+                disabled={loading}
+                min={1}
+              />
+            )}
+          </div>
+
+          {/* Regra de recuperação */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Regra de recuperação <span className="text-red-500">*</span>
+            </label>
+            <select
+              {...register('recoveryRule')}
+              disabled={loading}
+              className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                errors.recoveryRule ? 'border-red-300 text-red-900' : 'border-gray-300'
+              } ${loading ? 'bg-gray-50 cursor-not-allowed' : ''}`}
+            >
+              {(Object.keys(RECOVERY_RULE_LABELS) as RecoveryRule[]).map((rule) => (
+                <option key={rule} value={rule}>
+                  {RECOVERY_RULE_LABELS[rule]}
+                </option>
+              ))}
+            </select>
+            {errors.recoveryRule && (
+              <p className="mt-1 text-sm text-red-600">{errors.recoveryRule.message}</p>
+            )}
+          </div>
         </div>
       </div>
 
@@ -26,6 +26,11 @@ const evaluationFormSchema = z.object({
   name: z.string().min(3, 'Nome deve ter no mínimo 3 caracteres').max(200, 'Nome deve ter no máximo 200 caracteres'),
   date: z.string().min(1, 'Data é obrigatória'),
   type: z.enum(['grade', 'concept'], { message: 'Tipo é obrigatório' }),
+  weight: z.coerce
+    .number({ message: 'Peso deve ser um número' })
+    .gt(0, 'Peso deve ser maior que zero')
+    .max(100, 'Peso deve ser no máximo 100'),
+  isFinalExam: z.boolean().optional(),
 });
 
 type EvaluationFormData = z.infer<typeof evaluationFormSchema>;
@@ -58,6 +63,8 @@ export function EvaluationForm({ initialData, onSubmit, onCancel, loading = fals
       name: '',
       date: '',
       type: 'grade',
+      weight: 1,
+      isFinalExam: false,
     },
   });
 
@@ -77,6 +84,8 @@ export function EvaluationForm({ initialData, onSubmit, onCancel, loading = fals
         name: initialData.name,
         date: initialData.date,
         type: initialData.type,
+        weight: initialData.weight ?? 1,
+        isFinalExam: initialData.isFinalExam ?? false,
       });
       setSelectedClassId(initialData.classId);
     }
@@ -267,6 +276,37 @@ export function EvaluationForm({ initialData, onSubmit, onCancel, loading = fals
             </div>
             {errors.type && <p className="mt-1 text-sm text-red-600">{errors.type.message}</p>}
           </div>
+
+          <div>
+            <Input
+              {...register('weight')}
+              type="number"
+              step="0.01"
+              min={0.01}
+              max={100}
+              label="Peso"
+              error={errors.weight?.message}
+              disabled={loading}
+              required
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Usado quando o curso ou a disciplina calcula a média ponderada
+            </p>
+          </div>
+
+          <div className="flex items-start">
+            <label className="flex items-center mt-6">
+              <input
+                {...register('isFinalExam')}
+                type="checkbox"
+                className="mr-2"
+                disabled={loading}
+              />
+              <span className="text-sm text-gray-700">
+                Prova final (substitui a menor nota quando a fórmula do curso permitir)
+              </span>
+            </label>
+          </div>
         </div>
       </div>
 
@@ -0,0 +1,226 @@
+/**
+ * Arquivo: frontend/src/components/grades/ClassResultsPanel.tsx
+ * Descrição: Resultado final (média e situação) dos alunos de uma turma por disciplina
+ * Feature: feat-113 - Média final e situação calculadas pelo backend
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Buscar o resultado da disciplina selecionada (GET /grades/class/:classId/discipline/:disciplineId/results)
+ * - Exibir média, avaliações lançadas, frequência e situação de cada aluno
+ * - Exibir o resumo por situação e a regra de aprovação usada pelo backend
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Award } from 'lucide-react';
+import { getClassResults } from '@/services/grade.service';
+import {
+  GRADE_RESULT_STATUS_LABELS,
+  type GradeResultStatus,
+  type IClassDisciplineResults,
+} from '@/types/grade.types';
+
+/**
+ * Props do ClassResultsPanel
+ */
+interface ClassResultsPanelProps {
+  /**
+   * ID da turma
+   */
+  classId: number;
+
+  /**
+   * Disciplinas da turma
+   */
+  disciplines: Array<{ id: number; name: string }>;
+
+  /**
+   * Valor que, ao mudar, recarrega o resultado (ex: notas recém-lançadas)
+   */
+  refreshKey?: unknown;
+
+  /**
+   * Chamado a cada carregamento com o resultado da disciplina selecionada
+   */
+  onResultsChange?: (results: IClassDisciplineResults | null) => void;
+}
+
+/**
+ * Retorna classes CSS de cor para a situação final
+ */
+function getResultStatusClass(status: GradeResultStatus): string {
+  switch (status) {
+    case 'approved':
+      return 'bg-green-100 text-green-800';
+    case 'recovery':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'failed':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-gray-100 text-gray-700';
+  }
+}
+
+/**
+ * Componente: ClassResultsPanel
+ *
+ * A média e a situação vêm prontas do backend (mesma regra usada nos portais do aluno,
+ * do professor e do admin); o componente apenas as exibe.
+ *
+ * @example
+ * <ClassResultsPanel classId={3} disciplines={selectedClass.disciplines} refreshKey={grades} />
+ */
+export function ClassResultsPanel({
+  classId,
+  disciplines,
+  refreshKey,
+  onResultsChange,
+}: ClassResultsPanelProps) {
+  const [disciplineId, setDisciplineId] = useState<number | null>(disciplines[0]?.id ?? null);
+  const [results, setResults] = useState<IClassDisciplineResults | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const firstDisciplineId = disciplines[0]?.id ?? null;
+
+  /**
+   * Mantém a disciplina selecionada válida ao trocar de turma
+   */
+  useEffect(() => {
+    setDisciplineId(firstDisciplineId);
+  }, [classId, firstDisciplineId]);
+
+  /**
+   * Carrega o resultado da disciplina selecionada
+   */
+  const loadResults = useCallback(async () => {
+    if (!disciplineId) {
+      setResults(null);
+      onResultsChange?.(null);
+      return;
+    }
+
+    try {
+      setError(null);
+      const data = await getClassResults(classId, disciplineId);
+      setResults(data);
+      onResultsChange?.(data);
+    } catch (err) {
+      console.error('[ClassResultsPanel] Erro ao carregar resultado final:', err);
+      setResults(null);
+      onResultsChange?.(null);
+      setError(err instanceof Error ? err.message : 'Erro ao carregar resultado final.');
+    }
+  }, [classId, disciplineId, onResultsChange]);
+
+  useEffect(() => {
+    loadResults();
+  }, [loadResults, refreshKey]);
+
+  if (!disciplineId) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <Award className="w-5 h-5 text-purple-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Resultado Final</h2>
+        </div>
+        {disciplines.length > 1 && (
+          <select
+            value={disciplineId}
+            onChange={(e) => setDisciplineId(parseInt(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          >
+            {disciplines.map((discipline) => (
+              <option key={discipline.id} value={discipline.id}>
+                {discipline.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {results && (
+        <>
+          <p className="text-sm text-gray-600">
+            {results.discipline.name} • Aprovação com média {results.passingGrade.toFixed(1)} •
+            Recuperação a partir de {results.recoveryMinGrade.toFixed(1)} • {results.formulaLabel}
+            {results.bestOf ? ` (${results.bestOf} notas)` : ''}
+          </p>
+
+          <div className="flex flex-wrap gap-2">
+            {(Object.keys(results.summary) as GradeResultStatus[]).map((status) => (
+              <span
+                key={status}
+                className={`px-3 py-1 rounded-full text-xs font-medium ${getResultStatusClass(status)}`}
+              >
+                {GRADE_RESULT_STATUS_LABELS[status]}: {results.summary[status]}
+              </span>
+            ))}
+          </div>
+
+          {results.students.length === 0 ? (
+            <p className="text-center text-gray-500 py-4">Nenhum aluno nesta disciplina</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold text-gray-700">Aluno</th>
+                    <th className="px-4 py-3 text-center font-semibold text-gray-700">Média</th>
+                    <th className="px-4 py-3 text-center font-semibold text-gray-700">
+                      Avaliações
+                    </th>
+                    <th className="px-4 py-3 text-center font-semibold text-gray-700">
+                      Frequência
+                    </th>
+                    <th className="px-4 py-3 text-center font-semibold text-gray-700">Situação</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {results.students.map((student) => (
+                    <tr key={student.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        <p className="font-medium text-gray-900">{student.nome}</p>
+                        <p className="text-xs text-gray-500">{student.matricula}</p>
+                      </td>
+                      <td className="px-4 py-3 text-center font-semibold text-gray-900">
+                        {student.average !== null ? student.average.toFixed(1) : '-'}
+                        {student.concept === 'unsatisfactory' && (
+                          <span className="block text-xs font-normal text-red-600">
+                            Conceito insatisfatório
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-center text-gray-600">
+                        {student.gradedEvaluations}/{student.totalEvaluations}
+                      </td>
+                      <td className="px-4 py-3 text-center text-gray-600">
+                        {student.frequency && student.frequency.frequencyPercentage !== null
+                          ? `${student.frequency.frequencyPercentage.toFixed(1)}%`
+                          : '-'}
+                      </td>
+                      <td className="px-4 py-3 text-center">
+                        <span
+                          className={`px-2 py-1 rounded-full text-xs font-medium ${getResultStatusClass(student.status)}`}
+                        >
+                          {GRADE_RESULT_STATUS_LABELS[student.status]}
+                          {student.failedByAbsence && ' (faltas)'}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,366 @@
+/**
+ * Arquivo: frontend/src/components/grades/RecoveryPanel.tsx
+ * Descrição: Painel de recuperação de uma turma (alunos elegíveis, avaliação e notas)
+ * Feature: feat-115 - Recuperação
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar os alunos em recuperação por disciplina (calculado pelo backend)
+ * - Criar a avaliação de recuperação da disciplina
+ * - Lançar as notas da recuperação e exibir a média/situação finais
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { LifeBuoy, Save } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import * as EvaluationService from '@/services/evaluation.service';
+import { createGrade, getClassRecovery } from '@/services/grade.service';
+import {
+  GRADE_RESULT_STATUS_LABELS,
+  type GradeResultStatus,
+  type IClassRecovery,
+} from '@/types/grade.types';
+
+/**
+ * Props do RecoveryPanel
+ */
+interface RecoveryPanelProps {
+  /**
+   * ID da turma
+   */
+  classId: number;
+
+  /**
+   * Disciplinas da turma
+   */
+  disciplines: Array<{ id: number; name: string }>;
+
+  /**
+   * Callback após criar a avaliação ou lançar notas (para recarregar a página)
+   */
+  onChanged?: () => void;
+}
+
+/**
+ * Retorna classes CSS de cor para a situação final
+ */
+function getStatusClass(status: GradeResultStatus): string {
+  switch (status) {
+    case 'approved':
+      return 'bg-green-100 text-green-800';
+    case 'recovery':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'failed':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-gray-100 text-gray-700';
+  }
+}
+
+/**
+ * Formata média para exibição
+ */
+function formatAverage(value: number | null): string {
+  return value !== null ? value.toFixed(1) : '-';
+}
+
+/**
+ * RecoveryPanel - Recuperação por disciplina da turma
+ *
+ * @example
+ * <RecoveryPanel classId={5} disciplines={selectedClass.disciplines} />
+ */
+export function RecoveryPanel({ classId, disciplines, onChanged }: RecoveryPanelProps) {
+  const [disciplineId, setDisciplineId] = useState<number | null>(disciplines[0]?.id ?? null);
+  const [recovery, setRecovery] = useState<IClassRecovery | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  // Formulário da avaliação de recuperação
+  const [evaluationName, setEvaluationName] = useState('Recuperação');
+  const [evaluationDate, setEvaluationDate] = useState('');
+
+  // Notas digitadas (studentId -> valor)
+  const [recoveryGrades, setRecoveryGrades] = useState<Record<number, string>>({});
+
+  const firstDisciplineId = disciplines[0]?.id ?? null;
+
+  /**
+   * Mantém a disciplina selecionada válida ao trocar de turma
+   */
+  useEffect(() => {
+    setDisciplineId(firstDisciplineId);
+  }, [classId, firstDisciplineId]);
+
+  /**
+   * Carrega os alunos em recuperação da disciplina selecionada
+   */
+  const loadRecovery = useCallback(async () => {
+    if (!disciplineId) {
+      setRecovery(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getClassRecovery(classId, disciplineId);
+      setRecovery(data);
+      setRecoveryGrades(
+        Object.fromEntries(
+          data.students
+            .filter((student) => student.recoveryGrade !== null)
+            .map((student) => [student.id, String(student.recoveryGrade)])
+        )
+      );
+    } catch (err) {
+      console.error('[RecoveryPanel] Erro ao carregar recuperação:', err);
+      setRecovery(null);
+      setError(err instanceof Error ? err.message : 'Erro ao carregar alunos em recuperação.');
+    } finally {
+      setLoading(false);
+    }
+  }, [classId, disciplineId]);
+
+  useEffect(() => {
+    loadRecovery();
+  }, [loadRecovery]);
+
+  /**
+   * Cria a avaliação de recuperação da disciplina
+   */
+  const handleCreateEvaluation = async () => {
+    if (!disciplineId) return;
+
+    if (!evaluationName.trim() || !evaluationDate) {
+      setError('Informe o nome e a data da avaliação de recuperação');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      await EvaluationService.create({
+        classId,
+        disciplineId,
+        name: evaluationName.trim(),
+        date: evaluationDate,
+        type: 'grade',
+        isRecovery: true,
+      });
+      setMessage('Avaliação de recuperação criada com sucesso!');
+      await loadRecovery();
+      onChanged?.();
+    } catch (err) {
+      console.error('[RecoveryPanel] Erro ao criar avaliação de recuperação:', err);
+      setError(err instanceof Error ? err.message : 'Erro ao criar avaliação de recuperação');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Salva as notas de recuperação digitadas
+   */
+  const handleSaveGrades = async () => {
+    if (!recovery?.recoveryEvaluation) return;
+
+    const entries = Object.entries(recoveryGrades).filter(([, value]) => value !== '');
+    const invalid = entries.some(([, value]) => {
+      const grade = parseFloat(value);
+      return isNaN(grade) || grade < 0 || grade > 10;
+    });
+
+    if (invalid) {
+      setError('As notas devem estar entre 0 e 10');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      for (const [studentId, value] of entries) {
+        await createGrade({
+          evaluationId: recovery.recoveryEvaluation.id,
+          studentId: parseInt(studentId, 10),
+          grade: parseFloat(value),
+        });
+      }
+      setMessage('Notas de recuperação salvas com sucesso!');
+      await loadRecovery();
+      onChanged?.();
+    } catch (err) {
+      console.error('[RecoveryPanel] Erro ao salvar notas de recuperação:', err);
+      setError(err instanceof Error ? err.message : 'Erro ao salvar notas de recuperação');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <LifeBuoy className="w-5 h-5 text-purple-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Recuperação</h2>
+        </div>
+        {disciplines.length > 1 && (
+          <select
+            value={disciplineId ?? ''}
+            onChange={(e) => setDisciplineId(parseInt(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          >
+            {disciplines.map((discipline) => (
+              <option key={discipline.id} value={discipline.id}>
+                {discipline.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {message && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-sm text-green-700">
+          {message}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {!disciplineId && (
+        <p className="text-center text-gray-500 py-4">Turma não possui disciplinas atribuídas</p>
+      )}
+
+      {loading && <p className="text-center text-gray-500 py-4">Carregando...</p>}
+
+      {!loading && recovery && (
+        <>
+          <p className="text-sm text-gray-600">
+            {recovery.discipline.name} • {recovery.recoveryRuleLabel} • Aprovação após a recuperação
+            com média {recovery.recoveryPassingGrade.toFixed(1)}
+          </p>
+
+          {recovery.students.length === 0 ? (
+            <p className="text-center text-gray-500 py-4">
+              Nenhum aluno em recuperação nesta disciplina
+            </p>
+          ) : (
+            <>
+              {!recovery.recoveryEvaluation ? (
+                <div className="border border-dashed border-gray-300 rounded-lg p-4 space-y-3">
+                  <p className="text-sm text-gray-700">
+                    Crie a avaliação de recuperação para lançar as notas dos{' '}
+                    {recovery.students.length} aluno(s) abaixo.
+                  </p>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+                    <Input
+                      label="Nome da avaliação"
+                      value={evaluationName}
+                      onChange={(e) => setEvaluationName(e.target.value)}
+                      disabled={saving}
+                    />
+                    <Input
+                      type="date"
+                      label="Data"
+                      value={evaluationDate}
+                      onChange={(e) => setEvaluationDate(e.target.value)}
+                      disabled={saving}
+                    />
+                    <Button onClick={handleCreateEvaluation} loading={saving} disabled={saving}>
+                      Criar avaliação de recuperação
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-700">
+                  Avaliação: <strong>{recovery.recoveryEvaluation.name}</strong> (
+                  {new Date(recovery.recoveryEvaluation.date).toLocaleDateString('pt-BR')})
+                </p>
+              )}
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 border-b border-gray-200">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-semibold text-gray-700">Aluno</th>
+                      <th className="px-4 py-3 text-center font-semibold text-gray-700">
+                        Média do período
+                      </th>
+                      <th className="px-4 py-3 text-center font-semibold text-gray-700">
+                        Nota da recuperação
+                      </th>
+                      <th className="px-4 py-3 text-center font-semibold text-gray-700">
+                        Média final
+                      </th>
+                      <th className="px-4 py-3 text-center font-semibold text-gray-700">
+                        Situação
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {recovery.students.map((student) => (
+                      <tr key={student.id} className="hover:bg-gray-50">
+                        <td className="px-4 py-3">
+                          <p className="font-medium text-gray-900">{student.nome}</p>
+                          <p className="text-xs text-gray-500">{student.matricula}</p>
+                        </td>
+                        <td className="px-4 py-3 text-center text-gray-900">
+                          {formatAverage(student.regularAverage)}
+                          {student.concept === 'unsatisfactory' && (
+                            <span className="block text-xs text-red-600">
+                              Conceito insatisfatório
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-center">
+                          <input
+                            type="number"
+                            min={0}
+                            max={10}
+                            step={0.1}
+                            value={recoveryGrades[student.id] ?? ''}
+                            onChange={(e) =>
+                              setRecoveryGrades({ ...recoveryGrades, [student.id]: e.target.value })
+                            }
+                            disabled={!recovery.recoveryEvaluation || saving}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded text-center focus:ring-2 focus:ring-purple-500 disabled:bg-gray-100"
+                          />
+                        </td>
+                        <td className="px-4 py-3 text-center font-semibold text-gray-900">
+                          {student.recoveryGrade !== null ? formatAverage(student.average) : '-'}
+                        </td>
+                        <td className="px-4 py-3 text-center">
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusClass(student.status)}`}
+                          >
+                            {GRADE_RESULT_STATUS_LABELS[student.status]}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {recovery.recoveryEvaluation && (
+                <div className="flex justify-end pt-4 border-t border-gray-200">
+                  <Button onClick={handleSaveGrades} loading={saving} disabled={saving}>
+                    <Save className="w-4 h-4 mr-2" />
+                    Salvar notas da recuperação
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
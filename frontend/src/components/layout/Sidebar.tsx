@@ -24,6 +24,14 @@ import {
   SchoolIcon,
   ClipboardCheckIcon,
   UserIcon,
+  ShieldCheckIcon,
+  ListChecksIcon,
+  FileSignatureIcon,
+  RefreshCwIcon,
+  CalendarCheckIcon,
+  ArrowRightLeftIcon,
+  MailIcon,
+  BellIcon,
 } from 'lucide-react';
 import { type UserRole } from '@/types/user.types';
 
@@ -66,7 +74,14 @@ const getNavigationItems = (role: UserRole): NavigationItem[] => {
       { name: 'Lançar Notas', href: '/admin/grades', icon: ClipboardListIcon },
       { name: 'Documentos', href: '/admin/documents', icon: FileTextIcon },
       { name: 'Contratos', href: '/admin/contracts', icon: FileTextIcon },
+      { name: 'Rematrícula', href: '/admin/reenrollment-campaigns', icon: RefreshCwIcon },
+      { name: 'Fechamento de Semestre', href: '/admin/semester-closing', icon: CalendarCheckIcon },
+      { name: 'Transferência de Turma', href: '/admin/class-transfers', icon: ArrowRightLeftIcon },
+      { name: 'Templates de Contrato', href: '/admin/contract-templates', icon: FileSignatureIcon },
       { name: 'Solicitações', href: '/admin/requests', icon: ClipboardListIcon },
+      { name: 'Tipos de Solicitação', href: '/admin/request-types', icon: ListChecksIcon },
+      { name: 'Documentos Assinados', href: '/admin/signed-documents', icon: ShieldCheckIcon },
+      { name: 'Histórico de Emails', href: '/admin/emails', icon: MailIcon },
     ];
   }
 
@@ -78,6 +93,8 @@ const getNavigationItems = (role: UserRole): NavigationItem[] => {
       { name: 'Avaliações', href: '/teacher/evaluations', icon: ClipboardCheckIcon },
       { name: 'Lançar Notas', href: '/teacher/grades', icon: ClipboardListIcon },
       { name: 'Meus Documentos', href: '/teacher/documents', icon: FileTextIcon },
+      { name: 'Meus Contratos', href: '/teacher/contracts', icon: FileSignatureIcon },
+      { name: 'Notificações', href: '/teacher/notifications', icon: BellIcon },
     ];
   }
 
@@ -88,9 +105,11 @@ const getNavigationItems = (role: UserRole): NavigationItem[] => {
       { name: 'Meus Dados', href: '/student/my-data', icon: UserIcon },
       { name: 'Minha Grade', href: '/student/schedule', icon: CalendarIcon },
       { name: 'Minhas Notas', href: '/student/grades', icon: ClipboardListIcon },
+      { name: 'Integralização', href: '/student/degree-audit', icon: GraduationCapIcon },
       { name: 'Meus Documentos', href: '/student/documents', icon: FileTextIcon },
       { name: 'Meus Contratos', href: '/student/contracts', icon: FileTextIcon },
       { name: 'Solicitações', href: '/student/requests', icon: FileTextIcon },
+      { name: 'Notificações', href: '/student/notifications', icon: BellIcon },
     ];
   }
 
@@ -0,0 +1,108 @@
+/**
+ * Arquivo: frontend/src/components/notifications/NotificationPreferencesPanel.tsx
+ * Descrição: Preferências de notificação por email do usuário logado (aluno ou professor)
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ */
+
+import { useState } from 'react';
+import { Mail } from 'lucide-react';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import { getApiErrorMessage } from '@/services/api';
+import {
+  useNotificationPreferences,
+  useUpdateNotificationPreferences,
+} from '@/hooks/useNotificationPreferences';
+import type { INotificationPreference } from '@/types/notification.types';
+
+/**
+ * Componente: NotificationPreferencesPanel
+ *
+ * Lista os eventos acadêmicos do perfil do usuário com um interruptor por evento. A alteração
+ * é gravada no momento do clique; eventos desativados deixam de gerar email.
+ *
+ * @example
+ * <NotificationPreferencesPanel />
+ */
+export function NotificationPreferencesPanel() {
+  const { data: preferences = [], isLoading, error } = useNotificationPreferences();
+  const updatePreferences = useUpdateNotificationPreferences();
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  /**
+   * Handler do interruptor de um evento
+   */
+  const handleToggle = async (preference: INotificationPreference) => {
+    try {
+      await updatePreferences.mutateAsync([
+        { event: preference.event, emailEnabled: !preference.emailEnabled },
+      ]);
+      setToast({
+        message: preference.emailEnabled
+          ? `Emails de "${preference.label}" desativados`
+          : `Emails de "${preference.label}" ativados`,
+        type: 'success',
+      });
+    } catch (err) {
+      setToast({ message: getApiErrorMessage(err, 'Erro ao salvar a preferência'), type: 'error' });
+      console.error('[NotificationPreferencesPanel] Erro ao salvar preferência:', err);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-800">
+        <p className="font-semibold">Erro ao carregar as preferências</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <ul className="divide-y divide-gray-200">
+        {preferences.map((preference) => (
+          <li key={preference.event} className="flex items-center justify-between gap-4 py-4">
+            <div className="flex items-start gap-3">
+              <Mail
+                className={preference.emailEnabled ? 'text-blue-600' : 'text-gray-400'}
+                size={20}
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{preference.label}</p>
+                <p className="text-sm text-gray-600">{preference.description}</p>
+              </div>
+            </div>
+
+            <button
+              type="button"
+              role="switch"
+              aria-checked={preference.emailEnabled}
+              aria-label={`Receber email: ${preference.label}`}
+              onClick={() => handleToggle(preference)}
+              disabled={updatePreferences.isPending}
+              className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 ${
+                preference.emailEnabled ? 'bg-blue-600' : 'bg-gray-300'
+              }`}
+            >
+              <span
+                className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                  preference.emailEnabled ? 'translate-x-6' : 'translate-x-1'
+                }`}
+              />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </>
+  );
+}
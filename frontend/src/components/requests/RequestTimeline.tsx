@@ -0,0 +1,330 @@
+/**
+ * Arquivo: frontend/src/components/requests/RequestTimeline.tsx
+ * Descrição: Linha do tempo e conversa de uma solicitação (status, comentários e anexos)
+ * Feature: feat-120 - Fluxo de atendimento das solicitações
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Exibir as mudanças de status, comentários e anexos em ordem cronológica
+ * - Enviar comentários e anexos (PDF, JPG ou PNG) enquanto a solicitação estiver aberta
+ * - Baixar os anexos enviados pela secretaria ou pelo aluno
+ *
+ * Usado tanto na página do aluno quanto na gestão de solicitações do admin.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ArrowRightCircle, Download, MessageSquare, Paperclip, Send, X } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import {
+  addComment,
+  downloadAttachment,
+  getTimeline,
+  uploadAttachment,
+} from '@/services/request.service';
+import {
+  REQUEST_STATUS_LABELS,
+  type IRequestAttachment,
+  type IRequestEventUser,
+  type IRequestTimeline,
+} from '@/types/request.types';
+
+/**
+ * Tipos de arquivo aceitos (mesmos do upload de documentos)
+ */
+const ACCEPTED_FILES = '.pdf,.jpg,.jpeg,.png';
+
+/**
+ * Props do RequestTimeline
+ */
+interface RequestTimelineProps {
+  /**
+   * ID da solicitação
+   */
+  requestId: number;
+
+  /**
+   * Se true, exibe o formulário de resposta (solicitação aberta)
+   */
+  canRespond: boolean;
+
+  /**
+   * Incrementar para recarregar a linha do tempo (ex: após mudar o status na página)
+   */
+  refreshKey?: number;
+
+  /**
+   * Callback após enviar comentário ou anexo (o status pode ter mudado)
+   */
+  onChanged?: () => void;
+}
+
+/**
+ * Formata data e hora para exibição
+ */
+function formatDateTime(dateString: string): string {
+  return new Date(dateString).toLocaleString('pt-BR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Nome do autor do evento, identificando a secretaria
+ */
+function formatAuthor(user: IRequestEventUser | null): string {
+  if (!user) return 'Sistema';
+  return user.role === 'admin' ? `${user.name} (Secretaria)` : user.name;
+}
+
+/**
+ * Formata o tamanho do arquivo em KB/MB
+ */
+function formatFileSize(bytes: number): string {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * RequestTimeline - Linha do tempo e conversa da solicitação
+ *
+ * @example
+ * <RequestTimeline requestId={request.id} canRespond={request.status !== 'approved'} />
+ */
+export function RequestTimeline({
+  requestId,
+  canRespond,
+  refreshKey = 0,
+  onChanged,
+}: RequestTimelineProps) {
+  const [timeline, setTimeline] = useState<IRequestTimeline | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [downloadingId, setDownloadingId] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState('');
+  const [file, setFile] = useState<File | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  /**
+   * Carrega a linha do tempo da solicitação
+   */
+  const loadTimeline = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getTimeline(requestId);
+      setTimeline(data);
+    } catch (err) {
+      console.error('[RequestTimeline] Erro ao carregar linha do tempo:', err);
+      setError(err instanceof Error ? err.message : 'Erro ao carregar o histórico da solicitação.');
+    } finally {
+      setLoading(false);
+    }
+  }, [requestId]);
+
+  useEffect(() => {
+    loadTimeline();
+  }, [loadTimeline, refreshKey]);
+
+  /**
+   * Limpa o arquivo selecionado
+   */
+  const clearFile = () => {
+    setFile(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  /**
+   * Envia o comentário (e o anexo, quando selecionado)
+   */
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!message.trim() && !file) return;
+
+    try {
+      setSending(true);
+      setError(null);
+
+      if (file) {
+        await uploadAttachment(requestId, file, message.trim() || undefined);
+      } else {
+        await addComment(requestId, message.trim());
+      }
+
+      setMessage('');
+      clearFile();
+      await loadTimeline();
+      onChanged?.();
+    } catch (err) {
+      console.error('[RequestTimeline] Erro ao enviar resposta:', err);
+      setError(err instanceof Error ? err.message : 'Erro ao enviar. Tente novamente.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  /**
+   * Baixa um anexo
+   */
+  const handleDownload = async (attachment: IRequestAttachment) => {
+    try {
+      setDownloadingId(attachment.id);
+      await downloadAttachment(requestId, attachment);
+    } catch (err) {
+      console.error('[RequestTimeline] Erro ao baixar anexo:', err);
+      setError('Erro ao baixar o anexo. Tente novamente.');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  /**
+   * Renderiza o link de download de um anexo
+   */
+  const renderAttachment = (attachment: IRequestAttachment) => (
+    <button
+      key={attachment.id}
+      type="button"
+      onClick={() => handleDownload(attachment)}
+      disabled={downloadingId === attachment.id}
+      className="flex items-center gap-2 text-sm text-blue-700 hover:text-blue-900 hover:underline disabled:opacity-50"
+    >
+      <Paperclip className="w-4 h-4 flex-shrink-0" />
+      <span className="truncate">{attachment.fileName}</span>
+      <span className="text-xs text-gray-500">({formatFileSize(attachment.fileSize)})</span>
+      <Download className="w-4 h-4 flex-shrink-0" />
+    </button>
+  );
+
+  return (
+    <div className="space-y-4">
+      <h4 className="text-sm font-semibold text-gray-900">Histórico e conversa</h4>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading && !timeline ? (
+        <p className="text-sm text-gray-500">Carregando histórico...</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+          {timeline?.events.map((event) => (
+            <li key={`${event.type}-${event.id}`} className="ml-4">
+              <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border border-white bg-gray-300" />
+              <p className="text-xs text-gray-500">
+                {formatDateTime(event.createdAt)} · {formatAuthor(event.user)}
+              </p>
+
+              {event.type === 'status' && (
+                <div className="mt-1">
+                  <p className="text-sm text-gray-900 flex items-center gap-1">
+                    <ArrowRightCircle className="w-4 h-4 text-blue-600" />
+                    {event.fromStatus ? (
+                      <>
+                        Status alterado para{' '}
+                        <span className="font-semibold">
+                          {REQUEST_STATUS_LABELS[event.toStatus]}
+                        </span>
+                      </>
+                    ) : (
+                      'Solicitação criada'
+                    )}
+                  </p>
+                  {event.note && (
+                    <p className="text-sm text-gray-700 mt-1 whitespace-pre-wrap">{event.note}</p>
+                  )}
+                </div>
+              )}
+
+              {event.type === 'comment' && (
+                <div
+                  className={`mt-1 p-3 rounded-lg border ${
+                    event.user?.role === 'admin'
+                      ? 'bg-blue-50 border-blue-200'
+                      : 'bg-white border-gray-200'
+                  }`}
+                >
+                  <p className="text-sm text-gray-900 whitespace-pre-wrap break-words flex gap-2">
+                    <MessageSquare className="w-4 h-4 text-gray-500 flex-shrink-0 mt-0.5" />
+                    {event.message}
+                  </p>
+                  {event.attachments.length > 0 && (
+                    <div className="mt-2 space-y-1">{event.attachments.map(renderAttachment)}</div>
+                  )}
+                </div>
+              )}
+
+              {event.type === 'attachment' && (
+                <div className="mt-1">{renderAttachment(event.attachment)}</div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {canRespond && (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            disabled={sending}
+            rows={3}
+            maxLength={2000}
+            placeholder="Escreva uma mensagem..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 resize-none"
+          />
+          <div className="flex items-center justify-between gap-3">
+            <div className="flex items-center gap-2 min-w-0">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={ACCEPTED_FILES}
+                onChange={(e) => setFile(e.target.files?.[0] ?? null)}
+                className="hidden"
+                id={`request-${requestId}-attachment`}
+              />
+              <label
+                htmlFor={`request-${requestId}-attachment`}
+                className="flex items-center gap-1 text-sm text-gray-700 cursor-pointer hover:text-blue-700"
+              >
+                <Paperclip className="w-4 h-4" />
+                Anexar arquivo
+              </label>
+              {file && (
+                <span className="flex items-center gap-1 text-xs text-gray-600 min-w-0">
+                  <span className="truncate">{file.name}</span>
+                  <button
+                    type="button"
+                    onClick={clearFile}
+                    className="text-gray-400 hover:text-red-600"
+                    aria-label="Remover arquivo"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </span>
+              )}
+            </div>
+            <Button
+              type="submit"
+              size="sm"
+              loading={sending}
+              disabled={!message.trim() && !file}
+              className="flex items-center gap-2"
+            >
+              <Send className="w-4 h-4" />
+              Enviar
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+/**
+ * Arquivo: frontend/src/components/students/DegreeAuditPanel.tsx
+ * Descrição: Integralização curricular do aluno (disciplinas e carga horária restantes)
+ * Feature: feat-131 - Integralização curricular do aluno
+ * Criado em: 2026-10-19
+ */
+
+import { useMemo } from 'react';
+import type {
+  DegreeAuditStatus,
+  IDegreeAudit,
+  IDegreeAuditDiscipline,
+  IDegreeAuditExtraDiscipline,
+} from '@/types/degreeAudit.types';
+
+/**
+ * Props do DegreeAuditPanel
+ */
+interface DegreeAuditPanelProps {
+  /**
+   * Integralização retornada pela API
+   */
+  audit: IDegreeAudit;
+}
+
+/**
+ * Cores do badge de cada situação
+ */
+const STATUS_CLASSES: Record<DegreeAuditStatus, string> = {
+  completed: 'bg-green-100 text-green-800 border-green-300',
+  in_progress: 'bg-blue-100 text-blue-800 border-blue-300',
+  pending: 'bg-gray-100 text-gray-700 border-gray-300',
+};
+
+/**
+ * Badge da situação da disciplina
+ */
+function StatusBadge({ status, label }: { status: DegreeAuditStatus; label: string }) {
+  return (
+    <span
+      className={`px-2 py-0.5 rounded-full text-xs font-medium border ${STATUS_CLASSES[status]}`}
+    >
+      {label}
+    </span>
+  );
+}
+
+/**
+ * Detalhe da situação: média, período, dispensa e reprovações anteriores
+ */
+function describeEntry(entry: IDegreeAuditDiscipline | IDegreeAuditExtraDiscipline) {
+  const parts: string[] = [];
+  if (entry.completedBy === 'exempt') {
+    parts.push(entry.note ? `Aproveitamento (${entry.note})` : 'Aproveitamento');
+  }
+  if (entry.average !== null) parts.push(`Média ${entry.average.toFixed(1)}`);
+  if (entry.period) parts.push(entry.period);
+  if (entry.failedAttempts > 0) parts.push(`${entry.failedAttempts} reprovação(ões)`);
+  return parts.join(' • ');
+}
+
+/**
+ * Componente: DegreeAuditPanel
+ *
+ * Mostra o quanto o aluno já integralizou da matriz curricular: totais de carga horária,
+ * disciplinas por semestre com a situação de cada uma e disciplinas extras fora da matriz.
+ *
+ * @example
+ * <DegreeAuditPanel audit={audit} />
+ */
+export function DegreeAuditPanel({ audit }: DegreeAuditPanelProps) {
+  const { totals } = audit;
+
+  const semesters = useMemo(() => {
+    const grouped = new Map<number, IDegreeAuditDiscipline[]>();
+    audit.disciplines.forEach((item) => {
+      if (!grouped.has(item.semester)) grouped.set(item.semester, []);
+      grouped.get(item.semester)?.push(item);
+    });
+    return Array.from(grouped.entries()).sort(([a], [b]) => a - b);
+  }, [audit.disciplines]);
+
+  return (
+    <div className="space-y-6">
+      {/* Totais */}
+      <div>
+        <div className="flex items-center justify-between text-sm text-gray-700 mb-2">
+          <span>
+            <strong>{totals.completedWorkloadHours}h</strong> de {totals.totalWorkloadHours}h
+            concluídas
+            {audit.curriculumVersion && (
+              <span className="text-gray-500"> ({audit.curriculumVersion.name})</span>
+            )}
+          </span>
+          <span className="font-semibold">{totals.progressPercent}%</span>
+        </div>
+        <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-3 bg-green-500"
+            style={{ width: `${Math.min(totals.progressPercent, 100)}%` }}
+          />
+        </div>
+        <div className="grid grid-cols-3 gap-3 mt-4 text-center text-sm">
+          <div className="p-3 bg-green-50 rounded-lg">
+            <p className="text-2xl font-bold text-green-700">{totals.completedCount}</p>
+            <p className="text-green-800">Concluídas ({totals.completedWorkloadHours}h)</p>
+          </div>
+          <div className="p-3 bg-blue-50 rounded-lg">
+            <p className="text-2xl font-bold text-blue-700">{totals.inProgressCount}</p>
+            <p className="text-blue-800">Em andamento ({totals.inProgressWorkloadHours}h)</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-2xl font-bold text-gray-700">{totals.pendingCount}</p>
+            <p className="text-gray-800">Pendentes ({totals.pendingWorkloadHours}h)</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Disciplinas da matriz por semestre */}
+      {semesters.length === 0 ? (
+        <p className="text-sm text-gray-500">O curso não possui disciplinas na grade.</p>
+      ) : (
+        semesters.map(([semester, disciplines]) => (
+          <div key={semester}>
+            <h4 className="text-sm font-semibold text-gray-800 mb-2">{semester}º semestre</h4>
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {disciplines.map((item) => (
+                <li
+                  key={item.discipline?.id}
+                  className="flex items-center justify-between gap-3 px-3 py-2 text-sm"
+                >
+                  <div>
+                    <p className="text-gray-900">
+                      {item.discipline?.code && (
+                        <span className="text-gray-500">{item.discipline.code} - </span>
+                      )}
+                      {item.discipline?.name}
+                    </p>
+                    {describeEntry(item) && (
+                      <p className="text-xs text-gray-500">{describeEntry(item)}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3 whitespace-nowrap">
+                    <span className="text-xs text-gray-500">{item.workloadHours}h</span>
+                    <StatusBadge status={item.status} label={item.statusLabel} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))
+      )}
+
+      {/* Disciplinas extras fora da matriz */}
+      {audit.extraDisciplines.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-2">
+            Disciplinas extras fora da matriz
+          </h4>
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {audit.extraDisciplines.map((item) => (
+              <li
+                key={item.discipline?.id}
+                className="flex items-center justify-between gap-3 px-3 py-2 text-sm"
+              >
+                <div>
+                  <p className="text-gray-900">{item.discipline?.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {[item.reason, describeEntry(item)].filter(Boolean).join(' • ')}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 whitespace-nowrap">
+                  <span className="text-xs text-gray-500">{item.workloadHours}h</span>
+                  <StatusBadge status={item.status} label={item.statusLabel} />
+                </div>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 mt-1">
+            Disciplinas extras fora da matriz não contam para a carga horária do curso.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+/**
+ * Arquivo: frontend/src/hooks/useAttendance.ts
+ * Descrição: Custom hooks para controle de frequência com TanStack Query
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import attendanceService from '@/services/attendance.service';
+import type { ICreateClassSessionDTO, IAttendanceRecordDTO } from '@/types/attendance.types';
+
+export const ATTENDANCE_KEYS = {
+  all: ['attendance'] as const,
+  schedules: (classId: number) => ['attendance', 'schedules', classId] as const,
+  sessions: (classId: number, disciplineId?: number) =>
+    ['attendance', 'sessions', classId, disciplineId] as const,
+  session: (sessionId: number) => ['attendance', 'session', sessionId] as const,
+  classFrequency: (classId: number, disciplineId: number) =>
+    ['attendance', 'frequency', classId, disciplineId] as const,
+};
+
+export const useSessionSchedules = (classId: number) => {
+  return useQuery({
+    queryKey: ATTENDANCE_KEYS.schedules(classId),
+    queryFn: () => attendanceService.getSchedules(classId),
+    enabled: classId > 0,
+  });
+};
+
+export const useClassSessions = (classId: number, disciplineId: number | undefined) => {
+  return useQuery({
+    queryKey: ATTENDANCE_KEYS.sessions(classId, disciplineId),
+    queryFn: () => attendanceService.getSessions(classId, disciplineId),
+    enabled: classId > 0 && !!disciplineId,
+  });
+};
+
+export const useClassSession = (sessionId: number | undefined) => {
+  return useQuery({
+    queryKey: ATTENDANCE_KEYS.session(sessionId ?? 0),
+    queryFn: () => attendanceService.getSession(sessionId ?? 0),
+    enabled: !!sessionId,
+  });
+};
+
+export const useClassFrequency = (classId: number, disciplineId: number | undefined) => {
+  return useQuery({
+    queryKey: ATTENDANCE_KEYS.classFrequency(classId, disciplineId ?? 0),
+    queryFn: () => attendanceService.getClassFrequency(classId, disciplineId ?? 0),
+    enabled: classId > 0 && !!disciplineId,
+  });
+};
+
+export const useCreateClassSession = (classId: number) => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (data: ICreateClassSessionDTO) => attendanceService.createSession(classId, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ATTENDANCE_KEYS.all });
+    },
+  });
+};
+
+export const useRecordAttendances = (sessionId: number) => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (attendances: IAttendanceRecordDTO[]) =>
+      attendanceService.recordAttendances(sessionId, attendances),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ATTENDANCE_KEYS.all });
+    },
+  });
+};
+
+export const useDeleteClassSession = () => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (sessionId: number) => attendanceService.removeSession(sessionId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ATTENDANCE_KEYS.all });
+    },
+  });
+};
@@ -0,0 +1,32 @@
+/**
+ * Arquivo: frontend/src/hooks/useEmailOutbox.ts
+ * Descrição: Custom hooks do histórico de entrega dos emails com TanStack Query
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import emailOutboxService from '@/services/emailOutbox.service';
+import type { IEmailOutboxFilters } from '@/types/emailOutbox.types';
+
+export const EMAIL_OUTBOX_KEYS = {
+  all: ['email-outbox'] as const,
+  list: (filters: IEmailOutboxFilters) => ['email-outbox', 'list', filters] as const,
+};
+
+export const useEmailOutbox = (filters: IEmailOutboxFilters) => {
+  return useQuery({
+    queryKey: EMAIL_OUTBOX_KEYS.list(filters),
+    queryFn: () => emailOutboxService.list(filters),
+  });
+};
+
+export const useRetryEmail = () => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id: number) => emailOutboxService.retry(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: EMAIL_OUTBOX_KEYS.all });
+    },
+  });
+};
@@ -0,0 +1,32 @@
+/**
+ * Arquivo: frontend/src/hooks/useNotificationPreferences.ts
+ * Descrição: Custom hooks das preferências de notificação com TanStack Query
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import notificationService from '@/services/notification.service';
+import type { INotificationPreferenceUpdate } from '@/types/notification.types';
+
+export const NOTIFICATION_PREFERENCES_KEYS = {
+  all: ['notification-preferences'] as const,
+};
+
+export const useNotificationPreferences = () => {
+  return useQuery({
+    queryKey: NOTIFICATION_PREFERENCES_KEYS.all,
+    queryFn: () => notificationService.getPreferences(),
+  });
+};
+
+export const useUpdateNotificationPreferences = () => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (preferences: INotificationPreferenceUpdate[]) =>
+      notificationService.updatePreferences(preferences),
+    onSuccess: (data) => {
+      queryClient.setQueryData(NOTIFICATION_PREFERENCES_KEYS.all, data);
+    },
+  });
+};
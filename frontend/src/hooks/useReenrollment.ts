@@ -3,6 +3,7 @@
  * Descrição: Custom hook para rematrícula global de estudantes com TanStack Query
  * Feature: feat-reenrollment-etapa-5 - Frontend Interface de Rematrícula Global
  * Criado em: 2025-12-15
+ * Modificado: feat-122 - Aceite envia a versão do template exibida no preview
  *
  * Responsabilidades:
  * - Gerenciar estado de rematrícula global com TanStack Query
@@ -152,7 +153,7 @@ export function useContractPreview(
  *
  * const handleAccept = () => {
  *   acceptReenrollment(
- *     5, // enrollmentId
+ *     { enrollmentId: 5, templateId: preview.templateId },
  *     {
  *       onSuccess: (data) => {
  *         console.log('Matrícula aceita:', data.enrollment.status); // 'active'
@@ -171,15 +172,15 @@ export function useAcceptReenrollment() {
   const { user, updateUser } = useAuth();
 
   return useMutation({
-    mutationFn: (enrollmentId: number) => {
+    mutationFn: ({ enrollmentId, templateId }: { enrollmentId: number; templateId?: number }) => {
       if (import.meta.env.DEV) {
         console.log(
           `[useAcceptReenrollment] Aceitando rematrícula - Enrollment ID: ${enrollmentId}`
         );
       }
-      return ReenrollmentService.acceptReenrollment(enrollmentId);
+      return ReenrollmentService.acceptReenrollment(enrollmentId, templateId);
     },
-    onSuccess: (data, enrollmentId) => {
+    onSuccess: (data, { enrollmentId }) => {
       if (import.meta.env.DEV) {
         console.log(
           '[useAcceptReenrollment] Rematrícula aceita com sucesso:',
@@ -204,11 +205,14 @@ export function useAcceptReenrollment() {
       queryClient.invalidateQueries({ queryKey: ['contracts'] }); // Novo contrato foi criado
       queryClient.invalidateQueries({ queryKey: ['auth'] });
     },
-    onError: (error: Error, enrollmentId) => {
+    onError: (error: Error, { enrollmentId }) => {
       console.error(
         `[useAcceptReenrollment] Erro ao aceitar rematrícula (Enrollment ID: ${enrollmentId}):`,
         error
       );
+
+      // Recarrega o preview: o aceite é recusado se outra versão do template foi ativada
+      queryClient.invalidateQueries({ queryKey: ['contract-preview', enrollmentId] });
     },
   });
 }
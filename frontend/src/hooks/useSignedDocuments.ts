@@ -0,0 +1,33 @@
+/**
+ * Arquivo: frontend/src/hooks/useSignedDocuments.ts
+ * Descrição: Custom hooks para o registro de documentos assinados com TanStack Query
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import signedDocumentService from '@/services/signedDocument.service';
+import type { ISignedDocumentFilters } from '@/types/signedDocument.types';
+
+export const SIGNED_DOCUMENT_KEYS = {
+  all: ['signed-documents'] as const,
+  list: (filters: ISignedDocumentFilters) => ['signed-documents', 'list', filters] as const,
+};
+
+export const useSignedDocuments = (filters: ISignedDocumentFilters) => {
+  return useQuery({
+    queryKey: SIGNED_DOCUMENT_KEYS.list(filters),
+    queryFn: () => signedDocumentService.list(filters),
+  });
+};
+
+export const useRevokeSignedDocument = () => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, reason }: { id: number; reason: string }) =>
+      signedDocumentService.revoke(id, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: SIGNED_DOCUMENT_KEYS.all });
+    },
+  });
+};
@@ -0,0 +1,522 @@
+/**
+ * Arquivo: frontend/src/pages/admin/ClassTransfers.tsx
+ * Descrição: Página admin da transferência de turma
+ * Feature: feat-127 - Transferência de turma com histórico
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Transferir um aluno para outra turma do mesmo curso
+ * - Pré-visualizar o destino de cada nota do aluno antes de transferir
+ * - Listar o histórico de transferências (diretas e por solicitação aprovada)
+ */
+
+import { useEffect, useState } from 'react';
+import { AlertCircle, ArrowRightLeft, Eye } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import ConfirmModal from '@/components/ui/ConfirmModal';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import { getApiErrorMessage } from '@/services/api';
+import * as classTransferService from '@/services/classTransfer.service';
+import * as classService from '@/services/class.service';
+import type { IClass } from '@/types/class.types';
+import type { IUser } from '@/types/user.types';
+import {
+  CLASS_TRANSFER_GRADE_MODE_LABELS,
+  type ClassTransferGradeMode,
+  type IClassTransfer,
+  type IClassTransferClass,
+  type IClassTransferGradeItem,
+  type IClassTransferPreview,
+} from '@/types/classTransfer.types';
+
+/**
+ * Rótulo da turma (curso, semestre e ano)
+ */
+function formatClass(cls: IClass | IClassTransferClass | null | undefined): string {
+  if (!cls) return '-';
+  return `${cls.course?.name ?? 'Curso'} - ${cls.semester}º semestre (${cls.year})`;
+}
+
+/**
+ * Tabela com o destino de cada nota do aluno
+ */
+function GradeReportTable({ grades }: { grades: IClassTransferGradeItem[] }) {
+  if (grades.length === 0) {
+    return <p className="text-sm text-gray-500">O aluno não tem notas na turma de origem.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+              Disciplina
+            </th>
+            <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+              Avaliação de origem
+            </th>
+            <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+              Nota
+            </th>
+            <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+              Destino
+            </th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {grades.map((item) => (
+            <tr key={item.gradeId}>
+              <td className="px-4 py-3 text-sm text-gray-700">{item.discipline?.name ?? '-'}</td>
+              <td className="px-4 py-3 text-sm text-gray-700">{item.fromEvaluation.name}</td>
+              <td className="px-4 py-3 text-sm text-gray-700">{item.value ?? '-'}</td>
+              <td className="px-4 py-3 text-sm">
+                {item.action === 'moved' && item.toEvaluation ? (
+                  <span className="text-green-700">Movida para "{item.toEvaluation.name}"</span>
+                ) : (
+                  <span className="text-gray-600">
+                    Mantida na origem{item.note && ` — ${item.note}`}
+                  </span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * ClassTransfers - Transferência de turma para administradores
+ *
+ * @example
+ * <ClassTransfers />
+ */
+export default function ClassTransfers() {
+  const [classes, setClasses] = useState<IClass[]>([]);
+  const [transfers, setTransfers] = useState<IClassTransfer[]>([]);
+  const [fromClassId, setFromClassId] = useState<string>('');
+  const [students, setStudents] = useState<IUser[]>([]);
+  const [studentId, setStudentId] = useState<string>('');
+  const [toClassId, setToClassId] = useState<string>('');
+  const [gradeMode, setGradeMode] = useState<ClassTransferGradeMode>('map');
+  const [reason, setReason] = useState('');
+  const [preview, setPreview] = useState<IClassTransferPreview | null>(null);
+  const [viewingTransfer, setViewingTransfer] = useState<IClassTransfer | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [transferring, setTransferring] = useState(false);
+  const [isConfirmOpen, setIsConfirmOpen] = useState(false);
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  /**
+   * Carrega o histórico de transferências e as turmas
+   */
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [transferList, classList] = await Promise.all([
+        classTransferService.getAll(),
+        classService.getAll(),
+      ]);
+      setTransfers(transferList);
+      setClasses(classList);
+    } catch (err) {
+      console.error('[AdminClassTransfers] Erro ao carregar transferências:', err);
+      setError(getApiErrorMessage(err, 'Erro ao carregar transferências de turma'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Seleciona a turma de origem e carrega os alunos dela
+   */
+  const handleChangeFromClass = async (value: string) => {
+    setFromClassId(value);
+    setStudentId('');
+    setToClassId('');
+    setStudents([]);
+    setPreview(null);
+    if (!value) return;
+
+    try {
+      const cls = await classService.getById(Number(value));
+      setStudents(cls.students ?? []);
+    } catch (err) {
+      console.error('[AdminClassTransfers] Erro ao carregar alunos da turma:', err);
+      setToast({
+        message: getApiErrorMessage(err, 'Erro ao carregar alunos da turma'),
+        type: 'error',
+      });
+    }
+  };
+
+  const fromClass = classes.find((cls) => cls.id === Number(fromClassId));
+  // Apenas turmas do mesmo curso podem ser destino
+  const destinationClasses = fromClass
+    ? classes.filter((cls) => cls.courseId === fromClass.courseId && cls.id !== fromClass.id)
+    : [];
+
+  const buildData = () => ({
+    studentId: Number(studentId),
+    fromClassId: Number(fromClassId),
+    toClassId: Number(toClassId),
+    gradeMode,
+    reason: reason.trim() || undefined,
+  });
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      setPreview(await classTransferService.preview(buildData()));
+    } catch (err) {
+      console.error('[AdminClassTransfers] Erro ao pré-visualizar transferência:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao pré-visualizar'), type: 'error' });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleTransfer = async () => {
+    try {
+      setTransferring(true);
+      const transfer = await classTransferService.transfer(buildData());
+      setToast({
+        message: `${transfer.student?.name ?? 'Aluno'} transferido: ${transfer.gradesMoved} nota(s) movida(s), ${transfer.gradesKept} mantida(s)`,
+        type: 'success',
+      });
+      setStudentId('');
+      setToClassId('');
+      setReason('');
+      setPreview(null);
+      setStudents(students.filter((student) => student.id !== transfer.student?.id));
+      setTransfers(await classTransferService.getAll());
+    } catch (err) {
+      console.error('[AdminClassTransfers] Erro ao transferir aluno:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao transferir aluno'), type: 'error' });
+    } finally {
+      setIsConfirmOpen(false);
+      setTransferring(false);
+    }
+  };
+
+  const handleViewTransfer = async (id: number) => {
+    try {
+      setViewingTransfer(await classTransferService.getById(id));
+    } catch (err) {
+      console.error('[AdminClassTransfers] Erro ao carregar transferência:', err);
+      setToast({
+        message: getApiErrorMessage(err, 'Erro ao carregar transferência'),
+        type: 'error',
+      });
+    }
+  };
+
+  const selectClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100';
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Transferência de Turma</h1>
+        <p className="mt-1 text-gray-600">
+          Transfira alunos entre turmas do mesmo curso. As transferências também são feitas ao
+          aprovar uma solicitação "Transferência de Turma".
+        </p>
+      </div>
+
+      {/* Estado de erro */}
+      {error && (
+        <div className="flex items-center gap-3 p-4 mb-6 text-red-800 bg-red-100 border border-red-200 rounded-lg">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium">Erro ao carregar transferências de turma</p>
+            <p className="text-sm">{error}</p>
+          </div>
+          <Button onClick={loadData} variant="secondary" size="sm">
+            Tentar Novamente
+          </Button>
+        </div>
+      )}
+
+      {/* Nova transferência */}
+      <div className="p-6 mb-6 bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Turma de origem *
+            </label>
+            <select
+              value={fromClassId}
+              onChange={(e) => handleChangeFromClass(e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">Selecione a turma</option>
+              {classes.map((cls) => (
+                <option key={cls.id} value={cls.id}>
+                  {formatClass(cls)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Aluno *</label>
+            <select
+              value={studentId}
+              onChange={(e) => {
+                setStudentId(e.target.value);
+                setPreview(null);
+              }}
+              disabled={!fromClassId}
+              className={selectClassName}
+            >
+              <option value="">Selecione o aluno</option>
+              {students.map((student) => (
+                <option key={student.id} value={student.id}>
+                  {student.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Turma de destino *
+            </label>
+            <select
+              value={toClassId}
+              onChange={(e) => {
+                setToClassId(e.target.value);
+                setPreview(null);
+              }}
+              disabled={!fromClassId}
+              className={selectClassName}
+            >
+              <option value="">Selecione a turma</option>
+              {destinationClasses.map((cls) => (
+                <option key={cls.id} value={cls.id}>
+                  {formatClass(cls)}
+                </option>
+              ))}
+            </select>
+            {fromClass && destinationClasses.length === 0 && (
+              <p className="mt-1 text-xs text-gray-500">
+                Não há outras turmas do curso {fromClass.course?.name}.
+              </p>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Notas já lançadas
+            </label>
+            <select
+              value={gradeMode}
+              onChange={(e) => {
+                setGradeMode(e.target.value as ClassTransferGradeMode);
+                setPreview(null);
+              }}
+              className={selectClassName}
+            >
+              {(Object.keys(CLASS_TRANSFER_GRADE_MODE_LABELS) as ClassTransferGradeMode[]).map(
+                (mode) => (
+                  <option key={mode} value={mode}>
+                    {CLASS_TRANSFER_GRADE_MODE_LABELS[mode]}
+                  </option>
+                )
+              )}
+            </select>
+          </div>
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Motivo</label>
+            <textarea
+              rows={2}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Ex: mudança de turno"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-end gap-3 mt-4">
+          <Button
+            variant="secondary"
+            onClick={handlePreview}
+            loading={previewing}
+            disabled={previewing || !studentId || !toClassId}
+            className="flex items-center gap-2"
+          >
+            <Eye className="w-4 h-4" />
+            Pré-visualizar
+          </Button>
+          <Button
+            onClick={() => setIsConfirmOpen(true)}
+            disabled={!preview}
+            className="flex items-center gap-2"
+            title="Pré-visualize a transferência antes de executar"
+          >
+            <ArrowRightLeft className="w-4 h-4" />
+            Transferir
+          </Button>
+        </div>
+
+        {/* Pré-visualização */}
+        {preview && (
+          <div className="pt-4 mt-6 border-t border-gray-200">
+            <h2 className="mb-1 text-lg font-semibold text-gray-900">
+              {preview.student.name}: {formatClass(preview.fromClass)} →{' '}
+              {formatClass(preview.toClass)}
+            </h2>
+            <p className="mb-4 text-sm text-gray-600">
+              {preview.summary.moved} nota(s) serão movidas e {preview.summary.kept} mantidas na
+              turma de origem. Nada foi alterado ainda.
+            </p>
+            <GradeReportTable grades={preview.grades} />
+          </div>
+        )}
+      </div>
+
+      {/* Histórico */}
+      <div className="overflow-hidden bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Histórico de transferências</h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Aluno
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Origem → Destino
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Notas
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Executada em
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-center text-gray-500 uppercase">
+                  Ações
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-gray-500">
+                    Carregando transferências...
+                  </td>
+                </tr>
+              ) : transfers.length > 0 ? (
+                transfers.map((transfer) => (
+                  <tr key={transfer.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-medium text-gray-900">
+                        {transfer.student?.name ?? '-'}
+                      </div>
+                      {transfer.requestId && (
+                        <div className="text-gray-500">Solicitação #{transfer.requestId}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      <div>{formatClass(transfer.fromClass)}</div>
+                      <div>→ {formatClass(transfer.toClass)}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {transfer.gradesMoved} movida(s), {transfer.gradesKept} mantida(s)
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                      {new Date(transfer.createdAt).toLocaleString('pt-BR')}
+                      {transfer.transferredBy && (
+                        <div className="text-gray-500">{transfer.transferredBy.name}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-center whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={() => handleViewTransfer(transfer.id)}
+                        className="p-1 text-gray-600 rounded hover:bg-gray-100"
+                        title="Ver notas"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-gray-500">
+                    Nenhuma transferência de turma registrada.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Detalhe da transferência */}
+      <Modal
+        isOpen={!!viewingTransfer}
+        onClose={() => setViewingTransfer(null)}
+        title="Transferência de Turma"
+        size="lg"
+      >
+        {viewingTransfer && (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-700">
+              <p>
+                <span className="font-medium">Aluno:</span> {viewingTransfer.student?.name ?? '-'}
+              </p>
+              <p>
+                <span className="font-medium">Origem:</span>{' '}
+                {formatClass(viewingTransfer.fromClass)}
+              </p>
+              <p>
+                <span className="font-medium">Destino:</span> {formatClass(viewingTransfer.toClass)}
+              </p>
+              <p>
+                <span className="font-medium">Notas:</span>{' '}
+                {CLASS_TRANSFER_GRADE_MODE_LABELS[viewingTransfer.gradeMode]}
+              </p>
+              {viewingTransfer.reason && (
+                <p>
+                  <span className="font-medium">Motivo:</span> {viewingTransfer.reason}
+                </p>
+              )}
+            </div>
+            <GradeReportTable grades={viewingTransfer.gradeReport ?? []} />
+          </div>
+        )}
+      </Modal>
+
+      {/* Confirmação da transferência */}
+      {isConfirmOpen && preview && (
+        <ConfirmModal
+          title="Transferir Aluno"
+          message={`Transferir ${preview.student.name} de ${formatClass(preview.fromClass)} para ${formatClass(preview.toClass)}? ${preview.summary.moved} nota(s) serão movidas para a turma de destino.`}
+          confirmText="Transferir"
+          cancelText="Cancelar"
+          type="warning"
+          onConfirm={handleTransfer}
+          onCancel={() => setIsConfirmOpen(false)}
+          isLoading={transferring}
+        />
+      )}
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
@@ -0,0 +1,718 @@
+/**
+ * Arquivo: frontend/src/pages/admin/ContractTemplates.tsx
+ * Descrição: Página admin da gestão e versionamento dos templates de contrato
+ * Feature: feat-122 - Gestão e versionamento dos templates de contrato
+ * Modificado: feat-123 - Catálogo com listas, condicionais e funções de formatação; erros de sintaxe na pré-visualização
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar o histórico de versões com situação e quantidade de contratos gerados
+ * - Criar rascunhos (do zero ou a partir de uma versão) e editá-los
+ * - Pré-visualizar versões e conteúdo em edição com dados de exemplo do aluno
+ * - Ativar uma versão e excluir rascunhos
+ * - Exibir o catálogo de placeholders e os recursos da linguagem ({{#if}}, {{#each}}, formatação)
+ *
+ * Versões publicadas são imutáveis: para alterar o contrato, crie uma nova versão.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import {
+  AlertCircle,
+  AlertTriangle,
+  CheckCircle,
+  Copy,
+  Eye,
+  FileText,
+  Pencil,
+  Plus,
+  Trash2,
+} from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import ConfirmModal from '@/components/ui/ConfirmModal';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import * as contractTemplateService from '@/services/contractTemplate.service';
+import { getApiErrorMessage } from '@/services/api';
+import {
+  CONTRACT_TEMPLATE_STATUS_LABELS,
+  getContractTemplateStatus,
+  type ContractTemplateStatus,
+  type IContractPlaceholder,
+  type IContractTemplate,
+  type IContractTemplateHelper,
+  type IContractTemplatePreview,
+} from '@/types/contractTemplate.types';
+
+/**
+ * Cores do badge de situação
+ */
+const STATUS_BADGE_CLASSES: Record<ContractTemplateStatus, string> = {
+  draft: 'text-yellow-700 bg-yellow-100',
+  published: 'text-gray-700 bg-gray-100',
+  active: 'text-green-700 bg-green-100',
+};
+
+/**
+ * Estado do formulário do editor
+ */
+interface ITemplateForm {
+  name: string;
+  content: string;
+  changeNotes: string;
+}
+
+const EMPTY_FORM: ITemplateForm = {
+  name: '',
+  content: '',
+  changeNotes: '',
+};
+
+/**
+ * Trecho inserido no editor ao clicar no placeholder
+ */
+function getPlaceholderSnippet(placeholder: IContractPlaceholder): string {
+  if (placeholder.type === 'list') return `{{#each ${placeholder.key}}}\n\n{{/each}}`;
+  if (placeholder.type === 'boolean') return `{{#if ${placeholder.key}}}\n\n{{/if}}`;
+  return `{{${placeholder.key}}}`;
+}
+
+/**
+ * Formata data ISO para DD/MM/AAAA
+ */
+function formatDate(value: string | null): string {
+  return value ? new Date(value).toLocaleDateString('pt-BR') : '-';
+}
+
+/**
+ * ContractTemplates - Gestão das versões do template de contrato para administradores
+ *
+ * @example
+ * <ContractTemplates />
+ */
+export default function ContractTemplates() {
+  const [templates, setTemplates] = useState<IContractTemplate[]>([]);
+  const [placeholders, setPlaceholders] = useState<IContractPlaceholder[]>([]);
+  const [helpers, setHelpers] = useState<IContractTemplateHelper[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState<IContractTemplate | null>(null);
+  const [form, setForm] = useState<ITemplateForm>(EMPTY_FORM);
+  const [preview, setPreview] = useState<IContractTemplatePreview | null>(null);
+  const [previewTitle, setPreviewTitle] = useState('');
+  const [loadingPreview, setLoadingPreview] = useState(false);
+  const [templateToActivate, setTemplateToActivate] = useState<IContractTemplate | null>(null);
+  const [templateToDelete, setTemplateToDelete] = useState<IContractTemplate | null>(null);
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+  const contentRef = useRef<HTMLTextAreaElement>(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  /**
+   * Carrega as versões e o catálogo de placeholders
+   */
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [versions, catalog] = await Promise.all([
+        contractTemplateService.getAll(),
+        contractTemplateService.getCatalog(),
+      ]);
+      setTemplates(versions);
+      setPlaceholders(catalog.placeholders);
+      setHelpers(catalog.helpers);
+    } catch (err) {
+      console.error('[AdminContractTemplates] Erro ao carregar templates:', err);
+      setError(getApiErrorMessage(err, 'Erro ao carregar templates de contrato'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenCreate = () => {
+    setEditingTemplate(null);
+    setForm(EMPTY_FORM);
+    setPreview(null);
+    setIsEditorOpen(true);
+  };
+
+  /**
+   * Abre o editor de um rascunho (busca o conteúdo completo)
+   */
+  const handleOpenEdit = async (template: IContractTemplate) => {
+    try {
+      const draft = await contractTemplateService.getById(template.id);
+      setEditingTemplate(draft);
+      setForm({
+        name: draft.name,
+        content: draft.content ?? '',
+        changeNotes: draft.changeNotes ?? '',
+      });
+      setPreview(null);
+      setIsEditorOpen(true);
+    } catch (err) {
+      console.error('[AdminContractTemplates] Erro ao carregar rascunho:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao carregar rascunho'), type: 'error' });
+    }
+  };
+
+  /**
+   * Cria um rascunho copiado da versão e abre o editor
+   */
+  const handleCreateFrom = async (template: IContractTemplate) => {
+    try {
+      const draft = await contractTemplateService.create({ basedOnId: template.id });
+      await loadData();
+      await handleOpenEdit(draft);
+      setToast({
+        message: `Rascunho v${draft.version} criado a partir da v${template.version}`,
+        type: 'success',
+      });
+    } catch (err) {
+      console.error('[AdminContractTemplates] Erro ao criar nova versão:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao criar nova versão'), type: 'error' });
+    }
+  };
+
+  const handleCloseEditor = () => {
+    setIsEditorOpen(false);
+    setEditingTemplate(null);
+    setPreview(null);
+  };
+
+  /**
+   * Insere o trecho na posição do cursor do editor
+   */
+  const handleInsertSnippet = (token: string) => {
+    const textarea = contentRef.current;
+    const start = textarea?.selectionStart ?? form.content.length;
+    const end = textarea?.selectionEnd ?? form.content.length;
+
+    setForm({ ...form, content: form.content.slice(0, start) + token + form.content.slice(end) });
+
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  /**
+   * Pré-visualiza o conteúdo em edição (sem salvar)
+   */
+  const handlePreviewContent = async () => {
+    try {
+      setLoadingPreview(true);
+      setPreview(await contractTemplateService.previewContent(form.content));
+    } catch (err) {
+      console.error('[AdminContractTemplates] Erro ao pré-visualizar conteúdo:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao pré-visualizar'), type: 'error' });
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
+  /**
+   * Pré-visualiza uma versão salva
+   */
+  const handlePreviewVersion = async (template: IContractTemplate) => {
+    try {
+      const result = await contractTemplateService.preview(template.id);
+      setPreviewTitle(`${template.name} (v${template.version})`);
+      setPreview(result);
+    } catch (err) {
+      console.error('[AdminContractTemplates] Erro ao pré-visualizar versão:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao pré-visualizar'), type: 'error' });
+    }
+  };
+
+  /**
+   * Cria ou atualiza o rascunho
+   */
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = {
+        name: form.name.trim(),
+        content: form.content,
+        changeNotes: form.changeNotes.trim(),
+      };
+
+      if (editingTemplate) {
+        await contractTemplateService.update(editingTemplate.id, data);
+        setToast({ message: 'Rascunho atualizado com sucesso!', type: 'success' });
+      } else {
+        await contractTemplateService.create(data);
+        setToast({ message: 'Rascunho criado com sucesso!', type: 'success' });
+      }
+
+      handleCloseEditor();
+      await loadData();
+    } catch (err) {
+      console.error('[AdminContractTemplates] Erro ao salvar rascunho:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao salvar rascunho'), type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Ativa a versão (publica o rascunho e desativa as demais)
+   */
+  const handleConfirmActivate = async () => {
+    if (!templateToActivate) return;
+
+    try {
+      setSaving(true);
+      await contractTemplateService.activate(templateToActivate.id);
+      setToast({
+        message: `Versão ${templateToActivate.version} ativada com sucesso!`,
+        type: 'success',
+      });
+      setTemplateToActivate(null);
+      await loadData();
+    } catch (err) {
+      console.error('[AdminContractTemplates] Erro ao ativar versão:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao ativar versão'), type: 'error' });
+      setTemplateToActivate(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Exclui o rascunho
+   */
+  const handleConfirmDelete = async () => {
+    if (!templateToDelete) return;
+
+    try {
+      setSaving(true);
+      await contractTemplateService.remove(templateToDelete.id);
+      setToast({ message: 'Rascunho excluído com sucesso!', type: 'success' });
+      setTemplateToDelete(null);
+      await loadData();
+    } catch (err) {
+      console.error('[AdminContractTemplates] Erro ao excluir rascunho:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao excluir rascunho'), type: 'error' });
+      setTemplateToDelete(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex flex-col gap-4 mb-6 sm:flex-row sm:items-start sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Templates de Contrato</h1>
+          <p className="mt-1 text-gray-600">
+            Versões publicadas não podem ser alteradas: cada contrato aponta para a versão exata
+            aceita pelo aluno. Para mudar o texto, crie uma nova versão e ative-a.
+          </p>
+        </div>
+        <Button onClick={handleOpenCreate} className="flex items-center gap-2">
+          <Plus className="w-4 h-4" />
+          Novo Template
+        </Button>
+      </div>
+
+      {/* Estado de erro */}
+      {error && (
+        <div className="flex items-center gap-3 p-4 mb-6 text-red-800 bg-red-100 border border-red-200 rounded-lg">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium">Erro ao carregar templates de contrato</p>
+            <p className="text-sm">{error}</p>
+          </div>
+          <Button onClick={loadData} variant="secondary" size="sm">
+            Tentar Novamente
+          </Button>
+        </div>
+      )}
+
+      {/* Tabela de versões */}
+      <div className="overflow-hidden bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Versão
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Template
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Situação
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Publicada em
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Contratos
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Criada por
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-center text-gray-500 uppercase">
+                  Ações
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan={7} className="px-6 py-8 text-center text-gray-500">
+                    Carregando templates de contrato...
+                  </td>
+                </tr>
+              ) : templates.length > 0 ? (
+                templates.map((template) => {
+                  const status = getContractTemplateStatus(template);
+                  return (
+                    <tr key={template.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-4 text-sm font-medium text-gray-900 whitespace-nowrap">
+                        v{template.version}
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="flex flex-col">
+                          <span className="font-medium text-gray-900">{template.name}</span>
+                          {template.changeNotes && (
+                            <span className="text-sm text-gray-500 max-w-xs truncate">
+                              {template.changeNotes}
+                            </span>
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span
+                          className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_BADGE_CLASSES[status]}`}
+                        >
+                          {CONTRACT_TEMPLATE_STATUS_LABELS[status]}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                        {formatDate(template.publishedAt)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                        {template.contractsCount}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                        {template.creator?.name ?? '-'}
+                      </td>
+                      <td className="px-6 py-4 text-center whitespace-nowrap">
+                        <div className="flex items-center justify-center gap-2">
+                          <button
+                            type="button"
+                            onClick={() => handlePreviewVersion(template)}
+                            className="p-1 text-gray-600 rounded hover:bg-gray-100"
+                            title="Pré-visualizar"
+                          >
+                            <Eye className="w-4 h-4" />
+                          </button>
+                          {status === 'draft' ? (
+                            <button
+                              type="button"
+                              onClick={() => handleOpenEdit(template)}
+                              className="p-1 text-blue-600 rounded hover:bg-blue-50"
+                              title="Editar rascunho"
+                            >
+                              <Pencil className="w-4 h-4" />
+                            </button>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => handleCreateFrom(template)}
+                              className="p-1 text-blue-600 rounded hover:bg-blue-50"
+                              title="Nova versão a partir desta"
+                            >
+                              <Copy className="w-4 h-4" />
+                            </button>
+                          )}
+                          {status !== 'active' && (
+                            <button
+                              type="button"
+                              onClick={() => setTemplateToActivate(template)}
+                              className="p-1 text-green-600 rounded hover:bg-green-50"
+                              title="Ativar"
+                            >
+                              <CheckCircle className="w-4 h-4" />
+                            </button>
+                          )}
+                          {status === 'draft' && (
+                            <button
+                              type="button"
+                              onClick={() => setTemplateToDelete(template)}
+                              className="p-1 text-red-600 rounded hover:bg-red-50"
+                              title="Excluir rascunho"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              ) : (
+                <tr>
+                  <td colSpan={7} className="px-6 py-8 text-center text-gray-500">
+                    <FileText className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+                    Nenhum template de contrato cadastrado.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Modal do editor de rascunho */}
+      <Modal
+        isOpen={isEditorOpen}
+        onClose={handleCloseEditor}
+        title={
+          editingTemplate
+            ? `Editar Rascunho (v${editingTemplate.version})`
+            : 'Novo Template de Contrato'
+        }
+        size="xl"
+        className="max-w-6xl!"
+        closeOnOverlayClick={false}
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Nome <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+                maxLength={255}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Resumo das alterações
+              </label>
+              <input
+                type="text"
+                value={form.changeNotes}
+                onChange={(e) => setForm({ ...form, changeNotes: e.target.value })}
+                maxLength={500}
+                placeholder="Ex.: Atualização da cláusula de cancelamento"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
+            <div className="lg:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Conteúdo (HTML) <span className="text-red-500">*</span>
+              </label>
+              <textarea
+                ref={contentRef}
+                value={form.content}
+                onChange={(e) => setForm({ ...form, content: e.target.value })}
+                required
+                rows={18}
+                spellCheck={false}
+                className="w-full px-3 py-2 font-mono text-xs border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+
+            {/* Catálogo de placeholders e funções */}
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Placeholders</span>
+              <p className="mb-2 text-xs text-gray-500">
+                Clique para inserir no cursor. Placeholders fora desta lista são rejeitados.
+              </p>
+              <ul className="overflow-y-auto border border-gray-200 rounded-md max-h-96 divide-y divide-gray-100">
+                {placeholders.map((placeholder) => (
+                  <li key={placeholder.key}>
+                    <button
+                      type="button"
+                      onClick={() => handleInsertSnippet(getPlaceholderSnippet(placeholder))}
+                      className="w-full px-3 py-2 text-left hover:bg-blue-50"
+                      title={
+                        placeholder.type === 'list' ? undefined : `Exemplo: ${placeholder.example}`
+                      }
+                    >
+                      <code className="text-xs text-blue-700">
+                        {placeholder.type === 'list'
+                          ? `{{#each ${placeholder.key}}}`
+                          : placeholder.type === 'boolean'
+                            ? `{{#if ${placeholder.key}}}`
+                            : `{{${placeholder.key}}}`}
+                      </code>
+                      <span className="block text-xs text-gray-500">{placeholder.description}</span>
+                    </button>
+                    {/* Campos dos itens da lista (usados dentro do #each) */}
+                    {placeholder.fields && (
+                      <div className="flex flex-wrap gap-1 px-3 pb-2">
+                        {placeholder.fields.map((field) => (
+                          <button
+                            key={field.key}
+                            type="button"
+                            onClick={() => handleInsertSnippet(getPlaceholderSnippet(field))}
+                            className="px-1.5 py-0.5 text-xs text-blue-700 bg-blue-50 rounded hover:bg-blue-100"
+                            title={field.description}
+                          >
+                            {field.type === 'list' ? `#each ${field.key}` : field.key}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              <span className="block mt-4 text-sm font-medium text-gray-700 mb-1">
+                Condicionais e formatação
+              </span>
+              <ul className="overflow-y-auto border border-gray-200 rounded-md max-h-48 divide-y divide-gray-100">
+                {helpers.map((helper) => (
+                  <li key={helper.name}>
+                    <button
+                      type="button"
+                      onClick={() => handleInsertSnippet(helper.example)}
+                      className="w-full px-3 py-2 text-left hover:bg-blue-50"
+                    >
+                      <code className="text-xs text-blue-700">{helper.name}</code>
+                      <span className="block text-xs text-gray-500">{helper.description}</span>
+                      <code className="block text-xs text-gray-400 break-all">
+                        {helper.example}
+                      </code>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          {/* Pré-visualização do conteúdo em edição */}
+          {isEditorOpen && preview && (
+            <div className="space-y-2">
+              {preview.errors.length > 0 && (
+                <div className="flex items-start gap-2 p-3 text-sm text-red-800 bg-red-50 border border-red-200 rounded-md">
+                  <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <ul>
+                    {preview.errors.map((message) => (
+                      <li key={message}>{message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {preview.unknownPlaceholders.length > 0 && (
+                <div className="flex items-start gap-2 p-3 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md">
+                  <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>
+                    Placeholders desconhecidos:{' '}
+                    {preview.unknownPlaceholders.map((key) => `{{${key}}}`).join(', ')}
+                  </span>
+                </div>
+              )}
+              {preview.errors.length === 0 && (
+                <iframe
+                  title="Pré-visualização do contrato"
+                  srcDoc={preview.html}
+                  sandbox=""
+                  className="w-full h-96 border border-gray-200 rounded-md"
+                />
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <Button type="button" variant="secondary" onClick={handleCloseEditor}>
+              Cancelar
+            </Button>
+            <Button
+              type="button"
+              variant="secondary"
+              onClick={handlePreviewContent}
+              loading={loadingPreview}
+              disabled={loadingPreview || !form.content.trim()}
+              className="flex items-center gap-2"
+            >
+              <Eye className="w-4 h-4" />
+              Pré-visualizar
+            </Button>
+            <Button
+              type="submit"
+              loading={saving}
+              disabled={saving || !form.name.trim() || !form.content.trim()}
+            >
+              {editingTemplate ? 'Salvar Rascunho' : 'Criar Rascunho'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Modal de pré-visualização de versão salva */}
+      <Modal
+        isOpen={!isEditorOpen && preview !== null}
+        onClose={() => setPreview(null)}
+        title={`Pré-visualização: ${previewTitle}`}
+        description="Dados de exemplo do aluno"
+        size="xl"
+        className="max-w-5xl!"
+      >
+        {preview && (
+          <iframe
+            title="Pré-visualização do contrato"
+            srcDoc={preview.html}
+            sandbox=""
+            className="w-full border border-gray-200 rounded-md h-[70vh]"
+          />
+        )}
+      </Modal>
+
+      {/* Modal de Confirmação de Ativação */}
+      {templateToActivate && (
+        <ConfirmModal
+          title="Ativar Versão"
+          message={`Ativar a versão ${templateToActivate.version} de "${templateToActivate.name}"? Ela será usada em todos os novos contratos${
+            templateToActivate.isPublished ? '' : ' e, após publicada, não poderá mais ser alterada'
+          }.`}
+          confirmText="Ativar"
+          cancelText="Cancelar"
+          type="warning"
+          onConfirm={handleConfirmActivate}
+          onCancel={() => setTemplateToActivate(null)}
+          isLoading={saving}
+        />
+      )}
+
+      {/* Modal de Confirmação de Exclusão */}
+      {templateToDelete && (
+        <ConfirmModal
+          title="Confirmar Exclusão"
+          message={`Tem certeza que deseja excluir o rascunho v${templateToDelete.version} de "${templateToDelete.name}"?`}
+          confirmText="Excluir"
+          cancelText="Cancelar"
+          type="danger"
+          onConfirm={handleConfirmDelete}
+          onCancel={() => setTemplateToDelete(null)}
+          isLoading={saving}
+        />
+      )}
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
@@ -2,24 +2,41 @@
  * Arquivo: frontend/src/pages/admin/CourseDisciplines.tsx
  * Descrição: Página de gerenciamento de disciplinas de um curso
  * Criado em: 2025-12-08
+ * Modificado: feat-129 - Pré-requisitos e co-requisitos entre as disciplinas do curso
+ * Modificado: feat-130 - Publicação das matrizes curriculares do curso
+ * Modificado: feat-134 - Documentos obrigatórios dos alunos do curso
  *
  * Responsabilidades:
  * - Exibir lista de disciplinas vinculadas ao curso
  * - Permitir adicionar disciplinas da lista geral ao curso
  * - Permitir remover disciplinas do curso
+ * - Cadastrar e remover pré-requisitos e co-requisitos entre as disciplinas do curso
+ * - Publicar a grade atual como matriz curricular e excluir matrizes sem matrículas
+ * - Definir os documentos obrigatórios do curso e do tipo de curso
  * - Gerenciar estados de loading e erro
  */
 
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Plus, Trash2, AlertCircle, BookOpen } from 'lucide-react';
+import { ArrowLeft, Plus, Trash2, AlertCircle, BookOpen, Link2, X, Layers } from 'lucide-react';
 import { Table, type Column } from '@/components/ui/Table';
 import { Button } from '@/components/ui/Button';
 import { Modal } from '@/components/ui/Modal';
+import { CourseDocumentRequirementsPanel } from '@/components/documents/CourseDocumentRequirementsPanel';
 import CourseService from '@/services/course.service';
 import DisciplineService from '@/services/discipline.service';
-import type { ICourse, ICourseDiscipline } from '@/types/course.types';
+import * as disciplineRequisiteService from '@/services/disciplineRequisite.service';
+import { getApiErrorMessage } from '@/services/api';
+import * as curriculumVersionService from '@/services/curriculumVersion.service';
+import { GRADING_FORMULA_LABELS } from '@/types/course.types';
+import type { ICourse, ICourseDiscipline, GradingFormula } from '@/types/course.types';
 import type { IDiscipline } from '@/types/discipline.types';
+import {
+  DISCIPLINE_REQUISITE_TYPE_LABELS,
+  type DisciplineRequisiteType,
+  type IDisciplineRequisite,
+} from '@/types/disciplineRequisite.types';
+import type { ICurriculumVersionSummary } from '@/types/curriculumVersion.types';
 
 /**
  * CourseDisciplinesPage - Página de gerenciamento de disciplinas do curso
@@ -49,6 +66,20 @@ export default function CourseDisciplinesPage() {
   const [semester, setSemester] = useState<number>(1);
   const [isSubmitting, setIsSubmitting] = useState<boolean>(false);
 
+  // Requisitos entre disciplinas do curso
+  const [requisites, setRequisites] = useState<IDisciplineRequisite[]>([]);
+  const [isRequisiteModalOpen, setIsRequisiteModalOpen] = useState<boolean>(false);
+  const [requisiteDisciplineId, setRequisiteDisciplineId] = useState<number | null>(null);
+  const [requiredDisciplineId, setRequiredDisciplineId] = useState<number | null>(null);
+  const [requisiteType, setRequisiteType] = useState<DisciplineRequisiteType>('prerequisite');
+
+  // Matrizes curriculares publicadas
+  const [curriculumVersions, setCurriculumVersions] = useState<ICurriculumVersionSummary[]>([]);
+  const [isPublishModalOpen, setIsPublishModalOpen] = useState<boolean>(false);
+  const [versionName, setVersionName] = useState<string>('');
+  const [versionEffectiveFrom, setVersionEffectiveFrom] = useState<string>('');
+  const [versionNotes, setVersionNotes] = useState<string>('');
+
   // Estado de mensagens de feedback
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
 
@@ -107,6 +138,8 @@ export default function CourseDisciplinesPage() {
       courseId: Number(courseId) || 0,
       disciplineId: discipline.id,
       semester: semester,
+      gradingFormula: pivotData.gradingFormula || pivotData.grading_formula || null,
+      gradingBestOf: pivotData.gradingBestOf ?? pivotData.grading_best_of ?? null,
       discipline: {
         id: discipline.id,
         name: discipline.name,
@@ -140,13 +173,23 @@ export default function CourseDisciplinesPage() {
       const courseIdNumber = parseInt(courseId, 10);
 
       // Carregar curso, disciplinas do curso e todas as disciplinas em paralelo
-      const [courseData, courseDisciplinesData, allDisciplinesResponse] = await Promise.all([
+      const [
+        courseData,
+        courseDisciplinesData,
+        allDisciplinesResponse,
+        requisitesData,
+        curriculumVersionsData,
+      ] = await Promise.all([
         CourseService.getById(courseIdNumber),
         CourseService.getCourseDisciplines(courseIdNumber),
         DisciplineService.getAll({ limit: 1000 }), // Buscar todas as disciplinas sem limite de paginação
+        disciplineRequisiteService.getByCourse(courseIdNumber),
+        curriculumVersionService.getByCourse(courseIdNumber),
       ]);
 
       setCourse(courseData);
+      setRequisites(requisitesData);
+      setCurriculumVersions(curriculumVersionsData);
       // Normaliza os dados das disciplinas do curso
       setCourseDisciplines(courseDisciplinesData.map(normalizeDiscipline));
       // Extrai o array de disciplinas do objeto paginado
@@ -247,6 +290,156 @@ export default function CourseDisciplinesPage() {
     }
   };
 
+  /**
+   * Handler de alteração da fórmula de média da disciplina no curso
+   *
+   * Valor vazio faz a disciplina voltar a usar a fórmula do curso.
+   */
+  const handleChangeGradingFormula = async (disciplineId: number, value: string) => {
+    if (!courseId) return;
+
+    const gradingFormula = (value || null) as GradingFormula | null;
+    let gradingBestOf: number | null = null;
+
+    if (gradingFormula === 'best_of') {
+      const answer = window.prompt('Quantas notas devem entrar na média?', '2');
+      if (answer === null) return;
+
+      gradingBestOf = parseInt(answer, 10);
+      if (isNaN(gradingBestOf) || gradingBestOf < 1) {
+        alert('Informe um número inteiro maior que zero');
+        return;
+      }
+    }
+
+    try {
+      await CourseService.updateCourseDiscipline(parseInt(courseId, 10), disciplineId, {
+        gradingFormula,
+        gradingBestOf,
+      });
+
+      setSuccessMessage('Fórmula da média atualizada com sucesso!');
+      await loadData();
+    } catch (err) {
+      const errorMessage =
+        err instanceof Error ? err.message : 'Erro ao atualizar fórmula da média';
+      alert(errorMessage);
+      console.error('[CourseDisciplinesPage] Erro ao atualizar fórmula da média:', err);
+    }
+  };
+
+  /**
+   * Abre o modal de requisito já com a disciplina que exige
+   */
+  const handleOpenRequisiteModal = (disciplineId: number) => {
+    setRequisiteDisciplineId(disciplineId);
+    setRequiredDisciplineId(null);
+    setRequisiteType('prerequisite');
+    setIsRequisiteModalOpen(true);
+  };
+
+  /**
+   * Handler de cadastro de requisito
+   */
+  const handleAddRequisite = async () => {
+    if (!courseId || !requisiteDisciplineId || !requiredDisciplineId) return;
+
+    try {
+      setIsSubmitting(true);
+
+      await disciplineRequisiteService.create(parseInt(courseId, 10), {
+        disciplineId: requisiteDisciplineId,
+        requiredDisciplineId,
+        type: requisiteType,
+      });
+
+      setSuccessMessage('Requisito cadastrado com sucesso!');
+      setIsRequisiteModalOpen(false);
+      await loadData();
+    } catch (err) {
+      alert(getApiErrorMessage(err, 'Erro ao cadastrar requisito'));
+      console.error('[CourseDisciplinesPage] Erro ao cadastrar requisito:', err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Handler de remoção de requisito
+   */
+  const handleRemoveRequisite = async (requisite: IDisciplineRequisite) => {
+    if (!courseId) return;
+
+    const confirmed = window.confirm(
+      `Remover o ${requisite.typeLabel.toLowerCase()} ${requisite.requiredDiscipline?.name ?? ''}?`
+    );
+    if (!confirmed) return;
+
+    try {
+      await disciplineRequisiteService.remove(parseInt(courseId, 10), requisite.id);
+
+      setSuccessMessage('Requisito removido com sucesso!');
+      await loadData();
+    } catch (err) {
+      alert(getApiErrorMessage(err, 'Erro ao remover requisito'));
+      console.error('[CourseDisciplinesPage] Erro ao remover requisito:', err);
+    }
+  };
+
+  /**
+   * Abre o modal de publicação da matriz com a vigência a partir de hoje
+   */
+  const handleOpenPublishModal = () => {
+    setVersionName(`Matriz ${new Date().getFullYear()}`);
+    setVersionEffectiveFrom(new Date().toISOString().split('T')[0]);
+    setVersionNotes('');
+    setIsPublishModalOpen(true);
+  };
+
+  /**
+   * Handler de publicação da grade atual como matriz curricular
+   */
+  const handlePublishVersion = async () => {
+    if (!courseId || !versionName.trim() || !versionEffectiveFrom) return;
+
+    try {
+      setIsSubmitting(true);
+
+      await curriculumVersionService.publish(parseInt(courseId, 10), {
+        name: versionName.trim(),
+        effectiveFrom: versionEffectiveFrom,
+        notes: versionNotes.trim() || undefined,
+      });
+
+      setSuccessMessage('Matriz curricular publicada com sucesso!');
+      setIsPublishModalOpen(false);
+      await loadData();
+    } catch (err) {
+      alert(getApiErrorMessage(err, 'Erro ao publicar matriz curricular'));
+      console.error('[CourseDisciplinesPage] Erro ao publicar matriz:', err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Handler de exclusão de matriz sem matrículas vinculadas
+   */
+  const handleRemoveVersion = async (version: ICurriculumVersionSummary) => {
+    const confirmed = window.confirm(`Excluir a matriz "${version.name}"?`);
+    if (!confirmed) return;
+
+    try {
+      await curriculumVersionService.remove(version.id);
+
+      setSuccessMessage('Matriz curricular excluída com sucesso!');
+      await loadData();
+    } catch (err) {
+      alert(getApiErrorMessage(err, 'Erro ao excluir matriz curricular'));
+      console.error('[CourseDisciplinesPage] Erro ao excluir matriz:', err);
+    }
+  };
+
   /**
    * Retorna disciplinas disponíveis (não vinculadas ao curso)
    */
@@ -305,6 +498,75 @@ export default function CourseDisciplinesPage() {
       align: 'center',
       sortable: true,
     },
+    {
+      key: 'requisites',
+      header: 'Requisitos',
+      accessor: (courseDiscipline) => (
+        <div className="flex flex-wrap items-center gap-1">
+          {requisites
+            .filter((requisite) => requisite.disciplineId === courseDiscipline.disciplineId)
+            .map((requisite) => (
+              <span
+                key={requisite.id}
+                className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full ${
+                  requisite.type === 'prerequisite'
+                    ? 'bg-purple-100 text-purple-800'
+                    : 'bg-teal-100 text-teal-800'
+                }`}
+                title={requisite.typeLabel}
+              >
+                {requisite.type === 'corequisite' && 'co: '}
+                {requisite.requiredDiscipline?.code || requisite.requiredDiscipline?.name}
+                <button
+                  type="button"
+                  onClick={() => handleRemoveRequisite(requisite)}
+                  className="hover:text-red-600"
+                  title="Remover requisito"
+                >
+                  <X size={12} />
+                </button>
+              </span>
+            ))}
+          <button
+            type="button"
+            onClick={() => handleOpenRequisiteModal(courseDiscipline.disciplineId)}
+            className="p-1 text-gray-500 rounded hover:text-blue-600 hover:bg-blue-50"
+            title="Adicionar pré-requisito ou co-requisito"
+          >
+            <Link2 size={14} />
+          </button>
+        </div>
+      ),
+    },
+    {
+      key: 'gradingFormula',
+      header: 'Fórmula da Média',
+      accessor: (courseDiscipline) => (
+        <div>
+          <select
+            value={courseDiscipline.gradingFormula || ''}
+            onChange={(e) =>
+              handleChangeGradingFormula(courseDiscipline.disciplineId, e.target.value)
+            }
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            title="Fórmula de cálculo da média final nesta disciplina"
+          >
+            <option value="">
+              Padrão do curso
+              {course?.gradingFormula ? ` (${GRADING_FORMULA_LABELS[course.gradingFormula]})` : ''}
+            </option>
+            {(Object.keys(GRADING_FORMULA_LABELS) as GradingFormula[]).map((formula) => (
+              <option key={formula} value={formula}>
+                {GRADING_FORMULA_LABELS[formula]}
+              </option>
+            ))}
+          </select>
+          {courseDiscipline.gradingFormula === 'best_of' && courseDiscipline.gradingBestOf && (
+            <span className="ml-2 text-xs text-gray-500">N = {courseDiscipline.gradingBestOf}</span>
+          )}
+        </div>
+      ),
+    },
     {
       key: 'actions',
       header: 'Ações',
@@ -418,6 +680,89 @@ export default function CourseDisciplinesPage() {
         hoverable
       />
 
+      {/* Matrizes curriculares */}
+      <div className="mt-8 bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <Layers size={20} className="text-blue-600" />
+            Matrizes curriculares
+          </h2>
+          <Button
+            size="sm"
+            onClick={handleOpenPublishModal}
+            disabled={courseDisciplines.length === 0}
+          >
+            <Plus size={16} />
+            Publicar matriz
+          </Button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Cada aluno segue a matriz vigente quando ingressou no curso. Alterações na grade acima só
+          valem para os alunos depois de publicadas em uma nova matriz.
+        </p>
+
+        {curriculumVersions.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Nenhuma matriz publicada: os alunos seguem a grade atual do curso.
+          </p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-700">Matriz</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-700">Vigente desde</th>
+                <th className="px-4 py-2 text-center font-medium text-gray-700">Disciplinas</th>
+                <th className="px-4 py-2 text-center font-medium text-gray-700">Matrículas</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {curriculumVersions.map((version) => (
+                <tr key={version.id}>
+                  <td className="px-4 py-2">
+                    <span className="font-medium text-gray-900">{version.name}</span>
+                    {version.inForce && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">
+                        Vigente
+                      </span>
+                    )}
+                    {version.notes && <p className="text-xs text-gray-500">{version.notes}</p>}
+                  </td>
+                  <td className="px-4 py-2">
+                    {new Date(`${version.effectiveFrom}T00:00:00`).toLocaleDateString('pt-BR')}
+                  </td>
+                  <td className="px-4 py-2 text-center">{version.disciplineCount}</td>
+                  <td className="px-4 py-2 text-center">{version.enrollmentCount}</td>
+                  <td className="px-4 py-2 text-right">
+                    <Button
+                      size="sm"
+                      variant="danger"
+                      onClick={() => handleRemoveVersion(version)}
+                      disabled={version.enrollmentCount > 0}
+                      title={
+                        version.enrollmentCount > 0
+                          ? 'Há matrículas vinculadas a esta matriz'
+                          : 'Excluir matriz'
+                      }
+                    >
+                      <Trash2 size={16} />
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Documentos obrigatórios do curso */}
+      {courseId && (
+        <CourseDocumentRequirementsPanel
+          courseId={parseInt(courseId, 10)}
+          onSuccess={setSuccessMessage}
+        />
+      )}
+
       {/* Modal de adição de disciplina */}
       <Modal
         isOpen={isAddModalOpen}
@@ -501,6 +846,175 @@ export default function CourseDisciplinesPage() {
           </div>
         </div>
       </Modal>
+
+      {/* Modal de requisito */}
+      <Modal
+        isOpen={isRequisiteModalOpen}
+        onClose={() => setIsRequisiteModalOpen(false)}
+        title="Adicionar requisito"
+        description="O pré-requisito deve estar aprovado (ou dispensado) antes da disciplina; o co-requisito pode ser cursado no mesmo semestre"
+        size="md"
+      >
+        <div className="space-y-4">
+          <div>
+            <label
+              htmlFor="requisiteDiscipline"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Disciplina *
+            </label>
+            <select
+              id="requisiteDiscipline"
+              value={requisiteDisciplineId || ''}
+              onChange={(e) =>
+                setRequisiteDisciplineId(e.target.value ? parseInt(e.target.value, 10) : null)
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Selecione uma disciplina</option>
+              {courseDisciplines.map((cd) => (
+                <option key={cd.disciplineId} value={cd.disciplineId}>
+                  {cd.semester}º sem. - {cd.discipline?.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="requisiteType" className="block text-sm font-medium text-gray-700 mb-2">
+              Tipo *
+            </label>
+            <select
+              id="requisiteType"
+              value={requisiteType}
+              onChange={(e) => setRequisiteType(e.target.value as DisciplineRequisiteType)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {(Object.keys(DISCIPLINE_REQUISITE_TYPE_LABELS) as DisciplineRequisiteType[]).map(
+                (type) => (
+                  <option key={type} value={type}>
+                    {DISCIPLINE_REQUISITE_TYPE_LABELS[type]}
+                  </option>
+                )
+              )}
+            </select>
+          </div>
+
+          <div>
+            <label
+              htmlFor="requiredDiscipline"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Disciplina exigida *
+            </label>
+            <select
+              id="requiredDiscipline"
+              value={requiredDisciplineId || ''}
+              onChange={(e) =>
+                setRequiredDisciplineId(e.target.value ? parseInt(e.target.value, 10) : null)
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Selecione a disciplina exigida</option>
+              {courseDisciplines
+                .filter((cd) => cd.disciplineId !== requisiteDisciplineId)
+                .map((cd) => (
+                  <option key={cd.disciplineId} value={cd.disciplineId}>
+                    {cd.semester}º sem. - {cd.discipline?.name}
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <Button
+              variant="secondary"
+              onClick={() => setIsRequisiteModalOpen(false)}
+              disabled={isSubmitting}
+            >
+              Cancelar
+            </Button>
+            <Button
+              onClick={handleAddRequisite}
+              loading={isSubmitting}
+              disabled={isSubmitting || !requisiteDisciplineId || !requiredDisciplineId}
+            >
+              Adicionar
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Modal de publicação de matriz */}
+      <Modal
+        isOpen={isPublishModalOpen}
+        onClose={() => setIsPublishModalOpen(false)}
+        title="Publicar matriz curricular"
+        description="A grade atual do curso é copiada para a nova matriz, que passa a valer para as matrículas a partir da data de vigência"
+        size="md"
+      >
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="versionName" className="block text-sm font-medium text-gray-700 mb-2">
+              Nome *
+            </label>
+            <input
+              id="versionName"
+              type="text"
+              maxLength={100}
+              value={versionName}
+              onChange={(e) => setVersionName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="versionEffectiveFrom"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Vigente a partir de *
+            </label>
+            <input
+              id="versionEffectiveFrom"
+              type="date"
+              value={versionEffectiveFrom}
+              onChange={(e) => setVersionEffectiveFrom(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="versionNotes" className="block text-sm font-medium text-gray-700 mb-2">
+              Observações
+            </label>
+            <textarea
+              id="versionNotes"
+              rows={3}
+              value={versionNotes}
+              onChange={(e) => setVersionNotes(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <Button
+              variant="secondary"
+              onClick={() => setIsPublishModalOpen(false)}
+              disabled={isSubmitting}
+            >
+              Cancelar
+            </Button>
+            <Button
+              onClick={handlePublishVersion}
+              loading={isSubmitting}
+              disabled={isSubmitting || !versionName.trim() || !versionEffectiveFrom}
+            >
+              Publicar
+            </Button>
+          </div>
+        </div>
+      </Modal>
     </div>
   );
 }
@@ -3,13 +3,16 @@
  * Descrição: Página de gestão de documentos com listagem e ações de aprovação/rejeição
  * Feature: feat-087 - Criar document.service.ts e página Documents Admin
  * Criado em: 2025-11-04
+ * Modificado: feat-132 - Documentos de professores no fluxo de revisão
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
  *
  * Responsabilidades:
- * - Listar documentos com filtros por status
+ * - Listar documentos com filtros por status e tipo de usuário (aluno/professor)
  * - Visualizar documentos enviados
  * - Aprovar documentos pendentes
  * - Rejeitar documentos com observações obrigatórias
  * - Exibir estatísticas de documentos
+ * - Exibir a validade dos documentos aprovados
  */
 
 import { useEffect, useState } from 'react';
@@ -24,10 +27,12 @@ import {
   Filter,
 } from 'lucide-react';
 import { Modal } from '@/components/ui/Modal';
+import { DocumentExpirationBadge } from '@/components/documents/DocumentExpirationBadge';
 import * as documentService from '@/services/document.service';
 import type {
   IDocument,
   DocumentStatus,
+  DocumentUserType,
   IDocumentStats,
 } from '@/types/document.types';
 
@@ -64,6 +69,14 @@ const statusLabels: Record<DocumentStatus, string> = {
   rejected: 'Rejeitado',
 };
 
+/**
+ * Labels do tipo de usuário dono do documento
+ */
+const ownerTypeLabels: Record<DocumentUserType, string> = {
+  student: 'Aluno',
+  teacher: 'Professor',
+};
+
 /**
  * AdminDocuments - Página de gestão de documentos
  *
@@ -75,6 +88,7 @@ export default function AdminDocuments() {
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [filterStatus, setFilterStatus] = useState<DocumentStatus | 'all'>('all');
+  const [filterOwnerType, setFilterOwnerType] = useState<DocumentUserType | 'all'>('all');
   const [filterMatricula, setFilterMatricula] = useState<string>('');
   const [matriculaInput, setMatriculaInput] = useState<string>('');
 
@@ -90,7 +104,7 @@ export default function AdminDocuments() {
    */
   useEffect(() => {
     loadDocumentsAndStats();
-  }, [filterStatus, filterMatricula]);
+  }, [filterStatus, filterOwnerType, filterMatricula]);
 
   /**
    * Carrega documentos da API com filtros aplicados
@@ -100,9 +114,17 @@ export default function AdminDocuments() {
       setLoading(true);
       setError(null);
 
-      const filters: { status?: DocumentStatus; matricula?: number } = {};
+      const filters: {
+        status?: DocumentStatus;
+        ownerType?: DocumentUserType;
+        matricula?: number;
+      } = {};
       if (filterStatus !== 'all') filters.status = filterStatus;
-      if (filterMatricula) filters.matricula = parseInt(filterMatricula);
+      if (filterOwnerType !== 'all') filters.ownerType = filterOwnerType;
+      // Matrícula só existe para alunos
+      if (filterMatricula && filterOwnerType !== 'teacher') {
+        filters.matricula = parseInt(filterMatricula);
+      }
 
       const [documentsResponse, statsData] = await Promise.all([
         documentService.getAll(filters),
@@ -392,6 +414,21 @@ export default function AdminDocuments() {
             </select>
           </div>
 
+          <div className="flex items-center gap-2">
+            <label className="text-sm font-medium text-gray-700 whitespace-nowrap">
+              Enviado por:
+            </label>
+            <select
+              value={filterOwnerType}
+              onChange={(e) => setFilterOwnerType(e.target.value as DocumentUserType | 'all')}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            >
+              <option value="all">Todos</option>
+              <option value="student">Alunos</option>
+              <option value="teacher">Professores</option>
+            </select>
+          </div>
+
           <div className="flex items-center gap-2">
             <label className="text-sm font-medium text-gray-700 whitespace-nowrap">
               Matrícula:
@@ -403,11 +440,13 @@ export default function AdminDocuments() {
                 onChange={(e) => setMatriculaInput(e.target.value)}
                 onKeyDown={(e) => e.key === 'Enter' && handleMatriculaSearch()}
                 placeholder="Nº de matrícula..."
-                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm w-44"
+                disabled={filterOwnerType === 'teacher'}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm w-44 disabled:bg-gray-100"
               />
               <button
                 onClick={handleMatriculaSearch}
-                className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm"
+                disabled={filterOwnerType === 'teacher'}
+                className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
               >
                 Buscar
               </button>
@@ -470,10 +509,21 @@ export default function AdminDocuments() {
                         <span className="text-xs text-gray-500">
                           {document.user?.email || 'N/A'}
                         </span>
+                        {document.ownerType && (
+                          <span
+                            className={`mt-1 inline-flex w-fit px-2 py-0.5 text-xs rounded-full ${
+                              document.ownerType === 'teacher'
+                                ? 'bg-purple-100 text-purple-800'
+                                : 'bg-blue-100 text-blue-800'
+                            }`}
+                          >
+                            {ownerTypeLabels[document.ownerType]}
+                          </span>
+                        )}
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-blue-700">
-                      {document.user?.matricula ?? 'N/A'}
+                      {document.ownerType === 'teacher' ? '—' : (document.user?.matricula ?? 'N/A')}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                       {document.documentType?.name || 'N/A'}
@@ -498,6 +548,9 @@ export default function AdminDocuments() {
                       >
                         {statusLabels[document.status]}
                       </span>
+                      <div className="mt-1">
+                        <DocumentExpirationBadge document={document} />
+                      </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {formatDate(document.createdAt)}
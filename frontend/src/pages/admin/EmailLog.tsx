@@ -0,0 +1,340 @@
+/**
+ * Arquivo: frontend/src/pages/admin/EmailLog.tsx
+ * Descrição: Página admin do histórico de entrega dos emails
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar os emails enviados pelo sistema, com situação, tentativas e último erro
+ * - Filtrar por destinatário, situação e template; ?userId= mostra os emails de um usuário
+ * - Reenviar emails que esgotaram as tentativas (exceto os de conteúdo sensível)
+ */
+
+import { useState, type JSX } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AlertCircle, Filter, Mail, RotateCcw, Search, X } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Pagination } from '@/components/ui/Pagination';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import { useEmailOutbox, useRetryEmail } from '@/hooks/useEmailOutbox';
+import { getApiErrorMessage } from '@/services/api';
+import {
+  EMAIL_OUTBOX_STATUS_LABELS,
+  EMAIL_TEMPLATE_LABELS,
+  SENSITIVE_EMAIL_TEMPLATES,
+  type EmailOutboxStatus,
+  type IEmailOutbox,
+} from '@/types/emailOutbox.types';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Cores do badge de cada situação
+ */
+const STATUS_CLASSES: Record<EmailOutboxStatus, string> = {
+  pending: 'text-yellow-800 bg-yellow-100',
+  sending: 'text-blue-700 bg-blue-100',
+  sent: 'text-green-700 bg-green-100',
+  failed: 'text-red-700 bg-red-100',
+};
+
+/**
+ * Formata data e hora para o formato brasileiro (DD/MM/YYYY HH:mm)
+ */
+function formatDateTime(dateString: string | null): string {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString('pt-BR', {
+    dateStyle: 'short',
+    timeStyle: 'short',
+  });
+}
+
+/**
+ * Detalhe da entrega: data do envio, próxima tentativa ou último erro
+ */
+function getDeliveryDetail(email: IEmailOutbox): JSX.Element | null {
+  if (email.status === 'sent') {
+    return <p className="mt-1 text-xs text-gray-500">{formatDateTime(email.sentAt)}</p>;
+  }
+
+  return (
+    <>
+      {email.status === 'pending' && email.nextAttemptAt && email.attempts > 0 && (
+        <p className="mt-1 text-xs text-gray-500">
+          Nova tentativa em {formatDateTime(email.nextAttemptAt)}
+        </p>
+      )}
+      {email.lastError && (
+        <p className="mt-1 text-xs text-red-600 max-w-xs truncate" title={email.lastError}>
+          {email.lastError}
+        </p>
+      )}
+    </>
+  );
+}
+
+/**
+ * EmailLog - Histórico de entrega dos emails para administradores
+ *
+ * @example
+ * <EmailLog />
+ */
+export default function EmailLog() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [statusFilter, setStatusFilter] = useState<EmailOutboxStatus | ''>('');
+  const [templateFilter, setTemplateFilter] = useState('');
+  const [emailFilter, setEmailFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  const userId = Number(searchParams.get('userId')) || undefined;
+  const searchEmail = emailFilter.trim();
+
+  const { data, isLoading, error, refetch } = useEmailOutbox({
+    userId,
+    status: statusFilter || undefined,
+    template: templateFilter || undefined,
+    email: searchEmail.length >= 3 ? searchEmail : undefined,
+    page,
+    limit: PAGE_SIZE,
+  });
+  const retryMutation = useRetryEmail();
+
+  const emails = data?.emails ?? [];
+
+  const handleClearUser = () => {
+    setSearchParams({});
+    setPage(1);
+  };
+
+  const handleRetry = async (email: IEmailOutbox) => {
+    try {
+      await retryMutation.mutateAsync(email.id);
+      setToast({ message: 'Email reenfileirado para envio!', type: 'success' });
+    } catch (err) {
+      setToast({ message: getApiErrorMessage(err, 'Erro ao reenviar email'), type: 'error' });
+    }
+  };
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Histórico de Emails</h1>
+        <p className="mt-1 text-gray-600">
+          Acompanhe a entrega dos emails enviados pelo sistema. Falhas são repetidas
+          automaticamente; depois da última tentativa, o email pode ser reenviado por aqui
+        </p>
+      </div>
+
+      {/* Usuário selecionado */}
+      {userId && (
+        <div className="flex items-center justify-between gap-3 p-3 mb-6 text-blue-800 bg-blue-50 border border-blue-200 rounded-lg">
+          <span className="text-sm">
+            Emails de{' '}
+            <span className="font-medium">
+              {data?.user ? `${data.user.name} (${data.user.email})` : `usuário #${userId}`}
+            </span>
+          </span>
+          <button
+            onClick={handleClearUser}
+            className="inline-flex items-center gap-1 text-sm hover:text-blue-600"
+          >
+            <X className="w-4 h-4" />
+            Ver todos
+          </button>
+        </div>
+      )}
+
+      {/* Filtros */}
+      <div className="flex flex-col gap-4 mb-6 sm:flex-row">
+        <div className="flex-1">
+          <div className="relative">
+            <Search className="absolute w-5 h-5 text-gray-400 transform -translate-y-1/2 left-3 top-1/2" />
+            <input
+              type="text"
+              placeholder="Buscar pelo email do destinatário..."
+              value={emailFilter}
+              onChange={(e) => {
+                setEmailFilter(e.target.value);
+                setPage(1);
+              }}
+              className="w-full py-2 pl-10 pr-4 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Filter className="w-5 h-5 text-gray-400" />
+          <select
+            value={templateFilter}
+            onChange={(e) => {
+              setTemplateFilter(e.target.value);
+              setPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Todos os emails</option>
+            {Object.entries(EMAIL_TEMPLATE_LABELS).map(([template, label]) => (
+              <option key={template} value={template}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value as EmailOutboxStatus | '');
+              setPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Todas as situações</option>
+            {Object.entries(EMAIL_OUTBOX_STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Estado de erro */}
+      {error && (
+        <div className="flex items-center gap-3 p-4 mb-6 text-red-800 bg-red-100 border border-red-200 rounded-lg">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium">Erro ao carregar emails</p>
+            <p className="text-sm">
+              {error instanceof Error ? error.message : 'Erro desconhecido'}
+            </p>
+          </div>
+          <Button onClick={() => refetch()} variant="secondary" size="sm">
+            Tentar Novamente
+          </Button>
+        </div>
+      )}
+
+      {/* Tabela de emails */}
+      <div className="overflow-hidden bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Destinatário
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Email
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Criado em
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Situação
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-center text-gray-500 uppercase">
+                  Ações
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {isLoading ? (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-gray-500">
+                    Carregando emails...
+                  </td>
+                </tr>
+              ) : emails.length > 0 ? (
+                emails.map((email) => (
+                  <tr key={email.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="flex flex-col">
+                        <span className="text-gray-900">{email.toEmail}</span>
+                        {email.user && (
+                          <Link
+                            to={`/admin/emails?userId=${email.user.id}`}
+                            onClick={() => setPage(1)}
+                            className="text-sm text-gray-500 hover:text-blue-600"
+                          >
+                            {email.user.name}
+                          </Link>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex flex-col">
+                        <span className="font-medium text-gray-900">{email.subject}</span>
+                        <span className="text-sm text-gray-500">
+                          {EMAIL_TEMPLATE_LABELS[email.template] ?? email.template}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                      {formatDateTime(email.createdAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${STATUS_CLASSES[email.status]}`}
+                      >
+                        {EMAIL_OUTBOX_STATUS_LABELS[email.status]}
+                      </span>
+                      <span className="ml-2 text-xs text-gray-500">
+                        {email.attempts}/{email.maxAttempts} tentativa(s)
+                      </span>
+                      {getDeliveryDetail(email)}
+                    </td>
+                    <td className="px-6 py-4 text-center whitespace-nowrap">
+                      {email.status === 'failed' &&
+                        (SENSITIVE_EMAIL_TEMPLATES.includes(email.template) ? (
+                          <span
+                            className="text-xs text-gray-500"
+                            title="O conteúdo foi descartado por conter dados sensíveis"
+                          >
+                            Gere um novo envio
+                          </span>
+                        ) : (
+                          <Button
+                            onClick={() => handleRetry(email)}
+                            variant="secondary"
+                            size="sm"
+                            className="inline-flex items-center gap-2"
+                            disabled={retryMutation.isPending}
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                            Reenviar
+                          </Button>
+                        ))}
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-gray-500">
+                    <Mail className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+                    Nenhum email encontrado com os filtros aplicados.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {data && data.pages > 1 && (
+        <div className="mt-4">
+          <Pagination
+            currentPage={data.page}
+            totalPages={data.pages}
+            totalItems={data.total}
+            itemsPerPage={data.limit}
+            onPageChange={setPage}
+          />
+        </div>
+      )}
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
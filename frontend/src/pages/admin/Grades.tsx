@@ -2,6 +2,7 @@
  * Arquivo: frontend/src/pages/admin/Grades.tsx
  * Descrição: Página para lançamento de notas e gerenciamento de avaliações (Admin)
  * Feature: Implementar página para lançamento de notas em avaliações
+ * Modificado: feat-113 - Média final e situação calculadas pelo backend
  * Criado em: 2025-12-11
  *
  * Responsabilidades:
@@ -9,6 +10,7 @@
  * - Criar novas avaliações (nome, data, tipo)
  * - Lançar notas de forma individual ou em lote
  * - Atualizar notas existentes
+ * - Exibir média final e situação dos alunos (calculadas pelo backend)
  * - Validar dados de avaliação e notas
  * - Tratamento de loading, erros e estado vazio
  * - Responsividade em desktop, tablet e smartphone
@@ -45,7 +47,8 @@ import {
   type IUpdateGradeData,
 } from '@/services/grade.service';
 import type { IClass, IClassStudent } from '@/types/class.types';
-import type { IGrade } from '@/types/grade.types';
+import type { IGrade, IClassDisciplineResults } from '@/types/grade.types';
+import { ClassResultsPanel } from '@/components/grades/ClassResultsPanel';
 
 // Constantes para tipos de avaliação
 const EVALUATION_TYPES = {
@@ -118,6 +121,9 @@ export default function AdminGrades() {
   const [grades, setGrades] = useState<IGrade[]>([]);
   const [students, setStudents] = useState<IClassStudent[]>([]);
 
+  // Resultado final da disciplina (média e situação calculadas pelo backend)
+  const [classResults, setClassResults] = useState<IClassDisciplineResults | null>(null);
+
   // Estados de UI
   const [showCreateEvaluationForm, setShowCreateEvaluationForm] = useState(false);
   const [editingGradeId, setEditingGradeId] = useState<number | null>(null);
@@ -283,6 +289,24 @@ export default function AdminGrades() {
     }
   };
 
+  /**
+   * Cor da nota conforme a média de aprovação da disciplina (regra do backend)
+   *
+   * Sem o resultado da disciplina da avaliação carregado, a nota é exibida sem destaque.
+   */
+  const getGradeBadgeClass = (grade: number | null): string => {
+    if (
+      grade === null ||
+      !classResults ||
+      classResults.discipline.id !== selectedEvaluation?.disciplineId
+    ) {
+      return 'bg-blue-100 text-blue-800';
+    }
+    return Number(grade) >= classResults.passingGrade
+      ? 'bg-green-100 text-green-800'
+      : 'bg-orange-100 text-orange-800';
+  };
+
   /**
    * Altera turma selecionada
    */
@@ -1005,11 +1029,7 @@ export default function AdminGrades() {
                                         ? 'bg-gray-100 text-gray-600'
                                         : selectedEvaluation.type ===
                                             EVALUATION_TYPES.GRADE
-                                          ? `${
-                                              (studentGrade.grade || 0) >= 7
-                                                ? 'bg-green-100 text-green-800'
-                                                : 'bg-orange-100 text-orange-800'
-                                            }`
+                                          ? getGradeBadgeClass(studentGrade.grade)
                                           : 'bg-blue-100 text-blue-800'
                                     }`}
                                   >
@@ -1070,6 +1090,16 @@ export default function AdminGrades() {
           </div>
         </div>
       )}
+
+      {/* Resultado final da disciplina */}
+      {selectedClass && (
+        <ClassResultsPanel
+          classId={selectedClass.id}
+          disciplines={selectedClass.disciplines || []}
+          refreshKey={grades}
+          onResultsChange={setClassResults}
+        />
+      )}
     </div>
   );
 }
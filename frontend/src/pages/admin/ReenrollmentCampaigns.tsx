@@ -0,0 +1,816 @@
+/**
+ * Arquivo: frontend/src/pages/admin/ReenrollmentCampaigns.tsx
+ * Descrição: Página admin das campanhas de rematrícula em lote
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar as campanhas com o andamento dos aceites
+ * - Criar e editar campanhas (período, curso/semestre alvo e prazo)
+ * - Iniciar a campanha, enviar lembretes, encerrar e excluir rascunhos
+ * - Exibir o painel da campanha com a situação de cada aluno e as pendências dos ignorados
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  AlertCircle,
+  Eye,
+  Lock,
+  Mail,
+  Pencil,
+  Play,
+  Plus,
+  RefreshCw,
+  Trash2,
+  X,
+} from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import ConfirmModal from '@/components/ui/ConfirmModal';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import * as reenrollmentCampaignService from '@/services/reenrollmentCampaign.service';
+import { getApiErrorMessage } from '@/services/api';
+import CourseService from '@/services/course.service';
+import type { ICourse } from '@/types/course.types';
+import {
+  CAMPAIGN_ENROLLMENT_STATUS_LABELS,
+  CAMPAIGN_SKIP_REASON_LABELS,
+  REENROLLMENT_CAMPAIGN_STATUS_LABELS,
+  type CampaignEnrollmentStatus,
+  type ICreateReenrollmentCampaignRequest,
+  type IReenrollmentCampaign,
+  type IReenrollmentCampaignDetail,
+  type ReenrollmentCampaignStatus,
+} from '@/types/reenrollmentCampaign.types';
+
+/**
+ * Estado inicial do formulário (período em branco = próximo período letivo)
+ */
+const EMPTY_FORM: ICreateReenrollmentCampaignRequest = {
+  name: '',
+  year: undefined,
+  semester: undefined,
+  courseId: null,
+  targetSemester: null,
+  deadline: '',
+};
+
+/**
+ * Cores das situações da campanha
+ */
+const CAMPAIGN_STATUS_STYLES: Record<ReenrollmentCampaignStatus, string> = {
+  draft: 'text-gray-700 bg-gray-100',
+  open: 'text-blue-700 bg-blue-100',
+  closed: 'text-green-700 bg-green-100',
+};
+
+/**
+ * Cores das situações das matrículas na campanha
+ */
+const ENROLLMENT_STATUS_STYLES: Record<CampaignEnrollmentStatus, string> = {
+  pending: 'text-yellow-700 bg-yellow-100',
+  accepted: 'text-green-700 bg-green-100',
+  skipped: 'text-gray-700 bg-gray-100',
+  follow_up: 'text-red-700 bg-red-100',
+};
+
+/**
+ * Ação que exige confirmação
+ */
+type CampaignAction = 'launch' | 'close' | 'delete';
+
+/**
+ * Formata uma data YYYY-MM-DD sem conversão de fuso horário
+ */
+function formatDateOnly(date: string | null): string {
+  if (!date) return '-';
+  return date.slice(0, 10).split('-').reverse().join('/');
+}
+
+/**
+ * Público-alvo da campanha (curso e semestre atual das matrículas)
+ */
+function getAudienceLabel(campaign: IReenrollmentCampaign): string {
+  const course = campaign.course ? campaign.course.name : 'Todos os cursos';
+  return campaign.targetSemester ? `${course} - ${campaign.targetSemester}º semestre` : course;
+}
+
+/**
+ * Percentual de aceites entre as matrículas colocadas em rematrícula
+ */
+function getAcceptanceRate(campaign: IReenrollmentCampaign): number {
+  const { total, skipped, accepted } = campaign.progress;
+  const eligible = total - skipped;
+  return eligible > 0 ? Math.round((accepted / eligible) * 100) : 0;
+}
+
+/**
+ * ReenrollmentCampaigns - Campanhas de rematrícula para administradores
+ *
+ * @example
+ * <ReenrollmentCampaigns />
+ */
+export default function ReenrollmentCampaigns() {
+  const [campaigns, setCampaigns] = useState<IReenrollmentCampaign[]>([]);
+  const [courses, setCourses] = useState<ICourse[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [editingCampaign, setEditingCampaign] = useState<IReenrollmentCampaign | null>(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form, setForm] = useState<ICreateReenrollmentCampaignRequest>(EMPTY_FORM);
+  const [detail, setDetail] = useState<IReenrollmentCampaignDetail | null>(null);
+  const [detailFilter, setDetailFilter] = useState<CampaignEnrollmentStatus | ''>('');
+  const [pendingAction, setPendingAction] = useState<{
+    action: CampaignAction;
+    campaign: IReenrollmentCampaign;
+  } | null>(null);
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  /**
+   * Carrega as campanhas e os cursos
+   */
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [campaignList, courseList] = await Promise.all([
+        reenrollmentCampaignService.getAll(),
+        CourseService.getAll({ limit: 1000 }),
+      ]);
+      setCampaigns(campaignList);
+      setCourses(courseList.data);
+    } catch (err) {
+      console.error('[AdminReenrollmentCampaigns] Erro ao carregar campanhas:', err);
+      setError(getApiErrorMessage(err, 'Erro ao carregar campanhas de rematrícula'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Abre (ou recarrega) o painel da campanha
+   */
+  const loadDetail = async (id: number) => {
+    try {
+      setDetail(await reenrollmentCampaignService.getById(id));
+    } catch (err) {
+      console.error('[AdminReenrollmentCampaigns] Erro ao carregar painel da campanha:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao carregar campanha'), type: 'error' });
+    }
+  };
+
+  /**
+   * Atualiza a lista e, se aberto, o painel da campanha
+   */
+  const refresh = async (id?: number) => {
+    await loadData();
+    if (detail && (id === undefined || detail.id === id)) {
+      await loadDetail(detail.id);
+    }
+  };
+
+  const handleOpenCreate = () => {
+    setEditingCampaign(null);
+    setForm(EMPTY_FORM);
+    setIsFormOpen(true);
+  };
+
+  const handleOpenEdit = (campaign: IReenrollmentCampaign) => {
+    setEditingCampaign(campaign);
+    setForm({
+      name: campaign.name,
+      year: campaign.year,
+      semester: campaign.semester,
+      courseId: campaign.courseId,
+      targetSemester: campaign.targetSemester,
+      deadline: campaign.deadline,
+    });
+    setIsFormOpen(true);
+  };
+
+  const handleCloseForm = () => {
+    setIsFormOpen(false);
+    setEditingCampaign(null);
+  };
+
+  /**
+   * Cria ou atualiza a campanha (em andamento, apenas nome e prazo)
+   */
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = { ...form, name: form.name.trim() };
+
+      if (editingCampaign) {
+        const payload =
+          editingCampaign.status === 'draft' ? data : { name: data.name, deadline: data.deadline };
+        await reenrollmentCampaignService.update(editingCampaign.id, payload);
+        setToast({ message: 'Campanha atualizada com sucesso!', type: 'success' });
+        handleCloseForm();
+        await refresh(editingCampaign.id);
+      } else {
+        const created = await reenrollmentCampaignService.create(data);
+        setToast({ message: 'Campanha criada com sucesso!', type: 'success' });
+        handleCloseForm();
+        await loadData();
+        setDetail(created);
+      }
+    } catch (err) {
+      console.error('[AdminReenrollmentCampaigns] Erro ao salvar campanha:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao salvar campanha'), type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Envia lembretes aos alunos que ainda não aceitaram
+   */
+  const handleSendReminders = async (campaign: IReenrollmentCampaign) => {
+    try {
+      setSaving(true);
+      const summary = await reenrollmentCampaignService.sendReminders(campaign.id);
+      const extra = [
+        summary.failed > 0 ? `${summary.failed} falha(s)` : null,
+        summary.withoutEmail > 0 ? `${summary.withoutEmail} aluno(s) sem email` : null,
+      ]
+        .filter(Boolean)
+        .join(', ');
+      setToast({
+        message: `${summary.sent} lembrete(s) enviado(s)${extra ? ` (${extra})` : ''}`,
+        type: summary.failed > 0 ? 'warning' : 'success',
+      });
+      await refresh(campaign.id);
+    } catch (err) {
+      console.error('[AdminReenrollmentCampaigns] Erro ao enviar lembretes:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao enviar lembretes'), type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Executa a ação confirmada (iniciar, encerrar ou excluir)
+   */
+  const handleConfirmAction = async () => {
+    if (!pendingAction) return;
+    const { action, campaign } = pendingAction;
+
+    try {
+      setSaving(true);
+
+      if (action === 'launch') {
+        const launched = await reenrollmentCampaignService.launch(campaign.id);
+        setToast({
+          message: `Campanha iniciada: ${launched.progress.pending} aluno(s) em rematrícula, ${launched.progress.skipped} ignorado(s) por pendência`,
+          type: 'success',
+        });
+        await loadData();
+        setDetail(launched);
+      } else if (action === 'close') {
+        const closed = await reenrollmentCampaignService.close(campaign.id);
+        setToast({
+          message: `Campanha encerrada: ${closed.progress.followUp} aluno(s) para acompanhamento`,
+          type: 'success',
+        });
+        await loadData();
+        setDetail(closed);
+      } else {
+        await reenrollmentCampaignService.remove(campaign.id);
+        setToast({ message: 'Campanha excluída com sucesso!', type: 'success' });
+        if (detail?.id === campaign.id) setDetail(null);
+        await loadData();
+      }
+    } catch (err) {
+      console.error('[AdminReenrollmentCampaigns] Erro ao executar ação na campanha:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao atualizar campanha'), type: 'error' });
+    } finally {
+      setPendingAction(null);
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Texto da confirmação de cada ação
+   */
+  const getConfirmProps = (action: CampaignAction, campaign: IReenrollmentCampaign) => {
+    if (action === 'launch') {
+      return {
+        title: 'Iniciar Campanha',
+        message: `As matrículas ativas de "${getAudienceLabel(campaign)}" serão colocadas em rematrícula para ${campaign.periodLabel}. Alunos com disciplinas reprovadas ou documentos pendentes serão ignorados. Deseja continuar?`,
+        confirmText: 'Iniciar',
+        type: 'warning' as const,
+      };
+    }
+    if (action === 'close') {
+      return {
+        title: 'Encerrar Campanha',
+        message: `Os ${campaign.progress.pending} aluno(s) que ainda não aceitaram serão marcados para acompanhamento. Eles continuam podendo aceitar a rematrícula. Deseja encerrar "${campaign.name}"?`,
+        confirmText: 'Encerrar',
+        type: 'warning' as const,
+      };
+    }
+    return {
+      title: 'Confirmar Exclusão',
+      message: `Tem certeza que deseja excluir a campanha "${campaign.name}"?`,
+      confirmText: 'Excluir',
+      type: 'danger' as const,
+    };
+  };
+
+  const filteredEnrollments = detail
+    ? detail.enrollments.filter((entry) => !detailFilter || entry.status === detailFilter)
+    : [];
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex flex-col gap-4 mb-6 sm:flex-row sm:items-start sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Campanhas de Rematrícula</h1>
+          <p className="mt-1 text-gray-600">
+            Coloque as matrículas em rematrícula de uma só vez e acompanhe os aceites dos alunos
+          </p>
+        </div>
+        <Button onClick={handleOpenCreate} className="flex items-center gap-2">
+          <Plus className="w-4 h-4" />
+          Nova Campanha
+        </Button>
+      </div>
+
+      {/* Estado de erro */}
+      {error && (
+        <div className="flex items-center gap-3 p-4 mb-6 text-red-800 bg-red-100 border border-red-200 rounded-lg">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium">Erro ao carregar campanhas de rematrícula</p>
+            <p className="text-sm">{error}</p>
+          </div>
+          <Button onClick={loadData} variant="secondary" size="sm">
+            Tentar Novamente
+          </Button>
+        </div>
+      )}
+
+      {/* Tabela de campanhas */}
+      <div className="overflow-hidden bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Campanha
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Público
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Prazo
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Situação
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Aceites
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-center text-gray-500 uppercase">
+                  Ações
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-gray-500">
+                    Carregando campanhas...
+                  </td>
+                </tr>
+              ) : campaigns.length > 0 ? (
+                campaigns.map((campaign) => (
+                  <tr
+                    key={campaign.id}
+                    className={`hover:bg-gray-50 ${detail?.id === campaign.id ? 'bg-blue-50' : ''}`}
+                  >
+                    <td className="px-6 py-4">
+                      <div className="flex flex-col">
+                        <span className="font-medium text-gray-900">{campaign.name}</span>
+                        <span className="text-sm text-gray-500">
+                          Período {campaign.periodLabel}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {getAudienceLabel(campaign)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                      {formatDateOnly(campaign.deadline)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${CAMPAIGN_STATUS_STYLES[campaign.status]}`}
+                      >
+                        {REENROLLMENT_CAMPAIGN_STATUS_LABELS[campaign.status]}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                      {campaign.status === 'draft' ? (
+                        '-'
+                      ) : (
+                        <div className="w-40">
+                          <div className="flex justify-between mb-1 text-xs">
+                            <span>
+                              {campaign.progress.accepted}/
+                              {campaign.progress.total - campaign.progress.skipped}
+                            </span>
+                            <span>{getAcceptanceRate(campaign)}%</span>
+                          </div>
+                          <div className="h-2 overflow-hidden bg-gray-200 rounded-full">
+                            <div
+                              className="h-2 bg-green-500"
+                              style={{ width: `${getAcceptanceRate(campaign)}%` }}
+                            />
+                          </div>
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-center whitespace-nowrap">
+                      <div className="flex items-center justify-center gap-2">
+                        <button
+                          type="button"
+                          onClick={() => loadDetail(campaign.id)}
+                          className="p-1 text-gray-600 rounded hover:bg-gray-100"
+                          title="Ver painel"
+                        >
+                          <Eye className="w-4 h-4" />
+                        </button>
+                        {campaign.status !== 'closed' && (
+                          <button
+                            type="button"
+                            onClick={() => handleOpenEdit(campaign)}
+                            className="p-1 text-blue-600 rounded hover:bg-blue-50"
+                            title="Editar"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                        )}
+                        {campaign.status === 'draft' && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => setPendingAction({ action: 'launch', campaign })}
+                              className="p-1 text-green-600 rounded hover:bg-green-50"
+                              title="Iniciar campanha"
+                            >
+                              <Play className="w-4 h-4" />
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setPendingAction({ action: 'delete', campaign })}
+                              className="p-1 text-red-600 rounded hover:bg-red-50"
+                              title="Excluir"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                        {campaign.status === 'open' && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => handleSendReminders(campaign)}
+                              disabled={saving || campaign.progress.pending === 0}
+                              className="p-1 text-yellow-600 rounded hover:bg-yellow-50 disabled:opacity-30"
+                              title="Enviar lembretes"
+                            >
+                              <Mail className="w-4 h-4" />
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setPendingAction({ action: 'close', campaign })}
+                              className="p-1 text-gray-700 rounded hover:bg-gray-100"
+                              title="Encerrar campanha"
+                            >
+                              <Lock className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-gray-500">
+                    <RefreshCw className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+                    Nenhuma campanha de rematrícula cadastrada.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Painel da campanha */}
+      {detail && (
+        <div className="p-6 mt-6 bg-white border border-gray-200 rounded-lg shadow-sm">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">{detail.name}</h2>
+              <p className="text-sm text-gray-600">
+                {getAudienceLabel(detail)} · Período {detail.periodLabel} · Prazo{' '}
+                {formatDateOnly(detail.deadline)}
+                {detail.lastReminderAt &&
+                  ` · Último lembrete em ${new Date(detail.lastReminderAt).toLocaleDateString('pt-BR')}`}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => setDetail(null)}
+              className="p-1 text-gray-400 rounded hover:text-gray-600"
+              aria-label="Fechar painel"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {detail.status === 'draft' ? (
+            <p className="text-sm text-gray-600">
+              A campanha ainda não foi iniciada. Ao iniciar, as matrículas ativas do público serão
+              avaliadas e colocadas em rematrícula.
+            </p>
+          ) : (
+            <>
+              {/* Resumo */}
+              <div className="grid grid-cols-2 gap-4 mb-6 sm:grid-cols-4">
+                {(
+                  [
+                    ['pending', detail.progress.pending],
+                    ['accepted', detail.progress.accepted],
+                    ['follow_up', detail.progress.followUp],
+                    ['skipped', detail.progress.skipped],
+                  ] as [CampaignEnrollmentStatus, number][]
+                ).map(([status, count]) => (
+                  <button
+                    key={status}
+                    type="button"
+                    onClick={() => setDetailFilter(detailFilter === status ? '' : status)}
+                    className={`p-4 text-left border rounded-lg ${
+                      detailFilter === status ? 'border-blue-500' : 'border-gray-200'
+                    }`}
+                  >
+                    <p className="text-sm text-gray-600">
+                      {CAMPAIGN_ENROLLMENT_STATUS_LABELS[status]}
+                    </p>
+                    <p className="text-2xl font-bold text-gray-900">{count}</p>
+                  </button>
+                ))}
+              </div>
+
+              {/* Alunos */}
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                        Aluno
+                      </th>
+                      <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                        Curso
+                      </th>
+                      <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                        Situação
+                      </th>
+                      <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                        Detalhes
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {filteredEnrollments.length > 0 ? (
+                      filteredEnrollments.map((entry) => (
+                        <tr key={entry.id}>
+                          <td className="px-4 py-3 text-sm">
+                            <div className="font-medium text-gray-900">
+                              {entry.student?.name ?? '-'}
+                            </div>
+                            <div className="text-gray-500">
+                              {[entry.student?.matricula, entry.student?.email]
+                                .filter(Boolean)
+                                .join(' · ')}
+                            </div>
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            {entry.course?.name ?? '-'}
+                            {entry.currentSemester && (
+                              <span className="text-gray-500">
+                                {' '}
+                                ({entry.currentSemester}º semestre)
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap">
+                            <span
+                              className={`px-2 py-1 text-xs font-medium rounded-full ${ENROLLMENT_STATUS_STYLES[entry.status]}`}
+                            >
+                              {CAMPAIGN_ENROLLMENT_STATUS_LABELS[entry.status]}
+                            </span>
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            {entry.status === 'skipped' ? (
+                              <ul className="space-y-1">
+                                {entry.skipReasons.map((skip) => (
+                                  <li key={skip.reason}>
+                                    <span className="font-medium">
+                                      {CAMPAIGN_SKIP_REASON_LABELS[skip.reason] ?? skip.reason}:
+                                    </span>{' '}
+                                    {skip.details.join(', ')}
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : entry.acceptedAt ? (
+                              `Aceita em ${new Date(entry.acceptedAt).toLocaleDateString('pt-BR')}`
+                            ) : (
+                              `${entry.remindersSent} lembrete(s) enviado(s)`
+                            )}
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={4} className="px-4 py-6 text-sm text-center text-gray-500">
+                          Nenhum aluno nesta situação.
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Modal de criação/edição */}
+      <Modal
+        isOpen={isFormOpen}
+        onClose={handleCloseForm}
+        title={editingCampaign ? 'Editar Campanha' : 'Nova Campanha de Rematrícula'}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {editingCampaign && editingCampaign.status !== 'draft' && (
+            <p className="p-3 text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-md">
+              A campanha já foi iniciada: apenas o nome e o prazo podem ser alterados.
+            </p>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Nome <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+              maxLength={150}
+              placeholder="Ex.: Rematrícula 2027/1"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <fieldset
+            disabled={!!editingCampaign && editingCampaign.status !== 'draft'}
+            className="space-y-4 disabled:opacity-60"
+          >
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Ano</label>
+                <input
+                  type="number"
+                  min={2020}
+                  max={2100}
+                  value={form.year ?? ''}
+                  onChange={(e) =>
+                    setForm({ ...form, year: e.target.value ? Number(e.target.value) : undefined })
+                  }
+                  placeholder="Próximo período"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Semestre do período
+                </label>
+                <select
+                  value={form.semester ?? ''}
+                  onChange={(e) =>
+                    setForm({
+                      ...form,
+                      semester: e.target.value ? Number(e.target.value) : undefined,
+                    })
+                  }
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Próximo período</option>
+                  <option value="1">1º semestre</option>
+                  <option value="2">2º semestre</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Curso</label>
+                <select
+                  value={form.courseId ?? ''}
+                  onChange={(e) =>
+                    setForm({ ...form, courseId: e.target.value ? Number(e.target.value) : null })
+                  }
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Todos os cursos</option>
+                  {courses.map((course) => (
+                    <option key={course.id} value={course.id}>
+                      {course.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Semestre atual dos alunos
+                </label>
+                <input
+                  type="number"
+                  min={1}
+                  value={form.targetSemester ?? ''}
+                  onChange={(e) =>
+                    setForm({
+                      ...form,
+                      targetSemester: e.target.value ? Number(e.target.value) : null,
+                    })
+                  }
+                  placeholder="Todos"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+          </fieldset>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Prazo para aceite <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="date"
+              value={form.deadline}
+              onChange={(e) => setForm({ ...form, deadline: e.target.value })}
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Os alunos pendentes recebem lembretes antes do prazo. No prazo, a campanha é encerrada
+              e quem não respondeu fica marcado para acompanhamento.
+            </p>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <Button type="button" variant="secondary" onClick={handleCloseForm}>
+              Cancelar
+            </Button>
+            <Button
+              type="submit"
+              loading={saving}
+              disabled={saving || !form.name.trim() || !form.deadline}
+            >
+              {editingCampaign ? 'Salvar Alterações' : 'Criar Campanha'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Modal de Confirmação */}
+      {pendingAction && (
+        <ConfirmModal
+          {...getConfirmProps(pendingAction.action, pendingAction.campaign)}
+          cancelText="Cancelar"
+          onConfirm={handleConfirmAction}
+          onCancel={() => setPendingAction(null)}
+          isLoading={saving}
+        />
+      )}
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
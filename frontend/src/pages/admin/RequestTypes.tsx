@@ -0,0 +1,610 @@
+/**
+ * Arquivo: frontend/src/pages/admin/RequestTypes.tsx
+ * Descrição: Página admin da gestão dos tipos de solicitação
+ * Feature: feat-121 - Gestão dos tipos de solicitação
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar os tipos de solicitação (ativos e inativos) na ordem de exibição
+ * - Criar e editar tipos (nome, descrição, prazo, perfis, anexos obrigatórios e gerador)
+ * - Reordenar, ativar/desativar e excluir tipos
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  AlertCircle,
+  ArrowDown,
+  ArrowUp,
+  FileText,
+  Pencil,
+  Plus,
+  Power,
+  Trash2,
+  X,
+} from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import ConfirmModal from '@/components/ui/ConfirmModal';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import * as requestTypeService from '@/services/requestType.service';
+import { getApiErrorMessage } from '@/services/api';
+import {
+  REQUEST_TYPE_ROLE_LABELS,
+  type ICreateRequestTypeRequest,
+  type IDocumentGeneratorOption,
+  type IRequestType,
+  type RequestTypeRole,
+} from '@/types/request.types';
+
+/**
+ * Estado inicial do formulário
+ */
+const EMPTY_FORM: ICreateRequestTypeRequest = {
+  name: '',
+  description: '',
+  expectedDays: 5,
+  isActive: true,
+  allowedRoles: ['student', 'admin'],
+  requiredAttachments: [],
+  documentGenerator: null,
+};
+
+/**
+ * RequestTypes - Gestão dos tipos de solicitação para administradores
+ *
+ * @example
+ * <RequestTypes />
+ */
+export default function RequestTypes() {
+  const [requestTypes, setRequestTypes] = useState<IRequestType[]>([]);
+  const [generators, setGenerators] = useState<IDocumentGeneratorOption[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [editingType, setEditingType] = useState<IRequestType | null>(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form, setForm] = useState<ICreateRequestTypeRequest>(EMPTY_FORM);
+  const [newAttachment, setNewAttachment] = useState('');
+  const [typeToDelete, setTypeToDelete] = useState<IRequestType | null>(null);
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  /**
+   * Carrega os tipos e os geradores de documento
+   */
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [types, generatorOptions] = await Promise.all([
+        requestTypeService.getAll(),
+        requestTypeService.getGenerators(),
+      ]);
+      setRequestTypes(types);
+      setGenerators(generatorOptions);
+    } catch (err) {
+      console.error('[AdminRequestTypes] Erro ao carregar tipos de solicitação:', err);
+      setError(getApiErrorMessage(err, 'Erro ao carregar tipos de solicitação'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Título do gerador de documento
+   */
+  const getGeneratorTitle = (key: string | null): string => {
+    if (!key) return 'Nenhum';
+    return generators.find((generator) => generator.key === key)?.title ?? key;
+  };
+
+  const handleOpenCreate = () => {
+    setEditingType(null);
+    setForm(EMPTY_FORM);
+    setNewAttachment('');
+    setIsFormOpen(true);
+  };
+
+  const handleOpenEdit = (requestType: IRequestType) => {
+    setEditingType(requestType);
+    setForm({
+      name: requestType.name,
+      description: requestType.description ?? '',
+      expectedDays: requestType.expectedDays,
+      isActive: requestType.isActive,
+      allowedRoles: requestType.allowedRoles,
+      requiredAttachments: requestType.requiredAttachments,
+      documentGenerator: requestType.documentGenerator,
+    });
+    setNewAttachment('');
+    setIsFormOpen(true);
+  };
+
+  const handleCloseForm = () => {
+    setIsFormOpen(false);
+    setEditingType(null);
+  };
+
+  /**
+   * Marca ou desmarca um perfil que pode abrir o tipo
+   */
+  const handleToggleRole = (role: RequestTypeRole) => {
+    const roles = form.allowedRoles ?? [];
+    setForm({
+      ...form,
+      allowedRoles: roles.includes(role) ? roles.filter((r) => r !== role) : [...roles, role],
+    });
+  };
+
+  const handleAddAttachment = () => {
+    const label = newAttachment.trim();
+    if (!label || form.requiredAttachments?.includes(label)) return;
+    setForm({ ...form, requiredAttachments: [...(form.requiredAttachments ?? []), label] });
+    setNewAttachment('');
+  };
+
+  const handleRemoveAttachment = (label: string) => {
+    setForm({
+      ...form,
+      requiredAttachments: (form.requiredAttachments ?? []).filter((item) => item !== label),
+    });
+  };
+
+  /**
+   * Cria ou atualiza o tipo de solicitação
+   */
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = { ...form, name: form.name.trim(), description: form.description.trim() };
+
+      if (editingType) {
+        await requestTypeService.update(editingType.id, data);
+        setToast({ message: 'Tipo de solicitação atualizado com sucesso!', type: 'success' });
+      } else {
+        await requestTypeService.create(data);
+        setToast({ message: 'Tipo de solicitação criado com sucesso!', type: 'success' });
+      }
+
+      handleCloseForm();
+      await loadData();
+    } catch (err) {
+      console.error('[AdminRequestTypes] Erro ao salvar tipo de solicitação:', err);
+      setToast({
+        message: getApiErrorMessage(err, 'Erro ao salvar tipo de solicitação'),
+        type: 'error',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Ativa ou desativa o tipo (tipos inativos não podem ser abertos)
+   */
+  const handleToggleActive = async (requestType: IRequestType) => {
+    try {
+      await requestTypeService.update(requestType.id, { isActive: !requestType.isActive });
+      setToast({
+        message: requestType.isActive
+          ? 'Tipo de solicitação desativado'
+          : 'Tipo de solicitação ativado',
+        type: 'success',
+      });
+      await loadData();
+    } catch (err) {
+      console.error('[AdminRequestTypes] Erro ao alterar situação do tipo:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao alterar situação'), type: 'error' });
+    }
+  };
+
+  /**
+   * Move o tipo uma posição para cima (-1) ou para baixo (+1)
+   */
+  const handleMove = async (index: number, direction: -1 | 1) => {
+    const target = index + direction;
+    if (target < 0 || target >= requestTypes.length) return;
+
+    const reordered = [...requestTypes];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setRequestTypes(reordered);
+
+    try {
+      setRequestTypes(await requestTypeService.reorder(reordered.map((type) => type.id)));
+    } catch (err) {
+      console.error('[AdminRequestTypes] Erro ao reordenar tipos:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao reordenar tipos'), type: 'error' });
+      await loadData();
+    }
+  };
+
+  /**
+   * Exclui o tipo (apenas tipos sem solicitações registradas)
+   */
+  const handleConfirmDelete = async () => {
+    if (!typeToDelete) return;
+
+    try {
+      setSaving(true);
+      await requestTypeService.remove(typeToDelete.id);
+      setToast({ message: 'Tipo de solicitação excluído com sucesso!', type: 'success' });
+      setTypeToDelete(null);
+      await loadData();
+    } catch (err) {
+      console.error('[AdminRequestTypes] Erro ao excluir tipo de solicitação:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao excluir tipo'), type: 'error' });
+      setTypeToDelete(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex flex-col gap-4 mb-6 sm:flex-row sm:items-start sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Tipos de Solicitação</h1>
+          <p className="mt-1 text-gray-600">
+            Defina os tipos que podem ser abertos, a ordem de exibição, os anexos obrigatórios e o
+            documento emitido na aprovação
+          </p>
+        </div>
+        <Button onClick={handleOpenCreate} className="flex items-center gap-2">
+          <Plus className="w-4 h-4" />
+          Novo Tipo
+        </Button>
+      </div>
+
+      {/* Estado de erro */}
+      {error && (
+        <div className="flex items-center gap-3 p-4 mb-6 text-red-800 bg-red-100 border border-red-200 rounded-lg">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium">Erro ao carregar tipos de solicitação</p>
+            <p className="text-sm">{error}</p>
+          </div>
+          <Button onClick={loadData} variant="secondary" size="sm">
+            Tentar Novamente
+          </Button>
+        </div>
+      )}
+
+      {/* Tabela de tipos */}
+      <div className="overflow-hidden bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Ordem
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Tipo
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Prazo
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Perfis
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Anexos obrigatórios
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Documento gerado
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Situação
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-center text-gray-500 uppercase">
+                  Ações
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan={8} className="px-6 py-8 text-center text-gray-500">
+                    Carregando tipos de solicitação...
+                  </td>
+                </tr>
+              ) : requestTypes.length > 0 ? (
+                requestTypes.map((requestType, index) => (
+                  <tr
+                    key={requestType.id}
+                    className={`hover:bg-gray-50 ${requestType.isActive ? '' : 'opacity-60'}`}
+                  >
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-1">
+                        <button
+                          type="button"
+                          onClick={() => handleMove(index, -1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-500 rounded hover:bg-gray-100 disabled:opacity-30"
+                          aria-label="Mover para cima"
+                        >
+                          <ArrowUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleMove(index, 1)}
+                          disabled={index === requestTypes.length - 1}
+                          className="p-1 text-gray-500 rounded hover:bg-gray-100 disabled:opacity-30"
+                          aria-label="Mover para baixo"
+                        >
+                          <ArrowDown className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex flex-col">
+                        <span className="font-medium text-gray-900">{requestType.name}</span>
+                        {requestType.description && (
+                          <span className="text-sm text-gray-500 max-w-xs truncate">
+                            {requestType.description}
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                      {requestType.expectedDays} dias úteis
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                      {requestType.allowedRoles
+                        .map((role) => REQUEST_TYPE_ROLE_LABELS[role])
+                        .join(', ')}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {requestType.requiredAttachments.length > 0
+                        ? requestType.requiredAttachments.join(', ')
+                        : '-'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                      {getGeneratorTitle(requestType.documentGenerator)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {requestType.isActive ? (
+                        <span className="px-2 py-1 text-xs font-medium text-green-700 bg-green-100 rounded-full">
+                          Ativo
+                        </span>
+                      ) : (
+                        <span className="px-2 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-full">
+                          Inativo
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-center whitespace-nowrap">
+                      <div className="flex items-center justify-center gap-2">
+                        <button
+                          type="button"
+                          onClick={() => handleOpenEdit(requestType)}
+                          className="p-1 text-blue-600 rounded hover:bg-blue-50"
+                          title="Editar"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleToggleActive(requestType)}
+                          className={`p-1 rounded ${
+                            requestType.isActive
+                              ? 'text-yellow-600 hover:bg-yellow-50'
+                              : 'text-green-600 hover:bg-green-50'
+                          }`}
+                          title={requestType.isActive ? 'Desativar' : 'Ativar'}
+                        >
+                          <Power className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setTypeToDelete(requestType)}
+                          className="p-1 text-red-600 rounded hover:bg-red-50"
+                          title="Excluir"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={8} className="px-6 py-8 text-center text-gray-500">
+                    <FileText className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+                    Nenhum tipo de solicitação cadastrado.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Modal de criação/edição */}
+      <Modal
+        isOpen={isFormOpen}
+        onClose={handleCloseForm}
+        title={editingType ? 'Editar Tipo de Solicitação' : 'Novo Tipo de Solicitação'}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Nome <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+              maxLength={100}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Descrição</label>
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              rows={3}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Prazo de resposta (dias úteis) <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="number"
+                min={1}
+                max={365}
+                value={form.expectedDays}
+                onChange={(e) => setForm({ ...form, expectedDays: Number(e.target.value) })}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Documento gerado na aprovação
+              </label>
+              <select
+                value={form.documentGenerator ?? ''}
+                onChange={(e) => setForm({ ...form, documentGenerator: e.target.value || null })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Nenhum</option>
+                {generators.map((generator) => (
+                  <option key={generator.key} value={generator.key}>
+                    {generator.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              Quem pode abrir <span className="text-red-500">*</span>
+            </span>
+            <div className="flex gap-6">
+              {(Object.keys(REQUEST_TYPE_ROLE_LABELS) as RequestTypeRole[]).map((role) => (
+                <label key={role} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.allowedRoles?.includes(role) ?? false}
+                    onChange={() => handleToggleRole(role)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  {REQUEST_TYPE_ROLE_LABELS[role]}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              Anexos obrigatórios
+            </span>
+            <p className="mb-2 text-xs text-gray-500">
+              A solicitação só pode ser aprovada depois que o aluno enviar os anexos listados.
+            </p>
+            {(form.requiredAttachments ?? []).length > 0 && (
+              <ul className="mb-2 space-y-1">
+                {(form.requiredAttachments ?? []).map((label) => (
+                  <li
+                    key={label}
+                    className="flex items-center justify-between px-3 py-1 text-sm bg-gray-50 border border-gray-200 rounded"
+                  >
+                    {label}
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveAttachment(label)}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label={`Remover ${label}`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newAttachment}
+                onChange={(e) => setNewAttachment(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    handleAddAttachment();
+                  }
+                }}
+                placeholder="Ex.: Comprovante de residência"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <Button
+                type="button"
+                variant="secondary"
+                onClick={handleAddAttachment}
+                disabled={!newAttachment.trim()}
+              >
+                Adicionar
+              </Button>
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.isActive ?? true}
+              onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Ativo (disponível para abertura de solicitações)
+          </label>
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <Button type="button" variant="secondary" onClick={handleCloseForm}>
+              Cancelar
+            </Button>
+            <Button
+              type="submit"
+              loading={saving}
+              disabled={saving || !form.name.trim() || (form.allowedRoles ?? []).length === 0}
+            >
+              {editingType ? 'Salvar Alterações' : 'Criar Tipo'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Modal de Confirmação de Exclusão */}
+      {typeToDelete && (
+        <ConfirmModal
+          title="Confirmar Exclusão"
+          message={`Tem certeza que deseja excluir o tipo "${typeToDelete.name}"? Tipos com solicitações registradas não podem ser excluídos, apenas desativados.`}
+          confirmText="Excluir"
+          cancelText="Cancelar"
+          type="danger"
+          onConfirm={handleConfirmDelete}
+          onCancel={() => setTypeToDelete(null)}
+          isLoading={saving}
+        />
+      )}
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
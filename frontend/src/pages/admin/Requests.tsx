@@ -2,6 +2,11 @@
  * Arquivo: frontend/src/pages/admin/Requests.tsx
  * Descrição: Página de gestão de solicitações com listagem e ações de aprovação/rejeição
  * Feature: feat-088 - Criar request.service.ts e página Requests Admin
+ * Modificado: feat-119 - Prazos (SLA): data limite, atrasadas/em risco e ordenação por prazo
+ * Modificado: feat-120 - Status em análise/aguardando aluno, pedido de informações e linha do tempo
+ * Modificado: feat-121 - Mensagem da API ao aprovar (ex: anexos obrigatórios pendentes)
+ * Modificado: feat-127 - Turma de destino e notas ao aprovar a transferência de turma
+ * Modificado: feat-128 - Datas do trancamento ao aprovar "Matrícula - Trancamento"
  * Criado em: 2025-11-04
  *
  * Responsabilidades:
@@ -10,7 +15,12 @@
  * - Aprovar solicitações pendentes
  * - Rejeitar solicitações com observações obrigatórias
  * - Exibir estatísticas de solicitações
- * - Calcular e exibir prazo estimado de resposta
+ * - Exibir a data limite de resposta (calculada em dias úteis pelo backend)
+ * - Sinalizar, filtrar e ordenar solicitações atrasadas ou em risco de atraso
+ * - Colocar solicitações em análise e pedir informações/documentos ao aluno
+ * - Conversar com o aluno (comentários e anexos) e acompanhar a linha do tempo
+ * - Escolher a turma de destino ao aprovar uma "Transferência de Turma" (o aluno é
+ *   transferido na aprovação)
  */
 
 import { useEffect, useState } from 'react';
@@ -25,17 +35,30 @@ import {
   Calendar,
   AlertTriangle,
   Download,
+  Search,
+  MessageSquare,
 } from 'lucide-react';
 import { Modal } from '@/components/ui/Modal';
+import { RequestTimeline } from '@/components/requests/RequestTimeline';
 import * as requestService from '@/services/request.service';
-import type {
-  IRequest,
-  RequestStatus,
-  IRequestStats,
+import * as classService from '@/services/class.service';
+import { getApiErrorMessage } from '@/services/api';
+import type { IClass } from '@/types/class.types';
+import {
+  CLASS_TRANSFER_GRADE_MODE_LABELS,
+  type ClassTransferGradeMode,
+} from '@/types/classTransfer.types';
+import {
+  OPEN_REQUEST_STATUSES,
+  type IRequest,
+  type IRequestFilters,
+  type RequestStatus,
+  type RequestSlaFilter,
+  type IRequestStats,
 } from '@/types/request.types';
 
 /**
- * Verifica se a solicitação é do tipo "Pedido de Atestado" e possui PDF gerado
+ * Verifica se a solicitação possui PDF gerado (atestado, histórico, declaração ou certificado)
  */
 function hasAtestadoPDF(request: IRequest): boolean {
   return (
@@ -45,6 +68,32 @@ function hasAtestadoPDF(request: IRequest): boolean {
   );
 }
 
+/**
+ * Verifica se a solicitação ainda está aberta (pode ser aprovada, rejeitada ou comentada)
+ */
+function isOpen(request: IRequest): boolean {
+  return OPEN_REQUEST_STATUSES.includes(request.status);
+}
+
+/**
+ * Verifica se a aprovação da solicitação executa a transferência de turma
+ */
+function isClassTransfer(request: IRequest | null): boolean {
+  return request?.requestType?.name === 'Transferência de Turma';
+}
+
+/**
+ * Verifica se a aprovação da solicitação tranca a matrícula do aluno
+ */
+function isEnrollmentLock(request: IRequest | null): boolean {
+  return request?.requestType?.name === 'Matrícula - Trancamento';
+}
+
+/**
+ * Status em que o prazo (SLA) está correndo
+ */
+const SLA_STATUSES: RequestStatus[] = ['pending', 'in_analysis'];
+
 /**
  * Cores de status para badges
  */
@@ -57,6 +106,16 @@ const statusColors: Record<
     text: 'text-yellow-800',
     border: 'border-yellow-200',
   },
+  in_analysis: {
+    bg: 'bg-blue-50',
+    text: 'text-blue-800',
+    border: 'border-blue-200',
+  },
+  awaiting_student: {
+    bg: 'bg-orange-50',
+    text: 'text-orange-800',
+    border: 'border-orange-200',
+  },
   approved: {
     bg: 'bg-green-50',
     text: 'text-green-800',
@@ -74,6 +133,8 @@ const statusColors: Record<
  */
 const statusLabels: Record<RequestStatus, string> = {
   pending: 'Pendente',
+  in_analysis: 'Em análise',
+  awaiting_student: 'Aguardando aluno',
   approved: 'Aprovada',
   rejected: 'Rejeitada',
 };
@@ -89,13 +150,22 @@ export default function AdminRequests() {
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [filterStatus, setFilterStatus] = useState<RequestStatus | 'all'>('pending');
+  const [filterSla, setFilterSla] = useState<RequestSlaFilter | 'all'>('all');
+  const [sortBy, setSortBy] = useState<'createdAt' | 'dueDate'>('createdAt');
 
   // Estados do modal de ações
   const [selectedRequest, setSelectedRequest] = useState<IRequest | null>(null);
   const [isRejectModalOpen, setIsRejectModalOpen] = useState<boolean>(false);
   const [isApproveModalOpen, setIsApproveModalOpen] = useState<boolean>(false);
   const [isDetailsModalOpen, setIsDetailsModalOpen] = useState<boolean>(false);
+  const [isInfoModalOpen, setIsInfoModalOpen] = useState<boolean>(false);
+  const [timelineRefreshKey, setTimelineRefreshKey] = useState<number>(0);
   const [observations, setObservations] = useState<string>('');
+  const [transferClasses, setTransferClasses] = useState<IClass[]>([]);
+  const [targetClassId, setTargetClassId] = useState<string>('');
+  const [gradeMode, setGradeMode] = useState<ClassTransferGradeMode>('map');
+  const [lockStartDate, setLockStartDate] = useState<string>('');
+  const [expectedReturnDate, setExpectedReturnDate] = useState<string>('');
   const [actionLoading, setActionLoading] = useState<boolean>(false);
   const [downloadingId, setDownloadingId] = useState<number | null>(null);
 
@@ -104,17 +174,21 @@ export default function AdminRequests() {
    */
   useEffect(() => {
     loadRequestsAndStats();
-  }, [filterStatus]);
+  }, [filterStatus, filterSla, sortBy]);
 
   /**
    * Carrega solicitações da API com filtros aplicados
+   *
+   * @param silent - Se true, atualiza sem exibir o loading da página (mantém os modais abertos)
    */
-  async function loadRequestsAndStats() {
+  async function loadRequestsAndStats(silent = false) {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       setError(null);
 
-      const filters = filterStatus !== 'all' ? { status: filterStatus } : {};
+      const filters: IRequestFilters = { sortBy };
+      if (filterStatus !== 'all') filters.status = filterStatus;
+      if (filterSla !== 'all') filters.sla = filterSla;
 
       const [requestsResponse, statsData] = await Promise.all([
         requestService.getAll(filters),
@@ -150,7 +224,19 @@ export default function AdminRequests() {
   function handleOpenApproveModal(request: IRequest) {
     setSelectedRequest(request);
     setObservations('');
+    setTargetClassId('');
+    setGradeMode('map');
+    setLockStartDate(new Date().toISOString().split('T')[0]);
+    setExpectedReturnDate('');
     setIsApproveModalOpen(true);
+
+    // Transferência de turma: carregar as turmas para escolher o destino
+    if (isClassTransfer(request) && transferClasses.length === 0) {
+      classService
+        .getAll()
+        .then(setTransferClasses)
+        .catch((err) => console.error('[AdminRequests] Erro ao carregar turmas:', err));
+    }
   }
 
   /**
@@ -162,28 +248,111 @@ export default function AdminRequests() {
     setIsRejectModalOpen(true);
   }
 
+  /**
+   * Abre modal de pedido de informações ao aluno
+   */
+  function handleOpenInfoModal(request: IRequest) {
+    setSelectedRequest(request);
+    setObservations('');
+    setIsInfoModalOpen(true);
+  }
+
+  /**
+   * Atualiza a solicitação selecionada após uma mudança de status
+   */
+  async function handleStatusChanged(updated: IRequest) {
+    setSelectedRequest(updated);
+    setTimelineRefreshKey((key) => key + 1);
+    await loadRequestsAndStats(true);
+  }
+
+  /**
+   * Coloca solicitação pendente em análise
+   */
+  async function handleStartAnalysis(request: IRequest) {
+    try {
+      setActionLoading(true);
+      const updated = await requestService.startAnalysis(request.id);
+      await handleStatusChanged(updated);
+    } catch (err) {
+      console.error('[AdminRequests] Erro ao colocar solicitação em análise:', err);
+      alert('Erro ao colocar solicitação em análise. Tente novamente.');
+    } finally {
+      setActionLoading(false);
+    }
+  }
+
+  /**
+   * Pede informações ou documentos ao aluno
+   */
+  async function handleRequestInfo() {
+    if (!selectedRequest) return;
+
+    if (!observations.trim()) {
+      alert('Descreva as informações ou documentos que o aluno precisa enviar.');
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const updated = await requestService.requestStudentInfo(
+        selectedRequest.id,
+        observations.trim()
+      );
+      await handleStatusChanged(updated);
+
+      setIsInfoModalOpen(false);
+      setObservations('');
+    } catch (err) {
+      console.error('[AdminRequests] Erro ao pedir informações ao aluno:', err);
+      alert('Erro ao pedir informações ao aluno. Tente novamente.');
+    } finally {
+      setActionLoading(false);
+    }
+  }
+
   /**
    * Aprova solicitação
    */
   async function handleApprove() {
     if (!selectedRequest) return;
 
+    if (isClassTransfer(selectedRequest) && !targetClassId) {
+      alert('Selecione a turma de destino da transferência.');
+      return;
+    }
+
+    if (isEnrollmentLock(selectedRequest) && !expectedReturnDate) {
+      alert('Informe a data prevista de retorno do trancamento.');
+      return;
+    }
+
     try {
       setActionLoading(true);
       await requestService.approve(selectedRequest.id, {
         observations: observations.trim() || undefined,
+        ...(isClassTransfer(selectedRequest) && {
+          targetClassId: Number(targetClassId),
+          gradeMode,
+        }),
+        ...(isEnrollmentLock(selectedRequest) && {
+          lockStartDate: lockStartDate || undefined,
+          expectedReturnDate,
+        }),
       });
 
       // Recarrega lista
       await loadRequestsAndStats();
 
-      // Fecha modal
+      // Fecha modais
       setIsApproveModalOpen(false);
+      setIsDetailsModalOpen(false);
       setSelectedRequest(null);
       setObservations('');
     } catch (err) {
       console.error('[AdminRequests] Erro ao aprovar solicitação:', err);
-      alert('Erro ao aprovar solicitação. Tente novamente.');
+      // Ex.: anexos obrigatórios do tipo ainda não enviados pelo aluno
+      alert(getApiErrorMessage(err, 'Erro ao aprovar solicitação. Tente novamente.'));
     } finally {
       setActionLoading(false);
     }
@@ -209,8 +378,9 @@ export default function AdminRequests() {
       // Recarrega lista
       await loadRequestsAndStats();
 
-      // Fecha modal
+      // Fecha modais
       setIsRejectModalOpen(false);
+      setIsDetailsModalOpen(false);
       setSelectedRequest(null);
       setObservations('');
     } catch (err) {
@@ -222,15 +392,15 @@ export default function AdminRequests() {
   }
 
   /**
-   * Realiza o download do PDF do atestado de matrícula
+   * Realiza o download do PDF gerado para a solicitação
    */
   async function handleDownloadAtestado(request: IRequest) {
     try {
       setDownloadingId(request.id);
-      await requestService.downloadAtestado(request.id);
+      await requestService.downloadRequestDocument(request);
     } catch (err) {
-      console.error('[AdminRequests] Erro ao baixar atestado:', err);
-      alert('Erro ao baixar o atestado. Tente novamente.');
+      console.error('[AdminRequests] Erro ao baixar documento:', err);
+      alert('Erro ao baixar o documento. Tente novamente.');
     } finally {
       setDownloadingId(null);
     }
@@ -263,31 +433,29 @@ export default function AdminRequests() {
   }
 
   /**
-   * Calcula prazo estimado
+   * Formata a data limite (YYYY-MM-DD) sem conversão de fuso horário
    */
   function getExpectedDate(request: IRequest): string {
-    if (!request.requestType) return 'N/A';
+    if (!request.dueDate) return 'N/A';
 
-    return requestService.calculateExpectedDate(
-      new Date(request.createdAt),
-      request.requestType.expectedDays
-    );
+    return request.dueDate.split('-').reverse().join('/');
   }
 
   /**
    * Verifica se solicitação está atrasada
    */
   function isOverdue(request: IRequest): boolean {
-    if (request.status !== 'pending' || !request.requestType) return false;
-
-    const expectedDate = new Date(
-      requestService.calculateExpectedDate(
-        new Date(request.createdAt),
-        request.requestType.expectedDays
-      ).split('/').reverse().join('-')
-    );
+    return request.isOverdue;
+  }
 
-    return new Date() > expectedDate;
+  /**
+   * Altera o filtro de status; o filtro de prazo só se aplica a pendentes ou em análise
+   */
+  function handleStatusFilterChange(status: RequestStatus | 'all') {
+    setFilterStatus(status);
+    if (status !== 'all' && !SLA_STATUSES.includes(status)) {
+      setFilterSla('all');
+    }
   }
 
   /**
@@ -367,6 +535,26 @@ export default function AdminRequests() {
             </div>
           </div>
 
+          <div className="bg-white rounded-lg shadow-md p-4 border-l-4 border-blue-400">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Em análise</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.inAnalysis}</p>
+              </div>
+              <Search className="text-blue-500" size={24} />
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-4 border-l-4 border-orange-400">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Aguardando aluno</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.awaitingStudent}</p>
+              </div>
+              <MessageSquare className="text-orange-500" size={24} />
+            </div>
+          </div>
+
           <div className="bg-white rounded-lg shadow-md p-4 border-l-4 border-green-500">
             <div className="flex items-center justify-between">
               <div>
@@ -386,26 +574,68 @@ export default function AdminRequests() {
               <XCircle className="text-red-600" size={24} />
             </div>
           </div>
+
+          <div className="bg-white rounded-lg shadow-md p-4 border-l-4 border-red-700">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Atrasadas</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.overdue}</p>
+              </div>
+              <AlertTriangle className="text-red-700" size={24} />
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-4 border-l-4 border-orange-500">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Em risco</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.atRisk}</p>
+              </div>
+              <Clock className="text-orange-600" size={24} />
+            </div>
+          </div>
         </div>
       )}
 
       {/* Filtros */}
       <div className="bg-white rounded-lg shadow-md p-4 mb-6">
-        <div className="flex items-center gap-4">
+        <div className="flex flex-wrap items-center gap-4">
           <Filter className="text-gray-600" size={20} />
           <label className="text-sm font-medium text-gray-700">
             Filtrar por status:
           </label>
           <select
             value={filterStatus}
-            onChange={(e) => setFilterStatus(e.target.value as RequestStatus | 'all')}
+            onChange={(e) => handleStatusFilterChange(e.target.value as RequestStatus | 'all')}
             className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
           >
             <option value="all">Todas</option>
             <option value="pending">Pendentes</option>
+            <option value="in_analysis">Em análise</option>
+            <option value="awaiting_student">Aguardando aluno</option>
             <option value="approved">Aprovadas</option>
             <option value="rejected">Rejeitadas</option>
           </select>
+          <label className="text-sm font-medium text-gray-700">Prazo:</label>
+          <select
+            value={filterSla}
+            onChange={(e) => setFilterSla(e.target.value as RequestSlaFilter | 'all')}
+            disabled={filterStatus !== 'all' && !SLA_STATUSES.includes(filterStatus)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          >
+            <option value="all">Todos</option>
+            <option value="overdue">Atrasadas</option>
+            <option value="at_risk">Em risco</option>
+          </select>
+          <label className="text-sm font-medium text-gray-700">Ordenar por:</label>
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value as 'createdAt' | 'dueDate')}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="createdAt">Mais recentes</option>
+            <option value="dueDate">Prazo mais próximo</option>
+          </select>
         </div>
       </div>
 
@@ -434,7 +664,15 @@ export default function AdminRequests() {
                     Solicitado em
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Prazo Estimado
+                    <button
+                      type="button"
+                      onClick={() => setSortBy(sortBy === 'dueDate' ? 'createdAt' : 'dueDate')}
+                      className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-700"
+                      title="Ordenar por prazo"
+                    >
+                      Prazo
+                      {sortBy === 'dueDate' && <span aria-hidden="true">▲</span>}
+                    </button>
                   </th>
                   <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Ações
@@ -487,16 +725,27 @@ export default function AdminRequests() {
                             aria-label="Solicitação atrasada"
                           />
                         )}
+                        {request.isAtRisk && (
+                          <Clock
+                            className="text-orange-500"
+                            size={16}
+                            aria-label="Solicitação em risco de atraso"
+                          />
+                        )}
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {formatSimpleDate(request.createdAt)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {request.status === 'pending' ? (
+                      {isOpen(request) ? (
                         <span
                           className={
-                            isOverdue(request) ? 'text-red-600 font-semibold' : ''
+                            isOverdue(request)
+                              ? 'text-red-600 font-semibold'
+                              : request.isAtRisk
+                                ? 'text-orange-600 font-semibold'
+                                : ''
                           }
                         >
                           {getExpectedDate(request)}
@@ -515,6 +764,25 @@ export default function AdminRequests() {
                           <FileText size={18} />
                         </button>
                         {request.status === 'pending' && (
+                          <button
+                            onClick={() => handleStartAnalysis(request)}
+                            disabled={actionLoading}
+                            className="text-blue-500 hover:text-blue-800 p-1 rounded hover:bg-blue-50 disabled:opacity-50"
+                            title="Colocar em análise"
+                          >
+                            <Search size={18} />
+                          </button>
+                        )}
+                        {SLA_STATUSES.includes(request.status) && (
+                          <button
+                            onClick={() => handleOpenInfoModal(request)}
+                            className="text-orange-600 hover:text-orange-900 p-1 rounded hover:bg-orange-50"
+                            title="Solicitar informações ao aluno"
+                          >
+                            <MessageSquare size={18} />
+                          </button>
+                        )}
+                        {isOpen(request) && (
                           <>
                             <button
                               onClick={() => handleOpenApproveModal(request)}
@@ -537,7 +805,7 @@ export default function AdminRequests() {
                             onClick={() => handleDownloadAtestado(request)}
                             disabled={downloadingId === request.id}
                             className="text-indigo-600 hover:text-indigo-900 p-1 rounded hover:bg-indigo-50 disabled:opacity-50"
-                            title="Baixar Atestado de Matrícula"
+                            title={`Baixar ${requestService.getGeneratedDocumentLabel(request)}`}
                           >
                             {downloadingId === request.id ? (
                               <div className="animate-spin rounded-full h-[18px] w-[18px] border-b-2 border-indigo-600" />
@@ -563,7 +831,27 @@ export default function AdminRequests() {
         title="Detalhes da Solicitação"
         size="lg"
         footer={
-          <div className="flex justify-end">
+          <div className="flex justify-end gap-3">
+            {selectedRequest?.status === 'pending' && (
+              <button
+                onClick={() => handleStartAnalysis(selectedRequest)}
+                disabled={actionLoading}
+                className="px-4 py-2 border border-blue-300 text-blue-700 rounded-md hover:bg-blue-50 transition-colors disabled:opacity-50 flex items-center gap-2"
+              >
+                <Search size={18} />
+                Colocar em análise
+              </button>
+            )}
+            {selectedRequest && SLA_STATUSES.includes(selectedRequest.status) && (
+              <button
+                onClick={() => handleOpenInfoModal(selectedRequest)}
+                disabled={actionLoading}
+                className="px-4 py-2 border border-orange-300 text-orange-700 rounded-md hover:bg-orange-50 transition-colors disabled:opacity-50 flex items-center gap-2"
+              >
+                <MessageSquare size={18} />
+                Solicitar informações
+              </button>
+            )}
             <button
               onClick={() => setIsDetailsModalOpen(false)}
               className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 transition-colors"
@@ -608,9 +896,9 @@ export default function AdminRequests() {
                 <p className="text-base font-semibold text-gray-900">
                   {formatDate(selectedRequest.createdAt)}
                 </p>
-                {selectedRequest.status === 'pending' && (
+                {isOpen(selectedRequest) && (
                   <p className="text-sm text-gray-600">
-                    Prazo estimado: {getExpectedDate(selectedRequest)}
+                    Prazo de resposta: {getExpectedDate(selectedRequest)}
                   </p>
                 )}
               </div>
@@ -638,7 +926,7 @@ export default function AdminRequests() {
               </span>
             </div>
 
-            {selectedRequest.status !== 'pending' && (
+            {!isOpen(selectedRequest) && (
               <>
                 {selectedRequest.reviewedBy && selectedRequest.reviewer && (
                   <div className="flex items-center gap-3 pb-4 border-b">
@@ -672,7 +960,7 @@ export default function AdminRequests() {
                   <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4">
                     <p className="text-sm text-indigo-700 font-semibold mb-2 flex items-center gap-2">
                       <FileText size={16} />
-                      Atestado de Matrícula Disponível
+                      {requestService.getGeneratedDocumentLabel(selectedRequest)} Disponível
                     </p>
                     <p className="text-xs text-indigo-600 mb-3">
                       Hash de assinatura:{' '}
@@ -688,16 +976,79 @@ export default function AdminRequests() {
                       ) : (
                         <Download size={16} />
                       )}
-                      Baixar Atestado PDF
+                      Baixar PDF
                     </button>
                   </div>
                 )}
               </>
             )}
+
+            <div className="pt-4 border-t">
+              <RequestTimeline
+                requestId={selectedRequest.id}
+                canRespond={isOpen(selectedRequest)}
+                refreshKey={timelineRefreshKey}
+              />
+            </div>
           </div>
         )}
       </Modal>
 
+      {/* Modal de pedido de informações ao aluno */}
+      <Modal
+        isOpen={isInfoModalOpen}
+        onClose={() => setIsInfoModalOpen(false)}
+        title="Solicitar Informações ao Aluno"
+        description={`A solicitação de "${selectedRequest?.requestType?.name}" de ${selectedRequest?.student?.nome} ficará aguardando a resposta do aluno`}
+        size="md"
+        footer={
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={() => setIsInfoModalOpen(false)}
+              disabled={actionLoading}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={handleRequestInfo}
+              disabled={actionLoading}
+              className="px-4 py-2 bg-orange-600 text-white rounded-md hover:bg-orange-700 transition-colors disabled:opacity-50 flex items-center gap-2"
+            >
+              {actionLoading ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                  Enviando...
+                </>
+              ) : (
+                <>
+                  <MessageSquare size={18} />
+                  Solicitar
+                </>
+              )}
+            </button>
+          </div>
+        }
+      >
+        <div>
+          <label htmlFor="info-message" className="block text-sm font-medium text-gray-700 mb-2">
+            Mensagem para o aluno <span className="text-red-600">*</span>
+          </label>
+          <textarea
+            id="info-message"
+            rows={4}
+            value={observations}
+            onChange={(e) => setObservations(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Descreva as informações ou documentos que o aluno precisa enviar..."
+            required
+          />
+          <p className="mt-2 text-sm text-gray-500">
+            O aluno poderá responder e anexar arquivos na página de solicitações.
+          </p>
+        </div>
+      </Modal>
+
       {/* Modal de aprovação */}
       <Modal
         isOpen={isApproveModalOpen}
@@ -734,6 +1085,95 @@ export default function AdminRequests() {
           </div>
         }
       >
+        {isClassTransfer(selectedRequest) && (
+          <div className="space-y-4 mb-4">
+            <div>
+              <label
+                htmlFor="approve-target-class"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Turma de destino *
+              </label>
+              <select
+                id="approve-target-class"
+                value={targetClassId}
+                onChange={(e) => setTargetClassId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Selecione a turma</option>
+                {transferClasses.map((cls) => (
+                  <option key={cls.id} value={cls.id}>
+                    {cls.course?.name ?? 'Curso'} - {cls.semester}º semestre ({cls.year})
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                A turma deve ser do mesmo curso da turma atual do aluno.
+              </p>
+            </div>
+            <div>
+              <label
+                htmlFor="approve-grade-mode"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Notas já lançadas
+              </label>
+              <select
+                id="approve-grade-mode"
+                value={gradeMode}
+                onChange={(e) => setGradeMode(e.target.value as ClassTransferGradeMode)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {(Object.keys(CLASS_TRANSFER_GRADE_MODE_LABELS) as ClassTransferGradeMode[]).map(
+                  (mode) => (
+                    <option key={mode} value={mode}>
+                      {CLASS_TRANSFER_GRADE_MODE_LABELS[mode]}
+                    </option>
+                  )
+                )}
+              </select>
+            </div>
+          </div>
+        )}
+        {isEnrollmentLock(selectedRequest) && (
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div>
+              <label
+                htmlFor="approve-lock-start"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Início do trancamento
+              </label>
+              <input
+                id="approve-lock-start"
+                type="date"
+                value={lockStartDate}
+                onChange={(e) => setLockStartDate(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="approve-lock-return"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Retorno previsto *
+              </label>
+              <input
+                id="approve-lock-return"
+                type="date"
+                value={expectedReturnDate}
+                min={lockStartDate || undefined}
+                onChange={(e) => setExpectedReturnDate(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <p className="col-span-2 text-xs text-gray-500">
+              O aluno será removido das turmas do ano letivo e o lançamento de notas ficará
+              bloqueado até a reativação da matrícula.
+            </p>
+          </div>
+        )}
         <div>
           <label
             htmlFor="approve-observations"
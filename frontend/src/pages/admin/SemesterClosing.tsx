@@ -0,0 +1,506 @@
+/**
+ * Arquivo: frontend/src/pages/admin/SemesterClosing.tsx
+ * Descrição: Página admin do fechamento de semestre
+ * Feature: feat-126 - Progressão semestral automática das matrículas
+ * Criado em: 2026-10-19
+ * Modificado: feat-129 - Matrículas retidas por falta de pré-requisitos do próximo semestre
+ * Modificado: feat-130 - Disciplinas da matriz do aluno ainda não cursadas
+ *
+ * Responsabilidades:
+ * - Pré-visualizar o fechamento do período (dry-run) com o que mudaria em cada matrícula
+ * - Executar o fechamento depois da pré-visualização
+ * - Listar os fechamentos executados e exibir o relatório de cada um
+ */
+
+import { useEffect, useState } from 'react';
+import { AlertCircle, AlertTriangle, CalendarCheck, Eye, History } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import ConfirmModal from '@/components/ui/ConfirmModal';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import * as semesterClosingService from '@/services/semesterClosing.service';
+import { getApiErrorMessage } from '@/services/api';
+import CourseService from '@/services/course.service';
+import type { ICourse } from '@/types/course.types';
+import {
+  SEMESTER_CLOSING_OUTCOME_LABELS,
+  type ISemesterClosing,
+  type ISemesterClosingParams,
+  type ISemesterClosingPreview,
+  type ISemesterClosingSummary,
+  type SemesterClosingOutcome,
+} from '@/types/semesterClosing.types';
+
+/**
+ * Cores dos resultados
+ */
+const OUTCOME_STYLES: Record<SemesterClosingOutcome, string> = {
+  advanced: 'text-green-700 bg-green-100',
+  completed: 'text-blue-700 bg-blue-100',
+  retained: 'text-red-700 bg-red-100',
+  pending_results: 'text-yellow-700 bg-yellow-100',
+  no_results: 'text-gray-700 bg-gray-100',
+  missing_prerequisites: 'text-orange-700 bg-orange-100',
+};
+
+/**
+ * Chave do resumo de cada resultado
+ */
+const SUMMARY_KEYS: Record<SemesterClosingOutcome, keyof ISemesterClosingSummary> = {
+  advanced: 'advanced',
+  completed: 'completed',
+  retained: 'retained',
+  pending_results: 'pendingResults',
+  no_results: 'noResults',
+  missing_prerequisites: 'missingPrerequisites',
+};
+
+/**
+ * SemesterClosing - Fechamento de semestre para administradores
+ *
+ * @example
+ * <SemesterClosing />
+ */
+export default function SemesterClosing() {
+  const [params, setParams] = useState<ISemesterClosingParams>({});
+  const [courses, setCourses] = useState<ICourse[]>([]);
+  const [closings, setClosings] = useState<ISemesterClosing[]>([]);
+  const [report, setReport] = useState<ISemesterClosingPreview | ISemesterClosing | null>(null);
+  const [outcomeFilter, setOutcomeFilter] = useState<SemesterClosingOutcome | 'flagged' | ''>('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [executing, setExecuting] = useState(false);
+  const [isConfirmOpen, setIsConfirmOpen] = useState(false);
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  /**
+   * Carrega o histórico de fechamentos e os cursos
+   */
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [closingList, courseList] = await Promise.all([
+        semesterClosingService.getAll(),
+        CourseService.getAll({ limit: 1000 }),
+      ]);
+      setClosings(closingList);
+      setCourses(courseList.data);
+    } catch (err) {
+      console.error('[AdminSemesterClosing] Erro ao carregar fechamentos:', err);
+      setError(getApiErrorMessage(err, 'Erro ao carregar fechamentos de semestre'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Altera os parâmetros (a pré-visualização anterior deixa de valer)
+   */
+  const handleChangeParams = (changes: ISemesterClosingParams) => {
+    setParams({ ...params, ...changes });
+    if (report?.dryRun) setReport(null);
+  };
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      setOutcomeFilter('');
+      setReport(await semesterClosingService.preview(params));
+    } catch (err) {
+      console.error('[AdminSemesterClosing] Erro ao pré-visualizar fechamento:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao pré-visualizar'), type: 'error' });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleExecute = async () => {
+    try {
+      setExecuting(true);
+      const closing = await semesterClosingService.execute(params);
+      setToast({
+        message: `Semestre ${closing.periodLabel} fechado: ${closing.summary.advanced} avançada(s), ${closing.summary.completed} concluída(s)`,
+        type: 'success',
+      });
+      setReport(closing);
+      await loadData();
+    } catch (err) {
+      console.error('[AdminSemesterClosing] Erro ao fechar semestre:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao fechar semestre'), type: 'error' });
+    } finally {
+      setIsConfirmOpen(false);
+      setExecuting(false);
+    }
+  };
+
+  const handleViewClosing = async (id: number) => {
+    try {
+      setOutcomeFilter('');
+      setReport(await semesterClosingService.getById(id));
+    } catch (err) {
+      console.error('[AdminSemesterClosing] Erro ao carregar relatório:', err);
+      setToast({ message: getApiErrorMessage(err, 'Erro ao carregar relatório'), type: 'error' });
+    }
+  };
+
+  const items = (report?.report ?? []).filter((item) => {
+    if (outcomeFilter === 'flagged') return item.flagged;
+    return !outcomeFilter || item.outcome === outcomeFilter;
+  });
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Fechamento de Semestre</h1>
+        <p className="mt-1 text-gray-600">
+          Avalia os resultados finais de cada matrícula ativa: avança quem foi aprovado, conclui
+          quem terminou o curso e sinaliza quem tem reprovações ou resultados pendentes
+        </p>
+      </div>
+
+      {/* Estado de erro */}
+      {error && (
+        <div className="flex items-center gap-3 p-4 mb-6 text-red-800 bg-red-100 border border-red-200 rounded-lg">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium">Erro ao carregar fechamentos de semestre</p>
+            <p className="text-sm">{error}</p>
+          </div>
+          <Button onClick={loadData} variant="secondary" size="sm">
+            Tentar Novamente
+          </Button>
+        </div>
+      )}
+
+      {/* Parâmetros */}
+      <div className="p-6 mb-6 bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ano</label>
+            <input
+              type="number"
+              min={2000}
+              max={2100}
+              value={params.year ?? ''}
+              onChange={(e) =>
+                handleChangeParams({
+                  year: e.target.value ? Number(e.target.value) : undefined,
+                })
+              }
+              placeholder="Período vigente"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Semestre</label>
+            <select
+              value={params.semester ?? ''}
+              onChange={(e) =>
+                handleChangeParams({
+                  semester: e.target.value ? Number(e.target.value) : undefined,
+                })
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Período vigente</option>
+              <option value="1">1º semestre</option>
+              <option value="2">2º semestre</option>
+            </select>
+          </div>
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Curso</label>
+            <select
+              value={params.courseId ?? ''}
+              onChange={(e) =>
+                handleChangeParams({
+                  courseId: e.target.value ? Number(e.target.value) : null,
+                })
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Todos os cursos</option>
+              {courses.map((course) => (
+                <option key={course.id} value={course.id}>
+                  {course.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-end gap-3 mt-4">
+          <Button
+            variant="secondary"
+            onClick={handlePreview}
+            loading={previewing}
+            disabled={previewing}
+            className="flex items-center gap-2"
+          >
+            <Eye className="w-4 h-4" />
+            Pré-visualizar
+          </Button>
+          <Button
+            onClick={() => setIsConfirmOpen(true)}
+            disabled={!report?.dryRun || report.alreadyClosed || report.summary.total === 0}
+            className="flex items-center gap-2"
+            title="Pré-visualize o fechamento antes de executar"
+          >
+            <CalendarCheck className="w-4 h-4" />
+            Fechar Semestre
+          </Button>
+        </div>
+      </div>
+
+      {/* Relatório (pré-visualização ou fechamento executado) */}
+      {report && (
+        <div className="p-6 mb-6 bg-white border border-gray-200 rounded-lg shadow-sm">
+          <div className="flex flex-col gap-1 mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {report.dryRun ? 'Pré-visualização' : 'Relatório do fechamento'} —{' '}
+              {report.periodLabel} · {report.course ? report.course.name : 'Todos os cursos'}
+            </h2>
+            {report.dryRun ? (
+              <p className="text-sm text-gray-600">Nenhuma matrícula foi alterada.</p>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Executado em {new Date(report.createdAt).toLocaleString('pt-BR')}
+                {report.executedBy && ` por ${report.executedBy.name}`}
+              </p>
+            )}
+          </div>
+
+          {report.dryRun && report.alreadyClosed && (
+            <div className="flex items-center gap-2 p-3 mb-4 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              Este período já foi fechado. Ajustes individuais podem ser feitos na matrícula.
+            </div>
+          )}
+
+          {/* Resumo */}
+          <div className="grid grid-cols-2 gap-4 mb-6 sm:grid-cols-3 lg:grid-cols-6">
+            {(Object.keys(SUMMARY_KEYS) as SemesterClosingOutcome[]).map((outcome) => (
+              <button
+                key={outcome}
+                type="button"
+                onClick={() => setOutcomeFilter(outcomeFilter === outcome ? '' : outcome)}
+                className={`p-4 text-left border rounded-lg ${
+                  outcomeFilter === outcome ? 'border-blue-500' : 'border-gray-200'
+                }`}
+              >
+                <p className="text-sm text-gray-600">{SEMESTER_CLOSING_OUTCOME_LABELS[outcome]}</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {report.summary[SUMMARY_KEYS[outcome]] ?? 0}
+                </p>
+              </button>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2 mb-3 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={outcomeFilter === 'flagged'}
+              onChange={(e) => setOutcomeFilter(e.target.checked ? 'flagged' : '')}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Somente matrículas sinalizadas (mantidas no semestre)
+          </label>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                    Aluno
+                  </th>
+                  <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                    Curso
+                  </th>
+                  <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                    Semestre
+                  </th>
+                  <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                    Resultado
+                  </th>
+                  <th className="px-4 py-2 text-xs font-medium text-left text-gray-500 uppercase">
+                    Detalhes
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {items.length > 0 ? (
+                  items.map((item) => (
+                    <tr key={item.enrollmentId}>
+                      <td className="px-4 py-3 text-sm">
+                        <div className="font-medium text-gray-900">{item.student?.name ?? '-'}</div>
+                        {item.student?.matricula && (
+                          <div className="text-gray-500">{item.student.matricula}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {item.course?.name ?? '-'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                        {item.semesterBefore}º
+                        {item.semesterAfter !== item.semesterBefore && ` → ${item.semesterAfter}º`}
+                        {item.courseSemesters && (
+                          <span className="text-gray-500"> de {item.courseSemesters}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span
+                          className={`px-2 py-1 text-xs font-medium rounded-full ${OUTCOME_STYLES[item.outcome]}`}
+                        >
+                          {SEMESTER_CLOSING_OUTCOME_LABELS[item.outcome]}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {item.failedDisciplines.length > 0 && (
+                          <p>
+                            <span className="font-medium">Reprovado em:</span>{' '}
+                            {item.failedDisciplines.join(', ')}
+                          </p>
+                        )}
+                        {item.pendingDisciplines.length > 0 && (
+                          <p>
+                            <span className="font-medium">Pendentes:</span>{' '}
+                            {item.pendingDisciplines.join(', ')}
+                          </p>
+                        )}
+                        {item.notTakenDisciplines && item.notTakenDisciplines.length > 0 && (
+                          <p>
+                            <span className="font-medium">Não cursadas (matriz):</span>{' '}
+                            {item.notTakenDisciplines.join(', ')}
+                          </p>
+                        )}
+                        {item.missingPrerequisites?.map((entry) => (
+                          <p key={entry.discipline?.id}>
+                            <span className="font-medium">{entry.discipline?.name} exige:</span>{' '}
+                            {entry.missing
+                              .map((req) => `${req.discipline?.name} (${req.typeLabel})`)
+                              .join(', ')}
+                          </p>
+                        ))}
+                        {item.note && <p className="text-gray-500">{item.note}</p>}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-6 text-sm text-center text-gray-500">
+                      Nenhuma matrícula nesta situação.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Histórico */}
+      <div className="overflow-hidden bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200">
+          <History className="w-5 h-5 text-gray-500" />
+          <h2 className="text-lg font-semibold text-gray-900">Fechamentos executados</h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Período
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Curso
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Resultado
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Executado em
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-center text-gray-500 uppercase">
+                  Ações
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-gray-500">
+                    Carregando fechamentos...
+                  </td>
+                </tr>
+              ) : closings.length > 0 ? (
+                closings.map((closing) => (
+                  <tr key={closing.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900 whitespace-nowrap">
+                      {closing.periodLabel}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {closing.course ? closing.course.name : 'Todos os cursos'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {closing.summary.advanced} avançada(s), {closing.summary.completed}{' '}
+                      concluída(s),{' '}
+                      {closing.summary.retained +
+                        closing.summary.pendingResults +
+                        closing.summary.noResults +
+                        (closing.summary.missingPrerequisites ?? 0)}{' '}
+                      sinalizada(s)
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                      {new Date(closing.createdAt).toLocaleString('pt-BR')}
+                      {closing.executedBy && (
+                        <div className="text-gray-500">{closing.executedBy.name}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-center whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={() => handleViewClosing(closing.id)}
+                        className="p-1 text-gray-600 rounded hover:bg-gray-100"
+                        title="Ver relatório"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-gray-500">
+                    Nenhum fechamento de semestre executado.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Confirmação do fechamento */}
+      {isConfirmOpen && report?.dryRun && (
+        <ConfirmModal
+          title="Fechar Semestre"
+          message={`Fechar o período ${report.periodLabel} (${report.course ? report.course.name : 'todos os cursos'})? ${report.summary.advanced} matrícula(s) avançarão de semestre e ${report.summary.completed} serão concluídas. O fechamento não pode ser desfeito.`}
+          confirmText="Fechar Semestre"
+          cancelText="Cancelar"
+          type="warning"
+          onConfirm={handleExecute}
+          onCancel={() => setIsConfirmOpen(false)}
+          isLoading={executing}
+        />
+      )}
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
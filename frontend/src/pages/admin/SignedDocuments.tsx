@@ -0,0 +1,374 @@
+/**
+ * Arquivo: frontend/src/pages/admin/SignedDocuments.tsx
+ * Descrição: Página admin do registro de documentos assinados (consulta e revogação)
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar os documentos emitidos (atestados, históricos, declarações, certificados e contratos)
+ * - Filtrar por tipo, situação (válido/revogado) e hash de assinatura
+ * - Revogar um documento informando o motivo
+ */
+
+import { useState, type JSX } from 'react';
+import {
+  AlertCircle,
+  Ban,
+  CheckCircle,
+  ExternalLink,
+  Filter,
+  Search,
+  ShieldCheck,
+} from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { Pagination } from '@/components/ui/Pagination';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import { useSignedDocuments, useRevokeSignedDocument } from '@/hooks/useSignedDocuments';
+import { getApiErrorMessage } from '@/services/api';
+import {
+  SIGNED_DOCUMENT_KIND_LABELS,
+  type ISignedDocument,
+  type SignedDocumentKind,
+} from '@/types/signedDocument.types';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Formata data para formato brasileiro (DD/MM/YYYY)
+ */
+function formatDate(dateString: string | null): string {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('pt-BR');
+}
+
+/**
+ * Nome do titular do documento (aluno ou usuário)
+ */
+function getOwnerName(document: ISignedDocument): string {
+  return document.student?.nome || document.user?.name || 'Não informado';
+}
+
+/**
+ * Badge da situação do documento
+ */
+function getStatusBadge(document: ISignedDocument): JSX.Element {
+  if (document.revoked) {
+    return (
+      <span className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-red-700 bg-red-100 rounded-full">
+        <Ban className="w-3 h-3" />
+        Revogado
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-green-700 bg-green-100 rounded-full">
+      <CheckCircle className="w-3 h-3" />
+      Válido
+    </span>
+  );
+}
+
+/**
+ * SignedDocuments - Registro de documentos assinados para administradores
+ *
+ * @example
+ * <SignedDocuments />
+ */
+export default function SignedDocuments() {
+  const [kindFilter, setKindFilter] = useState<SignedDocumentKind | ''>('');
+  const [statusFilter, setStatusFilter] = useState<'all' | 'valid' | 'revoked'>('all');
+  const [hashFilter, setHashFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [documentToRevoke, setDocumentToRevoke] = useState<ISignedDocument | null>(null);
+  const [revocationReason, setRevocationReason] = useState('');
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  const searchHash = hashFilter.trim().toLowerCase();
+
+  const { data, isLoading, error, refetch } = useSignedDocuments({
+    documentKind: kindFilter || undefined,
+    revoked: statusFilter === 'all' ? undefined : statusFilter === 'revoked',
+    hash: searchHash.length === 16 ? searchHash : undefined,
+    page,
+    limit: PAGE_SIZE,
+  });
+  const revokeMutation = useRevokeSignedDocument();
+
+  const documents = data?.documents ?? [];
+
+  const handleOpenRevoke = (document: ISignedDocument) => {
+    setDocumentToRevoke(document);
+    setRevocationReason('');
+  };
+
+  const handleCloseRevoke = () => setDocumentToRevoke(null);
+
+  const handleRevoke = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!documentToRevoke) return;
+
+    try {
+      await revokeMutation.mutateAsync({
+        id: documentToRevoke.id,
+        reason: revocationReason.trim(),
+      });
+      setToast({ message: 'Documento revogado com sucesso!', type: 'success' });
+      handleCloseRevoke();
+    } catch (err) {
+      setToast({ message: getApiErrorMessage(err, 'Erro ao revogar documento'), type: 'error' });
+    }
+  };
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Documentos Assinados</h1>
+        <p className="mt-1 text-gray-600">
+          Consulte os documentos emitidos com assinatura eletrônica e revogue documentos que não
+          devem mais ser aceitos na verificação pública
+        </p>
+      </div>
+
+      {/* Filtros */}
+      <div className="flex flex-col gap-4 mb-6 sm:flex-row">
+        <div className="flex-1">
+          <div className="relative">
+            <Search className="absolute w-5 h-5 text-gray-400 transform -translate-y-1/2 left-3 top-1/2" />
+            <input
+              type="text"
+              placeholder="Buscar pelo código de assinatura (16 caracteres)..."
+              value={hashFilter}
+              maxLength={16}
+              onChange={(e) => {
+                setHashFilter(e.target.value);
+                setPage(1);
+              }}
+              className="w-full py-2 pl-10 pr-4 font-mono border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Filter className="w-5 h-5 text-gray-400" />
+          <select
+            value={kindFilter}
+            onChange={(e) => {
+              setKindFilter(e.target.value as SignedDocumentKind | '');
+              setPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Todos os tipos</option>
+            {Object.entries(SIGNED_DOCUMENT_KIND_LABELS).map(([kind, label]) => (
+              <option key={kind} value={kind}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value as 'all' | 'valid' | 'revoked');
+              setPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="all">Todas as situações</option>
+            <option value="valid">Válidos</option>
+            <option value="revoked">Revogados</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Estado de erro */}
+      {error && (
+        <div className="flex items-center gap-3 p-4 mb-6 text-red-800 bg-red-100 border border-red-200 rounded-lg">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium">Erro ao carregar documentos</p>
+            <p className="text-sm">
+              {error instanceof Error ? error.message : 'Erro desconhecido'}
+            </p>
+          </div>
+          <Button onClick={() => refetch()} variant="secondary" size="sm">
+            Tentar Novamente
+          </Button>
+        </div>
+      )}
+
+      {/* Tabela de documentos */}
+      <div className="overflow-hidden bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Documento
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Titular
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Emissão
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Assinatura
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                  Situação
+                </th>
+                <th className="px-6 py-3 text-xs font-medium tracking-wider text-center text-gray-500 uppercase">
+                  Ações
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {isLoading ? (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-gray-500">
+                    Carregando documentos...
+                  </td>
+                </tr>
+              ) : documents.length > 0 ? (
+                documents.map((document) => (
+                  <tr key={document.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="flex flex-col">
+                        <span className="font-medium text-gray-900">{document.title}</span>
+                        <span className="text-sm text-gray-500">
+                          {SIGNED_DOCUMENT_KIND_LABELS[document.documentKind]}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex flex-col">
+                        <span className="text-gray-900">{getOwnerName(document)}</span>
+                        {document.student?.matricula && (
+                          <span className="text-sm text-gray-500">
+                            Matrícula: {document.student.matricula}
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                      {formatDate(document.issuedAt)}
+                    </td>
+                    <td className="px-6 py-4 font-mono text-sm text-gray-700 whitespace-nowrap">
+                      <a
+                        href={`/verificar?hash=${document.signatureHash}`}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="inline-flex items-center gap-1 hover:text-blue-600"
+                      >
+                        {document.signatureHash}
+                        <ExternalLink className="w-3 h-3" />
+                      </a>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {getStatusBadge(document)}
+                      {document.revoked && (
+                        <p
+                          className="mt-1 text-xs text-gray-500 max-w-xs truncate"
+                          title={document.revocationReason ?? undefined}
+                        >
+                          {formatDate(document.revokedAt)}
+                          {document.revoker ? ` por ${document.revoker.name}` : ''}
+                          {document.revocationReason ? ` — ${document.revocationReason}` : ''}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-center whitespace-nowrap">
+                      {!document.revoked && (
+                        <Button
+                          onClick={() => handleOpenRevoke(document)}
+                          variant="danger"
+                          size="sm"
+                          className="inline-flex items-center gap-2"
+                        >
+                          <Ban className="w-4 h-4" />
+                          Revogar
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-gray-500">
+                    <ShieldCheck className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+                    Nenhum documento encontrado com os filtros aplicados.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {data && data.pages > 1 && (
+        <div className="mt-4">
+          <Pagination
+            currentPage={data.page}
+            totalPages={data.pages}
+            totalItems={data.total}
+            itemsPerPage={data.limit}
+            onPageChange={setPage}
+          />
+        </div>
+      )}
+
+      {/* Modal de Revogação */}
+      <Modal
+        isOpen={documentToRevoke !== null}
+        onClose={handleCloseRevoke}
+        title="Revogar Documento"
+        size="md"
+      >
+        {documentToRevoke && (
+          <form onSubmit={handleRevoke} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              O documento <span className="font-medium">{documentToRevoke.title}</span> de{' '}
+              <span className="font-medium">{getOwnerName(documentToRevoke)}</span> (assinatura{' '}
+              <span className="font-mono">{documentToRevoke.signatureHash}</span>) passará a ser
+              informado como revogado na verificação pública. Esta ação não pode ser desfeita.
+            </p>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Motivo da revogação <span className="text-red-500">*</span>
+              </label>
+              <textarea
+                value={revocationReason}
+                onChange={(e) => setRevocationReason(e.target.value)}
+                rows={3}
+                required
+                placeholder="Ex.: documento emitido com dados incorretos"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+
+            <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+              <Button type="button" variant="secondary" onClick={handleCloseRevoke}>
+                Cancelar
+              </Button>
+              <Button
+                type="submit"
+                variant="danger"
+                loading={revokeMutation.isPending}
+                disabled={revokeMutation.isPending || !revocationReason.trim()}
+              >
+                Revogar Documento
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
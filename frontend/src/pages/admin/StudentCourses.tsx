@@ -2,6 +2,12 @@
  * Arquivo: frontend/src/pages/admin/StudentCourses.tsx
  * Descrição: Página para gerenciar cursos realizados por um estudante específico
  * Feature: Nova funcionalidade - Gestão de cursos realizados pelo aluno
+ * Modificado: feat-128 - Trancamento, cancelamento com motivo e reativação da matrícula
+ * Modificado: feat-129 - Pré-requisitos faltantes do aluno no curso selecionado e no avanço
+ *   de semestre
+ * Modificado: feat-130 - Matriz curricular da matrícula e migração para outra matriz
+ * Modificado: feat-131 - Integralização curricular do aluno no curso selecionado
+ * Modificado: feat-134 - Ativação com documentos obrigatórios do curso pendentes
  * Criado em: 2025-12-08
  */
 
@@ -12,10 +18,22 @@ import Toast, { type ToastType } from '@/components/ui/Toast';
 import StudentService from '@/services/student.service';
 import EnrollmentService from '@/services/enrollment.service';
 import { getAll as getAllCourses } from '@/services/course.service';
-import apiClient from '@/services/api';
+import apiClient, { getApiErrorCode, getApiErrorMessage } from '@/services/api';
+import * as disciplineRequisiteService from '@/services/disciplineRequisite.service';
+import * as curriculumVersionService from '@/services/curriculumVersion.service';
+import * as degreeAuditService from '@/services/degreeAudit.service';
+import { DegreeAuditPanel } from '@/components/students/DegreeAuditPanel';
 import type { IStudent } from '@/types/student.types';
-import type { IEnrollment } from '@/types/enrollment.types';
+import type { IEnrollment, EnrollmentStatus } from '@/types/enrollment.types';
 import type { ICourse } from '@/types/course.types';
+import type { IStudentRequisiteReport } from '@/types/disciplineRequisite.types';
+import type { IDegreeAudit } from '@/types/degreeAudit.types';
+import {
+  CURRICULUM_MIGRATION_ACTION_LABELS,
+  type ICurriculumMigrationPlan,
+  type ICurriculumVersionDetail,
+  type ICurriculumVersionSummary,
+} from '@/types/curriculumVersion.types';
 
 export default function StudentCoursesPage() {
   const { studentId } = useParams<{ studentId: string }>();
@@ -43,10 +61,55 @@ export default function StudentCoursesPage() {
   );
   const [submitting, setSubmitting] = useState<boolean>(false);
 
+  // Estados dos modais de trancamento, cancelamento e reativação
+  const [lockingEnrollment, setLockingEnrollment] = useState<IEnrollment | null>(null);
+  const [lockStartDate, setLockStartDate] = useState<string>('');
+  const [lockReturnDate, setLockReturnDate] = useState<string>('');
+  const [lockReason, setLockReason] = useState<string>('');
+  const [cancellingEnrollment, setCancellingEnrollment] = useState<IEnrollment | null>(null);
+  const [cancellationReason, setCancellationReason] = useState<string>('');
+  const [reactivatingEnrollment, setReactivatingEnrollment] = useState<IEnrollment | null>(null);
+  const [reactivationSemester, setReactivationSemester] = useState<number>(1);
+
+  // Requisitos cumpridos e faltantes no curso selecionado
+  const [requisiteReport, setRequisiteReport] = useState<IStudentRequisiteReport | null>(null);
+
+  // Integralização curricular no curso selecionado
+  const [degreeAudit, setDegreeAudit] = useState<IDegreeAudit | null>(null);
+
+  // Migração da matrícula para outra matriz curricular
+  const [migratingEnrollment, setMigratingEnrollment] = useState<IEnrollment | null>(null);
+  const [migrationVersions, setMigrationVersions] = useState<ICurriculumVersionSummary[]>([]);
+  const [migrationTarget, setMigrationTarget] = useState<ICurriculumVersionDetail | null>(null);
+  const [migrationMappings, setMigrationMappings] = useState<Record<number, number>>({});
+  const [migrationReason, setMigrationReason] = useState<string>('');
+  const [migrationPlan, setMigrationPlan] = useState<ICurriculumMigrationPlan | null>(null);
+
   useEffect(() => {
     loadData();
   }, [studentId]);
 
+  useEffect(() => {
+    setRequisiteReport(null);
+    if (!studentId || !selectedCourseId) return;
+
+    disciplineRequisiteService
+      .getStudentReport(parseInt(studentId, 10), selectedCourseId)
+      .then(setRequisiteReport)
+      .catch((err) => console.error('Erro ao carregar requisitos do aluno:', err));
+  }, [studentId, selectedCourseId]);
+
+  useEffect(() => {
+    setDegreeAudit(null);
+    const enrolled = enrollments.some((enrollment) => enrollment.courseId === selectedCourseId);
+    if (!studentId || !selectedCourseId || !enrolled) return;
+
+    degreeAuditService
+      .getStudentAudit(parseInt(studentId, 10), selectedCourseId)
+      .then(setDegreeAudit)
+      .catch((err) => console.error('Erro ao carregar integralização do aluno:', err));
+  }, [studentId, selectedCourseId, enrollments]);
+
   const loadData = async () => {
     if (!studentId) {
       setError('ID do estudante não fornecido');
@@ -161,8 +224,18 @@ export default function StudentCoursesPage() {
     return new Date(enrollment.enrollmentDate).toLocaleDateString('pt-BR');
   };
 
+  /**
+   * Formata uma data YYYY-MM-DD sem conversão de fuso horário
+   */
+  const formatDateOnly = (value?: string | null) => {
+    if (!value) return '-';
+    return value.split('T')[0].split('-').reverse().join('/');
+  };
+
   const getStatusBadgeColor = (status: string | null) => {
     switch (status) {
+      case 'locked':
+        return 'bg-gray-200 text-gray-800';
       case 'active':
         return 'bg-green-100 text-green-800';
       case 'pending':
@@ -182,6 +255,8 @@ export default function StudentCoursesPage() {
 
   const getStatusLabel = (status: string | null) => {
     switch (status) {
+      case 'locked':
+        return 'Trancado';
       case 'active':
         return 'Ativo';
       case 'pending':
@@ -263,14 +338,39 @@ export default function StudentCoursesPage() {
     }
   };
 
-  const handleStatusChange = async (
-    enrollmentId: number,
-    newStatus: 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed' | 'contract'
-  ) => {
+  const handleStatusChange = async (enrollmentId: number, newStatus: EnrollmentStatus) => {
+    const enrollment = enrollments.find((e) => e.id === enrollmentId) || null;
+
+    // Trancamento e cancelamento pedem datas/motivo antes de executar
+    if (newStatus === 'locked') {
+      setLockingEnrollment(enrollment);
+      setLockStartDate(new Date().toISOString().split('T')[0]);
+      setLockReturnDate('');
+      setLockReason('');
+      return;
+    }
+    if (newStatus === 'cancelled') {
+      setCancellingEnrollment(enrollment);
+      setCancellationReason('');
+      return;
+    }
+
     try {
       setLoading(true);
 
-      await EnrollmentService.updateStatus(enrollmentId, newStatus);
+      try {
+        await EnrollmentService.updateStatus(enrollmentId, newStatus);
+      } catch (err) {
+        // Documentos obrigatórios do curso pendentes: o admin pode ativar mesmo assim
+        if (getApiErrorCode(err) !== 'DOCUMENTS_PENDING') throw err;
+        const confirmed = window.confirm(
+          `${getApiErrorMessage(err, 'Há documentos obrigatórios pendentes.')}\n\nAtivar a matrícula mesmo assim?`
+        );
+        if (!confirmed) return;
+        await EnrollmentService.updateStatus(enrollmentId, newStatus, {
+          skipDocumentValidation: true,
+        });
+      }
 
       setToast({
         message: `Status da matrícula atualizado para "${getStatusLabel(newStatus)}" com sucesso!`,
@@ -292,6 +392,193 @@ export default function StudentCoursesPage() {
     }
   };
 
+  const handleLock = async () => {
+    if (!lockingEnrollment) return;
+    if (!lockReturnDate) {
+      setToast({ message: 'Informe a data prevista de retorno', type: 'error' });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await EnrollmentService.lock(lockingEnrollment.id, {
+        startDate: lockStartDate,
+        expectedReturnDate: lockReturnDate,
+        reason: lockReason.trim(),
+      });
+      setToast({ message: 'Matrícula trancada com sucesso!', type: 'success' });
+      setLockingEnrollment(null);
+      await loadData();
+    } catch (err) {
+      setToast({
+        message: err instanceof Error ? err.message : 'Erro ao trancar matrícula',
+        type: 'error',
+      });
+      console.error('[StudentCoursesPage] Erro ao trancar matrícula:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!cancellingEnrollment) return;
+
+    try {
+      setSubmitting(true);
+      await EnrollmentService.cancel(cancellingEnrollment.id, cancellationReason.trim());
+      setToast({ message: 'Matrícula cancelada com sucesso!', type: 'success' });
+      setCancellingEnrollment(null);
+      await loadData();
+    } catch (err) {
+      setToast({
+        message: err instanceof Error ? err.message : 'Erro ao cancelar matrícula',
+        type: 'error',
+      });
+      console.error('[StudentCoursesPage] Erro ao cancelar matrícula:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleOpenReactivate = (enrollment: IEnrollment) => {
+    setReactivatingEnrollment(enrollment);
+    setReactivationSemester(Math.max(enrollment.currentSemester ?? 1, 1));
+  };
+
+  const handleReactivate = async () => {
+    if (!reactivatingEnrollment) return;
+
+    try {
+      setSubmitting(true);
+      const updated = await EnrollmentService.reactivate(
+        reactivatingEnrollment.id,
+        reactivationSemester
+      );
+      setToast({
+        message: `Matrícula reativada no ${updated.currentSemester ?? reactivationSemester}º semestre!`,
+        type: 'success',
+      });
+      setReactivatingEnrollment(null);
+      await loadData();
+    } catch (err) {
+      setToast({
+        message: err instanceof Error ? err.message : 'Erro ao reativar matrícula',
+        type: 'error',
+      });
+      console.error('[StudentCoursesPage] Erro ao reativar matrícula:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleOpenMigration = async (enrollment: IEnrollment) => {
+    setMigratingEnrollment(enrollment);
+    setMigrationTarget(null);
+    setMigrationMappings({});
+    setMigrationReason('');
+    setMigrationPlan(null);
+
+    try {
+      const versions = await curriculumVersionService.getByCourse(enrollment.courseId);
+      setMigrationVersions(
+        versions.filter((version) => version.id !== enrollment.curriculumVersionId)
+      );
+    } catch (err) {
+      console.error('[StudentCoursesPage] Erro ao carregar matrizes do curso:', err);
+    }
+  };
+
+  const runMigrationPreview = async (
+    target: ICurriculumVersionDetail,
+    mappings: Record<number, number>
+  ) => {
+    if (!migratingEnrollment) return;
+
+    try {
+      setSubmitting(true);
+      const plan = await curriculumVersionService.previewMigration(migratingEnrollment.id, {
+        toVersionId: target.id,
+        mappings: Object.entries(mappings).map(([fromId, toId]) => ({
+          fromDisciplineId: Number(fromId),
+          toDisciplineId: toId,
+        })),
+      });
+      setMigrationPlan(plan);
+    } catch (err) {
+      setMigrationPlan(null);
+      setToast({
+        message: getApiErrorMessage(err, 'Erro ao pré-visualizar migração'),
+        type: 'error',
+      });
+      console.error('[StudentCoursesPage] Erro ao pré-visualizar migração:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleMigrationTargetChange = async (versionId: number) => {
+    setMigrationMappings({});
+    setMigrationPlan(null);
+    setMigrationTarget(null);
+    if (!versionId) return;
+
+    try {
+      const target = await curriculumVersionService.getById(versionId);
+      setMigrationTarget(target);
+      await runMigrationPreview(target, {});
+    } catch (err) {
+      console.error('[StudentCoursesPage] Erro ao carregar matriz de destino:', err);
+    }
+  };
+
+  const handleMappingChange = async (fromDisciplineId: number, toDisciplineId: number) => {
+    if (!migrationTarget) return;
+
+    const mappings = { ...migrationMappings };
+    if (toDisciplineId) {
+      mappings[fromDisciplineId] = toDisciplineId;
+    } else {
+      delete mappings[fromDisciplineId];
+    }
+    setMigrationMappings(mappings);
+    await runMigrationPreview(migrationTarget, mappings);
+  };
+
+  const handleMigrate = async () => {
+    if (!migratingEnrollment || !migrationTarget) return;
+
+    try {
+      setSubmitting(true);
+      await curriculumVersionService.migrate(migratingEnrollment.id, {
+        toVersionId: migrationTarget.id,
+        mappings: Object.entries(migrationMappings).map(([fromId, toId]) => ({
+          fromDisciplineId: Number(fromId),
+          toDisciplineId: toId,
+        })),
+        reason: migrationReason.trim() || undefined,
+      });
+      setToast({ message: `Matrícula migrada para a ${migrationTarget.name}!`, type: 'success' });
+      setMigratingEnrollment(null);
+      await loadData();
+      if (studentId && selectedCourseId) {
+        setRequisiteReport(
+          await disciplineRequisiteService.getStudentReport(
+            parseInt(studentId, 10),
+            selectedCourseId
+          )
+        );
+      }
+    } catch (err) {
+      setToast({
+        message: getApiErrorMessage(err, 'Erro ao migrar matrícula'),
+        type: 'error',
+      });
+      console.error('[StudentCoursesPage] Erro ao migrar matrícula:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   const handleSemesterChange = async (
     enrollmentId: number,
     newSemester: number
@@ -299,7 +586,19 @@ export default function StudentCoursesPage() {
     try {
       setLoading(true);
 
-      await EnrollmentService.updateCurrentSemester(enrollmentId, newSemester);
+      try {
+        await EnrollmentService.updateCurrentSemester(enrollmentId, newSemester);
+      } catch (err) {
+        // Pré-requisitos do novo semestre não cumpridos: o admin pode avançar mesmo assim
+        if (getApiErrorCode(err) !== 'PREREQUISITES_NOT_MET') throw err;
+        const confirmed = window.confirm(
+          `${getApiErrorMessage(err, 'Há pré-requisitos não cumpridos.')}\n\nAvançar o semestre mesmo assim?`
+        );
+        if (!confirmed) return;
+        await EnrollmentService.updateCurrentSemester(enrollmentId, newSemester, {
+          skipRequisiteValidation: true,
+        });
+      }
 
       setToast({
         message: `Semestre atualizado para ${newSemester} com sucesso!`,
@@ -555,7 +854,7 @@ export default function StudentCoursesPage() {
                               if (enrollment && e.target.value) {
                                 handleStatusChange(
                                   enrollment.id,
-                                  e.target.value as 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed' | 'contract'
+                                  e.target.value as EnrollmentStatus
                                 );
                                 e.target.value = '';
                               }
@@ -566,6 +865,7 @@ export default function StudentCoursesPage() {
                             <option value="contract">Aguardando Contrato</option>
                             <option value="pending">Pendente</option>
                             <option value="cancelled">Cancelado</option>
+                            <option value="locked">Trancado</option>
                             <option value="reenrollment">Rematrícula</option>
                             <option value="completed">Concluído</option>
                           </select>
@@ -591,7 +891,7 @@ export default function StudentCoursesPage() {
                               if (enrollment && e.target.value) {
                                 handleStatusChange(
                                   enrollment.id,
-                                  e.target.value as 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed' | 'contract'
+                                  e.target.value as EnrollmentStatus
                                 );
                                 e.target.value = '';
                               }
@@ -613,9 +913,21 @@ export default function StudentCoursesPage() {
                   {status === 'cancelled' && (
                     <div className="mt-6 p-4 bg-red-50 border border-red-200 rounded-lg">
                       <div className="flex items-start justify-between gap-4">
-                        <p className="text-red-800 text-sm">
-                          ✗ A matrícula neste curso foi <strong>cancelada</strong>.
-                        </p>
+                        <div className="text-red-800 text-sm">
+                          <p>
+                            ✗ A matrícula neste curso foi <strong>cancelada</strong>
+                            {getEnrollment(selectedCourseId)?.cancelledAt &&
+                              ` em ${new Date(
+                                getEnrollment(selectedCourseId)?.cancelledAt as string
+                              ).toLocaleDateString('pt-BR')}`}
+                            .
+                          </p>
+                          {getEnrollment(selectedCourseId)?.cancellationReason && (
+                            <p className="mt-1">
+                              Motivo: {getEnrollment(selectedCourseId)?.cancellationReason}
+                            </p>
+                          )}
+                        </div>
                         <div className="flex items-center gap-2">
                           <label className="text-xs text-gray-600 whitespace-nowrap">
                             Alterar para:
@@ -626,7 +938,7 @@ export default function StudentCoursesPage() {
                               if (enrollment && e.target.value) {
                                 handleStatusChange(
                                   enrollment.id,
-                                  e.target.value as 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed' | 'contract'
+                                  e.target.value as EnrollmentStatus
                                 );
                                 e.target.value = '';
                               }
@@ -660,7 +972,7 @@ export default function StudentCoursesPage() {
                               if (enrollment && e.target.value) {
                                 handleStatusChange(
                                   enrollment.id,
-                                  e.target.value as 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed' | 'contract'
+                                  e.target.value as EnrollmentStatus
                                 );
                                 e.target.value = '';
                               }
@@ -672,6 +984,7 @@ export default function StudentCoursesPage() {
                             <option value="pending">Pendente</option>
                             <option value="active">Ativo</option>
                             <option value="cancelled">Cancelado</option>
+                            <option value="locked">Trancado</option>
                             <option value="completed">Concluído</option>
                           </select>
                         </div>
@@ -695,7 +1008,7 @@ export default function StudentCoursesPage() {
                               if (enrollment && e.target.value) {
                                 handleStatusChange(
                                   enrollment.id,
-                                  e.target.value as 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed' | 'contract'
+                                  e.target.value as EnrollmentStatus
                                 );
                                 e.target.value = '';
                               }
@@ -712,6 +1025,48 @@ export default function StudentCoursesPage() {
                     </div>
                   )}
 
+                  {status === 'locked' && (
+                    <div className="mt-6 p-4 bg-gray-50 border border-gray-300 rounded-lg">
+                      <div className="flex items-start justify-between gap-4">
+                        <div className="text-gray-800 text-sm space-y-1">
+                          <p>
+                            ⏸ A matrícula neste curso está <strong>trancada</strong> de{' '}
+                            {formatDateOnly(getEnrollment(selectedCourseId)?.lockStartDate)} até{' '}
+                            {formatDateOnly(getEnrollment(selectedCourseId)?.lockExpectedReturnDate)}{' '}
+                            (retorno previsto).
+                          </p>
+                          {getEnrollment(selectedCourseId)?.lockReason && (
+                            <p>Motivo: {getEnrollment(selectedCourseId)?.lockReason}</p>
+                          )}
+                          <p className="text-xs text-gray-600">
+                            O lançamento de notas fica bloqueado enquanto a matrícula estiver
+                            trancada.
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => {
+                              const enrollment = getEnrollment(selectedCourseId);
+                              if (enrollment) handleOpenReactivate(enrollment);
+                            }}
+                            className="px-3 py-1 bg-green-600 text-white rounded-md text-xs hover:bg-green-700 transition-colors whitespace-nowrap"
+                          >
+                            Reativar
+                          </button>
+                          <button
+                            onClick={() => {
+                              const enrollment = getEnrollment(selectedCourseId);
+                              if (enrollment) handleStatusChange(enrollment.id, 'cancelled');
+                            }}
+                            className="px-3 py-1 bg-red-600 text-white rounded-md text-xs hover:bg-red-700 transition-colors whitespace-nowrap"
+                          >
+                            Cancelar matrícula
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
                   {status === 'contract' && (
                     <div className="mt-6 p-4 bg-orange-50 border border-orange-200 rounded-lg">
                       <div className="flex items-start justify-between gap-4">
@@ -728,7 +1083,7 @@ export default function StudentCoursesPage() {
                               if (enrollment && e.target.value) {
                                 handleStatusChange(
                                   enrollment.id,
-                                  e.target.value as 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed' | 'contract'
+                                  e.target.value as EnrollmentStatus
                                 );
                                 e.target.value = '';
                               }
@@ -754,6 +1109,71 @@ export default function StudentCoursesPage() {
                       </p>
                     </div>
                   )}
+
+                  {status && requisiteReport && (
+                    <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+                      <div className="flex items-start justify-between gap-4">
+                        <p className="text-blue-900 text-sm">
+                          Matriz curricular:{' '}
+                          <strong>
+                            {requisiteReport.curriculumVersion?.name ?? 'grade atual do curso'}
+                          </strong>
+                          {requisiteReport.curriculumVersion && (
+                            <span className="text-blue-700">
+                              {' '}
+                              (vigente desde{' '}
+                              {formatDateOnly(requisiteReport.curriculumVersion.effectiveFrom)})
+                            </span>
+                          )}
+                        </p>
+                        <button
+                          onClick={() => {
+                            const enrollment = getEnrollment(selectedCourseId);
+                            if (enrollment) handleOpenMigration(enrollment);
+                          }}
+                          className="px-3 py-1 bg-blue-600 text-white rounded-md text-xs hover:bg-blue-700 transition-colors whitespace-nowrap"
+                        >
+                          Migrar matriz
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {status && requisiteReport && requisiteReport.blockedCount > 0 && (
+                    <div className="mt-6 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+                      <p className="text-purple-900 text-sm font-semibold mb-2">
+                        Pré-requisitos faltantes ({requisiteReport.blockedCount} disciplina(s))
+                      </p>
+                      <ul className="space-y-1 text-sm text-purple-800">
+                        {requisiteReport.disciplines
+                          .filter((item) => !item.completed && item.missing.length > 0)
+                          .map((item) => (
+                            <li key={item.discipline?.id}>
+                              <strong>
+                                {item.semester}º sem. - {item.discipline?.name}
+                              </strong>
+                              :{' '}
+                              {item.missing
+                                .map((req) => `${req.discipline?.name} (${req.typeLabel})`)
+                                .join(', ')}
+                            </li>
+                          ))}
+                      </ul>
+                      <p className="text-xs text-purple-700 mt-2">
+                        Requisitos cumpridos com aprovação ou dispensa. O fechamento de semestre e a
+                        rematrícula não avançam o aluno sem eles.
+                      </p>
+                    </div>
+                  )}
+
+                  {status && degreeAudit && (
+                    <div className="mt-6 p-4 border border-gray-200 rounded-lg">
+                      <p className="text-gray-900 text-sm font-semibold mb-4">
+                        Integralização curricular
+                      </p>
+                      <DegreeAuditPanel audit={degreeAudit} />
+                    </div>
+                  )}
                 </div>
               ) : (
                 <p className="text-gray-600">Curso não encontrado</p>
@@ -850,6 +1270,331 @@ export default function StudentCoursesPage() {
         </div>
       )}
 
+      {/* Modal de trancamento */}
+      {lockingEnrollment && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-900">Trancar Matrícula</h2>
+              <button
+                onClick={() => setLockingEnrollment(null)}
+                className="text-gray-500 hover:text-gray-700"
+                disabled={submitting}
+              >
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                O aluno será removido das turmas do curso no ano letivo atual e o lançamento de
+                notas ficará bloqueado até a reativação.
+              </p>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Início</label>
+                  <input
+                    type="date"
+                    value={lockStartDate}
+                    onChange={(e) => setLockStartDate(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    disabled={submitting}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Retorno previsto
+                  </label>
+                  <input
+                    type="date"
+                    value={lockReturnDate}
+                    min={lockStartDate || undefined}
+                    onChange={(e) => setLockReturnDate(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    disabled={submitting}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Motivo</label>
+                <textarea
+                  value={lockReason}
+                  onChange={(e) => setLockReason(e.target.value)}
+                  rows={3}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  disabled={submitting}
+                />
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  onClick={handleLock}
+                  disabled={submitting || !lockReturnDate}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  {submitting ? 'Trancando...' : 'Trancar'}
+                </button>
+                <button
+                  onClick={() => setLockingEnrollment(null)}
+                  disabled={submitting}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:bg-gray-100 disabled:cursor-not-allowed"
+                >
+                  Voltar
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Modal de cancelamento */}
+      {cancellingEnrollment && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-900">Cancelar Matrícula</h2>
+              <button
+                onClick={() => setCancellingEnrollment(null)}
+                className="text-gray-500 hover:text-gray-700"
+                disabled={submitting}
+              >
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                O aluno será removido das turmas do curso no ano letivo atual. As notas já
+                lançadas permanecem no histórico.
+              </p>
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Motivo</label>
+                <textarea
+                  value={cancellationReason}
+                  onChange={(e) => setCancellationReason(e.target.value)}
+                  rows={3}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  disabled={submitting}
+                />
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  onClick={handleCancel}
+                  disabled={submitting}
+                  className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  {submitting ? 'Cancelando...' : 'Cancelar matrícula'}
+                </button>
+                <button
+                  onClick={() => setCancellingEnrollment(null)}
+                  disabled={submitting}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:bg-gray-100 disabled:cursor-not-allowed"
+                >
+                  Voltar
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Modal de reativação */}
+      {reactivatingEnrollment && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-900">Reativar Matrícula</h2>
+              <button
+                onClick={() => setReactivatingEnrollment(null)}
+                className="text-gray-500 hover:text-gray-700"
+                disabled={submitting}
+              >
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Semestre de retorno
+                </label>
+                <select
+                  value={reactivationSemester}
+                  onChange={(e) => setReactivationSemester(Number(e.target.value))}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  disabled={submitting}
+                >
+                  {Array.from({ length: 12 }, (_, i) => i + 1).map((sem) => (
+                    <option key={sem} value={sem}>
+                      {sem}º semestre
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Por padrão, o aluno retorna ao semestre em que trancou a matrícula.
+                </p>
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  onClick={handleReactivate}
+                  disabled={submitting}
+                  className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  {submitting ? 'Reativando...' : 'Reativar'}
+                </button>
+                <button
+                  onClick={() => setReactivatingEnrollment(null)}
+                  disabled={submitting}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:bg-gray-100 disabled:cursor-not-allowed"
+                >
+                  Voltar
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {migratingEnrollment && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-900">Migrar Matriz Curricular</h2>
+              <button
+                onClick={() => setMigratingEnrollment(null)}
+                className="text-gray-500 hover:text-gray-700"
+                disabled={submitting}
+              >
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Nova matriz
+                </label>
+                <select
+                  value={migrationTarget?.id ?? ''}
+                  onChange={(e) => handleMigrationTargetChange(Number(e.target.value))}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  disabled={submitting}
+                >
+                  <option value="">Selecione a matriz</option>
+                  {migrationVersions.map((version) => (
+                    <option key={version.id} value={version.id}>
+                      {version.name} (vigente desde {formatDateOnly(version.effectiveFrom)})
+                    </option>
+                  ))}
+                </select>
+                {migrationVersions.length === 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    O curso não tem outra matriz publicada.
+                  </p>
+                )}
+              </div>
+
+              {migrationPlan && migrationTarget && (
+                <>
+                  <div>
+                    <p className="text-sm font-semibold text-gray-700 mb-2">
+                      Disciplinas concluídas na matriz atual
+                    </p>
+                    {migrationPlan.items.length === 0 ? (
+                      <p className="text-sm text-gray-500">Nenhuma disciplina concluída.</p>
+                    ) : (
+                      <ul className="space-y-2 text-sm">
+                        {migrationPlan.items.map((item) => (
+                          <li
+                            key={item.discipline?.id}
+                            className="flex items-center justify-between gap-3"
+                          >
+                            <span>
+                              {item.discipline?.name}{' '}
+                              <span className="text-xs text-gray-500">
+                                ({CURRICULUM_MIGRATION_ACTION_LABELS[item.action]})
+                              </span>
+                              {item.note && (
+                                <span className="block text-xs text-orange-600">{item.note}</span>
+                              )}
+                            </span>
+                            {item.action !== 'kept' && item.discipline && (
+                              <select
+                                value={migrationMappings[item.discipline.id] ?? ''}
+                                onChange={(e) =>
+                                  handleMappingChange(
+                                    item.discipline?.id ?? 0,
+                                    Number(e.target.value)
+                                  )
+                                }
+                                className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                disabled={submitting}
+                              >
+                                <option value="">Sem equivalência</option>
+                                {migrationTarget.disciplines.map((target) => (
+                                  <option key={target.discipline?.id} value={target.discipline?.id}>
+                                    {target.semester}º sem. - {target.discipline?.name}
+                                  </option>
+                                ))}
+                              </select>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  <div>
+                    <p className="text-sm font-semibold text-gray-700 mb-1">
+                      Pendentes na nova matriz ({migrationPlan.pendingDisciplines.length})
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {migrationPlan.pendingDisciplines
+                        .map((item) => `${item.semester}º sem. - ${item.discipline?.name}`)
+                        .join('; ') || 'Nenhuma'}
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Motivo</label>
+                    <textarea
+                      value={migrationReason}
+                      onChange={(e) => setMigrationReason(e.target.value)}
+                      rows={2}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      disabled={submitting}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      As equivalências são registradas como aproveitamento da disciplina da nova
+                      matriz.
+                    </p>
+                  </div>
+                </>
+              )}
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  onClick={handleMigrate}
+                  disabled={submitting || !migrationPlan}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  {submitting ? 'Processando...' : 'Migrar'}
+                </button>
+                <button
+                  onClick={() => setMigratingEnrollment(null)}
+                  disabled={submitting}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:bg-gray-100 disabled:cursor-not-allowed"
+                >
+                  Voltar
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Toast de notificação */}
       {toast && (
         <Toast
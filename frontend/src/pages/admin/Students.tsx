@@ -3,6 +3,7 @@
  * Descrição: Página de listagem e gerenciamento de estudantes
  * Feature: feat-083 - Criar página Students (listagem e CRUD)
  * Feature: feat-064 - Separar tabela de estudantes
+ * Modificado: feat-128 - Status de matrícula trancada
  * Criado em: 2025-11-04
  * Atualizado em: 2025-12-01
  */
@@ -330,6 +331,7 @@ export default function StudentsPage() {
           'reenrollment': { label: 'Rematrícula', color: 'bg-purple-100 text-purple-800' },
           'completed': { label: 'Concluído', color: 'bg-blue-100 text-blue-800' },
           'contract': { label: 'Aguardando Contrato', color: 'bg-indigo-100 text-indigo-800' },
+          locked: { label: 'Trancado', color: 'bg-gray-200 text-gray-800' },
         };
 
         if (enrollments.length === 1) {
@@ -537,6 +539,7 @@ export default function StudentsPage() {
               <option value="cancelled">Cancelado</option>
               <option value="reenrollment">Rematrícula</option>
               <option value="completed">Concluído</option>
+              <option value="locked">Trancado</option>
             </select>
             <Button type="submit" variant="primary">
               Buscar
@@ -1,40 +1,46 @@
 /**
- * Arquivo: frontend/src/pages/public/VerifyAtestado.tsx
- * Descrição: Página pública para verificação da autenticidade de Atestados de Matrícula
- *            via hash de assinatura eletrônica. Acessível sem autenticação.
+ * Arquivo: frontend/src/pages/public/VerifyDocument.tsx
+ * Descrição: Página pública para verificação da autenticidade de qualquer documento assinado
+ *            (atestados, históricos, declarações, certificados e contratos) via hash de
+ *            assinatura eletrônica ou QR code impresso no PDF. Acessível sem autenticação.
  * Feature: Atestado de Matrícula com Assinatura Eletrônica
+ * Modificado: feat-009 - Geradores de documentos por tipo de solicitação
+ * Modificado: feat-010 - Verificação pública de documentos assinados
  * Criado em: 2026-02-24
  *
  * Responsabilidades:
  * - Receber o hash de assinatura via query param ou formulário
  * - Chamar API pública de verificação
- * - Exibir resultado da validação (válido / inválido)
- * - Exibir dados do atestado quando válido (nome, curso, data de emissão)
+ * - Exibir resultado da validação (válido / revogado / inválido)
+ * - Exibir dados do documento quando válido (tipo, titular, data de emissão)
  */
 
 import { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { CheckCircle, XCircle, Search, Shield, AlertCircle, FileText } from 'lucide-react';
-import { verifyAtestado } from '@/services/request.service';
-import type { IAtestadoVerificationResult } from '@/services/request.service';
+import { CheckCircle, XCircle, Search, Shield, AlertCircle, FileText, Ban } from 'lucide-react';
+import signedDocumentService from '@/services/signedDocument.service';
+import type { IDocumentVerificationResult } from '@/types/signedDocument.types';
 
 /**
- * VerifyAtestado - Página pública de verificação de autenticidade de atestados
+ * VerifyDocument - Página pública de verificação de autenticidade de documentos
  *
- * Permite que qualquer pessoa consulte se um Atestado de Matrícula é autêntico
- * informando o hash de assinatura eletrônica impresso no rodapé do documento.
+ * Permite que qualquer pessoa consulte se um documento emitido pelo sistema é autêntico
+ * informando o hash de assinatura eletrônica impresso no rodapé do documento
+ * (ou lendo o QR code, que abre esta página com o hash preenchido).
+ *
+ * Também atende os links antigos /verificar-atestado e /verificar-historico.
  *
  * @example
- * // Acesso direto com hash na URL:
- * /verificar-atestado?hash=a1b2c3d4e5f67890
+ * // Acesso direto com hash na URL (QR code impresso no rodapé do PDF):
+ * /verificar?hash=a1b2c3d4e5f67890
  *
- * @returns Página de verificação de atestado
+ * @returns Página de verificação de documentos
  */
-export default function VerifyAtestado() {
+export default function VerifyDocument() {
   const [searchParams] = useSearchParams();
   const [hash, setHash] = useState<string>(searchParams.get('hash') ?? '');
   const [loading, setLoading] = useState<boolean>(false);
-  const [result, setResult] = useState<IAtestadoVerificationResult | null>(null);
+  const [result, setResult] = useState<IDocumentVerificationResult | null>(null);
   const [errorMessage, setErrorMessage] = useState<string | null>(null);
 
   /**
@@ -72,10 +78,10 @@ export default function VerifyAtestado() {
       setResult(null);
       setErrorMessage(null);
 
-      const response = await verifyAtestado(targetHash);
+      const response = await signedDocumentService.verify(targetHash);
       setResult(response);
     } catch (err) {
-      console.error('[VerifyAtestado] Erro na verificação:', err);
+      console.error('[VerifyDocument] Erro na verificação:', err);
       setErrorMessage('Erro ao consultar o servidor. Verifique sua conexão e tente novamente.');
     } finally {
       setLoading(false);
@@ -111,9 +117,7 @@ export default function VerifyAtestado() {
         <div className="max-w-3xl mx-auto px-4 py-5 flex items-center gap-3">
           <Shield className="text-indigo-600" size={32} />
           <div>
-            <h1 className="text-xl font-bold text-gray-900">
-              Verificação de Autenticidade
-            </h1>
+            <h1 className="text-xl font-bold text-gray-900">Verificação de Autenticidade</h1>
             <p className="text-sm text-gray-500">Secretaria Online — Sistema Acadêmico</p>
           </div>
         </div>
@@ -128,12 +132,12 @@ export default function VerifyAtestado() {
               <FileText className="text-indigo-500 flex-shrink-0 mt-1" size={24} />
               <div>
                 <h2 className="text-lg font-semibold text-gray-900 mb-1">
-                  Atestado de Matrícula — Consulta de Validade
+                  Documentos Emitidos — Consulta de Validade
                 </h2>
                 <p className="text-sm text-gray-600">
-                  Informe o código de assinatura eletrônica (hash) impresso no rodapé do
-                  Atestado de Matrícula para verificar se o documento é autêntico e foi
-                  emitido por este sistema.
+                  Informe o código de assinatura eletrônica (hash) impresso no rodapé do documento
+                  (atestado, histórico escolar, declaração, certificado ou contrato) ou leia o QR
+                  code para verificar se o documento é autêntico e foi emitido por este sistema.
                 </p>
               </div>
             </div>
@@ -201,17 +205,28 @@ export default function VerifyAtestado() {
                 <div>
                   <p className="text-lg font-bold text-green-800">Documento Válido</p>
                   <p className="text-sm text-green-700">
-                    Este atestado foi emitido pelo sistema e é autêntico.
+                    Este documento foi emitido pelo sistema e é autêntico.
                   </p>
                 </div>
               </div>
 
               <div className="border-t border-green-200 pt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
-                <div>
+                {result.data.documentType && (
+                  <div className="sm:col-span-2">
+                    <p className="text-xs font-semibold text-green-700 uppercase tracking-wide mb-1">
+                      Documento
+                    </p>
+                    <p className="text-sm font-semibold text-gray-900">
+                      {result.data.documentType}
+                    </p>
+                  </div>
+                )}
+
+                <div className="sm:col-span-2">
                   <p className="text-xs font-semibold text-green-700 uppercase tracking-wide mb-1">
-                    Aluno
+                    Titular
                   </p>
-                  <p className="text-sm font-semibold text-gray-900">{result.data.studentName}</p>
+                  <p className="text-sm font-semibold text-gray-900">{result.data.ownerName}</p>
                   {result.data.studentMatricula && (
                     <p className="text-xs text-gray-500">
                       Matrícula: {result.data.studentMatricula}
@@ -221,41 +236,89 @@ export default function VerifyAtestado() {
 
                 <div>
                   <p className="text-xs font-semibold text-green-700 uppercase tracking-wide mb-1">
-                    Curso
+                    Data de Emissão
+                  </p>
+                  <p className="text-sm text-gray-900">
+                    {result.data.issuedAt ? formatDate(result.data.issuedAt) : 'Não informado'}
                   </p>
-                  <p className="text-sm font-semibold text-gray-900">{result.data.courseName}</p>
                 </div>
 
                 <div>
                   <p className="text-xs font-semibold text-green-700 uppercase tracking-wide mb-1">
-                    Data de Emissão
+                    Assinatura Eletrônica
+                  </p>
+                  <p className="text-sm font-mono font-bold text-gray-900">
+                    {result.data.signatureHash}
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Resultado: Documento REVOGADO */}
+          {result && result.revoked && result.data && (
+            <div className="bg-amber-50 border border-amber-300 rounded-xl p-6 space-y-4">
+              <div className="flex items-start gap-3">
+                <Ban className="text-amber-600 flex-shrink-0 mt-0.5" size={28} />
+                <div>
+                  <p className="text-lg font-bold text-amber-800">Documento Revogado</p>
+                  <p className="text-sm text-amber-700">
+                    Este documento foi emitido pelo sistema, mas foi revogado e não é mais válido.
+                  </p>
+                </div>
+              </div>
+
+              <div className="border-t border-amber-200 pt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {result.data.documentType && (
+                  <div className="sm:col-span-2">
+                    <p className="text-xs font-semibold text-amber-700 uppercase tracking-wide mb-1">
+                      Documento
+                    </p>
+                    <p className="text-sm font-semibold text-gray-900">
+                      {result.data.documentType}
+                    </p>
+                  </div>
+                )}
+
+                <div>
+                  <p className="text-xs font-semibold text-amber-700 uppercase tracking-wide mb-1">
+                    Revogado em
                   </p>
                   <p className="text-sm text-gray-900">
-                    {result.data.issuedAt ? formatDate(result.data.issuedAt) : 'Não informado'}
+                    {result.data.revokedAt ? formatDate(result.data.revokedAt) : 'Não informado'}
                   </p>
                 </div>
 
                 <div>
-                  <p className="text-xs font-semibold text-green-700 uppercase tracking-wide mb-1">
+                  <p className="text-xs font-semibold text-amber-700 uppercase tracking-wide mb-1">
                     Assinatura Eletrônica
                   </p>
                   <p className="text-sm font-mono font-bold text-gray-900">
                     {result.data.signatureHash}
                   </p>
                 </div>
+
+                {result.data.revocationReason && (
+                  <div className="sm:col-span-2">
+                    <p className="text-xs font-semibold text-amber-700 uppercase tracking-wide mb-1">
+                      Motivo
+                    </p>
+                    <p className="text-sm text-gray-900">{result.data.revocationReason}</p>
+                  </div>
+                )}
               </div>
             </div>
           )}
 
           {/* Resultado: Documento INVÁLIDO */}
-          {result && !result.valid && (
+          {result && !result.valid && !result.revoked && (
             <div className="bg-red-50 border border-red-300 rounded-xl p-6 flex items-start gap-4">
               <XCircle className="text-red-500 flex-shrink-0 mt-0.5" size={28} />
               <div>
                 <p className="text-lg font-bold text-red-800">Documento Não Encontrado</p>
                 <p className="text-sm text-red-700 mt-1">
                   {result.message ||
-                    'O código informado não corresponde a nenhum atestado emitido por este sistema. ' +
+                    'O código informado não corresponde a nenhum documento emitido por este sistema. ' +
                       'Verifique se o código foi digitado corretamente.'}
                 </p>
               </div>
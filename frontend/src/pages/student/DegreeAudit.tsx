@@ -0,0 +1,91 @@
+/**
+ * Arquivo: frontend/src/pages/student/DegreeAudit.tsx
+ * Descrição: Página do aluno com a integralização curricular (o que falta para concluir o curso)
+ * Feature: feat-131 - Integralização curricular do aluno
+ * Criado em: 2026-10-19
+ */
+
+import { useContext, useEffect, useState } from 'react';
+import { GraduationCap } from 'lucide-react';
+import { AuthContext } from '@/contexts/AuthContext';
+import { DegreeAuditPanel } from '@/components/students/DegreeAuditPanel';
+import * as degreeAuditService from '@/services/degreeAudit.service';
+import type { IDegreeAudit } from '@/types/degreeAudit.types';
+
+export default function DegreeAuditPage() {
+  const authContext = useContext(AuthContext);
+  const studentId = authContext?.user?.student_id || authContext?.user?.studentId || 0;
+
+  const [selectedCourseId, setSelectedCourseId] = useState<number | null>(null);
+  const [audit, setAudit] = useState<IDegreeAudit | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!studentId) return;
+
+    setLoading(true);
+    setError(null);
+    degreeAuditService
+      .getStudentAudit(studentId, selectedCourseId)
+      .then(setAudit)
+      .catch((err) => {
+        setAudit(null);
+        setError(err.response?.data?.error?.message || 'Erro ao carregar a integralização');
+      })
+      .finally(() => setLoading(false));
+  }, [studentId, selectedCourseId]);
+
+  if (loading && !audit) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <GraduationCap className="text-blue-600" size={32} />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Integralização Curricular</h1>
+            <p className="text-sm text-gray-600">
+              Disciplinas concluídas, em andamento e pendentes para concluir o curso
+            </p>
+          </div>
+        </div>
+
+        {audit && audit.courses.length > 1 && (
+          <select
+            value={audit.course?.id ?? ''}
+            onChange={(e) => setSelectedCourseId(Number(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {audit.courses.map((course) => (
+              <option key={course.id} value={course.id}>
+                {course.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-800">
+          <p className="font-semibold">Erro ao carregar a integralização</p>
+          <p className="text-sm mt-1">{error}</p>
+        </div>
+      )}
+
+      {audit && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">{audit.course?.name}</h2>
+          <DegreeAuditPanel audit={audit} />
+        </div>
+      )}
+    </div>
+  );
+}
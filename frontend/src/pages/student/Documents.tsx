@@ -3,12 +3,14 @@
  * Descrição: Página de upload e listagem de documentos obrigatórios do aluno
  * Feature: feat-092 - Criar página Documents (aluno)
  * Criado em: 2025-11-04
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
  *
  * Responsabilidades:
  * - Exibir lista de documentos obrigatórios ainda não enviados
  * - Permitir upload de documentos (PDF, JPG, PNG)
  * - Exibir status de cada documento (pendente/aprovado/rejeitado)
- * - Permitir reenvio de documentos rejeitados
+ * - Permitir reenvio de documentos rejeitados ou vencidos
+ * - Exibir a validade dos documentos aprovados
  * - Validar tamanho máximo de arquivo (10MB)
  * - Mostrar feedback visual de sucesso/erro
  */
@@ -26,6 +28,7 @@ import {
   Eye,
 } from 'lucide-react';
 import { Button } from '@/components/ui/Button';
+import { DocumentExpirationBadge } from '@/components/documents/DocumentExpirationBadge';
 import {
   getAll,
   downloadFile,
@@ -602,6 +605,7 @@ export default function Documents() {
                           {statusIndicator.icon}
                           {statusIndicator.label}
                         </span>
+                        <DocumentExpirationBadge document={document} />
                       </div>
 
                       {document.documentType?.description && (
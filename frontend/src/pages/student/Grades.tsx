@@ -3,6 +3,7 @@
  * Descrição: Página de visualização de notas do aluno agrupadas por disciplina e semestre
  * Feature: feat-091 - Criar página Grades (aluno)
  * Criado em: 2025-11-04
+ * Modificado: feat-113 - Média, situação e cores das notas pela regra calculada no backend
  *
  * Responsabilidades:
  * - Exibir todas as notas do aluno autenticado
@@ -12,6 +13,7 @@
  * - Exibir detalhes de cada avaliação (nome, data, nota/conceito)
  * - Suporte para notas numéricas e conceitos
  * - Indicadores visuais de performance
+ * - Exibir frequência (percentual de faltas) ao lado da média de cada disciplina
  */
 
 import { useEffect, useState, type JSX } from 'react';
@@ -30,14 +32,25 @@ import {
 } from 'lucide-react';
 import { Button } from '@/components/ui/Button';
 import { Modal } from '@/components/ui/Modal';
-import { getMyGrades, getGradesByStudent, updateGrade, deleteGrade } from '@/services/grade.service';
+import {
+  getMyGrades,
+  getGradesByStudent,
+  getMyResults,
+  getStudentResults,
+  updateGrade,
+  deleteGrade,
+} from '@/services/grade.service';
 import StudentService from '@/services/student.service';
-import type {
-  IGradeWithEvaluation,
-  IDiscipline,
-  GradeConcept,
+import attendanceService from '@/services/attendance.service';
+import {
+  GRADE_RESULT_STATUS_LABELS,
+  type IGradeWithEvaluation,
+  type IDiscipline,
+  type GradeConcept,
+  type IStudentDisciplineResult,
 } from '@/types/grade.types';
 import type { IStudent } from '@/types/student.types';
+import { FREQUENCY_STATUS_LABELS, type IDisciplineFrequency } from '@/types/attendance.types';
 
 /**
  * Interface para props do componente
@@ -55,6 +68,7 @@ interface IDisciplineGrades {
   grades: IGradeWithEvaluation[];
   average: number | null;
   hasConcepts: boolean;
+  result: IStudentDisciplineResult | null;
 }
 
 /**
@@ -75,6 +89,12 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
   const [student, setStudent] = useState<IStudent | null>(null);
   const [disciplineGrades, setDisciplineGrades] = useState<IDisciplineGrades[]>([]);
   const [expandedDisciplines, setExpandedDisciplines] = useState<Set<number>>(new Set());
+  const [frequencyByDiscipline, setFrequencyByDiscipline] = useState<
+    Map<number, IDisciplineFrequency>
+  >(new Map());
+  const [resultByDiscipline, setResultByDiscipline] = useState<
+    Map<number, IStudentDisciplineResult>
+  >(new Map());
 
   // Estados para edição
   const [editingGrade, setEditingGrade] = useState<IGradeWithEvaluation | null>(null);
@@ -153,11 +173,14 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
       }
 
       if (!disciplineMap.has(disciplineId)) {
+        const result = resultByDiscipline.get(disciplineId) ?? null;
         disciplineMap.set(disciplineId, {
           discipline,
           grades: [],
-          average: null,
+          // Média final calculada pelo backend (mesma regra usada pelos portais do professor e admin)
+          average: result ? result.average : null,
           hasConcepts: false,
+          result,
         });
       }
 
@@ -170,29 +193,7 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
       }
     });
 
-    // Calcular médias por disciplina
-    const disciplinesArray = Array.from(disciplineMap.values()).map((disciplineData) => {
-      // Se tem conceitos, não calcula média numérica
-      if (disciplineData.hasConcepts) {
-        return disciplineData;
-      }
-
-      // Calcular média das notas numéricas
-      const numericGrades = disciplineData.grades
-        .filter((g) => g.grade !== null)
-        .map((g) => {
-          const gradeValue = typeof g.grade === 'string' ? parseFloat(g.grade) : g.grade;
-          return gradeValue!;
-        })
-        .filter((grade): grade is number => !isNaN(grade));
-
-      if (numericGrades.length > 0) {
-        const sum = numericGrades.reduce((acc: number, grade: number) => acc + grade, 0);
-        disciplineData.average = sum / numericGrades.length;
-      }
-
-      return disciplineData;
-    });
+    const disciplinesArray = Array.from(disciplineMap.values());
 
     // Ordenar por nome da disciplina
     disciplinesArray.sort((a, b) =>
@@ -205,7 +206,7 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
     if (disciplinesArray.length > 0 && (semesterFilter || disciplineFilter)) {
       setExpandedDisciplines(new Set(disciplinesArray.map(d => d.discipline.id)));
     }
-  }, [allGrades, semesterFilter, disciplineFilter]);
+  }, [allGrades, resultByDiscipline, semesterFilter, disciplineFilter]);
 
   /**
    * Limpa todos os filtros
@@ -226,21 +227,61 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
       setError(null);
 
       let grades: IGradeWithEvaluation[];
+      let frequencies: IDisciplineFrequency[];
+      let results: IStudentDisciplineResult[];
+
+      // Falha na frequência não deve impedir a exibição das notas
+      const loadFrequency = (request: Promise<IDisciplineFrequency[]>) =>
+        request.catch((err) => {
+          console.error('[Grades] Erro ao carregar frequência:', err);
+          return [];
+        });
+      const loadResults = (request: Promise<IStudentDisciplineResult[]>) =>
+        request.catch((err) => {
+          console.error('[Grades] Erro ao carregar resultados:', err);
+          return [];
+        });
 
       if (studentId) {
-        // Buscar notas e dados do estudante em paralelo
-        const [gradesData, studentData] = await Promise.all([
+        // Buscar notas, frequência e dados do estudante em paralelo
+        const [gradesData, studentData, frequencyData, resultsData] = await Promise.all([
           getGradesByStudent(studentId),
-          StudentService.getById(studentId)
+          StudentService.getById(studentId),
+          loadFrequency(attendanceService.getStudentFrequency(studentId)),
+          loadResults(getStudentResults(studentId)),
         ]);
         grades = gradesData;
+        frequencies = frequencyData;
+        results = resultsData;
         setStudent(studentData);
       } else {
-        grades = await getMyGrades();
+        const [gradesData, frequencyData, resultsData] = await Promise.all([
+          getMyGrades(),
+          loadFrequency(attendanceService.getMyFrequency()),
+          loadResults(getMyResults()),
+        ]);
+        grades = gradesData;
+        frequencies = frequencyData;
+        results = resultsData;
         setStudent(null);
       }
 
       setAllGrades(grades);
+      // Em caso de mais de uma turma na mesma disciplina, prevalece a turma mais recente
+      setFrequencyByDiscipline(
+        new Map(
+          [...frequencies]
+            .sort((a, b) => a.classId - b.classId)
+            .map((frequency) => [frequency.disciplineId, frequency])
+        )
+      );
+      setResultByDiscipline(
+        new Map(
+          [...results]
+            .sort((a, b) => (a.classId ?? 0) - (b.classId ?? 0))
+            .map((result) => [result.disciplineId, result])
+        )
+      );
 
       if (import.meta.env.DEV) {
         console.log('[Grades] Notas carregadas:', grades.length);
@@ -422,17 +463,23 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
   };
 
   /**
-   * Retorna classe CSS de cor baseada na nota
+   * Retorna classe CSS de cor da nota conforme as médias de aprovação e de recuperação
+   * da disciplina (regra do backend)
    *
    * @param {number | string} grade - Nota numérica (0-10)
+   * @param {IStudentDisciplineResult | null} result - Resultado calculado pelo backend
    * @returns {string} Classes CSS do Tailwind
    */
-  const getGradeColorClass = (grade: number | string): string => {
+  const getGradeColorClass = (
+    grade: number | string,
+    result: IStudentDisciplineResult | null
+  ): string => {
     const numericGrade = typeof grade === 'string' ? parseFloat(grade) : grade;
-    if (isNaN(numericGrade)) return 'text-gray-600 bg-gray-100 border-gray-200';
-    if (numericGrade >= 9.0) return 'text-green-600 bg-green-50 border-green-200';
-    if (numericGrade >= 7.0) return 'text-blue-600 bg-blue-50 border-blue-200';
-    if (numericGrade >= 6.0) return 'text-yellow-600 bg-yellow-50 border-yellow-200';
+    if (isNaN(numericGrade) || !result) return 'text-gray-600 bg-gray-100 border-gray-200';
+    if (numericGrade >= result.passingGrade) return 'text-green-600 bg-green-50 border-green-200';
+    if (numericGrade >= result.recoveryMinGrade) {
+      return 'text-yellow-600 bg-yellow-50 border-yellow-200';
+    }
     return 'text-red-600 bg-red-50 border-red-200';
   };
 
@@ -449,43 +496,66 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
   };
 
   /**
-   * Retorna ícone e cor baseado na média
+   * Retorna ícone e cor da média conforme a situação final calculada pelo backend
    *
-   * @param {number | string} average - Média numérica (0-10)
+   * @param {IStudentDisciplineResult} result - Resultado calculado pelo backend
    * @returns {{ icon: JSX.Element, colorClass: string }}
    */
   const getAverageIndicator = (
-    average: number | string
+    result: IStudentDisciplineResult
   ): { icon: JSX.Element; colorClass: string } => {
-    const numericAverage = typeof average === 'string' ? parseFloat(average) : average;
-    if (isNaN(numericAverage)) {
-      return {
-        icon: <AlertCircle className="w-5 h-5" />,
-        colorClass: 'text-gray-600',
-      };
+    switch (result.status) {
+      case 'approved':
+        return { icon: <Award className="w-5 h-5" />, colorClass: 'text-green-600' };
+      case 'recovery':
+        return { icon: <TrendingUp className="w-5 h-5" />, colorClass: 'text-yellow-600' };
+      case 'failed':
+        return { icon: <AlertCircle className="w-5 h-5" />, colorClass: 'text-red-600' };
+      default:
+        return { icon: <Clock className="w-5 h-5" />, colorClass: 'text-gray-600' };
+    }
+  };
+
+  /**
+   * Retorna classes CSS de cor baseadas na situação da frequência
+   *
+   * @param {IDisciplineFrequency} frequency - Frequência da disciplina
+   * @returns {string} Classes CSS do Tailwind
+   */
+  const getFrequencyColorClass = (frequency: IDisciplineFrequency): string => {
+    if (frequency.status === 'exceeded') {
+      return 'text-red-600 bg-red-50 border-red-200';
+    }
+    if (frequency.status === 'at_risk') {
+      return 'text-yellow-700 bg-yellow-50 border-yellow-200';
     }
-    if (numericAverage >= 9.0) {
-      return {
-        icon: <Award className="w-5 h-5" />,
-        colorClass: 'text-green-600',
-      };
+    return 'text-green-600 bg-green-50 border-green-200';
+  };
+
+  /**
+   * Retorna classes CSS de cor baseadas na situação final da disciplina
+   *
+   * @param {IStudentDisciplineResult} result - Resultado calculado pelo backend
+   * @returns {string} Classes CSS do Tailwind
+   */
+  const getResultStatusColorClass = (result: IStudentDisciplineResult): string => {
+    if (result.status === 'approved') {
+      return 'text-green-700 bg-green-50 border-green-200';
     }
-    if (numericAverage >= 7.0) {
-      return {
-        icon: <TrendingUp className="w-5 h-5" />,
-        colorClass: 'text-blue-600',
-      };
+    if (result.status === 'recovery') {
+      return 'text-yellow-700 bg-yellow-50 border-yellow-200';
     }
-    if (numericAverage >= 6.0) {
-      return {
-        icon: <TrendingUp className="w-5 h-5" />,
-        colorClass: 'text-yellow-600',
-      };
+    if (result.status === 'failed') {
+      return 'text-red-700 bg-red-50 border-red-200';
     }
-    return {
-      icon: <AlertCircle className="w-5 h-5" />,
-      colorClass: 'text-red-600',
-    };
+    return 'text-gray-700 bg-gray-50 border-gray-200';
+  };
+
+  /**
+   * Formata percentual com até uma casa decimal
+   */
+  const formatPercentage = (value: number): string => {
+    return Number.isInteger(value) ? value.toString() : value.toFixed(1);
   };
 
   if (loading) {
@@ -652,10 +722,10 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
             const isExpanded = expandedDisciplines.has(
               disciplineData.discipline.id
             );
-            const averageIndicator =
-              disciplineData.average !== null
-                ? getAverageIndicator(disciplineData.average)
-                : null;
+            const averageIndicator = disciplineData.result
+              ? getAverageIndicator(disciplineData.result)
+              : null;
+            const frequency = frequencyByDiscipline.get(disciplineData.discipline.id);
 
             return (
               <div
@@ -694,12 +764,49 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
                       </div>
                     )}
 
+                    {/* Situação final (calculada pelo backend) */}
+                    {disciplineData.result && (
+                      <div
+                        className={`px-4 py-2 rounded-lg border text-sm font-semibold ${getResultStatusColorClass(disciplineData.result)}`}
+                        title={`Média para aprovação: ${formatGrade(disciplineData.result.passingGrade)} • Recuperação a partir de ${formatGrade(disciplineData.result.recoveryMinGrade)} • ${disciplineData.result.formulaLabel}`}
+                      >
+                        {GRADE_RESULT_STATUS_LABELS[disciplineData.result.status]}
+                        {disciplineData.result.failedByAbsence && (
+                          <span className="block text-xs font-normal">Por faltas</span>
+                        )}
+                        {disciplineData.result.recoveryGrade !== null && (
+                          <span className="block text-xs font-normal">
+                            Recuperação: {formatGrade(disciplineData.result.recoveryGrade)}
+                          </span>
+                        )}
+                      </div>
+                    )}
+
                     {disciplineData.hasConcepts && (
                       <div className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 text-sm font-medium">
                         Avaliação por conceito
                       </div>
                     )}
 
+                    {/* Frequência da Disciplina */}
+                    {frequency && (
+                      <div
+                        className={`px-4 py-2 rounded-lg border text-sm ${getFrequencyColorClass(frequency)}`}
+                        title={`${frequency.absentHours}h de faltas de ${frequency.maxAbsenceHours}h permitidas (${FREQUENCY_STATUS_LABELS[frequency.status]})`}
+                      >
+                        <span className="font-semibold">
+                          Frequência:{' '}
+                          {frequency.frequencyPercentage !== null
+                            ? `${formatPercentage(frequency.frequencyPercentage)}%`
+                            : '-'}
+                        </span>
+                        <span className="block text-xs">
+                          Faltas: {formatPercentage(frequency.absencePercentage)}% (máx.{' '}
+                          {formatPercentage(frequency.maxAbsencePercentage)}%)
+                        </span>
+                      </div>
+                    )}
+
                     {/* Ícone de Expansão */}
                     {isExpanded ? (
                       <ChevronUp className="w-6 h-6 text-gray-400" />
@@ -774,7 +881,8 @@ export default function Grades({ studentId, isEditable = false }: GradesProps) {
                             {gradeItem.grade !== null ? (
                               <div
                                 className={`px-4 py-2 rounded-lg border font-bold text-xl ${getGradeColorClass(
-                                  gradeItem.grade
+                                  gradeItem.grade,
+                                  disciplineData.result
                                 )}`}
                               >
                                 {formatGrade(gradeItem.grade)}
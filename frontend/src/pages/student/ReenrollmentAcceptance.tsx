@@ -3,6 +3,7 @@
  * Descrição: Página de aceite de rematrícula para estudantes
  * Feature: feat-reenrollment-etapa-7 - Frontend Tela de Aceite
  * Criado em: 2025-12-15
+ * Modificado: feat-122 - Aceite vinculado à versão do template exibida
  *
  * Responsabilidades:
  * - Exibir contrato de rematrícula em HTML para estudante com status 'pending'
@@ -123,20 +124,21 @@ export default function ReenrollmentAcceptance() {
       return;
     }
 
-    acceptReenrollment(enrollmentId, {
-      onSuccess: (data) => {
-        console.log(
-          '[ReenrollmentAcceptance] Rematrícula aceita com sucesso:',
-          data
-        );
-        // Redirecionar para dashboard após aceite
-        navigate('/student/dashboard');
-      },
-      onError: (error) => {
-        console.error('[ReenrollmentAcceptance] Erro ao aceitar:', error);
-        alert(`Erro ao aceitar rematrícula: ${error.message}`);
-      },
-    });
+    // Envia a versão do template exibida para que o contrato registre exatamente o texto lido
+    acceptReenrollment(
+      { enrollmentId, templateId: preview?.templateId },
+      {
+        onSuccess: (data) => {
+          console.log('[ReenrollmentAcceptance] Rematrícula aceita com sucesso:', data);
+          // Redirecionar para dashboard após aceite
+          navigate('/student/dashboard');
+        },
+        onError: (error) => {
+          console.error('[ReenrollmentAcceptance] Erro ao aceitar:', error);
+          alert(`Erro ao aceitar rematrícula: ${error.message}`);
+        },
+      }
+    );
   };
 
   // Loading inicial: buscando enrollment
@@ -2,15 +2,19 @@
  * Arquivo: frontend/src/pages/student/Requests.tsx
  * Descrição: Página de solicitações do aluno com formulário para criar solicitações e listagem
  * Feature: feat-093 - Criar página Requests (aluno)
+ * Modificado: feat-120 - Linha do tempo, conversa com a secretaria e anexos
+ * Modificado: feat-121 - Anexos obrigatórios do tipo de solicitação
  * Criado em: 2025-11-04
  *
  * Responsabilidades:
  * - Exibir formulário para criar nova solicitação
  * - Listar todas as solicitações do aluno autenticado
- * - Exibir status de cada solicitação (pendente/aprovada/rejeitada)
+ * - Exibir status de cada solicitação (pendente/em análise/aguardando aluno/aprovada/rejeitada)
  * - Permitir filtro por status
- * - Exibir prazo estimado de resposta
+ * - Exibir a data limite de resposta
  * - Exibir observações do revisor quando disponível
+ * - Exibir a linha do tempo e responder à secretaria com comentários e anexos
+ * - Enviar os anexos obrigatórios do tipo junto com a nova solicitação
  */
 
 import { useEffect, useState, type JSX } from 'react';
@@ -24,16 +28,24 @@ import {
   Filter,
   ChevronDown,
   Download,
+  Search,
 } from 'lucide-react';
 import { Button } from '@/components/ui/Button';
+import { RequestTimeline } from '@/components/requests/RequestTimeline';
 import {
   create,
   getAll,
   getRequestTypes,
-  calculateExpectedDate,
-  downloadAtestado,
+  downloadRequestDocument,
+  getGeneratedDocumentLabel,
+  uploadAttachment,
 } from '@/services/request.service';
-import type { IRequest, RequestStatus, IRequestType } from '@/types/request.types';
+import {
+  OPEN_REQUEST_STATUSES,
+  type IRequest,
+  type RequestStatus,
+  type IRequestType,
+} from '@/types/request.types';
 
 /**
  * Estados para filtro de solicitações
@@ -64,6 +76,7 @@ export default function Requests() {
   // Form state
   const [selectedTypeId, setSelectedTypeId] = useState<number | null>(null);
   const [description, setDescription] = useState('');
+  const [requiredFiles, setRequiredFiles] = useState<Record<string, File>>({});
 
   /**
    * Carrega solicitações e tipos de solicitação ao montar o componente
@@ -111,6 +124,19 @@ export default function Requests() {
     }
   };
 
+  /**
+   * Recarrega as solicitações sem exibir o loading da página (após responder
+   * à secretaria o status pode mudar de "aguardando aluno" para "em análise")
+   */
+  const refreshRequests = async () => {
+    try {
+      const response = await getAll();
+      setRequests(response.data);
+    } catch (err) {
+      console.error('[Requests] Erro ao atualizar solicitações:', err);
+    }
+  };
+
   /**
    * Filtra solicitações baseado no status selecionado
    *
@@ -145,12 +171,31 @@ export default function Requests() {
         description: description.trim(),
       });
 
-      setSuccess('Solicitação criada com sucesso!');
+      // Anexos obrigatórios do tipo (a descrição do anexo vai como mensagem)
+      const pendingAttachments = Object.entries(requiredFiles);
+      let attachmentsFailed = false;
+      for (const [label, file] of pendingAttachments) {
+        try {
+          await uploadAttachment(newRequest.id, file, label);
+        } catch (uploadErr) {
+          console.error(`[Requests] Erro ao enviar anexo "${label}":`, uploadErr);
+          attachmentsFailed = true;
+        }
+      }
+
+      if (attachmentsFailed) {
+        setError(
+          'Solicitação criada, mas alguns anexos não foram enviados. Envie-os pela conversa da solicitação.'
+        );
+      } else {
+        setSuccess('Solicitação criada com sucesso!');
+      }
       setRequests([newRequest, ...requests]);
 
       // Resetar formulário
       setSelectedTypeId(null);
       setDescription('');
+      setRequiredFiles({});
       setShowForm(false);
 
       if (import.meta.env.DEV) {
@@ -169,17 +214,17 @@ export default function Requests() {
   };
 
   /**
-   * Realiza o download do PDF do Atestado de Matrícula
+   * Realiza o download do PDF gerado para a solicitação (atestado, histórico, declaração, etc.)
    *
-   * @param {number} requestId - ID da solicitação
+   * @param {IRequest} request - Solicitação aprovada com PDF gerado
    */
-  const handleDownloadAtestado = async (requestId: number) => {
+  const handleDownloadAtestado = async (request: IRequest) => {
     try {
-      setDownloadingId(requestId);
-      await downloadAtestado(requestId);
+      setDownloadingId(request.id);
+      await downloadRequestDocument(request);
     } catch (err) {
-      console.error('[Requests] Erro ao baixar atestado:', err);
-      setError('Erro ao baixar o atestado. Tente novamente.');
+      console.error('[Requests] Erro ao baixar documento:', err);
+      setError('Erro ao baixar o documento. Tente novamente.');
     } finally {
       setDownloadingId(null);
     }
@@ -207,6 +252,18 @@ export default function Requests() {
           colorClass: 'text-red-600 bg-red-50 border-red-200',
           label: 'Rejeitada',
         };
+      case 'in_analysis':
+        return {
+          icon: <Search className="w-5 h-5" />,
+          colorClass: 'text-blue-600 bg-blue-50 border-blue-200',
+          label: 'Em análise',
+        };
+      case 'awaiting_student':
+        return {
+          icon: <AlertCircle className="w-5 h-5" />,
+          colorClass: 'text-orange-600 bg-orange-50 border-orange-200',
+          label: 'Aguardando você',
+        };
       default:
         return {
           icon: <Clock className="w-5 h-5" />,
@@ -233,6 +290,19 @@ export default function Requests() {
     });
   };
 
+  /**
+   * Formata a data limite (YYYY-MM-DD) sem conversão de fuso horário
+   *
+   * @param {string} dueDate - Data limite calculada pelo backend
+   * @returns {string} Data formatada (dd/mm/yyyy)
+   */
+  const formatDueDate = (dueDate: string): string => dueDate.split('-').reverse().join('/');
+
+  /**
+   * Verifica se a solicitação ainda está aberta (aceita respostas do aluno)
+   */
+  const isOpen = (request: IRequest): boolean => OPEN_REQUEST_STATUSES.includes(request.status);
+
   /**
    * Obtém dados do tipo de solicitação pelo ID
    *
@@ -244,9 +314,12 @@ export default function Requests() {
   };
 
   const filteredRequests = getFilteredRequests();
+  const requiredAttachments =
+    (selectedTypeId && getRequestType(selectedTypeId)?.requiredAttachments) || [];
   const stats = {
     total: requests.length,
-    pending: requests.filter((r) => r.status === 'pending').length,
+    open: requests.filter(isOpen).length,
+    awaitingStudent: requests.filter((r) => r.status === 'awaiting_student').length,
     approved: requests.filter((r) => r.status === 'approved').length,
     rejected: requests.filter((r) => r.status === 'rejected').length,
   };
@@ -317,11 +390,19 @@ export default function Requests() {
 
         <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-yellow-500">
           <div className="flex items-center justify-between mb-2">
-            <h3 className="text-sm font-medium text-gray-600">Pendentes</h3>
+            <h3 className="text-sm font-medium text-gray-600">Em andamento</h3>
             <Clock className="w-5 h-5 text-yellow-600" />
           </div>
-          <p className="text-3xl font-bold text-gray-900">{stats.pending}</p>
-          <p className="text-xs text-gray-500 mt-1">Aguardando análise</p>
+          <p className="text-3xl font-bold text-gray-900">{stats.open}</p>
+          <p
+            className={`text-xs mt-1 ${
+              stats.awaitingStudent > 0 ? 'text-orange-600 font-semibold' : 'text-gray-500'
+            }`}
+          >
+            {stats.awaitingStudent > 0
+              ? `${stats.awaitingStudent} aguardando sua resposta`
+              : 'Aguardando análise'}
+          </p>
         </div>
 
         <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-green-500">
@@ -359,7 +440,10 @@ export default function Requests() {
               </label>
               <select
                 value={selectedTypeId || ''}
-                onChange={(e) => setSelectedTypeId(Number(e.target.value) || null)}
+                onChange={(e) => {
+                  setSelectedTypeId(Number(e.target.value) || null);
+                  setRequiredFiles({});
+                }}
                 disabled={creating}
                 required
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:cursor-not-allowed"
@@ -395,6 +479,42 @@ export default function Requests() {
               <p className="text-xs text-gray-500 mt-1">Máximo 1000 caracteres</p>
             </div>
 
+            {/* Anexos obrigatórios do tipo */}
+            {requiredAttachments.length > 0 && (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-2">
+                  Anexos obrigatórios
+                </span>
+                <p className="text-xs text-gray-500 mb-2">
+                  A solicitação só pode ser aprovada após o envio destes documentos (PDF, JPG ou
+                  PNG). Se preferir, envie depois pela conversa da solicitação.
+                </p>
+                <div className="space-y-2">
+                  {requiredAttachments.map((label) => (
+                    <label
+                      key={label}
+                      className="flex flex-col gap-1 sm:flex-row sm:items-center sm:justify-between p-3 border border-gray-200 rounded-lg"
+                    >
+                      <span className="text-sm text-gray-900">{label}</span>
+                      <input
+                        type="file"
+                        accept=".pdf,.jpg,.jpeg,.png"
+                        disabled={creating}
+                        onChange={(e) => {
+                          const file = e.target.files?.[0];
+                          const files = { ...requiredFiles };
+                          if (file) files[label] = file;
+                          else delete files[label];
+                          setRequiredFiles(files);
+                        }}
+                        className="text-sm text-gray-600"
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Botões */}
             <div className="flex gap-3 justify-end">
               <Button
@@ -404,6 +524,7 @@ export default function Requests() {
                   setShowForm(false);
                   setSelectedTypeId(null);
                   setDescription('');
+                  setRequiredFiles({});
                   setError(null);
                 }}
                 disabled={creating}
@@ -430,10 +551,14 @@ export default function Requests() {
             <span className="text-sm font-medium text-gray-600">Filtrar por:</span>
           </div>
           <div className="flex gap-2 flex-wrap">
-            {(['all', 'pending', 'approved', 'rejected'] as const).map((status) => {
+            {(
+              ['all', 'pending', 'in_analysis', 'awaiting_student', 'approved', 'rejected'] as const
+            ).map((status) => {
               const labels: Record<FilterStatus, string> = {
                 all: 'Todas',
                 pending: 'Pendentes',
+                in_analysis: 'Em análise',
+                awaiting_student: 'Aguardando você',
                 approved: 'Aprovadas',
                 rejected: 'Rejeitadas',
               };
@@ -515,16 +640,19 @@ export default function Requests() {
                         <span className="font-medium">Data:</span>{' '}
                         {formatDate(request.createdAt)}
                       </div>
-                      {requestType && request.status === 'pending' && (
+                      {request.dueDate && isOpen(request) && (
                         <div>
                           <span className="font-medium">Prazo estimado:</span>{' '}
-                          {calculateExpectedDate(
-                            new Date(request.createdAt),
-                            requestType.expectedDays
-                          )}
+                          {formatDueDate(request.dueDate)}
                         </div>
                       )}
                     </div>
+
+                    {request.status === 'awaiting_student' && (
+                      <p className="mt-2 text-sm font-medium text-orange-700">
+                        A secretaria precisa de informações suas. Abra a solicitação para responder.
+                      </p>
+                    )}
                   </div>
 
                   {/* Botão de Expandir */}
@@ -586,23 +714,18 @@ export default function Requests() {
                         </div>
                       )}
 
-                      {requestType && request.status === 'pending' && (
+                      {request.dueDate && isOpen(request) && (
                         <div>
                           <p className="text-xs font-semibold text-gray-600 mb-1">
                             Prazo Estimado
                           </p>
-                          <p className="text-sm text-gray-900">
-                            {calculateExpectedDate(
-                              new Date(request.createdAt),
-                              requestType.expectedDays
-                            )}
-                          </p>
+                          <p className="text-sm text-gray-900">{formatDueDate(request.dueDate)}</p>
                         </div>
                       )}
                     </div>
 
                     {/* Observações do Revisor */}
-                    {request.status !== 'pending' && (
+                    {!isOpen(request) && (
                       <div className="p-4 bg-white rounded-lg border border-gray-200">
                         <p className="text-xs font-semibold text-gray-600 mb-2">
                           Observação do Revisor
@@ -637,19 +760,19 @@ export default function Requests() {
                       </div>
                     )}
 
-                    {/* Download do Atestado de Matrícula */}
+                    {/* Download do documento gerado (atestado, histórico, declaração, certificado) */}
                     {request.status === 'approved' && request.signatureHash && request.pdfPath && (
                       <div className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg">
                         <p className="text-sm font-semibold text-indigo-800 mb-1 flex items-center gap-2">
                           <FileText className="w-4 h-4" />
-                          Atestado de Matrícula Disponível
+                          {getGeneratedDocumentLabel(request)} Disponível
                         </p>
                         <p className="text-xs text-indigo-600 mb-3">
                           Assinatura eletrônica:{' '}
                           <span className="font-mono font-bold">{request.signatureHash}</span>
                         </p>
                         <button
-                          onClick={() => handleDownloadAtestado(request.id)}
+                          onClick={() => handleDownloadAtestado(request)}
                           disabled={downloadingId === request.id}
                           className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                         >
@@ -658,10 +781,19 @@ export default function Requests() {
                           ) : (
                             <Download className="w-4 h-4" />
                           )}
-                          {downloadingId === request.id ? 'Baixando...' : 'Baixar Atestado PDF'}
+                          {downloadingId === request.id ? 'Baixando...' : 'Baixar PDF'}
                         </button>
                       </div>
                     )}
+
+                    {/* Linha do tempo e conversa com a secretaria */}
+                    <div className="p-4 bg-white rounded-lg border border-gray-200">
+                      <RequestTimeline
+                        requestId={request.id}
+                        canRespond={isOpen(request)}
+                        onChanged={refreshRequests}
+                      />
+                    </div>
                   </div>
                 )}
               </div>
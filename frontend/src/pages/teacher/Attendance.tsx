@@ -0,0 +1,474 @@
+/**
+ * Arquivo: frontend/src/pages/teacher/Attendance.tsx
+ * Descrição: Página de chamada (frequência) de uma turma para o professor
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Registrar aulas a partir dos horários da grade da turma
+ * - Fazer a chamada dos alunos em cada aula (presente, falta, justificada)
+ * - Exibir o percentual de faltas de cada aluno sobre a carga horária da disciplina
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, CalendarCheck, ClipboardList, Plus, Save, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import { getApiErrorMessage } from '@/services/api';
+import {
+  useSessionSchedules,
+  useClassSessions,
+  useClassSession,
+  useClassFrequency,
+  useCreateClassSession,
+  useRecordAttendances,
+  useDeleteClassSession,
+} from '@/hooks/useAttendance';
+import {
+  ATTENDANCE_STATUS_LABELS,
+  FREQUENCY_STATUS_LABELS,
+  type AttendanceStatus,
+  type FrequencyStatus,
+} from '@/types/attendance.types';
+import { DAY_NAMES, type DayOfWeek } from '@/types/classSchedule.types';
+
+const STATUS_BUTTON_STYLES: Record<AttendanceStatus, string> = {
+  present: 'bg-green-600 text-white border-green-600',
+  absent: 'bg-red-600 text-white border-red-600',
+  justified: 'bg-amber-500 text-white border-amber-500',
+};
+
+const FREQUENCY_BADGE_STYLES: Record<FrequencyStatus, string> = {
+  regular: 'bg-green-100 text-green-800',
+  at_risk: 'bg-amber-100 text-amber-800',
+  exceeded: 'bg-red-100 text-red-800',
+};
+
+/**
+ * Formata data AAAA-MM-DD para DD/MM/AAAA
+ */
+const formatDate = (date: string): string => date.split('-').reverse().join('/');
+
+/**
+ * Formata horário HH:MM:SS para HH:MM
+ */
+const formatTime = (time?: string): string => (time ? time.substring(0, 5) : '');
+
+export default function TeacherAttendance() {
+  const { classId } = useParams<{ classId: string }>();
+  const navigate = useNavigate();
+  const numericClassId = Number(classId);
+
+  const [disciplineId, setDisciplineId] = useState<number | undefined>(undefined);
+  const [selectedSessionId, setSelectedSessionId] = useState<number | undefined>(undefined);
+  const [roll, setRoll] = useState<Record<number, AttendanceStatus>>({});
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  // Formulário de nova aula
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [formScheduleId, setFormScheduleId] = useState<string>('');
+  const [formDate, setFormDate] = useState<string>(new Date().toISOString().slice(0, 10));
+
+  const { data: schedules = [], isLoading, error } = useSessionSchedules(numericClassId);
+  const { data: sessions = [] } = useClassSessions(numericClassId, disciplineId);
+  const { data: session } = useClassSession(selectedSessionId);
+  const { data: frequency } = useClassFrequency(numericClassId, disciplineId);
+  const createMutation = useCreateClassSession(numericClassId);
+  const recordMutation = useRecordAttendances(selectedSessionId ?? 0);
+  const deleteMutation = useDeleteClassSession();
+
+  /**
+   * Disciplinas que possuem horário na grade da turma
+   */
+  const disciplines = useMemo(() => {
+    const map = new Map<number, string>();
+    schedules.forEach((s) => map.set(s.disciplineId, s.discipline?.name || `#${s.disciplineId}`));
+    return Array.from(map.entries())
+      .map(([id, name]) => ({ id, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [schedules]);
+
+  useEffect(() => {
+    if (!numericClassId || isNaN(numericClassId)) {
+      navigate('/teacher/classes');
+    }
+  }, [numericClassId, navigate]);
+
+  useEffect(() => {
+    if (!disciplineId && disciplines.length > 0) {
+      setDisciplineId(disciplines[0].id);
+    }
+  }, [disciplineId, disciplines]);
+
+  /**
+   * Inicializa a chamada com a situação registrada (ou "presente" por padrão)
+   */
+  useEffect(() => {
+    if (!session) return;
+    const initial: Record<number, AttendanceStatus> = {};
+    session.students.forEach((student) => {
+      initial[student.id] = student.status ?? 'present';
+    });
+    setRoll(initial);
+  }, [session]);
+
+  const handleDisciplineChange = (value: string) => {
+    setDisciplineId(value ? Number(value) : undefined);
+    setSelectedSessionId(undefined);
+  };
+
+  const handleOpenModal = () => {
+    setFormScheduleId('');
+    setFormDate(new Date().toISOString().slice(0, 10));
+    setIsModalOpen(true);
+  };
+
+  const handleCreateSession = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!formScheduleId || !formDate) return;
+
+    try {
+      const created = await createMutation.mutateAsync({
+        class_schedule_id: Number(formScheduleId),
+        session_date: formDate,
+      });
+      setSelectedSessionId(created.id);
+      setIsModalOpen(false);
+      setToast({ message: 'Aula registrada. Faça a chamada abaixo.', type: 'success' });
+    } catch (err) {
+      setToast({ message: getApiErrorMessage(err, 'Erro ao registrar aula'), type: 'error' });
+    }
+  };
+
+  const handleSaveRoll = async () => {
+    if (!session) return;
+
+    try {
+      await recordMutation.mutateAsync(
+        session.students.map((student) => ({
+          student_id: student.id,
+          status: roll[student.id] ?? 'present',
+        }))
+      );
+      setToast({ message: 'Chamada salva com sucesso!', type: 'success' });
+    } catch (err) {
+      setToast({ message: getApiErrorMessage(err, 'Erro ao salvar chamada'), type: 'error' });
+    }
+  };
+
+  const handleDeleteSession = async (sessionId: number) => {
+    if (!window.confirm('Remover esta aula? As presenças registradas deixarão de contar.')) return;
+
+    try {
+      await deleteMutation.mutateAsync(sessionId);
+      if (selectedSessionId === sessionId) setSelectedSessionId(undefined);
+      setToast({ message: 'Aula removida com sucesso!', type: 'success' });
+    } catch (err) {
+      setToast({ message: getApiErrorMessage(err, 'Erro ao remover aula'), type: 'error' });
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-6">
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-800">
+          Erro ao carregar horários da turma: {(error as Error).message}
+        </div>
+      </div>
+    );
+  }
+
+  const disciplineSchedules = schedules.filter((s) => s.disciplineId === disciplineId);
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Cabeçalho */}
+      <div>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => navigate('/teacher/classes')}
+          className="mb-4"
+        >
+          <ArrowLeft size={16} className="mr-1" />
+          Voltar para Turmas
+        </Button>
+
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <CalendarCheck size={28} className="text-green-600" />
+              Chamada
+            </h1>
+            <p className="text-gray-600 mt-1">
+              Registre as aulas e a presença dos alunos de cada disciplina
+            </p>
+          </div>
+
+          <div className="flex items-end gap-3">
+            <div>
+              <label
+                htmlFor="discipline-select"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Disciplina
+              </label>
+              <select
+                id="discipline-select"
+                value={disciplineId ?? ''}
+                onChange={(e) => handleDisciplineChange(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {disciplines.length === 0 && <option value="">Nenhum horário cadastrado</option>}
+                {disciplines.map((d) => (
+                  <option key={d.id} value={d.id}>
+                    {d.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <Button onClick={handleOpenModal} disabled={!disciplineId}>
+              <Plus size={16} className="mr-1" />
+              Nova Aula
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Aulas registradas */}
+        <div className="bg-white rounded-lg shadow-md overflow-hidden">
+          <h2 className="px-4 py-3 border-b border-gray-200 font-semibold text-gray-900">
+            Aulas registradas
+          </h2>
+          {sessions.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500 text-center">
+              Nenhuma aula registrada para esta disciplina.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {sessions.map((s) => (
+                <li
+                  key={s.id}
+                  className={`px-4 py-3 flex items-center justify-between cursor-pointer hover:bg-gray-50 ${
+                    selectedSessionId === s.id ? 'bg-blue-50' : ''
+                  }`}
+                  onClick={() => setSelectedSessionId(s.id)}
+                >
+                  <div>
+                    <p className="font-medium text-gray-900">{formatDate(s.sessionDate)}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatTime(s.schedule?.startTime)} - {formatTime(s.schedule?.endTime)} •{' '}
+                      {s.hours}h
+                      {s.summary && s.summary.total > 0
+                        ? ` • ${s.summary.absent} falta(s)`
+                        : ' • chamada pendente'}
+                    </p>
+                  </div>
+                  <Button
+                    size="sm"
+                    variant="danger"
+                    title="Remover aula"
+                    disabled={deleteMutation.isPending}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDeleteSession(s.id);
+                    }}
+                  >
+                    <Trash2 size={14} />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Lista de chamada */}
+        <div className="bg-white rounded-lg shadow-md overflow-hidden lg:col-span-2">
+          <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="font-semibold text-gray-900 flex items-center gap-2">
+              <ClipboardList size={18} className="text-blue-600" />
+              {session
+                ? `Chamada de ${formatDate(session.sessionDate)}`
+                : 'Selecione uma aula para fazer a chamada'}
+            </h2>
+            {session && session.students.length > 0 && (
+              <Button
+                size="sm"
+                onClick={handleSaveRoll}
+                loading={recordMutation.isPending}
+                disabled={recordMutation.isPending}
+              >
+                <Save size={14} className="mr-1" />
+                Salvar Chamada
+              </Button>
+            )}
+          </div>
+
+          {session && session.students.length === 0 && (
+            <p className="p-6 text-sm text-gray-500 text-center">
+              Nenhum aluno vinculado a esta turma.
+            </p>
+          )}
+
+          {session && session.students.length > 0 && (
+            <table className="min-w-full divide-y divide-gray-200">
+              <tbody className="divide-y divide-gray-200">
+                {session.students.map((student) => (
+                  <tr key={student.id}>
+                    <td className="px-4 py-3">
+                      <p className="text-sm font-medium text-gray-900">{student.nome}</p>
+                      <p className="text-xs text-gray-500">{student.matricula}</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex justify-end gap-2">
+                        {(Object.keys(ATTENDANCE_STATUS_LABELS) as AttendanceStatus[]).map(
+                          (status) => (
+                            <button
+                              key={status}
+                              type="button"
+                              onClick={() => setRoll((prev) => ({ ...prev, [student.id]: status }))}
+                              className={`px-3 py-1 text-xs font-medium rounded-full border ${
+                                roll[student.id] === status
+                                  ? STATUS_BUTTON_STYLES[status]
+                                  : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                              }`}
+                            >
+                              {ATTENDANCE_STATUS_LABELS[status]}
+                            </button>
+                          )
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {/* Frequência dos alunos */}
+      {frequency && frequency.students.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md overflow-hidden">
+          <h2 className="px-4 py-3 border-b border-gray-200 font-semibold text-gray-900">
+            Frequência em {frequency.discipline.name} ({frequency.totalSessions} aula(s)) • limite
+            de {frequency.students[0].maxAbsencePercentage}% de faltas
+          </h2>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                  Aluno
+                </th>
+                <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase">
+                  Faltas (h)
+                </th>
+                <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase">
+                  % de faltas
+                </th>
+                <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase">
+                  Situação
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {frequency.students.map((student) => (
+                <tr key={student.id}>
+                  <td className="px-4 py-2 text-sm text-gray-900">{student.nome}</td>
+                  <td className="px-4 py-2 text-sm text-center text-gray-700">
+                    {student.absentHours} / {student.maxAbsenceHours}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-center text-gray-700">
+                    {student.absencePercentage}%
+                  </td>
+                  <td className="px-4 py-2 text-center">
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        FREQUENCY_BADGE_STYLES[student.status]
+                      }`}
+                    >
+                      {FREQUENCY_STATUS_LABELS[student.status]}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Modal de nova aula */}
+      <Modal
+        isOpen={isModalOpen}
+        onClose={() => setIsModalOpen(false)}
+        title="Registrar Aula"
+        size="md"
+      >
+        <form onSubmit={handleCreateSession} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Horário <span className="text-red-500">*</span>
+            </label>
+            <select
+              value={formScheduleId}
+              onChange={(e) => setFormScheduleId(e.target.value)}
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Selecione o horário da grade</option>
+              {disciplineSchedules.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {DAY_NAMES[s.dayOfWeek as DayOfWeek]} • {formatTime(s.startTime)} -{' '}
+                  {formatTime(s.endTime)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Data da aula <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="date"
+              value={formDate}
+              onChange={(e) => setFormDate(e.target.value)}
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              A data deve cair no dia da semana do horário selecionado.
+            </p>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <Button type="button" variant="secondary" onClick={() => setIsModalOpen(false)}>
+              Cancelar
+            </Button>
+            <Button
+              type="submit"
+              loading={createMutation.isPending}
+              disabled={createMutation.isPending || !formScheduleId}
+            >
+              Registrar Aula
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
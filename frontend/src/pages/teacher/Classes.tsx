@@ -7,7 +7,7 @@
  * Responsabilidades:
  * - Exibir listagem completa de turmas do professor autenticado
  * - Mostrar informações da turma: curso, disciplina, semestre, ano, quantidade de alunos
- * - Fornecer links de ação: "Ver Alunos" e "Lançar Notas"
+ * - Fornecer links de ação: "Ver Alunos", "Lançar Notas" e "Chamada"
  * - Tratamento de loading, erros e estado vazio
  * - Busca e filtro de turmas (por semestre/ano ou curso)
  * - Responsividade em desktop, tablet e smartphone
@@ -19,6 +19,7 @@ import {
   AlertCircle,
   BookOpen,
   Calendar,
+  CalendarCheck,
   Clock,
   FileText,
   Search,
@@ -37,7 +38,7 @@ import type { IClass } from '@/types/class.types';
  * - Curso
  * - Disciplinas (professores)
  * - Quantidade de alunos
- * - Ações (ver alunos, lançar notas)
+ * - Ações (ver alunos, lançar notas, fazer chamada)
  *
  * @example
  * <TeacherClasses />
@@ -422,6 +423,13 @@ export default function TeacherClasses() {
                           <FileText className="w-4 h-4" />
                           <span className="hidden sm:inline">Lançar Notas</span>
                         </Link>
+                        <Link
+                          to={`/teacher/classes/${classItem.id}/attendance`}
+                          className="inline-flex items-center gap-1 px-3 py-2 text-sm font-medium text-green-600 bg-green-50 rounded-lg hover:bg-green-100 transition-colors"
+                        >
+                          <CalendarCheck className="w-4 h-4" />
+                          <span className="hidden sm:inline">Chamada</span>
+                        </Link>
                       </div>
                     </td>
                   </tr>
@@ -488,6 +496,12 @@ export default function TeacherClasses() {
                   >
                     Lançar Notas
                   </Link>
+                  <Link
+                    to={`/teacher/classes/${classItem.id}/attendance`}
+                    className="flex-1 py-2 px-3 text-sm font-medium text-green-600 bg-green-50 rounded-lg hover:bg-green-100 transition-colors text-center"
+                  >
+                    Chamada
+                  </Link>
                 </div>
               </div>
             ))}
@@ -502,8 +516,9 @@ export default function TeacherClasses() {
           <div className="text-sm text-blue-700">
             <p className="font-medium mb-1">Dica:</p>
             <p>
-              Clique em "Ver Alunos" para gerenciar os alunos da turma ou em
-              "Lançar Notas" para fazer o lançamento de avaliações.
+              Clique em "Ver Alunos" para gerenciar os alunos da turma, em
+              "Lançar Notas" para fazer o lançamento de avaliações ou em
+              "Chamada" para registrar a frequência das aulas.
             </p>
           </div>
         </div>
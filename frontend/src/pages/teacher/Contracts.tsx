@@ -0,0 +1,260 @@
+/**
+ * Arquivo: frontend/src/pages/teacher/Contracts.tsx
+ * Descrição: Página de contratos de docência do professor
+ * Feature: feat-124 - Renovação semestral automática dos contratos de professores
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar os contratos semestrais do professor (pendentes e aceitos)
+ * - Permitir o aceite dos contratos pendentes
+ * - Permitir download do PDF dos contratos
+ * - Avisar que o lançamento de notas fica bloqueado até o aceite do contrato do período
+ */
+
+import { useState, type JSX } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle, Clock, Download, FileText } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import ConfirmModal from '@/components/ui/ConfirmModal';
+import Toast, { type ToastType } from '@/components/ui/Toast';
+import { useAcceptContract, useContracts, useDownloadContractPdf } from '@/hooks';
+import { getApiErrorMessage } from '@/services/api';
+import type { IContract } from '@/types/contract.types';
+
+/**
+ * Formata data para formato brasileiro (DD/MM/YYYY)
+ */
+function formatDate(dateString: string | null): string {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('pt-BR');
+}
+
+/**
+ * Retorna o badge de status do contrato
+ */
+function getStatusBadge(status: 'pending' | 'accepted'): JSX.Element {
+  if (status === 'accepted') {
+    return (
+      <span className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-green-700 bg-green-100 rounded-full">
+        <CheckCircle className="w-3 h-3" />
+        Aceito
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-yellow-700 bg-yellow-100 rounded-full">
+      <Clock className="w-3 h-3" />
+      Pendente
+    </span>
+  );
+}
+
+/**
+ * Contracts - Página de contratos do professor
+ *
+ * Os contratos são gerados automaticamente no início de cada período letivo
+ * para os professores vinculados a turmas.
+ *
+ * @example
+ * <Contracts />
+ */
+export default function Contracts() {
+  const { data: contracts, isLoading, error, refetch } = useContracts();
+  const { mutate: acceptContract, isPending: isAccepting } = useAcceptContract();
+  const { mutate: downloadPdf, isPending: isDownloading } = useDownloadContractPdf();
+
+  const [contractToAccept, setContractToAccept] = useState<IContract | null>(null);
+  const [toast, setToast] = useState<{ message: string; type: ToastType } | null>(null);
+
+  const pendingCount = contracts?.filter((contract) => contract.status === 'pending').length ?? 0;
+
+  /**
+   * Confirma o aceite do contrato selecionado
+   */
+  const handleConfirmAccept = () => {
+    if (!contractToAccept) return;
+
+    acceptContract(
+      { id: contractToAccept.id },
+      {
+        onSuccess: () => {
+          setContractToAccept(null);
+          setToast({ message: 'Contrato aceito com sucesso!', type: 'success' });
+        },
+        onError: (err) => {
+          setContractToAccept(null);
+          setToast({ message: getApiErrorMessage(err, 'Erro ao aceitar contrato'), type: 'error' });
+        },
+      }
+    );
+  };
+
+  /**
+   * Faz download do PDF de um contrato
+   */
+  const handleDownloadPdf = (contract: IContract) => {
+    if (!contract.fileName) return;
+
+    downloadPdf(
+      { id: contract.id, fileName: contract.fileName },
+      {
+        onError: (err) => {
+          console.error('[TeacherContracts] Erro ao baixar PDF:', err);
+          setToast({ message: 'Erro ao baixar PDF. Tente novamente.', type: 'error' });
+        },
+      }
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-center">
+          <div className="inline-block w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+          <p className="mt-4 text-gray-600">Carregando contratos...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center gap-3 p-4 text-red-800 bg-red-100 border border-red-200 rounded-lg">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium">Erro ao carregar contratos</p>
+            <p className="text-sm">
+              {error instanceof Error ? error.message : 'Erro desconhecido'}
+            </p>
+          </div>
+          <Button onClick={() => refetch()} variant="secondary" size="sm">
+            Tentar Novamente
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Meus Contratos</h1>
+        <p className="mt-1 text-gray-600">
+          Contratos de docência gerados no início de cada semestre
+        </p>
+      </div>
+
+      {/* Aviso de contratos pendentes */}
+      {pendingCount > 0 && (
+        <div className="flex items-start gap-3 p-4 mb-6 text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <AlertTriangle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+          <p className="text-sm">
+            Você possui {pendingCount} contrato(s) pendente(s) de aceite. O lançamento de notas fica
+            bloqueado até o aceite do contrato do semestre vigente.
+          </p>
+        </div>
+      )}
+
+      {!contracts || contracts.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-12 text-center">
+          <FileText className="w-16 h-16 mb-4 text-gray-400" />
+          <h3 className="mb-2 text-lg font-medium text-gray-900">Nenhum contrato encontrado</h3>
+          <p className="text-gray-600">Você ainda não possui contratos de docência.</p>
+        </div>
+      ) : (
+        <div className="overflow-hidden bg-white border border-gray-200 rounded-lg shadow-sm">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                    Semestre/Ano
+                  </th>
+                  <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                    Data de Aceite
+                  </th>
+                  <th className="px-6 py-3 text-xs font-medium tracking-wider text-left text-gray-500 uppercase">
+                    Data de Criação
+                  </th>
+                  <th className="px-6 py-3 text-xs font-medium tracking-wider text-center text-gray-500 uppercase">
+                    Ações
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {contracts.map((contract) => (
+                  <tr key={contract.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        <FileText className="w-5 h-5 mr-2 text-gray-400" />
+                        <span className="font-medium text-gray-900">
+                          {contract.semester}º Semestre / {contract.year}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {getStatusBadge(contract.status)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                      {formatDate(contract.acceptedAt)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                      {formatDate(contract.createdAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center justify-center gap-2">
+                        {contract.filePath && contract.fileName && (
+                          <Button
+                            onClick={() => handleDownloadPdf(contract)}
+                            disabled={isDownloading}
+                            variant="secondary"
+                            size="sm"
+                            className="inline-flex items-center gap-2"
+                          >
+                            <Download className="w-4 h-4" />
+                            PDF
+                          </Button>
+                        )}
+                        {contract.status === 'pending' && (
+                          <Button
+                            onClick={() => setContractToAccept(contract)}
+                            size="sm"
+                            className="inline-flex items-center gap-2"
+                          >
+                            <CheckCircle className="w-4 h-4" />
+                            Aceitar
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Confirmação de aceite */}
+      {contractToAccept && (
+        <ConfirmModal
+          title="Aceitar contrato"
+          message={`Confirma o aceite do contrato de docência do ${contractToAccept.semester}º semestre de ${contractToAccept.year}? Leia o PDF do contrato antes de aceitar.`}
+          confirmText="Aceitar contrato"
+          type="info"
+          onConfirm={handleConfirmAccept}
+          onCancel={() => setContractToAccept(null)}
+          isLoading={isAccepting}
+        />
+      )}
+
+      {/* Toast */}
+      {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
+    </div>
+  );
+}
@@ -3,12 +3,15 @@
  * Descrição: Página de upload e listagem de documentos obrigatórios do professor
  * Feature: feat-096 - Criar página Documents (professor)
  * Criado em: 2025-12-11
+ * Modificado: feat-132 - Documentos de professores no fluxo de revisão
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
  *
  * Responsabilidades:
  * - Exibir lista de documentos obrigatórios ainda não enviados
  * - Permitir upload de documentos (PDF, JPG, PNG)
  * - Exibir status de cada documento (pendente/aprovado/rejeitado)
- * - Permitir reenvio de documentos rejeitados
+ * - Permitir reenvio de documentos rejeitados ou vencidos
+ * - Exibir a validade dos documentos aprovados
  * - Validar tamanho máximo de arquivo (10MB)
  * - Mostrar feedback visual de sucesso/erro
  */
@@ -27,8 +30,14 @@ import {
   Eye,
 } from 'lucide-react';
 import { Button } from '@/components/ui/Button';
-import { getAll, downloadFile, getFileUrl } from '@/services/document.service';
+import { DocumentExpirationBadge } from '@/components/documents/DocumentExpirationBadge';
+import { getAll, downloadFile, viewFile, upload } from '@/services/document.service';
+import {
+  getAll as getAllDocumentTypes,
+  getRequiredForTeachers,
+} from '@/services/documentType.service';
 import type { IDocument, DocumentStatus } from '@/types/document.types';
+import type { IDocumentType } from '@/services/documentType.service';
 
 /**
  * Estados para filtro de documentos
@@ -49,16 +58,20 @@ export default function Documents() {
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
   const [documents, setDocuments] = useState<IDocument[]>([]);
+  const [documentTypes, setDocumentTypes] = useState<IDocumentType[]>([]);
+  const [loadingTypes, setLoadingTypes] = useState(true);
+  const [requiredTypeIds, setRequiredTypeIds] = useState<number[]>([]);
   const [filterStatus, setFilterStatus] = useState<FilterStatus>('all');
   const [uploadingId, setUploadingId] = useState<number | null>(null);
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
   const [selectedDocTypeId, setSelectedDocTypeId] = useState<number | null>(null);
 
   /**
-   * Carrega documentos do professor ao montar o componente
+   * Carrega documentos e tipos de documentos ao montar o componente
    */
   useEffect(() => {
     loadDocuments();
+    loadDocumentTypes();
   }, []);
 
   /**
@@ -100,6 +113,27 @@ export default function Documents() {
     }
   };
 
+  /**
+   * Carrega tipos de documentos para professores e quais deles são obrigatórios
+   */
+  const loadDocumentTypes = async () => {
+    try {
+      setLoadingTypes(true);
+
+      const [typesResponse, requiredResponse] = await Promise.all([
+        getAllDocumentTypes({ userType: 'teacher' }),
+        getRequiredForTeachers(),
+      ]);
+      setDocumentTypes(typesResponse.data.documentTypes);
+      setRequiredTypeIds(requiredResponse.data.documentTypes.map((docType) => docType.id));
+    } catch (err) {
+      console.error('[TeacherDocuments] Erro ao carregar tipos de documentos:', err);
+      // Não exibe erro na interface, apenas log
+    } finally {
+      setLoadingTypes(false);
+    }
+  };
+
   /**
    * Filtra documentos baseado no status selecionado
    *
@@ -168,25 +202,22 @@ export default function Documents() {
 
       // Criar FormData com arquivo
       const formData = new FormData();
-      formData.append('documentTypeId', selectedDocTypeId.toString());
-      formData.append('file', selectedFile);
+      formData.append('document_type_id', selectedDocTypeId.toString());
+      formData.append('document', selectedFile);
 
-      // TODO: Implementar endpoint de upload quando estiver disponível
-      // const response = await api.post('/documents/upload', formData, {
-      //   headers: { 'Content-Type': 'multipart/form-data' }
-      // });
-
-      // Mock para demonstração
-      console.log('[TeacherDocuments] Upload de arquivo:', {
-        fileName: selectedFile.name,
-        fileSize: selectedFile.size,
-        documentTypeId: selectedDocTypeId,
-      });
+      // Fazer upload do documento (mesmo fluxo de revisão dos alunos)
+      await upload(formData);
 
       setSuccess(`Documento "${selectedFile.name}" enviado com sucesso!`);
       setSelectedFile(null);
       setSelectedDocTypeId(null);
 
+      // Resetar input de arquivo
+      const fileInput = document.getElementById('file-input') as HTMLInputElement;
+      if (fileInput) {
+        fileInput.value = '';
+      }
+
       // Recarregar documentos
       await loadDocuments();
     } catch (err) {
@@ -214,6 +245,28 @@ export default function Documents() {
     }
   };
 
+  /**
+   * Trata visualização de documento
+   *
+   * @param {IDocument} document - Documento a visualizar
+   */
+  const handleView = async (document: IDocument) => {
+    try {
+      setError(null);
+
+      // Buscar arquivo com autenticação
+      const blob = await viewFile(document.id);
+      const url = window.URL.createObjectURL(blob);
+      window.open(url, '_blank');
+
+      // Liberar URL após um tempo
+      setTimeout(() => window.URL.revokeObjectURL(url), 100);
+    } catch (err) {
+      console.error('[TeacherDocuments] Erro ao visualizar documento:', err);
+      setError('Erro ao visualizar o documento. Tente novamente');
+    }
+  };
+
   /**
    * Retorna ícone e cor baseado no status do documento
    *
@@ -277,6 +330,13 @@ export default function Documents() {
   };
 
   const filteredDocuments = getFilteredDocuments();
+
+  // Obrigatórios sem envio (ou com o último envio rejeitado)
+  const missingRequiredTypes = documentTypes.filter(
+    (docType) =>
+      requiredTypeIds.includes(docType.id) &&
+      !documents.some((doc) => doc.documentTypeId === docType.id && doc.status !== 'rejected')
+  );
   const stats = {
     total: documents.length,
     approved: documents.filter((d) => d.status === 'approved').length,
@@ -366,6 +426,32 @@ export default function Documents() {
         </div>
       </div>
 
+      {/* Documentos obrigatórios pendentes */}
+      {missingRequiredTypes.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <h3 className="font-semibold text-yellow-900 mb-2 flex items-center gap-2">
+            <AlertCircle className="w-5 h-5 text-yellow-600" />
+            Documentos obrigatórios pendentes
+          </h3>
+          <ul className="space-y-1">
+            {missingRequiredTypes.map((docType) => (
+              <li
+                key={docType.id}
+                className="flex items-center justify-between text-sm text-yellow-800"
+              >
+                <span>{docType.name}</span>
+                <button
+                  onClick={() => setSelectedDocTypeId(docType.id)}
+                  className="text-blue-700 hover:underline"
+                >
+                  Enviar
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Formulário de Upload */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h2 className="text-xl font-bold text-gray-900 mb-4 flex items-center gap-2">
@@ -382,17 +468,25 @@ export default function Documents() {
             <select
               value={selectedDocTypeId || ''}
               onChange={(e) => setSelectedDocTypeId(Number(e.target.value) || null)}
-              disabled={uploadingId !== null}
+              disabled={uploadingId !== null || loadingTypes}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:cursor-not-allowed"
             >
-              <option value="">Selecione um tipo de documento</option>
-              {/* TODO: Carregar tipos de documentos da API quando disponível */}
-              <option value="1">RG (Cópia)</option>
-              <option value="2">CPF (Cópia)</option>
-              <option value="3">Comprovante de Residência</option>
-              <option value="4">Diploma de Graduação</option>
-              <option value="5">Certificado de Pós-Graduação</option>
+              <option value="">
+                {loadingTypes ? 'Carregando tipos...' : 'Selecione um tipo de documento'}
+              </option>
+              {documentTypes.map((docType) => (
+                <option key={docType.id} value={docType.id}>
+                  {docType.name}
+                  {requiredTypeIds.includes(docType.id) ? ' (Obrigatório)' : ''}
+                </option>
+              ))}
             </select>
+            {selectedDocTypeId &&
+              documentTypes.find((dt) => dt.id === selectedDocTypeId)?.description && (
+                <p className="mt-2 text-sm text-gray-600">
+                  {documentTypes.find((dt) => dt.id === selectedDocTypeId)?.description}
+                </p>
+              )}
           </div>
 
           {/* Input de Arquivo */}
@@ -531,6 +625,7 @@ export default function Documents() {
                           {statusIndicator.icon}
                           {statusIndicator.label}
                         </span>
+                        <DocumentExpirationBadge document={document} />
                       </div>
 
                       {document.documentType?.description && (
@@ -591,15 +686,13 @@ export default function Documents() {
                     >
                       <Download className="w-5 h-5 text-gray-600" />
                     </button>
-                    <a
-                      href={getFileUrl(document.id)}
-                      target="_blank"
-                      rel="noopener noreferrer"
+                    <button
+                      onClick={() => handleView(document)}
                       className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
                       title="Visualizar"
                     >
                       <Eye className="w-5 h-5 text-gray-600" />
-                    </a>
+                    </button>
                     {document.status === 'rejected' && (
                       <button
                         onClick={() => {
@@ -3,19 +3,23 @@
  * Descrição: Página para lançamento de notas e gerenciamento de avaliações do professor
  * Feature: feat-098 - Criar página Grades (professor - lançamento)
  * Criado em: 2025-11-04
+ * Modificado: feat-113 - Resultado final da disciplina (ClassResultsPanel)
+ * Modificado: feat-124 - Aviso de contrato de docência pendente (lançamento de notas bloqueado)
  *
  * Responsabilidades:
  * - Exibir e gerenciar avaliações de uma turma
  * - Criar novas avaliações (nome, data, tipo)
  * - Lançar notas de forma individual ou em lote
  * - Atualizar notas existentes
+ * - Exibir média final e situação dos alunos (calculadas pelo backend)
+ * - Aba de recuperação (alunos elegíveis, avaliação e notas de recuperação)
  * - Validar dados de avaliação e notas
  * - Tratamento de loading, erros e estado vazio
  * - Responsividade em desktop, tablet e smartphone
  */
 
 import { useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
@@ -32,7 +36,11 @@ import {
 } from 'lucide-react';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
+import { RecoveryPanel } from '@/components/grades/RecoveryPanel';
+import { ClassResultsPanel } from '@/components/grades/ClassResultsPanel';
+import { useContracts } from '@/hooks';
 import { getAll as getAllClasses } from '@/services/class.service';
+import { getApiErrorMessage } from '@/services/api';
 import type { IEvaluation, EvaluationType } from '@/types/evaluation.types';
 import * as EvaluationService from '@/services/evaluation.service';
 import {
@@ -43,7 +51,7 @@ import {
   type IUpdateGradeData,
 } from '@/services/grade.service';
 import type { IClass, IClassStudent } from '@/types/class.types';
-import type { IGrade } from '@/types/grade.types';
+import type { IGrade, IClassDisciplineResults } from '@/types/grade.types';
 
 // Constantes para tipos de avaliação
 const EVALUATION_TYPES = {
@@ -101,6 +109,9 @@ export default function TeacherGrades() {
   const [error, setError] = useState<string | null>(null);
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
 
+  // Contratos de docência pendentes bloqueiam o lançamento de notas
+  const { data: pendingContracts } = useContracts({ status: 'pending' });
+
   // Estados de dados
   const [selectedClass, setSelectedClass] = useState<IClass | null>(null);
   const [allClasses, setAllClasses] = useState<IClass[]>([]);
@@ -117,6 +128,12 @@ export default function TeacherGrades() {
   const [batchEditMode, setBatchEditMode] = useState(false);
   const [batchGrades, setBatchGrades] = useState<Record<number, string>>({});
 
+  // Estados do resultado final (média e situação calculadas pelo backend)
+  const [classResults, setClassResults] = useState<IClassDisciplineResults | null>(null);
+
+  // Aba ativa: lançamento de notas ou recuperação
+  const [activeTab, setActiveTab] = useState<'grades' | 'recovery'>('grades');
+
   // Formulário de criação de avaliação
   const {
     register,
@@ -271,6 +288,24 @@ export default function TeacherGrades() {
     }
   };
 
+  /**
+   * Cor da nota conforme a média de aprovação da disciplina (regra do backend)
+   *
+   * Sem o resultado da disciplina da avaliação carregado, a nota é exibida sem destaque.
+   */
+  const getGradeBadgeClass = (grade: number | null): string => {
+    if (
+      grade === null ||
+      !classResults ||
+      classResults.discipline.id !== selectedEvaluation?.disciplineId
+    ) {
+      return 'bg-blue-100 text-blue-800';
+    }
+    return Number(grade) >= classResults.passingGrade
+      ? 'bg-green-100 text-green-800'
+      : 'bg-orange-100 text-orange-800';
+  };
+
   /**
    * Altera turma selecionada
    */
@@ -428,8 +463,7 @@ export default function TeacherGrades() {
       }
     } catch (err) {
       console.error('[TeacherGrades] Erro ao salvar nota:', err);
-      const errorMsg = err instanceof Error ? err.message : 'Erro ao salvar nota';
-      setError(errorMsg);
+      setError(getApiErrorMessage(err, 'Erro ao salvar nota'));
     }
   };
 
@@ -551,6 +585,21 @@ export default function TeacherGrades() {
         </div>
       )}
 
+      {/* Aviso de contrato pendente */}
+      {pendingContracts && pendingContracts.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start gap-3">
+          <AlertTriangle className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-yellow-800">
+            Você possui contrato de docência pendente de aceite. O lançamento de notas fica
+            bloqueado até o aceite do contrato do semestre vigente em{' '}
+            <Link to="/teacher/contracts" className="font-medium underline">
+              Meus Contratos
+            </Link>
+            .
+          </p>
+        </div>
+      )}
+
       {/* Cabeçalho */}
       <div>
         <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-2">
@@ -584,8 +633,41 @@ export default function TeacherGrades() {
         </select>
       </div>
 
-      {/* Seção de avaliações */}
+      {/* Abas */}
       {selectedClass && (
+        <div className="flex gap-2 border-b border-gray-200">
+          {(
+            [
+              ['grades', 'Avaliações e Notas'],
+              ['recovery', 'Recuperação'],
+            ] as const
+          ).map(([tab, label]) => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                activeTab === tab
+                  ? 'border-purple-600 text-purple-700'
+                  : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Recuperação */}
+      {selectedClass && activeTab === 'recovery' && (
+        <RecoveryPanel
+          classId={selectedClass.id}
+          disciplines={selectedClass.disciplines || []}
+          onChanged={loadEvaluations}
+        />
+      )}
+
+      {/* Seção de avaliações */}
+      {selectedClass && activeTab === 'grades' && (
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Coluna esquerda: Avaliações */}
           <div className="lg:col-span-1">
@@ -708,6 +790,11 @@ export default function TeacherGrades() {
                           <p className="font-medium text-gray-900 truncate">
                             {evaluation.name}
                           </p>
+                          {evaluation.isRecovery && (
+                            <span className="inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Recuperação
+                            </span>
+                          )}
                           <p className="text-xs text-gray-600 mt-1">
                             {formatDate(evaluation.date)}
                           </p>
@@ -936,11 +1023,7 @@ export default function TeacherGrades() {
                                         ? 'bg-gray-100 text-gray-600'
                                         : selectedEvaluation.type ===
                                             EVALUATION_TYPES.GRADE
-                                          ? `${
-                                              (studentGrade.grade || 0) >= 7
-                                                ? 'bg-green-100 text-green-800'
-                                                : 'bg-orange-100 text-orange-800'
-                                            }`
+                                          ? getGradeBadgeClass(studentGrade.grade)
                                           : 'bg-blue-100 text-blue-800'
                                     }`}
                                   >
@@ -1001,6 +1084,16 @@ export default function TeacherGrades() {
           </div>
         </div>
       )}
+
+      {/* Resultado final da disciplina */}
+      {selectedClass && activeTab === 'grades' && (
+        <ClassResultsPanel
+          classId={selectedClass.id}
+          disciplines={selectedClass.disciplines || []}
+          refreshKey={grades}
+          onResultsChange={setClassResults}
+        />
+      )}
     </div>
   );
 }
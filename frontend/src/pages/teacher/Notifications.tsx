@@ -0,0 +1,30 @@
+/**
+ * Arquivo: frontend/src/pages/teacher/Notifications.tsx
+ * Descrição: Página do professor com as preferências de notificação por email
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ */
+
+import { Bell } from 'lucide-react';
+import { NotificationPreferencesPanel } from '@/components/notifications/NotificationPreferencesPanel';
+
+export default function NotificationsPage() {
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-6">
+        <Bell className="text-blue-600" size={32} />
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Notificações</h1>
+          <p className="text-sm text-gray-600">
+            Escolha quais avisos da secretaria você quer receber por email
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <NotificationPreferencesPanel />
+      </div>
+    </div>
+  );
+}
@@ -20,9 +20,9 @@ import { PrivateRoute } from './components';
 import Login from './pages/auth/Login';
 
 /**
- * Página Pública - Verificação de Atestado de Matrícula (sem autenticação)
+ * Página Pública - Verificação de documentos assinados (sem autenticação)
  */
-const VerifyAtestado = lazy(() => import('./pages/public/VerifyAtestado'));
+const VerifyDocument = lazy(() => import('./pages/public/VerifyDocument'));
 
 /**
  * Layouts
@@ -52,6 +52,13 @@ const AdminStudentGrades = lazy(() => import('./pages/admin/StudentGrades'));
 const AdminClassSchedules = lazy(() => import('./pages/admin/ClassSchedules'));
 const AdminStudentExtraDisciplines = lazy(() => import('./pages/admin/StudentExtraDisciplines'));
 const AdminStudentDisciplineExemptions = lazy(() => import('./pages/admin/StudentDisciplineExemptions'));
+const AdminSignedDocuments = lazy(() => import('./pages/admin/SignedDocuments'));
+const AdminEmailLog = lazy(() => import('./pages/admin/EmailLog'));
+const AdminRequestTypes = lazy(() => import('./pages/admin/RequestTypes'));
+const AdminContractTemplates = lazy(() => import('./pages/admin/ContractTemplates'));
+const AdminReenrollmentCampaigns = lazy(() => import('./pages/admin/ReenrollmentCampaigns'));
+const AdminSemesterClosing = lazy(() => import('./pages/admin/SemesterClosing'));
+const AdminClassTransfers = lazy(() => import('./pages/admin/ClassTransfers'));
 
 /**
  * Páginas de Aluno (Lazy Loading)
@@ -64,6 +71,8 @@ const StudentContracts = lazy(() => import('./pages/student/Contracts'));
 const StudentMyData = lazy(() => import('./pages/student/MyData'));
 const ReenrollmentAcceptance = lazy(() => import('./pages/student/ReenrollmentAcceptance'));
 const StudentSchedule = lazy(() => import('./pages/student/Schedule'));
+const StudentDegreeAudit = lazy(() => import('./pages/student/DegreeAudit'));
+const StudentNotifications = lazy(() => import('./pages/student/Notifications'));
 
 /**
  * Páginas de Professor (Lazy Loading)
@@ -74,6 +83,9 @@ const TeacherStudents = lazy(() => import('./pages/teacher/Students'));
 const TeacherEvaluations = lazy(() => import('./pages/teacher/Evaluations'));
 const TeacherGrades = lazy(() => import('./pages/teacher/Grades'));
 const TeacherDocuments = lazy(() => import('./pages/teacher/Documents'));
+const TeacherAttendance = lazy(() => import('./pages/teacher/Attendance'));
+const TeacherContracts = lazy(() => import('./pages/teacher/Contracts'));
+const TeacherNotifications = lazy(() => import('./pages/teacher/Notifications'));
 
 // ============================================================================
 // LOADING FALLBACK
@@ -106,11 +118,30 @@ const publicRoutes: RouteObject[] = [
     element: <Login />,
     errorElement: <div>Erro ao carregar página de login</div>,
   },
+  {
+    path: '/verificar',
+    element: (
+      <Suspense fallback={<LoadingFallback />}>
+        <VerifyDocument />
+      </Suspense>
+    ),
+    errorElement: <div>Erro ao carregar página de verificação</div>,
+  },
+  // Links antigos impressos nos PDFs emitidos antes da verificação unificada
   {
     path: '/verificar-atestado',
     element: (
       <Suspense fallback={<LoadingFallback />}>
-        <VerifyAtestado />
+        <VerifyDocument />
+      </Suspense>
+    ),
+    errorElement: <div>Erro ao carregar página de verificação</div>,
+  },
+  {
+    path: '/verificar-historico',
+    element: (
+      <Suspense fallback={<LoadingFallback />}>
+        <VerifyDocument />
       </Suspense>
     ),
     errorElement: <div>Erro ao carregar página de verificação</div>,
@@ -271,6 +302,62 @@ const privateRoutes: RouteObject[] = [
           </Suspense>
         ),
       },
+      {
+        path: 'signed-documents',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <AdminSignedDocuments />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'emails',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <AdminEmailLog />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'request-types',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <AdminRequestTypes />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'contract-templates',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <AdminContractTemplates />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'reenrollment-campaigns',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <AdminReenrollmentCampaigns />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'semester-closing',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <AdminSemesterClosing />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'class-transfers',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <AdminClassTransfers />
+          </Suspense>
+        ),
+      },
       {
         path: 'evaluations',
         element: (
@@ -346,6 +433,14 @@ const privateRoutes: RouteObject[] = [
           </Suspense>
         ),
       },
+      {
+        path: 'classes/:classId/attendance',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <TeacherAttendance />
+          </Suspense>
+        ),
+      },
       {
         path: 'grades',
         element: (
@@ -362,6 +457,22 @@ const privateRoutes: RouteObject[] = [
           </Suspense>
         ),
       },
+      {
+        path: 'contracts',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <TeacherContracts />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'notifications',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <TeacherNotifications />
+          </Suspense>
+        ),
+      },
     ],
   },
   {
@@ -397,6 +508,14 @@ const privateRoutes: RouteObject[] = [
           </Suspense>
         ),
       },
+      {
+        path: 'degree-audit',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <StudentDegreeAudit />
+          </Suspense>
+        ),
+      },
       {
         path: 'my-data',
         element: (
@@ -437,6 +556,14 @@ const privateRoutes: RouteObject[] = [
           </Suspense>
         ),
       },
+      {
+        path: 'notifications',
+        element: (
+          <Suspense fallback={<LoadingFallback />}>
+            <StudentNotifications />
+          </Suspense>
+        ),
+      },
     ],
   },
 ];
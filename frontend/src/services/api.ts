@@ -2,6 +2,8 @@
  * Arquivo: frontend/src/services/api.ts
  * Descrição: Configuração do cliente Axios para comunicação com API
  * Feature: feat-075 - Configurar Axios e interceptors
+ * Modificado: feat-112 - Mensagem de erro das requisições (getApiErrorMessage)
+ * Modificado: feat-134 - Código de erro das requisições (getApiErrorCode)
  * Atualizado em: 2025-11-04
  *
  * Responsabilidades:
@@ -241,4 +243,36 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Extrai a mensagem de erro retornada pela API
+ *
+ * @param error - Erro capturado no catch de uma requisição
+ * @param fallback - Mensagem usada quando a API não informar uma
+ * @returns Mensagem para exibição ao usuário
+ *
+ * @example
+ * } catch (err) {
+ *   setError(getApiErrorMessage(err, 'Erro ao salvar'));
+ * }
+ */
+export function getApiErrorMessage(error: unknown, fallback: string): string {
+  if (axios.isAxiosError<ApiErrorResponse>(error)) {
+    return error.response?.data?.error?.message || fallback;
+  }
+  return fallback;
+}
+
+/**
+ * Extrai o código de erro retornado pela API
+ *
+ * @param error - Erro capturado no catch de uma requisição
+ * @returns Código do erro (ex: 'DOCUMENTS_PENDING') ou undefined
+ */
+export function getApiErrorCode(error: unknown): string | undefined {
+  if (axios.isAxiosError<ApiErrorResponse>(error)) {
+    return error.response?.data?.error?.code;
+  }
+  return undefined;
+}
+
 export default api;
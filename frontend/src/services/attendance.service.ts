@@ -0,0 +1,95 @@
+/**
+ * Arquivo: frontend/src/services/attendance.service.ts
+ * Descrição: Serviço para controle de frequência (aulas e chamadas)
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar horários e aulas registradas de uma turma
+ * - Registrar aulas e a chamada dos alunos
+ * - Consultar frequência por turma/disciplina e por aluno
+ */
+
+import api from './api';
+import type {
+  ISessionSchedule,
+  IClassSession,
+  IClassSessionRoll,
+  IClassFrequency,
+  IDisciplineFrequency,
+  ICreateClassSessionDTO,
+  IAttendanceRecordDTO,
+} from '@/types/attendance.types';
+
+const attendanceService = {
+  /**
+   * Horários da grade da turma (base para registrar aulas)
+   */
+  getSchedules: async (classId: number): Promise<ISessionSchedule[]> => {
+    const response = await api.get(`/classes/${classId}/schedules`);
+    return response.data.data;
+  },
+
+  /**
+   * Aulas registradas da turma, opcionalmente filtradas por disciplina
+   */
+  getSessions: async (classId: number, disciplineId?: number): Promise<IClassSession[]> => {
+    const response = await api.get(`/classes/${classId}/sessions`, {
+      params: disciplineId ? { discipline_id: disciplineId } : undefined,
+    });
+    return response.data.data;
+  },
+
+  createSession: async (
+    classId: number,
+    data: ICreateClassSessionDTO
+  ): Promise<IClassSessionRoll> => {
+    const response = await api.post(`/classes/${classId}/sessions`, data);
+    return response.data.data;
+  },
+
+  /**
+   * Aula com a lista de chamada
+   */
+  getSession: async (sessionId: number): Promise<IClassSessionRoll> => {
+    const response = await api.get(`/class-sessions/${sessionId}`);
+    return response.data.data;
+  },
+
+  recordAttendances: async (
+    sessionId: number,
+    attendances: IAttendanceRecordDTO[]
+  ): Promise<IClassSessionRoll> => {
+    const response = await api.put(`/class-sessions/${sessionId}/attendances`, { attendances });
+    return response.data.data;
+  },
+
+  removeSession: async (sessionId: number): Promise<void> => {
+    await api.delete(`/class-sessions/${sessionId}`);
+  },
+
+  getClassFrequency: async (classId: number, disciplineId: number): Promise<IClassFrequency> => {
+    const response = await api.get(`/classes/${classId}/frequency`, {
+      params: { discipline_id: disciplineId },
+    });
+    return response.data.data;
+  },
+
+  /**
+   * Frequência do aluno autenticado
+   */
+  getMyFrequency: async (): Promise<IDisciplineFrequency[]> => {
+    const response = await api.get('/attendance/my-frequency');
+    return response.data.data;
+  },
+
+  /**
+   * Frequência de um aluno (admin)
+   */
+  getStudentFrequency: async (studentId: number): Promise<IDisciplineFrequency[]> => {
+    const response = await api.get(`/students/${studentId}/frequency`);
+    return response.data.data;
+  },
+};
+
+export default attendanceService;
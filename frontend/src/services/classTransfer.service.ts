@@ -0,0 +1,111 @@
+/**
+ * Arquivo: frontend/src/services/classTransfer.service.ts
+ * Descrição: Serviço da transferência de turma (admin)
+ * Feature: feat-127 - Transferência de turma com histórico
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Pré-visualizar a transferência e o destino de cada nota do aluno
+ * - Transferir o aluno para outra turma do mesmo curso
+ * - Listar o histórico de transferências e buscar o detalhe de cada uma
+ */
+
+import api from './api';
+import type {
+  IClassTransfer,
+  IClassTransferFilters,
+  IClassTransferPreview,
+  IClassTransferRequest,
+} from '@/types/classTransfer.types';
+
+/**
+ * Converte os dados da transferência para o formato da API (snake_case)
+ */
+function toPayload(data: IClassTransferRequest) {
+  return {
+    student_id: data.studentId,
+    from_class_id: data.fromClassId,
+    to_class_id: data.toClassId,
+    grade_mode: data.gradeMode,
+    reason: data.reason,
+  };
+}
+
+/**
+ * Lista o histórico de transferências
+ *
+ * @param {IClassTransferFilters} [filters] - Aluno ou turma (origem ou destino)
+ * @returns {Promise<IClassTransfer[]>} Transferências, mais recentes primeiro
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getAll(filters: IClassTransferFilters = {}): Promise<IClassTransfer[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: IClassTransfer[] }>(
+      '/class-transfers',
+      { params: { student_id: filters.studentId, class_id: filters.classId } }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ClassTransferService] Erro ao listar transferências:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca uma transferência com o destino de cada nota
+ *
+ * @param {number} id - ID da transferência
+ * @returns {Promise<IClassTransfer>} Transferência com gradeReport
+ * @throws {Error} Quando a transferência não existe
+ */
+export async function getById(id: number): Promise<IClassTransfer> {
+  try {
+    const response = await api.get<{ success: boolean; data: IClassTransfer }>(
+      `/class-transfers/${id}`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ClassTransferService] Erro ao buscar transferência ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Pré-visualiza a transferência sem alterar nada
+ *
+ * @param {IClassTransferRequest} data - Aluno, turmas e tratamento das notas
+ * @returns {Promise<IClassTransferPreview>} Destino de cada nota
+ * @throws {Error} Quando a transferência não é permitida (ex: turma de outro curso)
+ */
+export async function preview(data: IClassTransferRequest): Promise<IClassTransferPreview> {
+  try {
+    const response = await api.post<{ success: boolean; data: IClassTransferPreview }>(
+      '/class-transfers/preview',
+      toPayload(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ClassTransferService] Erro ao pré-visualizar transferência:', error);
+    throw error;
+  }
+}
+
+/**
+ * Transfere o aluno para outra turma do mesmo curso
+ *
+ * @param {IClassTransferRequest} data - Aluno, turmas, tratamento das notas e motivo
+ * @returns {Promise<IClassTransfer>} Transferência registrada
+ * @throws {Error} Quando a transferência não é permitida
+ */
+export async function transfer(data: IClassTransferRequest): Promise<IClassTransfer> {
+  try {
+    const response = await api.post<{ success: boolean; data: IClassTransfer }>(
+      '/class-transfers',
+      toPayload(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ClassTransferService] Erro ao transferir aluno:', error);
+    throw error;
+  }
+}
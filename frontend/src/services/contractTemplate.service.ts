@@ -0,0 +1,211 @@
+/**
+ * Arquivo: frontend/src/services/contractTemplate.service.ts
+ * Descrição: Serviço da gestão e versionamento dos templates de contrato (admin)
+ * Feature: feat-122 - Gestão e versionamento dos templates de contrato
+ * Modificado: feat-123 - Catálogo com os recursos da linguagem dos templates
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar o histórico de versões e buscar uma versão com o conteúdo
+ * - Criar e editar rascunhos (versões publicadas são imutáveis)
+ * - Ativar uma versão e excluir rascunhos
+ * - Pré-visualizar versões ou conteúdo em edição com dados de exemplo
+ * - Listar o catálogo de placeholders e os recursos da linguagem dos templates
+ */
+
+import api from './api';
+import type {
+  IContractTemplate,
+  IContractTemplateCatalog,
+  IContractTemplatePreview,
+  ICreateContractTemplateRequest,
+  IUpdateContractTemplateRequest,
+} from '@/types/contractTemplate.types';
+
+/**
+ * Converte os dados do formulário para o formato da API (snake_case)
+ */
+function toPayload(data: ICreateContractTemplateRequest | IUpdateContractTemplateRequest) {
+  return {
+    name: data.name,
+    content: data.content,
+    change_notes: data.changeNotes,
+    based_on_id: 'basedOnId' in data ? data.basedOnId : undefined,
+  };
+}
+
+/**
+ * Lista todas as versões (mais recente primeiro)
+ *
+ * @returns {Promise<IContractTemplate[]>} Versões sem o conteúdo
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getAll(): Promise<IContractTemplate[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: IContractTemplate[] }>(
+      '/contract-templates'
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ContractTemplateService] Erro ao listar templates de contrato:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca uma versão com o conteúdo
+ *
+ * @param {number} id - ID da versão
+ * @returns {Promise<IContractTemplate>} Versão com o conteúdo
+ * @throws {Error} Quando a versão não existe
+ */
+export async function getById(id: number): Promise<IContractTemplate> {
+  try {
+    const response = await api.get<{ success: boolean; data: IContractTemplate }>(
+      `/contract-templates/${id}`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ContractTemplateService] Erro ao buscar template de contrato ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Lista o catálogo de placeholders e os recursos da linguagem ({{#if}}, {{#each}}, formatação)
+ *
+ * @returns {Promise<IContractTemplateCatalog>} Placeholders e funções com descrição e exemplo
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getCatalog(): Promise<IContractTemplateCatalog> {
+  try {
+    const response = await api.get<{ success: boolean; data: IContractTemplateCatalog }>(
+      '/contract-templates/placeholders'
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ContractTemplateService] Erro ao listar placeholders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria um rascunho, do zero ou a partir de uma versão existente
+ *
+ * @param {ICreateContractTemplateRequest} data - Dados do rascunho
+ * @returns {Promise<IContractTemplate>} Rascunho criado
+ * @throws {Error} Quando o conteúdo possui placeholders desconhecidos
+ *
+ * @example
+ * await create({ basedOnId: 3, changeNotes: 'Atualização da cláusula de multa' });
+ */
+export async function create(data: ICreateContractTemplateRequest): Promise<IContractTemplate> {
+  try {
+    const response = await api.post<{ success: boolean; data: IContractTemplate }>(
+      '/contract-templates',
+      toPayload(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ContractTemplateService] Erro ao criar template de contrato:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza um rascunho
+ *
+ * @param {number} id - ID do rascunho
+ * @param {IUpdateContractTemplateRequest} data - Campos alterados
+ * @returns {Promise<IContractTemplate>} Rascunho atualizado
+ * @throws {Error} Quando a versão já foi publicada ou possui placeholders desconhecidos
+ */
+export async function update(
+  id: number,
+  data: IUpdateContractTemplateRequest
+): Promise<IContractTemplate> {
+  try {
+    const response = await api.put<{ success: boolean; data: IContractTemplate }>(
+      `/contract-templates/${id}`,
+      toPayload(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ContractTemplateService] Erro ao atualizar template de contrato ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ativa uma versão (publica o rascunho e desativa as demais)
+ *
+ * @param {number} id - ID da versão
+ * @returns {Promise<IContractTemplate>} Versão ativada
+ * @throws {Error} Quando a versão não existe
+ */
+export async function activate(id: number): Promise<IContractTemplate> {
+  try {
+    const response = await api.post<{ success: boolean; data: IContractTemplate }>(
+      `/contract-templates/${id}/activate`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ContractTemplateService] Erro ao ativar template de contrato ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Exclui um rascunho
+ *
+ * @param {number} id - ID do rascunho
+ * @returns {Promise<void>}
+ * @throws {Error} Quando a versão já foi publicada
+ */
+export async function remove(id: number): Promise<void> {
+  try {
+    await api.delete(`/contract-templates/${id}`);
+  } catch (error) {
+    console.error(`[ContractTemplateService] Erro ao excluir template de contrato ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Pré-visualiza uma versão salva com dados de exemplo do aluno
+ *
+ * @param {number} id - ID da versão
+ * @returns {Promise<IContractTemplatePreview>} HTML renderizado
+ * @throws {Error} Quando a versão não existe
+ */
+export async function preview(id: number): Promise<IContractTemplatePreview> {
+  try {
+    const response = await api.get<{ success: boolean; data: IContractTemplatePreview }>(
+      `/contract-templates/${id}/preview`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ContractTemplateService] Erro ao pré-visualizar template ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Pré-visualiza um conteúdo em edição (sem salvar) com dados de exemplo do aluno
+ *
+ * @param {string} content - HTML do template
+ * @returns {Promise<IContractTemplatePreview>} HTML renderizado, placeholders desconhecidos e erros de sintaxe
+ * @throws {Error} Quando o conteúdo não é informado
+ */
+export async function previewContent(content: string): Promise<IContractTemplatePreview> {
+  try {
+    const response = await api.post<{ success: boolean; data: IContractTemplatePreview }>(
+      '/contract-templates/preview',
+      { content }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ContractTemplateService] Erro ao pré-visualizar conteúdo:', error);
+    throw error;
+  }
+}
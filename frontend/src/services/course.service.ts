@@ -14,7 +14,12 @@
  */
 
 import api from './api';
-import type { ICourse } from '@/types/course.types';
+import type {
+  ICourse,
+  ICourseDiscipline,
+  GradingFormula,
+  RecoveryRule,
+} from '@/types/course.types';
 import type { ApiResponse } from '@/types/api.types';
 
 /**
@@ -33,6 +38,12 @@ export interface ICreateCourseData {
   durationType: string;
   /** Tipo de curso (Mestrado/Doutorado, Cursos de Verão, Pós graduação, Superior, Supletivo/EJA, Técnicos) */
   courseType: string;
+  /** Fórmula de cálculo da média final (opcional) */
+  gradingFormula?: GradingFormula;
+  /** Quantidade de notas da fórmula best_of (opcional) */
+  gradingBestOf?: number | null;
+  /** Regra de recuperação (opcional) */
+  recoveryRule?: RecoveryRule;
   /** IDs das disciplinas vinculadas (opcional) */
   disciplineIds?: number[];
 }
@@ -53,6 +64,12 @@ export interface IUpdateCourseData {
   durationType?: string;
   /** Tipo de curso (Mestrado/Doutorado, Cursos de Verão, Pós graduação, Superior, Supletivo/EJA, Técnicos) */
   courseType?: string;
+  /** Fórmula de cálculo da média final (opcional) */
+  gradingFormula?: GradingFormula;
+  /** Quantidade de notas da fórmula best_of (opcional) */
+  gradingBestOf?: number | null;
+  /** Regra de recuperação (opcional) */
+  recoveryRule?: RecoveryRule;
   /** IDs das disciplinas vinculadas (opcional) */
   disciplineIds?: number[];
 }
@@ -120,6 +137,9 @@ export async function getAll(params: IGetAllCoursesParams = {}): Promise<IPagina
       duration: course.duration,
       durationType: course.duration_type || course.durationType,
       courseType: course.course_type || course.courseType,
+      gradingFormula: course.grading_formula || course.gradingFormula,
+      gradingBestOf: course.grading_best_of ?? course.gradingBestOf ?? null,
+      recoveryRule: course.recovery_rule || course.recoveryRule,
       disciplines: course.disciplines ? course.disciplines.map((cd: any) => {
         // Extrai a disciplina - pode estar em cd.discipline ou ser o próprio cd
         const disciplineData = cd.discipline || cd;
@@ -217,6 +237,9 @@ export async function getById(id: number): Promise<ICourse> {
       duration: courseData.duration,
       durationType: courseData.duration_type || courseData.durationType,
       courseType: courseData.course_type || courseData.courseType,
+      gradingFormula: courseData.grading_formula || courseData.gradingFormula,
+      gradingBestOf: courseData.grading_best_of ?? courseData.gradingBestOf ?? null,
+      recoveryRule: courseData.recovery_rule || courseData.recoveryRule,
       disciplines: courseData.disciplines ? courseData.disciplines.map((cd: any) => {
         // Extrai a disciplina - pode estar em cd.discipline ou ser o próprio cd
         const disciplineData = cd.discipline || cd;
@@ -325,6 +348,9 @@ export async function create(data: ICreateCourseData): Promise<ICourse> {
       duration: data.duration,
       duration_type: data.durationType.trim(),
       course_type: data.courseType.trim(),
+      grading_formula: data.gradingFormula,
+      grading_best_of: data.gradingBestOf ?? null,
+      recovery_rule: data.recoveryRule,
     };
 
     const response = await api.post<ApiResponse<any>>('/courses', payload);
@@ -344,6 +370,9 @@ export async function create(data: ICreateCourseData): Promise<ICourse> {
       duration: courseData.duration,
       durationType: courseData.duration_type || courseData.durationType,
       courseType: courseData.course_type || courseData.courseType,
+      gradingFormula: courseData.grading_formula || courseData.gradingFormula,
+      gradingBestOf: courseData.grading_best_of ?? courseData.gradingBestOf ?? null,
+      recoveryRule: courseData.recovery_rule || courseData.recoveryRule,
       disciplines: courseData.disciplines ? courseData.disciplines.map((cd: any) => {
         // Extrai a disciplina - pode estar em cd.discipline ou ser o próprio cd
         const disciplineData = cd.discipline || cd;
@@ -457,6 +486,9 @@ export async function update(
     if (data.duration !== undefined) payload.duration = data.duration;
     if (data.durationType !== undefined) payload.duration_type = data.durationType.trim();
     if (data.courseType !== undefined) payload.course_type = data.courseType.trim();
+    if (data.gradingFormula !== undefined) payload.grading_formula = data.gradingFormula;
+    if (data.gradingBestOf !== undefined) payload.grading_best_of = data.gradingBestOf;
+    if (data.recoveryRule !== undefined) payload.recovery_rule = data.recoveryRule;
     if (data.disciplineIds !== undefined) payload.disciplineIds = data.disciplineIds;
 
     const response = await api.put<ApiResponse<any>>(
@@ -479,6 +511,9 @@ export async function update(
       duration: courseData.duration,
       durationType: courseData.duration_type || courseData.durationType,
       courseType: courseData.course_type || courseData.courseType,
+      gradingFormula: courseData.grading_formula || courseData.gradingFormula,
+      gradingBestOf: courseData.grading_best_of ?? courseData.gradingBestOf ?? null,
+      recoveryRule: courseData.recovery_rule || courseData.recoveryRule,
       disciplines: courseData.disciplines ? courseData.disciplines.map((cd: any) => {
         // Extrai a disciplina - pode estar em cd.discipline ou ser o próprio cd
         const disciplineData = cd.discipline || cd;
@@ -707,6 +742,56 @@ export async function addDisciplineToCourse(
   }
 }
 
+/**
+ * Atualiza a fórmula de média de uma disciplina no curso
+ *
+ * Permite sobrescrever a fórmula do curso para uma disciplina específica.
+ * Enviar gradingFormula null faz a disciplina voltar a usar a fórmula do curso.
+ *
+ * @param {number} courseId - ID do curso
+ * @param {number} disciplineId - ID da disciplina
+ * @param {object} grading - Fórmula e quantidade de notas (best_of)
+ * @returns {Promise<ICourseDiscipline>} Dados da associação atualizada
+ * @throws {Error} Quando IDs são inválidos ou erro na API
+ */
+export async function updateCourseDiscipline(
+  courseId: number,
+  disciplineId: number,
+  grading: { gradingFormula: GradingFormula | null; gradingBestOf?: number | null }
+): Promise<ICourseDiscipline> {
+  try {
+    if (!courseId || courseId <= 0) {
+      throw new Error('ID do curso é obrigatório e deve ser maior que zero');
+    }
+
+    if (!disciplineId || disciplineId <= 0) {
+      throw new Error('ID da disciplina é obrigatório e deve ser maior que zero');
+    }
+
+    const response = await api.put<ApiResponse<ICourseDiscipline>>(
+      `/courses/${courseId}/disciplines/${disciplineId}`,
+      {
+        grading_formula: grading.gradingFormula,
+        grading_best_of: grading.gradingBestOf ?? null,
+      }
+    );
+
+    if (!response.data.success || !response.data.data) {
+      throw new Error(response.data.error?.message || 'Erro ao atualizar fórmula da disciplina');
+    }
+
+    return response.data.data;
+  } catch (error) {
+    console.error('[CourseService] Erro ao atualizar fórmula da disciplina:', error);
+
+    if (error instanceof Error) {
+      throw error;
+    }
+
+    throw new Error('Falha ao atualizar fórmula da disciplina. Tente novamente.');
+  }
+}
+
 /**
  * Remove uma disciplina de um curso
  *
@@ -903,6 +988,7 @@ const CourseService = {
   delete: deleteCourse,
   getCourseDisciplines,
   addDisciplineToCourse,
+  updateCourseDiscipline,
   removeDisciplineFromCourse,
   getCourseStudents,
 };
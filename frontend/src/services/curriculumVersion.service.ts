@@ -0,0 +1,181 @@
+/**
+ * Arquivo: frontend/src/services/curriculumVersion.service.ts
+ * Descrição: Serviço das matrizes curriculares e da migração de matrículas entre matrizes
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar, publicar e excluir matrizes curriculares de um curso (admin)
+ * - Pré-visualizar e executar a migração de uma matrícula para outra matriz
+ * - Consultar o histórico de migrações da matrícula
+ */
+
+import api from './api';
+import type {
+  ICurriculumMigration,
+  ICurriculumMigrationPlan,
+  ICurriculumMigrationRequest,
+  ICurriculumVersion,
+  ICurriculumVersionDetail,
+  ICurriculumVersionSummary,
+  IPublishCurriculumVersionRequest,
+} from '@/types/curriculumVersion.types';
+
+/**
+ * Converte os dados da migração para o formato da API
+ */
+function toMigrationBody(data: ICurriculumMigrationRequest) {
+  return {
+    to_version_id: data.toVersionId,
+    mappings: data.mappings.map((mapping) => ({
+      from_discipline_id: mapping.fromDisciplineId,
+      to_discipline_id: mapping.toDisciplineId,
+    })),
+    reason: data.reason,
+  };
+}
+
+/**
+ * Lista as matrizes curriculares do curso
+ *
+ * @param {number} courseId - ID do curso
+ * @returns {Promise<ICurriculumVersionSummary[]>} Matrizes, mais recentes primeiro
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getByCourse(courseId: number): Promise<ICurriculumVersionSummary[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: ICurriculumVersionSummary[] }>(
+      `/courses/${courseId}/curriculum-versions`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[CurriculumVersionService] Erro ao listar matrizes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca a matriz com as disciplinas por semestre
+ *
+ * @param {number} id - ID da matriz
+ * @returns {Promise<ICurriculumVersionDetail>} Matriz com disciplinas
+ * @throws {Error} Quando a matriz não existe
+ */
+export async function getById(id: number): Promise<ICurriculumVersionDetail> {
+  try {
+    const response = await api.get<{ success: boolean; data: ICurriculumVersionDetail }>(
+      `/curriculum-versions/${id}`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[CurriculumVersionService] Erro ao buscar matriz:', error);
+    throw error;
+  }
+}
+
+/**
+ * Publica a grade atual do curso como nova matriz curricular
+ *
+ * @param {number} courseId - ID do curso
+ * @param {IPublishCurriculumVersionRequest} data - Nome, início da vigência e observações
+ * @returns {Promise<ICurriculumVersion>} Matriz publicada
+ * @throws {Error} Quando a grade está vazia ou já existe matriz com a mesma vigência
+ */
+export async function publish(
+  courseId: number,
+  data: IPublishCurriculumVersionRequest
+): Promise<ICurriculumVersion> {
+  try {
+    const response = await api.post<{ success: boolean; data: ICurriculumVersion }>(
+      `/courses/${courseId}/curriculum-versions`,
+      { name: data.name, effective_from: data.effectiveFrom, notes: data.notes }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[CurriculumVersionService] Erro ao publicar matriz:', error);
+    throw error;
+  }
+}
+
+/**
+ * Exclui uma matriz sem matrículas vinculadas
+ *
+ * @param {number} id - ID da matriz
+ * @returns {Promise<void>}
+ * @throws {Error} Quando há matrículas vinculadas à matriz
+ */
+export async function remove(id: number): Promise<void> {
+  try {
+    await api.delete(`/curriculum-versions/${id}`);
+  } catch (error) {
+    console.error('[CurriculumVersionService] Erro ao excluir matriz:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pré-visualiza a migração da matrícula para outra matriz (nada é alterado)
+ *
+ * @param {number} enrollmentId - ID da matrícula
+ * @param {ICurriculumMigrationRequest} data - Matriz de destino e equivalências
+ * @returns {Promise<ICurriculumMigrationPlan>} Situação das disciplinas e pendências
+ * @throws {Error} Quando a matriz ou o mapeamento são inválidos
+ */
+export async function previewMigration(
+  enrollmentId: number,
+  data: ICurriculumMigrationRequest
+): Promise<ICurriculumMigrationPlan> {
+  try {
+    const response = await api.post<{ success: boolean; data: ICurriculumMigrationPlan }>(
+      `/enrollments/${enrollmentId}/curriculum-migration/preview`,
+      toMigrationBody(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[CurriculumVersionService] Erro ao pré-visualizar migração:', error);
+    throw error;
+  }
+}
+
+/**
+ * Migra a matrícula para outra matriz do curso
+ *
+ * @param {number} enrollmentId - ID da matrícula
+ * @param {ICurriculumMigrationRequest} data - Matriz de destino, equivalências e motivo
+ * @returns {Promise<ICurriculumMigrationPlan>} Migração executada
+ * @throws {Error} Quando a matriz ou o mapeamento são inválidos
+ */
+export async function migrate(
+  enrollmentId: number,
+  data: ICurriculumMigrationRequest
+): Promise<ICurriculumMigrationPlan> {
+  try {
+    const response = await api.post<{ success: boolean; data: ICurriculumMigrationPlan }>(
+      `/enrollments/${enrollmentId}/curriculum-migration`,
+      toMigrationBody(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[CurriculumVersionService] Erro ao migrar matrícula:', error);
+    throw error;
+  }
+}
+
+/**
+ * Histórico de migrações de matriz da matrícula
+ *
+ * @param {number} enrollmentId - ID da matrícula
+ * @returns {Promise<ICurriculumMigration[]>} Migrações, mais recentes primeiro
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getMigrations(enrollmentId: number): Promise<ICurriculumMigration[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: ICurriculumMigration[] }>(
+      `/enrollments/${enrollmentId}/curriculum-migrations`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[CurriculumVersionService] Erro ao listar migrações:', error);
+    throw error;
+  }
+}
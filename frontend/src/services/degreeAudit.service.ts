@@ -0,0 +1,33 @@
+/**
+ * Arquivo: frontend/src/services/degreeAudit.service.ts
+ * Descrição: Serviço da integralização curricular do aluno
+ * Feature: feat-131 - Integralização curricular do aluno
+ * Criado em: 2026-10-19
+ */
+
+import api from './api';
+import type { IDegreeAudit } from '@/types/degreeAudit.types';
+
+/**
+ * Integralização do aluno: disciplinas concluídas, em andamento e pendentes e a carga horária
+ *
+ * @param {number} studentId - ID do aluno
+ * @param {number} [courseId] - ID do curso (sem ele, usa a matrícula mais recente)
+ * @returns {Promise<IDegreeAudit>} Integralização na matriz curricular do aluno
+ * @throws {Error} Quando o aluno não tem matrícula no curso
+ */
+export async function getStudentAudit(
+  studentId: number,
+  courseId?: number | null
+): Promise<IDegreeAudit> {
+  try {
+    const response = await api.get<{ success: boolean; data: IDegreeAudit }>(
+      `/students/${studentId}/degree-audit`,
+      { params: courseId ? { course_id: courseId } : undefined }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[DegreeAuditService] Erro ao consultar integralização:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Arquivo: frontend/src/services/disciplineRequisite.service.ts
+ * Descrição: Serviço dos pré-requisitos e co-requisitos entre disciplinas
+ * Feature: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar, cadastrar e remover requisitos da grade de um curso (admin)
+ * - Consultar os requisitos cumpridos e faltantes de um aluno em um curso
+ */
+
+import api from './api';
+import type {
+  ICreateDisciplineRequisiteRequest,
+  IDisciplineRequisite,
+  IStudentRequisiteReport,
+} from '@/types/disciplineRequisite.types';
+
+/**
+ * Lista os requisitos da grade do curso
+ *
+ * @param {number} courseId - ID do curso
+ * @returns {Promise<IDisciplineRequisite[]>} Requisitos ordenados por disciplina
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getByCourse(courseId: number): Promise<IDisciplineRequisite[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: IDisciplineRequisite[] }>(
+      `/courses/${courseId}/requisites`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[DisciplineRequisiteService] Erro ao listar requisitos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cadastra um requisito entre duas disciplinas da grade
+ *
+ * @param {number} courseId - ID do curso
+ * @param {ICreateDisciplineRequisiteRequest} data - Disciplina, disciplina exigida e tipo
+ * @returns {Promise<IDisciplineRequisite>} Requisito cadastrado
+ * @throws {Error} Quando o requisito é inválido (semestre, ciclo ou duplicado)
+ */
+export async function create(
+  courseId: number,
+  data: ICreateDisciplineRequisiteRequest
+): Promise<IDisciplineRequisite> {
+  try {
+    const response = await api.post<{ success: boolean; data: IDisciplineRequisite }>(
+      `/courses/${courseId}/requisites`,
+      {
+        discipline_id: data.disciplineId,
+        required_discipline_id: data.requiredDisciplineId,
+        type: data.type,
+      }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[DisciplineRequisiteService] Erro ao cadastrar requisito:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove um requisito da grade
+ *
+ * @param {number} courseId - ID do curso
+ * @param {number} requisiteId - ID do requisito
+ * @returns {Promise<void>}
+ * @throws {Error} Quando o requisito não existe
+ */
+export async function remove(courseId: number, requisiteId: number): Promise<void> {
+  try {
+    await api.delete(`/courses/${courseId}/requisites/${requisiteId}`);
+  } catch (error) {
+    console.error('[DisciplineRequisiteService] Erro ao remover requisito:', error);
+    throw error;
+  }
+}
+
+/**
+ * Situação do aluno em relação aos requisitos da grade do curso
+ *
+ * @param {number} studentId - ID do aluno
+ * @param {number} courseId - ID do curso
+ * @returns {Promise<IStudentRequisiteReport>} Disciplinas concluídas, disponíveis e bloqueadas
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getStudentReport(
+  studentId: number,
+  courseId: number
+): Promise<IStudentRequisiteReport> {
+  try {
+    const response = await api.get<{ success: boolean; data: IStudentRequisiteReport }>(
+      `/students/${studentId}/requisites`,
+      { params: { course_id: courseId } }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[DisciplineRequisiteService] Erro ao consultar requisitos do aluno:', error);
+    throw error;
+  }
+}
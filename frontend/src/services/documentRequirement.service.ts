@@ -0,0 +1,136 @@
+/**
+ * Arquivo: frontend/src/services/documentRequirement.service.ts
+ * Descrição: Serviço dos documentos obrigatórios por curso e por tipo de curso
+ * Feature: feat-134 - Documentos obrigatórios por curso
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Consultar o conjunto de documentos obrigatórios de um curso (admin)
+ * - Cadastrar e remover regras por curso e por tipo de curso (admin)
+ */
+
+import api from './api';
+import type {
+  ICourseDocumentRequirements,
+  IDocumentRequirement,
+} from '@/types/documentRequirement.types';
+
+/**
+ * Documentos obrigatórios dos alunos do curso, com a origem de cada um
+ *
+ * @param {number} courseId - ID do curso
+ * @returns {Promise<ICourseDocumentRequirements>} Curso e documentos obrigatórios
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getByCourse(courseId: number): Promise<ICourseDocumentRequirements> {
+  try {
+    const response = await api.get<{ success: boolean; data: ICourseDocumentRequirements }>(
+      `/courses/${courseId}/document-requirements`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[DocumentRequirementService] Erro ao listar documentos do curso:', error);
+    throw error;
+  }
+}
+
+/**
+ * Torna um tipo de documento obrigatório para o curso
+ *
+ * @param {number} courseId - ID do curso
+ * @param {number} documentTypeId - ID do tipo de documento
+ * @returns {Promise<IDocumentRequirement>} Regra cadastrada
+ * @throws {Error} Quando o documento já é obrigatório ou não se aplica a alunos
+ */
+export async function createForCourse(
+  courseId: number,
+  documentTypeId: number
+): Promise<IDocumentRequirement> {
+  try {
+    const response = await api.post<{ success: boolean; data: IDocumentRequirement }>(
+      `/courses/${courseId}/document-requirements`,
+      { document_type_id: documentTypeId }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[DocumentRequirementService] Erro ao cadastrar documento do curso:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove uma regra do curso
+ *
+ * @param {number} courseId - ID do curso
+ * @param {number} requirementId - ID da regra
+ * @returns {Promise<void>}
+ * @throws {Error} Quando a regra não existe
+ */
+export async function removeFromCourse(courseId: number, requirementId: number): Promise<void> {
+  try {
+    await api.delete(`/courses/${courseId}/document-requirements/${requirementId}`);
+  } catch (error) {
+    console.error('[DocumentRequirementService] Erro ao remover documento do curso:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista as regras por tipo de curso
+ *
+ * @param {string} [courseType] - Filtra por um tipo de curso
+ * @returns {Promise<IDocumentRequirement[]>} Regras ordenadas por tipo de curso
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getByCourseType(courseType?: string): Promise<IDocumentRequirement[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: IDocumentRequirement[] }>(
+      '/document-requirements',
+      { params: courseType ? { course_type: courseType } : undefined }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[DocumentRequirementService] Erro ao listar regras por tipo de curso:', error);
+    throw error;
+  }
+}
+
+/**
+ * Torna um tipo de documento obrigatório para todos os cursos de um tipo
+ *
+ * @param {string} courseType - Tipo de curso (ex: "Técnicos")
+ * @param {number} documentTypeId - ID do tipo de documento
+ * @returns {Promise<IDocumentRequirement>} Regra cadastrada
+ * @throws {Error} Quando o documento já é obrigatório ou não se aplica a alunos
+ */
+export async function createForCourseType(
+  courseType: string,
+  documentTypeId: number
+): Promise<IDocumentRequirement> {
+  try {
+    const response = await api.post<{ success: boolean; data: IDocumentRequirement }>(
+      '/document-requirements',
+      { document_type_id: documentTypeId, course_type: courseType }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[DocumentRequirementService] Erro ao cadastrar regra do tipo de curso:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove uma regra (de curso ou de tipo de curso)
+ *
+ * @param {number} requirementId - ID da regra
+ * @returns {Promise<void>}
+ * @throws {Error} Quando a regra não existe
+ */
+export async function remove(requirementId: number): Promise<void> {
+  try {
+    await api.delete(`/document-requirements/${requirementId}`);
+  } catch (error) {
+    console.error('[DocumentRequirementService] Erro ao remover regra:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Arquivo: frontend/src/services/emailOutbox.service.ts
+ * Descrição: Serviço do histórico de entrega dos emails
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar o histórico de todos os emails ou de um usuário (admin)
+ * - Reenfileirar emails com as tentativas esgotadas (admin)
+ */
+
+import api from './api';
+import type {
+  IEmailOutbox,
+  IEmailOutboxFilters,
+  IEmailOutboxListResponse,
+} from '@/types/emailOutbox.types';
+
+const emailOutboxService = {
+  list: async (filters: IEmailOutboxFilters = {}): Promise<IEmailOutboxListResponse> => {
+    const { userId, ...params } = filters;
+
+    const response = userId
+      ? await api.get(`/users/${userId}/emails`, { params })
+      : await api.get('/emails', { params });
+    return response.data.data;
+  },
+
+  retry: async (id: number): Promise<IEmailOutbox> => {
+    const response = await api.post(`/emails/${id}/retry`);
+    return response.data.data;
+  },
+};
+
+export default emailOutboxService;
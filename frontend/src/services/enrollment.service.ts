@@ -2,6 +2,9 @@
  * Arquivo: frontend/src/services/enrollment.service.ts
  * Descrição: Serviço para gerenciamento de matrículas de alunos em cursos
  * Feature: feat-106 - Gerenciar matrículas de alunos em cursos (Frontend)
+ * Modificado: feat-128 - Trancamento, cancelamento com motivo e reativação da matrícula
+ * Modificado: feat-129 - Avanço de semestre sem os pré-requisitos
+ * Modificado: feat-134 - Ativação sem os documentos obrigatórios do curso
  * Criado em: 2025-11-09
  *
  * Responsabilidades:
@@ -11,12 +14,13 @@
  * - Transformação de dados da API para tipos TypeScript
  */
 
-import api from './api';
+import api, { getApiErrorMessage } from './api';
 import type { ApiResponse } from '@/types/api.types';
 import type {
   IEnrollment,
   IEnrollmentListResponse,
   IEnrollmentFilters,
+  IEnrollmentLockRequest,
 } from '@/types/enrollment.types';
 
 /**
@@ -50,6 +54,13 @@ function transformEnrollmentData(enrollment: any): IEnrollment {
     status: enrollment.status,
     enrollmentDate: enrollment.enrollment_date ?? enrollment.enrollmentDate,
     currentSemester: enrollment.current_semester ?? enrollment.currentSemester,
+    lockStartDate: enrollment.lock_start_date ?? enrollment.lockStartDate,
+    lockExpectedReturnDate:
+      enrollment.lock_expected_return_date ?? enrollment.lockExpectedReturnDate,
+    lockReason: enrollment.lock_reason ?? enrollment.lockReason,
+    cancelledAt: enrollment.cancelled_at ?? enrollment.cancelledAt,
+    cancellationReason: enrollment.cancellation_reason ?? enrollment.cancellationReason,
+    reactivatedAt: enrollment.reactivated_at ?? enrollment.reactivatedAt,
     createdAt: enrollment.created_at ?? enrollment.createdAt,
     updatedAt: enrollment.updated_at ?? enrollment.updatedAt,
     deletedAt: enrollment.deleted_at ?? enrollment.deletedAt,
@@ -357,8 +368,12 @@ async function update(
 /**
  * Atualiza apenas o status de uma matrícula
  *
+ * Ativar exige os documentos obrigatórios do curso aprovados (422 DOCUMENTS_PENDING);
+ * skipDocumentValidation ativa mesmo assim.
+ *
  * @param id - ID da matrícula
  * @param status - Novo status
+ * @param options - { skipDocumentValidation }
  * @returns Matrícula atualizada
  * @throws Error se falhar a atualização
  *
@@ -367,7 +382,8 @@ async function update(
  */
 async function updateStatus(
   id: number,
-  status: 'contract' | 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed'
+  status: 'contract' | 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed',
+  options: { skipDocumentValidation?: boolean } = {}
 ): Promise<IEnrollment> {
   try {
     if (import.meta.env.DEV) {
@@ -376,7 +392,7 @@ async function updateStatus(
 
     const response = await api.put<ApiResponse<IEnrollment>>(
       `/enrollments/${id}/status`,
-      { status }
+      options.skipDocumentValidation ? { status, skip_document_validation: true } : { status }
     );
 
     if (!response.data.success || !response.data.data) {
@@ -408,8 +424,12 @@ async function updateStatus(
 /**
  * Atualiza o semestre atual de uma matrícula
  *
+ * Avançar exige os pré-requisitos das disciplinas do novo semestre (422 PREREQUISITES_NOT_MET);
+ * skipRequisiteValidation avança mesmo assim.
+ *
  * @param id - ID da matrícula
  * @param currentSemester - Novo semestre (0-12)
+ * @param options - { skipRequisiteValidation }
  * @returns Matrícula atualizada
  * @throws Error se falhar a atualização
  *
@@ -418,7 +438,8 @@ async function updateStatus(
  */
 async function updateCurrentSemester(
   id: number,
-  currentSemester: number
+  currentSemester: number,
+  options: { skipRequisiteValidation?: boolean } = {}
 ): Promise<IEnrollment> {
   try {
     if (import.meta.env.DEV) {
@@ -427,7 +448,9 @@ async function updateCurrentSemester(
 
     const response = await api.put<ApiResponse<IEnrollment>>(
       `/enrollments/${id}/semester`,
-      { currentSemester }
+      options.skipRequisiteValidation
+        ? { currentSemester, skip_requisite_validation: true }
+        : { currentSemester }
     );
 
     if (!response.data.success || !response.data.data) {
@@ -456,6 +479,105 @@ async function updateCurrentSemester(
   }
 }
 
+/**
+ * Envia uma transição de ciclo de vida da matrícula (trancar, cancelar, reativar)
+ *
+ * @param id - ID da matrícula
+ * @param action - Ação do endpoint
+ * @param payload - Corpo da requisição (snake_case)
+ * @param fallback - Mensagem quando a API não informa o erro
+ * @returns Matrícula atualizada
+ */
+async function postLifecycleAction(
+  id: number,
+  action: 'lock' | 'cancel' | 'reactivate',
+  payload: Record<string, unknown>,
+  fallback: string
+): Promise<IEnrollment> {
+  try {
+    const response = await api.post<ApiResponse<IEnrollment>>(
+      `/enrollments/${id}/${action}`,
+      payload
+    );
+
+    if (!response.data.success || !response.data.data) {
+      throw new Error(response.data.error?.message || fallback);
+    }
+
+    return transformEnrollmentData(response.data.data);
+  } catch (error) {
+    console.error(`[EnrollmentService] Erro ao executar '${action}':`, error);
+
+    const apiMessage = getApiErrorMessage(error, '');
+    if (apiMessage) {
+      throw new Error(apiMessage);
+    }
+
+    if (error instanceof Error && error.message) {
+      throw error;
+    }
+
+    throw new Error(fallback);
+  }
+}
+
+/**
+ * Tranca uma matrícula ativa ou em rematrícula
+ *
+ * O aluno é removido das turmas do ano letivo e o lançamento de notas fica bloqueado.
+ *
+ * @param id - ID da matrícula
+ * @param data - Início, retorno previsto e motivo
+ * @returns Matrícula trancada
+ *
+ * @example
+ * await enrollmentService.lock(1, { expectedReturnDate: '2027-02-01', reason: 'Intercâmbio' });
+ */
+async function lock(id: number, data: IEnrollmentLockRequest): Promise<IEnrollment> {
+  return postLifecycleAction(
+    id,
+    'lock',
+    {
+      start_date: data.startDate || undefined,
+      expected_return_date: data.expectedReturnDate,
+      reason: data.reason || undefined,
+    },
+    'Falha ao trancar matrícula. Tente novamente.'
+  );
+}
+
+/**
+ * Cancela uma matrícula registrando o motivo
+ *
+ * @param id - ID da matrícula
+ * @param reason - Motivo do cancelamento (opcional)
+ * @returns Matrícula cancelada
+ */
+async function cancel(id: number, reason?: string): Promise<IEnrollment> {
+  return postLifecycleAction(
+    id,
+    'cancel',
+    { reason: reason || undefined },
+    'Falha ao cancelar matrícula. Tente novamente.'
+  );
+}
+
+/**
+ * Reativa uma matrícula trancada
+ *
+ * @param id - ID da matrícula
+ * @param currentSemester - Semestre de retorno (padrão: semestre em que o aluno trancou)
+ * @returns Matrícula ativa
+ */
+async function reactivate(id: number, currentSemester?: number): Promise<IEnrollment> {
+  return postLifecycleAction(
+    id,
+    'reactivate',
+    { current_semester: currentSemester },
+    'Falha ao reativar matrícula. Tente novamente.'
+  );
+}
+
 /**
  * Deleta uma matrícula
  *
@@ -518,6 +640,9 @@ const EnrollmentService = {
   update,
   updateStatus,
   updateCurrentSemester,
+  lock,
+  cancel,
+  reactivate,
   delete: deleteEnrollment,
   getMyPendingEnrollment,
 };
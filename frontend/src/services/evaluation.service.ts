@@ -18,6 +18,9 @@ function mapEvaluationData(data: any): IEvaluation {
     name: data.name,
     date: data.date,
     type: data.type,
+    weight: data.weight !== undefined && data.weight !== null ? Number(data.weight) : 1,
+    isFinalExam: !!(data.is_final_exam ?? data.isFinalExam),
+    isRecovery: !!(data.is_recovery ?? data.isRecovery),
     class: data.class ? {
       id: data.class.id,
       courseId: data.class.course_id || data.class.courseId,
@@ -166,6 +169,10 @@ export async function create(data: ICreateEvaluationData): Promise<IEvaluation>
       throw new Error('Tipo é obrigatório e deve ser "grade" ou "concept"');
     }
 
+    if (data.weight !== undefined && (data.weight <= 0 || data.weight > 100)) {
+      throw new Error('Peso deve ser maior que 0 e no máximo 100');
+    }
+
     if (import.meta.env.DEV) {
       console.log('[EvaluationService] Criando nova avaliação:', {
         classId: data.classId,
@@ -182,6 +189,9 @@ export async function create(data: ICreateEvaluationData): Promise<IEvaluation>
       name: data.name.trim(),
       date: data.date,
       type: data.type,
+      weight: data.weight,
+      is_final_exam: data.isFinalExam,
+      is_recovery: data.isRecovery,
     };
 
     const response = await api.post<ApiResponse<any>>('/evaluations', payload);
@@ -235,6 +245,10 @@ export async function update(id: number, data: IUpdateEvaluationData): Promise<I
       throw new Error('Tipo deve ser "grade" ou "concept"');
     }
 
+    if (data.weight !== undefined && (data.weight <= 0 || data.weight > 100)) {
+      throw new Error('Peso deve ser maior que 0 e no máximo 100');
+    }
+
     if (import.meta.env.DEV) {
       console.log('[EvaluationService] Atualizando avaliação:', id, data);
     }
@@ -247,6 +261,8 @@ export async function update(id: number, data: IUpdateEvaluationData): Promise<I
     if (data.name !== undefined) payload.name = data.name.trim();
     if (data.date !== undefined) payload.date = data.date;
     if (data.type !== undefined) payload.type = data.type;
+    if (data.weight !== undefined) payload.weight = data.weight;
+    if (data.isFinalExam !== undefined) payload.is_final_exam = data.isFinalExam;
 
     const response = await api.put<ApiResponse<any>>(`/evaluations/${id}`, payload);
 
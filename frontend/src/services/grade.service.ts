@@ -9,6 +9,8 @@
  * - Buscar notas de uma avaliação específica (getGradesByEvaluation - professor)
  * - Criar nova nota
  * - Atualizar nota existente
+ * - Buscar média final e situação calculadas pelo backend (getMyResults, getStudentResults, getClassResults)
+ * - Buscar alunos em recuperação de uma turma/disciplina (getClassRecovery)
  */
 
 import api from './api';
@@ -16,6 +18,9 @@ import type {
   IGrade,
   IGradeWithEvaluation,
   GradeConcept,
+  IStudentDisciplineResult,
+  IClassDisciplineResults,
+  IClassRecovery,
 } from '@/types/grade.types';
 import type { ApiResponse } from '@/types/api.types';
 
@@ -417,6 +422,118 @@ export async function deleteGrade(id: number): Promise<void> {
   }
 }
 
+/**
+ * Busca a média final e a situação do aluno autenticado em cada disciplina
+ *
+ * A média e a situação (aprovado/recuperação/reprovado) são calculadas pelo backend
+ * com base na média de aprovação configurada e na frequência do aluno.
+ *
+ * @param {number} classId - Restringe a uma turma (opcional)
+ * @returns {Promise<IStudentDisciplineResult[]>} Resultado por disciplina
+ */
+export async function getMyResults(classId?: number): Promise<IStudentDisciplineResult[]> {
+  try {
+    const response = await api.get<ApiResponse<IStudentDisciplineResult[]>>('/grades/my-results', {
+      params: classId ? { class_id: classId } : undefined,
+    });
+
+    if (!response.data.success || !response.data.data) {
+      throw new Error(response.data.error?.message || 'Erro ao buscar resultados');
+    }
+
+    return response.data.data;
+  } catch (error) {
+    console.error('[GradeService] Erro ao buscar resultados do aluno:', error);
+    if (error instanceof Error) throw error;
+    throw new Error('Falha ao buscar seus resultados. Tente novamente.');
+  }
+}
+
+/**
+ * Busca a média final e a situação de um aluno em cada disciplina (Admin)
+ *
+ * @param {number} studentId - ID do aluno
+ * @returns {Promise<IStudentDisciplineResult[]>} Resultado por disciplina
+ */
+export async function getStudentResults(studentId: number): Promise<IStudentDisciplineResult[]> {
+  try {
+    const response = await api.get<ApiResponse<IStudentDisciplineResult[]>>(
+      `/grades/student/${studentId}/results`
+    );
+
+    if (!response.data.success || !response.data.data) {
+      throw new Error(response.data.error?.message || 'Erro ao buscar resultados do aluno');
+    }
+
+    return response.data.data;
+  } catch (error) {
+    console.error(`[GradeService] Erro ao buscar resultados do aluno ${studentId}:`, error);
+    if (error instanceof Error) throw error;
+    throw new Error('Falha ao buscar resultados do aluno.');
+  }
+}
+
+/**
+ * Busca a média final e a situação de todos os alunos de uma turma em uma disciplina
+ *
+ * Disponível para admin e para o professor que leciona a disciplina na turma.
+ *
+ * @param {number} classId - ID da turma
+ * @param {number} disciplineId - ID da disciplina
+ * @returns {Promise<IClassDisciplineResults>} Resultados da turma
+ */
+export async function getClassResults(
+  classId: number,
+  disciplineId: number
+): Promise<IClassDisciplineResults> {
+  try {
+    const response = await api.get<ApiResponse<IClassDisciplineResults>>(
+      `/grades/class/${classId}/discipline/${disciplineId}/results`
+    );
+
+    if (!response.data.success || !response.data.data) {
+      throw new Error(response.data.error?.message || 'Erro ao buscar resultados da turma');
+    }
+
+    return response.data.data;
+  } catch (error) {
+    console.error('[GradeService] Erro ao buscar resultados da turma:', error);
+    if (error instanceof Error) throw error;
+    throw new Error('Falha ao buscar resultados da turma.');
+  }
+}
+
+/**
+ * Busca os alunos em recuperação de uma turma em uma disciplina
+ *
+ * Retorna também a avaliação de recuperação (se já criada) e a regra de recuperação do curso.
+ * Disponível para admin e para o professor que leciona a disciplina na turma.
+ *
+ * @param {number} classId - ID da turma
+ * @param {number} disciplineId - ID da disciplina
+ * @returns {Promise<IClassRecovery>} Alunos em recuperação
+ */
+export async function getClassRecovery(
+  classId: number,
+  disciplineId: number
+): Promise<IClassRecovery> {
+  try {
+    const response = await api.get<ApiResponse<IClassRecovery>>(
+      `/grades/class/${classId}/discipline/${disciplineId}/recovery`
+    );
+
+    if (!response.data.success || !response.data.data) {
+      throw new Error(response.data.error?.message || 'Erro ao buscar alunos em recuperação');
+    }
+
+    return response.data.data;
+  } catch (error) {
+    console.error('[GradeService] Erro ao buscar alunos em recuperação:', error);
+    if (error instanceof Error) throw error;
+    throw new Error('Falha ao buscar alunos em recuperação.');
+  }
+}
+
 /**
  * Exporta todas as funções do serviço como objeto
  *
@@ -437,6 +554,10 @@ const GradeService = {
   createGrade,
   updateGrade,
   deleteGrade,
+  getMyResults,
+  getStudentResults,
+  getClassResults,
+  getClassRecovery,
 };
 
 export default GradeService;
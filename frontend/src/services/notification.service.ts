@@ -0,0 +1,38 @@
+/**
+ * Arquivo: frontend/src/services/notification.service.ts
+ * Descrição: Serviço das preferências de notificação por email
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar as preferências do usuário logado (aluno ou professor)
+ * - Ativar/desativar o email de cada evento
+ */
+
+import api from './api';
+import type {
+  INotificationPreference,
+  INotificationPreferenceUpdate,
+} from '@/types/notification.types';
+
+const notificationService = {
+  getPreferences: async (): Promise<INotificationPreference[]> => {
+    const response = await api.get('/notifications/preferences');
+    return response.data.data;
+  },
+
+  updatePreferences: async (
+    preferences: INotificationPreferenceUpdate[]
+  ): Promise<INotificationPreference[]> => {
+    // O interceptor converte apenas as respostas; o corpo segue em snake_case
+    const response = await api.put('/notifications/preferences', {
+      preferences: preferences.map(({ event, emailEnabled }) => ({
+        event,
+        email_enabled: emailEnabled,
+      })),
+    });
+    return response.data.data;
+  },
+};
+
+export default notificationService;
@@ -3,6 +3,7 @@
  * Descrição: Serviço para rematrícula global de estudantes
  * Feature: feat-reenrollment-etapa-5 - Frontend Interface de Rematrícula Global
  * Criado em: 2025-12-15
+ * Modificado: feat-122 - Aceite envia a versão do template exibida no preview
  *
  * Responsabilidades:
  * - Comunicação com API de rematrícula global
@@ -244,7 +245,11 @@ async function getContractPreview(
  * - Usa transação no backend para garantir atomicidade
  * - Apenas estudante dono do enrollment pode aceitar
  *
+ * - Envia a versão do template exibida no preview; se outra versão tiver sido
+ *   ativada nesse meio tempo, a API recusa o aceite (CONTRACT_TEMPLATE_CHANGED)
+ *
  * @param enrollmentId - ID do enrollment a ser aceito
+ * @param templateId - ID da versão do template exibida ao estudante (opcional)
  * @returns Dados do enrollment atualizado e contrato criado
  * @throws Error quando enrollment não encontrado, não é dono, não está pending, ou erro na API
  *
@@ -253,7 +258,8 @@ async function getContractPreview(
  * console.log(`Matrícula aceita: ${result.enrollment.status}`); // 'active'
  */
 async function acceptReenrollment(
-  enrollmentId: number
+  enrollmentId: number,
+  templateId?: number
 ): Promise<IAcceptReenrollmentResponse> {
   try {
     if (import.meta.env.DEV) {
@@ -269,7 +275,7 @@ async function acceptReenrollment(
 
     const response = await api.post<
       ApiResponse<IAcceptReenrollmentResponse>
-    >(`/reenrollments/accept/${enrollmentId}`);
+    >(`/reenrollments/accept/${enrollmentId}`, { template_id: templateId });
 
     if (!response.data.success || !response.data.data) {
       throw new Error(
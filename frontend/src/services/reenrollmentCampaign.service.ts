@@ -0,0 +1,200 @@
+/**
+ * Arquivo: frontend/src/services/reenrollmentCampaign.service.ts
+ * Descrição: Serviço das campanhas de rematrícula em lote (admin)
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar campanhas com o andamento dos aceites
+ * - Criar, editar e excluir campanhas
+ * - Iniciar a campanha (colocar as matrículas elegíveis em rematrícula)
+ * - Enviar lembretes e encerrar a campanha
+ *
+ * O aceite do aluno continua em reenrollment.service.ts.
+ */
+
+import api from './api';
+import type {
+  IReenrollmentCampaign,
+  IReenrollmentCampaignDetail,
+  IReenrollmentReminderSummary,
+  ICreateReenrollmentCampaignRequest,
+  IUpdateReenrollmentCampaignRequest,
+} from '@/types/reenrollmentCampaign.types';
+
+/**
+ * Converte os dados do formulário para o formato da API (snake_case)
+ */
+function toPayload(data: ICreateReenrollmentCampaignRequest | IUpdateReenrollmentCampaignRequest) {
+  return {
+    name: data.name,
+    year: data.year,
+    semester: data.semester,
+    course_id: data.courseId,
+    target_semester: data.targetSemester,
+    deadline: data.deadline,
+  };
+}
+
+/**
+ * Lista as campanhas de rematrícula
+ *
+ * @returns {Promise<IReenrollmentCampaign[]>} Campanhas com o andamento dos aceites
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getAll(): Promise<IReenrollmentCampaign[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: IReenrollmentCampaign[] }>(
+      '/reenrollment-campaigns'
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ReenrollmentCampaignService] Erro ao listar campanhas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca o painel da campanha (situação de cada matrícula)
+ *
+ * @param {number} id - ID da campanha
+ * @returns {Promise<IReenrollmentCampaignDetail>} Campanha com as matrículas
+ * @throws {Error} Quando a campanha não existe
+ */
+export async function getById(id: number): Promise<IReenrollmentCampaignDetail> {
+  try {
+    const response = await api.get<{ success: boolean; data: IReenrollmentCampaignDetail }>(
+      `/reenrollment-campaigns/${id}`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ReenrollmentCampaignService] Erro ao buscar campanha ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Cria uma campanha em rascunho
+ *
+ * @param {ICreateReenrollmentCampaignRequest} data - Dados da campanha
+ * @returns {Promise<IReenrollmentCampaignDetail>} Campanha criada
+ * @throws {Error} Quando os dados são inválidos
+ *
+ * @example
+ * await create({ name: 'Rematrícula 2027/1', courseId: 1, targetSemester: null, deadline: '2027-01-31' });
+ */
+export async function create(
+  data: ICreateReenrollmentCampaignRequest
+): Promise<IReenrollmentCampaignDetail> {
+  try {
+    const response = await api.post<{ success: boolean; data: IReenrollmentCampaignDetail }>(
+      '/reenrollment-campaigns',
+      toPayload(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[ReenrollmentCampaignService] Erro ao criar campanha:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza uma campanha (em andamento, apenas nome e prazo são alterados)
+ *
+ * @param {number} id - ID da campanha
+ * @param {IUpdateReenrollmentCampaignRequest} data - Campos alterados
+ * @returns {Promise<IReenrollmentCampaignDetail>} Campanha atualizada
+ * @throws {Error} Quando a campanha está encerrada ou os dados são inválidos
+ */
+export async function update(
+  id: number,
+  data: IUpdateReenrollmentCampaignRequest
+): Promise<IReenrollmentCampaignDetail> {
+  try {
+    const response = await api.put<{ success: boolean; data: IReenrollmentCampaignDetail }>(
+      `/reenrollment-campaigns/${id}`,
+      toPayload(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ReenrollmentCampaignService] Erro ao atualizar campanha ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Exclui uma campanha em rascunho
+ *
+ * @param {number} id - ID da campanha
+ * @returns {Promise<void>}
+ * @throws {Error} Quando a campanha já foi iniciada
+ */
+export async function remove(id: number): Promise<void> {
+  try {
+    await api.delete(`/reenrollment-campaigns/${id}`);
+  } catch (error) {
+    console.error(`[ReenrollmentCampaignService] Erro ao excluir campanha ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Inicia a campanha: coloca em rematrícula as matrículas elegíveis
+ * (alunos com disciplinas reprovadas ou documentos pendentes são ignorados)
+ *
+ * @param {number} id - ID da campanha
+ * @returns {Promise<IReenrollmentCampaignDetail>} Campanha iniciada
+ * @throws {Error} Quando a campanha não está em rascunho ou não há matrículas no público
+ */
+export async function launch(id: number): Promise<IReenrollmentCampaignDetail> {
+  try {
+    const response = await api.post<{ success: boolean; data: IReenrollmentCampaignDetail }>(
+      `/reenrollment-campaigns/${id}/launch`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ReenrollmentCampaignService] Erro ao iniciar campanha ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Envia lembrete por email aos alunos que ainda não aceitaram
+ *
+ * @param {number} id - ID da campanha
+ * @returns {Promise<IReenrollmentReminderSummary>} Resultado dos envios
+ * @throws {Error} Quando a campanha não está em andamento
+ */
+export async function sendReminders(id: number): Promise<IReenrollmentReminderSummary> {
+  try {
+    const response = await api.post<{ success: boolean; data: IReenrollmentReminderSummary }>(
+      `/reenrollment-campaigns/${id}/remind`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(
+      `[ReenrollmentCampaignService] Erro ao enviar lembretes da campanha ${id}:`,
+      error
+    );
+    throw error;
+  }
+}
+
+/**
+ * Encerra a campanha e marca para acompanhamento quem não respondeu
+ *
+ * @param {number} id - ID da campanha
+ * @returns {Promise<IReenrollmentCampaignDetail>} Campanha encerrada
+ * @throws {Error} Quando a campanha não está em andamento
+ */
+export async function close(id: number): Promise<IReenrollmentCampaignDetail> {
+  try {
+    const response = await api.post<{ success: boolean; data: IReenrollmentCampaignDetail }>(
+      `/reenrollment-campaigns/${id}/close`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[ReenrollmentCampaignService] Erro ao encerrar campanha ${id}:`, error);
+    throw error;
+  }
+}
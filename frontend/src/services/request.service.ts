@@ -2,6 +2,10 @@
  * Arquivo: frontend/src/services/request.service.ts
  * Descrição: Serviço para gerenciamento de solicitações (API)
  * Feature: feat-088 - Criar request.service.ts e página Requests Admin
+ * Modificado: feat-120 - Fluxo de atendimento (análise, pedido de informações, conversa e anexos)
+ * Modificado: feat-121 - Documento gerado identificado pelo gerador do tipo de solicitação
+ * Modificado: feat-127 - Turma de destino na aprovação da transferência de turma
+ * Modificado: feat-128 - Datas do trancamento na aprovação
  * Criado em: 2025-11-04
  *
  * Responsabilidades:
@@ -12,19 +16,25 @@
  * - Obter estatísticas de solicitações
  * - Criar nova solicitação (para alunos)
  * - Listar tipos de solicitação disponíveis
+ * - Colocar em análise e pedir informações ao aluno (admin)
+ * - Linha do tempo, comentários e anexos da solicitação (admin e aluno)
  */
 
 import api from './api';
-import type {
-  IRequest,
-  IRequestListResponse,
-  IRequestResponse,
-  IRequestFilters,
-  IApproveRequestRequest,
-  IRejectRequestRequest,
-  IRequestStats,
-  ICreateRequestRequest,
-  IRequestType,
+import {
+  GENERATED_DOCUMENT_LABELS,
+  type IRequest,
+  type IRequestListResponse,
+  type IRequestResponse,
+  type IRequestFilters,
+  type IApproveRequestRequest,
+  type IRejectRequestRequest,
+  type IRequestStats,
+  type ICreateRequestRequest,
+  type IRequestType,
+  type IRequestTimeline,
+  type IRequestComment,
+  type IRequestAttachment,
 } from '@/types/request.types';
 
 /**
@@ -82,7 +92,8 @@ export async function getById(id: number): Promise<IRequest> {
  * Aprova uma solicitação
  *
  * @param {number} id - ID da solicitação a ser aprovada
- * @param {IApproveRequestRequest} data - Dados de aprovação (observações opcionais)
+ * @param {IApproveRequestRequest} data - Dados de aprovação (observações opcionais; turma de
+ *   destino obrigatória na transferência de turma)
  * @returns {Promise<IRequest>} Solicitação atualizada
  * @throws {Error} Quando ocorre erro na aprovação
  *
@@ -93,6 +104,10 @@ export async function getById(id: number): Promise<IRequest> {
  * @example
  * // Aprovar solicitação com observações
  * await approve(123, { observations: 'Documento será enviado por email' });
+ *
+ * @example
+ * // Aprovar transferência de turma (o aluno é transferido na aprovação)
+ * await approve(124, { targetClassId: 12, gradeMode: 'map' });
  */
 export async function approve(
   id: number,
@@ -101,7 +116,14 @@ export async function approve(
   try {
     const response = await api.put<IRequestResponse>(
       `/requests/${id}/approve`,
-      data
+      data && {
+        observations: data.observations,
+        target_class_id: data.targetClassId,
+        source_class_id: data.sourceClassId,
+        grade_mode: data.gradeMode,
+        lock_start_date: data.lockStartDate,
+        expected_return_date: data.expectedReturnDate,
+      }
     );
 
     return response.data.data;
@@ -227,7 +249,8 @@ export async function create(data: ICreateRequestRequest): Promise<IRequest> {
 }
 
 /**
- * Lista todos os tipos de solicitação disponíveis
+ * Lista os tipos de solicitação ativos que o usuário pode abrir, na ordem definida
+ * pela secretaria (a gestão dos tipos fica em requestType.service.ts)
  *
  * @returns {Promise<IRequestType[]>} Lista de tipos de solicitação
  * @throws {Error} Quando ocorre erro ao buscar tipos
@@ -285,44 +308,210 @@ export async function downloadAtestado(id: number): Promise<void> {
 }
 
 /**
- * Verifica a autenticidade de um atestado pelo hash (chamada pública, sem token).
+ * Retorna o nome do documento gerado ao aprovar a solicitação (ex: "Histórico Escolar").
+ *
+ * @param {IRequest} request - Solicitação
+ * @returns {string} Nome do documento ou "Documento" se o tipo não for conhecido
+ */
+export function getGeneratedDocumentLabel(request: IRequest): string {
+  return GENERATED_DOCUMENT_LABELS[request.requestType?.documentGenerator ?? ''] ?? 'Documento';
+}
+
+/**
+ * Realiza o download do PDF gerado ao aprovar uma solicitação (atestado, histórico,
+ * declaração de frequência, certificado de conclusão).
+ *
+ * @param {IRequest} request - Solicitação aprovada com PDF gerado
+ * @returns {Promise<void>}
+ * @throws {Error} Quando ocorre erro ao baixar o arquivo
+ *
+ * @example
+ * await downloadRequestDocument(request);
+ */
+export async function downloadRequestDocument(request: IRequest): Promise<void> {
+  try {
+    const response = await api.get(`/requests/${request.id}/download-document`, {
+      responseType: 'blob',
+    });
+
+    // Ex: "Declaração de Frequência" -> "declaracao_de_frequencia_12.pdf"
+    const baseName = getGeneratedDocumentLabel(request)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, '_');
+
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `${baseName}_${request.id}.pdf`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error(`[RequestService] Erro ao baixar documento ${request.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Coloca uma solicitação pendente em análise (admin)
  *
- * @param {string} hash - Hash de 16 caracteres hexadecimais
- * @returns {Promise<IAtestadoVerificationResult>} Resultado da verificação
- * @throws {Error} Quando ocorre erro na verificação
+ * @param {number} id - ID da solicitação
+ * @returns {Promise<IRequest>} Solicitação atualizada
+ * @throws {Error} Quando a solicitação não está pendente ou ocorre erro
  */
-export async function verifyAtestado(hash: string): Promise<IAtestadoVerificationResult> {
+export async function startAnalysis(id: number): Promise<IRequest> {
   try {
-    const response = await api.get<IAtestadoVerificationResult>(
-      `/public/verify-atestado/${hash}`,
-      { headers: { Authorization: undefined } }
+    const response = await api.put<IRequestResponse>(`/requests/${id}/analyze`);
+
+    return response.data.data;
+  } catch (error) {
+    console.error(`[RequestService] Erro ao colocar solicitação ${id} em análise:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Pede informações ou documentos ao aluno (admin). A mensagem é registrada na
+ * conversa e a solicitação passa a aguardar o aluno.
+ *
+ * @param {number} id - ID da solicitação
+ * @param {string} message - O que o aluno precisa enviar ou esclarecer
+ * @returns {Promise<IRequest>} Solicitação atualizada
+ * @throws {Error} Quando a solicitação já foi concluída ou ocorre erro
+ *
+ * @example
+ * await requestStudentInfo(123, 'Envie o comprovante de residência atualizado.');
+ */
+export async function requestStudentInfo(id: number, message: string): Promise<IRequest> {
+  try {
+    const response = await api.put<IRequestResponse>(`/requests/${id}/request-info`, {
+      message,
+    });
+
+    return response.data.data;
+  } catch (error) {
+    console.error(`[RequestService] Erro ao pedir informações na solicitação ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Obtém a linha do tempo da solicitação (mudanças de status, comentários e anexos)
+ *
+ * @param {number} id - ID da solicitação
+ * @returns {Promise<IRequestTimeline>} Eventos em ordem cronológica
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getTimeline(id: number): Promise<IRequestTimeline> {
+  try {
+    const response = await api.get<{ success: boolean; data: IRequestTimeline }>(
+      `/requests/${id}/timeline`
     );
-    return response.data;
+
+    return response.data.data;
   } catch (error) {
-    console.error(`[RequestService] Erro ao verificar atestado hash ${hash}:`, error);
+    console.error(`[RequestService] Erro ao buscar linha do tempo da solicitação ${id}:`, error);
     throw error;
   }
 }
 
 /**
- * Resultado da verificação pública de um atestado
+ * Adiciona um comentário à conversa da solicitação
+ *
+ * Quando o aluno responde a uma solicitação que aguardava suas informações,
+ * ela volta automaticamente para análise.
+ *
+ * @param {number} id - ID da solicitação
+ * @param {string} message - Texto do comentário
+ * @returns {Promise<IRequestComment>} Comentário criado
+ * @throws {Error} Quando a solicitação já foi concluída ou ocorre erro
  */
-export interface IAtestadoVerificationResult {
-  success: boolean;
-  valid: boolean;
-  message?: string;
-  data?: {
-    studentName: string;
-    studentMatricula: number | null;
-    courseName: string;
-    issuedAt: string;
-    signatureHash: string;
-    requestId: number;
-  };
-  error?: {
-    code: string;
-    message: string;
-  };
+export async function addComment(id: number, message: string): Promise<IRequestComment> {
+  try {
+    const response = await api.post<{ success: boolean; data: IRequestComment }>(
+      `/requests/${id}/comments`,
+      { message }
+    );
+
+    return response.data.data;
+  } catch (error) {
+    console.error(`[RequestService] Erro ao comentar na solicitação ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Anexa um arquivo (PDF, JPG ou PNG) à solicitação, com mensagem opcional
+ *
+ * @param {number} id - ID da solicitação
+ * @param {File} file - Arquivo a enviar
+ * @param {string} [message] - Comentário enviado junto com o arquivo
+ * @returns {Promise<IRequestAttachment>} Anexo criado
+ * @throws {Error} Quando o arquivo é inválido, a solicitação já foi concluída ou ocorre erro
+ */
+export async function uploadAttachment(
+  id: number,
+  file: File,
+  message?: string
+): Promise<IRequestAttachment> {
+  try {
+    const formData = new FormData();
+    formData.append('document', file);
+    if (message) {
+      formData.append('message', message);
+    }
+
+    const response = await api.post<{ success: boolean; data: IRequestAttachment }>(
+      `/requests/${id}/attachments`,
+      formData,
+      {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      }
+    );
+
+    return response.data.data;
+  } catch (error) {
+    console.error(`[RequestService] Erro ao anexar arquivo na solicitação ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Realiza o download de um anexo da solicitação
+ *
+ * @param {number} id - ID da solicitação
+ * @param {IRequestAttachment} attachment - Anexo a baixar
+ * @returns {Promise<void>}
+ * @throws {Error} Quando ocorre erro ao baixar o arquivo
+ */
+export async function downloadAttachment(
+  id: number,
+  attachment: IRequestAttachment
+): Promise<void> {
+  try {
+    const response = await api.get(`/requests/${id}/attachments/${attachment.id}/download`, {
+      responseType: 'blob',
+    });
+
+    const url = window.URL.createObjectURL(
+      new Blob([response.data], { type: attachment.mimeType })
+    );
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', attachment.fileName);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error(`[RequestService] Erro ao baixar anexo ${attachment.id}:`, error);
+    throw error;
+  }
 }
 
 /**
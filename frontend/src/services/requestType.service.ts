@@ -0,0 +1,151 @@
+/**
+ * Arquivo: frontend/src/services/requestType.service.ts
+ * Descrição: Serviço da gestão dos tipos de solicitação (admin)
+ * Feature: feat-121 - Gestão dos tipos de solicitação
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Listar todos os tipos (ativos e inativos) na ordem de exibição
+ * - Criar, editar, ativar/desativar e excluir tipos
+ * - Reordenar os tipos
+ * - Listar os geradores de documento disponíveis
+ *
+ * Os tipos que o aluno pode abrir continuam em request.service.ts (getRequestTypes).
+ */
+
+import api from './api';
+import type {
+  IRequestType,
+  IDocumentGeneratorOption,
+  ICreateRequestTypeRequest,
+  IUpdateRequestTypeRequest,
+} from '@/types/request.types';
+
+/**
+ * Converte os dados do formulário para o formato da API (snake_case)
+ */
+function toPayload(data: ICreateRequestTypeRequest | IUpdateRequestTypeRequest) {
+  return {
+    name: data.name,
+    description: data.description,
+    response_deadline_days: data.expectedDays,
+    is_active: data.isActive,
+    allowed_roles: data.allowedRoles,
+    required_attachments: data.requiredAttachments,
+    document_generator: data.documentGenerator,
+  };
+}
+
+/**
+ * Lista todos os tipos de solicitação, inclusive os inativos
+ *
+ * @returns {Promise<IRequestType[]>} Tipos na ordem de exibição
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getAll(): Promise<IRequestType[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: IRequestType[] }>('/request-types');
+    return response.data.data;
+  } catch (error) {
+    console.error('[RequestTypeService] Erro ao listar tipos de solicitação:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista os geradores de documento que podem ser associados a um tipo
+ *
+ * @returns {Promise<IDocumentGeneratorOption[]>} Geradores disponíveis
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getGenerators(): Promise<IDocumentGeneratorOption[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: IDocumentGeneratorOption[] }>(
+      '/request-types/generators'
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[RequestTypeService] Erro ao listar geradores de documento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria um tipo de solicitação (adicionado ao final da lista)
+ *
+ * @param {ICreateRequestTypeRequest} data - Dados do tipo
+ * @returns {Promise<IRequestType>} Tipo criado
+ * @throws {Error} Quando o nome já existe ou os dados são inválidos
+ *
+ * @example
+ * await create({ name: 'Segunda Chamada', description: '...', expectedDays: 5 });
+ */
+export async function create(data: ICreateRequestTypeRequest): Promise<IRequestType> {
+  try {
+    const response = await api.post<{ success: boolean; data: IRequestType }>(
+      '/request-types',
+      toPayload(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[RequestTypeService] Erro ao criar tipo de solicitação:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza um tipo de solicitação (isActive: false desativa o tipo)
+ *
+ * @param {number} id - ID do tipo
+ * @param {IUpdateRequestTypeRequest} data - Campos alterados
+ * @returns {Promise<IRequestType>} Tipo atualizado
+ * @throws {Error} Quando o tipo não existe ou os dados são inválidos
+ */
+export async function update(id: number, data: IUpdateRequestTypeRequest): Promise<IRequestType> {
+  try {
+    const response = await api.put<{ success: boolean; data: IRequestType }>(
+      `/request-types/${id}`,
+      toPayload(data)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[RequestTypeService] Erro ao atualizar tipo de solicitação ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Define a ordem de exibição dos tipos
+ *
+ * @param {number[]} ids - IDs de todos os tipos na nova ordem
+ * @returns {Promise<IRequestType[]>} Tipos na nova ordem
+ * @throws {Error} Quando a lista não contém todos os tipos
+ */
+export async function reorder(ids: number[]): Promise<IRequestType[]> {
+  try {
+    const response = await api.put<{ success: boolean; data: IRequestType[] }>(
+      '/request-types/reorder',
+      { ids }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[RequestTypeService] Erro ao reordenar tipos de solicitação:', error);
+    throw error;
+  }
+}
+
+/**
+ * Exclui um tipo de solicitação sem solicitações registradas
+ *
+ * @param {number} id - ID do tipo
+ * @returns {Promise<void>}
+ * @throws {Error} Quando o tipo possui solicitações (deve ser desativado)
+ */
+export async function remove(id: number): Promise<void> {
+  try {
+    await api.delete(`/request-types/${id}`);
+  } catch (error) {
+    console.error(`[RequestTypeService] Erro ao excluir tipo de solicitação ${id}:`, error);
+    throw error;
+  }
+}
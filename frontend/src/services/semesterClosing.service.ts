@@ -0,0 +1,106 @@
+/**
+ * Arquivo: frontend/src/services/semesterClosing.service.ts
+ * Descrição: Serviço do fechamento de semestre (admin)
+ * Feature: feat-126 - Progressão semestral automática das matrículas
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Pré-visualizar o fechamento (dry-run)
+ * - Executar o fechamento do semestre
+ * - Listar os fechamentos executados e buscar o relatório de cada um
+ */
+
+import api from './api';
+import type {
+  ISemesterClosing,
+  ISemesterClosingParams,
+  ISemesterClosingPreview,
+} from '@/types/semesterClosing.types';
+
+/**
+ * Converte os parâmetros para o formato da API (snake_case)
+ */
+function toPayload(params: ISemesterClosingParams) {
+  return {
+    year: params.year,
+    semester: params.semester,
+    course_id: params.courseId,
+  };
+}
+
+/**
+ * Lista os fechamentos executados
+ *
+ * @returns {Promise<ISemesterClosing[]>} Fechamentos (sem o relatório), mais recentes primeiro
+ * @throws {Error} Quando ocorre erro na requisição
+ */
+export async function getAll(): Promise<ISemesterClosing[]> {
+  try {
+    const response = await api.get<{ success: boolean; data: ISemesterClosing[] }>(
+      '/semester-closings'
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[SemesterClosingService] Erro ao listar fechamentos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca o relatório de um fechamento executado
+ *
+ * @param {number} id - ID do fechamento
+ * @returns {Promise<ISemesterClosing>} Fechamento com o relatório
+ * @throws {Error} Quando o fechamento não existe
+ */
+export async function getById(id: number): Promise<ISemesterClosing> {
+  try {
+    const response = await api.get<{ success: boolean; data: ISemesterClosing }>(
+      `/semester-closings/${id}`
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(`[SemesterClosingService] Erro ao buscar fechamento ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Pré-visualiza o fechamento sem alterar as matrículas
+ *
+ * @param {ISemesterClosingParams} params - Período e curso
+ * @returns {Promise<ISemesterClosingPreview>} O que mudaria em cada matrícula
+ * @throws {Error} Quando os parâmetros são inválidos
+ */
+export async function preview(params: ISemesterClosingParams): Promise<ISemesterClosingPreview> {
+  try {
+    const response = await api.post<{ success: boolean; data: ISemesterClosingPreview }>(
+      '/semester-closings/preview',
+      toPayload(params)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[SemesterClosingService] Erro ao pré-visualizar fechamento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Executa o fechamento do semestre
+ *
+ * @param {ISemesterClosingParams} params - Período e curso
+ * @returns {Promise<ISemesterClosing>} Fechamento registrado com o relatório
+ * @throws {Error} Quando o período já foi fechado
+ */
+export async function execute(params: ISemesterClosingParams): Promise<ISemesterClosing> {
+  try {
+    const response = await api.post<{ success: boolean; data: ISemesterClosing }>(
+      '/semester-closings',
+      toPayload(params)
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('[SemesterClosingService] Erro ao fechar semestre:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Arquivo: frontend/src/services/signedDocument.service.ts
+ * Descrição: Serviço do registro de documentos assinados e da verificação pública
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ *
+ * Responsabilidades:
+ * - Verificar a autenticidade de um documento pelo hash (chamada pública, sem token)
+ * - Listar o registro de documentos assinados (admin)
+ * - Revogar documentos (admin)
+ */
+
+import api from './api';
+import type {
+  ISignedDocument,
+  ISignedDocumentFilters,
+  ISignedDocumentListResponse,
+  IDocumentVerificationResult,
+} from '@/types/signedDocument.types';
+
+const signedDocumentService = {
+  /**
+   * Verifica a autenticidade de qualquer documento assinado pelo hash
+   */
+  verify: async (hash: string): Promise<IDocumentVerificationResult> => {
+    const response = await api.get<IDocumentVerificationResult>(`/public/verify/${hash}`, {
+      headers: { Authorization: undefined },
+    });
+    return response.data;
+  },
+
+  list: async (filters: ISignedDocumentFilters = {}): Promise<ISignedDocumentListResponse> => {
+    const response = await api.get('/signed-documents', { params: filters });
+    return response.data.data;
+  },
+
+  revoke: async (id: number, reason: string): Promise<ISignedDocument> => {
+    const response = await api.patch(`/signed-documents/${id}/revoke`, { reason });
+    return response.data.data;
+  },
+};
+
+export default signedDocumentService;
@@ -0,0 +1,151 @@
+/**
+ * Arquivo: frontend/src/types/attendance.types.ts
+ * Descrição: Tipos TypeScript para controle de frequência (aulas e chamadas)
+ * Feature: feat-112 - Controle de Frequência
+ * Criado em: 2026-10-19
+ *
+ * NOTA: As respostas da API são convertidas para camelCase pelo interceptor Axios,
+ * por isso os campos abaixo estão em camelCase. Os DTOs enviados usam snake_case.
+ */
+
+/**
+ * Situação do aluno em uma aula
+ * - present: presente
+ * - absent: falta
+ * - justified: falta justificada (abonada, não conta no limite)
+ */
+export type AttendanceStatus = 'present' | 'absent' | 'justified';
+
+/**
+ * Situação da frequência do aluno na disciplina
+ * - regular: dentro do limite
+ * - at_risk: próximo do limite máximo de faltas
+ * - exceeded: acima do limite máximo de faltas
+ */
+export type FrequencyStatus = 'regular' | 'at_risk' | 'exceeded';
+
+/**
+ * Horário da grade usado para registrar aulas
+ */
+export interface ISessionSchedule {
+  id: number;
+  classId: number;
+  disciplineId: number;
+  dayOfWeek: number;
+  startTime: string;
+  endTime: string;
+  discipline?: { id: number; name: string; code?: string };
+}
+
+/**
+ * Aula registrada (ocorrência de um horário da grade)
+ */
+export interface IClassSession {
+  id: number;
+  classScheduleId: number;
+  classId: number;
+  disciplineId: number;
+  teacherId: number | null;
+  sessionDate: string;
+  hours: number;
+  notes: string | null;
+  discipline?: { id: number; name: string; code?: string };
+  schedule?: Pick<ISessionSchedule, 'id' | 'dayOfWeek' | 'startTime' | 'endTime'>;
+  summary?: {
+    total: number;
+    present: number;
+    absent: number;
+    justified: number;
+  };
+}
+
+/**
+ * Aluno na lista de chamada de uma aula
+ */
+export interface IRollStudent {
+  id: number;
+  nome: string;
+  matricula: string;
+  status: AttendanceStatus | null;
+  notes: string | null;
+}
+
+/**
+ * Aula com a lista de chamada
+ */
+export interface IClassSessionRoll extends IClassSession {
+  class?: { id: number; semester: number; year: string };
+  students: IRollStudent[];
+}
+
+/**
+ * Resumo de frequência (calculado pelo backend sobre a carga horária da disciplina)
+ */
+export interface IFrequencySummary {
+  workloadHours: number | null;
+  givenHours: number;
+  absentHours: number;
+  justifiedHours: number;
+  absencePercentage: number;
+  frequencyPercentage: number | null;
+  maxAbsencePercentage: number;
+  maxAbsenceHours: number;
+  remainingAbsenceHours: number;
+  status: FrequencyStatus;
+}
+
+/**
+ * Frequência do aluno em uma disciplina de uma turma
+ */
+export interface IDisciplineFrequency extends IFrequencySummary {
+  classId: number;
+  disciplineId: number;
+  discipline: { id: number; name: string; code?: string };
+  totalSessions: number;
+}
+
+/**
+ * Frequência de todos os alunos de uma turma em uma disciplina
+ */
+export interface IClassFrequency {
+  classId: number;
+  discipline: { id: number; name: string; code?: string };
+  totalSessions: number;
+  students: Array<IFrequencySummary & { id: number; nome: string; matricula: string }>;
+}
+
+/**
+ * DTO para registrar uma aula
+ */
+export interface ICreateClassSessionDTO {
+  class_schedule_id: number;
+  session_date: string;
+  notes?: string;
+}
+
+/**
+ * DTO de um registro de presença na chamada
+ */
+export interface IAttendanceRecordDTO {
+  student_id: number;
+  status: AttendanceStatus;
+  notes?: string;
+}
+
+/**
+ * Rótulos em português das situações de presença
+ */
+export const ATTENDANCE_STATUS_LABELS: Record<AttendanceStatus, string> = {
+  present: 'Presente',
+  absent: 'Falta',
+  justified: 'Justificada',
+};
+
+/**
+ * Rótulos em português das situações de frequência
+ */
+export const FREQUENCY_STATUS_LABELS: Record<FrequencyStatus, string> = {
+  regular: 'Regular',
+  at_risk: 'Em risco',
+  exceeded: 'Limite excedido',
+};
@@ -0,0 +1,99 @@
+/**
+ * Arquivo: frontend/src/types/classTransfer.types.ts
+ * Descrição: Types e interfaces da transferência de turma
+ * Feature: feat-127 - Transferência de turma com histórico
+ * Criado em: 2026-10-19
+ */
+
+/**
+ * Tratamento das notas do aluno na transferência
+ * - map: move as notas para as avaliações equivalentes da turma de destino
+ * - keep: mantém as notas nas avaliações da turma de origem
+ */
+export type ClassTransferGradeMode = 'map' | 'keep';
+
+/**
+ * Labels do tratamento das notas
+ */
+export const CLASS_TRANSFER_GRADE_MODE_LABELS: Record<ClassTransferGradeMode, string> = {
+  map: 'Mapear para as avaliações da turma de destino',
+  keep: 'Manter na turma de origem',
+};
+
+/**
+ * Turma envolvida na transferência
+ */
+export interface IClassTransferClass {
+  id: number;
+  semester: number;
+  year: string;
+  course: { id: number; name: string } | null;
+}
+
+/**
+ * Destino de uma nota do aluno
+ * - moved: movida para a avaliação equivalente da turma de destino
+ * - kept: mantida na avaliação da turma de origem (note explica o motivo)
+ */
+export interface IClassTransferGradeItem {
+  gradeId: number;
+  discipline: { id: number; name: string } | null;
+  value: number | string | null;
+  fromEvaluation: { id: number; name: string };
+  toEvaluation: { id: number; name: string } | null;
+  action: 'moved' | 'kept';
+  note: string | null;
+}
+
+/**
+ * Transferência registrada no histórico
+ */
+export interface IClassTransfer {
+  id: number;
+  student: { id: number; name: string; matricula: string | null } | null;
+  fromClass: IClassTransferClass | null;
+  toClass: IClassTransferClass | null;
+  requestId: number | null;
+  gradeMode: ClassTransferGradeMode;
+  gradesMoved: number;
+  gradesKept: number;
+  reason: string | null;
+  transferredBy: { id: number; name: string } | null;
+  createdAt: string;
+  /**
+   * Destino de cada nota (apenas no detalhe)
+   */
+  gradeReport?: IClassTransferGradeItem[];
+}
+
+/**
+ * Pré-visualização da transferência (nada é alterado)
+ */
+export interface IClassTransferPreview {
+  dryRun: true;
+  student: { id: number; name: string; matricula: string | null };
+  fromClass: IClassTransferClass;
+  toClass: IClassTransferClass;
+  gradeMode: ClassTransferGradeMode;
+  grades: IClassTransferGradeItem[];
+  summary: { total: number; moved: number; kept: number };
+}
+
+/**
+ * Dados da transferência
+ */
+export interface IClassTransferRequest {
+  studentId: number;
+  fromClassId?: number | null;
+  toClassId: number;
+  gradeMode?: ClassTransferGradeMode;
+  reason?: string;
+}
+
+/**
+ * Filtros do histórico
+ */
+export interface IClassTransferFilters {
+  studentId?: number;
+  classId?: number;
+}
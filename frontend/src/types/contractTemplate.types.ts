@@ -0,0 +1,120 @@
+/**
+ * Arquivo: frontend/src/types/contractTemplate.types.ts
+ * Descrição: Tipos TypeScript da gestão e versionamento dos templates de contrato
+ * Feature: feat-122 - Gestão e versionamento dos templates de contrato
+ * Modificado: feat-123 - Linguagem de templates (listas, campos booleanos e funções)
+ * Criado em: 2026-10-19
+ *
+ * NOTA: As respostas da API são convertidas para camelCase pelo interceptor Axios,
+ * por isso os campos abaixo estão em camelCase.
+ */
+
+/**
+ * Situação da versão do template
+ * - draft: rascunho editável
+ * - published: publicada (imutável), fora de uso
+ * - active: publicada e usada nos novos contratos
+ */
+export type ContractTemplateStatus = 'draft' | 'published' | 'active';
+
+/**
+ * Rótulos das situações para exibição
+ */
+export const CONTRACT_TEMPLATE_STATUS_LABELS: Record<ContractTemplateStatus, string> = {
+  draft: 'Rascunho',
+  published: 'Publicada',
+  active: 'Ativa',
+};
+
+/**
+ * Versão de um template de contrato
+ */
+export interface IContractTemplate {
+  id: number;
+  name: string;
+  version: number;
+  previousVersionId: number | null;
+  isActive: boolean;
+  isPublished: boolean;
+  publishedAt: string | null;
+  changeNotes: string | null;
+  placeholders: string[]; // Chaves usadas no conteúdo
+  creator: { id: number; name: string } | null;
+  contractsCount: number; // Contratos gerados com esta versão
+  content?: string; // Presente apenas nos detalhes da versão
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Tipo do placeholder
+ * - text: valor exibido com {{key}}
+ * - boolean: usado em {{#if key}}
+ * - list: percorrido com {{#each key}} (campos dos itens em fields)
+ */
+export type ContractPlaceholderType = 'text' | 'boolean' | 'list';
+
+/**
+ * Placeholder do catálogo ({{key}})
+ */
+export interface IContractPlaceholder {
+  key: string;
+  type?: ContractPlaceholderType; // Ausente = 'text'
+  description: string;
+  example: string | number | boolean | Record<string, unknown>[];
+  fields?: IContractPlaceholder[]; // Campos de cada item (listas)
+}
+
+/**
+ * Recurso da linguagem dos templates (blocos e funções de formatação)
+ */
+export interface IContractTemplateHelper {
+  name: string;
+  description: string;
+  example: string;
+}
+
+/**
+ * Catálogo exibido no editor de templates
+ */
+export interface IContractTemplateCatalog {
+  placeholders: IContractPlaceholder[];
+  helpers: IContractTemplateHelper[];
+}
+
+/**
+ * Pré-visualização do template com dados de exemplo do aluno
+ */
+export interface IContractTemplatePreview {
+  html: string; // Vazio quando há erros de sintaxe
+  unknownPlaceholders: string[];
+  errors: string[];
+}
+
+/**
+ * Dados para criar um rascunho
+ * (com basedOnId, nome e conteúdo são copiados da versão informada)
+ */
+export interface ICreateContractTemplateRequest {
+  name?: string;
+  content?: string;
+  changeNotes?: string;
+  basedOnId?: number;
+}
+
+/**
+ * Dados para editar um rascunho
+ */
+export interface IUpdateContractTemplateRequest {
+  name?: string;
+  content?: string;
+  changeNotes?: string;
+}
+
+/**
+ * Situação da versão a partir dos flags da API
+ */
+export function getContractTemplateStatus(template: IContractTemplate): ContractTemplateStatus {
+  if (template.isActive) return 'active';
+  return template.isPublished ? 'published' : 'draft';
+}
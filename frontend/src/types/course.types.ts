@@ -6,6 +6,42 @@
  * Criado em: 2025-11-04
  */
 
+/**
+ * Fórmula de cálculo da média final
+ * - arithmetic: média aritmética simples
+ * - weighted: média ponderada pelo peso das avaliações
+ * - best_of: média das N maiores notas
+ * - final_replaces_lowest: prova final substitui a menor nota
+ */
+export type GradingFormula = 'arithmetic' | 'weighted' | 'best_of' | 'final_replaces_lowest';
+
+/**
+ * Rótulos em português das fórmulas de média
+ */
+export const GRADING_FORMULA_LABELS: Record<GradingFormula, string> = {
+  arithmetic: 'Média aritmética',
+  weighted: 'Média ponderada',
+  best_of: 'Melhores N notas',
+  final_replaces_lowest: 'Prova final substitui a menor nota',
+};
+
+/**
+ * Regra de recuperação: como a nota da recuperação se combina com a média do período
+ * - replace: a nota da recuperação substitui a média
+ * - average: média entre a média do período e a nota da recuperação
+ * - highest: maior valor entre a média do período e a nota da recuperação
+ */
+export type RecoveryRule = 'replace' | 'average' | 'highest';
+
+/**
+ * Rótulos em português das regras de recuperação
+ */
+export const RECOVERY_RULE_LABELS: Record<RecoveryRule, string> = {
+  replace: 'Nota da recuperação substitui a média',
+  average: 'Média entre período e recuperação',
+  highest: 'Maior nota entre período e recuperação',
+};
+
 /**
  * Interface para Disciplina
  *
@@ -75,6 +111,16 @@ export interface ICourseDiscipline {
    */
   semester: number;
 
+  /**
+   * Fórmula de média específica da disciplina (null = usa a do curso)
+   */
+  gradingFormula?: GradingFormula | null;
+
+  /**
+   * Quantidade de notas consideradas na fórmula best_of
+   */
+  gradingBestOf?: number | null;
+
   /**
    * Dados da disciplina (quando incluído)
    */
@@ -127,6 +173,21 @@ export interface ICourse {
    */
   courseType: string;
 
+  /**
+   * Fórmula de cálculo da média final do curso
+   */
+  gradingFormula?: GradingFormula;
+
+  /**
+   * Quantidade de notas consideradas na fórmula best_of
+   */
+  gradingBestOf?: number | null;
+
+  /**
+   * Regra de recuperação do curso
+   */
+  recoveryRule?: RecoveryRule;
+
   /**
    * Disciplinas associadas ao curso
    */
@@ -217,6 +278,21 @@ export interface ICourseCreateRequest {
    */
   courseType: string;
 
+  /**
+   * Fórmula de cálculo da média final (opcional, padrão: aritmética)
+   */
+  gradingFormula?: GradingFormula;
+
+  /**
+   * Quantidade de notas da fórmula best_of (opcional)
+   */
+  gradingBestOf?: number | null;
+
+  /**
+   * Regra de recuperação (opcional, padrão: média entre período e recuperação)
+   */
+  recoveryRule?: RecoveryRule;
+
   /**
    * Disciplinas a associar (opcional)
    */
@@ -254,6 +330,21 @@ export interface ICourseUpdateRequest {
    * Tipo de curso (Mestrado/Doutorado, Cursos de Verão, Pós graduação, Superior, Supletivo/EJA, Técnicos, opcional)
    */
   courseType?: string;
+
+  /**
+   * Fórmula de cálculo da média final (opcional)
+   */
+  gradingFormula?: GradingFormula;
+
+  /**
+   * Quantidade de notas da fórmula best_of (opcional)
+   */
+  gradingBestOf?: number | null;
+
+  /**
+   * Regra de recuperação (opcional)
+   */
+  recoveryRule?: RecoveryRule;
 }
 
 /**
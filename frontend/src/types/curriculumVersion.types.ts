@@ -0,0 +1,128 @@
+/**
+ * Arquivo: frontend/src/types/curriculumVersion.types.ts
+ * Descrição: Types e interfaces das matrizes curriculares e da migração entre matrizes
+ * Feature: feat-130 - Matrizes curriculares por curso
+ * Criado em: 2026-10-19
+ */
+
+/**
+ * Situação de uma disciplina concluída ao migrar de matriz
+ * - kept: a disciplina também faz parte da nova matriz
+ * - equivalent: aproveitada como a disciplina equivalente da nova matriz
+ * - unmapped: sem equivalência (não conta para a nova matriz)
+ */
+export type CurriculumMigrationAction = 'kept' | 'equivalent' | 'unmapped';
+
+/**
+ * Labels das situações da migração
+ */
+export const CURRICULUM_MIGRATION_ACTION_LABELS: Record<CurriculumMigrationAction, string> = {
+  kept: 'Mantida',
+  equivalent: 'Equivalência',
+  unmapped: 'Sem equivalência',
+};
+
+/**
+ * Disciplina resumida
+ */
+export interface ICurriculumDiscipline {
+  id: number;
+  name: string;
+  code: string | null;
+}
+
+/**
+ * Matriz curricular (versão publicada da grade do curso)
+ */
+export interface ICurriculumVersion {
+  id: number;
+  courseId: number;
+  name: string;
+  effectiveFrom: string;
+  notes: string | null;
+  createdBy: { id: number; name: string } | null;
+  createdAt: string;
+}
+
+/**
+ * Matriz na listagem do curso
+ */
+export interface ICurriculumVersionSummary extends ICurriculumVersion {
+  /** Matriz vigente hoje para novas matrículas */
+  inForce: boolean;
+  disciplineCount: number;
+  enrollmentCount: number;
+}
+
+/**
+ * Matriz com as disciplinas por semestre
+ */
+export interface ICurriculumVersionDetail extends ICurriculumVersion {
+  disciplines: {
+    discipline: ICurriculumDiscipline | null;
+    semester: number;
+    workloadHours: number | null;
+  }[];
+}
+
+/**
+ * Dados para publicar a grade atual do curso como matriz
+ */
+export interface IPublishCurriculumVersionRequest {
+  name: string;
+  effectiveFrom: string;
+  notes?: string;
+}
+
+/**
+ * Equivalência entre uma disciplina concluída e uma disciplina da nova matriz
+ */
+export interface ICurriculumMapping {
+  fromDisciplineId: number;
+  toDisciplineId: number;
+}
+
+/**
+ * Dados da migração de matriz
+ */
+export interface ICurriculumMigrationRequest {
+  toVersionId: number;
+  mappings: ICurriculumMapping[];
+  reason?: string;
+}
+
+/**
+ * Situação de uma disciplina concluída na migração
+ */
+export interface ICurriculumMigrationItem {
+  discipline: ICurriculumDiscipline | null;
+  action: CurriculumMigrationAction;
+  equivalent: ICurriculumDiscipline | null;
+  note: string | null;
+}
+
+/**
+ * Plano da migração (pré-visualização ou migração executada)
+ */
+export interface ICurriculumMigrationPlan {
+  id?: number;
+  enrollmentId: number;
+  student: { id: number; name: string; matricula: string | null } | null;
+  fromVersion: ICurriculumVersion | null;
+  toVersion: ICurriculumVersion;
+  items: ICurriculumMigrationItem[];
+  pendingDisciplines: { discipline: ICurriculumDiscipline | null; semester: number }[];
+}
+
+/**
+ * Migração registrada no histórico da matrícula
+ */
+export interface ICurriculumMigration {
+  id: number;
+  fromVersion: ICurriculumVersion | null;
+  toVersion: ICurriculumVersion | null;
+  items: ICurriculumMigrationItem[];
+  reason: string | null;
+  migratedBy: { id: number; name: string } | null;
+  createdAt: string;
+}
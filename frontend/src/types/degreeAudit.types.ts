@@ -0,0 +1,92 @@
+/**
+ * Arquivo: frontend/src/types/degreeAudit.types.ts
+ * Descrição: Types e interfaces da integralização curricular do aluno
+ * Feature: feat-131 - Integralização curricular do aluno
+ * Criado em: 2026-10-19
+ */
+
+import type { ICurriculumVersion } from './curriculumVersion.types';
+
+/**
+ * Situação da disciplina na integralização
+ * - completed: aprovada ou dispensada
+ * - in_progress: sendo cursada (turma ou disciplina extra, sem resultado final)
+ * - pending: ainda não cursada ou reprovada
+ */
+export type DegreeAuditStatus = 'completed' | 'in_progress' | 'pending';
+
+/**
+ * Labels das situações da integralização
+ */
+export const DEGREE_AUDIT_STATUS_LABELS: Record<DegreeAuditStatus, string> = {
+  completed: 'Concluída',
+  in_progress: 'Em andamento',
+  pending: 'Pendente',
+};
+
+/**
+ * Situação de uma disciplina (comum à matriz e às disciplinas extras)
+ */
+interface IDegreeAuditEntry {
+  discipline: { id: number; name: string; code: string | null } | null;
+  workloadHours: number;
+  status: DegreeAuditStatus;
+  statusLabel: string;
+  /** Como a disciplina foi concluída (aprovação ou dispensa) */
+  completedBy: 'approved' | 'exempt' | null;
+  average: number | null;
+  /** Período letivo da turma (ex: "2026/1") */
+  period: string | null;
+  failedAttempts: number;
+  note: string | null;
+}
+
+/**
+ * Disciplina da matriz curricular
+ */
+export interface IDegreeAuditDiscipline extends IDegreeAuditEntry {
+  semester: number;
+}
+
+/**
+ * Disciplina extra cursada fora da matriz
+ */
+export interface IDegreeAuditExtraDiscipline extends IDegreeAuditEntry {
+  reason: string;
+}
+
+/**
+ * Totais da integralização (apenas disciplinas da matriz)
+ */
+export interface IDegreeAuditTotals {
+  disciplineCount: number;
+  completedCount: number;
+  inProgressCount: number;
+  pendingCount: number;
+  totalWorkloadHours: number;
+  completedWorkloadHours: number;
+  inProgressWorkloadHours: number;
+  pendingWorkloadHours: number;
+  /** Percentual da carga horária da matriz já concluída */
+  progressPercent: number;
+}
+
+/**
+ * Integralização do aluno em um curso
+ */
+export interface IDegreeAudit {
+  student: { id: number; name: string; matricula: string | null };
+  course: { id: number; name: string } | null;
+  curriculumVersion: ICurriculumVersion | null;
+  enrollment: {
+    id: number;
+    status: string;
+    currentSemester: number | null;
+    enrollmentDate: string | null;
+  };
+  /** Cursos em que o aluno tem matrícula */
+  courses: { id: number; name: string }[];
+  disciplines: IDegreeAuditDiscipline[];
+  extraDisciplines: IDegreeAuditExtraDiscipline[];
+  totals: IDegreeAuditTotals;
+}
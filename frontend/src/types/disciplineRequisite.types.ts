@@ -0,0 +1,99 @@
+/**
+ * Arquivo: frontend/src/types/disciplineRequisite.types.ts
+ * Descrição: Types e interfaces dos pré-requisitos e co-requisitos entre disciplinas
+ * Feature: feat-129 - Pré-requisitos e co-requisitos entre disciplinas
+ * Criado em: 2026-10-19
+ * Modificado: feat-130 - Relatório do aluno pela matriz curricular da matrícula
+ */
+
+import type { ICurriculumVersion } from './curriculumVersion.types';
+
+/**
+ * Tipo do requisito
+ * - prerequisite: a disciplina exigida deve estar aprovada ou dispensada
+ * - corequisite: a disciplina exigida pode ser cursada no mesmo período
+ */
+export type DisciplineRequisiteType = 'prerequisite' | 'corequisite';
+
+/**
+ * Labels dos tipos de requisito
+ */
+export const DISCIPLINE_REQUISITE_TYPE_LABELS: Record<DisciplineRequisiteType, string> = {
+  prerequisite: 'Pré-requisito',
+  corequisite: 'Co-requisito',
+};
+
+/**
+ * Disciplina envolvida no requisito
+ */
+export interface IRequisiteDiscipline {
+  id: number;
+  name: string;
+  code: string | null;
+}
+
+/**
+ * Requisito da grade de um curso
+ */
+export interface IDisciplineRequisite {
+  id: number;
+  courseId: number;
+  disciplineId: number;
+  requiredDisciplineId: number;
+  type: DisciplineRequisiteType;
+  typeLabel: string;
+  discipline: IRequisiteDiscipline | null;
+  requiredDiscipline: IRequisiteDiscipline | null;
+  createdAt: string;
+}
+
+/**
+ * Dados para cadastrar um requisito
+ */
+export interface ICreateDisciplineRequisiteRequest {
+  disciplineId: number;
+  requiredDisciplineId: number;
+  type: DisciplineRequisiteType;
+}
+
+/**
+ * Requisito não cumprido pelo aluno
+ */
+export interface IMissingRequisite {
+  type: DisciplineRequisiteType;
+  typeLabel: string;
+  discipline: IRequisiteDiscipline | null;
+}
+
+/**
+ * Disciplina com os requisitos que o aluno ainda não cumpriu
+ */
+export interface IDisciplineMissingRequisites {
+  discipline: IRequisiteDiscipline | null;
+  missing: IMissingRequisite[];
+}
+
+/**
+ * Situação do aluno em uma disciplina da grade
+ * - completed: aprovada ou dispensada
+ * - available: requisitos cumpridos, ainda não concluída
+ */
+export interface IStudentRequisiteDiscipline {
+  discipline: IRequisiteDiscipline | null;
+  semester: number;
+  completed: boolean;
+  available: boolean;
+  missing: IMissingRequisite[];
+}
+
+/**
+ * Situação do aluno em relação aos requisitos da grade do curso
+ */
+export interface IStudentRequisiteReport {
+  course: { id: number; name: string };
+  /** Matriz curricular da matrícula (null quando o curso não tem matrizes) */
+  curriculumVersion: ICurriculumVersion | null;
+  currentSemester: number | null;
+  disciplines: IStudentRequisiteDiscipline[];
+  blockedCount: number;
+}
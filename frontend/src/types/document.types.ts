@@ -4,6 +4,8 @@
  * Feature: feat-087 - Criar document.service.ts e página Documents Admin
  * Feature: feat-101 - Criar types TypeScript (atualização)
  * Criado em: 2025-11-04
+ * Modificado: feat-132 - Documentos de professores no fluxo de revisão
+ * Modificado: feat-133 - Validade de documentos e reenvio periódico
  */
 
 /**
@@ -24,6 +26,8 @@ export interface IDocumentType {
   name: string;
   description: string;
   userType: DocumentUserType;
+  /** Validade do documento aprovado em meses (null = não expira) */
+  validityMonths?: number | null;
   createdAt: string;
   updatedAt: string;
 }
@@ -46,6 +50,12 @@ export interface IDocumentUser {
 export interface IDocument {
   id: number;
   userId: number;
+  /** Aluno dono do documento (null quando enviado por professor) */
+  studentId?: number | null;
+  /** Professor dono do documento (null quando enviado por aluno) */
+  teacherId?: number | null;
+  /** Tipo de usuário dono (presente na listagem do admin) */
+  ownerType?: DocumentUserType;
   documentTypeId: number;
   filePath: string;
   fileName: string;
@@ -54,6 +64,10 @@ export interface IDocument {
   reviewedBy: number | null;
   reviewedAt: string | null;
   observations: string | null;
+  /** Último dia de validade do documento aprovado (YYYY-MM-DD; null se o tipo não expira) */
+  expiresAt?: string | null;
+  /** Último aviso de vencimento enviado ao dono */
+  expirationNotice?: 'expiring_soon' | 'expired' | null;
   createdAt: string;
   updatedAt: string;
   // Relacionamentos
@@ -71,6 +85,8 @@ export interface IDocument {
 export interface IDocumentFilters {
   status?: DocumentStatus;
   userType?: DocumentUserType;
+  /** Apenas documentos de alunos ou de professores (listagem do admin) */
+  ownerType?: DocumentUserType;
   userId?: number;
   documentTypeId?: number;
   matricula?: number;
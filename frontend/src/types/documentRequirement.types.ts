@@ -0,0 +1,68 @@
+/**
+ * Arquivo: frontend/src/types/documentRequirement.types.ts
+ * Descrição: Types e interfaces dos documentos obrigatórios por curso e por tipo de curso
+ * Feature: feat-134 - Documentos obrigatórios por curso
+ * Criado em: 2026-10-19
+ */
+
+/**
+ * Origem da obrigatoriedade de um documento para os alunos de um curso
+ * - global: tipo de documento obrigatório para todos os alunos
+ * - course_type: regra de todos os cursos do mesmo tipo (ex: Técnicos)
+ * - course: regra do próprio curso
+ */
+export type DocumentRequirementOrigin = 'global' | 'course_type' | 'course';
+
+/**
+ * Labels das origens
+ */
+export const DOCUMENT_REQUIREMENT_ORIGIN_LABELS: Record<DocumentRequirementOrigin, string> = {
+  global: 'Todos os alunos',
+  course_type: 'Tipo de curso',
+  course: 'Este curso',
+};
+
+/**
+ * Tipo de documento exigido
+ */
+export interface IRequirementDocumentType {
+  id: number;
+  name: string;
+  description: string | null;
+  isRequired: boolean;
+}
+
+/**
+ * Documento obrigatório para os alunos de um curso
+ */
+export interface ICourseRequiredDocument {
+  documentType: IRequirementDocumentType | null;
+  origin: DocumentRequirementOrigin;
+  /** Regra que torna o documento obrigatório (null quando vale para todos os alunos) */
+  requirementId: number | null;
+}
+
+/**
+ * Conjunto de documentos obrigatórios de um curso
+ */
+export interface ICourseDocumentRequirements {
+  course: {
+    id: number;
+    name: string;
+    courseType: string;
+  };
+  documentTypes: ICourseRequiredDocument[];
+}
+
+/**
+ * Regra de documento obrigatório (por curso ou por tipo de curso)
+ */
+export interface IDocumentRequirement {
+  id: number;
+  documentTypeId: number;
+  courseId: number | null;
+  courseType: string | null;
+  origin: Exclude<DocumentRequirementOrigin, 'global'>;
+  documentType: IRequirementDocumentType | null;
+  createdAt: string;
+}
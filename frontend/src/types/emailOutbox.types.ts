@@ -0,0 +1,105 @@
+/**
+ * Arquivo: frontend/src/types/emailOutbox.types.ts
+ * Descrição: Tipos TypeScript do histórico de entrega dos emails
+ * Feature: feat-135 - Fila de emails com reenvio e histórico de entrega
+ * Modificado: feat-136 - Rótulos dos templates das notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ *
+ * NOTA: As respostas da API são convertidas para camelCase pelo interceptor Axios,
+ * por isso os campos abaixo estão em camelCase.
+ */
+
+/**
+ * Situação do email na fila de saída
+ */
+export type EmailOutboxStatus = 'pending' | 'sending' | 'sent' | 'failed';
+
+/**
+ * Rótulos das situações para exibição
+ */
+export const EMAIL_OUTBOX_STATUS_LABELS: Record<EmailOutboxStatus, string> = {
+  pending: 'Na fila',
+  sending: 'Enviando',
+  sent: 'Enviado',
+  failed: 'Falhou',
+};
+
+/**
+ * Rótulos dos templates de email (backend/src/templates/emails)
+ */
+export const EMAIL_TEMPLATE_LABELS: Record<string, string> = {
+  'temporary-password': 'Senha provisória',
+  'document-approved': 'Documento aprovado',
+  'document-rejected': 'Documento rejeitado',
+  'overdue-requests-digest': 'Resumo de solicitações atrasadas',
+  'reenrollment-reminder': 'Lembrete de rematrícula',
+  'document-expiration': 'Vencimento de documento',
+  'request-approved': 'Solicitação aprovada',
+  'request-rejected': 'Solicitação rejeitada',
+  'grade-published': 'Nota lançada',
+  'evaluation-upcoming': 'Avaliação próxima',
+  'contract-pending': 'Contrato aguardando aceite',
+  'reenrollment-opened': 'Rematrícula aberta',
+  'enrollment-status-changed': 'Status da matrícula',
+};
+
+/**
+ * Templates sensíveis: o conteúdo é descartado após o envio ou a falha definitiva e o
+ * email não pode ser reenviado (backend: EMAIL_TEMPLATES[nome].sensitive)
+ */
+export const SENSITIVE_EMAIL_TEMPLATES: readonly string[] = ['temporary-password'];
+
+/**
+ * Usuário destinatário do email
+ */
+export interface IEmailOutboxUser {
+  id: number;
+  name: string;
+  email: string;
+  role: string;
+}
+
+/**
+ * Email do histórico de entrega (o conteúdo não é retornado pela API)
+ */
+export interface IEmailOutbox {
+  id: number;
+  userId: number | null;
+  toEmail: string;
+  template: string;
+  subject: string;
+  status: EmailOutboxStatus;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt: string | null;
+  lastError: string | null;
+  messageId: string | null;
+  sentAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+  user?: IEmailOutboxUser | null;
+}
+
+/**
+ * Filtros do histórico
+ */
+export interface IEmailOutboxFilters {
+  status?: EmailOutboxStatus;
+  template?: string;
+  email?: string;
+  userId?: number;
+  page?: number;
+  limit?: number;
+}
+
+/**
+ * Histórico paginado (user presente na consulta por usuário)
+ */
+export interface IEmailOutboxListResponse {
+  emails: IEmailOutbox[];
+  total: number;
+  page: number;
+  limit: number;
+  pages: number;
+  user?: IEmailOutboxUser;
+}
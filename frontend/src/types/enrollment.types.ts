@@ -2,6 +2,8 @@
  * Arquivo: frontend/src/types/enrollment.types.ts
  * Descrição: Tipos e interfaces para matrículas
  * Feature: feat-101 - Criar types TypeScript
+ * Modificado: feat-128 - Trancamento, cancelamento com motivo e reativação da matrícula
+ * Modificado: feat-130 - Matriz curricular da matrícula
  * Criado em: 2025-11-04
  */
 
@@ -17,8 +19,16 @@ import type { ICourse } from './course.types';
  * - cancelled: Matrícula cancelada por solicitação do aluno
  * - reenrollment: Rematrícula em andamento, aguardando aceite de contrato
  * - completed: Matrícula concluída (aluno formado)
+ * - locked: Matrícula trancada até a data prevista de retorno
  */
-export type EnrollmentStatus = 'contract' | 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed';
+export type EnrollmentStatus =
+  | 'contract'
+  | 'pending'
+  | 'active'
+  | 'cancelled'
+  | 'reenrollment'
+  | 'completed'
+  | 'locked';
 
 /**
  * Interface para Matrícula
@@ -59,6 +69,27 @@ export interface IEnrollment {
   /** Semestre atual do aluno no curso (0 = não iniciado, 1-12 = semestres cursados) */
   currentSemester?: number;
 
+  /** Início do trancamento (YYYY-MM-DD) */
+  lockStartDate?: string | null;
+
+  /** Data prevista de retorno do trancamento (YYYY-MM-DD) */
+  lockExpectedReturnDate?: string | null;
+
+  /** Motivo do trancamento */
+  lockReason?: string | null;
+
+  /** Data do cancelamento */
+  cancelledAt?: string | null;
+
+  /** Motivo do cancelamento */
+  cancellationReason?: string | null;
+
+  /** Data da última reativação após trancamento */
+  reactivatedAt?: string | null;
+
+  /** Matriz curricular do aluno (vigente no ingresso ou definida por migração) */
+  curriculumVersionId?: number | null;
+
   /** Data de criação */
   createdAt: string;
 
@@ -117,6 +148,20 @@ export interface IEnrollmentStatusUpdateRequest {
   status: EnrollmentStatus;
 }
 
+/**
+ * Dados para trancar uma matrícula
+ */
+export interface IEnrollmentLockRequest {
+  /** Início do trancamento (YYYY-MM-DD, padrão: hoje) */
+  startDate?: string;
+
+  /** Data prevista de retorno (YYYY-MM-DD) */
+  expectedReturnDate: string;
+
+  /** Motivo do trancamento */
+  reason?: string;
+}
+
 /**
  * Resposta ao listar matrículas
  */
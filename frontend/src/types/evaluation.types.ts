@@ -71,6 +71,15 @@ export interface IEvaluation {
   /** Tipo de avaliação (nota ou conceito) */
   type: EvaluationType;
 
+  /** Peso da avaliação na média ponderada */
+  weight: number;
+
+  /** Indica se é a prova final (usada pela fórmula "prova final substitui a menor nota") */
+  isFinalExam: boolean;
+
+  /** Indica se é a avaliação de recuperação (apenas alunos em recuperação recebem nota) */
+  isRecovery: boolean;
+
   /** Dados da turma (opcional, retornado em consultas detalhadas) */
   class?: IClass;
 
@@ -118,6 +127,15 @@ export interface ICreateEvaluationData {
 
   /** Tipo de avaliação (nota ou conceito) */
   type: EvaluationType;
+
+  /** Peso da avaliação na média ponderada (opcional, padrão 1) */
+  weight?: number;
+
+  /** Indica se é a prova final (opcional) */
+  isFinalExam?: boolean;
+
+  /** Indica se é a avaliação de recuperação (opcional) */
+  isRecovery?: boolean;
 }
 
 /**
@@ -143,4 +161,10 @@ export interface IUpdateEvaluationData {
 
   /** Tipo de avaliação (nota ou conceito) */
   type?: EvaluationType;
+
+  /** Peso da avaliação na média ponderada */
+  weight?: number;
+
+  /** Indica se é a prova final */
+  isFinalExam?: boolean;
 }
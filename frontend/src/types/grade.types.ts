@@ -6,6 +6,8 @@
  * Criado em: 2025-11-04
  */
 
+import type { GradingFormula, RecoveryRule } from './course.types';
+
 /**
  * Tipo de avaliação
  */
@@ -37,6 +39,9 @@ export interface IEvaluation {
   name: string;
   date: string;
   type: EvaluationType;
+  weight?: number;
+  isFinalExam?: boolean;
+  isRecovery?: boolean;
   createdAt: string;
   updatedAt: string;
 
@@ -259,3 +264,128 @@ export interface ISetFinalAverageRequest {
    */
   average: number;
 }
+
+/**
+ * Situação final do aluno na disciplina (calculada pelo backend)
+ * - approved: aprovado
+ * - recovery: em recuperação
+ * - failed: reprovado (por nota ou por faltas)
+ * - in_progress: em andamento (avaliações ainda sem nota)
+ */
+export type GradeResultStatus = 'approved' | 'recovery' | 'failed' | 'in_progress';
+
+/**
+ * Média final e situação calculadas pelo backend para uma disciplina
+ */
+export interface IGradeResult {
+  /** Média final (já combinada com a recuperação, quando houver) */
+  average: number | null;
+  /** Média do período, sem a recuperação */
+  regularAverage: number | null;
+  concept: GradeConcept | null;
+  status: GradeResultStatus;
+  statusLabel: string;
+  failedByAbsence: boolean;
+  recoveryEligible: boolean;
+  recoveryGrade: number | null;
+  totalEvaluations: number;
+  gradedEvaluations: number;
+  pendingEvaluations: number;
+  frequency: {
+    frequencyPercentage: number | null;
+    absencePercentage: number;
+    status: 'regular' | 'at_risk' | 'exceeded';
+  } | null;
+}
+
+/**
+ * Resultado do aluno em uma turma/disciplina
+ */
+export interface IStudentDisciplineResult extends IGradeResult {
+  classId: number | null;
+  class: { id: number; semester: number; year: string } | null;
+  disciplineId: number;
+  discipline: { id: number; name: string; code: string };
+  evaluations: Array<{
+    id: number;
+    name: string;
+    date: string;
+    type: EvaluationType;
+    weight: number;
+    isFinalExam: boolean;
+    isRecovery: boolean;
+    grade: number | null;
+    concept: GradeConcept | null;
+  }>;
+  passingGrade: number;
+  recoveryMinGrade: number;
+  recoveryPassingGrade: number;
+  formula: GradingFormula;
+  formulaLabel: string;
+  bestOf: number | null;
+  recoveryRule: RecoveryRule;
+  recoveryRuleLabel: string;
+}
+
+/**
+ * Resultado de todos os alunos de uma turma em uma disciplina
+ */
+export interface IClassDisciplineResults {
+  class: { id: number; semester: number; year: string };
+  discipline: { id: number; name: string; code: string };
+  passingGrade: number;
+  recoveryMinGrade: number;
+  recoveryPassingGrade: number;
+  formula: GradingFormula;
+  formulaLabel: string;
+  bestOf: number | null;
+  recoveryRule: RecoveryRule;
+  recoveryRuleLabel: string;
+  evaluations: Array<
+    Pick<IEvaluation, 'id' | 'name' | 'date' | 'type' | 'weight' | 'isFinalExam' | 'isRecovery'>
+  >;
+  students: Array<
+    IGradeResult & {
+      id: number;
+      nome: string;
+      matricula: string;
+      grades: Array<{ evaluationId: number; grade: number | null; concept: GradeConcept | null }>;
+    }
+  >;
+  summary: Record<GradeResultStatus, number>;
+}
+
+/**
+ * Alunos em recuperação de uma turma/disciplina
+ */
+export interface IClassRecovery {
+  class: { id: number; semester: number; year: string };
+  discipline: { id: number; name: string; code: string };
+  passingGrade: number;
+  recoveryMinGrade: number;
+  recoveryPassingGrade: number;
+  recoveryRule: RecoveryRule;
+  recoveryRuleLabel: string;
+  recoveryEvaluation: { id: number; name: string; date: string } | null;
+  students: Array<{
+    id: number;
+    nome: string;
+    matricula: string;
+    regularAverage: number | null;
+    concept: GradeConcept | null;
+    recoveryGrade: number | null;
+    average: number | null;
+    status: GradeResultStatus;
+    statusLabel: string;
+  }>;
+}
+
+/**
+ * Rótulos em português das situações finais
+ */
+export const GRADE_RESULT_STATUS_LABELS: Record<GradeResultStatus, string> = {
+  approved: 'Aprovado',
+  recovery: 'Em recuperação',
+  failed: 'Reprovado',
+  in_progress: 'Em andamento',
+};
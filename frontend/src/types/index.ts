@@ -15,7 +15,8 @@ export type { IStudent, IEnrollmentBasic, IStudentDocument, IStudentGrade, IStud
 export type { ITeacher, ITeacherCreateRequest, ITeacherUpdateRequest, ITeacherListResponse, ITeacherResponse, ITeacherFilters, ITeacherStats, ICreateUserForTeacherRequest, ICreateUserForTeacherResponse, ITeacherResetPasswordResponse } from './teacher.types';
 
 // Course types
-export type { IDiscipline, ICourseDiscipline, ICourse, IDisciplineCreateRequest, IDisciplineUpdateRequest, ICourseCreateRequest, ICourseUpdateRequest, IAssociateDisciplineRequest, ICourseListResponse, ICourseResponse, ICourseFilters } from './course.types';
+export type { IDiscipline, ICourseDiscipline, ICourse, IDisciplineCreateRequest, IDisciplineUpdateRequest, ICourseCreateRequest, ICourseUpdateRequest, IAssociateDisciplineRequest, ICourseListResponse, ICourseResponse, ICourseFilters, GradingFormula, RecoveryRule } from './course.types';
+export { GRADING_FORMULA_LABELS, RECOVERY_RULE_LABELS } from './course.types';
 
 // Class types
 export type { IClassTeacher, IClassStudent, IClass, IClassCreateRequest, IClassUpdateRequest, IAddTeacherToClassRequest, IAddStudentToClassRequest, IClassListResponse, IClassResponse, IClassFilters } from './class.types';
@@ -27,10 +28,11 @@ export type { EnrollmentStatus, IEnrollment, IEnrollmentCreateRequest, IEnrollme
 export type { DocumentStatus, DocumentUserType, IDocumentType, IDocumentUser, IDocument, IDocumentFilters, IDocumentListResponse, IDocumentResponse, IApproveDocumentRequest, IRejectDocumentRequest, IUploadDocumentRequest, IDocumentStats } from './document.types';
 
 // Grade types
-export type { EvaluationType, GradeConcept, IDiscipline as IGradeDiscipline, IEvaluation, IGrade, IGradeWithEvaluation, IDisciplineAverage, IGradeSummary, IGradeListResponse, IGradeResponse, IGradeSummaryResponse, IGradeFilters, ICreateEvaluationRequest, IUpdateEvaluationRequest, ICreateGradeRequest, IUpdateGradeRequest, ISetFinalAverageRequest } from './grade.types';
+export type { EvaluationType, GradeConcept, IDiscipline as IGradeDiscipline, IEvaluation, IGrade, IGradeWithEvaluation, IDisciplineAverage, IGradeSummary, IGradeListResponse, IGradeResponse, IGradeSummaryResponse, IGradeFilters, ICreateEvaluationRequest, IUpdateEvaluationRequest, ICreateGradeRequest, IUpdateGradeRequest, ISetFinalAverageRequest, GradeResultStatus, IGradeResult, IStudentDisciplineResult, IClassDisciplineResults, IClassRecovery } from './grade.types';
+export { GRADE_RESULT_STATUS_LABELS } from './grade.types';
 
 // Request types
-export type { RequestStatus, RequestType, IRequest, IRequestListResponse, IRequestResponse, IRequestFilters, IApproveRequestRequest, IRejectRequestRequest, IRequestStats, ICreateRequestRequest, IRequestType, ICreateRequestTypeRequest, IUpdateRequestTypeRequest, IStudentCreateRequestRequest, ICreateRequestResponse } from './request.types';
+export type { RequestStatus, RequestSlaFilter, RequestType, IRequest, IRequestListResponse, IRequestResponse, IRequestFilters, IApproveRequestRequest, IRejectRequestRequest, IRequestStats, ICreateRequestRequest, IRequestType, RequestTypeRole, IDocumentGeneratorOption, ICreateRequestTypeRequest, IUpdateRequestTypeRequest, IStudentCreateRequestRequest, ICreateRequestResponse, IRequestEventUser, IRequestAttachment, IRequestComment, IRequestTimelineEvent, IRequestTimeline } from './request.types';
 
 // API types
 export type { } from './api.types';
@@ -69,3 +71,154 @@ export type {
   IStudentExtraDisciplineDeleteResponse
 } from './studentExtraDiscipline.types';
 export { REASON_LABELS, STATUS_LABELS, STATUS_COLORS, REASON_OPTIONS, STATUS_OPTIONS } from './studentExtraDiscipline.types';
+
+// Attendance types
+export type {
+  AttendanceStatus,
+  FrequencyStatus,
+  ISessionSchedule,
+  IClassSession,
+  IRollStudent,
+  IClassSessionRoll,
+  IFrequencySummary,
+  IDisciplineFrequency,
+  IClassFrequency,
+  ICreateClassSessionDTO,
+  IAttendanceRecordDTO,
+} from './attendance.types';
+export { ATTENDANCE_STATUS_LABELS, FREQUENCY_STATUS_LABELS } from './attendance.types';
+
+// Signed document types
+export type {
+  SignedDocumentKind,
+  ISignedDocument,
+  ISignedDocumentFilters,
+  ISignedDocumentListResponse,
+  IDocumentVerificationResult,
+} from './signedDocument.types';
+export { SIGNED_DOCUMENT_KIND_LABELS } from './signedDocument.types';
+
+// Contract template types
+export type {
+  ContractTemplateStatus,
+  ContractPlaceholderType,
+  IContractTemplate,
+  IContractPlaceholder,
+  IContractTemplateHelper,
+  IContractTemplateCatalog,
+  IContractTemplatePreview,
+  ICreateContractTemplateRequest,
+  IUpdateContractTemplateRequest,
+} from './contractTemplate.types';
+export {
+  CONTRACT_TEMPLATE_STATUS_LABELS,
+  getContractTemplateStatus,
+} from './contractTemplate.types';
+
+// Reenrollment campaign types
+export type {
+  ReenrollmentCampaignStatus,
+  CampaignEnrollmentStatus,
+  CampaignSkipReason,
+  IReenrollmentCampaignProgress,
+  IReenrollmentCampaign,
+  IReenrollmentCampaignEnrollment,
+  IReenrollmentCampaignDetail,
+  IReenrollmentReminderSummary,
+  ICreateReenrollmentCampaignRequest,
+  IUpdateReenrollmentCampaignRequest,
+} from './reenrollmentCampaign.types';
+export {
+  REENROLLMENT_CAMPAIGN_STATUS_LABELS,
+  CAMPAIGN_ENROLLMENT_STATUS_LABELS,
+  CAMPAIGN_SKIP_REASON_LABELS,
+} from './reenrollmentCampaign.types';
+
+// Semester closing types
+export type {
+  SemesterClosingOutcome,
+  ISemesterClosingSummary,
+  ISemesterClosingItem,
+  ISemesterClosing,
+  ISemesterClosingPreview,
+  ISemesterClosingParams,
+} from './semesterClosing.types';
+export { SEMESTER_CLOSING_OUTCOME_LABELS } from './semesterClosing.types';
+
+// Class transfer types
+export type {
+  ClassTransferGradeMode,
+  IClassTransferClass,
+  IClassTransferGradeItem,
+  IClassTransfer,
+  IClassTransferPreview,
+  IClassTransferRequest,
+  IClassTransferFilters,
+} from './classTransfer.types';
+export { CLASS_TRANSFER_GRADE_MODE_LABELS } from './classTransfer.types';
+
+// Discipline requisite types
+export type {
+  DisciplineRequisiteType,
+  IRequisiteDiscipline,
+  IDisciplineRequisite,
+  ICreateDisciplineRequisiteRequest,
+  IMissingRequisite,
+  IDisciplineMissingRequisites,
+  IStudentRequisiteDiscipline,
+  IStudentRequisiteReport,
+} from './disciplineRequisite.types';
+export { DISCIPLINE_REQUISITE_TYPE_LABELS } from './disciplineRequisite.types';
+
+// Curriculum version types
+export type {
+  CurriculumMigrationAction,
+  ICurriculumDiscipline,
+  ICurriculumVersion,
+  ICurriculumVersionSummary,
+  ICurriculumVersionDetail,
+  IPublishCurriculumVersionRequest,
+  ICurriculumMapping,
+  ICurriculumMigrationRequest,
+  ICurriculumMigrationItem,
+  ICurriculumMigrationPlan,
+  ICurriculumMigration,
+} from './curriculumVersion.types';
+export { CURRICULUM_MIGRATION_ACTION_LABELS } from './curriculumVersion.types';
+
+// Degree audit types
+export type {
+  DegreeAuditStatus,
+  IDegreeAuditDiscipline,
+  IDegreeAuditExtraDiscipline,
+  IDegreeAuditTotals,
+  IDegreeAudit,
+} from './degreeAudit.types';
+export { DEGREE_AUDIT_STATUS_LABELS } from './degreeAudit.types';
+
+// Document requirement types
+export type {
+  DocumentRequirementOrigin,
+  IRequirementDocumentType,
+  ICourseRequiredDocument,
+  ICourseDocumentRequirements,
+  IDocumentRequirement,
+} from './documentRequirement.types';
+export { DOCUMENT_REQUIREMENT_ORIGIN_LABELS } from './documentRequirement.types';
+
+// Email outbox types
+export type {
+  EmailOutboxStatus,
+  IEmailOutboxUser,
+  IEmailOutbox,
+  IEmailOutboxFilters,
+  IEmailOutboxListResponse,
+} from './emailOutbox.types';
+export { EMAIL_OUTBOX_STATUS_LABELS, EMAIL_TEMPLATE_LABELS } from './emailOutbox.types';
+
+// Notification types
+export type {
+  NotificationEvent,
+  INotificationPreference,
+  INotificationPreferenceUpdate,
+} from './notification.types';
@@ -0,0 +1,39 @@
+/**
+ * Arquivo: frontend/src/types/notification.types.ts
+ * Descrição: Tipos TypeScript das preferências de notificação por email
+ * Feature: feat-136 - Notificações dos eventos acadêmicos
+ * Criado em: 2026-10-19
+ *
+ * NOTA: As respostas da API são convertidas para camelCase pelo interceptor Axios,
+ * por isso os campos abaixo estão em camelCase.
+ */
+
+/**
+ * Eventos acadêmicos que geram email (backend: NOTIFICATION_EVENTS)
+ */
+export type NotificationEvent =
+  | 'request.approved'
+  | 'request.rejected'
+  | 'grade.published'
+  | 'evaluation.upcoming'
+  | 'contract.pending'
+  | 'reenrollment.opened'
+  | 'enrollment.status_changed';
+
+/**
+ * Preferência do usuário para um evento (apenas os eventos do seu perfil)
+ */
+export interface INotificationPreference {
+  event: NotificationEvent;
+  label: string;
+  description: string;
+  emailEnabled: boolean;
+}
+
+/**
+ * Alteração de uma preferência
+ */
+export interface INotificationPreferenceUpdate {
+  event: NotificationEvent;
+  emailEnabled: boolean;
+}
@@ -3,6 +3,7 @@
  * Descrição: Tipos TypeScript para rematrícula global de estudantes
  * Feature: feat-reenrollment-etapa-5 - Frontend Interface de Rematrícula Global
  * Criado em: 2025-12-15
+ * Modificado: feat-122 - Versão do template no preview do contrato
  */
 
 /**
@@ -38,6 +39,8 @@ export interface IContractPreviewResponse {
   enrollmentId: number; // ID do enrollment
   semester: number; // Semestre (1 ou 2)
   year: number; // Ano (ex: 2025)
+  templateId: number; // Versão do template exibida (enviada no aceite)
+  templateVersion: number; // Número da versão do template
 }
 
 /**
@@ -0,0 +1,136 @@
+/**
+ * Arquivo: frontend/src/types/reenrollmentCampaign.types.ts
+ * Descrição: Types e interfaces das campanhas de rematrícula em lote
+ * Feature: feat-125 - Campanhas de rematrícula
+ * Criado em: 2026-10-19
+ */
+
+/**
+ * Situação da campanha
+ * - draft: em preparação (pode ser editada ou excluída)
+ * - open: matrículas em rematrícula, aguardando o aceite dos alunos
+ * - closed: prazo encerrado
+ */
+export type ReenrollmentCampaignStatus = 'draft' | 'open' | 'closed';
+
+/**
+ * Labels das situações da campanha
+ */
+export const REENROLLMENT_CAMPAIGN_STATUS_LABELS: Record<ReenrollmentCampaignStatus, string> = {
+  draft: 'Rascunho',
+  open: 'Em andamento',
+  closed: 'Encerrada',
+};
+
+/**
+ * Situação de uma matrícula na campanha
+ * - pending: aguardando o aceite do aluno
+ * - accepted: rematrícula aceita
+ * - skipped: não entrou em rematrícula por pendência
+ * - follow_up: sem resposta no prazo (acompanhamento da secretaria)
+ */
+export type CampaignEnrollmentStatus = 'pending' | 'accepted' | 'skipped' | 'follow_up';
+
+/**
+ * Labels das situações das matrículas na campanha
+ */
+export const CAMPAIGN_ENROLLMENT_STATUS_LABELS: Record<CampaignEnrollmentStatus, string> = {
+  pending: 'Aguardando aceite',
+  accepted: 'Aceita',
+  skipped: 'Ignorada',
+  follow_up: 'Acompanhamento',
+};
+
+/**
+ * Pendências que impedem a matrícula de entrar em rematrícula
+ */
+export type CampaignSkipReason = 'failed_disciplines' | 'pending_documents';
+
+/**
+ * Labels das pendências
+ */
+export const CAMPAIGN_SKIP_REASON_LABELS: Record<CampaignSkipReason, string> = {
+  failed_disciplines: 'Disciplinas reprovadas',
+  pending_documents: 'Documentos pendentes',
+};
+
+/**
+ * Andamento dos aceites da campanha
+ */
+export interface IReenrollmentCampaignProgress {
+  total: number;
+  pending: number;
+  accepted: number;
+  skipped: number;
+  followUp: number;
+}
+
+/**
+ * Campanha de rematrícula
+ */
+export interface IReenrollmentCampaign {
+  id: number;
+  name: string;
+  year: number;
+  semester: number;
+  periodLabel: string;
+  courseId: number | null;
+  course: { id: number; name: string } | null;
+  targetSemester: number | null;
+  deadline: string;
+  status: ReenrollmentCampaignStatus;
+  launchedAt: string | null;
+  closedAt: string | null;
+  lastReminderAt: string | null;
+  createdAt: string;
+  progress: IReenrollmentCampaignProgress;
+}
+
+/**
+ * Situação de uma matrícula na campanha (painel da campanha)
+ */
+export interface IReenrollmentCampaignEnrollment {
+  id: number;
+  enrollmentId: number;
+  status: CampaignEnrollmentStatus;
+  skipReasons: { reason: CampaignSkipReason; details: string[] }[];
+  acceptedAt: string | null;
+  remindersSent: number;
+  enrollmentStatus: string | null;
+  currentSemester: number | null;
+  student: { id: number; name: string; matricula: string | null; email: string | null } | null;
+  course: { id: number; name: string } | null;
+}
+
+/**
+ * Campanha com a situação de cada matrícula
+ */
+export interface IReenrollmentCampaignDetail extends IReenrollmentCampaign {
+  enrollments: IReenrollmentCampaignEnrollment[];
+}
+
+/**
+ * Resultado do envio de lembretes
+ */
+export interface IReenrollmentReminderSummary {
+  sent: number;
+  failed: number;
+  withoutEmail: number;
+}
+
+/**
+ * Dados para criar uma campanha
+ */
+export interface ICreateReenrollmentCampaignRequest {
+  name: string;
+  year?: number;
+  semester?: number;
+  courseId: number | null;
+  targetSemester: number | null;
+  deadline: string;
+}
+
+/**
+ * Dados para atualizar uma campanha (em andamento, apenas nome e prazo)
+ */
+export type IUpdateReenrollmentCampaignRequest = Partial<ICreateReenrollmentCampaignRequest>;
@@ -3,13 +3,52 @@
  * Descrição: Types e interfaces para o módulo de solicitações
  * Feature: feat-088 - Criar request.service.ts e página Requests Admin
  * Feature: feat-101 - Criar types TypeScript (atualização)
+ * Modificado: feat-119 - Prazos (SLA) das solicitações
+ * Modificado: feat-120 - Fluxo de atendimento (comentários, anexos e linha do tempo)
+ * Modificado: feat-121 - Gestão dos tipos de solicitação (ordem, perfis, anexos e gerador)
+ * Modificado: feat-127 - Turma de destino na aprovação da transferência de turma
+ * Modificado: feat-128 - Datas do trancamento na aprovação
  * Criado em: 2025-11-04
  */
 
+import type { ClassTransferGradeMode } from './classTransfer.types';
+
 /**
  * Status possíveis de uma solicitação
+ * - pending: aguardando a secretaria
+ * - in_analysis: em análise pela secretaria
+ * - awaiting_student: a secretaria pediu informações/documentos ao aluno
+ * - approved / rejected: concluída
+ */
+export type RequestStatus =
+  'pending' | 'in_analysis' | 'awaiting_student' | 'approved' | 'rejected';
+
+/**
+ * Labels dos status em português
  */
-export type RequestStatus = 'pending' | 'approved' | 'rejected';
+export const REQUEST_STATUS_LABELS: Record<RequestStatus, string> = {
+  pending: 'Pendente',
+  in_analysis: 'Em análise',
+  awaiting_student: 'Aguardando aluno',
+  approved: 'Aprovada',
+  rejected: 'Rejeitada',
+};
+
+/**
+ * Status em que a solicitação ainda está aberta (aceita comentários, anexos e decisão)
+ */
+export const OPEN_REQUEST_STATUSES: RequestStatus[] = [
+  'pending',
+  'in_analysis',
+  'awaiting_student',
+];
+
+/**
+ * Situação do prazo de uma solicitação pendente
+ * - overdue: data limite ultrapassada
+ * - at_risk: vence hoje ou nos próximos dias úteis
+ */
+export type RequestSlaFilter = 'overdue' | 'at_risk';
 
 /**
  * Tipos de solicitação disponíveis
@@ -37,8 +76,14 @@ export interface IRequest {
   createdAt: string;
   updatedAt: string;
 
-  // Atestado de Matrícula - gerado automaticamente ao aprovar solicitação
-  // do tipo "Matrícula - Pedido de Atestado" com matrícula ativa
+  // Prazo (SLA): data limite em dias úteis (YYYY-MM-DD) e sinalizadores calculados
+  // pelo backend (apenas solicitações pendentes ou em análise podem estar atrasadas ou em risco)
+  dueDate: string | null;
+  isOverdue: boolean;
+  isAtRisk: boolean;
+
+  // Documento gerado automaticamente ao aprovar solicitação de um tipo com
+  // gerador de documento (ver GENERATED_DOCUMENT_LABELS)
   pdfPath?: string | null;
   signatureHash?: string | null;
 
@@ -55,6 +100,7 @@ export interface IRequest {
     name: string;
     description: string;
     expectedDays: number;
+    documentGenerator?: string | null;
   };
   reviewer?: {
     id: number;
@@ -63,6 +109,17 @@ export interface IRequest {
   };
 }
 
+/**
+ * Documentos em PDF gerados automaticamente ao aprovar a solicitação,
+ * indexados pelo gerador configurado no tipo de solicitação
+ */
+export const GENERATED_DOCUMENT_LABELS: Record<string, string> = {
+  atestado_matricula: 'Atestado de Matrícula',
+  historico_escolar: 'Histórico Escolar',
+  declaracao_frequencia: 'Declaração de Frequência',
+  certificado_conclusao: 'Certificado de Conclusão',
+};
+
 /**
  * Interface para listagem de solicitações
  */
@@ -95,9 +152,10 @@ export interface IRequestFilters {
   status?: RequestStatus;
   studentId?: number;
   requestTypeId?: number;
+  sla?: RequestSlaFilter;
   page?: number;
   limit?: number;
-  sortBy?: string;
+  sortBy?: 'createdAt' | 'dueDate';
   sortOrder?: 'ASC' | 'DESC';
 }
 
@@ -106,6 +164,26 @@ export interface IRequestFilters {
  */
 export interface IApproveRequestRequest {
   observations?: string;
+  /**
+   * Turma de destino (obrigatória em "Transferência de Turma")
+   */
+  targetClassId?: number;
+  /**
+   * Turma de origem (opcional: o backend usa a turma atual do aluno no curso)
+   */
+  sourceClassId?: number;
+  /**
+   * Tratamento das notas na transferência (padrão: map)
+   */
+  gradeMode?: ClassTransferGradeMode;
+  /**
+   * Início do trancamento em "Matrícula - Trancamento" (YYYY-MM-DD, padrão: hoje)
+   */
+  lockStartDate?: string;
+  /**
+   * Retorno previsto do trancamento (obrigatório em "Matrícula - Trancamento")
+   */
+  expectedReturnDate?: string;
 }
 
 /**
@@ -121,8 +199,12 @@ export interface IRejectRequestRequest {
 export interface IRequestStats {
   total: number;
   pending: number;
+  inAnalysis: number;
+  awaitingStudent: number;
   approved: number;
   rejected: number;
+  overdue: number;
+  atRisk: number;
 }
 
 /**
@@ -133,6 +215,19 @@ export interface ICreateRequestRequest {
   description: string;
 }
 
+/**
+ * Perfis que podem abrir um tipo de solicitação
+ */
+export type RequestTypeRole = 'student' | 'admin';
+
+/**
+ * Labels dos perfis em português
+ */
+export const REQUEST_TYPE_ROLE_LABELS: Record<RequestTypeRole, string> = {
+  student: 'Aluno',
+  admin: 'Secretaria',
+};
+
 /**
  * Interface para tipo de solicitação
  */
@@ -141,10 +236,23 @@ export interface IRequestType {
   name: string;
   description: string;
   expectedDays: number;
+  isActive: boolean;
+  displayOrder: number;
+  allowedRoles: RequestTypeRole[];
+  requiredAttachments: string[];
+  documentGenerator: string | null;
   createdAt: string;
   updatedAt: string;
 }
 
+/**
+ * Gerador de documento que pode ser executado na aprovação
+ */
+export interface IDocumentGeneratorOption {
+  key: string;
+  title: string;
+}
+
 /**
  * Dados para criar nova solicitação (admin)
  */
@@ -163,6 +271,26 @@ export interface ICreateRequestTypeRequest {
    * Prazo esperado em dias úteis
    */
   expectedDays: number;
+
+  /**
+   * Se o tipo pode ser aberto (padrão: true)
+   */
+  isActive?: boolean;
+
+  /**
+   * Perfis que podem abrir a solicitação
+   */
+  allowedRoles?: RequestTypeRole[];
+
+  /**
+   * Anexos que o aluno precisa enviar antes da aprovação
+   */
+  requiredAttachments?: string[];
+
+  /**
+   * Gerador de documento executado na aprovação (null = nenhum)
+   */
+  documentGenerator?: string | null;
 }
 
 /**
@@ -183,6 +311,26 @@ export interface IUpdateRequestTypeRequest {
    * Prazo em dias úteis (opcional)
    */
   expectedDays?: number;
+
+  /**
+   * Ativar ou desativar o tipo (opcional)
+   */
+  isActive?: boolean;
+
+  /**
+   * Perfis que podem abrir a solicitação (opcional)
+   */
+  allowedRoles?: RequestTypeRole[];
+
+  /**
+   * Anexos obrigatórios (opcional)
+   */
+  requiredAttachments?: string[];
+
+  /**
+   * Gerador de documento (opcional, null remove)
+   */
+  documentGenerator?: string | null;
 }
 
 /**
@@ -219,3 +367,80 @@ export interface ICreateRequestResponse {
    */
   message: string;
 }
+
+/**
+ * Autor de um comentário, anexo ou mudança de status
+ */
+export interface IRequestEventUser {
+  id: number;
+  name: string;
+  role: 'admin' | 'teacher' | 'student';
+}
+
+/**
+ * Arquivo anexado a uma solicitação (pela secretaria ou pelo aluno)
+ */
+export interface IRequestAttachment {
+  id: number;
+  requestId: number;
+  commentId: number | null;
+  userId: number;
+  fileName: string;
+  mimeType: string;
+  fileSize: number;
+  createdAt: string;
+  uploader?: IRequestEventUser;
+}
+
+/**
+ * Comentário da conversa de uma solicitação
+ */
+export interface IRequestComment {
+  id: number;
+  requestId: number;
+  userId: number;
+  message: string;
+  createdAt: string;
+  author?: IRequestEventUser;
+}
+
+/**
+ * Evento da linha do tempo de uma solicitação
+ * - status: mudança de status (fromStatus nulo na criação)
+ * - comment: comentário, com os anexos enviados junto
+ * - attachment: anexo enviado sem comentário
+ */
+export type IRequestTimelineEvent =
+  | {
+      type: 'status';
+      id: number;
+      createdAt: string;
+      fromStatus: RequestStatus | null;
+      toStatus: RequestStatus;
+      note: string | null;
+      user: IRequestEventUser | null;
+    }
+  | {
+      type: 'comment';
+      id: number;
+      createdAt: string;
+      message: string;
+      attachments: IRequestAttachment[];
+      user: IRequestEventUser | null;
+    }
+  | {
+      type: 'attachment';
+      id: number;
+      createdAt: string;
+      attachment: IRequestAttachment;
+      user: IRequestEventUser | null;
+    };
+
+/**
+ * Linha do tempo de uma solicitação (eventos em ordem cronológica)
+ */
+export interface IRequestTimeline {
+  requestId: number;
+  status: RequestStatus;
+  events: IRequestTimelineEvent[];
+}
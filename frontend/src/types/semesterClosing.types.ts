@@ -0,0 +1,114 @@
+/**
+ * Arquivo: frontend/src/types/semesterClosing.types.ts
+ * Descrição: Types e interfaces do fechamento de semestre
+ * Feature: feat-126 - Progressão semestral automática das matrículas
+ * Criado em: 2026-10-19
+ * Modificado: feat-129 - Resultado missing_prerequisites (requisitos do próximo semestre)
+ * Modificado: feat-130 - Disciplinas da matriz do aluno ainda não cursadas
+ */
+
+import type { IDisciplineMissingRequisites } from './disciplineRequisite.types';
+
+/**
+ * Resultado de cada matrícula no fechamento
+ * - advanced: aprovado em tudo, avança para o próximo semestre
+ * - completed: aprovado no último semestre, matrícula concluída
+ * - retained: reprovado em alguma disciplina, permanece no semestre
+ * - pending_results: resultados ainda não finais (em andamento ou recuperação)
+ * - no_results: nenhum resultado no semestre atual
+ * - missing_prerequisites: aprovado, mas sem os requisitos das disciplinas do próximo semestre
+ */
+export type SemesterClosingOutcome =
+  | 'advanced'
+  | 'completed'
+  | 'retained'
+  | 'pending_results'
+  | 'no_results'
+  | 'missing_prerequisites';
+
+/**
+ * Labels dos resultados
+ */
+export const SEMESTER_CLOSING_OUTCOME_LABELS: Record<SemesterClosingOutcome, string> = {
+  advanced: 'Avança de semestre',
+  completed: 'Conclui o curso',
+  retained: 'Retido (reprovação)',
+  pending_results: 'Resultados pendentes',
+  no_results: 'Sem resultados',
+  missing_prerequisites: 'Sem pré-requisitos',
+};
+
+/**
+ * Quantidade de matrículas por resultado
+ */
+export interface ISemesterClosingSummary {
+  total: number;
+  advanced: number;
+  completed: number;
+  retained: number;
+  pendingResults: number;
+  noResults: number;
+  /** Ausente nos fechamentos anteriores aos requisitos entre disciplinas */
+  missingPrerequisites?: number;
+}
+
+/**
+ * Situação de uma matrícula antes e depois do fechamento
+ */
+export interface ISemesterClosingItem {
+  enrollmentId: number;
+  student: { id: number; name: string; matricula: string | null } | null;
+  course: { id: number; name: string } | null;
+  outcome: SemesterClosingOutcome;
+  flagged: boolean;
+  semesterBefore: number;
+  semesterAfter: number;
+  courseSemesters: number | null;
+  statusBefore: string;
+  statusAfter: string;
+  failedDisciplines: string[];
+  pendingDisciplines: string[];
+  /** Disciplinas do semestre na matriz do aluno sem resultado (fechamentos a partir da feat-130) */
+  notTakenDisciplines?: string[];
+  missingPrerequisites?: IDisciplineMissingRequisites[];
+  note: string | null;
+}
+
+/**
+ * Fechamento executado (histórico)
+ */
+export interface ISemesterClosing {
+  id: number;
+  dryRun: false;
+  year: number;
+  semester: number;
+  periodLabel: string;
+  course: { id: number; name: string } | null;
+  executedBy: { id: number; name: string } | null;
+  summary: ISemesterClosingSummary;
+  createdAt: string;
+  report?: ISemesterClosingItem[];
+}
+
+/**
+ * Pré-visualização do fechamento (dry-run)
+ */
+export interface ISemesterClosingPreview {
+  dryRun: true;
+  year: number;
+  semester: number;
+  periodLabel: string;
+  course: { id: number; name: string } | null;
+  alreadyClosed: boolean;
+  summary: ISemesterClosingSummary;
+  report: ISemesterClosingItem[];
+}
+
+/**
+ * Parâmetros do fechamento (em branco = período vigente, todos os cursos)
+ */
+export interface ISemesterClosingParams {
+  year?: number;
+  semester?: number;
+  courseId?: number | null;
+}
@@ -0,0 +1,101 @@
+/**
+ * Arquivo: frontend/src/types/signedDocument.types.ts
+ * Descrição: Tipos TypeScript do registro de documentos assinados e da verificação pública
+ * Feature: feat-118 - Verificação pública de documentos assinados
+ * Criado em: 2026-10-19
+ *
+ * NOTA: As respostas da API são convertidas para camelCase pelo interceptor Axios,
+ * por isso os campos abaixo estão em camelCase.
+ */
+
+/**
+ * Tipo do documento assinado
+ */
+export type SignedDocumentKind =
+  | 'atestado_matricula'
+  | 'historico_escolar'
+  | 'declaracao_frequencia'
+  | 'certificado_conclusao'
+  | 'contrato';
+
+/**
+ * Rótulos dos tipos de documento para exibição
+ */
+export const SIGNED_DOCUMENT_KIND_LABELS: Record<SignedDocumentKind, string> = {
+  atestado_matricula: 'Atestado de Matrícula',
+  historico_escolar: 'Histórico Escolar',
+  declaracao_frequencia: 'Declaração de Frequência',
+  certificado_conclusao: 'Certificado de Conclusão',
+  contrato: 'Contrato',
+};
+
+/**
+ * Documento do registro de documentos assinados
+ */
+export interface ISignedDocument {
+  id: number;
+  documentKind: SignedDocumentKind;
+  title: string;
+  studentId: number | null;
+  userId: number | null;
+  requestId: number | null;
+  contractId: number | null;
+  filePath: string | null;
+  signatureHash: string;
+  issuedAt: string;
+  revoked: boolean;
+  revokedAt: string | null;
+  revokedBy: number | null;
+  revocationReason: string | null;
+  createdAt: string;
+  updatedAt: string;
+  student?: { id: number; nome: string; matricula: number | null } | null;
+  user?: { id: number; name: string; role: string } | null;
+  revoker?: { id: number; name: string } | null;
+}
+
+/**
+ * Filtros da listagem do registro
+ */
+export interface ISignedDocumentFilters {
+  documentKind?: SignedDocumentKind;
+  revoked?: boolean;
+  hash?: string;
+  page?: number;
+  limit?: number;
+}
+
+/**
+ * Listagem paginada do registro
+ */
+export interface ISignedDocumentListResponse {
+  documents: ISignedDocument[];
+  total: number;
+  page: number;
+  limit: number;
+  pages: number;
+}
+
+/**
+ * Resultado da verificação pública de um documento pelo hash
+ */
+export interface IDocumentVerificationResult {
+  success: boolean;
+  valid: boolean;
+  revoked?: boolean;
+  message?: string;
+  data?: {
+    documentKind?: SignedDocumentKind;
+    documentType?: string | null;
+    ownerName?: string;
+    studentMatricula?: number | null;
+    issuedAt?: string;
+    revokedAt?: string | null;
+    revocationReason?: string | null;
+    signatureHash: string;
+  };
+  error?: {
+    code: string;
+    message: string;
+  };
+}
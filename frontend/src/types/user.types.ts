@@ -55,7 +55,8 @@ export interface IUser {
   deleted_at?: string | null;
 
   /** Status da matrícula do estudante (se aplicável) */
-  enrollmentStatus?: 'contract' | 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed';
+  enrollmentStatus?:
+    'contract' | 'pending' | 'active' | 'cancelled' | 'reenrollment' | 'completed' | 'locked';
 
   /** ID do estudante na tabela students (se role === 'student') */
   studentId?: number;
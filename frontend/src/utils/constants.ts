@@ -64,6 +64,8 @@ export type DocumentStatus = (typeof DOCUMENT_STATUS)[keyof typeof DOCUMENT_STAT
  */
 export const REQUEST_STATUS = {
   PENDING: 'pending',
+  IN_ANALYSIS: 'in_analysis',
+  AWAITING_STUDENT: 'awaiting_student',
   APPROVED: 'approved',
   REJECTED: 'rejected',
 } as const;
@@ -289,6 +291,8 @@ export const UI_LABELS = {
   // Status de solicitações
   REQUEST_STATUS_LABELS: {
     [REQUEST_STATUS.PENDING]: 'Pendente',
+    [REQUEST_STATUS.IN_ANALYSIS]: 'Em análise',
+    [REQUEST_STATUS.AWAITING_STUDENT]: 'Aguardando aluno',
     [REQUEST_STATUS.APPROVED]: 'Aprovada',
     [REQUEST_STATUS.REJECTED]: 'Rejeitada',
   },